@@ -0,0 +1,110 @@
+// Importamos las librerías necesarias
+import express from "express"; // ES6 modules
+import morgan from "morgan"; // Logger para HTTP requests
+import cors from "cors"; // Cross-Origin Resource Sharing
+import { pingStorage, getStorageDriver } from "./repositories/index.js"; // Capa de almacenamiento
+
+// Importamos las rutas de los módulos
+import citizenRoutes from "./modules/citizens/citizens.routes.js";
+import authRoutes from "./modules/auth/auth.routes.js";
+import recordRoutes, { recordsSearchRouter } from "./modules/records/records.routes.js";
+import citationRoutes, { citationsSearchRouter } from "./modules/citations/citations.routes.js";
+import auditRoutes from "./modules/audit/audit.routes.js";
+import penaltyRuleRoutes from "./modules/penaltyRules/penaltyRules.routes.js";
+import obligationRoutes, { obligationsReportRouter } from "./modules/obligations/obligations.routes.js";
+
+/**
+ * Aplicación Express sin arrancar el servidor HTTP
+ * index.js la pone a escuchar; las pruebas la montan en proceso
+ */
+
+// Crear la instancia de Express
+const app = express();
+
+// Detrás de un proxy inverso, req.ip debe tomarse de X-Forwarded-For
+// (necesario para limitar los intentos de login por IP). Ej: TRUST_PROXY=1
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  if (/^\d+$/.test(trustProxy)) {
+    app.set('trust proxy', parseInt(trustProxy)); // Número de proxies delante
+  } else {
+    app.set('trust proxy', trustProxy === 'true' ? true : trustProxy); // true o lista de IPs/subredes
+  }
+}
+
+// Configurar middlewares globales
+app.use(express.json()); // Parse JSON bodies
+app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
+if (process.env.NODE_ENV !== 'test') {
+  app.use(morgan("combined")); // Logger más detallado para producción
+}
+app.use(cors({
+  origin: process.env.CORS_ORIGIN || "*", // Configurar origen específico en producción
+  credentials: true
+}));
+
+// Servir archivos estáticos (para imágenes de avatares)
+app.use('/uploads', express.static('public/uploads'));
+
+
+// Configurar rutas de la API
+app.use("/api/citizens", citizenRoutes);
+app.use("/api/auth", authRoutes);
+
+// Configurar rutas anidadas para antecedentes penales
+app.use("/api/citizens/:citizenId/records", recordRoutes);
+// Configurar rutas globales para búsqueda y estadísticas de antecedentes
+app.use("/api/records", recordsSearchRouter);
+
+// Configurar rutas anidadas para citaciones (amonestaciones menores)
+app.use("/api/citizens/:citizenId/citations", citationRoutes);
+// Configurar rutas globales para búsqueda y estadísticas de citaciones
+app.use("/api/citations", citationsSearchRouter);
+
+// Configurar rutas anidadas para las obligaciones de las sanciones (curso y trabajo cívico)
+app.use("/api/citizens/:citizenId/obligations", obligationRoutes);
+// Configurar rutas globales para el informe de obligaciones vencidas
+app.use("/api/obligations", obligationsReportRouter);
+
+// Configurar rutas del registro de auditoría
+app.use("/api/audit", auditRoutes);
+
+// Configurar rutas de los regímenes de sanción de las citaciones
+app.use("/api/penalty-rules", penaltyRuleRoutes);
+
+
+// Ruta de health check
+app.get("/api/health", async (req, res) => {
+  const databaseOk = await pingStorage();
+
+  res.status(databaseOk ? 200 : 503).json({
+    status: databaseOk ? "success" : "error",
+    message: databaseOk ? "Interpolice API is running" : "Interpolice API is running without database connection",
+    database: databaseOk ? "connected" : "unavailable",
+    storage_driver: getStorageDriver(),
+    timestamp: new Date().toISOString(),
+    version: "1.0.0"
+  });
+});
+
+// Middleware para manejar rutas no encontradas
+app.use((req, res) => {
+  res.status(404).json({
+    status: "error",
+    message: "Endpoint not found",
+    path: req.originalUrl
+  });
+});
+
+// Middleware global para manejo de errores
+app.use((err, req, res, next) => {
+  console.error('Error global:', err);
+  
+  res.status(err.status || 500).json({
+    status: "error",
+    message: err.message || "Internal server error",
+    ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
+  });
+});
+
+export default app;
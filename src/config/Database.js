@@ -1,18 +1,186 @@
-
 import mysql from "mysql2/promise";
 
-const connection = await mysql.createConnection({
+/**
+ * Capa de acceso a MySQL basada en un pool de conexiones
+ * - Tamaño del pool configurable por variables de entorno
+ * - Reintentos automáticos ante caídas transitorias de la conexión (solo al obtenerla
+ *   y en las lecturas: una escritura que ya llegó al servidor no se repite)
+ * - Helper withTransaction(fn) para operaciones atómicas en los modelos
+ */
+
+/**
+ * Códigos de error de MySQL/Node que indican una conexión caída o
+ * temporalmente no disponible (se reintenta la operación)
+ */
+const TRANSIENT_ERROR_CODES = [
+  "PROTOCOL_CONNECTION_LOST",
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "EPIPE",
+  "ER_CON_COUNT_ERROR",
+  "ER_SERVER_SHUTDOWN"
+];
+
+/**
+ * Sentencias de solo lectura: repetirlas no cambia nada, se pueden reintentar
+ */
+const READ_ONLY_STATEMENT = /^\s*(SELECT|SHOW|DESCRIBE|EXPLAIN)\b/i;
+
+/**
+ * Configuración del pool tomada de las variables de entorno
+ */
+export const dbConfig = {
   host: process.env.DB_HOST,
   user: process.env.DB_USER,
   password: process.env.DB_PASSWORD,
   database: process.env.DB_NAME,
-  port: process.env.DB_PORT
-});
+  port: process.env.DB_PORT,
+  waitForConnections: true,
+  connectionLimit: parseInt(process.env.DB_POOL_SIZE) || 10,
+  maxIdle: parseInt(process.env.DB_POOL_MAX_IDLE) || parseInt(process.env.DB_POOL_SIZE) || 10,
+  idleTimeout: parseInt(process.env.DB_POOL_IDLE_TIMEOUT_MS) || 60000,
+  queueLimit: parseInt(process.env.DB_POOL_QUEUE_LIMIT) || 0,
+  enableKeepAlive: true,
+  keepAliveInitialDelay: 10000
+};
 
-try {
-  await connection.connect();
-} catch (err) {
-  console.log(err);
+const retryAttempts = parseInt(process.env.DB_RETRY_ATTEMPTS) || 3;
+const retryDelayMs = parseInt(process.env.DB_RETRY_DELAY_MS) || 500;
+
+const pool = mysql.createPool(dbConfig);
+
+/**
+ * Determinar si un error es transitorio (conexión perdida, servidor reiniciando...)
+ * @param {Error} error - Error lanzado por mysql2
+ * @returns {boolean} True si la operación puede reintentarse
+ */
+export function isTransientError(error) {
+  return Boolean(error && (TRANSIENT_ERROR_CODES.includes(error.code) || error.fatal));
 }
 
-export default connection;
\ No newline at end of file
+/**
+ * Ejecutar una operación reintentándola si falla por un error transitorio
+ * El pool descarta las conexiones rotas, por lo que cada reintento usa una nueva
+ * @param {Function} operation - Función asíncrona a ejecutar
+ * @returns {Promise<any>} Resultado de la operación
+ */
+async function withRetry(operation) {
+  let lastError;
+
+  for (let attempt = 1; attempt <= retryAttempts; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      lastError = error;
+
+      if (!isTransientError(error) || attempt === retryAttempts) {
+        throw error;
+      }
+
+      console.warn(`Conexión con MySQL fallida (${error.code}), reintento ${attempt}/${retryAttempts - 1}`);
+      await new Promise(resolve => setTimeout(resolve, retryDelayMs * attempt));
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Ejecutar una consulta usando una conexión del pool
+ * Misma firma que mysql2: devuelve [rows, fields]
+ * Las lecturas se reintentan completas; en las escrituras solo se reintenta obtener
+ * la conexión, porque la sentencia pudo ejecutarse antes de perderse la respuesta
+ * @param {string} sql - Consulta SQL
+ * @param {Array|Object} params - Parámetros de la consulta
+ * @returns {Promise<Array>} Resultado de la consulta
+ */
+export async function query(sql, params) {
+  if (READ_ONLY_STATEMENT.test(sql)) {
+    return withRetry(() => pool.query(sql, params));
+  }
+
+  const dbConnection = await getConnection();
+  try {
+    return await dbConnection.query(sql, params);
+  } finally {
+    dbConnection.release();
+  }
+}
+
+/**
+ * Obtener una conexión dedicada del pool (debe liberarse con release())
+ * @returns {Promise<Object>} Conexión del pool
+ */
+export function getConnection() {
+  return withRetry(() => pool.getConnection());
+}
+
+/**
+ * Ejecutar una función dentro de una transacción
+ * La función recibe una conexión dedicada; si lanza un error se hace rollback,
+ * en caso contrario se hace commit. La conexión siempre se libera al terminar.
+ * Las sentencias de la transacción no se reintentan (solo obtener la conexión).
+ *
+ * Uso:
+ * const result = await withTransaction(async (conn) => {
+ *   const [insert] = await conn.query("INSERT INTO citations SET ?", [data]);
+ *   await conn.query("INSERT INTO criminal_records SET ?", [record]);
+ *   return insert;
+ * });
+ *
+ * @param {Function} fn - Función asíncrona que recibe la conexión transaccional
+ * @returns {Promise<any>} Valor devuelto por fn
+ */
+export async function withTransaction(fn) {
+  const dbConnection = await getConnection();
+
+  try {
+    await dbConnection.beginTransaction();
+    const result = await fn(dbConnection);
+    await dbConnection.commit();
+    return result;
+  } catch (error) {
+    try {
+      await dbConnection.rollback();
+    } catch (rollbackError) {
+      console.error('Error al revertir la transacción:', rollbackError);
+    }
+    throw error;
+  } finally {
+    dbConnection.release();
+  }
+}
+
+/**
+ * Verificar que la base de datos responde (usado por el health check)
+ * @returns {Promise<boolean>} True si la base de datos responde
+ */
+export async function pingDatabase() {
+  try {
+    await query("SELECT 1");
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Cerrar todas las conexiones del pool (apagado ordenado)
+ * @returns {Promise<void>}
+ */
+export function closePool() {
+  return pool.end();
+}
+
+/**
+ * Objeto por defecto compatible con el uso existente en los modelos:
+ * connection.query(sql, params)
+ */
+const connection = {
+  query,
+  getConnection,
+  withTransaction
+};
+
+export default connection;
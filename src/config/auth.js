@@ -0,0 +1,86 @@
+/**
+ * Leer un entero de una variable de entorno (admite 0) con valor por defecto
+ */
+export function intFromEnv(name, defaultValue) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? defaultValue : value;
+}
+
+/**
+ * Leer una lista separada por comas de una variable de entorno (admite lista vacía)
+ */
+function listFromEnv(name, defaultValue) {
+  const value = process.env[name];
+  if (value === undefined) {
+    return defaultValue;
+  }
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Configuración de autenticación tomada de las variables de entorno
+ * - Access tokens (JWT) de vida corta
+ * - Refresh tokens rotativos guardados (hasheados) en el servidor
+ * - Listado de sesiones abiertas (frecuencia de registro del último uso)
+ * - Protección del login contra fuerza bruta (por cuenta y por IP)
+ * - Invitaciones de registro
+ * - Autenticación en dos pasos (TOTP)
+ * - Recuperación de contraseña por correo
+ * - Política, historial y caducidad de contraseñas
+ * - API keys de las cuentas de servicio
+ * - Suplantación de usuarios por los Admin
+ */
+export const authConfig = {
+  accessTokenMinutes: intFromEnv('JWT_ACCESS_EXPIRES_MINUTES', 15),
+  refreshTokenDays: intFromEnv('REFRESH_TOKEN_EXPIRES_DAYS', 7),
+  // Frecuencia máxima con la que una petición autenticada actualiza last_seen_at de su sesión
+  sessionTouchIntervalSeconds: intFromEnv('SESSION_TOUCH_INTERVAL_SECONDS', 60),
+
+  // Intentos fallidos por cuenta antes del bloqueo temporal
+  loginMaxAttempts: intFromEnv('LOGIN_MAX_ATTEMPTS', 5),
+  loginLockoutMinutes: intFromEnv('LOGIN_LOCKOUT_MINUTES', 15),
+  // Ventana en la que se cuentan los intentos fallidos
+  loginAttemptWindowMinutes: intFromEnv('LOGIN_ATTEMPT_WINDOW_MINUTES', 15),
+  // Intentos fallidos por IP (todas las cuentas) dentro de la ventana
+  loginIpMaxAttempts: intFromEnv('LOGIN_IP_MAX_ATTEMPTS', 20),
+  // Espera progresiva tras cada fallo: base * 2^(fallos - 1), con tope
+  loginDelayBaseSeconds: intFromEnv('LOGIN_DELAY_BASE_SECONDS', 1),
+  loginDelayMaxSeconds: intFromEnv('LOGIN_DELAY_MAX_SECONDS', 30),
+
+  // Validez por defecto de los códigos de invitación
+  invitationExpiresHours: intFromEnv('INVITATION_EXPIRES_HOURS', 72),
+
+  // Roles que deben tener activada la autenticación en dos pasos
+  twoFactorRequiredRoles: listFromEnv('TWO_FACTOR_REQUIRED_ROLES', ['Admin', 'Commander']),
+  // Nombre que muestran las apps de autenticación junto a la cuenta
+  totpIssuer: process.env.TOTP_ISSUER || 'Interpolice',
+  // Validez del desafío emitido entre la contraseña y el código TOTP
+  twoFactorChallengeMinutes: intFromEnv('TWO_FACTOR_CHALLENGE_MINUTES', 5),
+
+  // Validez de los tokens de recuperación de contraseña enviados por correo
+  passwordResetExpiresMinutes: intFromEnv('PASSWORD_RESET_EXPIRES_MINUTES', 30),
+  // Solicitudes de recuperación por cuenta y hora (las demás se ignoran en silencio)
+  passwordResetMaxPerHour: intFromEnv('PASSWORD_RESET_MAX_PER_HOUR', 3),
+  // Página del frontend que recibe ?token=...; sin ella el correo solo incluye el token
+  passwordResetUrl: process.env.PASSWORD_RESET_URL || null,
+
+  // Política de contraseñas (además se rechazan las de la lista de contraseñas comunes
+  // y las que contienen el nombre de usuario)
+  passwordMinLength: intFromEnv('PASSWORD_MIN_LENGTH', 8),
+  // bcrypt solo tiene en cuenta los primeros 72 bytes
+  passwordMaxLength: intFromEnv('PASSWORD_MAX_LENGTH', 72),
+  // Clases de caracteres obligatorias: lowercase, uppercase, digit, symbol
+  passwordRequiredClasses: listFromEnv('PASSWORD_REQUIRED_CLASSES', ['lowercase', 'uppercase', 'digit']),
+  // Contraseñas anteriores que no se pueden reutilizar (0 lo desactiva)
+  passwordHistoryCount: intFromEnv('PASSWORD_HISTORY_COUNT', 5),
+  // Caducidad de la contraseña para los roles indicados (0 días lo desactiva)
+  passwordMaxAgeDays: intFromEnv('PASSWORD_MAX_AGE_DAYS', 90),
+  passwordExpiryRoles: listFromEnv('PASSWORD_EXPIRY_ROLES', ['Admin', 'Commander']),
+
+  // Validez por defecto y máxima de las API keys de las cuentas de servicio
+  apiKeyExpiresDays: intFromEnv('API_KEY_EXPIRES_DAYS', 90),
+  apiKeyMaxExpiresDays: intFromEnv('API_KEY_MAX_EXPIRES_DAYS', 365),
+
+  // Validez de los tokens de suplantación (no se renuevan: se vuelve a suplantar)
+  impersonationMinutes: intFromEnv('IMPERSONATION_EXPIRES_MINUTES', 15)
+};
@@ -0,0 +1,21 @@
+/**
+ * Configuración del envío de correo tomada de las variables de entorno
+ * - MAIL_TRANSPORT: smtp | file | console
+ *   (por defecto smtp si hay SMTP_HOST; si no, console)
+ * - file escribe cada mensaje como .eml en MAIL_FILE_DIR (entornos sin servidor de correo)
+ */
+export const mailConfig = {
+  transport: (process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console')).toLowerCase(),
+  from: process.env.MAIL_FROM || 'Interpolice <no-reply@interpolice.local>',
+
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    // true para TLS directo (puerto 465); con false se usa STARTTLS si el servidor lo ofrece
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    password: process.env.SMTP_PASSWORD
+  },
+
+  fileDir: process.env.MAIL_FILE_DIR || 'storage/mail'
+};
@@ -0,0 +1,10 @@
+import { intFromEnv } from "./auth.js";
+
+/**
+ * Configuración de las obligaciones de las sanciones (curso y trabajo cívico)
+ * Plazo para cumplirlas, en días desde la fecha de la citación
+ */
+export const obligationsConfig = {
+  civicCourseDueDays: intFromEnv('CIVIC_COURSE_DUE_DAYS', 30),
+  civicWorkDueDays: intFromEnv('CIVIC_WORK_DUE_DAYS', 60)
+};
@@ -0,0 +1,57 @@
+/**
+ * Régimen de sanciones por defecto de las citaciones
+ *
+ * Es la versión 1 del régimen general que siembra la migración 0020 y el que se
+ * aplica si no hay ningún régimen vigente en penalty_rule_sets para una fecha.
+ * Los regímenes vigentes se gestionan en /api/penalty-rules.
+ *
+ * tiers: sanción de cada número de citación (1ª, 2ª, 3ª...)
+ * escalation: sanción de las citaciones posteriores a la última tier; la cárcel es
+ * base_jail_days + (número - última tier) * jail_days_per_citation
+ * lookback_years: años que cuenta una citación previa para la escalada (null: siempre)
+ */
+
+export const DEFAULT_PENALTY_RULES = Object.freeze({
+  name: 'Régimen general de sanciones',
+  tiers: Object.freeze([
+    Object.freeze({
+      citation_number: 1,
+      fine_amount: 400,
+      civic_course_hours: 48,
+      civic_work_days: 0,
+      jail_days: 0,
+      creates_criminal_record: false,
+      description: 'Primera amonestación: $400 + curso de 48 horas de normas cívicas'
+    }),
+    Object.freeze({
+      citation_number: 2,
+      fine_amount: 400,
+      civic_course_hours: 48,
+      civic_work_days: 2,
+      jail_days: 0,
+      creates_criminal_record: false,
+      description: 'Segunda amonestación: $400 + curso de 48 horas + 2 días de trabajo cívico'
+    }),
+    Object.freeze({
+      citation_number: 3,
+      fine_amount: 400,
+      civic_course_hours: 0,
+      civic_work_days: 0,
+      jail_days: 8,
+      creates_criminal_record: true,
+      description: 'Tercera amonestación: 8 días de cárcel + registro en antecedentes penales'
+    })
+  ]),
+  escalation: Object.freeze({
+    fine_amount: 0,
+    civic_course_hours: 0,
+    civic_work_days: 0,
+    base_jail_days: 15,
+    jail_days_per_citation: 5,
+    creates_criminal_record: true
+  }),
+  lookback_years: null
+});
+
+// Fecha desde la que rige la versión sembrada por la migración 0020
+export const DEFAULT_PENALTY_RULES_EFFECTIVE_FROM = '2000-01-01';
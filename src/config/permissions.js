@@ -0,0 +1,187 @@
+/**
+ * Política central de permisos (recurso × acción × rol)
+ *
+ * Cada permiso se identifica como "recurso:acción" (ej: 'records:update').
+ * Las rutas lo consumen con authorize('records:update') y el frontend lo consulta
+ * en GET /api/auth/permissions para ocultar acciones.
+ *
+ * Esta política es el catálogo de permisos existentes y los permisos iniciales de
+ * los roles predefinidos. En ejecución, los permisos de cada rol se leen de la
+ * tabla roles (gestionable en /api/auth/roles); la migración 0014 los sembró desde aquí.
+ * Un permiso nuevo debe añadirse aquí y concederse con una migración.
+ */
+
+// Roles predefinidos (se pueden crear más desde /api/auth/roles)
+export const ROLES = Object.freeze(['Admin', 'Commander', 'General', 'CourtClerk', 'PoliceOfficer']);
+
+// Roles de sistema: no se pueden renombrar, retirar ni cambiar sus permisos
+// (así siempre queda un rol capaz de administrar los demás)
+export const SYSTEM_ROLES = Object.freeze(['Admin']);
+
+const ALL_ROLES = ROLES;
+const REPORT_ROLES = ['Admin', 'Commander', 'General'];
+
+export const PERMISSION_POLICY = deepFreeze({
+  citizens: {
+    read: ALL_ROLES,
+    create: ['Admin', 'CourtClerk', 'PoliceOfficer'],
+    update: ['Admin', 'CourtClerk'],
+    delete: ['Admin'],
+    // Ver los eliminados (include_deleted=true) y restaurarlos
+    restore: ['Admin'],
+    stats: REPORT_ROLES
+  },
+  records: {
+    read: ALL_ROLES,
+    create: ['Admin', 'CourtClerk'],
+    update: ['Admin'],
+    delete: ['Admin'],
+    restore: ['Admin'],
+    reports: REPORT_ROLES
+  },
+  citations: {
+    read: ALL_ROLES,
+    create: ['Admin', 'PoliceOfficer'],
+    update: ['Admin'],
+    delete: ['Admin'],
+    restore: ['Admin'],
+    reports: REPORT_ROLES
+  },
+  obligations: {
+    // Consultar las obligaciones (curso y trabajo cívico) de las sanciones
+    read: ALL_ROLES,
+    // Registrar las horas o días cumplidos
+    log: ['Admin', 'PoliceOfficer'],
+    // Informe global de obligaciones vencidas
+    reports: ['Admin', 'CourtClerk']
+  },
+  penalty_rules: {
+    // Consultar los regímenes de sanción de las citaciones
+    read: ALL_ROLES,
+    // Publicar, corregir y retirar versiones del régimen
+    create: ['Admin'],
+    update: ['Admin'],
+    delete: ['Admin']
+  },
+  roles: {
+    read: ['Admin', 'Commander'],
+    // Crear roles, renombrarlos y asignarles permisos
+    create: ['Admin'],
+    update: ['Admin'],
+    // Retirar roles sin usuarios asignados
+    delete: ['Admin']
+  },
+  users: {
+    read: ['Admin'],
+    create: ['Admin'],
+    delete: ['Admin'],
+    // Gestionar cuentas ajenas (ej: cambiar la contraseña de otro usuario)
+    manage: ['Admin'],
+    // Desbloquear cuentas bloqueadas por intentos de login fallidos
+    unlock: ['Admin'],
+    // Aprobar o rechazar registros pendientes
+    approve: ['Admin'],
+    // Restablecer la autenticación en dos pasos de otro usuario (ej: perdió el dispositivo)
+    reset_2fa: ['Admin'],
+    // Ver y cerrar las sesiones abiertas de otros usuarios
+    sessions: ['Admin']
+  },
+  invitations: {
+    read: ['Admin'],
+    create: ['Admin'],
+    delete: ['Admin']
+  },
+  login_attempts: {
+    read: ['Admin']
+  },
+  audit: {
+    // Consultar el registro de auditoría de las escrituras
+    read: ['Admin']
+  },
+  impersonations: {
+    // Consultar las suplantaciones y las peticiones hechas durante ellas
+    read: ['Admin'],
+    // Suplantar a otro usuario para reproducir lo que ve
+    create: ['Admin']
+  },
+  service_accounts: {
+    read: ['Admin'],
+    create: ['Admin'],
+    // Cambiar scopes o estado y emitir, rotar o revocar API keys
+    update: ['Admin'],
+    delete: ['Admin']
+  }
+});
+
+// Recursos cuyos permisos pueden concederse como scopes a las API keys de las
+// cuentas de servicio (la gestión de usuarios queda reservada a personas)
+const SERVICE_ACCOUNT_RESOURCES = ['citizens', 'records', 'citations'];
+
+/**
+ * Congelar recursivamente la política para que no se modifique en tiempo de ejecución
+ */
+function deepFreeze(object) {
+  for (const value of Object.values(object)) {
+    if (value && typeof value === 'object') deepFreeze(value);
+  }
+  return Object.freeze(object);
+}
+
+/**
+ * Listar todos los permisos definidos en la política
+ * @returns {string[]} Permisos con formato 'recurso:acción'
+ */
+export function listPermissions() {
+  return Object.entries(PERMISSION_POLICY).flatMap(([resource, actions]) =>
+    Object.keys(actions).map(action => `${resource}:${action}`)
+  );
+}
+
+/**
+ * Verificar si un permiso existe en la política
+ * @param {string} permission - Permiso con formato 'recurso:acción'
+ * @returns {boolean} True si existe
+ */
+export function isKnownPermission(permission) {
+  return listPermissions().includes(permission);
+}
+
+/**
+ * Obtener los roles predefinidos que tienen un permiso inicialmente
+ * @param {string} permission - Permiso con formato 'recurso:acción'
+ * @returns {string[]|null} Roles permitidos o null si el permiso no existe
+ */
+export function getRolesForPermission(permission) {
+  const [resource, action] = String(permission).split(':');
+  const roles = PERMISSION_POLICY[resource]?.[action];
+  return roles ? [...roles] : null;
+}
+
+/**
+ * Verificar si un rol predefinido tiene un permiso inicialmente
+ * @param {string} role - Nombre del rol
+ * @param {string} permission - Permiso con formato 'recurso:acción'
+ * @returns {boolean} True si el rol tiene el permiso
+ */
+export function hasPermission(role, permission) {
+  const roles = getRolesForPermission(permission);
+  return roles !== null && roles.includes(role);
+}
+
+/**
+ * Obtener los permisos iniciales de un rol predefinido
+ * @param {string} role - Nombre del rol
+ * @returns {string[]} Permisos con formato 'recurso:acción'
+ */
+export function getPermissionsForRole(role) {
+  return listPermissions().filter(permission => hasPermission(role, permission));
+}
+
+/**
+ * Listar los scopes que pueden concederse a una cuenta de servicio
+ * Son los permisos 'recurso:acción' de los recursos de SERVICE_ACCOUNT_RESOURCES
+ * @returns {string[]} Scopes con formato 'recurso:acción'
+ */
+export function listServiceAccountScopes() {
+  return listPermissions().filter(permission => SERVICE_ACCOUNT_RESOURCES.includes(permission.split(':')[0]));
+}
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS `roles`;
+DROP TABLE IF EXISTS `statuses`;
+DROP TABLE IF EXISTS `planets`;
@@ -0,0 +1,38 @@
+-- Tablas de catálogo: planetas, estados de ciudadano y roles de usuario
+-- Se conservan los IDs del volcado original para no romper datos existentes
+
+CREATE TABLE IF NOT EXISTS `planets` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `planet_name` varchar(300) NOT NULL,
+  PRIMARY KEY (`id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE IF NOT EXISTS `statuses` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `status_name` varchar(50) NOT NULL,
+  `description` varchar(255) DEFAULT NULL,
+  PRIMARY KEY (`id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE IF NOT EXISTS `roles` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `role_name` varchar(50) NOT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `role_name` (`role_name`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+INSERT IGNORE INTO `planets` (`id`, `planet_name`) VALUES
+(1, 'Tierra'),
+(2, 'Marte');
+
+INSERT IGNORE INTO `statuses` (`id`, `status_name`, `description`) VALUES
+(1, 'DEAD', NULL),
+(2, 'ALIVE', NULL),
+(3, 'FROZEN', NULL);
+
+INSERT IGNORE INTO `roles` (`id`, `role_name`) VALUES
+(4, 'Admin'),
+(5, 'Commander'),
+(6, 'General'),
+(7, 'CourtClerk'),
+(8, 'PoliceOfficer');
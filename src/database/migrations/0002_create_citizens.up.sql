@@ -0,0 +1,23 @@
+-- Ciudadanos registrados con su planeta de origen/residencia y estado
+
+CREATE TABLE IF NOT EXISTS `citizens` (
+  `id` bigint NOT NULL AUTO_INCREMENT,
+  `full_name` varchar(255) NOT NULL,
+  `last_name` varchar(255) DEFAULT NULL,
+  `nick_name` varchar(100) DEFAULT NULL,
+  `birth_date` date NOT NULL,
+  `origin_planet` int NOT NULL,
+  `residence_planet` int NOT NULL,
+  `avatar_url` text NOT NULL,
+  `qr_code` varchar(255) NOT NULL,
+  `status_id` int NOT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `qr_code` (`qr_code`),
+  UNIQUE KEY `nick_name` (`nick_name`),
+  KEY `citizens_statuses` (`status_id`),
+  KEY `citizens_planets` (`origin_planet`),
+  KEY `citizens_planets_residence` (`residence_planet`),
+  CONSTRAINT `citizens_planets` FOREIGN KEY (`origin_planet`) REFERENCES `planets` (`id`) ON DELETE RESTRICT ON UPDATE RESTRICT,
+  CONSTRAINT `citizens_planets_residence` FOREIGN KEY (`residence_planet`) REFERENCES `planets` (`id`) ON DELETE RESTRICT ON UPDATE RESTRICT,
+  CONSTRAINT `citizens_statuses` FOREIGN KEY (`status_id`) REFERENCES `statuses` (`id`) ON DELETE RESTRICT ON UPDATE RESTRICT
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
@@ -0,0 +1,16 @@
+-- Antecedentes penales (citizens 1 <--> N criminal_records, planets 1 <--> N criminal_records)
+
+CREATE TABLE IF NOT EXISTS `criminal_records` (
+  `id` bigint NOT NULL AUTO_INCREMENT,
+  `citizen_id` bigint NOT NULL,
+  `date` date NOT NULL,
+  `time` time NOT NULL,
+  `location` int NOT NULL,
+  `description` text NOT NULL,
+  `crime_type` varchar(255) NOT NULL,
+  PRIMARY KEY (`id`),
+  KEY `citizen_id` (`citizen_id`),
+  KEY `criminal_records_planets` (`location`),
+  CONSTRAINT `criminal_records_ibfk_1` FOREIGN KEY (`citizen_id`) REFERENCES `citizens` (`id`),
+  CONSTRAINT `criminal_records_planets` FOREIGN KEY (`location`) REFERENCES `planets` (`id`) ON DELETE RESTRICT ON UPDATE RESTRICT
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
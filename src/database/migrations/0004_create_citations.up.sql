@@ -0,0 +1,12 @@
+-- Citaciones (amonestaciones menores), citizens 1 <--> N citations
+
+CREATE TABLE IF NOT EXISTS `citations` (
+  `id` bigint NOT NULL AUTO_INCREMENT,
+  `citizen_id` bigint NOT NULL,
+  `date` datetime NOT NULL,
+  `description` text NOT NULL,
+  `fine_amount` decimal(10,2) NOT NULL,
+  PRIMARY KEY (`id`),
+  KEY `citizen_id` (`citizen_id`),
+  CONSTRAINT `citations_ibfk_1` FOREIGN KEY (`citizen_id`) REFERENCES `citizens` (`id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
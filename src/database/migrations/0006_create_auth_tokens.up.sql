@@ -0,0 +1,35 @@
+-- Refresh tokens rotativos y lista de revocación de sesiones
+--
+-- Cada login abre una sesión (session_id) que agrupa la cadena de refresh tokens
+-- rotados. Los access tokens llevan el session_id (claim sid) y authenticateToken
+-- los rechaza si la sesión aparece en revoked_tokens.
+
+CREATE TABLE IF NOT EXISTS `refresh_tokens` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  `session_id` char(36) NOT NULL,
+  `token_hash` char(64) NOT NULL,
+  `expires_at` datetime NOT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `revoked_at` datetime DEFAULT NULL,
+  `replaced_by` int DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `token_hash` (`token_hash`),
+  KEY `user_id` (`user_id`),
+  KEY `session_id` (`session_id`),
+  KEY `expires_at` (`expires_at`),
+  CONSTRAINT `refresh_tokens_ibfk_1` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Sin clave foránea a users: la revocación debe sobrevivir al borrado del usuario
+CREATE TABLE IF NOT EXISTS `revoked_tokens` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `session_id` char(36) NOT NULL,
+  `user_id` int DEFAULT NULL,
+  `reason` varchar(50) NOT NULL,
+  `expires_at` datetime NOT NULL,
+  `revoked_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `session_id` (`session_id`),
+  KEY `expires_at` (`expires_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
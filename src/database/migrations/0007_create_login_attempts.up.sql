@@ -0,0 +1,19 @@
+-- Historial de intentos de login (protección contra fuerza bruta)
+--
+-- result: success | failure | blocked | unlocked
+-- Los fallos se cuentan por cuenta (user_id, o el login tecleado si no existe)
+-- y por IP. Un 'success' o un desbloqueo de Admin ('unlocked') reinicia el conteo.
+-- Sin clave foránea a users: el historial se conserva al eliminar el usuario.
+
+CREATE TABLE IF NOT EXISTS `login_attempts` (
+  `id` bigint NOT NULL AUTO_INCREMENT,
+  `user_id` int DEFAULT NULL,
+  `login` varchar(200) NOT NULL,
+  `ip_address` varchar(45) DEFAULT NULL,
+  `result` varchar(20) NOT NULL,
+  `attempted_at` datetime(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  PRIMARY KEY (`id`),
+  KEY `user_attempts` (`user_id`, `attempted_at`),
+  KEY `login_attempts` (`login`, `attempted_at`),
+  KEY `ip_attempts` (`ip_address`, `attempted_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
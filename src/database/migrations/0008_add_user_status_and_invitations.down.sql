@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS `invitations`;
+
+ALTER TABLE `users`
+  DROP KEY `status`,
+  DROP COLUMN `status`;
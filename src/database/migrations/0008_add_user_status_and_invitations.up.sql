@@ -0,0 +1,27 @@
+-- Registro controlado: estado de la cuenta e invitaciones emitidas por Admin
+--
+-- users.status: active | pending (esperando aprobación) | rejected
+-- Los logins de cuentas no activas se registran en login_attempts con result = 'inactive'.
+-- Los códigos de invitación se guardan hasheados (SHA-256); el código en claro
+-- solo se muestra al crearlo.
+
+ALTER TABLE `users`
+  ADD COLUMN `status` varchar(20) NOT NULL DEFAULT 'active' AFTER `user_email`,
+  ADD KEY `status` (`status`);
+
+CREATE TABLE IF NOT EXISTS `invitations` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `code_hash` char(64) NOT NULL,
+  `role_id` int NOT NULL,
+  `email` varchar(200) DEFAULT NULL,
+  `created_by` int DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `expires_at` datetime NOT NULL,
+  `used_at` datetime DEFAULT NULL,
+  `used_by` int DEFAULT NULL,
+  `revoked_at` datetime DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `code_hash` (`code_hash`),
+  KEY `role_id` (`role_id`),
+  CONSTRAINT `invitations_ibfk_1` FOREIGN KEY (`role_id`) REFERENCES `roles` (`id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
@@ -0,0 +1,29 @@
+-- Autenticación en dos pasos (TOTP) y códigos de recuperación
+--
+-- user_two_factor.enabled_at es NULL mientras la inscripción no se confirma con un código.
+-- last_used_step guarda el último paso TOTP aceptado para impedir reutilizar un código.
+-- Los códigos de recuperación se guardan hasheados (SHA-256) y son de un solo uso.
+-- El paso de la contraseña de un usuario con 2FA se registra en login_attempts como 'challenge'.
+
+CREATE TABLE IF NOT EXISTS `user_two_factor` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  `secret` varchar(64) NOT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `enabled_at` datetime DEFAULT NULL,
+  `last_used_step` bigint DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `user_id` (`user_id`),
+  CONSTRAINT `user_two_factor_ibfk_1` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE IF NOT EXISTS `recovery_codes` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  `code_hash` char(64) NOT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `used_at` datetime DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  KEY `user_codes` (`user_id`, `code_hash`),
+  CONSTRAINT `recovery_codes_ibfk_1` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
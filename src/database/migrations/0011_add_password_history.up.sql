@@ -0,0 +1,20 @@
+-- Historial y caducidad de contraseñas
+--
+-- users.password_changed_at: último cambio de contraseña (las cuentas existentes
+-- parten de la fecha de la migración). Con PASSWORD_MAX_AGE_DAYS, los roles de
+-- PASSWORD_EXPIRY_ROLES deben cambiarla al caducar.
+-- password_history guarda los hashes bcrypt de las últimas PASSWORD_HISTORY_COUNT
+-- contraseñas para impedir su reutilización.
+
+ALTER TABLE `users`
+  ADD COLUMN `password_changed_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP AFTER `password_hash`;
+
+CREATE TABLE IF NOT EXISTS `password_history` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  `password_hash` varchar(255) NOT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `user_history` (`user_id`, `id`),
+  CONSTRAINT `password_history_ibfk_1` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
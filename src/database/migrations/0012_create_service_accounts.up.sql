@@ -0,0 +1,55 @@
+-- Cuentas de servicio para integraciones (escáneres de control, sistemas judiciales)
+--
+-- Cada cuenta tiene una lista de scopes (permisos 'recurso:acción' de la política
+-- central) y una o varias API keys. De cada key solo se guarda el hash (SHA-256)
+-- y un prefijo visible para identificarla; la key en claro se muestra al emitirla.
+-- Las keys caducan (expires_at) y pueden rotarse o revocarse.
+-- api_key_requests registra las peticiones hechas con API key, aparte del
+-- historial de las sesiones de usuarios.
+
+CREATE TABLE IF NOT EXISTS `service_accounts` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `name` varchar(100) NOT NULL,
+  `description` varchar(255) DEFAULT NULL,
+  `scopes` json NOT NULL,
+  `status` varchar(20) NOT NULL DEFAULT 'active',
+  `created_by` int DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `name` (`name`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE IF NOT EXISTS `api_keys` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `service_account_id` int NOT NULL,
+  `key_prefix` varchar(20) NOT NULL,
+  `key_hash` char(64) NOT NULL,
+  `created_by` int DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `expires_at` datetime NOT NULL,
+  `revoked_at` datetime DEFAULT NULL,
+  `last_used_at` datetime DEFAULT NULL,
+  `last_used_ip` varchar(45) DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `key_prefix` (`key_prefix`),
+  UNIQUE KEY `key_hash` (`key_hash`),
+  KEY `service_account_id` (`service_account_id`),
+  CONSTRAINT `api_keys_ibfk_1` FOREIGN KEY (`service_account_id`) REFERENCES `service_accounts` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE IF NOT EXISTS `api_key_requests` (
+  `id` bigint NOT NULL AUTO_INCREMENT,
+  `service_account_id` int NOT NULL,
+  `api_key_id` int NOT NULL,
+  `method` varchar(10) NOT NULL,
+  `path` varchar(255) NOT NULL,
+  `status_code` smallint NOT NULL,
+  `ip_address` varchar(45) DEFAULT NULL,
+  `requested_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `account_requests` (`service_account_id`, `requested_at`),
+  KEY `api_key_id` (`api_key_id`),
+  CONSTRAINT `api_key_requests_ibfk_1` FOREIGN KEY (`service_account_id`) REFERENCES `service_accounts` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `api_key_requests_ibfk_2` FOREIGN KEY (`api_key_id`) REFERENCES `api_keys` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
@@ -0,0 +1,31 @@
+-- Sesiones abiertas de cada usuario (para listarlas y cerrarlas en remoto)
+--
+-- Una fila por sesión (session_id, el claim sid de los access tokens) con la IP y
+-- el user-agent del login. last_seen_at / last_seen_ip se actualizan al renovar el
+-- token y, como mucho cada SESSION_TOUCH_INTERVAL_SECONDS, en las peticiones
+-- autenticadas. expires_at sigue la caducidad del último refresh token.
+-- Las sesiones abiertas antes de esta migración se recuperan de refresh_tokens.
+
+CREATE TABLE IF NOT EXISTS `user_sessions` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `session_id` char(36) NOT NULL,
+  `user_id` int NOT NULL,
+  `ip_address` varchar(45) DEFAULT NULL,
+  `user_agent` varchar(255) DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `last_seen_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `last_seen_ip` varchar(45) DEFAULT NULL,
+  `expires_at` datetime NOT NULL,
+  `revoked_at` datetime DEFAULT NULL,
+  `revoked_reason` varchar(50) DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `session_id` (`session_id`),
+  KEY `user_sessions` (`user_id`, `revoked_at`),
+  CONSTRAINT `user_sessions_ibfk_1` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+INSERT INTO `user_sessions` (`session_id`, `user_id`, `created_at`, `last_seen_at`, `expires_at`)
+SELECT `session_id`, `user_id`, MIN(`created_at`), MAX(`created_at`), MAX(`expires_at`)
+FROM `refresh_tokens`
+WHERE `revoked_at` IS NULL
+GROUP BY `session_id`, `user_id`;
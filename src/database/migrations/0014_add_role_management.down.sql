@@ -0,0 +1,7 @@
+ALTER TABLE `roles`
+  DROP COLUMN `retired_at`,
+  DROP COLUMN `updated_at`,
+  DROP COLUMN `created_at`,
+  DROP COLUMN `is_system`,
+  DROP COLUMN `permissions`,
+  DROP COLUMN `description`;
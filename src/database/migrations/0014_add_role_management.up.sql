@@ -0,0 +1,55 @@
+-- Gestión de roles desde la API
+--
+-- Cada rol guarda sus permisos ('recurso:acción' de la política central) en
+-- roles.permissions y authorize() los resuelve desde aquí en cada petición,
+-- de modo que se pueden crear roles nuevos (ej: Detective) sin cambiar código.
+-- Los roles existentes reciben los permisos que tenían en src/config/permissions.js.
+-- Admin es un rol de sistema: no se puede renombrar, retirar ni cambiar sus permisos.
+-- Los roles retirados (retired_at) conservan la fila para las invitaciones y el
+-- historial, pero no pueden asignarse ni conceden permisos.
+
+ALTER TABLE `roles`
+  ADD COLUMN `description` varchar(255) DEFAULT NULL AFTER `role_name`,
+  ADD COLUMN `permissions` json DEFAULT NULL AFTER `description`,
+  ADD COLUMN `is_system` tinyint(1) NOT NULL DEFAULT 0 AFTER `permissions`,
+  ADD COLUMN `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  ADD COLUMN `updated_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  ADD COLUMN `retired_at` datetime DEFAULT NULL;
+
+UPDATE `roles` SET `permissions` = JSON_ARRAY(
+  'citizens:read', 'citizens:create', 'citizens:update', 'citizens:delete',
+  'citizens:stats', 'records:read', 'records:create', 'records:update',
+  'records:delete', 'records:reports', 'citations:read', 'citations:create',
+  'citations:update', 'citations:delete', 'citations:reports', 'roles:read',
+  'roles:create', 'roles:update', 'roles:delete', 'users:read',
+  'users:create', 'users:delete', 'users:manage', 'users:unlock',
+  'users:approve', 'users:reset_2fa', 'users:sessions', 'invitations:read',
+  'invitations:create', 'invitations:delete', 'login_attempts:read', 'service_accounts:read',
+  'service_accounts:create', 'service_accounts:update', 'service_accounts:delete'
+) WHERE `role_name` = 'Admin';
+
+UPDATE `roles` SET `permissions` = JSON_ARRAY(
+  'citizens:read', 'citizens:stats', 'records:read', 'records:reports',
+  'citations:read', 'citations:reports', 'roles:read'
+) WHERE `role_name` = 'Commander';
+
+UPDATE `roles` SET `permissions` = JSON_ARRAY(
+  'citizens:read', 'citizens:stats', 'records:read', 'records:reports',
+  'citations:read', 'citations:reports'
+) WHERE `role_name` = 'General';
+
+UPDATE `roles` SET `permissions` = JSON_ARRAY(
+  'citizens:read', 'citizens:create', 'citizens:update', 'records:read',
+  'records:create', 'citations:read'
+) WHERE `role_name` = 'CourtClerk';
+
+UPDATE `roles` SET `permissions` = JSON_ARRAY(
+  'citizens:read', 'citizens:create', 'records:read', 'citations:read',
+  'citations:create'
+) WHERE `role_name` = 'PoliceOfficer';
+
+UPDATE `roles` SET `permissions` = JSON_ARRAY() WHERE `permissions` IS NULL;
+
+UPDATE `roles` SET `is_system` = 1 WHERE `role_name` = 'Admin';
+
+ALTER TABLE `roles` MODIFY COLUMN `permissions` json NOT NULL;
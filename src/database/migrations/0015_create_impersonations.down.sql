@@ -0,0 +1,10 @@
+UPDATE `roles`
+SET `permissions` = JSON_REMOVE(`permissions`, JSON_UNQUOTE(JSON_SEARCH(`permissions`, 'one', 'impersonations:read')))
+WHERE JSON_CONTAINS(`permissions`, '"impersonations:read"');
+
+UPDATE `roles`
+SET `permissions` = JSON_REMOVE(`permissions`, JSON_UNQUOTE(JSON_SEARCH(`permissions`, 'one', 'impersonations:create')))
+WHERE JSON_CONTAINS(`permissions`, '"impersonations:create"');
+
+DROP TABLE IF EXISTS `impersonation_requests`;
+DROP TABLE IF EXISTS `impersonations`;
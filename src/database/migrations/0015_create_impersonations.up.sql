@@ -0,0 +1,45 @@
+-- Suplantación de usuarios por los Admin (reproducir lo que ve un usuario)
+--
+-- Cada suplantación tiene su propio session_id (claim sid del token de
+-- suplantación) y guarda quién suplanta a quién, desde qué sesión y por qué.
+-- Los nombres de usuario se copian y no hay claves foráneas a users para que el
+-- rastro se conserve aunque se eliminen las cuentas.
+-- impersonation_requests registra cada petición hecha con el token de suplantación.
+-- Los permisos impersonations:read e impersonations:create se conceden al rol Admin.
+
+CREATE TABLE IF NOT EXISTS `impersonations` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `session_id` char(36) NOT NULL,
+  `admin_id` int NOT NULL,
+  `admin_username` varchar(50) NOT NULL,
+  `admin_session_id` char(36) NOT NULL,
+  `user_id` int NOT NULL,
+  `username` varchar(50) NOT NULL,
+  `role_name` varchar(50) NOT NULL,
+  `reason` varchar(255) DEFAULT NULL,
+  `ip_address` varchar(45) DEFAULT NULL,
+  `started_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `expires_at` datetime NOT NULL,
+  `ended_at` datetime DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `session_id` (`session_id`),
+  KEY `admin_impersonations` (`admin_id`, `started_at`),
+  KEY `user_impersonations` (`user_id`, `started_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE IF NOT EXISTS `impersonation_requests` (
+  `id` bigint NOT NULL AUTO_INCREMENT,
+  `impersonation_id` int NOT NULL,
+  `method` varchar(10) NOT NULL,
+  `path` varchar(255) NOT NULL,
+  `status_code` smallint NOT NULL,
+  `ip_address` varchar(45) DEFAULT NULL,
+  `requested_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `impersonation_requests` (`impersonation_id`, `id`),
+  CONSTRAINT `impersonation_requests_ibfk_1` FOREIGN KEY (`impersonation_id`) REFERENCES `impersonations` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+UPDATE `roles`
+SET `permissions` = JSON_ARRAY_APPEND(`permissions`, '$', 'impersonations:read', '$', 'impersonations:create')
+WHERE `role_name` = 'Admin' AND NOT JSON_CONTAINS(`permissions`, '"impersonations:create"');
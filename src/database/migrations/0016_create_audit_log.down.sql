@@ -0,0 +1,7 @@
+UPDATE `roles`
+SET `permissions` = JSON_REMOVE(`permissions`, JSON_UNQUOTE(JSON_SEARCH(`permissions`, 'one', 'audit:read')))
+WHERE JSON_CONTAINS(`permissions`, '"audit:read"');
+
+DROP TRIGGER IF EXISTS `audit_log_no_delete`;
+DROP TRIGGER IF EXISTS `audit_log_no_update`;
+DROP TABLE IF EXISTS `audit_log`;
@@ -0,0 +1,37 @@
+-- Registro de auditoría de las escrituras sobre ciudadanos, antecedentes,
+-- citaciones y usuarios
+--
+-- Cada fila guarda quién hizo el cambio (usuario o cuenta de servicio, con su
+-- rol en ese momento), la acción, la entidad afectada y el diff antes/después.
+-- Se escribe en la misma transacción que el cambio. No hay claves foráneas
+-- para que el rastro se conserve aunque se eliminen las entidades o el actor.
+-- Los triggers impiden modificar o borrar filas: el registro es de solo inserción.
+-- El permiso audit:read se concede al rol Admin.
+
+CREATE TABLE IF NOT EXISTS `audit_log` (
+  `id` bigint NOT NULL AUTO_INCREMENT,
+  `actor_type` enum('user','service_account','anonymous') NOT NULL,
+  `actor_id` int DEFAULT NULL,
+  `actor_username` varchar(100) DEFAULT NULL,
+  `actor_role` varchar(50) DEFAULT NULL,
+  `action` enum('create','update','delete') NOT NULL,
+  `entity` varchar(30) NOT NULL,
+  `entity_id` int NOT NULL,
+  `changes` json NOT NULL,
+  `ip_address` varchar(45) DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `entity_audit` (`entity`, `entity_id`, `id`),
+  KEY `actor_audit` (`actor_type`, `actor_id`, `id`),
+  KEY `created_audit` (`created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TRIGGER `audit_log_no_update` BEFORE UPDATE ON `audit_log`
+FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_log es de solo inserción';
+
+CREATE TRIGGER `audit_log_no_delete` BEFORE DELETE ON `audit_log`
+FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_log es de solo inserción';
+
+UPDATE `roles`
+SET `permissions` = JSON_ARRAY_APPEND(`permissions`, '$', 'audit:read')
+WHERE `role_name` = 'Admin' AND NOT JSON_CONTAINS(`permissions`, '"audit:read"');
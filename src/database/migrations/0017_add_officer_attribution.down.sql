@@ -0,0 +1,17 @@
+ALTER TABLE `citations`
+  DROP FOREIGN KEY `citations_issued_by_fk`,
+  DROP FOREIGN KEY `citations_updated_by_fk`,
+  DROP KEY `citations_issued_by`,
+  DROP KEY `citations_updated_by`,
+  DROP COLUMN `issued_by`,
+  DROP COLUMN `updated_by`,
+  DROP COLUMN `updated_at`;
+
+ALTER TABLE `criminal_records`
+  DROP FOREIGN KEY `criminal_records_issued_by_fk`,
+  DROP FOREIGN KEY `criminal_records_updated_by_fk`,
+  DROP KEY `records_issued_by`,
+  DROP KEY `records_updated_by`,
+  DROP COLUMN `issued_by`,
+  DROP COLUMN `updated_by`,
+  DROP COLUMN `updated_at`;
@@ -0,0 +1,25 @@
+-- Atribución de antecedentes penales y citaciones al usuario que los registra
+--
+-- issued_by: usuario que registró la fila (NULL si la registró una cuenta de servicio
+-- o si la fila es anterior a esta migración)
+-- updated_by / updated_at: último usuario que la modificó y cuándo
+-- Al eliminar un usuario se conserva la fila y se pierde la atribución
+-- (el registro de auditoría guarda el nombre de usuario).
+
+ALTER TABLE `criminal_records`
+  ADD COLUMN `issued_by` int DEFAULT NULL,
+  ADD COLUMN `updated_by` int DEFAULT NULL,
+  ADD COLUMN `updated_at` datetime DEFAULT NULL,
+  ADD KEY `records_issued_by` (`issued_by`),
+  ADD KEY `records_updated_by` (`updated_by`),
+  ADD CONSTRAINT `criminal_records_issued_by_fk` FOREIGN KEY (`issued_by`) REFERENCES `users` (`id`) ON DELETE SET NULL,
+  ADD CONSTRAINT `criminal_records_updated_by_fk` FOREIGN KEY (`updated_by`) REFERENCES `users` (`id`) ON DELETE SET NULL;
+
+ALTER TABLE `citations`
+  ADD COLUMN `issued_by` int DEFAULT NULL,
+  ADD COLUMN `updated_by` int DEFAULT NULL,
+  ADD COLUMN `updated_at` datetime DEFAULT NULL,
+  ADD KEY `citations_issued_by` (`issued_by`),
+  ADD KEY `citations_updated_by` (`updated_by`),
+  ADD CONSTRAINT `citations_issued_by_fk` FOREIGN KEY (`issued_by`) REFERENCES `users` (`id`) ON DELETE SET NULL,
+  ADD CONSTRAINT `citations_updated_by_fk` FOREIGN KEY (`updated_by`) REFERENCES `users` (`id`) ON DELETE SET NULL;
@@ -0,0 +1,38 @@
+-- La acción restore se conserva en audit_log: el registro es de solo inserción
+-- y puede contener entradas con esa acción.
+
+UPDATE `roles`
+SET `permissions` = JSON_REMOVE(`permissions`, JSON_UNQUOTE(JSON_SEARCH(`permissions`, 'one', 'citations:restore')))
+WHERE JSON_CONTAINS(`permissions`, '"citations:restore"');
+
+UPDATE `roles`
+SET `permissions` = JSON_REMOVE(`permissions`, JSON_UNQUOTE(JSON_SEARCH(`permissions`, 'one', 'records:restore')))
+WHERE JSON_CONTAINS(`permissions`, '"records:restore"');
+
+UPDATE `roles`
+SET `permissions` = JSON_REMOVE(`permissions`, JSON_UNQUOTE(JSON_SEARCH(`permissions`, 'one', 'citizens:restore')))
+WHERE JSON_CONTAINS(`permissions`, '"citizens:restore"');
+
+-- Las filas eliminadas lógicamente se borran: sin deleted_at volverían a ser visibles
+-- (los hijos antes que los ciudadanos por las claves foráneas)
+DELETE FROM `citations` WHERE `deleted_at` IS NOT NULL;
+DELETE FROM `criminal_records` WHERE `deleted_at` IS NOT NULL;
+DELETE FROM `citizens` WHERE `deleted_at` IS NOT NULL;
+
+ALTER TABLE `citations`
+  DROP FOREIGN KEY `citations_deleted_by_fk`,
+  DROP KEY `citations_deleted_at`,
+  DROP COLUMN `deleted_at`,
+  DROP COLUMN `deleted_by`;
+
+ALTER TABLE `criminal_records`
+  DROP FOREIGN KEY `criminal_records_deleted_by_fk`,
+  DROP KEY `records_deleted_at`,
+  DROP COLUMN `deleted_at`,
+  DROP COLUMN `deleted_by`;
+
+ALTER TABLE `citizens`
+  DROP FOREIGN KEY `citizens_deleted_by_fk`,
+  DROP KEY `citizens_deleted_at`,
+  DROP COLUMN `deleted_at`,
+  DROP COLUMN `deleted_by`;
@@ -0,0 +1,42 @@
+-- Borrado lógico de ciudadanos, antecedentes penales y citaciones
+--
+-- deleted_at / deleted_by: cuándo y quién eliminó la fila (NULL si está activa)
+-- Las consultas excluyen las filas eliminadas salvo que se pida include_deleted.
+-- Eliminar un ciudadano elimina con la misma fecha sus antecedentes y citaciones
+-- activos, y restaurarlo los restaura. Las filas eliminadas se borran físicamente
+-- al vencer su retención (npm run purge).
+-- El permiso recurso:restore (ver y restaurar eliminados) se concede al rol Admin
+-- y la acción restore se añade al registro de auditoría.
+
+ALTER TABLE `citizens`
+  ADD COLUMN `deleted_at` datetime DEFAULT NULL,
+  ADD COLUMN `deleted_by` int DEFAULT NULL,
+  ADD KEY `citizens_deleted_at` (`deleted_at`),
+  ADD CONSTRAINT `citizens_deleted_by_fk` FOREIGN KEY (`deleted_by`) REFERENCES `users` (`id`) ON DELETE SET NULL;
+
+ALTER TABLE `criminal_records`
+  ADD COLUMN `deleted_at` datetime DEFAULT NULL,
+  ADD COLUMN `deleted_by` int DEFAULT NULL,
+  ADD KEY `records_deleted_at` (`deleted_at`),
+  ADD CONSTRAINT `criminal_records_deleted_by_fk` FOREIGN KEY (`deleted_by`) REFERENCES `users` (`id`) ON DELETE SET NULL;
+
+ALTER TABLE `citations`
+  ADD COLUMN `deleted_at` datetime DEFAULT NULL,
+  ADD COLUMN `deleted_by` int DEFAULT NULL,
+  ADD KEY `citations_deleted_at` (`deleted_at`),
+  ADD CONSTRAINT `citations_deleted_by_fk` FOREIGN KEY (`deleted_by`) REFERENCES `users` (`id`) ON DELETE SET NULL;
+
+ALTER TABLE `audit_log`
+  MODIFY `action` enum('create','update','delete','restore') NOT NULL;
+
+UPDATE `roles`
+SET `permissions` = JSON_ARRAY_APPEND(`permissions`, '$', 'citizens:restore')
+WHERE `role_name` = 'Admin' AND NOT JSON_CONTAINS(`permissions`, '"citizens:restore"');
+
+UPDATE `roles`
+SET `permissions` = JSON_ARRAY_APPEND(`permissions`, '$', 'records:restore')
+WHERE `role_name` = 'Admin' AND NOT JSON_CONTAINS(`permissions`, '"records:restore"');
+
+UPDATE `roles`
+SET `permissions` = JSON_ARRAY_APPEND(`permissions`, '$', 'citations:restore')
+WHERE `role_name` = 'Admin' AND NOT JSON_CONTAINS(`permissions`, '"citations:restore"');
@@ -0,0 +1,9 @@
+DROP TRIGGER IF EXISTS `users_version`;
+DROP TRIGGER IF EXISTS `citations_version`;
+DROP TRIGGER IF EXISTS `criminal_records_version`;
+DROP TRIGGER IF EXISTS `citizens_version`;
+
+ALTER TABLE `users` DROP COLUMN `version`;
+ALTER TABLE `citations` DROP COLUMN `version`;
+ALTER TABLE `criminal_records` DROP COLUMN `version`;
+ALTER TABLE `citizens` DROP COLUMN `version`;
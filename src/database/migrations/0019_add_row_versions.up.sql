@@ -0,0 +1,30 @@
+-- Control de concurrencia optimista en ciudadanos, antecedentes penales,
+-- citaciones y usuarios
+--
+-- version: empieza en 1 y los triggers la incrementan en cada UPDATE (también
+-- en el borrado lógico y la restauración). La API la devuelve como ETag y exige
+-- If-Match en PUT/DELETE: si la versión no coincide responde 412.
+
+ALTER TABLE `citizens`
+  ADD COLUMN `version` int unsigned NOT NULL DEFAULT 1;
+
+ALTER TABLE `criminal_records`
+  ADD COLUMN `version` int unsigned NOT NULL DEFAULT 1;
+
+ALTER TABLE `citations`
+  ADD COLUMN `version` int unsigned NOT NULL DEFAULT 1;
+
+ALTER TABLE `users`
+  ADD COLUMN `version` int unsigned NOT NULL DEFAULT 1;
+
+CREATE TRIGGER `citizens_version` BEFORE UPDATE ON `citizens`
+FOR EACH ROW SET NEW.version = OLD.version + 1;
+
+CREATE TRIGGER `criminal_records_version` BEFORE UPDATE ON `criminal_records`
+FOR EACH ROW SET NEW.version = OLD.version + 1;
+
+CREATE TRIGGER `citations_version` BEFORE UPDATE ON `citations`
+FOR EACH ROW SET NEW.version = OLD.version + 1;
+
+CREATE TRIGGER `users_version` BEFORE UPDATE ON `users`
+FOR EACH ROW SET NEW.version = OLD.version + 1;
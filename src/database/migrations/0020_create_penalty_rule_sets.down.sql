@@ -0,0 +1,17 @@
+UPDATE `roles`
+SET `permissions` = JSON_REMOVE(`permissions`, JSON_UNQUOTE(JSON_SEARCH(`permissions`, 'one', 'penalty_rules:delete')))
+WHERE JSON_CONTAINS(`permissions`, '"penalty_rules:delete"');
+
+UPDATE `roles`
+SET `permissions` = JSON_REMOVE(`permissions`, JSON_UNQUOTE(JSON_SEARCH(`permissions`, 'one', 'penalty_rules:update')))
+WHERE JSON_CONTAINS(`permissions`, '"penalty_rules:update"');
+
+UPDATE `roles`
+SET `permissions` = JSON_REMOVE(`permissions`, JSON_UNQUOTE(JSON_SEARCH(`permissions`, 'one', 'penalty_rules:create')))
+WHERE JSON_CONTAINS(`permissions`, '"penalty_rules:create"');
+
+UPDATE `roles`
+SET `permissions` = JSON_REMOVE(`permissions`, JSON_UNQUOTE(JSON_SEARCH(`permissions`, 'one', 'penalty_rules:read')))
+WHERE JSON_CONTAINS(`permissions`, '"penalty_rules:read"');
+
+DROP TABLE IF EXISTS `penalty_rule_sets`;
@@ -0,0 +1,65 @@
+-- Reglas de sanción de las citaciones configurables
+--
+-- Cada fila es una versión del régimen de sanciones de un planeta (planet_id) o
+-- el régimen general (planet_id NULL), vigente entre effective_from y
+-- effective_to (NULL: sin fecha de fin). Las citaciones se evalúan con el régimen
+-- del planeta de residencia del ciudadano vigente en la fecha de la citación; si
+-- el planeta no tiene uno, con el general.
+--
+-- tiers: sanción de cada número de citación (1ª, 2ª, 3ª...)
+-- escalation: sanción a partir de la última tier, con jail_days creciente
+--
+-- La versión 1 del régimen general reproduce las sanciones fijas anteriores.
+-- Los permisos penalty_rules:* se conceden según src/config/permissions.js.
+
+CREATE TABLE IF NOT EXISTS `penalty_rule_sets` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `planet_id` int DEFAULT NULL,
+  `version` int unsigned NOT NULL,
+  `name` varchar(150) NOT NULL,
+  `tiers` json NOT NULL,
+  `escalation` json NOT NULL,
+  `effective_from` date NOT NULL,
+  `effective_to` date DEFAULT NULL,
+  `created_by` int DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `penalty_rule_sets_in_force` (`planet_id`, `effective_from`),
+  CONSTRAINT `penalty_rule_sets_planet_fk` FOREIGN KEY (`planet_id`) REFERENCES `planets` (`id`),
+  CONSTRAINT `penalty_rule_sets_created_by_fk` FOREIGN KEY (`created_by`) REFERENCES `users` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+INSERT INTO `penalty_rule_sets` (`planet_id`, `version`, `name`, `tiers`, `escalation`, `effective_from`) VALUES
+(NULL, 1, 'Régimen general de sanciones',
+  JSON_ARRAY(
+    JSON_OBJECT('citation_number', 1, 'fine_amount', 400, 'civic_course_hours', 48, 'civic_work_days', 0,
+      'jail_days', 0, 'creates_criminal_record', false,
+      'description', 'Primera amonestación: $400 + curso de 48 horas de normas cívicas'),
+    JSON_OBJECT('citation_number', 2, 'fine_amount', 400, 'civic_course_hours', 48, 'civic_work_days', 2,
+      'jail_days', 0, 'creates_criminal_record', false,
+      'description', 'Segunda amonestación: $400 + curso de 48 horas + 2 días de trabajo cívico'),
+    JSON_OBJECT('citation_number', 3, 'fine_amount', 400, 'civic_course_hours', 0, 'civic_work_days', 0,
+      'jail_days', 8, 'creates_criminal_record', true,
+      'description', 'Tercera amonestación: 8 días de cárcel + registro en antecedentes penales')
+  ),
+  JSON_OBJECT('fine_amount', 0, 'civic_course_hours', 0, 'civic_work_days', 0,
+    'base_jail_days', 15, 'jail_days_per_citation', 5, 'creates_criminal_record', true),
+  '2000-01-01');
+
+UPDATE `roles`
+SET `permissions` = JSON_ARRAY_APPEND(`permissions`, '$', 'penalty_rules:read')
+WHERE `role_name` IN ('Admin', 'Commander', 'General', 'CourtClerk', 'PoliceOfficer')
+  AND NOT JSON_CONTAINS(`permissions`, '"penalty_rules:read"');
+
+UPDATE `roles`
+SET `permissions` = JSON_ARRAY_APPEND(`permissions`, '$', 'penalty_rules:create')
+WHERE `role_name` = 'Admin' AND NOT JSON_CONTAINS(`permissions`, '"penalty_rules:create"');
+
+UPDATE `roles`
+SET `permissions` = JSON_ARRAY_APPEND(`permissions`, '$', 'penalty_rules:update')
+WHERE `role_name` = 'Admin' AND NOT JSON_CONTAINS(`permissions`, '"penalty_rules:update"');
+
+UPDATE `roles`
+SET `permissions` = JSON_ARRAY_APPEND(`permissions`, '$', 'penalty_rules:delete')
+WHERE `role_name` = 'Admin' AND NOT JSON_CONTAINS(`permissions`, '"penalty_rules:delete"');
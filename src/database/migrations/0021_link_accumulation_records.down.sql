@@ -0,0 +1,4 @@
+ALTER TABLE `criminal_records`
+  DROP FOREIGN KEY `criminal_records_source_citation_fk`,
+  DROP KEY `records_source_citation`,
+  DROP COLUMN `source_citation_id`;
@@ -0,0 +1,13 @@
+-- Enlace entre los antecedentes automáticos por acumulación de citaciones y la
+-- citación que los originó
+--
+-- source_citation_id: citación cuya penalización creó el antecedente. Permite
+-- recalcular las penalizaciones de un ciudadano al editar, eliminar o restaurar
+-- citaciones y retirar o restaurar su antecedente. Los antecedentes automáticos
+-- anteriores a esta migración quedan sin enlazar: el recálculo los enlaza.
+-- Al purgar la citación se conserva el antecedente sin enlace.
+
+ALTER TABLE `criminal_records`
+  ADD COLUMN `source_citation_id` bigint DEFAULT NULL AFTER `crime_type`,
+  ADD KEY `records_source_citation` (`source_citation_id`),
+  ADD CONSTRAINT `criminal_records_source_citation_fk` FOREIGN KEY (`source_citation_id`) REFERENCES `citations` (`id`) ON DELETE SET NULL;
@@ -0,0 +1,2 @@
+ALTER TABLE `penalty_rule_sets`
+  DROP COLUMN `lookback_years`;
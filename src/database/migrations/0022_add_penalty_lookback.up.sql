@@ -0,0 +1,9 @@
+-- Periodo de cómputo de las citaciones previas en los regímenes de sanción
+--
+-- lookback_years: una citación previa solo cuenta para la escalada si no tiene más
+-- de lookback_years años en la fecha de la nueva citación (NULL: cuentan todas).
+-- Las versiones existentes quedan sin periodo para no cambiar las sanciones ya
+-- impuestas; el periodo se fija publicando una versión nueva en /api/penalty-rules.
+
+ALTER TABLE `penalty_rule_sets`
+  ADD COLUMN `lookback_years` tinyint unsigned DEFAULT NULL AFTER `escalation`;
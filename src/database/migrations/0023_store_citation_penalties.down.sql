@@ -0,0 +1,10 @@
+ALTER TABLE `citations`
+  DROP FOREIGN KEY `citations_rule_set_fk`,
+  DROP KEY `citations_rule_set`,
+  DROP COLUMN `rule_set_version`,
+  DROP COLUMN `rule_set_id`,
+  DROP COLUMN `penalty_description`,
+  DROP COLUMN `jail_days`,
+  DROP COLUMN `civic_work_days`,
+  DROP COLUMN `civic_course_hours`,
+  DROP COLUMN `citation_number`;
@@ -0,0 +1,19 @@
+-- Detalle de la penalización guardado con cada citación
+--
+-- Hasta ahora solo se guardaba fine_amount; el resto de la penalización calculada
+-- (número de citación, curso, trabajo cívico, cárcel, descripción y versión del
+-- régimen aplicado) solo se devolvía al crear la citación.
+-- Las citaciones anteriores a esta migración quedan con el detalle a NULL: el
+-- recálculo (POST /api/citizens/:citizenId/citations/recalculate) lo completa.
+-- rule_set_id NULL con citation_number informado: régimen por defecto sin fila.
+
+ALTER TABLE `citations`
+  ADD COLUMN `citation_number` int unsigned DEFAULT NULL AFTER `fine_amount`,
+  ADD COLUMN `civic_course_hours` int unsigned DEFAULT NULL AFTER `citation_number`,
+  ADD COLUMN `civic_work_days` int unsigned DEFAULT NULL AFTER `civic_course_hours`,
+  ADD COLUMN `jail_days` int unsigned DEFAULT NULL AFTER `civic_work_days`,
+  ADD COLUMN `penalty_description` varchar(255) DEFAULT NULL AFTER `jail_days`,
+  ADD COLUMN `rule_set_id` int DEFAULT NULL AFTER `penalty_description`,
+  ADD COLUMN `rule_set_version` int unsigned DEFAULT NULL AFTER `rule_set_id`,
+  ADD KEY `citations_rule_set` (`rule_set_id`),
+  ADD CONSTRAINT `citations_rule_set_fk` FOREIGN KEY (`rule_set_id`) REFERENCES `penalty_rule_sets` (`id`) ON DELETE SET NULL;
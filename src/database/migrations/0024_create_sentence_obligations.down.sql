@@ -0,0 +1,14 @@
+UPDATE `roles`
+SET `permissions` = JSON_REMOVE(`permissions`, JSON_UNQUOTE(JSON_SEARCH(`permissions`, 'one', 'obligations:reports')))
+WHERE JSON_CONTAINS(`permissions`, '"obligations:reports"');
+
+UPDATE `roles`
+SET `permissions` = JSON_REMOVE(`permissions`, JSON_UNQUOTE(JSON_SEARCH(`permissions`, 'one', 'obligations:log')))
+WHERE JSON_CONTAINS(`permissions`, '"obligations:log"');
+
+UPDATE `roles`
+SET `permissions` = JSON_REMOVE(`permissions`, JSON_UNQUOTE(JSON_SEARCH(`permissions`, 'one', 'obligations:read')))
+WHERE JSON_CONTAINS(`permissions`, '"obligations:read"');
+
+DROP TABLE IF EXISTS `obligation_progress`;
+DROP TABLE IF EXISTS `sentence_obligations`;
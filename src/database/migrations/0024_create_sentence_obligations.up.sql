@@ -0,0 +1,56 @@
+-- Obligaciones de las sanciones de las citaciones y su cumplimiento
+--
+-- sentence_obligations: una fila por obligación de la citación (curso de normas
+-- cívicas en horas o trabajo cívico en días) con su plazo (due_date). Se crean y
+-- ajustan con la penalización guardada de la citación (migración 0023); si la
+-- penalización deja de incluirla se cancela (cancelled_at) sin perder lo registrado.
+-- completed_at se fija al completar required_amount. Está vencida la obligación
+-- sin completar ni cancelar con due_date anterior a hoy.
+--
+-- obligation_progress: horas o días cumplidos registrados por los agentes.
+--
+-- Las citaciones anteriores no tienen obligaciones hasta recalcular su ciudadano.
+-- Los permisos obligations:* se conceden según src/config/permissions.js.
+
+CREATE TABLE IF NOT EXISTS `sentence_obligations` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `citation_id` bigint NOT NULL,
+  `obligation_type` enum('civic_course','civic_work') NOT NULL,
+  `required_amount` int unsigned NOT NULL,
+  `completed_amount` int unsigned NOT NULL DEFAULT 0,
+  `due_date` date NOT NULL,
+  `completed_at` datetime DEFAULT NULL,
+  `cancelled_at` datetime DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `obligations_citation_type` (`citation_id`, `obligation_type`),
+  KEY `obligations_due` (`due_date`),
+  CONSTRAINT `sentence_obligations_citation_fk` FOREIGN KEY (`citation_id`) REFERENCES `citations` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE IF NOT EXISTS `obligation_progress` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `obligation_id` int NOT NULL,
+  `amount` int unsigned NOT NULL,
+  `notes` varchar(255) DEFAULT NULL,
+  `logged_by` int DEFAULT NULL,
+  `logged_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `progress_obligation` (`obligation_id`, `id`),
+  CONSTRAINT `obligation_progress_obligation_fk` FOREIGN KEY (`obligation_id`) REFERENCES `sentence_obligations` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `obligation_progress_logged_by_fk` FOREIGN KEY (`logged_by`) REFERENCES `users` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+UPDATE `roles`
+SET `permissions` = JSON_ARRAY_APPEND(`permissions`, '$', 'obligations:read')
+WHERE `role_name` IN ('Admin', 'Commander', 'General', 'CourtClerk', 'PoliceOfficer')
+  AND NOT JSON_CONTAINS(`permissions`, '"obligations:read"');
+
+UPDATE `roles`
+SET `permissions` = JSON_ARRAY_APPEND(`permissions`, '$', 'obligations:log')
+WHERE `role_name` IN ('Admin', 'PoliceOfficer') AND NOT JSON_CONTAINS(`permissions`, '"obligations:log"');
+
+UPDATE `roles`
+SET `permissions` = JSON_ARRAY_APPEND(`permissions`, '$', 'obligations:reports')
+WHERE `role_name` IN ('Admin', 'CourtClerk') AND NOT JSON_CONTAINS(`permissions`, '"obligations:reports"');
@@ -0,0 +1,230 @@
+import mysql from "mysql2/promise";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dbConfig } from "../config/Database.js";
+
+/**
+ * Ejecutor de migraciones versionadas del esquema
+ *
+ * Cada migración son dos archivos SQL numerados en src/database/migrations:
+ *   0006_add_something.up.sql   -> aplica el cambio
+ *   0006_add_something.down.sql -> lo revierte
+ *
+ * Las migraciones aplicadas se registran en la tabla schema_migrations.
+ * Se usa una conexión dedicada con multipleStatements para poder ejecutar
+ * archivos con varias sentencias, y un bloqueo con nombre de MySQL para
+ * evitar que dos procesos migren a la vez.
+ */
+
+export const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "migrations");
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+const LOCK_NAME = "interpolice_schema_migrations";
+const LOCK_TIMEOUT_SECONDS = 30;
+
+/**
+ * Abrir una conexión dedicada para migraciones
+ * @returns {Promise<Object>} Conexión de mysql2 con multipleStatements habilitado
+ */
+async function openMigrationConnection() {
+  return mysql.createConnection({
+    host: dbConfig.host,
+    user: dbConfig.user,
+    password: dbConfig.password,
+    database: dbConfig.database,
+    port: dbConfig.port,
+    multipleStatements: true
+  });
+}
+
+/**
+ * Crear la tabla de control de migraciones si no existe
+ * @param {Object} conn - Conexión de migraciones
+ */
+async function ensureMigrationsTable(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version varchar(20) NOT NULL,
+      name varchar(255) NOT NULL,
+      applied_at datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (version)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+  `);
+}
+
+/**
+ * Leer y validar los archivos de migración del directorio
+ * @param {string} directory - Directorio de migraciones
+ * @returns {Array<Object>} Migraciones ordenadas: { version, name, upFile, downFile }
+ */
+export function loadMigrations(directory = MIGRATIONS_DIR) {
+  const migrations = new Map();
+
+  for (const file of fs.readdirSync(directory)) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) continue;
+
+    const [, version, name, direction] = match;
+    const migration = migrations.get(version) || { version, name };
+
+    if (migration.name !== name) {
+      throw new Error(`La versión ${version} tiene archivos con nombres distintos (${migration.name} / ${name})`);
+    }
+
+    migration[direction === "up" ? "upFile" : "downFile"] = path.join(directory, file);
+    migrations.set(version, migration);
+  }
+
+  const sorted = [...migrations.values()].sort((a, b) => parseInt(a.version) - parseInt(b.version));
+
+  for (const migration of sorted) {
+    if (!migration.upFile || !migration.downFile) {
+      throw new Error(`La migración ${migration.version}_${migration.name} debe tener archivos .up.sql y .down.sql`);
+    }
+  }
+
+  return sorted;
+}
+
+/**
+ * Obtener las versiones ya aplicadas
+ * @param {Object} conn - Conexión de migraciones
+ * @returns {Promise<Array>} Filas de schema_migrations ordenadas por versión
+ */
+async function getAppliedMigrations(conn) {
+  const [rows] = await conn.query("SELECT version, name, applied_at FROM schema_migrations ORDER BY version");
+  return rows;
+}
+
+/**
+ * Ejecutar una operación con la conexión de migraciones y el bloqueo adquirido
+ * @param {Function} fn - Función asíncrona que recibe la conexión
+ * @returns {Promise<any>} Resultado de fn
+ */
+async function withMigrationLock(fn) {
+  const conn = await openMigrationConnection();
+
+  try {
+    const [[lock]] = await conn.query("SELECT GET_LOCK(?, ?) AS acquired", [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+    if (lock.acquired !== 1) {
+      throw new Error("No se pudo obtener el bloqueo de migraciones. ¿Hay otra migración en curso?");
+    }
+
+    try {
+      await ensureMigrationsTable(conn);
+      return await fn(conn);
+    } finally {
+      await conn.query("SELECT RELEASE_LOCK(?)", [LOCK_NAME]);
+    }
+  } finally {
+    await conn.end();
+  }
+}
+
+/**
+ * Aplicar las migraciones pendientes en orden
+ * Nota: MySQL confirma implícitamente las sentencias DDL, por lo que cada
+ * migración se registra justo después de ejecutarse.
+ * @param {Object} options - Opciones
+ * @param {string} options.to - Versión máxima a aplicar (opcional)
+ * @returns {Promise<Array>} Migraciones aplicadas
+ */
+export async function migrateUp(options = {}) {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async (conn) => {
+    const applied = new Set((await getAppliedMigrations(conn)).map(row => row.version));
+    const pending = migrations.filter(migration =>
+      !applied.has(migration.version) &&
+      (!options.to || parseInt(migration.version) <= parseInt(options.to))
+    );
+
+    for (const migration of pending) {
+      const sql = fs.readFileSync(migration.upFile, "utf8");
+      await conn.query(sql);
+      await conn.query(
+        "INSERT INTO schema_migrations (version, name) VALUES (?, ?)",
+        [migration.version, migration.name]
+      );
+      console.log(`⬆️  ${migration.version}_${migration.name}`);
+    }
+
+    return pending;
+  });
+}
+
+/**
+ * Revertir las últimas migraciones aplicadas
+ * @param {Object} options - Opciones
+ * @param {number} options.steps - Número de migraciones a revertir (por defecto 1)
+ * @returns {Promise<Array>} Migraciones revertidas
+ */
+export async function migrateDown(options = {}) {
+  const steps = options.steps || 1;
+  const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+
+  return withMigrationLock(async (conn) => {
+    const applied = await getAppliedMigrations(conn);
+    const toRevert = applied.slice(-steps).reverse();
+    const reverted = [];
+
+    for (const row of toRevert) {
+      const migration = migrations.get(row.version);
+      if (!migration) {
+        throw new Error(`No se encontraron los archivos de la migración aplicada ${row.version}_${row.name}`);
+      }
+
+      const sql = fs.readFileSync(migration.downFile, "utf8");
+      await conn.query(sql);
+      await conn.query("DELETE FROM schema_migrations WHERE version = ?", [row.version]);
+      console.log(`⬇️  ${migration.version}_${migration.name}`);
+      reverted.push(migration);
+    }
+
+    return reverted;
+  });
+}
+
+/**
+ * Obtener el estado de todas las migraciones
+ * @returns {Promise<Array>} Lista { version, name, applied, applied_at }
+ */
+export async function getMigrationStatus() {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async (conn) => {
+    const applied = new Map((await getAppliedMigrations(conn)).map(row => [row.version, row]));
+
+    return migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied: applied.has(migration.version),
+      applied_at: applied.get(migration.version)?.applied_at || null
+    }));
+  });
+}
+
+/**
+ * Crear los archivos vacíos de una nueva migración con el siguiente número
+ * @param {string} name - Nombre descriptivo (snake_case)
+ * @returns {Object} Rutas de los archivos creados
+ */
+export function createMigration(name) {
+  const normalizedName = String(name || "").toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "");
+  if (!normalizedName) {
+    throw new Error("Debes indicar un nombre para la migración");
+  }
+
+  const migrations = loadMigrations();
+  const lastVersion = migrations.length > 0 ? parseInt(migrations[migrations.length - 1].version) : 0;
+  const version = String(lastVersion + 1).padStart(4, "0");
+
+  const upFile = path.join(MIGRATIONS_DIR, `${version}_${normalizedName}.up.sql`);
+  const downFile = path.join(MIGRATIONS_DIR, `${version}_${normalizedName}.down.sql`);
+
+  fs.writeFileSync(upFile, `-- ${normalizedName}\n`);
+  fs.writeFileSync(downFile, `-- Revertir ${normalizedName}\n`);
+
+  return { version, upFile, downFile };
+}
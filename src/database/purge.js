@@ -0,0 +1,70 @@
+import { withTransaction } from "../repositories/index.js";
+import { deleteUploadedFile } from "../middlewares/upload.middleware.js";
+
+/**
+ * Purga de registros eliminados lógicamente
+ *
+ * Ciudadanos, antecedentes y citaciones eliminados se conservan (deleted_at)
+ * para poder restaurarlos. Pasado el periodo de retención se borran de forma
+ * definitiva: primero citaciones y antecedentes y luego los ciudadanos, que
+ * solo pueden estar eliminados si sus hijos también lo están. El avatar de un
+ * ciudadano purgado se borra después de confirmar la transacción.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Días de retención configurados (SOFT_DELETE_RETENTION_DAYS, por defecto 90)
+ * @returns {number} Días de retención
+ */
+export function getRetentionDays() {
+  const value = parseInt(process.env.SOFT_DELETE_RETENTION_DAYS);
+  return Number.isInteger(value) && value >= 0 ? value : 90;
+}
+
+/**
+ * Borrar definitivamente lo eliminado antes del periodo de retención
+ * @param {Object} [options]
+ * @param {number} [options.retentionDays] - Días que se conservan los eliminados
+ * @param {Date} [options.now] - Fecha de referencia (por defecto ahora)
+ * @param {boolean} [options.dryRun] - Solo contar, sin borrar nada
+ * @returns {Promise<Object>} Fecha de corte y registros purgados por tabla
+ */
+export async function purgeSoftDeleted({ retentionDays = getRetentionDays(), now = new Date(), dryRun = false } = {}) {
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+
+  const purged = await withTransaction(async (repositories) => {
+    const citations = await repositories.citations.findDeletedBefore(cutoff);
+    const records = await repositories.records.findDeletedBefore(cutoff);
+    const citizens = await repositories.citizens.findDeletedBefore(cutoff);
+
+    if (!dryRun) {
+      await repositories.citations.purgeDeletedBefore(cutoff);
+      await repositories.records.purgeDeletedBefore(cutoff);
+      await repositories.citizens.purgeDeletedBefore(cutoff);
+    }
+
+    return { citations, records, citizens };
+  });
+
+  if (!dryRun) {
+    for (const citizen of purged.citizens) {
+      if (!citizen.avatar_url || citizen.avatar_url.includes('default.png')) continue;
+      try {
+        await deleteUploadedFile(`public${citizen.avatar_url}`);
+      } catch (error) {
+        // El registro ya no existe; un avatar huérfano no invalida la purga
+        console.error('Error al eliminar imagen de avatar:', error);
+      }
+    }
+  }
+
+  return {
+    cutoff,
+    retention_days: retentionDays,
+    dry_run: dryRun,
+    citizens: purged.citizens.length,
+    criminal_records: purged.records.length,
+    citations: purged.citations.length
+  };
+}
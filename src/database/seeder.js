@@ -0,0 +1,360 @@
+import fs from "fs";
+import path from "path";
+import bcrypt from "bcryptjs";
+import connection, { withTransaction } from "../config/Database.js";
+import { assessPenalty, buildAccumulationRecord, citationPenaltyFields } from "../modules/citations/citations.model.js";
+import { resolvePenaltyRuleSetDB } from "../modules/penaltyRules/penaltyRules.model.js";
+import { planCitationObligations } from "../modules/obligations/obligations.model.js";
+import { createMysqlRepositories } from "../repositories/index.js";
+import { getPermissionsForRole, SYSTEM_ROLES } from "../config/permissions.js";
+import { createRandom } from "./seeds/random.js";
+import {
+  PLANETS,
+  PLANET_CRIME_WEIGHTS,
+  STATUSES,
+  ROLES,
+  FIRST_NAMES,
+  LAST_NAMES,
+  CRIME_TYPES,
+  CRIME_DESCRIPTIONS,
+  CITATION_DESCRIPTIONS,
+  AVATAR_COLORS
+} from "./seeds/data.js";
+
+/**
+ * Generador de datos de prueba reproducibles
+ *
+ * La generación (generateSeedData) es una función pura: con la misma semilla,
+ * cantidad de ciudadanos y fecha de referencia produce exactamente los mismos
+ * datos. La persistencia (runSeed) inserta esos datos en MySQL con la penalización
+ * del régimen vigente en el planeta de residencia y la fecha de cada citación
+ * (como createCitationDB), incluido el antecedente penal automático y las
+ * obligaciones de curso y trabajo cívico.
+ */
+
+const AVATARS_DIR = "public/uploads/avatars/seed";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Formatear una fecha como YYYY-MM-DD (UTC)
+ * @param {Date} date - Fecha a formatear
+ * @returns {string} Fecha formateada
+ */
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Generar el SVG del avatar de un ciudadano con sus iniciales
+ * @param {string} initials - Iniciales del ciudadano
+ * @param {string} color - Color de fondo
+ * @returns {string} Contenido SVG
+ */
+function buildAvatarSvg(initials, color) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="128" height="128" viewBox="0 0 128 128">` +
+    `<rect width="128" height="128" rx="64" fill="${color}"/>` +
+    `<text x="64" y="78" font-family="Arial, sans-serif" font-size="44" fill="#ffffff" text-anchor="middle">${initials}</text>` +
+    `</svg>\n`;
+}
+
+/**
+ * Número de citaciones de un ciudadano: la mayoría tiene pocas y unos
+ * cuantos reincidentes acumulan muchas (para /citations/top-offenders)
+ * @param {Object} random - Generador aleatorio
+ * @returns {number} Número de citaciones
+ */
+function pickCitationCount(random) {
+  return random.weighted([
+    { value: 0, weight: 30 },
+    { value: 1, weight: 25 },
+    { value: 2, weight: 18 },
+    { value: 3, weight: 12 },
+    { value: 4, weight: 8 },
+    { value: 5, weight: 4 },
+    { value: 6, weight: 3 }
+  ]);
+}
+
+/**
+ * Generar los datos de prueba sin tocar la base de datos
+ * @param {Object} options - Opciones de generación
+ * @param {number} options.seed - Semilla del generador aleatorio
+ * @param {number} options.citizens - Número de ciudadanos a generar
+ * @param {Date} options.referenceDate - Fecha "actual" de referencia para las fechas generadas
+ * @returns {Object} { planets, citizens, records, citations } con referencias por índice de ciudadano
+ */
+export function generateSeedData({ seed, citizens: citizenCount, referenceDate }) {
+  const random = createRandom(seed);
+  const reference = new Date(referenceDate);
+  const planetWeights = PLANETS.map(name => ({ value: name, weight: PLANET_CRIME_WEIGHTS[name] || 1 }));
+
+  const citizens = [];
+  const records = [];
+  const citations = [];
+
+  for (let index = 0; index < citizenCount; index++) {
+    const fullName = random.pick(FIRST_NAMES);
+    const lastName = random.pick(LAST_NAMES);
+    const sequence = String(index + 1).padStart(4, '0');
+    const age = random.int(18, 90);
+    const birthDate = new Date(reference.getTime() - (age * 365 + random.int(0, 364)) * DAY_MS);
+    const originPlanet = random.pick(PLANETS);
+    const residencePlanet = random.chance(0.7) ? originPlanet : random.pick(PLANETS);
+
+    citizens.push({
+      full_name: fullName,
+      last_name: lastName,
+      nick_name: `${fullName.normalize('NFD').replace(/[^a-zA-Z]/g, '').toLowerCase()}_${sequence}`,
+      birth_date: toDateString(birthDate),
+      origin_planet: originPlanet,
+      residence_planet: residencePlanet,
+      avatar_file: `citizen_${sequence}.svg`,
+      avatar_color: random.pick(AVATAR_COLORS),
+      qr_code: `IPQR-${seed}-${sequence}-${random.hex(8).toUpperCase()}`,
+      status_id: random.weighted([
+        { value: 2, weight: 85 }, // ALIVE
+        { value: 1, weight: 10 }, // DEAD
+        { value: 3, weight: 5 }   // FROZEN
+      ])
+    });
+
+    // Antecedentes penales directos (no relacionados con citaciones)
+    const recordCount = random.weighted([
+      { value: 0, weight: 60 },
+      { value: 1, weight: 25 },
+      { value: 2, weight: 10 },
+      { value: 3, weight: 5 }
+    ]);
+
+    for (let r = 0; r < recordCount; r++) {
+      const recordDate = new Date(reference.getTime() - random.int(1, 5 * 365) * DAY_MS);
+      records.push({
+        citizen: index,
+        date: toDateString(recordDate),
+        time: `${String(random.int(0, 23)).padStart(2, '0')}:${String(random.int(0, 59)).padStart(2, '0')}:00`,
+        location: random.weighted(planetWeights),
+        description: random.pick(CRIME_DESCRIPTIONS),
+        crime_type: random.pick(CRIME_TYPES)
+      });
+    }
+
+    // Historial de citaciones en orden cronológico dentro de los últimos 11 meses
+    const citationCount = pickCitationCount(random);
+    const citationDates = Array.from({ length: citationCount }, () =>
+      new Date(reference.getTime() - random.int(1, 330) * DAY_MS - random.int(0, DAY_MS - 1))
+    ).sort((a, b) => a - b);
+
+    // La penalización depende del régimen guardado en la base de datos: se calcula en runSeed
+    for (const date of citationDates) {
+      citations.push({
+        citizen: index,
+        date,
+        description: random.pick(CITATION_DESCRIPTIONS)
+      });
+    }
+  }
+
+  return { planets: [...PLANETS], citizens, records, citations };
+}
+
+/**
+ * Asegurar que existen los catálogos (planetas, estados y roles)
+ * @param {Object} conn - Conexión transaccional
+ * @param {string[]} planetNames - Planetas requeridos
+ * @returns {Promise<Map>} Mapa nombre de planeta -> ID
+ */
+async function ensureCatalogs(conn, planetNames) {
+  for (const status of STATUSES) {
+    await conn.query("INSERT IGNORE INTO statuses SET ?", [status]);
+  }
+
+  // Los roles predefinidos con sus permisos iniciales (si ya existen se respetan sus cambios)
+  for (const role of ROLES) {
+    await conn.query("INSERT IGNORE INTO roles SET ?", [{
+      ...role,
+      permissions: JSON.stringify(getPermissionsForRole(role.role_name)),
+      is_system: SYSTEM_ROLES.includes(role.role_name)
+    }]);
+  }
+
+  const [existing] = await conn.query("SELECT id, planet_name FROM planets");
+  const planetIds = new Map(existing.map(planet => [planet.planet_name, planet.id]));
+
+  for (const name of planetNames) {
+    if (!planetIds.has(name)) {
+      const [result] = await conn.query("INSERT INTO planets SET ?", [{ planet_name: name }]);
+      planetIds.set(name, result.insertId);
+    }
+  }
+
+  return planetIds;
+}
+
+/**
+ * Usuarios de demostración: uno por rol
+ * @returns {Array<Object>} Datos de los usuarios (sin hash)
+ */
+export function getDemoUsers() {
+  return ROLES.map(role => ({
+    username: `${role.role_name.toLowerCase()}_demo`,
+    user_email: `${role.role_name.toLowerCase()}@interpolice.test`,
+    role_id: role.id,
+    role_name: role.role_name
+  }));
+}
+
+/**
+ * Borrar los datos generados previamente (ciudadanos, antecedentes, citaciones y usuarios demo)
+ * Se reinician los contadores AUTO_INCREMENT para que los IDs sean reproducibles
+ */
+async function resetData() {
+  await withTransaction(async (conn) => {
+    await conn.query("DELETE FROM citations");
+    await conn.query("DELETE FROM criminal_records");
+    await conn.query("DELETE FROM citizens");
+    await conn.query("DELETE FROM users WHERE username IN (?)", [getDemoUsers().map(user => user.username)]);
+  });
+
+  // Las obligaciones y su progreso se borran en cascada con las citaciones
+  for (const table of ["obligation_progress", "sentence_obligations", "citations", "criminal_records", "citizens"]) {
+    await connection.query(`ALTER TABLE ${table} AUTO_INCREMENT = 1`);
+  }
+}
+
+/**
+ * Escribir los avatares SVG de los ciudadanos generados
+ * @param {Array<Object>} citizens - Ciudadanos generados
+ */
+function writeAvatars(citizens) {
+  fs.mkdirSync(AVATARS_DIR, { recursive: true });
+
+  for (const citizen of citizens) {
+    const initials = `${citizen.full_name[0]}${citizen.last_name[0]}`.toUpperCase();
+    fs.writeFileSync(path.join(AVATARS_DIR, citizen.avatar_file), buildAvatarSvg(initials, citizen.avatar_color));
+  }
+}
+
+/**
+ * Generar e insertar los datos de prueba
+ * @param {Object} options - Opciones
+ * @param {number} options.seed - Semilla del generador aleatorio
+ * @param {number} options.citizens - Número de ciudadanos
+ * @param {Date} options.referenceDate - Fecha de referencia
+ * @param {boolean} options.reset - Borrar los datos existentes antes de insertar
+ * @param {string} options.password - Contraseña de los usuarios demo
+ * @returns {Promise<Object>} Resumen de lo insertado
+ */
+export async function runSeed(options) {
+  if (options.reset) {
+    await resetData();
+  }
+
+  const [[{ total }]] = await connection.query("SELECT COUNT(*) as total FROM citizens");
+  if (total > 0) {
+    throw new Error("La tabla citizens ya tiene datos. Usa --reset para regenerar los datos de prueba");
+  }
+
+  const data = generateSeedData(options);
+  const passwordHash = bcrypt.hashSync(options.password, 12);
+
+  const summary = await withTransaction(async (conn) => {
+    const repositories = createMysqlRepositories(conn);
+    const planetIds = await ensureCatalogs(conn, data.planets);
+    const citizenIds = [];
+    const priorCitations = data.citizens.map(() => []);
+    let automaticRecords = 0;
+    let obligations = 0;
+
+    for (const citizen of data.citizens) {
+      const [result] = await conn.query("INSERT INTO citizens SET ?", [{
+        full_name: citizen.full_name,
+        last_name: citizen.last_name,
+        nick_name: citizen.nick_name,
+        birth_date: citizen.birth_date,
+        origin_planet: planetIds.get(citizen.origin_planet),
+        residence_planet: planetIds.get(citizen.residence_planet),
+        avatar_url: `/uploads/avatars/seed/${citizen.avatar_file}`,
+        qr_code: citizen.qr_code,
+        status_id: citizen.status_id
+      }]);
+      citizenIds.push(result.insertId);
+    }
+
+    for (const record of data.records) {
+      await conn.query("INSERT INTO criminal_records SET ?", [{
+        citizen_id: citizenIds[record.citizen],
+        date: record.date,
+        time: record.time,
+        location: planetIds.get(record.location),
+        description: record.description,
+        crime_type: record.crime_type
+      }]);
+    }
+
+    for (const citation of data.citations) {
+      const citizenId = citizenIds[citation.citizen];
+      const prior = priorCitations[citation.citizen];
+
+      // Régimen vigente en el planeta de residencia a la fecha de la citación (migración 0020)
+      const residencePlanet = planetIds.get(data.citizens[citation.citizen].residence_planet);
+      const ruleSet = await resolvePenaltyRuleSetDB(residencePlanet, citation.date, repositories);
+      const penalty = assessPenalty(prior, citation.date, ruleSet);
+
+      const newCitation = {
+        citizen_id: citizenId,
+        date: citation.date,
+        description: citation.description,
+        ...citationPenaltyFields(penalty)
+      };
+      const [citationResult] = await conn.query("INSERT INTO citations SET ?", [newCitation]);
+      prior.push({ id: citationResult.insertId, date: citation.date });
+
+      // Misma regla que createCitationDB: a partir de la 3ª citación se crea un antecedente
+      // enlazado a la citación que lo origina
+      if (penalty.creates_criminal_record) {
+        await conn.query("INSERT INTO criminal_records SET ?", [{
+          ...buildAccumulationRecord(citizenId, penalty, citation.description, citation.date),
+          source_citation_id: citationResult.insertId
+        }]);
+        automaticRecords++;
+      }
+
+      // Obligaciones de curso y trabajo cívico (sin auditoría, como el resto de los datos sembrados)
+      for (const entry of await planCitationObligations(repositories, { ...newCitation, id: citationResult.insertId })) {
+        await repositories.obligations.insert({
+          citation_id: entry.citation_id,
+          obligation_type: entry.obligation_type,
+          ...entry.changes
+        });
+        obligations++;
+      }
+    }
+
+    const users = getDemoUsers();
+    for (const user of users) {
+      await conn.query(
+        "INSERT INTO users SET ? ON DUPLICATE KEY UPDATE password_hash = VALUES(password_hash), role_id = VALUES(role_id)",
+        [{
+          username: user.username,
+          user_email: user.user_email,
+          password_hash: passwordHash,
+          role_id: user.role_id
+        }]
+      );
+    }
+
+    return {
+      planets: planetIds.size,
+      citizens: citizenIds.length,
+      criminal_records: data.records.length + automaticRecords,
+      automatic_criminal_records: automaticRecords,
+      citations: data.citations.length,
+      sentence_obligations: obligations,
+      users: users.map(user => `${user.username} (${user.role_name})`)
+    };
+  });
+
+  writeAvatars(data.citizens);
+
+  return summary;
+}
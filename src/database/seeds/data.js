@@ -0,0 +1,80 @@
+/**
+ * Catálogos base para la generación de datos de prueba
+ * Los nombres solo usan letras y espacios para cumplir con citizens.validation.js
+ */
+
+export const PLANETS = [
+  'Tierra', 'Marte', 'Venus', 'Júpiter', 'Saturno', 'Titán', 'Europa', 'Ganímedes'
+];
+
+// Pesos de criminalidad por planeta (más peso => más antecedentes en ese planeta)
+export const PLANET_CRIME_WEIGHTS = {
+  'Tierra': 6,
+  'Marte': 9,
+  'Venus': 2,
+  'Júpiter': 3,
+  'Saturno': 1,
+  'Titán': 5,
+  'Europa': 2,
+  'Ganímedes': 4
+};
+
+export const STATUSES = [
+  { id: 1, status_name: 'DEAD', description: null },
+  { id: 2, status_name: 'ALIVE', description: null },
+  { id: 3, status_name: 'FROZEN', description: null }
+];
+
+export const ROLES = [
+  { id: 4, role_name: 'Admin' },
+  { id: 5, role_name: 'Commander' },
+  { id: 6, role_name: 'General' },
+  { id: 7, role_name: 'CourtClerk' },
+  { id: 8, role_name: 'PoliceOfficer' }
+];
+
+export const FIRST_NAMES = [
+  'Ana', 'Bruno', 'Carla', 'Diego', 'Elena', 'Fabio', 'Gala', 'Hugo', 'Irene', 'Jorge',
+  'Karen', 'Luis', 'Marta', 'Nico', 'Olga', 'Pablo', 'Quira', 'Rosa', 'Sergio', 'Tania',
+  'Ulises', 'Vera', 'Walter', 'Ximena', 'Yago', 'Zoe', 'Lucía', 'Tomás', 'Inés', 'Ramón'
+];
+
+export const LAST_NAMES = [
+  'García', 'Rodríguez', 'López', 'Martínez', 'Sánchez', 'Pérez', 'Gómez', 'Díaz',
+  'Vargas', 'Castro', 'Ortega', 'Rubio', 'Molina', 'Herrera', 'Navarro', 'Romero',
+  'Orion', 'Vega', 'Nova', 'Estrella'
+];
+
+export const CRIME_TYPES = [
+  'Robo', 'Hurto', 'Contrabando', 'Fraude', 'Agresión', 'Vandalismo',
+  'Tráfico de especies', 'Piratería espacial', 'Evasión de aduanas', 'Delito menor'
+];
+
+export const CRIME_DESCRIPTIONS = [
+  'Sustracción de mercancía en un puerto de carga',
+  'Altercado violento en una cantina del distrito orbital',
+  'Transporte de mercancía no declarada en bodega oculta',
+  'Falsificación de permisos de tránsito interplanetario',
+  'Daños intencionados a una estación de transporte público',
+  'Acceso no autorizado a un almacén restringido',
+  'Desvío de fondos de una cooperativa minera'
+];
+
+// Descripciones de citaciones que contienen infracciones menores reconocidas por la validación
+export const CITATION_DESCRIPTIONS = [
+  'Ruido excesivo con música a alto volumen en zona residencial',
+  'Tirar basura en la vía pública frente al mercado central',
+  'Fumar en un área pública señalizada como libre de humo',
+  'Estacionamiento indebido de nave en zona de carga',
+  'Exceso de velocidad con bicicleta en zona peatonal',
+  'Escupir en el andén de la estación de transporte',
+  'Pasear mascota sin correa en parque público',
+  'Beber alcohol en la vía pública durante horario restringido',
+  'Graffiti en muro de un edificio público',
+  'Alteración del orden público durante un evento nocturno'
+];
+
+// Colores de fondo para los avatares generados
+export const AVATAR_COLORS = [
+  '#1abc9c', '#3498db', '#9b59b6', '#e67e22', '#e74c3c', '#2c3e50', '#16a085', '#8e44ad'
+];
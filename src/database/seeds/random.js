@@ -0,0 +1,47 @@
+/**
+ * Generador de números pseudoaleatorios con semilla (mulberry32)
+ * Misma semilla => misma secuencia, lo que hace reproducibles los datos de prueba
+ */
+
+/**
+ * Crear un generador aleatorio a partir de una semilla numérica
+ * @param {number} seed - Semilla entera
+ * @returns {Object} Helpers de generación: next, int, pick, weighted, chance, hex
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+
+  // Devuelve un número en [0, 1)
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  // Entero en [min, max] (ambos incluidos)
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+
+  // Elemento aleatorio de un arreglo
+  const pick = (items) => items[int(0, items.length - 1)];
+
+  // Elemento según pesos: [{ value, weight }]
+  const weighted = (options) => {
+    const total = options.reduce((sum, option) => sum + option.weight, 0);
+    let threshold = next() * total;
+    for (const option of options) {
+      threshold -= option.weight;
+      if (threshold < 0) return option.value;
+    }
+    return options[options.length - 1].value;
+  };
+
+  // True con la probabilidad indicada
+  const chance = (probability) => next() < probability;
+
+  // Cadena hexadecimal de la longitud indicada
+  const hex = (length) => Array.from({ length }, () => int(0, 15).toString(16)).join('');
+
+  return { next, int, pick, weighted, chance, hex };
+}
@@ -0,0 +1,54 @@
+import { mailConfig } from "../config/mail.js";
+import { createSmtpTransport } from "./transports/smtp.transport.js";
+import { createFileTransport } from "./transports/file.transport.js";
+import { createConsoleTransport } from "./transports/console.transport.js";
+
+/**
+ * Envío de correo independiente del transporte
+ *
+ * Todos los transportes exponen la misma interfaz: { name, send({ from, to, subject, text }) }
+ * y devuelven { messageId }. El transporte se elige con MAIL_TRANSPORT:
+ * - smtp: servidor SMTP (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD)
+ * - file: un .eml por mensaje en MAIL_FILE_DIR
+ * - console: imprime los mensajes (desarrollo)
+ */
+
+let transport = null;
+
+/**
+ * Crear un transporte de correo
+ * @param {Object} config - Configuración con la forma de mailConfig
+ * @returns {Object} Transporte { name, send(message) }
+ */
+export function createMailTransport(config) {
+  switch (config.transport) {
+    case "smtp":
+      return createSmtpTransport(config.smtp);
+    case "file":
+      return createFileTransport({ dir: config.fileDir });
+    case "console":
+      return createConsoleTransport();
+    default:
+      throw new Error(`Transporte de correo no soportado: ${config.transport}`);
+  }
+}
+
+/**
+ * Obtener el transporte configurado (se crea bajo demanda)
+ * @returns {Object} Transporte de correo
+ */
+export function getMailTransport() {
+  if (!transport) {
+    transport = createMailTransport(mailConfig);
+  }
+  return transport;
+}
+
+/**
+ * Enviar un correo con el transporte configurado
+ * @param {Object} message - { to, subject, text } (from por defecto: MAIL_FROM)
+ * @returns {Promise<Object>} { messageId }
+ */
+export async function sendMail(message) {
+  return getMailTransport().send({ from: mailConfig.from, ...message });
+}
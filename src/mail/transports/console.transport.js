@@ -0,0 +1,19 @@
+import crypto from "crypto";
+import { formatMessage } from "./file.transport.js";
+
+/**
+ * Transporte de correo a la consola: imprime el mensaje en lugar de enviarlo
+ * Solo para desarrollo: los mensajes pueden contener tokens de un solo uso
+ * @returns {Object} Transporte { name, send(message) }
+ */
+export function createConsoleTransport() {
+  return {
+    name: "console",
+
+    async send(message) {
+      const messageId = `<${crypto.randomUUID()}@interpolice.local>`;
+      console.log(`📧 Correo (MAIL_TRANSPORT=console)\n${formatMessage(message, messageId)}\n`);
+      return { messageId };
+    }
+  };
+}
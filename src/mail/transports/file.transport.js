@@ -0,0 +1,44 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+/**
+ * Construir el texto .eml de un mensaje
+ * @param {Object} message - { from, to, subject, text }
+ * @param {string} messageId - Identificador del mensaje
+ * @returns {string} Mensaje con cabeceras
+ */
+export function formatMessage(message, messageId) {
+  return [
+    `Message-ID: ${messageId}`,
+    `Date: ${new Date().toUTCString()}`,
+    `From: ${message.from}`,
+    `To: ${message.to}`,
+    `Subject: ${message.subject}`,
+    "Content-Type: text/plain; charset=utf-8",
+    "",
+    message.text
+  ].join("\r\n");
+}
+
+/**
+ * Transporte de correo a archivos: cada mensaje se guarda como .eml en un directorio
+ * Pensado para entornos sin servidor de correo (desarrollo, redes aisladas)
+ * @param {Object} options - { dir }
+ * @returns {Object} Transporte { name, send(message) }
+ */
+export function createFileTransport(options) {
+  return {
+    name: "file",
+
+    async send(message) {
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+      const messageId = `<${id}@interpolice.local>`;
+
+      await fs.mkdir(options.dir, { recursive: true });
+      await fs.writeFile(path.join(options.dir, `${id}.eml`), formatMessage(message, messageId), "utf8");
+
+      return { messageId };
+    }
+  };
+}
@@ -0,0 +1,28 @@
+import nodemailer from "nodemailer";
+
+/**
+ * Transporte de correo por SMTP (nodemailer)
+ * @param {Object} options - { host, port, secure, user, password }
+ * @returns {Object} Transporte { name, send(message) }
+ */
+export function createSmtpTransport(options) {
+  if (!options.host) {
+    throw new Error("MAIL_TRANSPORT=smtp requiere SMTP_HOST");
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: options.host,
+    port: options.port,
+    secure: options.secure,
+    auth: options.user ? { user: options.user, pass: options.password } : undefined
+  });
+
+  return {
+    name: "smtp",
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+}
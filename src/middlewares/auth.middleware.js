@@ -1,56 +1,298 @@
 import jwt from 'jsonwebtoken';
+import { isKnownPermission } from '../config/permissions.js';
+import { authConfig } from '../config/auth.js';
+import {
+  isSessionRevokedDB,
+  touchSessionDB,
+  getRolePermissionsDB,
+  getActiveImpersonationDB,
+  logImpersonatedRequestDB,
+  authenticateApiKeyDB,
+  logApiKeyRequestDB,
+  PENDING_ACTIONS
+} from '../modules/auth/auth.model.js';
+
+// Response for tokens with pending actions, by action (see getPendingActionsDB)
+const PENDING_ACTION_RESPONSES = {
+  [PENDING_ACTIONS.TWO_FACTOR_ENROLLMENT]: {
+    flag: 'two_factor_enrollment_required',
+    message: 'Tu rol requiere autenticación en dos pasos. Actívala en /api/auth/2fa antes de continuar'
+  },
+  [PENDING_ACTIONS.PASSWORD_CHANGE]: {
+    flag: 'password_change_required',
+    message: 'Tu contraseña ha caducado. Cámbiala en /api/auth/users/:id/password antes de continuar'
+  }
+};
+
+// Methods allowed with an impersonation token (impersonation is read-only)
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
 
 /**
- * Authentication Middleware: Verifies JWT token
- * 
- * This middleware:
- * 1. Checks for Authorization header with Bearer token
- * 2. Verifies the JWT token using the secret
- * 3. Adds user information to req.user for subsequent middlewares
- * 4. Returns 401 Unauthorized if token is invalid or missing
+ * Extract a service account API key from the request
+ * Accepted as "X-API-Key: KEY" or "Authorization: ApiKey KEY"
+ *
+ * @param {Request} req - Express request
+ * @returns {string|null} API key or null if the request does not carry one
  */
-export const authenticateToken = (req, res, next) => {
+const getApiKey = (req) => {
+  if (req.headers['x-api-key']) {
+    return req.headers['x-api-key'];
+  }
+
+  const [scheme, value] = (req.headers['authorization'] || '').split(' ');
+  return scheme === 'ApiKey' && value ? value : null;
+};
+
+/**
+ * Authenticate a request made by a service account with an API key
+ *
+ * 1. Rejects unknown, revoked or expired keys and disabled accounts (401)
+ * 2. Logs the request in api_key_requests once the response is sent,
+ *    apart from the history of user sessions
+ * 3. Adds the service account to req.user (no role: authorize() checks its scopes)
+ */
+const authenticateServiceAccount = async (req, res, next, apiKey) => {
+  let serviceAccount;
   try {
-    // Get the authorization header
-    const authHeader = req.headers['authorization'];
-    
-    // Extract token from "Bearer TOKEN_VALUE" format
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
-    
-    if (!token) {
-      return res.status(401).json({
+    serviceAccount = await authenticateApiKeyDB(apiKey, { ip: req.ip });
+  } catch (error) {
+    console.error('Error al verificar la API key:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Error interno del servidor al verificar la API key'
+    });
+  }
+
+  if (!serviceAccount) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'API key inválida, revocada o caducada'
+    });
+  }
+
+  res.on('finish', () => {
+    logApiKeyRequestDB({
+      service_account_id: serviceAccount.service_account_id,
+      api_key_id: serviceAccount.api_key_id,
+      method: req.method,
+      path: req.originalUrl,
+      status_code: res.statusCode,
+      ip_address: req.ip || null
+    }).catch(error => console.error('Error al registrar la petición con API key:', error));
+  });
+
+  req.user = {
+    id: null,
+    username: serviceAccount.service_account_name,
+    role: null,
+    email: null,
+    session_id: null,
+    pending_actions: [],
+    type: 'service_account',
+    service_account_id: serviceAccount.service_account_id,
+    api_key_id: serviceAccount.api_key_id,
+    scopes: serviceAccount.scopes
+  };
+
+  next();
+};
+
+/**
+ * Build the authentication middleware
+ *
+ * The middleware:
+ * 1. Delegates requests with a service account API key to authenticateServiceAccount
+ *    (403 on the routes that only accept user sessions)
+ * 2. Checks for Authorization header with Bearer token
+ * 3. Verifies the JWT token using the secret
+ * 4. Rejects tokens whose session (sid claim) is in the revocation list
+ *    and records the session activity (last seen time and IP)
+ * 5. For impersonation tokens (imp claim): rejects them once the impersonation ended,
+ *    logs every request in impersonation_requests and blocks the methods that modify data
+ * 6. Rejects tokens with pending actions (pending claim: 2FA enrollment, expired password)
+ *    unless the route allows one of them
+ * 7. Adds user information to req.user for subsequent middlewares
+ * 8. Returns 401 Unauthorized if token is invalid, revoked or missing
+ *
+ * @param {Object} options - Route options
+ * @param {string[]} options.allowedPendingActions - Pending actions that this route resolves
+ * @param {boolean} options.allowApiKeys - Whether service account API keys are accepted
+ * @param {boolean} options.impersonationOnly - Only impersonation tokens are accepted (any method)
+ * @returns {Function} Middleware function that authenticates the request
+ */
+const createAuthenticateToken = ({
+  allowedPendingActions = [],
+  allowApiKeys = true,
+  impersonationOnly = false
+} = {}) => async (req, res, next) => {
+  const apiKey = getApiKey(req);
+  if (apiKey) {
+    if (!allowApiKeys) {
+      return res.status(403).json({
         status: 'error',
-        message: 'Token de acceso requerido'
+        message: 'Esta ruta requiere la sesión de un usuario; las API keys no tienen acceso'
       });
     }
-    
+    return authenticateServiceAccount(req, res, next, apiKey);
+  }
+
+  // Get the authorization header
+  const authHeader = req.headers['authorization'];
+  
+  // Extract token from "Bearer TOKEN_VALUE" format
+  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+  
+  if (!token) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Token de acceso requerido'
+    });
+  }
+  
+  let decoded;
+  try {
     // Verify the token using the secret key from environment variables
-    jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-      if (err) {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Token inválido o expirado'
+    });
+  }
+  
+  // Every access token belongs to a session; tokens without one cannot be revoked
+  if (!decoded.sid) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Token inválido o expirado'
+    });
+  }
+  
+  let impersonation = null;
+  try {
+    if (await isSessionRevokedDB(decoded.sid)) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Token revocado. Inicia sesión nuevamente'
+      });
+    }
+
+    if (decoded.imp) {
+      // Ends when it expires, when it is stopped or when the Admin session is closed
+      impersonation = await getActiveImpersonationDB(decoded.sid);
+      if (!impersonation) {
         return res.status(401).json({
           status: 'error',
-          message: 'Token inválido o expirado'
+          message: 'La suplantación ha terminado. Vuelve a tu sesión'
         });
       }
-      
-      // Add user information to request object
-      // The token payload should contain: { id, username, role, email }
-      req.user = {
-        id: decoded.id,
-        username: decoded.username,
-        role: decoded.role,
-        email: decoded.email
-      };
-      
-      next(); // Proceed to next middleware or route handler
-    });
-    
+    } else {
+      // Keep last_seen_at of the session listing up to date (throttled in the model)
+      await touchSessionDB(decoded.sid, req.ip);
+    }
   } catch (error) {
-    return res.status(401).json({
+    console.error('Error al verificar la revocación del token:', error);
+    return res.status(500).json({
       status: 'error',
-      message: 'Error de autenticación'
+      message: 'Error interno del servidor al verificar el token'
     });
   }
+  
+  if (impersonationOnly && !impersonation) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Esta ruta requiere un token de suplantación'
+    });
+  }
+
+  if (impersonation) {
+    // Every request made while impersonating is logged, blocked ones included
+    res.on('finish', () => {
+      logImpersonatedRequestDB({
+        impersonation_id: impersonation.id,
+        method: req.method,
+        path: req.originalUrl,
+        status_code: res.statusCode,
+        ip_address: req.ip || null
+      }).catch(error => console.error('Error al registrar la petición suplantada:', error));
+    });
+
+    if (!impersonationOnly && !SAFE_METHODS.includes(req.method)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Acción bloqueada durante la suplantación: solo se permiten consultas',
+        impersonating: true
+      });
+    }
+  }
+
+  // Users with pending actions can only reach the routes that resolve them
+  const pendingActions = Array.isArray(decoded.pending) ? decoded.pending : [];
+  if (pendingActions.length > 0 && !pendingActions.some(action => allowedPendingActions.includes(action))) {
+    const flags = Object.fromEntries(
+      pendingActions.map(action => [PENDING_ACTION_RESPONSES[action].flag, true])
+    );
+    return res.status(403).json({
+      status: 'error',
+      message: PENDING_ACTION_RESPONSES[pendingActions[0]].message,
+      ...flags
+    });
+  }
+  
+  // Add user information to request object
+  // The token payload contains: { id, username, role, email, sid, pending?, imp? }
+  // While impersonating, req.user is the impersonated user and req.user.impersonator the Admin
+  req.user = {
+    id: decoded.id,
+    username: decoded.username,
+    role: decoded.role,
+    email: decoded.email,
+    session_id: decoded.sid,
+    pending_actions: pendingActions,
+    type: 'user',
+    ...(impersonation && {
+      impersonation_id: impersonation.id,
+      impersonator: { id: impersonation.admin_id, username: impersonation.admin_username }
+    })
+  };
+  
+  next(); // Proceed to next middleware or route handler
+};
+
+/**
+ * Authentication Middleware: Verifies JWT token or service account API key
+ * Used by every protected route
+ */
+export const authenticateToken = createAuthenticateToken();
+
+/**
+ * Authentication Middleware for the routes about the caller's own account
+ * (profile, 2FA, password...): same as authenticateToken, but without API keys
+ */
+export const authenticateUser = createAuthenticateToken({ allowApiKeys: false });
+
+/**
+ * Authentication Middleware for the routes that manage the impersonation itself (stop it):
+ * only accepts impersonation tokens, and also for methods that modify data
+ */
+export const authenticateImpersonation = createAuthenticateToken({ allowApiKeys: false, impersonationOnly: true });
+
+/**
+ * Authentication Middleware for the routes that resolve pending actions
+ * Same checks as authenticateUser, but also accepts tokens with one of the given pending actions
+ *
+ * Usage: authenticateTokenAllowing(PENDING_ACTIONS.PASSWORD_CHANGE)
+ *
+ * @param {...string} actions - Pending actions (see PENDING_ACTIONS)
+ * @returns {Function} Middleware function that authenticates the request
+ */
+export const authenticateTokenAllowing = (...actions) => {
+  for (const action of actions) {
+    if (!PENDING_ACTION_RESPONSES[action]) {
+      throw new Error(`Acción pendiente desconocida: ${action}`);
+    }
+  }
+  return createAuthenticateToken({ allowedPendingActions: actions, allowApiKeys: false });
 };
 
 /**
@@ -67,6 +309,14 @@ export const authenticateToken = (req, res, next) => {
 export const authorizeRole = (allowedRoles) => {
   return (req, res, next) => {
     try {
+      // Service accounts have scopes instead of a role
+      if (req.user && req.user.type === 'service_account') {
+        return res.status(403).json({
+          status: 'error',
+          message: `Acceso denegado. Roles requeridos: ${allowedRoles.join(', ')}. Las cuentas de servicio no tienen rol`
+        });
+      }
+
       // Check if user was authenticated (should have req.user from authenticateToken)
       if (!req.user || !req.user.role) {
         return res.status(401).json({
@@ -95,15 +345,132 @@ export const authorizeRole = (allowedRoles) => {
   };
 };
 
+/**
+ * Authorization Middleware Generator: Checks a "resource:action" permission
+ *
+ * The permissions of each role are stored in the roles table (managed in
+ * /api/auth/roles) and resolved on every request, so new roles and permission
+ * changes apply without code changes or new tokens.
+ * Unknown permissions (not in src/config/permissions.js) throw when the route
+ * is defined, so typos fail at startup.
+ *
+ * Usage: authorize('records:update')
+ *
+ * @param {string} permission - Permission in "resource:action" format
+ * @returns {Function} Middleware function that checks user authorization
+ */
+export const authorize = (permission) => {
+  if (!isKnownPermission(permission)) {
+    throw new Error(`Permiso no definido en la política: ${permission}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      // Service accounts are limited to the scopes granted to them
+      if (req.user && req.user.type === 'service_account') {
+        if (!req.user.scopes.includes(permission)) {
+          return res.status(403).json({
+            status: 'error',
+            message: `Acceso denegado. Scope requerido: ${permission}`
+          });
+        }
+        return next();
+      }
+
+      if (!req.user || !req.user.role) {
+        return res.status(401).json({
+          status: 'error',
+          message: 'Autenticación de usuario requerida'
+        });
+      }
+
+      let permissions;
+      try {
+        permissions = await getRolePermissionsDB(req.user.role);
+      } catch (error) {
+        console.error('Error al obtener los permisos del rol:', error);
+        return res.status(500).json({
+          status: 'error',
+          message: 'Error interno del servidor al verificar permisos'
+        });
+      }
+
+      if (!permissions.includes(permission)) {
+        return res.status(403).json({
+          status: 'error',
+          message: `Acceso denegado. Permiso requerido: ${permission}. Tu rol: ${req.user.role}`
+        });
+      }
+
+      next();
+
+    } catch (error) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Error de autorización'
+      });
+    }
+  };
+};
+
+/**
+ * Authorization Middleware Generator: Guards the include_deleted query flag
+ *
+ * Listings hide soft-deleted rows. Requests with ?include_deleted=true must also
+ * hold the given permission; any other request passes through unchanged.
+ *
+ * Usage: authorizeIncludeDeleted('citizens:restore')
+ *
+ * @param {string} permission - Permission in "resource:action" format
+ * @returns {Function} Middleware function that checks user authorization
+ */
+export const authorizeIncludeDeleted = (permission) => {
+  const checkPermission = authorize(permission);
+
+  return (req, res, next) => {
+    if (req.query.include_deleted !== 'true') {
+      return next();
+    }
+    return checkPermission(req, res, next);
+  };
+};
+
 /**
  * Utility function to generate JWT tokens
  * This can be used in the auth controller for login functionality
  * 
- * @param {Object} payload - User data to include in token (id, username, role, email)
- * @param {string} expiresIn - Token expiration time (default: '24h')
+ * @param {Object} payload - User data to include in token (id, username, role, email, sid)
+ * @param {string} expiresIn - Token expiration time (default: JWT_ACCESS_EXPIRES_MINUTES, 15 minutes)
  * @returns {string} JWT token
  */
-export const generateToken = (payload, expiresIn = '24h') => {
+export const generateToken = (payload, expiresIn = `${authConfig.accessTokenMinutes}m`) => {
   return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn });
 };
 
+
+
+/**
+ * Generate the short-lived challenge issued between the password and the TOTP code
+ * It has no session (sid), so authenticateToken never accepts it as an access token
+ *
+ * @param {number} userId - ID of the user that passed the password step
+ * @returns {string} JWT challenge token
+ */
+export const generateTwoFactorChallenge = (userId) => {
+  return generateToken({ id: userId, purpose: 'two_factor' }, `${authConfig.twoFactorChallengeMinutes}m`);
+};
+
+/**
+ * Verify a two-factor challenge token
+ *
+ * @param {string} challengeToken - JWT challenge token
+ * @returns {number|null} ID of the user or null if the challenge is invalid or expired
+ */
+export const verifyTwoFactorChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    return decoded.purpose === 'two_factor' && !decoded.sid ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
@@ -0,0 +1,95 @@
+/**
+ * Optimistic concurrency control with ETags
+ *
+ * Citizens, criminal records, citations and users carry a `version` column that
+ * every write increments. GET returns it as a strong ETag ("<version>") and
+ * PUT/DELETE must send it back in If-Match: a stale version answers 412 with the
+ * current representation, so the client can merge and retry.
+ */
+
+// A strong ETag holding the row version
+const ETAG_PATTERN = /^"(\d+)"$/;
+
+/**
+ * Build the ETag of a row version
+ * @param {number} version - Row version
+ * @returns {string} Strong ETag
+ */
+export const formatETag = (version) => `"${version}"`;
+
+/**
+ * Set the ETag header from the version of a resource
+ * Express keeps an ETag that is already set instead of hashing the body
+ *
+ * @param {Response} res - Express response
+ * @param {Object} resource - Row with a version column
+ */
+export const setETag = (res, resource) => {
+  if (resource && resource.version !== undefined && resource.version !== null) {
+    res.set('ETag', formatETag(resource.version));
+  }
+};
+
+/**
+ * Require an If-Match header on writes
+ *
+ * 1. Missing header: 428 Precondition Required
+ * 2. `*`: any current version is accepted (req.ifMatch = null)
+ * 3. One or more ETags: req.ifMatch holds their versions, checked by the model
+ *    inside the write transaction (see assertVersion)
+ * 4. Anything else (weak or malformed ETags): 400
+ */
+export const requireIfMatch = (req, res, next) => {
+  const header = req.headers['if-match'];
+
+  if (!header) {
+    return res.status(428).json({
+      status: 'error',
+      message: 'Se requiere la cabecera If-Match con el ETag obtenido en la última lectura del recurso'
+    });
+  }
+
+  if (header.trim() === '*') {
+    req.ifMatch = null;
+    return next();
+  }
+
+  const versions = [];
+  for (const tag of header.split(',')) {
+    const match = tag.trim().match(ETAG_PATTERN);
+    if (!match) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Cabecera If-Match no válida: envíe el ETag devuelto por la API'
+      });
+    }
+    versions.push(Number(match[1]));
+  }
+
+  req.ifMatch = versions;
+  next();
+};
+
+/**
+ * Answer 412 with the current representation of the resource and its ETag
+ * (404 if the resource was deleted in the meantime)
+ *
+ * @param {Response} res - Express response
+ * @param {string} message - Error message
+ * @param {Object|null} current - Current representation (with version)
+ */
+export const sendPreconditionFailed = (res, message, current) => {
+  if (!current) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'El recurso ya no existe'
+    });
+  }
+
+  setETag(res, current);
+  return res.status(412).json({
+    status: 'error',
+    message,
+    data: current
+  });
+};
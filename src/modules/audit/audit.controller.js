@@ -0,0 +1,31 @@
+import { getAuditLogDB } from "./audit.model.js";
+
+/**
+ * Controlador del registro de auditoría (solo lectura)
+ */
+
+/**
+ * Obtener el registro de auditoría (solo Admin)
+ * Filtros por query: entity, entity_id, actor_type, actor_id, action, date_from, date_to, limit, offset
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function getAuditLog(req, res) {
+  try {
+    const entries = await getAuditLogDB(req.query);
+
+    res.status(200).json({
+      status: "success",
+      message: "Registro de auditoría obtenido correctamente",
+      data: entries,
+      total: entries.length
+    });
+  } catch (error) {
+    console.error('Error al obtener el registro de auditoría:', error);
+    res.status(500).json({
+      status: "error",
+      message: "Error interno del servidor al obtener el registro de auditoría",
+      error: error.message
+    });
+  }
+}
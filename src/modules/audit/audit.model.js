@@ -0,0 +1,118 @@
+import { getRepositories } from "../../repositories/index.js";
+
+/**
+ * Modelo de datos del registro de auditoría
+ * Tabla audit_log: id, actor_type, actor_id, actor_username, actor_role, action,
+ * entity, entity_id, changes (JSON { before, after }), ip_address, created_at
+ *
+ * Los modelos de ciudadanos, antecedentes, citaciones, usuarios, regímenes de
+ * sanción y obligaciones llaman a recordAudit con los repositorios de su transacción: si la
+ * escritura se revierte, su entrada de auditoría también. El registro es de
+ * solo inserción.
+ */
+
+// Entidades auditadas
+export const AUDIT_ENTITIES = Object.freeze(['citizen', 'criminal_record', 'citation', 'user', 'penalty_rule_set', 'obligation']);
+
+// Acciones auditadas
+export const AUDIT_ACTIONS = Object.freeze(['create', 'update', 'delete', 'restore']);
+
+/**
+ * Usuario al que se atribuye una escritura (issued_by / updated_by)
+ * Las cuentas de servicio y las peticiones anónimas no tienen usuario
+ * @param {Object} audit - Actor de la petición (ver getAuditContext)
+ * @returns {number|null} ID del usuario o null
+ */
+export function actorUserId(audit = {}) {
+  return audit.actor_type === 'user' ? audit.actor_id : null;
+}
+
+/**
+ * Columnas del borrado lógico de una fila: cuándo y quién la eliminó
+ * La fecha va sin milisegundos, como la guarda la columna datetime, para poder
+ * restaurar juntas las filas eliminadas en cascada (misma deleted_at)
+ * @param {Object} audit - Actor de la petición (ver getAuditContext)
+ * @returns {Object} { deleted_at, deleted_by }
+ */
+export function softDeletion(audit = {}) {
+  const deletedAt = new Date();
+  deletedAt.setMilliseconds(0);
+  return { deleted_at: deletedAt, deleted_by: actorUserId(audit) };
+}
+
+/**
+ * Comparar dos valores de columna (fechas y JSON incluidos)
+ * @param {any} a - Valor anterior
+ * @param {any} b - Valor nuevo
+ * @returns {boolean} True si son iguales
+ */
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Calcular el diff de una escritura
+ * En una creación o restauración solo hay after y en un borrado solo before; en una
+ * actualización ambos contienen únicamente las columnas que cambian (sin version,
+ * que cambia en cada escritura)
+ * @param {Object|null} before - Fila antes del cambio
+ * @param {Object|null} after - Fila después del cambio
+ * @returns {Object} { before, after }
+ */
+function buildChanges(before, after) {
+  if (!before || !after) {
+    return { before: before || null, after: after || null };
+  }
+
+  const changes = { before: {}, after: {} };
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (key !== 'version' && !sameValue(before[key], after[key])) {
+      changes.before[key] = before[key] ?? null;
+      changes.after[key] = after[key] ?? null;
+    }
+  }
+  return changes;
+}
+
+/**
+ * Registrar una escritura en el registro de auditoría
+ * Se llama dentro de la transacción de la escritura con sus repositorios
+ * @param {Object} repositories - Repositorios de la transacción
+ * @param {Object} audit - Actor de la petición (ver getAuditContext)
+ * @param {Object} entry - Escritura
+ * @param {string} entry.action - create, update, delete o restore
+ * @param {string} entry.entity - Entidad (AUDIT_ENTITIES)
+ * @param {number} entry.entity_id - ID de la entidad
+ * @param {Object|null} entry.before - Fila antes del cambio
+ * @param {Object|null} entry.after - Fila después del cambio
+ * @returns {Promise<Object|null>} Resultado de la inserción o null si no hubo cambios
+ */
+export async function recordAudit(repositories, audit = {}, entry) {
+  const changes = buildChanges(entry.before, entry.after);
+
+  // Una actualización que no cambia nada no deja rastro
+  if (entry.action === 'update' && Object.keys(changes.after).length === 0) {
+    return null;
+  }
+
+  return repositories.audit.insert({
+    actor_type: audit.actor_type || 'anonymous',
+    actor_id: audit.actor_id ?? null,
+    actor_username: audit.actor_username ?? null,
+    actor_role: audit.actor_role ?? null,
+    action: entry.action,
+    entity: entry.entity,
+    entity_id: entry.entity_id,
+    changes,
+    ip_address: audit.ip_address ?? null
+  });
+}
+
+/**
+ * Obtener el registro de auditoría
+ * @param {Object} filters - entity, entity_id, actor_type, actor_id, action, date_from, date_to, limit, offset
+ * @returns {Promise<Array>} Entradas, de la más reciente a la más antigua
+ */
+export async function getAuditLogDB(filters = {}) {
+  return getRepositories().audit.findAll(filters);
+}
@@ -0,0 +1,25 @@
+import express from "express";
+import { getAuditLog } from "./audit.controller.js";
+
+// Importar middleware de autenticación y autorización
+import { authenticateToken, authorize } from "../../middlewares/auth.middleware.js";
+
+// Importar middleware de validación
+import { handleValidationErrors } from "../../middlewares/validation.middleware.js";
+
+// Importar validaciones específicas del módulo de auditoría
+import { getAuditLogValidation } from "./audit.validation.js";
+
+const router = express.Router();
+
+// GET /api/audit - Registro de auditoría filtrable por entidad, actor y fechas (solo Admin)
+router.get(
+  "/",
+  authenticateToken,
+  authorize('audit:read'),
+  getAuditLogValidation,
+  handleValidationErrors,
+  getAuditLog
+);
+
+export default router;
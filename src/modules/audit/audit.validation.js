@@ -0,0 +1,46 @@
+import { query } from 'express-validator';
+import { AUDIT_ENTITIES, AUDIT_ACTIONS } from './audit.model.js';
+
+/**
+ * Validaciones para el módulo de auditoría
+ */
+
+/**
+ * Validación de los filtros del registro de auditoría
+ */
+export const getAuditLogValidation = [
+  query('entity')
+    .optional()
+    .isIn(AUDIT_ENTITIES)
+    .withMessage(`La entidad debe ser una de: ${AUDIT_ENTITIES.join(', ')}`),
+
+  query(['entity_id', 'actor_id'])
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('El ID debe ser un número entero positivo'),
+
+  query('actor_type')
+    .optional()
+    .isIn(['user', 'service_account', 'anonymous'])
+    .withMessage('El tipo de actor debe ser user, service_account o anonymous'),
+
+  query('action')
+    .optional()
+    .isIn(AUDIT_ACTIONS)
+    .withMessage(`La acción debe ser una de: ${AUDIT_ACTIONS.join(', ')}`),
+
+  query(['date_from', 'date_to'])
+    .optional()
+    .isISO8601()
+    .withMessage('La fecha debe tener formato ISO 8601'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('El límite debe estar entre 1 y 1000'),
+
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('El desplazamiento debe ser un número entero no negativo')
+];
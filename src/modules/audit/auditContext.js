@@ -0,0 +1,32 @@
+/**
+ * Actor de una petición para el registro de auditoría
+ * Los controladores lo pasan a los modelos que escriben datos
+ *
+ * @param {Request} req - Objeto de solicitud (autenticada o no)
+ * @returns {Object} { actor_type, actor_id, actor_username, actor_role, ip_address }
+ */
+export function getAuditContext(req) {
+  const user = req.user;
+
+  if (!user) {
+    return { actor_type: 'anonymous', actor_id: null, actor_username: null, actor_role: null, ip_address: req.ip };
+  }
+
+  if (user.type === 'service_account') {
+    return {
+      actor_type: 'service_account',
+      actor_id: user.service_account_id,
+      actor_username: user.username,
+      actor_role: null,
+      ip_address: req.ip
+    };
+  }
+
+  return {
+    actor_type: 'user',
+    actor_id: user.id,
+    actor_username: user.username,
+    actor_role: user.role,
+    ip_address: req.ip
+  };
+}
@@ -7,14 +7,170 @@ import {
   authenticateUserDB,
   changePasswordDB,
   getRolesDB,
+  getRoleByIdDB,
+  getRolePermissionsDB,
+  roleHasPermissionDB,
+  USER_EDITABLE_FIELDS,
+  createRoleDB,
+  updateRoleDB,
+  retireRoleDB,
+  createSessionDB,
+  rotateRefreshTokenDB,
+  revokeSessionDB,
+  revokeUserSessionsDB,
+  getUserSessionsDB,
+  getUserActivityDB,
+  terminateUserSessionDB,
+  getUserLoginStateDB,
+  unlockUserLoginDB,
+  getLoginAttemptsDB,
+  registerWithInvitationDB,
+  approveUserDB,
+  rejectUserDB,
+  createInvitationDB,
+  getInvitationByIdDB,
+  getInvitationsDB,
+  revokeInvitationDB,
+  getTwoFactorStatusDB,
+  getPendingActionsDB,
+  enrollTwoFactorDB,
+  confirmTwoFactorDB,
+  verifyTwoFactorLoginDB,
+  regenerateRecoveryCodesDB,
+  disableTwoFactorDB,
+  resetTwoFactorDB,
+  requestPasswordResetDB,
+  resetPasswordDB,
+  createServiceAccountDB,
+  getServiceAccountsDB,
+  getServiceAccountByIdDB,
+  updateServiceAccountDB,
+  deleteServiceAccountDB,
+  getApiKeyDB,
+  issueApiKeyDB,
+  rotateApiKeyDB,
+  revokeApiKeyDB,
+  getApiKeyRequestsDB,
+  startImpersonationDB,
+  endImpersonationDB,
+  getImpersonationsDB,
+  getImpersonationByIdDB,
+  USER_STATUS,
+  LOGIN_FAILED_ERROR,
+  LOGIN_THROTTLED_ERROR,
+  ACCOUNT_INACTIVE_ERROR,
+  TWO_FACTOR_INVALID_ERROR,
+  PASSWORD_RESET_INVALID_ERROR,
+  PASSWORD_REUSED_ERROR,
+  PENDING_ACTIONS,
+  SERVICE_ACCOUNT_SCOPE_ERROR,
+  API_KEY_NOT_ACTIVE_ERROR,
+  ROLE_PERMISSION_ERROR,
+  SYSTEM_ROLE_ERROR,
+  ROLE_IN_USE_ERROR,
+  IMPERSONATION_SELF_ERROR,
+  IMPERSONATION_FORBIDDEN_ERROR,
 } from "./auth.model.js";
-import { generateToken } from "../../middlewares/auth.middleware.js";
+import { PASSWORD_POLICY_ERROR } from "./passwordPolicy.js";
+import {
+  generateToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge
+} from "../../middlewares/auth.middleware.js";
+import { authConfig } from "../../config/auth.js";
+import { getAuditContext } from "../audit/auditContext.js";
+import { setETag, sendPreconditionFailed } from "../../middlewares/concurrency.middleware.js";
+import { listPermissions, listServiceAccountScopes } from "../../config/permissions.js";
+import { sendMail } from "../../mail/index.js";
 
 /**
  * Controlador para la gestión de usuarios y autenticación
  * Implementa JWT, manejo de errores y validaciones
  */
 
+/**
+ * Generar el access token de una sesión
+ * Si el usuario tiene acciones pendientes (2FA obligatoria sin activar, contraseña caducada)
+ * el token lleva el claim pending y solo sirve para las rutas que las resuelven
+ * (ver authenticateToken)
+ * @param {Object} user - Usuario con role_name y password_changed_at
+ * @param {string} sessionId - ID de la sesión
+ * @returns {Promise<Object>} { token, token_expires_in } (expiración en segundos)
+ */
+async function buildAccessToken(user, sessionId) {
+  const payload = {
+    id: user.id,
+    username: user.username,
+    role: user.role_name,
+    email: user.user_email,
+    sid: sessionId
+  };
+
+  const pending = await getPendingActionsDB(user);
+  if (pending.length > 0) {
+    payload.pending = pending;
+  }
+
+  const result = { token: generateToken(payload), token_expires_in: authConfig.accessTokenMinutes * 60 };
+
+  if (pending.includes(PENDING_ACTIONS.TWO_FACTOR_ENROLLMENT)) {
+    result.two_factor_enrollment_required = true;
+  }
+  if (pending.includes(PENDING_ACTIONS.PASSWORD_CHANGE)) {
+    result.password_change_required = true;
+  }
+
+  return result;
+}
+
+/**
+ * Verificar si un error es un rechazo de la nueva contraseña (política o historial)
+ * @param {Error} error - Error capturado
+ * @returns {boolean} True si debe responderse con 400
+ */
+function isPasswordRejection(error) {
+  return error.message.startsWith(PASSWORD_POLICY_ERROR) || error.message === PASSWORD_REUSED_ERROR;
+}
+
+/**
+ * Datos de la petición que se guardan con la sesión
+ * @param {Request} req - Objeto de solicitud
+ * @returns {Object} { ip, user_agent }
+ */
+function getSessionContext(req) {
+  return { ip: req.ip, user_agent: req.get('user-agent') };
+}
+
+/**
+ * Abrir una sesión y emitir access token + refresh token
+ * @param {Object} user - Usuario con role_name
+ * @param {Object} context - Datos de la petición (ver getSessionContext)
+ * @returns {Promise<Object>} { token, token_expires_in, refresh_token, refresh_expires_at }
+ */
+async function issueSessionTokens(user, context) {
+  const session = await createSessionDB(user.id, context);
+
+  return {
+    ...(await buildAccessToken(user, session.session_id)),
+    refresh_token: session.refresh_token,
+    refresh_expires_at: session.refresh_expires_at
+  };
+}
+
+/**
+ * Responder a un login bloqueado temporalmente (429 con Retry-After)
+ * @param {Response} res - Objeto de respuesta
+ * @param {Error} error - Error con retryAfterSeconds
+ */
+function sendLoginThrottled(res, error) {
+  res.set('Retry-After', String(error.retryAfterSeconds));
+  return res.status(429).json({
+    status: "error",
+    message: error.message,
+    retry_after_seconds: error.retryAfterSeconds
+  });
+}
+
 /**
  * Obtener todos los usuarios (solo Admin)
  * @param {Request} req - Objeto de solicitud
@@ -22,7 +178,8 @@ import { generateToken } from "../../middlewares/auth.middleware.js";
  */
 export async function getAllUsers(req, res) {
   try {
-    const users = await getUsersDB();
+    const { status } = req.query;
+    const users = await getUsersDB({ status });
     
     res.status(200).json({
       status: "success",
@@ -41,13 +198,32 @@ export async function getAllUsers(req, res) {
 }
 
 /**
- * Obtener usuario por ID
+ * Comprobar si quien hace la petición puede consultar o modificar una cuenta:
+ * la propia o, con el permiso users:manage, la de otro usuario
+ * @param {Request} req - Objeto de solicitud
+ * @param {number|string} id - ID del usuario
+ * @returns {Promise<boolean>} true si tiene acceso
+ */
+async function canAccessUser(req, id) {
+  return req.user.id === parseInt(id) || roleHasPermissionDB(req.user.role, 'users:manage');
+}
+
+/**
+ * Obtener usuario por ID (el mismo usuario o users:manage)
  * @param {Request} req - Objeto de solicitud
  * @param {Response} res - Objeto de respuesta
  */
 export async function getUserById(req, res) {
   try {
     const { id } = req.params;
+
+    if (!(await canAccessUser(req, id))) {
+      return res.status(403).json({
+        status: "error",
+        message: "No tienes permisos para ver este usuario"
+      });
+    }
+
     const user = await getUserByIdDB(id);
     
     if (!user) {
@@ -57,6 +233,7 @@ export async function getUserById(req, res) {
       });
     }
     
+    setETag(res, user);
     res.status(200).json({
       status: "success",
       message: "Usuario obtenido correctamente",
@@ -73,27 +250,70 @@ export async function getUserById(req, res) {
 }
 
 /**
- * Registrar un nuevo usuario
+ * Manejar los errores de creación de usuarios (validaciones de base de datos e invitaciones)
+ * @param {Response} res - Objeto de respuesta
+ * @param {Error} error - Error lanzado por el modelo
+ * @param {string} action - Acción para el mensaje de error interno
+ */
+function handleUserCreationError(res, error, action) {
+  // Manejar errores específicos de validación de base de datos
+  if (error.message.includes('ya está en uso') || 
+      error.message.includes('ya está registrado') ||
+      error.message.includes('no existe') ||
+      error.message.includes('invitación') ||
+      isPasswordRejection(error)) {
+    return res.status(400).json({
+      status: "error",
+      message: error.message
+    });
+  }
+  
+  console.error(`Error al ${action}:`, error);
+  res.status(500).json({
+    status: "error",
+    message: `Error interno del servidor al ${action}`,
+    error: error.message
+  });
+}
+
+/**
+ * Registrar un nuevo usuario (ruta pública)
+ * - Con invitation_code: la cuenta queda activa con el rol de la invitación y se abre sesión
+ * - Sin código: la cuenta queda pendiente hasta que un Admin la apruebe
  * @param {Request} req - Objeto de solicitud
  * @param {Response} res - Objeto de respuesta
  */
 export async function registerUser(req, res) {
   try {
-    const userData = req.body;
+    const { invitation_code, ...userData } = req.body;
+    
+    if (!invitation_code) {
+      // Los datos ya vienen validados por el middleware de validación
+      const result = await createUserDB(userData, { status: USER_STATUS.PENDING }, getAuditContext(req));
+      const pendingUser = await getUserByIdDB(result.insertId);
+      
+      return res.status(202).json({
+        status: "success",
+        message: "Registro recibido. La cuenta quedará activa cuando un Admin la apruebe",
+        data: {
+          user: {
+            id: pendingUser.id,
+            username: pendingUser.username,
+            email: pendingUser.user_email,
+            requested_role: pendingUser.role_name,
+            status: pendingUser.status
+          }
+        }
+      });
+    }
     
-    // Los datos ya vienen validados por el middleware de validación
-    const result = await createUserDB(userData);
+    const result = await registerWithInvitationDB(userData, invitation_code, getAuditContext(req));
     
     // Obtener el usuario recién creado para generar el token
     const newUser = await getUserByIdDB(result.insertId);
     
-    // Generar token JWT
-    const token = generateToken({
-      id: newUser.id,
-      username: newUser.username,
-      role: newUser.role_name,
-      email: newUser.user_email
-    });
+    // Abrir sesión y generar tokens
+    const tokens = await issueSessionTokens(newUser, getSessionContext(req));
     
     res.status(201).json({
       status: "success",
@@ -105,39 +325,61 @@ export async function registerUser(req, res) {
           email: newUser.user_email,
           role: newUser.role_name
         },
-        token: token
+        ...tokens
       }
     });
   } catch (error) {
-    console.error('Error al registrar usuario:', error);
-    
-    // Manejar errores específicos de validación de base de datos
-    if (error.message.includes('ya está en uso') || 
-        error.message.includes('ya está registrado') ||
-        error.message.includes('no existe')) {
-      return res.status(400).json({
-        status: "error",
-        message: error.message
-      });
-    }
+    handleUserCreationError(res, error, "registrar usuario");
+  }
+}
+
+/**
+ * Crear un usuario activo directamente (solo Admin)
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function createUser(req, res) {
+  try {
+    const result = await createUserDB(req.body, {}, getAuditContext(req));
+    const newUser = await getUserByIdDB(result.insertId);
     
-    res.status(500).json({
-      status: "error",
-      message: "Error interno del servidor al registrar usuario",
-      error: error.message
+    res.status(201).json({
+      status: "success",
+      message: "Usuario creado exitosamente",
+      data: {
+        id: newUser.id,
+        username: newUser.username,
+        email: newUser.user_email,
+        role: newUser.role_name,
+        status: newUser.status
+      }
     });
+  } catch (error) {
+    handleUserCreationError(res, error, "crear usuario");
   }
 }
 
 /**
- * Actualizar datos de un usuario
+ * Actualizar datos de un usuario (el mismo usuario o users:manage)
  * @param {Request} req - Objeto de solicitud
  * @param {Response} res - Objeto de respuesta
  */
 export async function updateUser(req, res) {
   try {
     const { id } = req.params;
-    const updateData = req.body;
+    // Solo los campos editables llegan al modelo
+    const updateData = Object.fromEntries(
+      USER_EDITABLE_FIELDS
+        .filter(field => req.body?.[field] !== undefined)
+        .map(field => [field, req.body[field]])
+    );
+
+    if (!(await canAccessUser(req, id))) {
+      return res.status(403).json({
+        status: "error",
+        message: "No tienes permisos para modificar este usuario"
+      });
+    }
     
     // Verificar que el usuario existe antes de actualizar
     const existingUser = await getUserByIdDB(id);
@@ -147,9 +389,25 @@ export async function updateUser(req, res) {
         message: "Usuario no encontrado"
       });
     }
+
+    // Solo users:manage cambia roles (nadie puede ascenderse a sí mismo)
+    const roleChange = updateData.role_id !== undefined && Number(updateData.role_id) !== Number(existingUser.role_id);
+    if (roleChange && !(await roleHasPermissionDB(req.user.role, 'users:manage'))) {
+      return res.status(403).json({
+        status: "error",
+        message: "No tienes permisos para cambiar el rol de este usuario"
+      });
+    }
     
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({
+        status: "error",
+        message: "No se realizaron cambios en el usuario"
+      });
+    }
+
     // Los datos ya vienen validados por el middleware
-    const result = await updateUserDB(id, updateData);
+    const result = await updateUserDB(id, updateData, getAuditContext(req), req.ifMatch);
     
     if (result.affectedRows === 0) {
       return res.status(400).json({
@@ -161,6 +419,7 @@ export async function updateUser(req, res) {
     // Obtener los datos actualizados del usuario
     const updatedUser = await getUserByIdDB(id);
     
+    setETag(res, updatedUser);
     res.status(200).json({
       status: "success",
       message: "Usuario actualizado correctamente",
@@ -168,10 +427,16 @@ export async function updateUser(req, res) {
         id: updatedUser.id,
         username: updatedUser.username,
         email: updatedUser.user_email,
-        role: updatedUser.role_name
+        role: updatedUser.role_name,
+        version: updatedUser.version
       }
     });
   } catch (error) {
+    // Otra petición modificó el usuario desde que el cliente lo leyó
+    if (error.message.includes('modificado por otra petición')) {
+      return sendPreconditionFailed(res, error.message, await getUserByIdDB(req.params.id));
+    }
+
     console.error('Error al actualizar usuario:', error);
     
     // Manejar errores específicos de validación
@@ -218,7 +483,7 @@ export async function deleteUser(req, res) {
       });
     }
     
-    const result = await deleteUserDB(id);
+    const result = await deleteUserDB(id, getAuditContext(req), req.ifMatch);
     
     if (result.affectedRows === 0) {
       return res.status(400).json({
@@ -238,6 +503,11 @@ export async function deleteUser(req, res) {
       }
     });
   } catch (error) {
+    // Otra petición modificó el usuario desde que el cliente lo leyó
+    if (error.message.includes('modificado por otra petición')) {
+      return sendPreconditionFailed(res, error.message, await getUserByIdDB(req.params.id));
+    }
+
     console.error('Error al eliminar usuario:', error);
     res.status(500).json({
       status: "error",
@@ -256,16 +526,24 @@ export async function loginUser(req, res) {
   try {
     const { username, password } = req.body;
     
-    // Autenticar usuario
-    const user = await authenticateUserDB({ username, password });
+    // Autenticar usuario (registra el intento y aplica la protección contra fuerza bruta)
+    const user = await authenticateUserDB({ username, password }, { ip: req.ip });
     
-    // Generar token JWT
-    const token = generateToken({
-      id: user.id,
-      username: user.username,
-      role: user.role_name,
-      email: user.user_email
-    });
+    // Con 2FA activada, la sesión se abre en POST /auth/login/2fa con el código TOTP
+    if (user.two_factor_enabled) {
+      return res.status(200).json({
+        status: "success",
+        message: "Contraseña correcta. Introduce el código de autenticación en dos pasos",
+        data: {
+          two_factor_required: true,
+          challenge_token: generateTwoFactorChallenge(user.id),
+          challenge_expires_in: authConfig.twoFactorChallengeMinutes * 60
+        }
+      });
+    }
+    
+    // Abrir sesión y generar tokens
+    const tokens = await issueSessionTokens(user, getSessionContext(req));
     
     res.status(200).json({
       status: "success",
@@ -277,21 +555,33 @@ export async function loginUser(req, res) {
           email: user.user_email,
           role: user.role_name
         },
-        token: token
+        ...tokens
       }
     });
   } catch (error) {
-    console.error('Error en login:', error);
+    // Demasiados intentos: espera progresiva, bloqueo de la cuenta o límite por IP
+    if (error.message === LOGIN_THROTTLED_ERROR) {
+      return sendLoginThrottled(res, error);
+    }
+    
+    // Credenciales correctas pero la cuenta no está activa
+    if (error.message === ACCOUNT_INACTIVE_ERROR) {
+      return res.status(403).json({
+        status: "error",
+        message: error.message
+      });
+    }
     
-    // Manejar errores específicos de autenticación
-    if (error.message.includes('no encontrado') || 
-        error.message.includes('incorrecta')) {
+    // Mismo mensaje para usuario inexistente y contraseña incorrecta
+    if (error.message === LOGIN_FAILED_ERROR) {
       return res.status(401).json({
         status: "error",
-        message: "Credenciales inválidas"
+        message: LOGIN_FAILED_ERROR
       });
     }
     
+    console.error('Error en login:', error);
+    
     res.status(500).json({
       status: "error",
       message: "Error interno del servidor en el login",
@@ -319,32 +609,42 @@ export async function changePassword(req, res) {
       });
     }
     
+    const ownPassword = req.user.id === parseInt(id);
+    const passwordExpired = req.user.pending_actions.includes(PENDING_ACTIONS.PASSWORD_CHANGE);
+    
     // Solo el mismo usuario o un admin puede cambiar la contraseña
-    if (req.user.id !== parseInt(id) && req.user.role !== 'Admin') {
+    // (con la contraseña caducada, solo la propia)
+    if (!ownPassword && (passwordExpired || !(await roleHasPermissionDB(req.user.role, 'users:manage')))) {
       return res.status(403).json({
         status: "error",
         message: "No tienes permisos para cambiar esta contraseña"
       });
     }
     
-    const result = await changePasswordDB(id, current_password, new_password);
+    await changePasswordDB(id, current_password, new_password, getAuditContext(req));
+    
+    // Si la contraseña había caducado, el token actual queda restringido: se emite uno nuevo
+    const data = ownPassword && passwordExpired
+      ? await buildAccessToken(await getUserByIdDB(id), req.user.session_id)
+      : undefined;
     
     res.status(200).json({
       status: "success",
-      message: "Contraseña cambiada correctamente"
+      message: "Contraseña cambiada correctamente",
+      ...(data && { data })
     });
   } catch (error) {
-    console.error('Error al cambiar contraseña:', error);
-    
     // Manejar errores específicos
     if (error.message.includes('incorrecta') || 
-        error.message.includes('no encontrado')) {
+        error.message.includes('no encontrado') ||
+        isPasswordRejection(error)) {
       return res.status(400).json({
         status: "error",
         message: error.message
       });
     }
     
+    console.error('Error al cambiar contraseña:', error);
     res.status(500).json({
       status: "error",
       message: "Error interno del servidor al cambiar contraseña",
@@ -354,13 +654,14 @@ export async function changePassword(req, res) {
 }
 
 /**
- * Obtener todos los roles disponibles
+ * Obtener todos los roles disponibles con sus permisos
+ * Con ?include_retired=true incluye los roles retirados
  * @param {Request} req - Objeto de solicitud
  * @param {Response} res - Objeto de respuesta
  */
 export async function getAllRoles(req, res) {
   try {
-    const roles = await getRolesDB();
+    const roles = await getRolesDB({ includeRetired: req.query.include_retired === "true" });
     
     res.status(200).json({
       status: "success",
@@ -377,6 +678,142 @@ export async function getAllRoles(req, res) {
   }
 }
 
+/**
+ * Responder a los errores de la gestión de roles
+ * @param {Response} res - Objeto de respuesta
+ * @param {Error} error - Error capturado
+ * @param {string} action - Acción para el mensaje de error genérico
+ */
+function handleRoleError(res, error, action) {
+  if (error.message.startsWith(ROLE_PERMISSION_ERROR)) {
+    return res.status(400).json({
+      status: "error",
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('Ya existe') || error.message === SYSTEM_ROLE_ERROR || error.message === ROLE_IN_USE_ERROR) {
+    return res.status(409).json({
+      status: "error",
+      message: error.message
+    });
+  }
+
+  console.error(`Error al ${action}:`, error);
+  res.status(500).json({
+    status: "error",
+    message: `Error interno del servidor al ${action}`,
+    error: error.message
+  });
+}
+
+/**
+ * Obtener el catálogo de permisos que pueden asignarse a los roles
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function getRolePermissionCatalog(req, res) {
+  res.status(200).json({
+    status: "success",
+    message: "Permisos obtenidos correctamente",
+    data: listPermissions()
+  });
+}
+
+/**
+ * Obtener un rol por ID
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function getRole(req, res) {
+  try {
+    const role = await getRoleByIdDB(req.params.id);
+    if (!role) {
+      return res.status(404).json({
+        status: "error",
+        message: "Rol no encontrado"
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Rol obtenido correctamente",
+      data: role
+    });
+  } catch (error) {
+    handleRoleError(res, error, "obtener rol");
+  }
+}
+
+/**
+ * Crear un rol personalizado con sus permisos (solo Admin)
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function createRole(req, res) {
+  try {
+    const role = await createRoleDB(req.body);
+
+    res.status(201).json({
+      status: "success",
+      message: "Rol creado correctamente",
+      data: role
+    });
+  } catch (error) {
+    handleRoleError(res, error, "crear rol");
+  }
+}
+
+/**
+ * Renombrar un rol o cambiar su descripción o sus permisos (solo Admin)
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function updateRole(req, res) {
+  try {
+    const role = await updateRoleDB(req.params.id, req.body);
+    if (!role) {
+      return res.status(404).json({
+        status: "error",
+        message: "Rol no encontrado"
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Rol actualizado correctamente",
+      data: role
+    });
+  } catch (error) {
+    handleRoleError(res, error, "actualizar rol");
+  }
+}
+
+/**
+ * Retirar un rol sin usuarios asignados (solo Admin)
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function retireRole(req, res) {
+  try {
+    const role = await retireRoleDB(req.params.id);
+    if (!role) {
+      return res.status(404).json({
+        status: "error",
+        message: "Rol no encontrado o ya retirado"
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Rol retirado correctamente",
+      data: role
+    });
+  } catch (error) {
+    handleRoleError(res, error, "retirar rol");
+  }
+}
+
 /**
  * Obtener información del perfil del usuario autenticado
  * @param {Request} req - Objeto de solicitud
@@ -413,3 +850,1361 @@ export async function getUserProfile(req, res) {
     });
   }
 }
+
+/**
+ * Obtener los permisos efectivos del usuario autenticado
+ * Devuelve la lista plana y agrupada por recurso para que el frontend
+ * pueda ocultar las acciones no permitidas
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function getMyPermissions(req, res) {
+  try {
+    // Las cuentas de servicio solo tienen los scopes de su API key
+    const isServiceAccount = req.user.type === "service_account";
+    const permissions = isServiceAccount ? req.user.scopes : await getRolePermissionsDB(req.user.role);
+
+    const resources = {};
+    for (const permission of permissions) {
+      const [resource, action] = permission.split(':');
+      (resources[resource] ||= []).push(action);
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Permisos obtenidos correctamente",
+      data: {
+        role: req.user.role,
+        ...(isServiceAccount && { service_account: req.user.username }),
+        permissions,
+        resources
+      }
+    });
+  } catch (error) {
+    console.error('Error al obtener permisos:', error);
+    res.status(500).json({
+      status: "error",
+      message: "Error interno del servidor al obtener permisos",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Renovar el access token con un refresh token (rotación)
+ * El refresh token usado deja de ser válido y se devuelve uno nuevo
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function refreshAccessToken(req, res) {
+  try {
+    const { refresh_token } = req.body;
+
+    const session = await rotateRefreshTokenDB(refresh_token, getSessionContext(req));
+
+    res.status(200).json({
+      status: "success",
+      message: "Token renovado correctamente",
+      data: {
+        ...(await buildAccessToken(session.user, session.session_id)),
+        refresh_token: session.refresh_token,
+        refresh_expires_at: session.refresh_expires_at
+      }
+    });
+  } catch (error) {
+    if (error.message.includes('inválido o expirado')) {
+      return res.status(401).json({
+        status: "error",
+        message: error.message
+      });
+    }
+
+    console.error('Error al renovar token:', error);
+    res.status(500).json({
+      status: "error",
+      message: "Error interno del servidor al renovar el token",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Cerrar sesión: revoca la sesión del token actual
+ * Con { all: true } revoca todas las sesiones del usuario
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function logoutUser(req, res) {
+  try {
+    const { all } = req.body || {};
+
+    await revokeSessionDB(req.user.session_id, req.user.id, "logout");
+    const otherSessions = all ? await revokeUserSessionsDB(req.user.id, "logout") : 0;
+
+    res.status(200).json({
+      status: "success",
+      message: all ? "Se cerraron todas las sesiones" : "Sesión cerrada correctamente",
+      data: {
+        revoked_sessions: 1 + otherSessions
+      }
+    });
+  } catch (error) {
+    console.error('Error al cerrar sesión:', error);
+    res.status(500).json({
+      status: "error",
+      message: "Error interno del servidor al cerrar sesión",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Listar las sesiones abiertas del usuario autenticado
+ * La sesión del token actual se marca con current: true
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function getMySessions(req, res) {
+  try {
+    const sessions = await getUserSessionsDB(req.user.id, req.user.session_id);
+
+    res.status(200).json({
+      status: "success",
+      message: "Sesiones obtenidas correctamente",
+      data: sessions
+    });
+  } catch (error) {
+    console.error('Error al obtener sesiones:', error);
+    res.status(500).json({
+      status: "error",
+      message: "Error interno del servidor al obtener sesiones",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Cerrar una de las sesiones del usuario autenticado (ej: un dispositivo perdido)
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function terminateMySession(req, res) {
+  try {
+    const terminated = await terminateUserSessionDB(req.user.id, req.params.sessionId, "logout");
+    if (!terminated) {
+      return res.status(404).json({
+        status: "error",
+        message: "Sesión no encontrada o ya cerrada"
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Sesión cerrada correctamente"
+    });
+  } catch (error) {
+    console.error('Error al cerrar sesión:', error);
+    res.status(500).json({
+      status: "error",
+      message: "Error interno del servidor al cerrar sesión",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Listar las sesiones abiertas de un usuario (solo Admin)
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function getUserSessions(req, res) {
+  try {
+    const user = await getUserByIdDB(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        status: "error",
+        message: "Usuario no encontrado"
+      });
+    }
+
+    const sessions = await getUserSessionsDB(user.id, req.user.session_id);
+
+    res.status(200).json({
+      status: "success",
+      message: "Sesiones obtenidas correctamente",
+      data: sessions
+    });
+  } catch (error) {
+    console.error('Error al obtener sesiones del usuario:', error);
+    res.status(500).json({
+      status: "error",
+      message: "Error interno del servidor al obtener sesiones del usuario",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Obtener los antecedentes penales y las citaciones registrados por un usuario (solo Admin)
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function getUserActivity(req, res) {
+  try {
+    const user = await getUserByIdDB(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        status: "error",
+        message: "Usuario no encontrado"
+      });
+    }
+
+    const activity = await getUserActivityDB(user.id, req.query);
+
+    res.status(200).json({
+      status: "success",
+      message: "Actividad del usuario obtenida correctamente",
+      data: {
+        user: { id: user.id, username: user.username, role: user.role_name },
+        records: activity.records,
+        citations: activity.citations,
+        total_records: activity.records.length,
+        total_citations: activity.citations.length
+      }
+    });
+  } catch (error) {
+    console.error('Error al obtener la actividad del usuario:', error);
+    res.status(500).json({
+      status: "error",
+      message: "Error interno del servidor al obtener la actividad del usuario",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Cerrar remotamente una sesión de un usuario (solo Admin)
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function terminateUserSession(req, res) {
+  try {
+    const { id, sessionId } = req.params;
+
+    const terminated = await terminateUserSessionDB(id, sessionId, "terminated_by_admin");
+    if (!terminated) {
+      return res.status(404).json({
+        status: "error",
+        message: "Sesión no encontrada o ya cerrada"
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Sesión cerrada correctamente"
+    });
+  } catch (error) {
+    console.error('Error al cerrar sesión del usuario:', error);
+    res.status(500).json({
+      status: "error",
+      message: "Error interno del servidor al cerrar sesión del usuario",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Cerrar remotamente todas las sesiones de un usuario (solo Admin)
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function terminateUserSessions(req, res) {
+  try {
+    const user = await getUserByIdDB(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        status: "error",
+        message: "Usuario no encontrado"
+      });
+    }
+
+    const revokedSessions = await revokeUserSessionsDB(user.id, "terminated_by_admin");
+
+    res.status(200).json({
+      status: "success",
+      message: "Se cerraron todas las sesiones del usuario",
+      data: {
+        revoked_sessions: revokedSessions
+      }
+    });
+  } catch (error) {
+    console.error('Error al cerrar sesiones del usuario:', error);
+    res.status(500).json({
+      status: "error",
+      message: "Error interno del servidor al cerrar sesiones del usuario",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Desbloquear el login de un usuario bloqueado por intentos fallidos (solo Admin)
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function unlockUser(req, res) {
+  try {
+    const { id } = req.params;
+
+    const user = await getUserByIdDB(id);
+    if (!user) {
+      return res.status(404).json({
+        status: "error",
+        message: "Usuario no encontrado"
+      });
+    }
+
+    const previousState = await getUserLoginStateDB(user);
+    await unlockUserLoginDB(user);
+
+    res.status(200).json({
+      status: "success",
+      message: previousState.locked
+        ? "Usuario desbloqueado correctamente"
+        : "El usuario no estaba bloqueado; se reinició el conteo de intentos fallidos",
+      data: {
+        user_id: user.id,
+        username: user.username,
+        was_locked: previousState.locked,
+        failed_attempts: previousState.failed_attempts
+      }
+    });
+  } catch (error) {
+    console.error('Error al desbloquear usuario:', error);
+    res.status(500).json({
+      status: "error",
+      message: "Error interno del servidor al desbloquear usuario",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Obtener el historial de intentos de login (solo Admin)
+ * Filtros por query: user_id, login, ip_address, result, date_from, date_to, limit, offset
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function getLoginAttempts(req, res) {
+  try {
+    const filters = { limit: 100, ...req.query };
+    const attempts = await getLoginAttemptsDB(filters);
+
+    res.status(200).json({
+      status: "success",
+      message: "Intentos de login obtenidos correctamente",
+      data: attempts,
+      total: attempts.length,
+      filters: filters
+    });
+  } catch (error) {
+    console.error('Error al obtener intentos de login:', error);
+    res.status(500).json({
+      status: "error",
+      message: "Error interno del servidor al obtener intentos de login",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Obtener los usuarios pendientes de aprobación (solo Admin)
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function getPendingUsers(req, res) {
+  try {
+    const users = await getUsersDB({ status: USER_STATUS.PENDING });
+
+    res.status(200).json({
+      status: "success",
+      message: "Usuarios pendientes obtenidos correctamente",
+      data: users,
+      total: users.length
+    });
+  } catch (error) {
+    console.error('Error al obtener usuarios pendientes:', error);
+    res.status(500).json({
+      status: "error",
+      message: "Error interno del servidor al obtener usuarios pendientes",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Obtener un usuario pendiente o responder con el error correspondiente
+ * @returns {Promise<Object|null>} Usuario pendiente o null si ya se respondió
+ */
+async function findPendingUser(id, res) {
+  const user = await getUserByIdDB(id);
+
+  if (!user) {
+    res.status(404).json({
+      status: "error",
+      message: "Usuario no encontrado"
+    });
+    return null;
+  }
+
+  if (user.status !== USER_STATUS.PENDING) {
+    res.status(409).json({
+      status: "error",
+      message: `El usuario no está pendiente de aprobación (estado: ${user.status})`
+    });
+    return null;
+  }
+
+  return user;
+}
+
+/**
+ * Aprobar un usuario pendiente (solo Admin)
+ * Acepta role_id opcional para asignar un rol distinto del solicitado
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function approveUser(req, res) {
+  try {
+    const { id } = req.params;
+
+    const pendingUser = await findPendingUser(id, res);
+    if (!pendingUser) return;
+
+    await approveUserDB(id, req.body.role_id, getAuditContext(req));
+    const user = await getUserByIdDB(id);
+
+    res.status(200).json({
+      status: "success",
+      message: "Usuario aprobado correctamente",
+      data: user
+    });
+  } catch (error) {
+    if (error.message.includes('no existe')) {
+      return res.status(400).json({
+        status: "error",
+        message: error.message
+      });
+    }
+
+    console.error('Error al aprobar usuario:', error);
+    res.status(500).json({
+      status: "error",
+      message: "Error interno del servidor al aprobar usuario",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Rechazar un usuario pendiente (solo Admin)
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function rejectUser(req, res) {
+  try {
+    const { id } = req.params;
+
+    const pendingUser = await findPendingUser(id, res);
+    if (!pendingUser) return;
+
+    await rejectUserDB(id, getAuditContext(req));
+    const user = await getUserByIdDB(id);
+
+    res.status(200).json({
+      status: "success",
+      message: "Usuario rechazado correctamente",
+      data: user
+    });
+  } catch (error) {
+    console.error('Error al rechazar usuario:', error);
+    res.status(500).json({
+      status: "error",
+      message: "Error interno del servidor al rechazar usuario",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Crear un código de invitación (solo Admin)
+ * El código solo se devuelve en esta respuesta
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function createInvitation(req, res) {
+  try {
+    const invitation = await createInvitationDB(req.body, req.user.id);
+
+    res.status(201).json({
+      status: "success",
+      message: "Invitación creada correctamente. Guarda el código: no se volverá a mostrar",
+      data: invitation
+    });
+  } catch (error) {
+    if (error.message.includes('no existe')) {
+      return res.status(400).json({
+        status: "error",
+        message: error.message
+      });
+    }
+
+    console.error('Error al crear invitación:', error);
+    res.status(500).json({
+      status: "error",
+      message: "Error interno del servidor al crear invitación",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Obtener las invitaciones emitidas (solo Admin)
+ * Filtro opcional por query: status (active, used, expired, revoked)
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function getInvitations(req, res) {
+  try {
+    const invitations = await getInvitationsDB(req.query);
+
+    res.status(200).json({
+      status: "success",
+      message: "Invitaciones obtenidas correctamente",
+      data: invitations,
+      total: invitations.length
+    });
+  } catch (error) {
+    console.error('Error al obtener invitaciones:', error);
+    res.status(500).json({
+      status: "error",
+      message: "Error interno del servidor al obtener invitaciones",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Revocar una invitación no usada (solo Admin)
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function revokeInvitation(req, res) {
+  try {
+    const { id } = req.params;
+
+    const invitation = await getInvitationByIdDB(id);
+    if (!invitation) {
+      return res.status(404).json({
+        status: "error",
+        message: "Invitación no encontrada"
+      });
+    }
+
+    if (invitation.status === "used") {
+      return res.status(409).json({
+        status: "error",
+        message: "La invitación ya fue usada y no puede revocarse"
+      });
+    }
+
+    await revokeInvitationDB(id);
+
+    res.status(200).json({
+      status: "success",
+      message: "Invitación revocada correctamente",
+      data: await getInvitationByIdDB(id)
+    });
+  } catch (error) {
+    console.error('Error al revocar invitación:', error);
+    res.status(500).json({
+      status: "error",
+      message: "Error interno del servidor al revocar invitación",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Responder a los errores de las operaciones de 2FA sobre la propia cuenta
+ * @param {Response} res - Objeto de respuesta
+ * @param {Error} error - Error capturado
+ * @param {string} action - Acción para el mensaje de error interno
+ */
+function handleTwoFactorError(res, error, action) {
+  if (error.message === TWO_FACTOR_INVALID_ERROR) {
+    return res.status(400).json({
+      status: "error",
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('obligatoria')) {
+    return res.status(403).json({
+      status: "error",
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('ya está activada') ||
+      error.message.includes('no está activada') ||
+      error.message.includes('pendiente')) {
+    return res.status(409).json({
+      status: "error",
+      message: error.message
+    });
+  }
+
+  console.error(`Error al ${action}:`, error);
+  res.status(500).json({
+    status: "error",
+    message: `Error interno del servidor al ${action}`,
+    error: error.message
+  });
+}
+
+/**
+ * Completar el login con 2FA (segundo paso): desafío + código TOTP o de recuperación
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function verifyTwoFactorLogin(req, res) {
+  try {
+    const { challenge_token, code, recovery_code } = req.body;
+
+    const userId = verifyTwoFactorChallenge(challenge_token);
+    if (!userId) {
+      return res.status(401).json({
+        status: "error",
+        message: "Desafío de autenticación inválido o expirado. Inicia sesión nuevamente"
+      });
+    }
+
+    const user = await verifyTwoFactorLoginDB(userId, { code, recovery_code }, { ip: req.ip });
+    const tokens = await issueSessionTokens(user, getSessionContext(req));
+
+    res.status(200).json({
+      status: "success",
+      message: "Login exitoso",
+      data: {
+        user: {
+          id: user.id,
+          username: user.username,
+          email: user.user_email,
+          role: user.role_name
+        },
+        ...tokens,
+        ...(recovery_code && { recovery_codes_remaining: user.recovery_codes_remaining })
+      }
+    });
+  } catch (error) {
+    if (error.message === LOGIN_THROTTLED_ERROR) {
+      return sendLoginThrottled(res, error);
+    }
+
+    if (error.message === TWO_FACTOR_INVALID_ERROR || error.message.includes('no está activada')) {
+      return res.status(401).json({
+        status: "error",
+        message: TWO_FACTOR_INVALID_ERROR
+      });
+    }
+
+    console.error('Error en la verificación de dos pasos:', error);
+    res.status(500).json({
+      status: "error",
+      message: "Error interno del servidor en el login",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Obtener el estado de la 2FA del usuario autenticado
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function getTwoFactorStatus(req, res) {
+  try {
+    const user = await getUserByIdDB(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        status: "error",
+        message: "Usuario no encontrado"
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Estado de la autenticación en dos pasos obtenido correctamente",
+      data: await getTwoFactorStatusDB(user)
+    });
+  } catch (error) {
+    handleTwoFactorError(res, error, "obtener el estado de la autenticación en dos pasos");
+  }
+}
+
+/**
+ * Iniciar la inscripción en 2FA: devuelve el secreto y la URI otpauth para la app
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function enrollTwoFactor(req, res) {
+  try {
+    const enrollment = await enrollTwoFactorDB(req.user);
+
+    res.status(200).json({
+      status: "success",
+      message: "Escanea la URI con tu app de autenticación y confirma con un código en /api/auth/2fa/verify",
+      data: enrollment
+    });
+  } catch (error) {
+    handleTwoFactorError(res, error, "iniciar la autenticación en dos pasos");
+  }
+}
+
+/**
+ * Confirmar la inscripción en 2FA con un código de la app
+ * Devuelve los códigos de recuperación (solo esta vez) y, si el rol exigía la 2FA,
+ * un access token nuevo para la misma sesión sin la restricción de inscripción
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function confirmTwoFactor(req, res) {
+  try {
+    const recoveryCodes = await confirmTwoFactorDB(req.user.id, req.body.code);
+
+    const data = { recovery_codes: recoveryCodes };
+    if (req.user.pending_actions.includes(PENDING_ACTIONS.TWO_FACTOR_ENROLLMENT)) {
+      const user = await getUserByIdDB(req.user.id);
+      Object.assign(data, await buildAccessToken(user, req.user.session_id));
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Autenticación en dos pasos activada. Guarda los códigos de recuperación en un lugar seguro",
+      data
+    });
+  } catch (error) {
+    handleTwoFactorError(res, error, "activar la autenticación en dos pasos");
+  }
+}
+
+/**
+ * Generar nuevos códigos de recuperación (invalida los anteriores)
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function regenerateRecoveryCodes(req, res) {
+  try {
+    const recoveryCodes = await regenerateRecoveryCodesDB(req.user.id, req.body.code);
+
+    res.status(200).json({
+      status: "success",
+      message: "Códigos de recuperación regenerados. Los anteriores ya no son válidos",
+      data: { recovery_codes: recoveryCodes }
+    });
+  } catch (error) {
+    handleTwoFactorError(res, error, "regenerar los códigos de recuperación");
+  }
+}
+
+/**
+ * Desactivar la 2FA de la propia cuenta (no permitido si el rol la exige)
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function disableTwoFactor(req, res) {
+  try {
+    const user = await getUserByIdDB(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        status: "error",
+        message: "Usuario no encontrado"
+      });
+    }
+
+    await disableTwoFactorDB(user, req.body.code);
+
+    res.status(200).json({
+      status: "success",
+      message: "Autenticación en dos pasos desactivada"
+    });
+  } catch (error) {
+    handleTwoFactorError(res, error, "desactivar la autenticación en dos pasos");
+  }
+}
+
+/**
+ * Restablecer la 2FA de un usuario (solo Admin), por ejemplo si perdió su dispositivo
+ * Cierra sus sesiones; deberá inscribirse de nuevo si su rol la exige
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function resetUserTwoFactor(req, res) {
+  try {
+    const { id } = req.params;
+
+    const user = await getUserByIdDB(id);
+    if (!user) {
+      return res.status(404).json({
+        status: "error",
+        message: "Usuario no encontrado"
+      });
+    }
+
+    const result = await resetTwoFactorDB(user.id);
+
+    res.status(200).json({
+      status: "success",
+      message: result.was_enabled
+        ? "Autenticación en dos pasos restablecida"
+        : "El usuario no tenía la autenticación en dos pasos activada",
+      data: {
+        user_id: user.id,
+        username: user.username,
+        ...result
+      }
+    });
+  } catch (error) {
+    console.error('Error al restablecer la autenticación en dos pasos:', error);
+    res.status(500).json({
+      status: "error",
+      message: "Error interno del servidor al restablecer la autenticación en dos pasos",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Construir el correo de recuperación de contraseña
+ * @param {Object} reset - { user, token, expires_at }
+ * @returns {Object} Mensaje { to, subject, text }
+ */
+function buildPasswordResetMail(reset) {
+  const instructions = authConfig.passwordResetUrl
+    ? `Abre este enlace para elegir una nueva contraseña:\n\n${authConfig.passwordResetUrl}?token=${encodeURIComponent(reset.token)}`
+    : `Usa este token en POST /api/auth/password/reset para elegir una nueva contraseña:\n\n${reset.token}`;
+
+  return {
+    to: reset.user.user_email,
+    subject: "Recuperación de contraseña de Interpolice",
+    text: [
+      `Hola ${reset.user.username},`,
+      "",
+      "Recibimos una solicitud para restablecer tu contraseña.",
+      instructions,
+      "",
+      `El token caduca en ${authConfig.passwordResetExpiresMinutes} minutos y solo puede usarse una vez.`,
+      "Si no solicitaste el cambio, ignora este correo: tu contraseña actual sigue siendo válida."
+    ].join("\n")
+  };
+}
+
+/**
+ * Solicitar la recuperación de contraseña (ruta pública)
+ * Responde siempre lo mismo para no revelar qué emails están registrados
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function forgotPassword(req, res) {
+  try {
+    const reset = await requestPasswordResetDB(req.body.email, { ip: req.ip });
+
+    if (reset) {
+      // Sin esperar al envío: el tiempo de respuesta no debe depender de si la cuenta existe
+      sendMail(buildPasswordResetMail(reset)).catch((error) => {
+        console.error('Error al enviar el correo de recuperación de contraseña:', error);
+      });
+    }
+
+    res.status(202).json({
+      status: "success",
+      message: "Si el email corresponde a una cuenta activa, recibirás un correo con instrucciones para restablecer la contraseña"
+    });
+  } catch (error) {
+    console.error('Error al solicitar la recuperación de contraseña:', error);
+    res.status(500).json({
+      status: "error",
+      message: "Error interno del servidor al solicitar la recuperación de contraseña",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Restablecer la contraseña con el token recibido por correo (ruta pública)
+ * Cierra todas las sesiones abiertas de la cuenta
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function resetPassword(req, res) {
+  try {
+    const { token, new_password } = req.body;
+
+    const result = await resetPasswordDB(token, new_password, getAuditContext(req));
+
+    res.status(200).json({
+      status: "success",
+      message: "Contraseña restablecida correctamente. Inicia sesión con la nueva contraseña",
+      data: {
+        revoked_sessions: result.revoked_sessions
+      }
+    });
+  } catch (error) {
+    if (error.message === PASSWORD_RESET_INVALID_ERROR || isPasswordRejection(error)) {
+      return res.status(400).json({
+        status: "error",
+        message: error.message
+      });
+    }
+
+    console.error('Error al restablecer la contraseña:', error);
+    res.status(500).json({
+      status: "error",
+      message: "Error interno del servidor al restablecer la contraseña",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Responder a los errores de la gestión de cuentas de servicio
+ * @param {Response} res - Objeto de respuesta
+ * @param {Error} error - Error capturado
+ * @param {string} action - Acción para el mensaje de error interno
+ */
+function handleServiceAccountError(res, error, action) {
+  if (error.message.startsWith(SERVICE_ACCOUNT_SCOPE_ERROR)) {
+    return res.status(400).json({
+      status: "error",
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('Ya existe') || error.message === API_KEY_NOT_ACTIVE_ERROR) {
+    return res.status(409).json({
+      status: "error",
+      message: error.message
+    });
+  }
+
+  console.error(`Error al ${action}:`, error);
+  res.status(500).json({
+    status: "error",
+    message: `Error interno del servidor al ${action}`,
+    error: error.message
+  });
+}
+
+/**
+ * Obtener los scopes que pueden concederse a las cuentas de servicio (solo Admin)
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function getServiceAccountScopes(req, res) {
+  res.status(200).json({
+    status: "success",
+    message: "Scopes obtenidos correctamente",
+    data: listServiceAccountScopes()
+  });
+}
+
+/**
+ * Obtener las cuentas de servicio (solo Admin)
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function getServiceAccounts(req, res) {
+  try {
+    const accounts = await getServiceAccountsDB();
+
+    res.status(200).json({
+      status: "success",
+      message: "Cuentas de servicio obtenidas correctamente",
+      data: accounts,
+      total: accounts.length
+    });
+  } catch (error) {
+    handleServiceAccountError(res, error, "obtener cuentas de servicio");
+  }
+}
+
+/**
+ * Obtener una cuenta de servicio con sus API keys (solo Admin)
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function getServiceAccount(req, res) {
+  try {
+    const account = await getServiceAccountByIdDB(req.params.id);
+
+    if (!account) {
+      return res.status(404).json({
+        status: "error",
+        message: "Cuenta de servicio no encontrada"
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Cuenta de servicio obtenida correctamente",
+      data: account
+    });
+  } catch (error) {
+    handleServiceAccountError(res, error, "obtener cuenta de servicio");
+  }
+}
+
+/**
+ * Crear una cuenta de servicio con su primera API key (solo Admin)
+ * La API key solo se devuelve en esta respuesta
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function createServiceAccount(req, res) {
+  try {
+    const account = await createServiceAccountDB(req.body, req.user.id);
+
+    res.status(201).json({
+      status: "success",
+      message: "Cuenta de servicio creada correctamente. Guarda la API key: no se volverá a mostrar",
+      data: account
+    });
+  } catch (error) {
+    handleServiceAccountError(res, error, "crear cuenta de servicio");
+  }
+}
+
+/**
+ * Actualizar la descripción, los scopes o el estado de una cuenta de servicio (solo Admin)
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function updateServiceAccount(req, res) {
+  try {
+    const { id } = req.params;
+
+    const result = await updateServiceAccountDB(id, req.body);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        status: "error",
+        message: "Cuenta de servicio no encontrada"
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Cuenta de servicio actualizada correctamente",
+      data: await getServiceAccountByIdDB(id)
+    });
+  } catch (error) {
+    handleServiceAccountError(res, error, "actualizar cuenta de servicio");
+  }
+}
+
+/**
+ * Eliminar una cuenta de servicio con sus API keys (solo Admin)
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function deleteServiceAccount(req, res) {
+  try {
+    const result = await deleteServiceAccountDB(req.params.id);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        status: "error",
+        message: "Cuenta de servicio no encontrada"
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Cuenta de servicio eliminada correctamente"
+    });
+  } catch (error) {
+    handleServiceAccountError(res, error, "eliminar cuenta de servicio");
+  }
+}
+
+/**
+ * Emitir una API key adicional para una cuenta de servicio (solo Admin)
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function createApiKey(req, res) {
+  try {
+    const { id } = req.params;
+
+    const account = await getServiceAccountByIdDB(id);
+    if (!account) {
+      return res.status(404).json({
+        status: "error",
+        message: "Cuenta de servicio no encontrada"
+      });
+    }
+
+    const apiKey = await issueApiKeyDB(id, req.body, req.user.id);
+
+    res.status(201).json({
+      status: "success",
+      message: "API key emitida correctamente. Guárdala: no se volverá a mostrar",
+      data: apiKey
+    });
+  } catch (error) {
+    handleServiceAccountError(res, error, "emitir API key");
+  }
+}
+
+/**
+ * Rotar una API key: emite una nueva y revoca la anterior (o la deja caducar
+ * tras grace_minutes) (solo Admin)
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function rotateApiKey(req, res) {
+  try {
+    const { id, keyId } = req.params;
+
+    const rotated = await rotateApiKeyDB(id, keyId, req.body, req.user.id);
+    if (!rotated) {
+      return res.status(404).json({
+        status: "error",
+        message: "API key no encontrada"
+      });
+    }
+
+    res.status(201).json({
+      status: "success",
+      message: "API key rotada correctamente. Guarda la nueva: no se volverá a mostrar",
+      data: rotated
+    });
+  } catch (error) {
+    handleServiceAccountError(res, error, "rotar API key");
+  }
+}
+
+/**
+ * Revocar una API key (solo Admin)
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function revokeApiKey(req, res) {
+  try {
+    const { id, keyId } = req.params;
+
+    const key = await getApiKeyDB(id, keyId);
+    if (!key) {
+      return res.status(404).json({
+        status: "error",
+        message: "API key no encontrada"
+      });
+    }
+
+    await revokeApiKeyDB(keyId);
+
+    res.status(200).json({
+      status: "success",
+      message: "API key revocada correctamente",
+      data: await getApiKeyDB(id, keyId)
+    });
+  } catch (error) {
+    handleServiceAccountError(res, error, "revocar API key");
+  }
+}
+
+/**
+ * Obtener el registro de peticiones hechas con las API keys de una cuenta (solo Admin)
+ * Filtros opcionales por query: api_key_id, date_from, date_to, limit, offset
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function getApiKeyRequests(req, res) {
+  try {
+    const { id } = req.params;
+
+    const account = await getServiceAccountByIdDB(id);
+    if (!account) {
+      return res.status(404).json({
+        status: "error",
+        message: "Cuenta de servicio no encontrada"
+      });
+    }
+
+    const requests = await getApiKeyRequestsDB(id, req.query);
+
+    res.status(200).json({
+      status: "success",
+      message: "Peticiones obtenidas correctamente",
+      data: requests,
+      total: requests.length
+    });
+  } catch (error) {
+    handleServiceAccountError(res, error, "obtener peticiones de la cuenta de servicio");
+  }
+}
+
+/**
+ * Suplantar a un usuario para reproducir lo que ve (solo Admin)
+ * Devuelve un token de acceso del usuario suplantado, de solo lectura, que
+ * identifica también al Admin (claim imp). No se emite refresh token
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function startImpersonation(req, res) {
+  try {
+    const result = await startImpersonationDB(req.user, req.params.userId, {
+      ip: req.ip,
+      reason: req.body?.reason
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        status: "error",
+        message: "Usuario no encontrado"
+      });
+    }
+
+    const { impersonation, user } = result;
+    const token = generateToken({
+      id: user.id,
+      username: user.username,
+      role: user.role_name,
+      email: user.user_email,
+      sid: impersonation.session_id,
+      imp: impersonation.admin_id
+    }, `${authConfig.impersonationMinutes}m`);
+
+    res.status(201).json({
+      status: "success",
+      message: `Suplantando a ${user.username}. Solo se permiten consultas`,
+      data: {
+        token,
+        token_expires_in: authConfig.impersonationMinutes * 60,
+        impersonation: {
+          id: impersonation.id,
+          user: { id: user.id, username: user.username, role: user.role_name },
+          reason: impersonation.reason,
+          started_at: impersonation.started_at,
+          expires_at: impersonation.expires_at
+        }
+      }
+    });
+  } catch (error) {
+    if (error.message === IMPERSONATION_SELF_ERROR) {
+      return res.status(400).json({
+        status: "error",
+        message: error.message
+      });
+    }
+
+    if (error.message === IMPERSONATION_FORBIDDEN_ERROR) {
+      return res.status(403).json({
+        status: "error",
+        message: error.message
+      });
+    }
+
+    if (error.message === ACCOUNT_INACTIVE_ERROR) {
+      return res.status(409).json({
+        status: "error",
+        message: error.message
+      });
+    }
+
+    console.error('Error al iniciar la suplantación:', error);
+    res.status(500).json({
+      status: "error",
+      message: "Error interno del servidor al iniciar la suplantación",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Terminar la suplantación del token actual (se llama con el token de suplantación)
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function stopImpersonation(req, res) {
+  try {
+    await endImpersonationDB(req.user.impersonation_id);
+
+    res.status(200).json({
+      status: "success",
+      message: "Suplantación terminada. Vuelve a usar tu propio token"
+    });
+  } catch (error) {
+    console.error('Error al terminar la suplantación:', error);
+    res.status(500).json({
+      status: "error",
+      message: "Error interno del servidor al terminar la suplantación",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Obtener el historial de suplantaciones (solo Admin)
+ * Filtros por query: admin_id, user_id, date_from, date_to, limit, offset
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function getImpersonations(req, res) {
+  try {
+    const impersonations = await getImpersonationsDB(req.query);
+
+    res.status(200).json({
+      status: "success",
+      message: "Suplantaciones obtenidas correctamente",
+      data: impersonations
+    });
+  } catch (error) {
+    console.error('Error al obtener suplantaciones:', error);
+    res.status(500).json({
+      status: "error",
+      message: "Error interno del servidor al obtener suplantaciones",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Obtener una suplantación con las peticiones hechas durante ella (solo Admin)
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function getImpersonation(req, res) {
+  try {
+    const impersonation = await getImpersonationByIdDB(req.params.id, req.query);
+    if (!impersonation) {
+      return res.status(404).json({
+        status: "error",
+        message: "Suplantación no encontrada"
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Suplantación obtenida correctamente",
+      data: impersonation
+    });
+  } catch (error) {
+    console.error('Error al obtener suplantación:', error);
+    res.status(500).json({
+      status: "error",
+      message: "Error interno del servidor al obtener suplantación",
+      error: error.message
+    });
+  }
+}
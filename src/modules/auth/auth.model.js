@@ -1,31 +1,80 @@
-import connection from "../../config/Database.js";
+import { getRepositories, withTransaction } from "../../repositories/index.js";
+import { assertVersion } from "../../repositories/versioning.js";
+import { authConfig } from "../../config/auth.js";
 import bcrypt from "bcryptjs";
+import crypto from "crypto";
+import { generateSecret, verifyTotp, buildOtpauthUri } from "./totp.js";
+import { assertPasswordPolicy, isPasswordExpired } from "./passwordPolicy.js";
+import { listPermissions, listServiceAccountScopes } from "../../config/permissions.js";
+import { recordAudit } from "../audit/audit.model.js";
 
 /**
  * Modelo de datos para la gestión de usuarios y autenticación
- * Tabla users: id, username, password_hash, role_id, user_email
- * Tabla roles: id, role_name
+ * Tabla users: id, username, password_hash, role_id, user_email, status
+ * Tabla roles: id, role_name, description, permissions, is_system, retired_at (roles gestionables)
+ * Tablas refresh_tokens y revoked_tokens: sesiones y revocación de tokens
+ * Tabla user_sessions: sesiones abiertas (IP, user-agent, último uso) para listarlas y cerrarlas
+ * Tabla login_attempts: historial de intentos de login
+ * Tabla invitations: códigos de invitación para el registro
+ * Tablas user_two_factor y recovery_codes: autenticación en dos pasos (TOTP)
+ * Tabla password_reset_tokens: recuperación de contraseña
+ * Tabla password_history: últimas contraseñas de cada usuario (no reutilizables)
+ * Tablas service_accounts, api_keys y api_key_requests: cuentas de servicio con API keys
+ * Tablas impersonations e impersonation_requests: suplantaciones de usuarios por los Admin
+ *
+ * El acceso a datos se delega en el repositorio de usuarios (MySQL o memoria)
+ * Las escrituras sobre users se registran en audit_log dentro de la misma transacción
  */
 
+export const USER_STATUS = Object.freeze({
+  ACTIVE: "active",
+  PENDING: "pending",
+  REJECTED: "rejected"
+});
+
+export const LOGIN_FAILED_ERROR = "Credenciales inválidas";
+export const ACCOUNT_INACTIVE_ERROR = "La cuenta está pendiente de aprobación o fue rechazada";
+export const INVITATION_INVALID_ERROR = "El código de invitación no es válido o ha expirado";
+export const LOGIN_THROTTLED_ERROR = "Demasiados intentos fallidos. Intenta de nuevo más tarde";
+export const TWO_FACTOR_INVALID_ERROR = "Código de verificación inválido";
+export const PASSWORD_RESET_INVALID_ERROR = "El token de recuperación no es válido o ha expirado";
+export const PASSWORD_REUSED_ERROR = "La nueva contraseña coincide con una de tus contraseñas recientes";
+export const SERVICE_ACCOUNT_SCOPE_ERROR = "Scopes no permitidos para cuentas de servicio";
+export const API_KEY_NOT_ACTIVE_ERROR = "La API key ya fue revocada o ha caducado";
+export const ROLE_PERMISSION_ERROR = "Permisos no definidos en la política";
+export const SYSTEM_ROLE_ERROR = "Los roles de sistema no se pueden renombrar, retirar ni cambiar de permisos";
+export const ROLE_IN_USE_ERROR = "El rol tiene usuarios asignados. Reasígnalos antes de retirarlo";
+export const IMPERSONATION_SELF_ERROR = "No puedes suplantarte a ti mismo";
+export const IMPERSONATION_FORBIDDEN_ERROR = "No se puede suplantar a usuarios con un rol de sistema";
+
+// Estados de una cuenta de servicio (las deshabilitadas no pueden usar sus API keys)
+export const SERVICE_ACCOUNT_STATUS = Object.freeze({
+  ACTIVE: "active",
+  DISABLED: "disabled"
+});
+
+// Prefijo de las API keys: ipk_<8 hex visibles>_<secreto>
+const API_KEY_PREFIX = "ipk";
+
+// Acciones que el usuario debe completar antes de usar la API (claim pending del access token)
+export const PENDING_ACTIONS = Object.freeze({
+  TWO_FACTOR_ENROLLMENT: "two_factor_enrollment",
+  PASSWORD_CHANGE: "password_change"
+});
+
+// Códigos de recuperación que se generan al activar la autenticación en dos pasos
+const RECOVERY_CODE_COUNT = 10;
+
+// Hash bcrypt (coste 12) de una contraseña aleatoria, usado cuando la cuenta no existe
+const DUMMY_PASSWORD_HASH = "$2b$12$vTEjuK4kh421GWBNH.jXvuSmoDFxzYw1QBkYXko3IIs3VuBzAubCO";
+
 /**
  * Obtener todos los usuarios con información de rol
+ * @param {Object} filters - Filtros opcionales: status
  * @returns {Promise<Array>} Lista de usuarios con roles
  */
-export async function getUsersDB() {
-  const query = `
-    SELECT 
-      u.id, 
-      u.username, 
-      u.user_email, 
-      u.role_id,
-      r.role_name
-    FROM users u
-    INNER JOIN roles r ON u.role_id = r.id
-    ORDER BY u.id
-  `;
-  
-  const [rows] = await connection.query(query);
-  return rows;
+export async function getUsersDB(filters = {}) {
+  return getRepositories().users.findAll(filters);
 }
 
 /**
@@ -34,32 +83,16 @@ export async function getUsersDB() {
  * @returns {Promise<Object|null>} Usuario encontrado o null
  */
 export async function getUserByIdDB(id) {
-  const query = `
-    SELECT 
-      u.id, 
-      u.username, 
-      u.user_email, 
-      u.role_id,
-      r.role_name
-    FROM users u
-    INNER JOIN roles r ON u.role_id = r.id
-    WHERE u.id = ?
-  `;
-  
-  const [rows] = await connection.query(query, [id]);
-  return rows[0] || null;
+  return getRepositories().users.findById(id);
 }
 
 /**
- * Crear un nuevo usuario en la base de datos
- * @param {Object} userData - Datos del usuario
- * @param {string} userData.username - Nombre de usuario
- * @param {string} userData.user_email - Email del usuario
- * @param {string} userData.password - Contraseña en texto plano
- * @param {number} userData.role_id - ID del rol
- * @returns {Promise<Object>} Resultado de la inserción
+ * Verificar que los datos de un usuario nuevo no choquen con otros usuarios
+ * @param {Object} userData - Datos del usuario (username, user_email, role_id)
  */
-export async function createUserDB(userData) {
+async function assertNewUserIsValid(userData) {
+  assertPasswordPolicy(userData.password, { username: userData.username });
+
   // Verificar si el username ya existe usando la función dedicada
   const usernameExists = await checkUsernameExistsDB(userData.username);
   if (usernameExists) {
@@ -77,28 +110,185 @@ export async function createUserDB(userData) {
   if (!roleExists) {
     throw new Error("El rol especificado no existe");
   }
+}
 
+/**
+ * Construir la fila de un usuario nuevo con la contraseña hasheada
+ * @param {Object} userData - Datos del usuario
+ * @param {string} status - Estado de la cuenta (active, pending)
+ * @returns {Object} Fila para la tabla users
+ */
+function buildNewUser(userData, status) {
   // Crear el hash de la contraseña
   const passwordHash = bcrypt.hashSync(userData.password, 12);
 
-  const newUser = {
+  return {
     username: userData.username,
     user_email: userData.user_email,
     password_hash: passwordHash,
     role_id: userData.role_id,
+    status
   };
+}
+
+/**
+ * Guardar un hash en el historial de contraseñas y descartar los más antiguos
+ * @param {Object} repositories - Repositorios (normales o transaccionales)
+ * @param {number} userId - ID del usuario
+ * @param {string} passwordHash - Hash bcrypt de la contraseña
+ */
+async function recordPasswordHistory(repositories, userId, passwordHash) {
+  if (authConfig.passwordHistoryCount <= 0) {
+    return;
+  }
+
+  await repositories.passwordHistory.insert(userId, passwordHash);
+  await repositories.passwordHistory.prune(userId, authConfig.passwordHistoryCount);
+}
+
+/**
+ * Verificar que una contraseña nueva cumple la política y no es una de las
+ * últimas PASSWORD_HISTORY_COUNT contraseñas del usuario (incluida la actual)
+ * @param {Object} repositories - Repositorios
+ * @param {Object} user - Usuario (id, username)
+ * @param {string} newPassword - Contraseña en claro
+ */
+async function assertNewPasswordAllowed(repositories, user, newPassword) {
+  assertPasswordPolicy(newPassword, { username: user.username });
+
+  if (authConfig.passwordHistoryCount <= 0) {
+    return;
+  }
+
+  const currentHash = await repositories.users.getPasswordHash(user.id);
+  const history = await repositories.passwordHistory.findRecent(user.id, authConfig.passwordHistoryCount);
+  const hashes = new Set([currentHash, ...history.map(entry => entry.password_hash)].filter(Boolean));
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(newPassword, hash)) {
+      throw new Error(PASSWORD_REUSED_ERROR);
+    }
+  }
+}
+
+/**
+ * Guardar la nueva contraseña de un usuario y registrarla en el historial
+ * @param {Object} repositories - Repositorios (normales o transaccionales)
+ * @param {number} userId - ID del usuario
+ * @param {string} newPassword - Contraseña en claro (ya verificada)
+ * @returns {Promise<Object>} Resultado de la actualización
+ */
+async function storePassword(repositories, userId, newPassword) {
+  const passwordHash = bcrypt.hashSync(newPassword, 12);
+
+  // Cuentas creadas antes del historial: conservar la contraseña que se sustituye
+  const previousHash = await repositories.users.getPasswordHash(userId);
+  const [latest] = authConfig.passwordHistoryCount > 0
+    ? await repositories.passwordHistory.findRecent(userId, 1)
+    : [];
+  if (previousHash && latest?.password_hash !== previousHash) {
+    await recordPasswordHistory(repositories, userId, previousHash);
+  }
+
+  const result = await repositories.users.update(userId, { password_hash: passwordHash, password_changed_at: new Date() });
+  await recordPasswordHistory(repositories, userId, passwordHash);
 
-  const [result] = await connection.query("INSERT INTO users SET ?", [newUser]);
   return result;
 }
 
+/**
+ * Registrar en la auditoría una escritura sobre un usuario
+ * El diff se toma de findById, que nunca incluye el hash de la contraseña
+ * @param {Object} repositories - Repositorios de la transacción
+ * @param {Object} audit - Actor de la petición (getAuditContext)
+ * @param {string} action - create, update o delete
+ * @param {number} userId - ID del usuario
+ * @param {Object|null} before - Usuario antes del cambio
+ */
+async function auditUserChange(repositories, audit, action, userId, before = null) {
+  const after = action === 'delete' ? null : await repositories.users.findById(userId);
+  await recordAudit(repositories, audit, { action, entity: 'user', entity_id: userId, before, after });
+}
+
+/**
+ * Crear un nuevo usuario en la base de datos
+ * @param {Object} userData - Datos del usuario
+ * @param {string} userData.username - Nombre de usuario
+ * @param {string} userData.user_email - Email del usuario
+ * @param {string} userData.password - Contraseña en texto plano
+ * @param {number} userData.role_id - ID del rol
+ * @param {Object} options - Opciones
+ * @param {string} options.status - Estado inicial: 'active' (por defecto) o 'pending' (requiere aprobación)
+ * @param {Object} audit - Actor de la petición (getAuditContext)
+ * @returns {Promise<Object>} Resultado de la inserción
+ */
+export async function createUserDB(userData, options = {}, audit = {}) {
+  await assertNewUserIsValid(userData);
+
+  const user = buildNewUser(userData, options.status || USER_STATUS.ACTIVE);
+
+  return withTransaction(async (repositories) => {
+    const result = await repositories.users.insert(user);
+    await recordPasswordHistory(repositories, result.insertId, user.password_hash);
+    await auditUserChange(repositories, audit, 'create', result.insertId);
+    return result;
+  });
+}
+
+/**
+ * Registrar un usuario con un código de invitación
+ * El usuario queda activo con el rol de la invitación (se ignora el role_id enviado)
+ * @param {Object} userData - Datos del usuario (username, user_email, password)
+ * @param {string} code - Código de invitación en claro
+ * @param {Object} audit - Actor de la petición (getAuditContext)
+ * @returns {Promise<Object>} Resultado de la inserción
+ */
+export async function registerWithInvitationDB(userData, code, audit = {}) {
+  const invitation = await getRepositories().invitations.findByCodeHash(hashToken(code));
+
+  if (!invitation || getInvitationStatus(invitation) !== "active") {
+    throw new Error(INVITATION_INVALID_ERROR);
+  }
+
+  if (invitation.email && invitation.email.toLowerCase() !== String(userData.user_email).toLowerCase()) {
+    throw new Error("La invitación fue emitida para otro email");
+  }
+
+  const data = { ...userData, role_id: invitation.role_id };
+  await assertNewUserIsValid(data);
+
+  return withTransaction(async (repositories) => {
+    // Reclamar la invitación de forma condicional: solo un registro puede usarla
+    const claimed = await repositories.invitations.claim(invitation.id, new Date());
+    if (claimed.affectedRows === 0) {
+      throw new Error(INVITATION_INVALID_ERROR);
+    }
+
+    const user = buildNewUser(data, USER_STATUS.ACTIVE);
+    const result = await repositories.users.insert(user);
+    await recordPasswordHistory(repositories, result.insertId, user.password_hash);
+    await repositories.invitations.update(invitation.id, { used_by: result.insertId });
+    await auditUserChange(repositories, audit, 'create', result.insertId);
+
+    return result;
+  });
+}
+
+/**
+ * Campos que se pueden cambiar con la actualización de un usuario (PUT /users/:id)
+ * La contraseña y el estado de la cuenta solo cambian por sus endpoints dedicados
+ */
+export const USER_EDITABLE_FIELDS = ['username', 'user_email', 'role_id'];
+
 /**
  * Actualizar datos de un usuario
  * @param {number} id - ID del usuario
- * @param {Object} userData - Datos a actualizar
+ * @param {Object} userData - Datos a actualizar (solo USER_EDITABLE_FIELDS)
+ * @param {Object} audit - Actor de la petición (getAuditContext)
+ * @param {number[]|null} [expectedVersions] - Versiones aceptadas (If-Match); null no las comprueba
  * @returns {Promise<Object>} Resultado de la actualización
  */
-export async function updateUserDB(id, userData) {
+export async function updateUserDB(id, userData, audit = {}, expectedVersions = null) {
   // Si se va a actualizar el username, verificar que no exista en otro usuario
   if (userData.username) {
     const usernameExists = await checkUsernameExistsForUpdateDB(userData.username, id);
@@ -123,68 +313,108 @@ export async function updateUserDB(id, userData) {
     }
   }
 
-  // Si se va a actualizar la contraseña, crear el hash
-  if (userData.password) {
-    userData.password_hash = bcrypt.hashSync(userData.password, 12);
-    delete userData.password; // Eliminar la contraseña en texto plano
-  }
+  const currentUser = await getRepositories().users.findById(id);
 
-  const [result] = await connection.query(
-    "UPDATE users SET ? WHERE id = ?",
-    [userData, id]
-  );
-  return result;
+  // Un cambio de rol invalida las sesiones abiertas (los tokens llevan el rol anterior)
+  const roleChanged = userData.role_id && currentUser && Number(currentUser.role_id) !== Number(userData.role_id);
+
+  return withTransaction(async (repositories) => {
+    await assertVersion(repositories.users, id, expectedVersions);
+    const before = await repositories.users.findById(id);
+    const result = await repositories.users.update(id, userData);
+
+    if (roleChanged) {
+      await revokeUserSessions(repositories, id, "role_changed");
+    }
+
+    if (before) {
+      await auditUserChange(repositories, audit, 'update', id, before);
+    }
+
+    return result;
+  });
 }
 
 /**
  * Eliminar un usuario (solo para administradores)
  * @param {number} id - ID del usuario
+ * @param {Object} audit - Actor de la petición (getAuditContext)
+ * @param {number[]|null} [expectedVersions] - Versiones aceptadas (If-Match); null no las comprueba
  * @returns {Promise<Object>} Resultado de la eliminación
  */
-export async function deleteUserDB(id) {
-  const [result] = await connection.query("DELETE FROM users WHERE id = ?", [id]);
-  return result;
+export async function deleteUserDB(id, audit = {}, expectedVersions = null) {
+  return withTransaction(async (repositories) => {
+    await assertVersion(repositories.users, id, expectedVersions);
+    const before = await repositories.users.findById(id);
+
+    // Revocar primero: la lista de revocación sobrevive al borrado del usuario
+    await revokeUserSessions(repositories, id, "user_deleted");
+    const result = await repositories.users.delete(id);
+
+    if (result.affectedRows > 0) {
+      await auditUserChange(repositories, audit, 'delete', id, before);
+    }
+    return result;
+  });
 }
 
 /**
  * Autenticar usuario por username/email y contraseña
+ *
+ * Protección contra fuerza bruta:
+ * - Todos los fallos devuelven el mismo error (no se revela si la cuenta existe)
+ * - Espera progresiva tras cada fallo y bloqueo temporal al superar LOGIN_MAX_ATTEMPTS
+ * - Límite de fallos por IP dentro de la ventana, para todas las cuentas
+ * - Cada intento queda registrado en login_attempts
+ *
  * @param {Object} credentials - Credenciales de login
  * @param {string} credentials.username - Username o email
  * @param {string} credentials.password - Contraseña
+ * @param {Object} context - Datos de la petición
+ * @param {string} context.ip - IP del cliente
  * @returns {Promise<Object>} Usuario autenticado con rol
  */
-export async function authenticateUserDB(credentials) {
+export async function authenticateUserDB(credentials, context = {}) {
   const { username, password } = credentials;
+  const repositories = getRepositories();
+  const login = String(username).trim().toLowerCase();
+  const ipAddress = context.ip || null;
 
   // Buscar usuario por username o email
-  const query = `
-    SELECT 
-      u.id, 
-      u.username, 
-      u.user_email, 
-      u.password_hash, 
-      u.role_id,
-      r.role_name
-    FROM users u
-    INNER JOIN roles r ON u.role_id = r.id
-    WHERE u.username = ? OR u.user_email = ?
-  `;
-
-  const [users] = await connection.query(query, [username, username]);
-
-  if (users.length === 0) {
-    throw new Error("Usuario no encontrado");
+  const user = await repositories.users.findByLogin(username);
+
+  const key = { userId: user ? user.id : null, login };
+  const attempt = { user_id: key.userId, login, ip_address: ipAddress };
+
+  const retryAfterSeconds = await getLoginRetryAfter(repositories, key, ipAddress);
+  if (retryAfterSeconds > 0) {
+    await repositories.loginAttempts.insert({ ...attempt, result: "blocked" });
+    const error = new Error(LOGIN_THROTTLED_ERROR);
+    error.retryAfterSeconds = retryAfterSeconds;
+    throw error;
   }
 
-  const user = users[0];
+  // Comparar siempre contra un hash para que el tiempo de respuesta no revele si la cuenta existe
+  const passwordMatch = await bcrypt.compare(password, user ? user.password_hash : DUMMY_PASSWORD_HASH);
 
-  // Verificar contraseña
-  const passwordMatch = await bcrypt.compare(password, user.password_hash);
+  if (!user || !passwordMatch) {
+    await repositories.loginAttempts.insert({ ...attempt, result: "failure" });
+    throw new Error(LOGIN_FAILED_ERROR);
+  }
 
-  if (!passwordMatch) {
-    throw new Error("Contraseña incorrecta");
+  // Cuentas pendientes de aprobación o rechazadas no pueden iniciar sesión
+  if (user.status !== USER_STATUS.ACTIVE) {
+    await repositories.loginAttempts.insert({ ...attempt, result: "inactive" });
+    throw new Error(ACCOUNT_INACTIVE_ERROR);
   }
 
+  // Con 2FA activada la contraseña solo supera el primer paso: el login se completa
+  // en verifyTwoFactorLoginDB y hasta entonces no se reinicia el conteo de fallos
+  const twoFactor = await repositories.twoFactor.findByUserId(user.id);
+  user.two_factor_enabled = Boolean(twoFactor && twoFactor.enabled_at);
+
+  await repositories.loginAttempts.insert({ ...attempt, result: user.two_factor_enabled ? "challenge" : "success" });
+
   // Remover el hash de la contraseña del resultado
   delete user.password_hash;
 
@@ -196,47 +426,199 @@ export async function authenticateUserDB(credentials) {
  * @param {number} userId - ID del usuario
  * @param {string} currentPassword - Contraseña actual
  * @param {string} newPassword - Nueva contraseña
+ * @param {Object} audit - Actor de la petición (getAuditContext)
  * @returns {Promise<Object>} Resultado de la operación
  */
-export async function changePasswordDB(userId, currentPassword, newPassword) {
-  // Obtener la contraseña actual del usuario
-  const [users] = await connection.query(
-    "SELECT password_hash FROM users WHERE id = ?",
-    [userId]
-  );
+export async function changePasswordDB(userId, currentPassword, newPassword, audit = {}) {
+  // Obtener el usuario y su contraseña actual
+  const user = await getRepositories().users.findById(userId);
+  const passwordHash = user ? await getRepositories().users.getPasswordHash(userId) : null;
 
-  if (users.length === 0) {
+  if (!passwordHash) {
     throw new Error("Usuario no encontrado");
   }
 
-  const user = users[0];
-
   // Verificar contraseña actual
-  const passwordMatch = await bcrypt.compare(currentPassword, user.password_hash);
+  const passwordMatch = await bcrypt.compare(currentPassword, passwordHash);
 
   if (!passwordMatch) {
     throw new Error("La contraseña actual es incorrecta");
   }
 
-  // Crear hash de la nueva contraseña
-  const newPasswordHash = bcrypt.hashSync(newPassword, 12);
+  // Política de contraseñas y contraseñas recientes
+  await assertNewPasswordAllowed(getRepositories(), user, newPassword);
 
-  // Actualizar contraseña
-  const [result] = await connection.query(
-    "UPDATE users SET password_hash = ? WHERE id = ?",
-    [newPasswordHash, userId]
-  );
+  // Guardar el hash de la nueva contraseña
+  return withTransaction(async (repositories) => {
+    const result = await storePassword(repositories, user.id, newPassword);
+    await auditUserChange(repositories, audit, 'update', user.id, user);
+    return result;
+  });
+}
 
-  return result;
+/**
+ * Dar formato a un rol para mostrarlo
+ * @param {Object} role - Rol leído del repositorio
+ * @returns {Object} Rol con is_system booleano
+ */
+function formatRole(role) {
+  return { ...role, is_system: Boolean(role.is_system), user_count: Number(role.user_count) };
+}
+
+/**
+ * Quitar duplicados, comprobar que los permisos existen en la política
+ * y ordenarlos como el catálogo
+ * @param {string[]} permissions - Permisos 'recurso:acción'
+ * @returns {string[]} Permisos normalizados
+ */
+function normalizeRolePermissions(permissions) {
+  const catalog = listPermissions();
+  const invalid = permissions.filter(permission => !catalog.includes(permission));
+  if (invalid.length > 0) {
+    throw new Error(`${ROLE_PERMISSION_ERROR}: ${[...new Set(invalid)].join(", ")}`);
+  }
+
+  return catalog.filter(permission => permissions.includes(permission));
+}
+
+/**
+ * Obtener los roles
+ * @param {Object} options - Opciones
+ * @param {boolean} options.includeRetired - Incluir los roles retirados
+ * @returns {Promise<Array>} Lista de roles con sus permisos y número de usuarios
+ */
+export async function getRolesDB(options = {}) {
+  const roles = await getRepositories().roles.findAll(options);
+  return roles.map(formatRole);
+}
+
+/**
+ * Obtener un rol por ID
+ * @param {number} id - ID del rol
+ * @returns {Promise<Object|null>} Rol o null
+ */
+export async function getRoleByIdDB(id) {
+  const role = await getRepositories().roles.findById(id);
+  return role ? formatRole(role) : null;
+}
+
+/**
+ * Obtener los permisos efectivos de un rol (vacío si no existe o está retirado)
+ * Se consulta en cada petición: los cambios de permisos se aplican sin cerrar sesiones
+ * @param {string} roleName - Nombre del rol (claim role del access token)
+ * @returns {Promise<string[]>} Permisos en el orden del catálogo
+ */
+export async function getRolePermissionsDB(roleName) {
+  const permissions = await getRepositories().roles.findPermissions(roleName);
+
+  // Los permisos que ya no existen en la política no conceden nada
+  return listPermissions().filter(permission => permissions.includes(permission));
+}
+
+/**
+ * Verificar si un rol tiene un permiso
+ * @param {string} roleName - Nombre del rol
+ * @param {string} permission - Permiso 'recurso:acción'
+ * @returns {Promise<boolean>} True si lo tiene
+ */
+export async function roleHasPermissionDB(roleName, permission) {
+  return (await getRolePermissionsDB(roleName)).includes(permission);
+}
+
+/**
+ * Crear un rol personalizado
+ * @param {Object} data - Datos del rol
+ * @param {string} data.role_name - Nombre único (ej: Detective)
+ * @param {string} data.description - Descripción (opcional)
+ * @param {string[]} data.permissions - Permisos 'recurso:acción'
+ * @returns {Promise<Object>} Rol creado
+ */
+export async function createRoleDB(data) {
+  const permissions = normalizeRolePermissions(data.permissions);
+
+  if (await getRepositories().roles.findByName(data.role_name)) {
+    throw new Error("Ya existe un rol con ese nombre");
+  }
+
+  const result = await getRepositories().roles.insert({
+    role_name: data.role_name,
+    description: data.description || null,
+    permissions
+  });
+
+  return getRoleByIdDB(result.insertId);
+}
+
+/**
+ * Renombrar un rol o cambiar su descripción o sus permisos
+ * Los access tokens llevan el nombre del rol: al renombrarlo se cierran las
+ * sesiones de sus usuarios. Los cambios de permisos se aplican en la siguiente petición.
+ * @param {number} id - ID del rol
+ * @param {Object} data - role_name, description y/o permissions
+ * @returns {Promise<Object|null>} Rol actualizado o null si no existe
+ */
+export async function updateRoleDB(id, data) {
+  const role = await getRepositories().roles.findById(id);
+  if (!role) {
+    return null;
+  }
+
+  const changes = {};
+  if (data.description !== undefined) changes.description = data.description || null;
+  if (data.permissions !== undefined) changes.permissions = normalizeRolePermissions(data.permissions);
+
+  const renamed = data.role_name !== undefined && data.role_name !== role.role_name;
+  if (renamed) {
+    const existing = await getRepositories().roles.findByName(data.role_name);
+    if (existing && Number(existing.id) !== Number(role.id)) {
+      throw new Error("Ya existe un rol con ese nombre");
+    }
+    changes.role_name = data.role_name;
+  }
+
+  if (role.is_system && (renamed || changes.permissions !== undefined)) {
+    throw new Error(SYSTEM_ROLE_ERROR);
+  }
+
+  return withTransaction(async (repositories) => {
+    if (Object.keys(changes).length > 0) {
+      await repositories.roles.update(id, changes);
+    }
+
+    if (renamed) {
+      const users = await repositories.users.findAll({ role_id: id });
+      for (const user of users) {
+        await revokeUserSessions(repositories, user.id, "role_changed");
+      }
+    }
+
+    return formatRole(await repositories.roles.findById(id));
+  });
 }
 
 /**
- * Obtener todos los roles disponibles
- * @returns {Promise<Array>} Lista de roles
+ * Retirar un rol: deja de poder asignarse y de conceder permisos
+ * Solo se retiran roles sin usuarios (tampoco pendientes de aprobación)
+ * @param {number} id - ID del rol
+ * @returns {Promise<Object|null>} Rol retirado o null si no existe o ya estaba retirado
  */
-export async function getRolesDB() {
-  const [rows] = await connection.query("SELECT * FROM roles ORDER BY id");
-  return rows;
+export async function retireRoleDB(id) {
+  return withTransaction(async (repositories) => {
+    const role = await repositories.roles.findById(id);
+    if (!role || role.retired_at) {
+      return null;
+    }
+
+    if (role.is_system) {
+      throw new Error(SYSTEM_ROLE_ERROR);
+    }
+    if (Number(role.user_count) > 0) {
+      throw new Error(ROLE_IN_USE_ERROR);
+    }
+
+    await repositories.roles.retire(id, new Date());
+    return formatRole(await repositories.roles.findById(id));
+  });
 }
 
 /**
@@ -245,11 +627,7 @@ export async function getRolesDB() {
  * @returns {Promise<boolean>} True si existe, false si no
  */
 export async function checkUsernameExistsDB(username) {
-  const [rows] = await connection.query(
-    "SELECT id FROM users WHERE username = ?",
-    [username]
-  );
-  return rows.length > 0;
+  return getRepositories().users.usernameExists(username);
 }
 
 /**
@@ -258,24 +636,16 @@ export async function checkUsernameExistsDB(username) {
  * @returns {Promise<boolean>} True si existe, false si no
  */
 export async function checkEmailExistsDB(email) {
-  const [rows] = await connection.query(
-    "SELECT id FROM users WHERE user_email = ?",
-    [email]
-  );
-  return rows.length > 0;
+  return getRepositories().users.emailExists(email);
 }
 
 /**
- * Verificar si un rol existe por ID
+ * Verificar si un rol existe por ID y puede asignarse (no está retirado)
  * @param {number} roleId - ID del rol a verificar
  * @returns {Promise<boolean>} True si existe, false si no
  */
 export async function checkRoleExistsDB(roleId) {
-  const [rows] = await connection.query(
-    "SELECT id FROM roles WHERE id = ?",
-    [roleId]
-  );
-  return rows.length > 0;
+  return getRepositories().users.roleExists(roleId);
 }
 
 /**
@@ -285,11 +655,7 @@ export async function checkRoleExistsDB(roleId) {
  * @returns {Promise<boolean>} True si existe en otro usuario, false si no
  */
 export async function checkUsernameExistsForUpdateDB(username, excludeUserId) {
-  const [rows] = await connection.query(
-    "SELECT id FROM users WHERE username = ? AND id != ?",
-    [username, excludeUserId]
-  );
-  return rows.length > 0;
+  return getRepositories().users.usernameExists(username, excludeUserId);
 }
 
 /**
@@ -299,9 +665,1215 @@ export async function checkUsernameExistsForUpdateDB(username, excludeUserId) {
  * @returns {Promise<boolean>} True si existe en otro usuario, false si no
  */
 export async function checkEmailExistsForUpdateDB(email, excludeUserId) {
-  const [rows] = await connection.query(
-    "SELECT id FROM users WHERE user_email = ? AND id != ?",
-    [email, excludeUserId]
-  );
-  return rows.length > 0;
+  return getRepositories().users.emailExists(email, excludeUserId);
+}
+
+/**
+ * Calcular el hash SHA-256 de un secreto (refresh token, token de recuperación, código de invitación...)
+ * En la base de datos nunca se guarda el valor en claro
+ * @param {string} token - Secreto en claro
+ * @returns {string} Hash hexadecimal
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * Generar un refresh token aleatorio y guardarlo (hasheado) en una sesión
+ * @param {Object} repositories - Repositorios (normales o transaccionales)
+ * @param {number} userId - ID del usuario
+ * @param {string} sessionId - ID de la sesión
+ * @returns {Promise<Object>} { id, refresh_token, refresh_expires_at }
+ */
+async function insertRefreshToken(repositories, userId, sessionId) {
+  const refreshToken = crypto.randomBytes(48).toString("base64url");
+  const expiresAt = new Date(Date.now() + authConfig.refreshTokenDays * 24 * 60 * 60 * 1000);
+
+  const result = await repositories.tokens.insertRefreshToken({
+    user_id: userId,
+    session_id: sessionId,
+    token_hash: hashToken(refreshToken),
+    expires_at: expiresAt
+  });
+
+  return { id: result.insertId, refresh_token: refreshToken, refresh_expires_at: expiresAt };
+}
+
+/**
+ * Revocar una sesión: invalida sus refresh tokens y la añade a la lista de revocación
+ * La entrada de la lista solo es necesaria mientras puedan existir access tokens
+ * emitidos para la sesión, por eso caduca con la vida de un access token.
+ * @param {Object} repositories - Repositorios (normales o transaccionales)
+ * @param {string} sessionId - ID de la sesión
+ * @param {number} userId - ID del usuario
+ * @param {string} reason - Motivo (logout, role_changed, user_deleted, refresh_reuse, two_factor_reset,
+ *   password_reset, terminated_by_admin)
+ */
+async function revokeSession(repositories, sessionId, userId, reason) {
+  const now = new Date();
+
+  await repositories.tokens.revokeRefreshTokensBySession(sessionId, now);
+  await repositories.sessions.revoke(sessionId, now, reason);
+  await repositories.tokens.insertRevocation({
+    session_id: sessionId,
+    user_id: userId,
+    reason,
+    expires_at: new Date(now.getTime() + authConfig.accessTokenMinutes * 60 * 1000)
+  });
+}
+
+/**
+ * Revocar todas las sesiones activas de un usuario
+ * @param {Object} repositories - Repositorios (normales o transaccionales)
+ * @param {number} userId - ID del usuario
+ * @param {string} reason - Motivo de la revocación
+ * @returns {Promise<number>} Número de sesiones revocadas
+ */
+async function revokeUserSessions(repositories, userId, reason) {
+  const sessionIds = await repositories.tokens.findActiveSessionIds(userId, new Date());
+
+  for (const sessionId of sessionIds) {
+    await revokeSession(repositories, sessionId, userId, reason);
+  }
+
+  return sessionIds.length;
+}
+
+/**
+ * Abrir una sesión para un usuario autenticado
+ * Aprovecha para purgar refresh tokens y revocaciones caducados
+ * @param {number} userId - ID del usuario
+ * @param {Object} context - Datos de la petición
+ * @param {string} context.ip - IP del cliente
+ * @param {string} context.user_agent - User-Agent del cliente
+ * @returns {Promise<Object>} { session_id, refresh_token, refresh_expires_at }
+ */
+export async function createSessionDB(userId, context = {}) {
+  await getRepositories().tokens.deleteExpired(new Date());
+
+  return withTransaction(async (repositories) => {
+    const sessionId = crypto.randomUUID();
+    const { refresh_token, refresh_expires_at } = await insertRefreshToken(repositories, userId, sessionId);
+
+    await repositories.sessions.insert({
+      session_id: sessionId,
+      user_id: userId,
+      ip_address: context.ip || null,
+      user_agent: context.user_agent ? String(context.user_agent).slice(0, 255) : null,
+      last_seen_ip: context.ip || null,
+      expires_at: refresh_expires_at
+    });
+
+    return { session_id: sessionId, refresh_token, refresh_expires_at };
+  });
+}
+
+/**
+ * Rotar un refresh token: el token usado queda revocado y se emite uno nuevo en la misma sesión
+ * Si se presenta un token ya rotado se asume que fue robado y se revoca la sesión completa.
+ * @param {string} refreshToken - Refresh token en claro
+ * @param {Object} context - Datos de la petición
+ * @param {string} context.ip - IP del cliente
+ * @returns {Promise<Object>} { user, session_id, refresh_token, refresh_expires_at }
+ */
+export async function rotateRefreshTokenDB(refreshToken, context = {}) {
+  const rotated = await withTransaction(async (repositories) => {
+    const stored = await repositories.tokens.findRefreshTokenByHash(hashToken(refreshToken));
+
+    if (!stored) {
+      return null;
+    }
+
+    if (stored.revoked_at) {
+      if (stored.replaced_by) {
+        await revokeSession(repositories, stored.session_id, stored.user_id, "refresh_reuse");
+      }
+      return null;
+    }
+
+    if (new Date(stored.expires_at).getTime() <= Date.now()) {
+      return null;
+    }
+
+    const user = await repositories.users.findById(stored.user_id);
+    if (!user || user.status !== USER_STATUS.ACTIVE) {
+      return null;
+    }
+
+    const next = await insertRefreshToken(repositories, stored.user_id, stored.session_id);
+    await repositories.tokens.updateRefreshToken(stored.id, { revoked_at: new Date(), replaced_by: next.id });
+    await repositories.sessions.update(stored.session_id, {
+      last_seen_at: new Date(),
+      last_seen_ip: context.ip || null,
+      expires_at: next.refresh_expires_at
+    });
+
+    return {
+      user,
+      session_id: stored.session_id,
+      refresh_token: next.refresh_token,
+      refresh_expires_at: next.refresh_expires_at
+    };
+  });
+
+  if (!rotated) {
+    throw new Error("Refresh token inválido o expirado");
+  }
+
+  return rotated;
+}
+
+/**
+ * Revocar una sesión concreta (logout)
+ * @param {string} sessionId - ID de la sesión
+ * @param {number} userId - ID del usuario
+ * @param {string} reason - Motivo de la revocación
+ */
+export async function revokeSessionDB(sessionId, userId, reason = "logout") {
+  return withTransaction((repositories) => revokeSession(repositories, sessionId, userId, reason));
+}
+
+/**
+ * Revocar todas las sesiones activas de un usuario
+ * @param {number} userId - ID del usuario
+ * @param {string} reason - Motivo de la revocación
+ * @returns {Promise<number>} Número de sesiones revocadas
+ */
+export async function revokeUserSessionsDB(userId, reason = "logout") {
+  return withTransaction((repositories) => revokeUserSessions(repositories, userId, reason));
+}
+
+/**
+ * Verificar si una sesión está en la lista de revocación
+ * @param {string} sessionId - ID de la sesión (claim sid del access token)
+ * @returns {Promise<boolean>} True si está revocada
+ */
+export async function isSessionRevokedDB(sessionId) {
+  return getRepositories().tokens.isSessionRevoked(sessionId);
+}
+
+/**
+ * Registrar el uso de una sesión (last_seen_at / last_seen_ip)
+ * Solo escribe si el último registro tiene más de SESSION_TOUCH_INTERVAL_SECONDS
+ * @param {string} sessionId - ID de la sesión (claim sid del access token)
+ * @param {string} ipAddress - IP del cliente
+ */
+export async function touchSessionDB(sessionId, ipAddress) {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - authConfig.sessionTouchIntervalSeconds * 1000);
+
+  await getRepositories().sessions.touch(sessionId, now, ipAddress || null, staleBefore);
+}
+
+/**
+ * Quitar los datos internos de una sesión para mostrarla
+ * El session_id (claim sid) no se expone: las sesiones se identifican por id
+ * @param {Object} session - Sesión
+ * @param {string} currentSessionId - Sesión del token que hace la petición
+ * @returns {Object} Sesión con el indicador current
+ */
+function formatSession(session, currentSessionId) {
+  const { session_id, revoked_at, revoked_reason, ...fields } = session;
+  return { ...fields, current: session_id === currentSessionId };
+}
+
+/**
+ * Obtener las sesiones activas de un usuario, de la más a la menos reciente
+ * @param {number} userId - ID del usuario
+ * @param {string} currentSessionId - Sesión del token que hace la petición (para marcarla)
+ * @returns {Promise<Array>} Sesiones activas
+ */
+export async function getUserSessionsDB(userId, currentSessionId = null) {
+  const sessions = await getRepositories().sessions.findActiveByUser(userId, new Date());
+  return sessions.map(session => formatSession(session, currentSessionId));
+}
+
+/**
+ * Obtener lo que ha registrado un usuario: antecedentes penales y citaciones
+ * de los que figura como issued_by (los más recientes primero)
+ * @param {number} userId - ID del usuario
+ * @param {Object} filters - limit y offset (se aplican a cada lista)
+ * @returns {Promise<Object>} { records, citations }
+ */
+export async function getUserActivityDB(userId, filters = {}) {
+  const repositories = getRepositories();
+  const criteria = { issued_by: userId, limit: filters.limit, offset: filters.offset };
+
+  const [records, citations] = await Promise.all([
+    repositories.records.search(criteria),
+    repositories.citations.search(criteria)
+  ]);
+
+  return { records, citations };
+}
+
+/**
+ * Cerrar una sesión activa de un usuario
+ * @param {number} userId - ID del usuario titular
+ * @param {number} id - ID de la sesión (user_sessions.id)
+ * @param {string} reason - Motivo de la revocación
+ * @returns {Promise<boolean>} False si la sesión no existe, es de otro usuario o ya estaba cerrada
+ */
+export async function terminateUserSessionDB(userId, id, reason) {
+  return withTransaction(async (repositories) => {
+    const session = await repositories.sessions.findById(id);
+    if (!session || Number(session.user_id) !== Number(userId) || session.revoked_at) {
+      return false;
+    }
+
+    await revokeSession(repositories, session.session_id, session.user_id, reason);
+    return true;
+  });
+}
+
+/**
+ * Calcular la espera progresiva tras un número de fallos consecutivos
+ * @param {number} failures - Fallos desde el último login correcto o desbloqueo
+ * @returns {number} Segundos de espera antes del siguiente intento
+ */
+export function loginDelaySeconds(failures) {
+  if (failures < 1 || authConfig.loginDelayBaseSeconds <= 0) {
+    return 0;
+  }
+  return Math.min(authConfig.loginDelayBaseSeconds * 2 ** (failures - 1), authConfig.loginDelayMaxSeconds);
+}
+
+/**
+ * Estado de los fallos de login de una cuenta
+ * @param {Object} repositories - Repositorios
+ * @param {Object} key - { userId, login }
+ * @returns {Promise<Object>} { failed_attempts, locked, retry_after_seconds }
+ */
+async function getAccountLoginState(repositories, key) {
+  const now = Date.now();
+  const windowStart = new Date(now - authConfig.loginAttemptWindowMinutes * 60 * 1000);
+
+  const reset = await repositories.loginAttempts.findLastReset(key);
+  const failures = await repositories.loginAttempts.findFailures(key, reset ? reset.id : 0, windowStart);
+
+  if (failures.length === 0) {
+    return { failed_attempts: 0, locked: false, retry_after_seconds: 0 };
+  }
+
+  const lastFailure = new Date(failures[0].attempted_at).getTime();
+  const locked = authConfig.loginMaxAttempts > 0 && failures.length >= authConfig.loginMaxAttempts;
+  const waitUntil = locked
+    ? lastFailure + authConfig.loginLockoutMinutes * 60 * 1000
+    : lastFailure + loginDelaySeconds(failures.length) * 1000;
+
+  return {
+    failed_attempts: failures.length,
+    locked: locked && waitUntil > now,
+    retry_after_seconds: Math.max(0, Math.ceil((waitUntil - now) / 1000))
+  };
+}
+
+/**
+ * Calcular cuántos segundos debe esperar un intento de login (0 si está permitido)
+ * Combina el bloqueo/espera de la cuenta y el límite por IP
+ * @param {Object} repositories - Repositorios
+ * @param {Object} key - { userId, login }
+ * @param {string|null} ipAddress - IP del cliente
+ * @returns {Promise<number>} Segundos de espera
+ */
+async function getLoginRetryAfter(repositories, key, ipAddress) {
+  const account = await getAccountLoginState(repositories, key);
+  let retryAfter = account.retry_after_seconds;
+
+  if (ipAddress && authConfig.loginIpMaxAttempts > 0) {
+    const windowMs = authConfig.loginAttemptWindowMinutes * 60 * 1000;
+    const ipFailures = await repositories.loginAttempts.findIpFailures(ipAddress, new Date(Date.now() - windowMs));
+
+    if (ipFailures.length >= authConfig.loginIpMaxAttempts) {
+      // La IP vuelve a estar permitida cuando el fallo que alcanzó el límite sale de la ventana
+      const limitFailure = ipFailures[authConfig.loginIpMaxAttempts - 1];
+      const waitUntil = new Date(limitFailure.attempted_at).getTime() + windowMs;
+      retryAfter = Math.max(retryAfter, Math.ceil((waitUntil - Date.now()) / 1000));
+    }
+  }
+
+  return retryAfter;
+}
+
+/**
+ * Obtener el estado de bloqueo de login de un usuario
+ * @param {Object} user - Usuario (id, username)
+ * @returns {Promise<Object>} { failed_attempts, locked, retry_after_seconds }
+ */
+export async function getUserLoginStateDB(user) {
+  return getAccountLoginState(getRepositories(), { userId: user.id, login: user.username.toLowerCase() });
+}
+
+/**
+ * Desbloquear el login de un usuario (Admin): reinicia el conteo de fallos
+ * @param {Object} user - Usuario (id, username)
+ * @returns {Promise<Object>} Resultado de la inserción en el historial
+ */
+export async function unlockUserLoginDB(user) {
+  return getRepositories().loginAttempts.insert({
+    user_id: user.id,
+    login: user.username.toLowerCase(),
+    ip_address: null,
+    result: "unlocked"
+  });
+}
+
+/**
+ * Obtener el historial de intentos de login
+ * @param {Object} filters - user_id, login, ip_address, result, date_from, date_to, limit, offset
+ * @returns {Promise<Array>} Intentos, del más reciente al más antiguo
+ */
+export async function getLoginAttemptsDB(filters = {}) {
+  return getRepositories().loginAttempts.findAll(filters);
+}
+
+/**
+ * Aprobar un usuario pendiente, opcionalmente asignándole otro rol
+ * @param {number} id - ID del usuario
+ * @param {number|null} roleId - Rol definitivo (si no se indica, se mantiene el solicitado)
+ * @param {Object} audit - Actor de la petición (getAuditContext)
+ * @returns {Promise<Object>} Resultado de la actualización
+ */
+export async function approveUserDB(id, roleId = null, audit = {}) {
+  const data = { status: USER_STATUS.ACTIVE };
+
+  if (roleId) {
+    const roleExists = await checkRoleExistsDB(roleId);
+    if (!roleExists) {
+      throw new Error("El rol especificado no existe");
+    }
+    data.role_id = roleId;
+  }
+
+  return updateUserStatus(id, data, audit);
+}
+
+/**
+ * Rechazar un usuario pendiente (la cuenta se conserva como rechazada)
+ * @param {number} id - ID del usuario
+ * @param {Object} audit - Actor de la petición (getAuditContext)
+ * @returns {Promise<Object>} Resultado de la actualización
+ */
+export async function rejectUserDB(id, audit = {}) {
+  return updateUserStatus(id, { status: USER_STATUS.REJECTED }, audit);
+}
+
+/**
+ * Cambiar el estado (y opcionalmente el rol) de un usuario pendiente
+ * @param {number} id - ID del usuario
+ * @param {Object} data - status y role_id
+ * @param {Object} audit - Actor de la petición (getAuditContext)
+ * @returns {Promise<Object>} Resultado de la actualización
+ */
+async function updateUserStatus(id, data, audit) {
+  return withTransaction(async (repositories) => {
+    const before = await repositories.users.findById(id);
+    const result = await repositories.users.update(id, data);
+    if (before) {
+      await auditUserChange(repositories, audit, 'update', id, before);
+    }
+    return result;
+  });
+}
+
+/**
+ * Calcular el estado de una invitación
+ * @param {Object} invitation - Invitación
+ * @returns {string} active, used, expired o revoked
+ */
+function getInvitationStatus(invitation) {
+  if (invitation.revoked_at) return "revoked";
+  if (invitation.used_at) return "used";
+  if (new Date(invitation.expires_at).getTime() <= Date.now()) return "expired";
+  return "active";
+}
+
+/**
+ * Crear una invitación de registro ligada a un rol
+ * El código en claro solo se devuelve aquí; en la base de datos se guarda su hash
+ * @param {Object} data - Datos de la invitación
+ * @param {number} data.role_id - Rol que tendrá el usuario registrado
+ * @param {string} data.email - Email al que se restringe (opcional)
+ * @param {number} data.expires_in_hours - Horas de validez (por defecto INVITATION_EXPIRES_HOURS)
+ * @param {number} createdBy - ID del Admin que la emite
+ * @returns {Promise<Object>} Invitación creada con el código en claro
+ */
+export async function createInvitationDB(data, createdBy) {
+  const roleExists = await checkRoleExistsDB(data.role_id);
+  if (!roleExists) {
+    throw new Error("El rol especificado no existe");
+  }
+
+  const code = crypto.randomBytes(12).toString("base64url");
+  const hours = data.expires_in_hours || authConfig.invitationExpiresHours;
+  const expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+
+  const result = await getRepositories().invitations.insert({
+    code_hash: hashToken(code),
+    role_id: data.role_id,
+    email: data.email || null,
+    created_by: createdBy,
+    expires_at: expiresAt
+  });
+
+  const invitation = await getInvitationByIdDB(result.insertId);
+  return { ...invitation, code };
+}
+
+/**
+ * Obtener una invitación por ID con su estado
+ * @param {number} id - ID de la invitación
+ * @returns {Promise<Object|null>} Invitación o null
+ */
+export async function getInvitationByIdDB(id) {
+  const invitation = await getRepositories().invitations.findById(id);
+  return invitation ? { ...invitation, status: getInvitationStatus(invitation) } : null;
+}
+
+/**
+ * Obtener las invitaciones con su estado
+ * @param {Object} filters - Filtros opcionales: status (active, used, expired, revoked)
+ * @returns {Promise<Array>} Invitaciones, de la más reciente a la más antigua
+ */
+export async function getInvitationsDB(filters = {}) {
+  const invitations = await getRepositories().invitations.findAll();
+
+  return invitations
+    .map(invitation => ({ ...invitation, status: getInvitationStatus(invitation) }))
+    .filter(invitation => !filters.status || invitation.status === filters.status);
+}
+
+/**
+ * Revocar una invitación que aún no se ha usado
+ * @param {number} id - ID de la invitación
+ * @returns {Promise<Object>} Resultado de la actualización
+ */
+export async function revokeInvitationDB(id) {
+  return getRepositories().invitations.update(id, { revoked_at: new Date() });
+}
+
+
+/**
+ * Verificar si un rol tiene la autenticación en dos pasos obligatoria
+ * @param {string} roleName - Nombre del rol
+ * @returns {boolean} True si el rol está en TWO_FACTOR_REQUIRED_ROLES
+ */
+export function isTwoFactorRequiredForRole(roleName) {
+  return authConfig.twoFactorRequiredRoles.includes(roleName);
+}
+
+/**
+ * Normalizar un código de recuperación (sin guiones ni espacios, en minúsculas)
+ * @param {string} code - Código introducido por el usuario
+ * @returns {string} Código normalizado
+ */
+function normalizeRecoveryCode(code) {
+  return String(code).replace(/[\s-]/g, "").toLowerCase();
+}
+
+/**
+ * Generar y guardar (hasheados) nuevos códigos de recuperación; los anteriores dejan de servir
+ * @param {Object} repositories - Repositorios (normales o transaccionales)
+ * @param {number} userId - ID del usuario
+ * @returns {Promise<string[]>} Códigos en claro (solo se muestran una vez)
+ */
+async function replaceRecoveryCodes(repositories, userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  await repositories.twoFactor.replaceRecoveryCodes(
+    userId,
+    codes.map(code => hashToken(normalizeRecoveryCode(code)))
+  );
+
+  return codes;
+}
+
+/**
+ * Verificar un código TOTP y marcar su paso de tiempo como usado
+ * Un mismo código no se acepta dos veces aunque siga dentro de su ventana
+ * @param {Object} repositories - Repositorios
+ * @param {Object} twoFactor - Fila de user_two_factor
+ * @param {string} code - Código TOTP
+ * @returns {Promise<boolean>} True si el código es válido y no se había usado
+ */
+async function consumeTotpCode(repositories, twoFactor, code) {
+  const step = verifyTotp(twoFactor.secret, code);
+  if (step === null) {
+    return false;
+  }
+
+  const result = await repositories.twoFactor.useStep(twoFactor.user_id, step);
+  return result.affectedRows === 1;
+}
+
+/**
+ * Obtener la configuración de 2FA activa de un usuario o lanzar un error
+ * @param {Object} repositories - Repositorios
+ * @param {number} userId - ID del usuario
+ * @returns {Promise<Object>} Fila de user_two_factor
+ */
+async function getEnabledTwoFactor(repositories, userId) {
+  const twoFactor = await repositories.twoFactor.findByUserId(userId);
+  if (!twoFactor || !twoFactor.enabled_at) {
+    throw new Error("La autenticación en dos pasos no está activada");
+  }
+  return twoFactor;
+}
+
+/**
+ * Obtener el estado de la autenticación en dos pasos de un usuario
+ * @param {Object} user - Usuario (id, role_name)
+ * @returns {Promise<Object>} { enabled, enrollment_pending, required, enabled_at, recovery_codes_remaining }
+ */
+export async function getTwoFactorStatusDB(user) {
+  const repositories = getRepositories();
+  const twoFactor = await repositories.twoFactor.findByUserId(user.id);
+  const enabled = Boolean(twoFactor && twoFactor.enabled_at);
+
+  return {
+    enabled,
+    enrollment_pending: Boolean(twoFactor && !twoFactor.enabled_at),
+    required: isTwoFactorRequiredForRole(user.role_name),
+    enabled_at: enabled ? twoFactor.enabled_at : null,
+    recovery_codes_remaining: enabled ? await repositories.twoFactor.countUnusedRecoveryCodes(user.id) : 0
+  };
+}
+
+/**
+ * Obtener las acciones que un usuario debe completar antes de usar la API
+ * - two_factor_enrollment: su rol exige 2FA y todavía no la activó
+ * - password_change: su contraseña caducó (PASSWORD_MAX_AGE_DAYS, roles de PASSWORD_EXPIRY_ROLES)
+ * @param {Object} user - Usuario (id, role_name, password_changed_at)
+ * @returns {Promise<string[]>} Acciones pendientes (ver PENDING_ACTIONS)
+ */
+export async function getPendingActionsDB(user) {
+  const pending = [];
+
+  if (isTwoFactorRequiredForRole(user.role_name)) {
+    const twoFactor = await getRepositories().twoFactor.findByUserId(user.id);
+    if (!(twoFactor && twoFactor.enabled_at)) {
+      pending.push(PENDING_ACTIONS.TWO_FACTOR_ENROLLMENT);
+    }
+  }
+
+  if (isPasswordExpired(user)) {
+    pending.push(PENDING_ACTIONS.PASSWORD_CHANGE);
+  }
+
+  return pending;
+}
+
+/**
+ * Iniciar la inscripción en 2FA: genera un secreto nuevo pendiente de confirmar
+ * Repetir la inscripción antes de confirmarla sustituye el secreto anterior
+ * @param {Object} user - Usuario (id, username)
+ * @returns {Promise<Object>} { secret, otpauth_uri }
+ */
+export async function enrollTwoFactorDB(user) {
+  const repositories = getRepositories();
+  const existing = await repositories.twoFactor.findByUserId(user.id);
+
+  if (existing && existing.enabled_at) {
+    throw new Error("La autenticación en dos pasos ya está activada");
+  }
+
+  const secret = generateSecret();
+  await repositories.twoFactor.save(user.id, secret);
+
+  return {
+    secret,
+    otpauth_uri: buildOtpauthUri({ secret, accountName: user.username, issuer: authConfig.totpIssuer })
+  };
+}
+
+/**
+ * Confirmar la inscripción en 2FA con un código de la app y activarla
+ * @param {number} userId - ID del usuario
+ * @param {string} code - Código TOTP
+ * @returns {Promise<string[]>} Códigos de recuperación en claro (solo se muestran una vez)
+ */
+export async function confirmTwoFactorDB(userId, code) {
+  return withTransaction(async (repositories) => {
+    const twoFactor = await repositories.twoFactor.findByUserId(userId);
+
+    if (!twoFactor) {
+      throw new Error("No hay ninguna inscripción de autenticación en dos pasos pendiente");
+    }
+    if (twoFactor.enabled_at) {
+      throw new Error("La autenticación en dos pasos ya está activada");
+    }
+    if (!(await consumeTotpCode(repositories, twoFactor, code))) {
+      throw new Error(TWO_FACTOR_INVALID_ERROR);
+    }
+
+    await repositories.twoFactor.update(userId, { enabled_at: new Date() });
+    return replaceRecoveryCodes(repositories, userId);
+  });
+}
+
+/**
+ * Completar un login con 2FA (segundo paso) con un código TOTP o de recuperación
+ * Los códigos erróneos cuentan como intentos fallidos de la cuenta
+ * @param {number} userId - ID del usuario del desafío
+ * @param {Object} codes - { code, recovery_code }
+ * @param {Object} context - Datos de la petición
+ * @param {string} context.ip - IP del cliente
+ * @returns {Promise<Object>} Usuario autenticado con rol y recovery_codes_remaining si usó uno
+ */
+export async function verifyTwoFactorLoginDB(userId, codes, context = {}) {
+  const repositories = getRepositories();
+  const ipAddress = context.ip || null;
+
+  const user = await repositories.users.findById(userId);
+  if (!user || user.status !== USER_STATUS.ACTIVE) {
+    throw new Error(TWO_FACTOR_INVALID_ERROR);
+  }
+
+  const key = { userId: user.id, login: user.username.toLowerCase() };
+  const attempt = { user_id: user.id, login: key.login, ip_address: ipAddress };
+
+  const retryAfterSeconds = await getLoginRetryAfter(repositories, key, ipAddress);
+  if (retryAfterSeconds > 0) {
+    await repositories.loginAttempts.insert({ ...attempt, result: "blocked" });
+    const error = new Error(LOGIN_THROTTLED_ERROR);
+    error.retryAfterSeconds = retryAfterSeconds;
+    throw error;
+  }
+
+  const twoFactor = await getEnabledTwoFactor(repositories, user.id);
+
+  let valid;
+  if (codes.recovery_code) {
+    const result = await repositories.twoFactor.useRecoveryCode(
+      user.id,
+      hashToken(normalizeRecoveryCode(codes.recovery_code)),
+      new Date()
+    );
+    valid = result.affectedRows === 1;
+  } else {
+    valid = await consumeTotpCode(repositories, twoFactor, codes.code);
+  }
+
+  if (!valid) {
+    await repositories.loginAttempts.insert({ ...attempt, result: "failure" });
+    throw new Error(TWO_FACTOR_INVALID_ERROR);
+  }
+
+  await repositories.loginAttempts.insert({ ...attempt, result: "success" });
+
+  if (codes.recovery_code) {
+    user.recovery_codes_remaining = await repositories.twoFactor.countUnusedRecoveryCodes(user.id);
+  }
+
+  return user;
+}
+
+/**
+ * Generar nuevos códigos de recuperación (requiere un código TOTP vigente)
+ * @param {number} userId - ID del usuario
+ * @param {string} code - Código TOTP
+ * @returns {Promise<string[]>} Códigos de recuperación en claro
+ */
+export async function regenerateRecoveryCodesDB(userId, code) {
+  return withTransaction(async (repositories) => {
+    const twoFactor = await getEnabledTwoFactor(repositories, userId);
+
+    if (!(await consumeTotpCode(repositories, twoFactor, code))) {
+      throw new Error(TWO_FACTOR_INVALID_ERROR);
+    }
+
+    return replaceRecoveryCodes(repositories, userId);
+  });
+}
+
+/**
+ * Desactivar la 2FA de la propia cuenta (requiere un código TOTP vigente)
+ * No se permite si el rol del usuario la exige
+ * @param {Object} user - Usuario (id, role_name)
+ * @param {string} code - Código TOTP
+ * @returns {Promise<Object>} Resultado de la eliminación
+ */
+export async function disableTwoFactorDB(user, code) {
+  if (isTwoFactorRequiredForRole(user.role_name)) {
+    throw new Error(`La autenticación en dos pasos es obligatoria para el rol ${user.role_name}`);
+  }
+
+  return withTransaction(async (repositories) => {
+    const twoFactor = await getEnabledTwoFactor(repositories, user.id);
+
+    if (!(await consumeTotpCode(repositories, twoFactor, code))) {
+      throw new Error(TWO_FACTOR_INVALID_ERROR);
+    }
+
+    await repositories.twoFactor.deleteRecoveryCodes(user.id);
+    return repositories.twoFactor.delete(user.id);
+  });
+}
+
+/**
+ * Restablecer la 2FA de un usuario (Admin): elimina el secreto y los códigos
+ * de recuperación y cierra sus sesiones; si su rol la exige, deberá inscribirse de nuevo
+ * @param {number} userId - ID del usuario
+ * @returns {Promise<Object>} { was_enabled, revoked_sessions }
+ */
+export async function resetTwoFactorDB(userId) {
+  return withTransaction(async (repositories) => {
+    const twoFactor = await repositories.twoFactor.findByUserId(userId);
+
+    await repositories.twoFactor.deleteRecoveryCodes(userId);
+    await repositories.twoFactor.delete(userId);
+    const revokedSessions = await revokeUserSessions(repositories, userId, "two_factor_reset");
+
+    return {
+      was_enabled: Boolean(twoFactor && twoFactor.enabled_at),
+      revoked_sessions: revokedSessions
+    };
+  });
+}
+
+/**
+ * Solicitar la recuperación de contraseña de una cuenta activa
+ * Devuelve null (sin error) si la cuenta no existe, no está activa o superó
+ * PASSWORD_RESET_MAX_PER_HOUR, para no revelar qué emails están registrados
+ * @param {string} email - Email de la cuenta
+ * @param {Object} context - Datos de la petición
+ * @param {string} context.ip - IP del cliente
+ * @returns {Promise<Object|null>} { user, token, expires_at } con el token en claro o null
+ */
+export async function requestPasswordResetDB(email, context = {}) {
+  const repositories = getRepositories();
+  const now = new Date();
+  await repositories.passwordResets.deleteExpired(now);
+
+  const user = await repositories.users.findByLogin(email);
+  if (!user || user.user_email.toLowerCase() !== String(email).toLowerCase() || user.status !== USER_STATUS.ACTIVE) {
+    return null;
+  }
+
+  const hourAgo = new Date(now.getTime() - 60 * 60 * 1000);
+  if (await repositories.passwordResets.countSince(user.id, hourAgo) >= authConfig.passwordResetMaxPerHour) {
+    return null;
+  }
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  const expiresAt = new Date(now.getTime() + authConfig.passwordResetExpiresMinutes * 60 * 1000);
+
+  await repositories.passwordResets.insert({
+    user_id: user.id,
+    token_hash: hashToken(token),
+    requested_ip: context.ip || null,
+    expires_at: expiresAt
+  });
+
+  delete user.password_hash;
+  return { user, token, expires_at: expiresAt };
+}
+
+/**
+ * Restablecer la contraseña con un token de recuperación
+ * El token se consume, se invalidan los demás tokens pendientes de la cuenta
+ * y se cierran todas sus sesiones
+ * @param {string} token - Token de recuperación en claro
+ * @param {string} newPassword - Nueva contraseña
+ * @param {Object} audit - Actor de la petición (getAuditContext; anónimo)
+ * @returns {Promise<Object>} { user_id, revoked_sessions }
+ */
+export async function resetPasswordDB(token, newPassword, audit = {}) {
+  return withTransaction(async (repositories) => {
+    const now = new Date();
+    const reset = await repositories.passwordResets.findByHash(hashToken(token));
+
+    if (!reset) {
+      throw new Error(PASSWORD_RESET_INVALID_ERROR);
+    }
+
+    const claimed = await repositories.passwordResets.claim(reset.id, now);
+    if (claimed.affectedRows !== 1) {
+      throw new Error(PASSWORD_RESET_INVALID_ERROR);
+    }
+
+    const user = await repositories.users.findById(reset.user_id);
+    if (!user || user.status !== USER_STATUS.ACTIVE) {
+      throw new Error(PASSWORD_RESET_INVALID_ERROR);
+    }
+
+    await assertNewPasswordAllowed(repositories, user, newPassword);
+    await storePassword(repositories, user.id, newPassword);
+    await auditUserChange(repositories, audit, 'update', user.id, user);
+    await repositories.passwordResets.invalidateForUser(user.id, now);
+    const revokedSessions = await revokeUserSessions(repositories, user.id, "password_reset");
+
+    return { user_id: user.id, revoked_sessions: revokedSessions };
+  });
+}
+
+/**
+ * Calcular el estado de una API key
+ * @param {Object} key - API key
+ * @returns {string} active, expired o revoked
+ */
+function getApiKeyStatus(key) {
+  if (key.revoked_at) return "revoked";
+  if (new Date(key.expires_at).getTime() <= Date.now()) return "expired";
+  return "active";
+}
+
+/**
+ * Verificar que los scopes pueden concederse a una cuenta de servicio
+ * @param {string[]} scopes - Scopes con formato 'recurso:acción'
+ */
+function assertValidScopes(scopes) {
+  const allowed = listServiceAccountScopes();
+  const invalid = scopes.filter(scope => !allowed.includes(scope));
+
+  if (invalid.length > 0) {
+    throw new Error(`${SERVICE_ACCOUNT_SCOPE_ERROR}: ${invalid.join(", ")}`);
+  }
+}
+
+/**
+ * Generar una API key y guardarla (hasheada) en una cuenta de servicio
+ * @param {Object} repositories - Repositorios (normales o transaccionales)
+ * @param {number} serviceAccountId - ID de la cuenta de servicio
+ * @param {number} expiresInDays - Días de validez (por defecto API_KEY_EXPIRES_DAYS)
+ * @param {number} createdBy - ID del Admin que la emite
+ * @returns {Promise<Object>} API key creada con la key en claro
+ */
+async function issueApiKey(repositories, serviceAccountId, expiresInDays, createdBy) {
+  const prefix = `${API_KEY_PREFIX}_${crypto.randomBytes(4).toString("hex")}`;
+  const apiKey = `${prefix}_${crypto.randomBytes(32).toString("base64url")}`;
+  const days = expiresInDays || authConfig.apiKeyExpiresDays;
+
+  const result = await repositories.serviceAccounts.insertKey({
+    service_account_id: serviceAccountId,
+    key_prefix: prefix,
+    key_hash: hashToken(apiKey),
+    created_by: createdBy,
+    expires_at: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+  });
+
+  const key = await repositories.serviceAccounts.findKeyById(result.insertId);
+  return { ...key, status: getApiKeyStatus(key), key: apiKey };
+}
+
+/**
+ * Crear una cuenta de servicio con su primera API key
+ * La key en claro solo se devuelve aquí; en la base de datos se guarda su hash
+ * @param {Object} data - Datos de la cuenta
+ * @param {string} data.name - Nombre único (ej: checkpoint-scanner-03)
+ * @param {string} data.description - Descripción (opcional)
+ * @param {string[]} data.scopes - Scopes concedidos
+ * @param {number} data.expires_in_days - Validez de la API key (opcional)
+ * @param {number} createdBy - ID del Admin que la crea
+ * @returns {Promise<Object>} Cuenta creada con api_key (incluye la key en claro)
+ */
+export async function createServiceAccountDB(data, createdBy) {
+  const scopes = [...new Set(data.scopes)];
+  assertValidScopes(scopes);
+
+  if (await getRepositories().serviceAccounts.findByName(data.name)) {
+    throw new Error("Ya existe una cuenta de servicio con ese nombre");
+  }
+
+  return withTransaction(async (repositories) => {
+    const result = await repositories.serviceAccounts.insert({
+      name: data.name,
+      description: data.description || null,
+      scopes,
+      created_by: createdBy
+    });
+
+    const apiKey = await issueApiKey(repositories, result.insertId, data.expires_in_days, createdBy);
+    const account = await repositories.serviceAccounts.findById(result.insertId);
+
+    return { ...account, api_key: apiKey };
+  });
+}
+
+/**
+ * Obtener las cuentas de servicio con el número de API keys activas
+ * @returns {Promise<Array>} Cuentas de servicio
+ */
+export async function getServiceAccountsDB() {
+  return getRepositories().serviceAccounts.findAll(new Date());
+}
+
+/**
+ * Obtener una cuenta de servicio con sus API keys (sin hashes) y su estado
+ * @param {number} id - ID de la cuenta de servicio
+ * @returns {Promise<Object|null>} Cuenta de servicio o null
+ */
+export async function getServiceAccountByIdDB(id) {
+  const repositories = getRepositories();
+  const account = await repositories.serviceAccounts.findById(id);
+  if (!account) {
+    return null;
+  }
+
+  const keys = await repositories.serviceAccounts.findKeys(id);
+  return { ...account, api_keys: keys.map(key => ({ ...key, status: getApiKeyStatus(key) })) };
+}
+
+/**
+ * Actualizar la descripción, los scopes o el estado de una cuenta de servicio
+ * Los cambios se aplican a todas sus API keys desde la siguiente petición
+ * @param {number} id - ID de la cuenta de servicio
+ * @param {Object} data - description, scopes y/o status
+ * @returns {Promise<Object>} Resultado de la actualización
+ */
+export async function updateServiceAccountDB(id, data) {
+  const changes = {};
+
+  if (data.description !== undefined) changes.description = data.description || null;
+  if (data.status !== undefined) changes.status = data.status;
+  if (data.scopes !== undefined) {
+    changes.scopes = [...new Set(data.scopes)];
+    assertValidScopes(changes.scopes);
+  }
+
+  return getRepositories().serviceAccounts.update(id, changes);
+}
+
+/**
+ * Eliminar una cuenta de servicio con sus API keys y su registro de peticiones
+ * @param {number} id - ID de la cuenta de servicio
+ * @returns {Promise<Object>} Resultado de la eliminación
+ */
+export async function deleteServiceAccountDB(id) {
+  return getRepositories().serviceAccounts.delete(id);
+}
+
+/**
+ * Obtener una API key de una cuenta de servicio con su estado
+ * @param {number} serviceAccountId - ID de la cuenta de servicio
+ * @param {number} keyId - ID de la API key
+ * @returns {Promise<Object|null>} API key o null si no existe o es de otra cuenta
+ */
+export async function getApiKeyDB(serviceAccountId, keyId) {
+  const key = await getRepositories().serviceAccounts.findKeyById(keyId);
+  if (!key || Number(key.service_account_id) !== Number(serviceAccountId)) {
+    return null;
+  }
+  return { ...key, status: getApiKeyStatus(key) };
+}
+
+/**
+ * Emitir una API key adicional para una cuenta de servicio
+ * @param {number} serviceAccountId - ID de la cuenta de servicio
+ * @param {Object} data - expires_in_days (opcional)
+ * @param {number} createdBy - ID del Admin que la emite
+ * @returns {Promise<Object>} API key creada con la key en claro
+ */
+export async function issueApiKeyDB(serviceAccountId, data, createdBy) {
+  return issueApiKey(getRepositories(), serviceAccountId, data.expires_in_days, createdBy);
+}
+
+/**
+ * Rotar una API key: emite una nueva y retira la anterior
+ * Con grace_minutes la anterior sigue valiendo ese tiempo (para desplegar la
+ * nueva sin cortes); sin él se revoca en el momento
+ * @param {number} serviceAccountId - ID de la cuenta de servicio
+ * @param {number} keyId - ID de la API key que se sustituye
+ * @param {Object} data - expires_in_days y grace_minutes (opcionales)
+ * @param {number} createdBy - ID del Admin que la rota
+ * @returns {Promise<Object|null>} { api_key, previous_key } o null si la key no existe
+ */
+export async function rotateApiKeyDB(serviceAccountId, keyId, data, createdBy) {
+  return withTransaction(async (repositories) => {
+    const previous = await repositories.serviceAccounts.findKeyById(keyId);
+    if (!previous || Number(previous.service_account_id) !== Number(serviceAccountId)) {
+      return null;
+    }
+
+    if (getApiKeyStatus(previous) !== "active") {
+      throw new Error(API_KEY_NOT_ACTIVE_ERROR);
+    }
+
+    const apiKey = await issueApiKey(repositories, serviceAccountId, data.expires_in_days, createdBy);
+
+    if (data.grace_minutes) {
+      const graceEnd = new Date(Date.now() + data.grace_minutes * 60 * 1000);
+      if (graceEnd < new Date(previous.expires_at)) {
+        await repositories.serviceAccounts.updateKey(keyId, { expires_at: graceEnd });
+      }
+    } else {
+      await repositories.serviceAccounts.revokeKey(keyId, new Date());
+    }
+
+    const previousKey = await repositories.serviceAccounts.findKeyById(keyId);
+    return { api_key: apiKey, previous_key: { ...previousKey, status: getApiKeyStatus(previousKey) } };
+  });
+}
+
+/**
+ * Revocar una API key
+ * @param {number} keyId - ID de la API key
+ * @returns {Promise<Object>} Resultado de la actualización
+ */
+export async function revokeApiKeyDB(keyId) {
+  return getRepositories().serviceAccounts.revokeKey(keyId, new Date());
+}
+
+/**
+ * Autenticar una petición con una API key
+ * Registra el último uso de la key
+ * @param {string} apiKey - API key en claro
+ * @param {Object} context - Datos de la petición
+ * @param {string} context.ip - IP del cliente
+ * @returns {Promise<Object|null>} { service_account_id, service_account_name, api_key_id, key_prefix, scopes }
+ *   o null si la key no existe, está revocada o caducada, o la cuenta está deshabilitada
+ */
+export async function authenticateApiKeyDB(apiKey, context = {}) {
+  const repositories = getRepositories();
+  const key = await repositories.serviceAccounts.findKeyByHash(hashToken(apiKey));
+
+  if (!key || key.service_account_status !== SERVICE_ACCOUNT_STATUS.ACTIVE || getApiKeyStatus(key) !== "active") {
+    return null;
+  }
+
+  await repositories.serviceAccounts.touchKey(key.id, new Date(), context.ip || null);
+
+  // Solo los scopes que la política sigue permitiendo a las cuentas de servicio
+  const allowed = listServiceAccountScopes();
+  return {
+    service_account_id: key.service_account_id,
+    service_account_name: key.service_account_name,
+    api_key_id: key.id,
+    key_prefix: key.key_prefix,
+    scopes: key.scopes.filter(scope => allowed.includes(scope))
+  };
+}
+
+/**
+ * Registrar una petición hecha con API key (aparte del historial de los usuarios)
+ * @param {Object} entry - service_account_id, api_key_id, method, path, status_code, ip_address
+ * @returns {Promise<Object>} Resultado de la inserción
+ */
+export async function logApiKeyRequestDB(entry) {
+  return getRepositories().apiKeyRequests.insert({ ...entry, path: String(entry.path).slice(0, 255) });
+}
+
+/**
+ * Obtener el registro de peticiones de una cuenta de servicio
+ * @param {number} serviceAccountId - ID de la cuenta de servicio
+ * @param {Object} filters - Filtros opcionales: api_key_id, date_from, date_to, limit, offset
+ * @returns {Promise<Array>} Peticiones, de la más reciente a la más antigua
+ */
+export async function getApiKeyRequestsDB(serviceAccountId, filters = {}) {
+  return getRepositories().apiKeyRequests.findAll({ ...filters, service_account_id: serviceAccountId });
+}
+
+/**
+ * Iniciar la suplantación de un usuario por un Admin
+ * La suplantación tiene su propio session_id (claim sid del token de suplantación)
+ * y no se renueva: caduca a los IMPERSONATION_EXPIRES_MINUTES
+ * @param {Object} admin - Usuario que suplanta (req.user): id, username, session_id
+ * @param {number} userId - ID del usuario suplantado
+ * @param {Object} context - Datos de la petición
+ * @param {string} context.ip - IP del cliente
+ * @param {string} context.reason - Motivo (ej: número de la incidencia)
+ * @returns {Promise<Object|null>} { impersonation, user } o null si el usuario no existe
+ */
+export async function startImpersonationDB(admin, userId, context = {}) {
+  const repositories = getRepositories();
+
+  const user = await repositories.users.findById(userId);
+  if (!user) {
+    return null;
+  }
+
+  if (Number(user.id) === Number(admin.id)) {
+    throw new Error(IMPERSONATION_SELF_ERROR);
+  }
+  if (user.status !== USER_STATUS.ACTIVE) {
+    throw new Error(ACCOUNT_INACTIVE_ERROR);
+  }
+
+  // Suplantar a otro Admin permitiría actuar con sus privilegios sin dejar rastro propio
+  const role = await repositories.roles.findById(user.role_id);
+  if (role.is_system) {
+    throw new Error(IMPERSONATION_FORBIDDEN_ERROR);
+  }
+
+  const result = await repositories.impersonations.insert({
+    session_id: crypto.randomUUID(),
+    admin_id: admin.id,
+    admin_username: admin.username,
+    admin_session_id: admin.session_id,
+    user_id: user.id,
+    username: user.username,
+    role_name: user.role_name,
+    reason: context.reason || null,
+    ip_address: context.ip || null,
+    expires_at: new Date(Date.now() + authConfig.impersonationMinutes * 60 * 1000)
+  });
+
+  return { impersonation: await repositories.impersonations.findById(result.insertId), user };
+}
+
+/**
+ * Obtener la suplantación de un token si sigue activa
+ * Termina al caducar, al finalizarla o al cerrarse la sesión del Admin
+ * @param {string} sessionId - Claim sid del token de suplantación
+ * @returns {Promise<Object|null>} Suplantación o null si ya no es válida
+ */
+export async function getActiveImpersonationDB(sessionId) {
+  const repositories = getRepositories();
+  const impersonation = await repositories.impersonations.findBySessionId(sessionId);
+
+  if (!impersonation || impersonation.ended_at || new Date(impersonation.expires_at) <= new Date()) {
+    return null;
+  }
+
+  if (await repositories.tokens.isSessionRevoked(impersonation.admin_session_id)) {
+    return null;
+  }
+
+  return impersonation;
+}
+
+/**
+ * Terminar una suplantación (el token de suplantación deja de ser válido)
+ * @param {number} id - ID de la suplantación
+ * @returns {Promise<Object>} Resultado de la actualización
+ */
+export async function endImpersonationDB(id) {
+  return getRepositories().impersonations.end(id, new Date());
+}
+
+/**
+ * Registrar una petición hecha con un token de suplantación
+ * @param {Object} entry - impersonation_id, method, path, status_code, ip_address
+ * @returns {Promise<Object>} Resultado de la inserción
+ */
+export async function logImpersonatedRequestDB(entry) {
+  return getRepositories().impersonations.insertRequest({ ...entry, path: String(entry.path).slice(0, 255) });
+}
+
+/**
+ * Obtener las suplantaciones con su número de peticiones
+ * @param {Object} filters - Filtros opcionales: admin_id, user_id, date_from, date_to, limit, offset
+ * @returns {Promise<Array>} Suplantaciones, de la más reciente a la más antigua
+ */
+export async function getImpersonationsDB(filters = {}) {
+  return getRepositories().impersonations.findAll(filters);
+}
+
+/**
+ * Obtener una suplantación con las peticiones hechas durante ella
+ * @param {number} id - ID de la suplantación
+ * @param {Object} filters - Filtros opcionales: limit, offset
+ * @returns {Promise<Object|null>} Suplantación con requests o null
+ */
+export async function getImpersonationByIdDB(id, filters = {}) {
+  const repositories = getRepositories();
+  const impersonation = await repositories.impersonations.findById(id);
+  if (!impersonation) {
+    return null;
+  }
+
+  return { ...impersonation, requests: await repositories.impersonations.findRequests(id, filters) };
 }
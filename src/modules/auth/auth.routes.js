@@ -9,14 +9,70 @@ import {
   changePassword,
   getAllRoles,
   getUserProfile,
+  getMyPermissions,
+  refreshAccessToken,
+  logoutUser,
+  unlockUser,
+  getLoginAttempts,
+  createUser,
+  getPendingUsers,
+  approveUser,
+  rejectUser,
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  enrollTwoFactor,
+  confirmTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  resetUserTwoFactor,
+  forgotPassword,
+  resetPassword,
+  getServiceAccountScopes,
+  getServiceAccounts,
+  getServiceAccount,
+  createServiceAccount,
+  updateServiceAccount,
+  deleteServiceAccount,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  getApiKeyRequests,
+  getMySessions,
+  terminateMySession,
+  getUserSessions,
+  getUserActivity,
+  terminateUserSession,
+  terminateUserSessions,
+  getRolePermissionCatalog,
+  getRole,
+  createRole,
+  updateRole,
+  retireRole,
+  startImpersonation,
+  stopImpersonation,
+  getImpersonations,
+  getImpersonation,
 } from "./auth.controller.js";
 
 // Importar middleware de autenticación y autorización
-import { authenticateToken, authorizeRole } from "../../middlewares/auth.middleware.js";
+import {
+  authenticateToken,
+  authenticateUser,
+  authenticateTokenAllowing,
+  authenticateImpersonation,
+  authorize
+} from "../../middlewares/auth.middleware.js";
+import { PENDING_ACTIONS } from "./auth.model.js";
 
 // Importar middleware de validación
 import { handleValidationErrors, sanitizeInput } from "../../middlewares/validation.middleware.js";
 
+// Importar middleware de concurrencia optimista (ETag / If-Match)
+import { requireIfMatch } from "../../middlewares/concurrency.middleware.js";
+
 // Importar validaciones específicas del módulo auth
 import {
   registerUserValidation,
@@ -25,10 +81,45 @@ import {
   getUserByIdValidation,
   deleteUserValidation,
   changePasswordValidation,
+  refreshTokenValidation,
+  logoutValidation,
+  unlockUserValidation,
+  getLoginAttemptsValidation,
+  createUserValidation,
+  reviewUserValidation,
+  createInvitationValidation,
+  revokeInvitationValidation,
+  verifyTwoFactorLoginValidation,
+  twoFactorCodeValidation,
+  resetTwoFactorValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  createServiceAccountValidation,
+  serviceAccountIdValidation,
+  updateServiceAccountValidation,
+  createApiKeyValidation,
+  rotateApiKeyValidation,
+  revokeApiKeyValidation,
+  getApiKeyRequestsValidation,
+  terminateMySessionValidation,
+  userSessionsValidation,
+  userActivityValidation,
+  terminateUserSessionValidation,
+  getRolesValidation,
+  roleIdValidation,
+  createRoleValidation,
+  updateRoleValidation,
+  startImpersonationValidation,
+  getImpersonationsValidation,
+  getImpersonationValidation,
 } from "./auth.validation.js";
 
 const router = express.Router();
 
+// Tokens con acciones pendientes (2FA obligatoria sin activar, contraseña caducada)
+// solo se aceptan en las rutas que las resuelven
+const { TWO_FACTOR_ENROLLMENT, PASSWORD_CHANGE } = PENDING_ACTIONS;
+
 /**
  * Rutas públicas (sin autenticación requerida)
  */
@@ -42,7 +133,17 @@ router.post(
   loginUser
 );
 
-// POST /auth/register - Registrar usuario (en desarrollo, podría requerir permisos)
+// POST /auth/login/2fa - Segundo paso del login con 2FA (código TOTP o de recuperación)
+router.post(
+  "/login/2fa",
+  sanitizeInput,
+  verifyTwoFactorLoginValidation,
+  handleValidationErrors,
+  verifyTwoFactorLogin
+);
+
+// POST /auth/register - Registrar usuario
+// Con invitation_code queda activo; sin código queda pendiente de aprobación por un Admin
 router.post(
   "/register",
   sanitizeInput,
@@ -51,25 +152,185 @@ router.post(
   registerUser
 );
 
+// POST /auth/refresh - Renovar el access token con un refresh token (rotativo)
+router.post(
+  "/refresh",
+  refreshTokenValidation,
+  handleValidationErrors,
+  refreshAccessToken
+);
+
+// POST /auth/password/forgot - Solicitar un token de recuperación de contraseña por correo
+router.post(
+  "/password/forgot",
+  sanitizeInput,
+  forgotPasswordValidation,
+  handleValidationErrors,
+  forgotPassword
+);
+
+// POST /auth/password/reset - Elegir una nueva contraseña con el token recibido
+router.post(
+  "/password/reset",
+  resetPasswordValidation,
+  handleValidationErrors,
+  resetPassword
+);
+
 /**
  * Rutas protegidas (requieren autenticación)
+ * Las rutas sobre la propia cuenta usan authenticateUser: no admiten API keys
  */
 
+// POST /auth/logout - Cerrar la sesión actual (o todas con { all: true })
+// Admite tokens con acciones pendientes
+router.post(
+  "/logout",
+  authenticateTokenAllowing(TWO_FACTOR_ENROLLMENT, PASSWORD_CHANGE),
+  logoutValidation,
+  handleValidationErrors,
+  logoutUser
+);
+
+// GET /auth/sessions - Sesiones abiertas del usuario autenticado (dispositivo, IP, último uso)
+router.get(
+  "/sessions",
+  authenticateUser,
+  getMySessions
+);
+
+// DELETE /auth/sessions/:sessionId - Cerrar una sesión propia (ej: dispositivo perdido)
+router.delete(
+  "/sessions/:sessionId",
+  authenticateUser,
+  terminateMySessionValidation,
+  handleValidationErrors,
+  terminateMySession
+);
+
 // GET /auth/profile - Obtener perfil del usuario autenticado
 router.get(
   "/profile",
-  authenticateToken,
+  authenticateUser,
   getUserProfile
 );
 
-// GET /auth/roles - Obtener todos los roles (Admin y Commander pueden ver)
+// GET /auth/permissions - Permisos efectivos del token actual (para ocultar acciones en el frontend)
+router.get(
+  "/permissions",
+  authenticateToken,
+  getMyPermissions
+);
+
+// GET /auth/roles - Obtener todos los roles con sus permisos (Admin y Commander pueden ver)
 router.get(
   "/roles",
   authenticateToken,
-  authorizeRole(['Admin', 'Commander']),
+  authorize('roles:read'),
+  getRolesValidation,
+  handleValidationErrors,
   getAllRoles
 );
 
+// GET /auth/roles/permissions - Catálogo de permisos asignables a los roles
+router.get(
+  "/roles/permissions",
+  authenticateToken,
+  authorize('roles:read'),
+  getRolePermissionCatalog
+);
+
+// GET /auth/roles/:id - Obtener un rol
+router.get(
+  "/roles/:id",
+  authenticateToken,
+  authorize('roles:read'),
+  roleIdValidation,
+  handleValidationErrors,
+  getRole
+);
+
+// POST /auth/roles - Crear un rol con sus permisos (solo Admin)
+router.post(
+  "/roles",
+  authenticateToken,
+  authorize('roles:create'),
+  sanitizeInput,
+  createRoleValidation,
+  handleValidationErrors,
+  createRole
+);
+
+// PUT /auth/roles/:id - Renombrar un rol o cambiar su descripción o sus permisos (solo Admin)
+router.put(
+  "/roles/:id",
+  authenticateToken,
+  authorize('roles:update'),
+  sanitizeInput,
+  updateRoleValidation,
+  handleValidationErrors,
+  updateRole
+);
+
+// DELETE /auth/roles/:id - Retirar un rol sin usuarios asignados (solo Admin)
+router.delete(
+  "/roles/:id",
+  authenticateToken,
+  authorize('roles:delete'),
+  roleIdValidation,
+  handleValidationErrors,
+  retireRole
+);
+
+/**
+ * Rutas de autenticación en dos pasos de la propia cuenta
+ * Admiten tokens con la inscripción pendiente (roles con 2FA obligatoria)
+ */
+
+// GET /auth/2fa - Estado de la 2FA del usuario autenticado
+router.get(
+  "/2fa",
+  authenticateTokenAllowing(TWO_FACTOR_ENROLLMENT),
+  getTwoFactorStatus
+);
+
+// POST /auth/2fa/enroll - Generar un secreto TOTP y su URI otpauth
+router.post(
+  "/2fa/enroll",
+  authenticateTokenAllowing(TWO_FACTOR_ENROLLMENT),
+  enrollTwoFactor
+);
+
+// POST /auth/2fa/verify - Confirmar la inscripción con un código y obtener los códigos de recuperación
+router.post(
+  "/2fa/verify",
+  authenticateTokenAllowing(TWO_FACTOR_ENROLLMENT),
+  sanitizeInput,
+  twoFactorCodeValidation,
+  handleValidationErrors,
+  confirmTwoFactor
+);
+
+// POST /auth/2fa/recovery-codes - Regenerar los códigos de recuperación
+router.post(
+  "/2fa/recovery-codes",
+  authenticateUser,
+  sanitizeInput,
+  twoFactorCodeValidation,
+  handleValidationErrors,
+  regenerateRecoveryCodes
+);
+
+// DELETE /auth/2fa - Desactivar la 2FA (no permitido si el rol la exige)
+router.delete(
+  "/2fa",
+  authenticateUser,
+  sanitizeInput,
+  twoFactorCodeValidation,
+  handleValidationErrors,
+  disableTwoFactor
+);
+
 /**
  * Rutas de gestión de usuarios (requieren permisos especiales)
  */
@@ -78,28 +339,38 @@ router.get(
 router.get(
   "/users",
   authenticateToken,
-  authorizeRole(['Admin']),
+  authorize('users:read'),
   getAllUsers
 );
 
-// GET /auth/users/:id - Obtener usuario por ID (Admin o el mismo usuario)
+// GET /auth/users/pending - Usuarios pendientes de aprobación (solo Admin)
+// Debe declararse antes de /users/:id
 router.get(
-  "/users/:id",
+  "/users/pending",
   authenticateToken,
+  authorize('users:approve'),
+  getPendingUsers
+);
+
+// GET /auth/users/:id - Obtener usuario por ID (el mismo usuario o users:manage)
+router.get(
+  "/users/:id",
+  authenticateUser,
   getUserByIdValidation,
   handleValidationErrors,
-  // El controlador verificará si es el mismo usuario o un Admin
+  // El controlador verifica que sea el mismo usuario o tenga users:manage (403 si no)
   getUserById
 );
 
-// PUT /auth/users/:id - Actualizar usuario (Admin o el mismo usuario)
+// PUT /auth/users/:id - Actualizar usuario (el mismo usuario o users:manage)
 router.put(
   "/users/:id",
-  authenticateToken,
+  authenticateUser,
+  requireIfMatch, // Versión leída por el cliente (ETag)
   sanitizeInput,
   updateUserValidation,
   handleValidationErrors,
-  // El controlador verificará permisos específicos
+  // El controlador verifica que sea el mismo usuario o tenga users:manage (403 si no)
   updateUser
 );
 
@@ -107,16 +378,17 @@ router.put(
 router.delete(
   "/users/:id",
   authenticateToken,
-  authorizeRole(['Admin']),
+  authorize('users:delete'),
+  requireIfMatch,
   deleteUserValidation,
   handleValidationErrors,
   deleteUser
 );
 
-// PUT /auth/users/:id/password - Cambiar contraseña
+// PUT /auth/users/:id/password - Cambiar contraseña (admite tokens con la contraseña caducada)
 router.put(
   "/users/:id/password",
-  authenticateToken,
+  authenticateTokenAllowing(PASSWORD_CHANGE),
   sanitizeInput,
   changePasswordValidation,
   handleValidationErrors,
@@ -127,15 +399,283 @@ router.put(
  * Rutas adicionales para administración avanzada (solo Admin)
  */
 
-// POST /auth/users - Crear usuario (solo Admin, alternativa a register)
+// POST /auth/users/:id/unlock - Desbloquear una cuenta bloqueada por intentos fallidos (solo Admin)
+router.post(
+  "/users/:id/unlock",
+  authenticateToken,
+  authorize('users:unlock'),
+  unlockUserValidation,
+  handleValidationErrors,
+  unlockUser
+);
+
+// DELETE /auth/users/:id/2fa - Restablecer la 2FA de un usuario (solo Admin)
+router.delete(
+  "/users/:id/2fa",
+  authenticateToken,
+  authorize('users:reset_2fa'),
+  resetTwoFactorValidation,
+  handleValidationErrors,
+  resetUserTwoFactor
+);
+
+// GET /auth/users/:id/sessions - Sesiones abiertas de un usuario (solo Admin)
+router.get(
+  "/users/:id/sessions",
+  authenticateToken,
+  authorize('users:sessions'),
+  userSessionsValidation,
+  handleValidationErrors,
+  getUserSessions
+);
+
+// GET /auth/users/:id/activity - Antecedentes y citaciones registrados por un usuario (solo Admin)
+router.get(
+  "/users/:id/activity",
+  authenticateToken,
+  authorize('users:read'),
+  userActivityValidation,
+  handleValidationErrors,
+  getUserActivity
+);
+
+// DELETE /auth/users/:id/sessions/:sessionId - Cerrar remotamente una sesión de un usuario (solo Admin)
+router.delete(
+  "/users/:id/sessions/:sessionId",
+  authenticateToken,
+  authorize('users:sessions'),
+  terminateUserSessionValidation,
+  handleValidationErrors,
+  terminateUserSession
+);
+
+// DELETE /auth/users/:id/sessions - Cerrar remotamente todas las sesiones de un usuario (solo Admin)
+router.delete(
+  "/users/:id/sessions",
+  authenticateToken,
+  authorize('users:sessions'),
+  userSessionsValidation,
+  handleValidationErrors,
+  terminateUserSessions
+);
+
+/**
+ * Suplantación de usuarios (solo Admin)
+ * El token de suplantación es de solo lectura y cada petición queda registrada
+ */
+
+// POST /auth/impersonate/stop - Terminar la suplantación (con el token de suplantación)
+router.post(
+  "/impersonate/stop",
+  authenticateImpersonation,
+  stopImpersonation
+);
+
+// POST /auth/impersonate/:userId - Suplantar a un usuario para reproducir lo que ve
+router.post(
+  "/impersonate/:userId",
+  authenticateUser,
+  authorize('impersonations:create'),
+  sanitizeInput,
+  startImpersonationValidation,
+  handleValidationErrors,
+  startImpersonation
+);
+
+// GET /auth/impersonations - Historial de suplantaciones
+router.get(
+  "/impersonations",
+  authenticateToken,
+  authorize('impersonations:read'),
+  getImpersonationsValidation,
+  handleValidationErrors,
+  getImpersonations
+);
+
+// GET /auth/impersonations/:id - Suplantación con las peticiones hechas durante ella
+router.get(
+  "/impersonations/:id",
+  authenticateToken,
+  authorize('impersonations:read'),
+  getImpersonationValidation,
+  handleValidationErrors,
+  getImpersonation
+);
+
+// GET /auth/login-attempts - Historial de intentos de login (solo Admin)
+router.get(
+  "/login-attempts",
+  authenticateToken,
+  authorize('login_attempts:read'),
+  getLoginAttemptsValidation,
+  handleValidationErrors,
+  getLoginAttempts
+);
+
+// POST /auth/users - Crear usuario activo (solo Admin, alternativa a register)
 router.post(
   "/users",
   authenticateToken,
-  authorizeRole(['Admin']),
+  authorize('users:create'),
   sanitizeInput,
-  registerUserValidation,
+  createUserValidation,
   handleValidationErrors,
-  registerUser
+  createUser
+);
+
+// POST /auth/users/:id/approve - Aprobar un usuario pendiente (solo Admin)
+router.post(
+  "/users/:id/approve",
+  authenticateToken,
+  authorize('users:approve'),
+  reviewUserValidation,
+  handleValidationErrors,
+  approveUser
+);
+
+// POST /auth/users/:id/reject - Rechazar un usuario pendiente (solo Admin)
+router.post(
+  "/users/:id/reject",
+  authenticateToken,
+  authorize('users:approve'),
+  reviewUserValidation,
+  handleValidationErrors,
+  rejectUser
+);
+
+/**
+ * Rutas de invitaciones de registro (solo Admin)
+ */
+
+// POST /auth/invitations - Crear un código de invitación ligado a un rol
+router.post(
+  "/invitations",
+  authenticateToken,
+  authorize('invitations:create'),
+  createInvitationValidation,
+  handleValidationErrors,
+  createInvitation
+);
+
+// GET /auth/invitations - Listar invitaciones (filtro opcional ?status=)
+router.get(
+  "/invitations",
+  authenticateToken,
+  authorize('invitations:read'),
+  getInvitations
+);
+
+// DELETE /auth/invitations/:id - Revocar una invitación no usada
+router.delete(
+  "/invitations/:id",
+  authenticateToken,
+  authorize('invitations:delete'),
+  revokeInvitationValidation,
+  handleValidationErrors,
+  revokeInvitation
+);
+
+/**
+ * Rutas de cuentas de servicio y sus API keys (solo Admin)
+ */
+
+// GET /auth/service-accounts/scopes - Scopes que pueden concederse a una cuenta de servicio
+// Debe declararse antes de /service-accounts/:id
+router.get(
+  "/service-accounts/scopes",
+  authenticateToken,
+  authorize('service_accounts:read'),
+  getServiceAccountScopes
+);
+
+// GET /auth/service-accounts - Listar cuentas de servicio
+router.get(
+  "/service-accounts",
+  authenticateToken,
+  authorize('service_accounts:read'),
+  getServiceAccounts
+);
+
+// POST /auth/service-accounts - Crear una cuenta de servicio y su primera API key
+router.post(
+  "/service-accounts",
+  authenticateToken,
+  authorize('service_accounts:create'),
+  sanitizeInput,
+  createServiceAccountValidation,
+  handleValidationErrors,
+  createServiceAccount
+);
+
+// GET /auth/service-accounts/:id - Cuenta de servicio con sus API keys (solo prefijos)
+router.get(
+  "/service-accounts/:id",
+  authenticateToken,
+  authorize('service_accounts:read'),
+  serviceAccountIdValidation,
+  handleValidationErrors,
+  getServiceAccount
+);
+
+// PUT /auth/service-accounts/:id - Cambiar descripción, scopes o estado (active/disabled)
+router.put(
+  "/service-accounts/:id",
+  authenticateToken,
+  authorize('service_accounts:update'),
+  sanitizeInput,
+  updateServiceAccountValidation,
+  handleValidationErrors,
+  updateServiceAccount
+);
+
+// DELETE /auth/service-accounts/:id - Eliminar una cuenta de servicio y sus API keys
+router.delete(
+  "/service-accounts/:id",
+  authenticateToken,
+  authorize('service_accounts:delete'),
+  serviceAccountIdValidation,
+  handleValidationErrors,
+  deleteServiceAccount
+);
+
+// POST /auth/service-accounts/:id/keys - Emitir una API key adicional
+router.post(
+  "/service-accounts/:id/keys",
+  authenticateToken,
+  authorize('service_accounts:update'),
+  createApiKeyValidation,
+  handleValidationErrors,
+  createApiKey
+);
+
+// POST /auth/service-accounts/:id/keys/:keyId/rotate - Sustituir una API key por otra nueva
+router.post(
+  "/service-accounts/:id/keys/:keyId/rotate",
+  authenticateToken,
+  authorize('service_accounts:update'),
+  rotateApiKeyValidation,
+  handleValidationErrors,
+  rotateApiKey
+);
+
+// DELETE /auth/service-accounts/:id/keys/:keyId - Revocar una API key
+router.delete(
+  "/service-accounts/:id/keys/:keyId",
+  authenticateToken,
+  authorize('service_accounts:update'),
+  revokeApiKeyValidation,
+  handleValidationErrors,
+  revokeApiKey
+);
+
+// GET /auth/service-accounts/:id/requests - Registro de peticiones hechas con sus API keys
+router.get(
+  "/service-accounts/:id/requests",
+  authenticateToken,
+  authorize('service_accounts:read'),
+  getApiKeyRequestsValidation,
+  handleValidationErrors,
+  getApiKeyRequests
 );
 
 export default router;
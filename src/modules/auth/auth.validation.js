@@ -1,4 +1,8 @@
-import { body, param } from 'express-validator';
+import { body, param, query } from 'express-validator';
+import { getPasswordPolicyErrors } from './passwordPolicy.js';
+import { listPermissions, listServiceAccountScopes } from '../../config/permissions.js';
+import { authConfig } from '../../config/auth.js';
+import { USER_EDITABLE_FIELDS } from './auth.model.js';
 
 /**
  * Validaciones para el módulo de autenticación
@@ -6,9 +10,27 @@ import { body, param } from 'express-validator';
  */
 
 /**
- * Validaciones para el registro de un nuevo usuario
+ * Contraseña que debe cumplir la política configurable (ver passwordPolicy.js)
+ * El historial de contraseñas se comprueba en el modelo
+ * @param {ValidationChain} chain - Cadena de validación del campo
+ * @param {string} label - Nombre del campo en los mensajes
  */
-export const registerUserValidation = [
+const withPasswordPolicy = (chain, label) => chain
+  .isString()
+  .withMessage(`${label} debe ser texto`)
+  .bail()
+  .custom((value, { req }) => {
+    const errors = getPasswordPolicyErrors(value, { username: req.body.username });
+    if (errors.length > 0) {
+      throw new Error(`${label} ${errors.join('; ')}`);
+    }
+    return true;
+  });
+
+/**
+ * Campos comunes a la creación de usuarios (registro público y creación por Admin)
+ */
+const newUserFields = [
   // Validación del nombre de usuario
   body('username')
     .notEmpty()
@@ -31,13 +53,68 @@ export const registerUserValidation = [
     .normalizeEmail(),
 
   // Validación de la contraseña
-  body('password')
+  withPasswordPolicy(
+    body('password')
+      .notEmpty()
+      .withMessage('La contraseña es obligatoria'),
+    'La contraseña'
+  )
+];
+
+/**
+ * Nueva contraseña y su confirmación (cambio y restablecimiento de contraseña)
+ */
+const newPasswordFields = [
+  withPasswordPolicy(
+    body('new_password')
+      .notEmpty()
+      .withMessage('La nueva contraseña es obligatoria'),
+    'La nueva contraseña'
+  ),
+
+  body('confirm_password')
     .notEmpty()
-    .withMessage('La contraseña es obligatoria')
-    .isLength({ min: 6, max: 50 })
-    .withMessage('La contraseña debe tener entre 6 y 50 caracteres')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('La contraseña debe contener al menos una minúscula, una mayúscula y un número'),
+    .withMessage('La confirmación de contraseña es obligatoria')
+    .custom((value, { req }) => {
+      if (value !== req.body.new_password) {
+        throw new Error('Las contraseñas no coinciden');
+      }
+      return true;
+    })
+];
+
+/**
+ * Validaciones para el registro público de un usuario
+ * Con invitation_code el rol lo fija la invitación; sin él, role_id es el rol solicitado
+ * y la cuenta queda pendiente de aprobación
+ */
+export const registerUserValidation = [
+  ...newUserFields,
+
+  // Código de invitación opcional
+  body('invitation_code')
+    .optional()
+    .isString()
+    .withMessage('El código de invitación debe ser texto')
+    .trim()
+    .notEmpty()
+    .withMessage('El código de invitación no puede estar vacío'),
+
+  // Validación del rol solicitado (obligatorio sin invitación)
+  body('role_id')
+    .if(body('invitation_code').not().exists())
+    .notEmpty()
+    .withMessage('El rol es obligatorio')
+    .isInt({ min: 1 })
+    .withMessage('El rol debe ser un número entero válido')
+    .toInt()
+];
+
+/**
+ * Validaciones para la creación de un usuario activo por un Admin
+ */
+export const createUserValidation = [
+  ...newUserFields,
 
   // Validación del rol
   body('role_id')
@@ -98,20 +175,27 @@ export const updateUserValidation = [
     .withMessage('El email no puede exceder 200 caracteres')
     .normalizeEmail(),
 
-  // Nueva contraseña opcional
+  // La contraseña solo se cambia con la actual (PUT /users/:id/password) o con el restablecimiento
   body('password')
-    .optional()
-    .isLength({ min: 6, max: 50 })
-    .withMessage('La contraseña debe tener entre 6 y 50 caracteres')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('La contraseña debe contener al menos una minúscula, una mayúscula y un número'),
+    .not()
+    .exists()
+    .withMessage('La contraseña se cambia con PUT /api/auth/users/:id/password'),
 
   // Rol opcional para actualización
   body('role_id')
     .optional()
     .isInt({ min: 1 })
     .withMessage('El rol debe ser un número entero válido')
-    .toInt()
+    .toInt(),
+
+  // Cualquier otro campo (password_hash, password_changed_at, status...) se rechaza
+  body('*')
+    .custom((value, { path }) => {
+      if (path !== 'password' && !USER_EDITABLE_FIELDS.includes(path)) {
+        throw new Error(`El campo ${path} no se puede modificar`);
+      }
+      return true;
+    })
 ];
 
 /**
@@ -147,21 +231,587 @@ export const changePasswordValidation = [
     .notEmpty()
     .withMessage('La contraseña actual es obligatoria'),
 
-  body('new_password')
+  ...newPasswordFields
+];
+
+/**
+ * Validación para renovar el access token
+ */
+export const refreshTokenValidation = [
+  body('refresh_token')
     .notEmpty()
-    .withMessage('La nueva contraseña es obligatoria')
-    .isLength({ min: 6, max: 50 })
-    .withMessage('La nueva contraseña debe tener entre 6 y 50 caracteres')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('La nueva contraseña debe contener al menos una minúscula, una mayúscula y un número'),
+    .withMessage('El refresh token es obligatorio')
+    .isString()
+    .withMessage('El refresh token debe ser texto')
+];
 
-  body('confirm_password')
+/**
+ * Validación para cerrar sesión
+ */
+export const logoutValidation = [
+  body('all')
+    .optional()
+    .isBoolean()
+    .withMessage('El campo all debe ser booleano')
+    .toBoolean()
+];
+
+/**
+ * Validación para desbloquear un usuario
+ */
+export const unlockUserValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('El ID del usuario debe ser un número entero positivo')
+    .toInt()
+];
+
+/**
+ * Validación de los filtros del historial de intentos de login
+ */
+export const getLoginAttemptsValidation = [
+  query('user_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('El ID del usuario debe ser un número entero positivo'),
+
+  query('result')
+    .optional()
+    .isIn(['success', 'failure', 'blocked', 'inactive', 'unlocked', 'challenge'])
+    .withMessage('El resultado debe ser success, failure, blocked, inactive, unlocked o challenge'),
+
+  query('ip_address')
+    .optional()
+    .isIP()
+    .withMessage('Debe ser una dirección IP válida'),
+
+  query(['date_from', 'date_to'])
+    .optional()
+    .isISO8601()
+    .withMessage('La fecha debe tener formato ISO 8601'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('El límite debe estar entre 1 y 1000'),
+
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('El desplazamiento debe ser un número entero no negativo')
+];
+
+/**
+ * Validación para aprobar o rechazar un usuario pendiente
+ */
+export const reviewUserValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('El ID del usuario debe ser un número entero positivo')
+    .toInt(),
+
+  // Rol definitivo opcional al aprobar
+  body('role_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('El rol debe ser un número entero válido')
+    .toInt()
+];
+
+/**
+ * Validación para crear una invitación
+ */
+export const createInvitationValidation = [
+  body('role_id')
     .notEmpty()
-    .withMessage('La confirmación de contraseña es obligatoria')
-    .custom((value, { req }) => {
-      if (value !== req.body.new_password) {
-        throw new Error('Las contraseñas no coinciden');
+    .withMessage('El rol es obligatorio')
+    .isInt({ min: 1 })
+    .withMessage('El rol debe ser un número entero válido')
+    .toInt(),
+
+  // Email opcional al que se restringe la invitación
+  body('email')
+    .optional()
+    .isEmail()
+    .withMessage('Debe ser un email válido')
+    .normalizeEmail(),
+
+  body('expires_in_hours')
+    .optional()
+    .isInt({ min: 1, max: 720 })
+    .withMessage('La validez debe estar entre 1 y 720 horas')
+    .toInt()
+];
+
+/**
+ * Validación para revocar una invitación
+ */
+export const revokeInvitationValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('El ID de la invitación debe ser un número entero positivo')
+    .toInt()
+];
+
+/**
+ * Validación para el segundo paso del login (código TOTP o de recuperación)
+ */
+export const verifyTwoFactorLoginValidation = [
+  body('challenge_token')
+    .notEmpty()
+    .withMessage('El desafío de autenticación es obligatorio')
+    .isString()
+    .withMessage('El desafío de autenticación debe ser texto'),
+
+  body('code')
+    .if(body('recovery_code').not().exists())
+    .exists()
+    .withMessage('Debes indicar el código de verificación o un código de recuperación')
+    .bail()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('El código de verificación debe tener 6 dígitos'),
+
+  body('recovery_code')
+    .optional()
+    .isString()
+    .withMessage('El código de recuperación debe ser texto')
+    .isLength({ min: 10, max: 20 })
+    .withMessage('El código de recuperación no es válido')
+];
+
+/**
+ * Validación para confirmar la inscripción, regenerar códigos de recuperación o desactivar la 2FA
+ */
+export const twoFactorCodeValidation = [
+  body('code')
+    .exists()
+    .withMessage('El código de verificación es obligatorio')
+    .bail()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('El código de verificación debe tener 6 dígitos')
+];
+
+/**
+ * Validación para restablecer la 2FA de un usuario
+ */
+export const resetTwoFactorValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('El ID del usuario debe ser un número entero positivo')
+    .toInt()
+];
+
+/**
+ * Validación para solicitar la recuperación de contraseña
+ */
+export const forgotPasswordValidation = [
+  body('email')
+    .notEmpty()
+    .withMessage('El email es obligatorio')
+    .isEmail()
+    .withMessage('Debe ser un email válido')
+    .normalizeEmail()
+];
+
+/**
+ * Validación para restablecer la contraseña con el token recibido por correo
+ */
+export const resetPasswordValidation = [
+  body('token')
+    .notEmpty()
+    .withMessage('El token de recuperación es obligatorio')
+    .isString()
+    .withMessage('El token de recuperación debe ser texto'),
+
+  ...newPasswordFields
+];
+
+/**
+ * ID de la cuenta de servicio en la ruta
+ */
+const serviceAccountIdParam = param('id')
+  .isInt({ min: 1 })
+  .withMessage('El ID de la cuenta de servicio debe ser un número entero positivo')
+  .toInt();
+
+/**
+ * Scopes de una cuenta de servicio (permisos 'recurso:acción' delegables)
+ * @param {ValidationChain} chain - Cadena de validación del campo
+ */
+const withScopes = (chain) => chain
+  .isArray({ min: 1 })
+  .withMessage('Los scopes deben ser una lista con al menos un elemento')
+  .bail()
+  .custom((scopes) => {
+    const allowed = listServiceAccountScopes();
+    const invalid = scopes.filter(scope => !allowed.includes(scope));
+    if (invalid.length > 0) {
+      throw new Error(`Scopes no permitidos: ${invalid.join(', ')}. Permitidos: ${allowed.join(', ')}`);
+    }
+    return true;
+  });
+
+/**
+ * Validez de una API key en días (con el máximo de API_KEY_MAX_EXPIRES_DAYS)
+ */
+const apiKeyExpiresField = body('expires_in_days')
+  .optional()
+  .isInt({ min: 1 })
+  .withMessage('La validez debe ser un número entero de días')
+  .bail()
+  .custom((value) => {
+    if (Number(value) > authConfig.apiKeyMaxExpiresDays) {
+      throw new Error(`La validez no puede superar ${authConfig.apiKeyMaxExpiresDays} días`);
+    }
+    return true;
+  })
+  .toInt();
+
+/**
+ * Validación para crear una cuenta de servicio
+ */
+export const createServiceAccountValidation = [
+  body('name')
+    .notEmpty()
+    .withMessage('El nombre es obligatorio')
+    .isString()
+    .withMessage('El nombre debe ser texto')
+    .isLength({ min: 3, max: 100 })
+    .withMessage('El nombre debe tener entre 3 y 100 caracteres')
+    .matches(/^[a-zA-Z0-9_.-]+$/)
+    .withMessage('El nombre solo puede contener letras, números, puntos, guiones y guiones bajos'),
+
+  body('description')
+    .optional()
+    .isString()
+    .withMessage('La descripción debe ser texto')
+    .isLength({ max: 255 })
+    .withMessage('La descripción no puede exceder 255 caracteres'),
+
+  withScopes(
+    body('scopes')
+      .exists()
+      .withMessage('Los scopes son obligatorios')
+  ),
+
+  apiKeyExpiresField
+];
+
+/**
+ * Validación para consultar o eliminar una cuenta de servicio
+ */
+export const serviceAccountIdValidation = [
+  serviceAccountIdParam
+];
+
+/**
+ * Validación para actualizar una cuenta de servicio
+ */
+export const updateServiceAccountValidation = [
+  serviceAccountIdParam,
+
+  body('description')
+    .optional()
+    .isString()
+    .withMessage('La descripción debe ser texto')
+    .isLength({ max: 255 })
+    .withMessage('La descripción no puede exceder 255 caracteres'),
+
+  withScopes(body('scopes').optional()),
+
+  body('status')
+    .optional()
+    .isIn(['active', 'disabled'])
+    .withMessage('El estado debe ser active o disabled'),
+
+  body()
+    .custom((value = {}) => {
+      if (!['description', 'scopes', 'status'].some(field => value[field] !== undefined)) {
+        throw new Error('Debes indicar la descripción, los scopes o el estado');
+      }
+      return true;
+    })
+];
+
+/**
+ * Validación para emitir una API key adicional
+ */
+export const createApiKeyValidation = [
+  serviceAccountIdParam,
+  apiKeyExpiresField
+];
+
+/**
+ * Validación para rotar una API key
+ */
+export const rotateApiKeyValidation = [
+  serviceAccountIdParam,
+
+  param('keyId')
+    .isInt({ min: 1 })
+    .withMessage('El ID de la API key debe ser un número entero positivo')
+    .toInt(),
+
+  apiKeyExpiresField,
+
+  // Tiempo durante el que la key anterior sigue valiendo (sin él se revoca al momento)
+  body('grace_minutes')
+    .optional()
+    .isInt({ min: 0, max: 10080 })
+    .withMessage('El periodo de gracia debe estar entre 0 y 10080 minutos (7 días)')
+    .toInt()
+];
+
+/**
+ * Validación para revocar una API key
+ */
+export const revokeApiKeyValidation = [
+  serviceAccountIdParam,
+
+  param('keyId')
+    .isInt({ min: 1 })
+    .withMessage('El ID de la API key debe ser un número entero positivo')
+    .toInt()
+];
+
+/**
+ * Validación para consultar el registro de peticiones de una cuenta de servicio
+ */
+export const getApiKeyRequestsValidation = [
+  serviceAccountIdParam,
+
+  query('api_key_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('El ID de la API key debe ser un número entero positivo'),
+
+  query(['date_from', 'date_to'])
+    .optional()
+    .isISO8601()
+    .withMessage('La fecha debe tener formato ISO 8601'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('El límite debe estar entre 1 y 1000'),
+
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('El desplazamiento debe ser un número entero no negativo')
+];
+
+const sessionIdParam = param('sessionId')
+  .isInt({ min: 1 })
+  .withMessage('El ID de la sesión debe ser un número entero positivo')
+  .toInt();
+
+/**
+ * Validación para cerrar una sesión propia
+ */
+export const terminateMySessionValidation = [
+  sessionIdParam
+];
+
+/**
+ * Validación para listar o cerrar todas las sesiones de un usuario
+ */
+export const userSessionsValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('El ID del usuario debe ser un número entero positivo')
+    .toInt()
+];
+
+/**
+ * Validación para consultar lo registrado por un usuario
+ */
+export const userActivityValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('El ID del usuario debe ser un número entero positivo')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('El límite debe estar entre 1 y 1000'),
+
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('El desplazamiento debe ser un número entero no negativo')
+];
+
+/**
+ * Validación para cerrar una sesión de un usuario
+ */
+export const terminateUserSessionValidation = [
+  ...userSessionsValidation,
+  sessionIdParam
+];
+
+/**
+ * ID del rol en la ruta
+ */
+const roleIdParam = param('id')
+  .isInt({ min: 1 })
+  .withMessage('El ID del rol debe ser un número entero positivo')
+  .toInt();
+
+/**
+ * Nombre de un rol (es el valor del claim role de los tokens)
+ * @param {ValidationChain} chain - Cadena de validación del campo
+ */
+const withRoleName = (chain) => chain
+  .isString()
+  .withMessage('El nombre del rol debe ser texto')
+  .isLength({ min: 3, max: 50 })
+  .withMessage('El nombre del rol debe tener entre 3 y 50 caracteres')
+  .matches(/^[a-zA-Z][a-zA-Z0-9_]*$/)
+  .withMessage('El nombre del rol debe empezar por una letra y solo puede contener letras, números y guiones bajos');
+
+/**
+ * Permisos de un rol ('recurso:acción' de la política central; puede estar vacía)
+ * @param {ValidationChain} chain - Cadena de validación del campo
+ */
+const withRolePermissions = (chain) => chain
+  .isArray()
+  .withMessage('Los permisos deben ser una lista')
+  .bail()
+  .custom((permissions) => {
+    const catalog = listPermissions();
+    const invalid = permissions.filter(permission => !catalog.includes(permission));
+    if (invalid.length > 0) {
+      throw new Error(`Permisos no definidos en la política: ${invalid.join(', ')}`);
+    }
+    return true;
+  });
+
+const roleDescriptionField = body('description')
+  .optional()
+  .isString()
+  .withMessage('La descripción debe ser texto')
+  .isLength({ max: 255 })
+  .withMessage('La descripción no puede exceder 255 caracteres');
+
+/**
+ * Validación del listado de roles
+ */
+export const getRolesValidation = [
+  query('include_retired')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('include_retired debe ser true o false')
+];
+
+/**
+ * Validación para consultar o retirar un rol
+ */
+export const roleIdValidation = [
+  roleIdParam
+];
+
+/**
+ * Validación para crear un rol
+ */
+export const createRoleValidation = [
+  withRoleName(
+    body('role_name')
+      .notEmpty()
+      .withMessage('El nombre del rol es obligatorio')
+  ),
+
+  roleDescriptionField,
+
+  withRolePermissions(
+    body('permissions')
+      .exists()
+      .withMessage('Los permisos son obligatorios')
+  )
+];
+
+/**
+ * Validación para renombrar un rol o cambiar su descripción o sus permisos
+ */
+export const updateRoleValidation = [
+  roleIdParam,
+
+  withRoleName(body('role_name').optional()),
+
+  roleDescriptionField,
+
+  withRolePermissions(body('permissions').optional()),
+
+  body()
+    .custom((value = {}) => {
+      if (!['role_name', 'description', 'permissions'].some(field => value[field] !== undefined)) {
+        throw new Error('Debes indicar el nombre, la descripción o los permisos');
       }
       return true;
     })
-];
\ No newline at end of file
+];
+
+/**
+ * Validación para suplantar a un usuario
+ */
+export const startImpersonationValidation = [
+  param('userId')
+    .isInt({ min: 1 })
+    .withMessage('El ID del usuario debe ser un número entero positivo')
+    .toInt(),
+
+  body('reason')
+    .optional()
+    .isString()
+    .withMessage('El motivo debe ser texto')
+    .isLength({ max: 255 })
+    .withMessage('El motivo no puede exceder 255 caracteres')
+];
+
+/**
+ * Validación de los filtros del historial de suplantaciones
+ */
+export const getImpersonationsValidation = [
+  query(['admin_id', 'user_id'])
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('El ID del usuario debe ser un número entero positivo'),
+
+  query(['date_from', 'date_to'])
+    .optional()
+    .isISO8601()
+    .withMessage('La fecha debe tener formato ISO 8601'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('El límite debe estar entre 1 y 1000'),
+
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('El desplazamiento debe ser un número entero no negativo')
+];
+
+/**
+ * Validación para consultar una suplantación y sus peticiones
+ */
+export const getImpersonationValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('El ID de la suplantación debe ser un número entero positivo')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('El límite debe estar entre 1 y 1000'),
+
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('El desplazamiento debe ser un número entero no negativo')
+];
@@ -0,0 +1,91 @@
+import fs from "fs";
+import { authConfig } from "../../config/auth.js";
+
+/**
+ * Política de contraseñas configurable (ver src/config/auth.js)
+ * - Longitud mínima y máxima
+ * - Clases de caracteres obligatorias (lowercase, uppercase, digit, symbol)
+ * - Lista local de contraseñas comunes (banned-passwords.txt)
+ * - La contraseña no puede contener el nombre de usuario
+ *
+ * El historial y la caducidad dependen de la base de datos y se aplican en auth.model.js
+ */
+
+export const PASSWORD_POLICY_ERROR = "La contraseña no cumple la política";
+
+const CHARACTER_CLASSES = {
+  lowercase: { pattern: /[a-z]/, message: "una minúscula" },
+  uppercase: { pattern: /[A-Z]/, message: "una mayúscula" },
+  digit: { pattern: /\d/, message: "un número" },
+  symbol: { pattern: /[^A-Za-z0-9]/, message: "un símbolo" }
+};
+
+const BANNED_PASSWORDS = new Set(
+  fs.readFileSync(new URL("./banned-passwords.txt", import.meta.url), "utf8")
+    .split(/\r?\n/)
+    .map(line => line.trim().toLowerCase())
+    .filter(line => line && !line.startsWith("#"))
+);
+
+/**
+ * Comprobar una contraseña contra la política
+ * @param {string} password - Contraseña en claro
+ * @param {Object} context - { username } del titular, si se conoce
+ * @returns {string[]} Incumplimientos (vacío si la contraseña es válida)
+ */
+export function getPasswordPolicyErrors(password, context = {}) {
+  const value = String(password ?? "");
+  const errors = [];
+
+  if (value.length < authConfig.passwordMinLength || value.length > authConfig.passwordMaxLength) {
+    errors.push(`debe tener entre ${authConfig.passwordMinLength} y ${authConfig.passwordMaxLength} caracteres`);
+  }
+
+  const missing = authConfig.passwordRequiredClasses
+    .filter(name => CHARACTER_CLASSES[name] && !CHARACTER_CLASSES[name].pattern.test(value))
+    .map(name => CHARACTER_CLASSES[name].message);
+  if (missing.length > 0) {
+    errors.push(`debe contener al menos ${missing.join(", ")}`);
+  }
+
+  if (BANNED_PASSWORDS.has(value.toLowerCase())) {
+    errors.push("es una contraseña demasiado común");
+  }
+
+  const username = context.username ? String(context.username).toLowerCase() : "";
+  if (username.length >= 3 && value.toLowerCase().includes(username)) {
+    errors.push("no puede contener el nombre de usuario");
+  }
+
+  return errors;
+}
+
+/**
+ * Lanzar un error si la contraseña no cumple la política
+ * @param {string} password - Contraseña en claro
+ * @param {Object} context - { username }
+ */
+export function assertPasswordPolicy(password, context = {}) {
+  const errors = getPasswordPolicyErrors(password, context);
+  if (errors.length > 0) {
+    throw new Error(`${PASSWORD_POLICY_ERROR}: ${errors.join("; ")}`);
+  }
+}
+
+/**
+ * Verificar si la contraseña de un usuario ha caducado
+ * Solo caduca para los roles de PASSWORD_EXPIRY_ROLES
+ * @param {Object} user - Usuario (role_name, password_changed_at)
+ * @returns {boolean} True si debe cambiarla
+ */
+export function isPasswordExpired(user) {
+  if (authConfig.passwordMaxAgeDays <= 0 || !authConfig.passwordExpiryRoles.includes(user.role_name)) {
+    return false;
+  }
+  if (!user.password_changed_at) {
+    return false;
+  }
+
+  const maxAgeMs = authConfig.passwordMaxAgeDays * 24 * 60 * 60 * 1000;
+  return new Date(user.password_changed_at).getTime() + maxAgeMs <= Date.now();
+}
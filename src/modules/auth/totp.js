@@ -0,0 +1,156 @@
+import crypto from "crypto";
+
+/**
+ * TOTP (RFC 6238) sobre HOTP (RFC 4226) con HMAC-SHA1, 6 dígitos y periodos de 30 segundos
+ * Compatible con Google Authenticator, Authy, FreeOTP, etc.
+ */
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+
+/**
+ * Codificar bytes en Base32 (sin relleno)
+ * @param {Buffer} buffer - Bytes a codificar
+ * @returns {string} Texto Base32
+ */
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decodificar Base32 (ignora espacios, guiones y relleno)
+ * @param {string} text - Texto Base32
+ * @returns {Buffer} Bytes decodificados
+ */
+export function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Secreto Base32 inválido");
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generar un secreto aleatorio de 160 bits en Base32
+ * @returns {string} Secreto Base32
+ */
+export function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Calcular el código HOTP de un contador
+ * @param {Buffer} key - Secreto decodificado
+ * @param {number} counter - Contador (paso de tiempo en TOTP)
+ * @returns {string} Código de 6 dígitos
+ */
+function hotp(key, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac("sha1", key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return String(binary).padStart(DIGITS, "0");
+}
+
+/**
+ * Obtener el paso de tiempo TOTP de un instante
+ * @param {number} timestamp - Milisegundos (por defecto, ahora)
+ * @returns {number} Paso de tiempo
+ */
+export function timeStep(timestamp = Date.now()) {
+  return Math.floor(timestamp / 1000 / PERIOD_SECONDS);
+}
+
+/**
+ * Generar el código TOTP de un secreto
+ * @param {string} secret - Secreto Base32
+ * @param {number} timestamp - Milisegundos (por defecto, ahora)
+ * @returns {string} Código de 6 dígitos
+ */
+export function generateTotp(secret, timestamp = Date.now()) {
+  return hotp(base32Decode(secret), timeStep(timestamp));
+}
+
+/**
+ * Verificar un código TOTP admitiendo un desfase de ±window periodos
+ * @param {string} secret - Secreto Base32
+ * @param {string} code - Código introducido por el usuario
+ * @param {Object} options - { window = 1, timestamp = Date.now() }
+ * @returns {number|null} Paso de tiempo que coincide (para evitar reutilizarlo) o null
+ */
+export function verifyTotp(secret, code, options = {}) {
+  const { window = 1, timestamp = Date.now() } = options;
+  const normalized = String(code).replace(/\s/g, "");
+
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const current = timeStep(timestamp);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = hotp(key, current + offset);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return current + offset;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Construir la URI otpauth:// que las apps de autenticación leen (normalmente como QR)
+ * @param {Object} params - { secret, accountName, issuer }
+ * @returns {string} URI otpauth
+ */
+export function buildOtpauthUri({ secret, accountName, issuer }) {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${query.toString()}`;
+}
@@ -5,13 +5,16 @@ import {
   createCitationDB,
   updateCitationDB,
   deleteCitationDB,
+  restoreCitationDB,
   countCitationsByCitizenDB,
   getCitationsStatsDB,
   searchCitationsDB,
   getTopOffendersDB,
   getCitizenPenaltySummaryDB,
-  calculatePenalty
+  recalculateCitizenPenaltiesDB
 } from "./citations.model.js";
+import { getAuditContext } from "../audit/auditContext.js";
+import { setETag, sendPreconditionFailed } from "../../middlewares/concurrency.middleware.js";
 
 /**
  * Controlador para la gestión de citaciones (amonestaciones menores)
@@ -26,7 +29,7 @@ import {
 export async function getCitationsByCitizen(req, res) {
   try {
     const { citizenId } = req.params;
-    const citations = await getCitationsByCitizenIdDB(citizenId);
+    const citations = await getCitationsByCitizenIdDB(citizenId, { include_deleted: req.query.include_deleted === 'true' });
     
     res.status(200).json({
       status: "success",
@@ -53,7 +56,7 @@ export async function getCitationsByCitizen(req, res) {
 export async function getCitationById(req, res) {
   try {
     const { citationId } = req.params;
-    const citation = await getCitationByIdDB(citationId);
+    const citation = await getCitationByIdDB(citationId, { include_deleted: req.query.include_deleted === 'true' });
     
     if (!citation) {
       return res.status(404).json({
@@ -62,6 +65,7 @@ export async function getCitationById(req, res) {
       });
     }
     
+    setETag(res, citation);
     res.status(200).json({
       status: "success",
       message: "Citación obtenida correctamente",
@@ -86,7 +90,7 @@ export async function getCitationById(req, res) {
 export async function getAllCitations(req, res) {
   try {
     const filters = req.query; // Los filtros vienen en query parameters
-    const citations = await getAllCitationsDB(filters);
+    const citations = await getAllCitationsDB({ ...filters, include_deleted: filters.include_deleted === 'true' });
     
     res.status(200).json({
       status: "success",
@@ -119,12 +123,9 @@ export async function createCitation(req, res) {
     // Asegurar que el citizen_id en el body coincida con el de la URL
     citationData.citizen_id = parseInt(citizenId);
     
-    // Obtener conteo de citaciones previas para mostrar información
-    const previousCitations = await countCitationsByCitizenDB(citizenId);
-    const penalty = calculatePenalty(previousCitations);
-    
     // Los datos ya vienen validados por el middleware de validación
-    const result = await createCitationDB(citationData);
+    const result = await createCitationDB(citationData, getAuditContext(req));
+    const penalty = result.penalty; // Calculada con el régimen vigente en la fecha de la citación
     
     // Obtener la citación recién creada para devolver los datos completos
     const newCitation = await getCitationByIdDB(result.insertId);
@@ -141,7 +142,9 @@ export async function createCitation(req, res) {
           citizen_last_name: newCitation.citizen_last_name,
           date: newCitation.date,
           description: newCitation.description,
-          fine_amount: newCitation.fine_amount
+          fine_amount: newCitation.fine_amount,
+          issued_by: newCitation.issued_by,
+          issued_by_username: newCitation.issued_by_username
         },
         penalty_details: {
           citation_number: penalty.citation_number,
@@ -149,8 +152,14 @@ export async function createCitation(req, res) {
           civic_course_hours: penalty.civic_course_hours,
           civic_work_days: penalty.civic_work_days,
           jail_days: penalty.jail_days,
-          penalty_description: penalty.penalty_description
+          penalty_description: penalty.penalty_description,
+          rule_set_id: penalty.rule_set_id,
+          rule_set_version: penalty.rule_set_version,
+          lookback_years: penalty.lookback_years,
+          counted_citations: penalty.counted_citations,
+          expired_citations: penalty.expired_citations
         },
+        obligations: result.obligations,
         automatic_actions: {
           criminal_record_created: result.criminal_record_created,
           warning: result.criminal_record_created ? 
@@ -204,7 +213,7 @@ export async function updateCitation(req, res) {
     }
     
     // Los datos ya vienen validados por el middleware de validación
-    const result = await updateCitationDB(citationId, updateData);
+    const result = await updateCitationDB(citationId, updateData, getAuditContext(req), req.ifMatch);
     
     if (result.affectedRows === 0) {
       return res.status(404).json({
@@ -216,6 +225,7 @@ export async function updateCitation(req, res) {
     // Obtener los datos actualizados
     const updatedCitation = await getCitationByIdDB(citationId);
     
+    setETag(res, updatedCitation);
     res.status(200).json({
       status: "success",
       message: "Citación actualizada exitosamente",
@@ -226,10 +236,23 @@ export async function updateCitation(req, res) {
         citizen_last_name: updatedCitation.citizen_last_name,
         date: updatedCitation.date,
         description: updatedCitation.description,
-        fine_amount: updatedCitation.fine_amount
-      }
+        fine_amount: updatedCitation.fine_amount,
+        issued_by: updatedCitation.issued_by,
+        issued_by_username: updatedCitation.issued_by_username,
+        updated_by: updatedCitation.updated_by,
+        updated_by_username: updatedCitation.updated_by_username,
+        updated_at: updatedCitation.updated_at,
+        version: updatedCitation.version
+      },
+      // Resumen del recálculo si cambió la fecha o el ciudadano de la citación
+      recalculation: result.recalculation ? result.recalculation.map(replay => replay.summary) : null
     });
   } catch (error) {
+    // Otra petición modificó la citación desde que el cliente la leyó
+    if (error.message.includes('modificado por otra petición')) {
+      return sendPreconditionFailed(res, error.message, await getCitationByIdDB(req.params.citationId));
+    }
+
     console.error('Error al actualizar citación:', error);
     
     // Manejar errores específicos de validación
@@ -267,8 +290,8 @@ export async function deleteCitation(req, res) {
       });
     }
     
-    // Eliminar la citación de la base de datos
-    const result = await deleteCitationDB(citationId);
+    // Marcar la citación como eliminada (deja de contar para las penalizaciones)
+    const result = await deleteCitationDB(citationId, getAuditContext(req), req.ifMatch);
     
     if (result.affectedRows === 0) {
       return res.status(404).json({
@@ -285,10 +308,17 @@ export async function deleteCitation(req, res) {
         citizen_id: existingCitation.citizen_id,
         citizen_name: existingCitation.citizen_name,
         deleted: true,
-        warning: "NOTA: La eliminación de citaciones puede afectar el historial de penalizaciones del ciudadano"
-      }
+        deleted_at: result.deleted_at
+      },
+      // Las citaciones posteriores y los antecedentes automáticos se recalculan
+      recalculation: result.recalculation.summary
     });
   } catch (error) {
+    // Otra petición modificó la citación desde que el cliente la leyó
+    if (error.message.includes('modificado por otra petición')) {
+      return sendPreconditionFailed(res, error.message, await getCitationByIdDB(req.params.citationId));
+    }
+
     console.error('Error al eliminar citación:', error);
     res.status(500).json({
       status: "error",
@@ -298,6 +328,78 @@ export async function deleteCitation(req, res) {
   }
 }
 
+/**
+ * Restaurar una citación eliminada
+ * Solo Admin puede restaurar citaciones
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function restoreCitation(req, res) {
+  try {
+    const { citationId } = req.params;
+    const { recalculation, ...citation } = await restoreCitationDB(citationId, getAuditContext(req));
+
+    res.status(200).json({
+      status: "success",
+      message: "Citación restaurada exitosamente",
+      data: citation,
+      recalculation: recalculation.summary
+    });
+  } catch (error) {
+    if (error.message.includes('no encontrada')) {
+      return res.status(404).json({
+        status: "error",
+        message: error.message
+      });
+    }
+
+    // La citación no está eliminada o su ciudadano sí lo está
+    if (error.message.includes('está eliminad')) {
+      return res.status(409).json({
+        status: "error",
+        message: error.message
+      });
+    }
+
+    console.error('Error al restaurar citación:', error);
+    res.status(500).json({
+      status: "error",
+      message: "Error interno del servidor al restaurar la citación",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Recalcular las penalizaciones de un ciudadano repitiendo su historial de citaciones
+ * Por defecto es una simulación (dry_run) que muestra el diff; con dry_run=false lo aplica
+ * Solo Admin puede recalcular
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function recalculateCitizenPenalties(req, res) {
+  try {
+    const { citizenId } = req.params;
+    const dryRun = req.body?.dry_run !== false;
+    const diff = await recalculateCitizenPenaltiesDB(citizenId, { dryRun }, getAuditContext(req));
+
+    res.status(200).json({
+      status: "success",
+      message: dryRun
+        ? "Simulación del recálculo de penalizaciones: no se ha modificado nada"
+        : "Penalizaciones recalculadas correctamente",
+      data: diff
+    });
+  } catch (error) {
+    console.error('Error al recalcular penalizaciones:', error);
+    res.status(500).json({
+      status: "error",
+      message: "Error interno del servidor al recalcular las penalizaciones",
+      error: error.message
+    });
+  }
+}
+
 /**
  * Obtener el conteo de citaciones de un ciudadano
  * @param {Request} req - Objeto de solicitud
@@ -360,14 +462,17 @@ export async function searchCitations(req, res) {
   try {
     const searchCriteria = req.query;
     
-    if (!searchCriteria.term && !searchCriteria.citizen_name) {
+    if (!searchCriteria.term && !searchCriteria.citizen_name && !searchCriteria.issued_by && !searchCriteria.updated_by) {
       return res.status(400).json({
         status: "error",
-        message: "Se requiere al menos un criterio de búsqueda (term o citizen_name)"
+        message: "Se requiere al menos un criterio de búsqueda (term, citizen_name, issued_by o updated_by)"
       });
     }
     
-    const searchResults = await searchCitationsDB(searchCriteria);
+    const searchResults = await searchCitationsDB({
+      ...searchCriteria,
+      include_deleted: searchCriteria.include_deleted === 'true'
+    });
     
     res.status(200).json({
       status: "success",
@@ -431,14 +536,18 @@ export async function getCitizenPenaltySummary(req, res) {
         citizen_id: parseInt(citizenId),
         current_status: {
           total_citations: summary.total_citations,
+          counted_citations: summary.counted_citations,
           total_fines: summary.total_fines
         },
         next_citation_penalty: summary.next_penalty,
+        penalty_rule_set: summary.rule_set,
         warnings: {
-          approaching_criminal_record: summary.total_citations >= 2 ? 
+          approaching_criminal_record: summary.next_penalty.creates_criminal_record ? 
             "ADVERTENCIA: La próxima citación resultará en antecedentes penales" : null,
-          escalation_notice: summary.total_citations > 0 ? 
-            `El ciudadano tiene ${summary.total_citations} citación(es) previa(s)` : null
+          escalation_notice: summary.counted_citations > 0 ? 
+            `El ciudadano tiene ${summary.counted_citations} citación(es) previa(s) que cuentan para la escalada` : null,
+          expired_notice: summary.total_citations > summary.counted_citations ?
+            `${summary.total_citations - summary.counted_citations} citación(es) previa(s) caducada(s) no cuentan para la escalada` : null
         }
       }
     });
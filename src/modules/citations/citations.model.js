@@ -1,65 +1,56 @@
-import connection from "../../config/Database.js";
+import { getRepositories, withTransaction } from "../../repositories/index.js";
+import { assertVersion } from "../../repositories/versioning.js";
+import { recordAudit, actorUserId, softDeletion } from "../audit/audit.model.js";
+import { resolvePenaltyRuleSetDB } from "../penaltyRules/penaltyRules.model.js";
+import { planCitationObligations, applyObligationActions } from "../obligations/obligations.model.js";
+import { DEFAULT_PENALTY_RULES } from "../../config/penaltyRules.js";
 
 /**
  * Modelo de datos para la gestión de citaciones (amonestaciones menores)
- * Tabla citations: id, citizen_id, date, description, fine_amount
+ * Tabla citations: id, citizen_id, date, description, fine_amount,
+ * citation_number, civic_course_hours, civic_work_days, jail_days, penalty_description,
+ * rule_set_id, rule_set_version (penalización aplicada y versión del régimen),
+ * issued_by, updated_by, updated_at (usuario que la registró y último que la modificó),
+ * deleted_at, deleted_by (borrado lógico)
  * Relación: citizens 1 <--> N citations
  * 
- * Lógica de Penalizaciones:
+ * Lógica de Penalizaciones (régimen general inicial, ver src/config/penaltyRules.js):
  * 1ª citación: $400 + curso 48 horas normas cívicas
  * 2ª citación: $400 + curso 48 horas + 2 días trabajo cívico
  * 3ª citación: 8 días cárcel + registro en antecedentes penales
+ * Los Admin publican versiones del régimen por planeta en /api/penalty-rules: cada
+ * citación se evalúa con el vigente en su fecha para el planeta de residencia.
+ * Si el régimen tiene lookback_years, las citaciones previas más antiguas caducan
+ * y no cuentan para la escalada (assessPenalty)
+ *
+ * El acceso a datos se delega en el repositorio de citaciones (MySQL o memoria)
+ * Las escrituras se registran en audit_log dentro de la misma transacción
+ * Las citaciones eliminadas no cuentan para las penalizaciones; pueden restaurarse
+ *
+ * Al eliminar o restaurar una citación, o cambiar su fecha o ciudadano, se vuelve a
+ * recalcular el historial del ciudadano (recalculateCitizenPenaltiesDB): multas de
+ * las citaciones, antecedentes automáticos enlazados (source_citation_id) y
+ * obligaciones de curso y trabajo cívico (módulo obligations)
  */
 
 /**
  * Obtener todas las citaciones de un ciudadano específico
  * @param {number} citizenId - ID del ciudadano
+ * @param {Object} options - include_deleted: incluir las eliminadas
  * @returns {Promise<Array>} Lista de citaciones del ciudadano
  */
-export async function getCitationsByCitizenIdDB(citizenId) {
-  const query = `
-    SELECT 
-      ct.id, 
-      ct.citizen_id, 
-      ct.date, 
-      ct.description, 
-      ct.fine_amount,
-      c.full_name as citizen_name,
-      c.last_name as citizen_last_name,
-      c.qr_code as citizen_qr_code
-    FROM citations ct
-    INNER JOIN citizens c ON ct.citizen_id = c.id
-    WHERE ct.citizen_id = ?
-    ORDER BY ct.date DESC
-  `;
-  
-  const [rows] = await connection.query(query, [citizenId]);
-  return rows;
+export async function getCitationsByCitizenIdDB(citizenId, options = {}) {
+  return getRepositories().citations.findByCitizenId(citizenId, options);
 }
 
 /**
  * Obtener una citación específica por ID
  * @param {number} citationId - ID de la citación
+ * @param {Object} options - include_deleted: incluir las eliminadas
  * @returns {Promise<Object|null>} Citación encontrada o null
  */
-export async function getCitationByIdDB(citationId) {
-  const query = `
-    SELECT 
-      ct.id, 
-      ct.citizen_id, 
-      ct.date, 
-      ct.description, 
-      ct.fine_amount,
-      c.full_name as citizen_name,
-      c.last_name as citizen_last_name,
-      c.qr_code as citizen_qr_code
-    FROM citations ct
-    INNER JOIN citizens c ON ct.citizen_id = c.id
-    WHERE ct.id = ?
-  `;
-  
-  const [rows] = await connection.query(query, [citationId]);
-  return rows[0] || null;
+export async function getCitationByIdDB(citationId, options = {}) {
+  return getRepositories().citations.findById(citationId, options);
 }
 
 /**
@@ -70,69 +61,13 @@ export async function getCitationByIdDB(citationId) {
  * @param {Date} filters.date_to - Fecha hasta
  * @param {number} filters.fine_amount_min - Monto mínimo de multa
  * @param {number} filters.fine_amount_max - Monto máximo de multa
+ * @param {boolean} filters.include_deleted - Incluir las eliminadas
  * @param {number} filters.limit - Límite de resultados
  * @param {number} filters.offset - Offset para paginación
  * @returns {Promise<Array>} Lista de todas las citaciones
  */
 export async function getAllCitationsDB(filters = {}) {
-  let query = `
-    SELECT 
-      ct.id, 
-      ct.citizen_id, 
-      ct.date, 
-      ct.description, 
-      ct.fine_amount,
-      c.full_name as citizen_name,
-      c.last_name as citizen_last_name,
-      c.qr_code as citizen_qr_code
-    FROM citations ct
-    INNER JOIN citizens c ON ct.citizen_id = c.id
-    WHERE 1=1
-  `;
-  
-  const params = [];
-  
-  // Aplicar filtros
-  if (filters.location) {
-    query += " AND ct.description LIKE ?";
-    params.push(`%${filters.location}%`);
-  }
-  
-  if (filters.date_from) {
-    query += " AND ct.date >= ?";
-    params.push(filters.date_from);
-  }
-  
-  if (filters.date_to) {
-    query += " AND ct.date <= ?";
-    params.push(filters.date_to);
-  }
-  
-  if (filters.fine_amount_min) {
-    query += " AND ct.fine_amount >= ?";
-    params.push(filters.fine_amount_min);
-  }
-  
-  if (filters.fine_amount_max) {
-    query += " AND ct.fine_amount <= ?";
-    params.push(filters.fine_amount_max);
-  }
-  
-  query += " ORDER BY ct.date DESC";
-  
-  // Aplicar paginación
-  if (filters.limit) {
-    query += " LIMIT ?";
-    params.push(parseInt(filters.limit));
-    
-    if (filters.offset) {
-      query += " OFFSET ?";
-      params.push(parseInt(filters.offset));
-    }
-  }
-  
-  const [rows] = await connection.query(query, params);
-  return rows;
+  return getRepositories().citations.findAll(filters);
 }
 
 /**
@@ -141,138 +76,270 @@ export async function getAllCitationsDB(filters = {}) {
  * @returns {Promise<number>} Número de citaciones previas
  */
 export async function countCitationsByCitizenDB(citizenId) {
-  const [rows] = await connection.query(
-    "SELECT COUNT(*) as total FROM citations WHERE citizen_id = ?",
-    [citizenId]
-  );
-  return rows[0].total;
+  return getRepositories().citations.countByCitizen(citizenId);
+}
+
+// Tipo de delito de los antecedentes creados automáticamente por acumulación
+export const ACCUMULATION_CRIME_TYPE = 'Acumulación de citaciones menores';
+
+/**
+ * Ordenar citaciones por fecha y, a igual fecha, por ID (orden en que se registraron)
+ */
+const byDateAsc = (a, b) => (new Date(a.date) - new Date(b.date)) || (a.id - b.id);
+
+/**
+ * Describir una penalización a partir de sus componentes
+ * Ej: "$400 + curso de 48 horas + 2 días de trabajo cívico"
+ * @param {Object} penalty - Penalización (fine_amount, civic_course_hours, civic_work_days, jail_days, creates_criminal_record)
+ * @returns {string} Descripción legible
+ */
+function describePenalty(penalty) {
+  const parts = [];
+  if (penalty.fine_amount > 0) parts.push(`$${penalty.fine_amount}`);
+  if (penalty.civic_course_hours > 0) parts.push(`curso de ${penalty.civic_course_hours} horas`);
+  if (penalty.civic_work_days > 0) parts.push(`${penalty.civic_work_days} días de trabajo cívico`);
+  if (penalty.jail_days > 0) parts.push(`${penalty.jail_days} días de cárcel`);
+  if (penalty.creates_criminal_record) parts.push('registro en antecedentes penales');
+  return parts.length > 0 ? parts.join(' + ') : 'sin sanción';
 }
 
 /**
  * Calcular penalización según número de citaciones previas
+ * Se evalúa con el régimen de sanciones indicado (por defecto el régimen general
+ * inicial); resolvePenaltyRuleSetDB obtiene el vigente en la fecha de la citación
  * @param {number} previousCitations - Número de citaciones previas
- * @returns {Object} Objeto con detalles de la penalización
+ * @param {Object} [ruleSet] - Régimen de sanciones { id, version, tiers, escalation }
+ * @returns {Object} Objeto con detalles de la penalización y el régimen aplicado
  */
-export function calculatePenalty(previousCitations) {
+export function calculatePenalty(previousCitations, ruleSet = DEFAULT_PENALTY_RULES) {
   const citationNumber = previousCitations + 1; // La citación actual
-  
-  let penalty = {
-    citation_number: citationNumber,
-    fine_amount: 400.00, // Siempre $400 base
-    civic_course_hours: 48, // Siempre curso de 48 horas
-    civic_work_days: 0,
-    jail_days: 0,
-    creates_criminal_record: false,
-    penalty_description: ""
-  };
-  
-  switch (citationNumber) {
-    case 1:
-      penalty.penalty_description = "Primera amonestación: $400 + curso de 48 horas de normas cívicas";
-      break;
-      
-    case 2:
-      penalty.civic_work_days = 2;
-      penalty.penalty_description = "Segunda amonestación: $400 + curso de 48 horas + 2 días de trabajo cívico";
-      break;
-      
-    case 3:
-      penalty.civic_course_hours = 0; // En la tercera ya no hay curso
-      penalty.civic_work_days = 0;    // En la tercera ya no hay trabajo cívico
-      penalty.jail_days = 8;
-      penalty.creates_criminal_record = true;
-      penalty.penalty_description = "Tercera amonestación: 8 días de cárcel + registro en antecedentes penales";
-      break;
-      
-    default:
-      // Más de 3 citaciones, se trata como antecedente penal directo
-      penalty.fine_amount = 0;
-      penalty.civic_course_hours = 0;
-      penalty.jail_days = 15 + (citationNumber - 3) * 5; // Escalamiento de cárcel
-      penalty.creates_criminal_record = true;
-      penalty.penalty_description = `Múltiples amonestaciones (${citationNumber}): ${penalty.jail_days} días de cárcel + registro en antecedentes penales`;
-      break;
+  const tier = ruleSet.tiers.find(candidate => candidate.citation_number === citationNumber);
+
+  let penalty;
+  if (tier) {
+    penalty = {
+      citation_number: citationNumber,
+      fine_amount: Number(tier.fine_amount),
+      civic_course_hours: tier.civic_course_hours,
+      civic_work_days: tier.civic_work_days,
+      jail_days: tier.jail_days,
+      creates_criminal_record: tier.creates_criminal_record
+    };
+    penalty.penalty_description = tier.description || describePenalty(penalty);
+  } else {
+    // Más citaciones que tiers: se escala la cárcel desde la última tier
+    const { escalation } = ruleSet;
+    const lastTier = ruleSet.tiers.reduce((max, candidate) => Math.max(max, candidate.citation_number), 0);
+    penalty = {
+      citation_number: citationNumber,
+      fine_amount: Number(escalation.fine_amount),
+      civic_course_hours: escalation.civic_course_hours,
+      civic_work_days: escalation.civic_work_days,
+      jail_days: escalation.base_jail_days + (citationNumber - lastTier) * escalation.jail_days_per_citation,
+      creates_criminal_record: escalation.creates_criminal_record
+    };
+    penalty.penalty_description = `Múltiples amonestaciones (${citationNumber}): ${describePenalty(penalty)}`;
   }
-  
+
+  // Régimen aplicado (null si es el régimen por defecto sin fila en penalty_rule_sets)
+  penalty.rule_set_id = ruleSet.id ?? null;
+  penalty.rule_set_version = ruleSet.version ?? null;
+
   return penalty;
 }
 
+/**
+ * Separar las citaciones previas que cuentan para la escalada de las caducadas
+ * Con lookback_years, caduca la citación con más de esos años en la fecha indicada
+ * @param {Array} priorCitations - Citaciones previas activas del ciudadano
+ * @param {Date|string} date - Fecha de la nueva citación
+ * @param {Object} [ruleSet] - Régimen de sanciones vigente en esa fecha
+ * @returns {Object} { lookback_from (fecha desde la que cuentan o null), counted, expired }
+ */
+export function splitPriorCitations(priorCitations, date, ruleSet = DEFAULT_PENALTY_RULES) {
+  let lookbackFrom = null;
+  if (ruleSet.lookback_years) {
+    lookbackFrom = new Date(date);
+    lookbackFrom.setUTCFullYear(lookbackFrom.getUTCFullYear() - ruleSet.lookback_years);
+  }
+
+  const counted = [];
+  const expired = [];
+  for (const citation of [...priorCitations].sort(byDateAsc)) {
+    const summary = { id: citation.id, date: citation.date };
+    if (lookbackFrom && new Date(citation.date) < lookbackFrom) {
+      expired.push(summary);
+    } else {
+      counted.push(summary);
+    }
+  }
+
+  return { lookback_from: lookbackFrom, counted, expired };
+}
+
+/**
+ * Calcular la penalización de una citación a partir de las citaciones previas
+ * Solo cuentan las que no han caducado según el periodo del régimen
+ * @param {Array} priorCitations - Citaciones previas activas del ciudadano
+ * @param {Date|string} date - Fecha de la citación
+ * @param {Object} [ruleSet] - Régimen de sanciones vigente en esa fecha
+ * @returns {Object} Penalización de calculatePenalty con lookback_years, lookback_from,
+ * counted_citations y expired_citations ({ id, date } de cada citación previa)
+ */
+export function assessPenalty(priorCitations, date, ruleSet = DEFAULT_PENALTY_RULES) {
+  const { lookback_from, counted, expired } = splitPriorCitations(priorCitations, date, ruleSet);
+
+  return {
+    ...calculatePenalty(counted.length, ruleSet),
+    lookback_years: ruleSet.lookback_years ?? null,
+    lookback_from,
+    counted_citations: counted,
+    expired_citations: expired
+  };
+}
+
+/**
+ * Columnas de la citación que guardan la penalización aplicada
+ * @param {Object} penalty - Penalización calculada con calculatePenalty
+ * @returns {Object} fine_amount, citation_number, civic_course_hours, civic_work_days,
+ * jail_days, penalty_description, rule_set_id, rule_set_version
+ */
+export function citationPenaltyFields(penalty) {
+  return {
+    fine_amount: penalty.fine_amount,
+    citation_number: penalty.citation_number,
+    civic_course_hours: penalty.civic_course_hours,
+    civic_work_days: penalty.civic_work_days,
+    jail_days: penalty.jail_days,
+    penalty_description: penalty.penalty_description,
+    rule_set_id: penalty.rule_set_id,
+    rule_set_version: penalty.rule_set_version
+  };
+}
+
+/**
+ * Construir el antecedente penal automático por acumulación de citaciones
+ * @param {number} citizenId - ID del ciudadano
+ * @param {Object} penalty - Penalización calculada con calculatePenalty
+ * @param {string} description - Descripción de la última infracción
+ * @param {Date} date - Fecha y hora de la citación que lo origina
+ * @returns {Object} Datos del antecedente penal listos para insertar
+ */
+export function buildAccumulationRecord(citizenId, penalty, description, date = new Date()) {
+  return {
+    citizen_id: citizenId,
+    date: date.toISOString().split('T')[0], // Solo fecha
+    time: date.toTimeString().split(' ')[0], // Solo hora
+    location: 1, // ID del planeta por defecto (Tierra)
+    description: `Registro automático por acumulación de ${penalty.citation_number} citaciones menores. Última infracción: ${description}`,
+    crime_type: ACCUMULATION_CRIME_TYPE
+  };
+}
+
 /**
  * Crear una nueva citación con penalización automática
  * @param {Object} citationData - Datos de la citación
  * @param {number} citationData.citizen_id - ID del ciudadano
  * @param {string} citationData.description - Descripción de la infracción
- * @returns {Promise<Object>} Resultado de la inserción con penalización calculada
+ * @param {Object} audit - Actor de la petición (getAuditContext)
+ * @returns {Promise<Object>} Resultado de la inserción con penalización calculada y obligaciones creadas
  */
-export async function createCitationDB(citationData) {
-  // Verificar que el ciudadano existe
-  const citizenExists = await checkCitizenExistsDB(citationData.citizen_id);
-  if (!citizenExists) {
-    throw new Error("El ciudadano especificado no existe");
-  }
+export async function createCitationDB(citationData, audit = {}) {
+  // Insertar la citación y, si corresponde, el antecedente penal en una sola transacción
+  const result = await withTransaction(async (repositories) => {
+    // Bloquear al ciudadano (FOR UPDATE) antes de leer su historial: dos citaciones
+    // simultáneas no pueden ver las mismas previas ni repetir número de citación
+    await repositories.citizens.lockVersion(citationData.citizen_id);
 
-  // Contar citaciones previas
-  const previousCitations = await countCitationsByCitizenDB(citationData.citizen_id);
-  
-  // Calcular penalización
-  const penalty = calculatePenalty(previousCitations);
-  
-  // Preparar datos de la citación
-  const newCitation = {
-    citizen_id: citationData.citizen_id,
-    date: new Date(), // Fecha y hora actual
-    description: citationData.description,
-    fine_amount: penalty.fine_amount,
-  };
+    // Verificar que el ciudadano existe
+    const citizen = await repositories.citizens.findById(citationData.citizen_id);
+    if (!citizen) {
+      throw new Error("El ciudadano especificado no existe");
+    }
+
+    const date = new Date(); // Fecha y hora actual
+
+    // Citaciones previas (las caducadas según el régimen no cuentan)
+    const previousCitations = await repositories.citations.findByCitizenId(citationData.citizen_id);
+
+    // Calcular penalización con el régimen vigente en la fecha de la citación
+    const ruleSet = await resolvePenaltyRuleSetDB(citizen.residence_planet, date, repositories);
+    const penalty = assessPenalty(previousCitations, date, ruleSet);
+
+    // Preparar datos de la citación
+    const newCitation = {
+      citizen_id: citationData.citizen_id,
+      date,
+      description: citationData.description,
+      ...citationPenaltyFields(penalty),
+      issued_by: actorUserId(audit)
+    };
 
-  // Iniciar transacción para operaciones múltiples
-  const dbConnection = await connection.getConnection();
-  await dbConnection.beginTransaction();
-  
-  try {
     // Insertar la citación
-    const [result] = await dbConnection.query("INSERT INTO citations SET ?", [newCitation]);
+    const insertResult = await repositories.citations.insert(newCitation);
+    await recordAudit(repositories, audit, {
+      action: 'create',
+      entity: 'citation',
+      entity_id: insertResult.insertId,
+      before: null,
+      after: await repositories.citations.findById(insertResult.insertId)
+    });
+
+    // Obligaciones de curso y trabajo cívico de la penalización
+    const obligations = await applyObligationActions(
+      repositories,
+      await planCitationObligations(repositories, { ...newCitation, id: insertResult.insertId }),
+      audit
+    );
     
     // Si es la tercera citación o más, crear antecedente penal automáticamente
     if (penalty.creates_criminal_record) {
-      const criminalRecord = {
-        citizen_id: citationData.citizen_id,
-        date: new Date().toISOString().split('T')[0], // Solo fecha
-        time: new Date().toTimeString().split(' ')[0], // Solo hora
-        location: 1, // ID del planeta por defecto (Tierra)
-        description: `Registro automático por acumulación de ${penalty.citation_number} citaciones menores. Última infracción: ${citationData.description}`,
-        crime_type: 'Acumulación de citaciones menores'
-      };
+      const criminalRecord = buildAccumulationRecord(
+        citationData.citizen_id,
+        penalty,
+        citationData.description,
+        newCitation.date
+      );
       
-      await dbConnection.query("INSERT INTO criminal_records SET ?", [criminalRecord]);
+      // El antecedente automático se atribuye a quien registró la citación y queda enlazado a ella
+      const recordResult = await repositories.records.insert({
+        ...criminalRecord,
+        source_citation_id: insertResult.insertId,
+        issued_by: newCitation.issued_by
+      });
+      await recordAudit(repositories, audit, {
+        action: 'create',
+        entity: 'criminal_record',
+        entity_id: recordResult.insertId,
+        before: null,
+        after: await repositories.records.findById(recordResult.insertId)
+      });
     }
     
-    // Confirmar transacción
-    await dbConnection.commit();
-    
-    return {
-      insertId: result.insertId,
-      penalty: penalty,
-      criminal_record_created: penalty.creates_criminal_record
-    };
-    
-  } catch (error) {
-    // Revertir transacción en caso de error
-    await dbConnection.rollback();
-    throw error;
-  } finally {
-    // Liberar conexión
-    dbConnection.release();
-  }
+    return { insertId: insertResult.insertId, penalty, obligations };
+  });
+  
+  return {
+    insertId: result.insertId,
+    penalty: result.penalty,
+    criminal_record_created: result.penalty.creates_criminal_record,
+    obligations: result.obligations.map(entry => ({
+      id: entry.obligation_id,
+      obligation_type: entry.obligation_type,
+      ...entry.changes
+    }))
+  };
 }
 
 /**
  * Actualizar una citación existente (solo Admin)
  * @param {number} citationId - ID de la citación
  * @param {Object} citationData - Datos a actualizar
- * @returns {Promise<Object>} Resultado de la actualización
+ * @param {Object} audit - Actor de la petición (getAuditContext)
+ * @param {number[]|null} [expectedVersions] - Versiones aceptadas (If-Match); null no las comprueba
+ * @returns {Promise<Object>} Resultado de la actualización (con recalculation si cambió la fecha o el ciudadano)
  */
-export async function updateCitationDB(citationId, citationData) {
+export async function updateCitationDB(citationId, citationData, audit = {}, expectedVersions = null) {
   // Si se va a actualizar el citizen_id, verificar que el ciudadano existe
   if (citationData.citizen_id) {
     const citizenExists = await checkCitizenExistsDB(citationData.citizen_id);
@@ -281,21 +348,304 @@ export async function updateCitationDB(citationId, citationData) {
     }
   }
 
-  const [result] = await connection.query(
-    "UPDATE citations SET ? WHERE id = ?",
-    [citationData, citationId]
-  );
-  return result;
+  // La atribución original no se edita; el último editor es quien hace la petición
+  const data = { ...citationData, updated_by: actorUserId(audit), updated_at: new Date() };
+  delete data.issued_by;
+
+  return withTransaction(async (repositories) => {
+    await assertVersion(repositories.citations, citationId, expectedVersions);
+    const before = await repositories.citations.findById(citationId);
+    const result = await repositories.citations.update(citationId, data);
+    if (result.affectedRows > 0) {
+      await recordAudit(repositories, audit, {
+        action: 'update',
+        entity: 'citation',
+        entity_id: citationId,
+        before,
+        after: await repositories.citations.findById(citationId)
+      });
+
+      // Cambiar la fecha o el ciudadano altera el orden de las citaciones de ambos ciudadanos
+      if (citationData.date !== undefined || citationData.citizen_id !== undefined) {
+        const citizenIds = new Set([Number(before.citizen_id), Number(citationData.citizen_id ?? before.citizen_id)]);
+        result.recalculation = [];
+        for (const citizenId of citizenIds) {
+          result.recalculation.push(await replayCitationHistory(repositories, citizenId, audit, { dryRun: false }));
+        }
+      }
+    }
+    return result;
+  });
 }
 
 /**
- * Eliminar una citación (solo para administradores)
+ * Eliminar (lógicamente) una citación (solo para administradores)
  * @param {number} citationId - ID de la citación
- * @returns {Promise<Object>} Resultado de la eliminación
+ * @param {Object} audit - Actor de la petición (getAuditContext)
+ * @param {number[]|null} [expectedVersions] - Versiones aceptadas (If-Match); null no las comprueba
+ * @returns {Promise<Object>} { affectedRows, deleted_at, recalculation }
  */
-export async function deleteCitationDB(citationId) {
-  const [result] = await connection.query("DELETE FROM citations WHERE id = ?", [citationId]);
-  return result;
+export async function deleteCitationDB(citationId, audit = {}, expectedVersions = null) {
+  const deletion = softDeletion(audit);
+
+  return withTransaction(async (repositories) => {
+    await assertVersion(repositories.citations, citationId, expectedVersions);
+    const before = await repositories.citations.findById(citationId);
+    const result = await repositories.citations.softDelete(citationId, deletion);
+    let recalculation = null;
+    if (result.affectedRows > 0) {
+      await recordAudit(repositories, audit, { action: 'delete', entity: 'citation', entity_id: citationId, before, after: null });
+      recalculation = await replayCitationHistory(repositories, before.citizen_id, audit, { dryRun: false });
+    }
+    return { affectedRows: result.affectedRows, deleted_at: deletion.deleted_at, recalculation };
+  });
+}
+
+/**
+ * Restaurar una citación eliminada
+ * No se restaura si su ciudadano sigue eliminado (se restaura con él)
+ * @param {number} citationId - ID de la citación
+ * @param {Object} audit - Actor de la petición (getAuditContext)
+ * @returns {Promise<Object>} Citación restaurada, con el resultado del recálculo (recalculation)
+ */
+export async function restoreCitationDB(citationId, audit = {}) {
+  return withTransaction(async (repositories) => {
+    const citation = await repositories.citations.findById(citationId, { include_deleted: true });
+    if (!citation) {
+      throw new Error("Citación no encontrada");
+    }
+    if (!citation.deleted_at) {
+      throw new Error("La citación no está eliminada");
+    }
+    if (!(await repositories.citizens.exists(citation.citizen_id))) {
+      throw new Error("El ciudadano de la citación está eliminado; restáurelo primero");
+    }
+
+    await repositories.citations.restore(citationId);
+    await recordAudit(repositories, audit, {
+      action: 'restore',
+      entity: 'citation',
+      entity_id: citationId,
+      before: null,
+      after: await repositories.citations.findById(citationId)
+    });
+    const recalculation = await replayCitationHistory(repositories, citation.citizen_id, audit, { dryRun: false });
+
+    // La multa puede haber cambiado con el recálculo
+    return { ...(await repositories.citations.findById(citationId)), recalculation };
+  });
+}
+
+/**
+ * Planificar el recálculo del historial de citaciones de un ciudadano
+ * Repite la penalización en orden de fecha con el régimen vigente en cada citación
+ * (y su periodo de cómputo) y compara el resultado con lo guardado:
+ * - citations: cada citación con su multa actual (fine_amount.before) y la recalculada,
+ *   las citaciones previas que contaron o habían caducado y la penalización a guardar
+ *   (penalty_changed si difiere de la guardada o aún no se guardó)
+ * - records: acciones sobre los antecedentes automáticos
+ *   - link: enlazar un antecedente automático sin enlace (anterior a la migración 0021)
+ *   - restore: restaurar el antecedente retirado de la citación
+ *   - create: crear el antecedente que falta
+ *   - update: corregir la descripción (número de citaciones acumuladas)
+ *   - retract: retirar (eliminar lógicamente) un antecedente que ya no corresponde
+ * - obligations: acciones sobre las obligaciones de cada citación (planCitationObligations)
+ * @param {Object} repositories - Repositorios (los de la transacción al aplicar)
+ * @param {number} citizenId - ID del ciudadano
+ * @returns {Promise<Object>} Plan { citations, records, obligations }
+ */
+async function planCitationHistory(repositories, citizenId) {
+  const citizen = await repositories.citizens.findById(citizenId);
+  const citations = (await repositories.citations.findByCitizenId(citizenId)).sort(byDateAsc);
+  const automaticRecords = (await repositories.records.findByCitizenId(citizenId, { include_deleted: true }))
+    .filter(record => record.crime_type === ACCUMULATION_CRIME_TYPE)
+    .sort(byDateAsc);
+
+  const activeRecords = automaticRecords.filter(record => !record.deleted_at);
+  const unlinked = activeRecords.filter(record => !record.source_citation_id);
+  const linkedTo = (citationId, deleted) => automaticRecords.find(record =>
+    sameCitation(record.source_citation_id, citationId) && Boolean(record.deleted_at) === deleted
+  );
+  const kept = new Set();
+
+  const plan = { citations: [], records: [], obligations: [] };
+
+  for (const [index, citation] of citations.entries()) {
+    const ruleSet = await resolvePenaltyRuleSetDB(citizen ? citizen.residence_planet : null, citation.date, repositories);
+    const penalty = assessPenalty(citations.slice(0, index), citation.date, ruleSet);
+
+    const fields = citationPenaltyFields(penalty);
+    plan.citations.push({
+      citation_id: citation.id,
+      date: citation.date,
+      citation_number: penalty.citation_number,
+      counted_citations: penalty.counted_citations.map(prior => prior.id),
+      expired_citations: penalty.expired_citations.map(prior => prior.id),
+      rule_set_id: penalty.rule_set_id,
+      rule_set_version: penalty.rule_set_version,
+      fine_amount: { before: Number(citation.fine_amount), after: penalty.fine_amount },
+      penalty_description: { before: citation.penalty_description, after: penalty.penalty_description },
+      creates_criminal_record: penalty.creates_criminal_record,
+      changed: Number(citation.fine_amount) !== penalty.fine_amount,
+      // Cualquier columna de la penalización guardada distinta (o sin guardar)
+      penalty_changed: Object.entries(fields).some(([column, value]) =>
+        column === 'fine_amount' ? Number(citation.fine_amount) !== value : (citation[column] ?? null) !== value
+      ),
+      penalty: fields
+    });
+    plan.obligations.push(...await planCitationObligations(repositories, { ...citation, ...fields }));
+
+    if (!penalty.creates_criminal_record) continue;
+
+    const expected = buildAccumulationRecord(citizenId, penalty, citation.description, new Date(citation.date));
+    const current = linkedTo(citation.id, false) || linkedTo(citation.id, true) || unlinked.shift();
+
+    if (!current) {
+      plan.records.push({ action: 'create', record_id: null, citation_id: citation.id, record: expected });
+      continue;
+    }
+
+    kept.add(current.id);
+    const action = current.deleted_at ? 'restore' : !current.source_citation_id ? 'link' : 'update';
+    if (action !== 'update' || current.description !== expected.description) {
+      plan.records.push({
+        action,
+        record_id: current.id,
+        citation_id: citation.id,
+        description: { before: current.description, after: expected.description }
+      });
+    }
+  }
+
+  for (const record of activeRecords) {
+    if (!kept.has(record.id)) {
+      plan.records.push({ action: 'retract', record_id: record.id, citation_id: record.source_citation_id ?? null });
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Comparar IDs de citación (el enlace puede ser null)
+ */
+function sameCitation(a, b) {
+  return a !== null && a !== undefined && Number(a) === Number(b);
+}
+
+/**
+ * Recalcular el historial de citaciones de un ciudadano y, si no es simulación, aplicarlo
+ * Cada cambio se registra en audit_log
+ * @param {Object} repositories - Repositorios de la transacción
+ * @param {number} citizenId - ID del ciudadano
+ * @param {Object} audit - Actor de la petición (getAuditContext)
+ * @param {Object} options - dryRun: solo calcular el diff
+ * @returns {Promise<Object>} Diff { citizen_id, dry_run, citations, records, obligations, summary }
+ */
+async function replayCitationHistory(repositories, citizenId, audit, { dryRun }) {
+  if (!dryRun) {
+    // Mismo bloqueo que createCitationDB: el historial no cambia mientras se reescribe
+    await repositories.citizens.lockVersion(citizenId);
+  }
+  const plan = await planCitationHistory(repositories, citizenId);
+  const editor = { updated_by: actorUserId(audit), updated_at: new Date() };
+
+  if (!dryRun) {
+    for (const entry of plan.citations.filter(citation => citation.penalty_changed)) {
+      const before = await repositories.citations.findById(entry.citation_id);
+      await repositories.citations.update(entry.citation_id, { ...entry.penalty, ...editor });
+      await recordAudit(repositories, audit, {
+        action: 'update',
+        entity: 'citation',
+        entity_id: entry.citation_id,
+        before,
+        after: await repositories.citations.findById(entry.citation_id)
+      });
+    }
+
+    for (const entry of plan.records) {
+      if (entry.action === 'create') {
+        const result = await repositories.records.insert({
+          ...entry.record,
+          source_citation_id: entry.citation_id,
+          issued_by: actorUserId(audit)
+        });
+        entry.record_id = result.insertId;
+        await recordAudit(repositories, audit, {
+          action: 'create',
+          entity: 'criminal_record',
+          entity_id: result.insertId,
+          before: null,
+          after: await repositories.records.findById(result.insertId)
+        });
+        continue;
+      }
+
+      const before = await repositories.records.findById(entry.record_id, { include_deleted: true });
+      if (entry.action === 'retract') {
+        await repositories.records.softDelete(entry.record_id, softDeletion(audit));
+        await recordAudit(repositories, audit, { action: 'delete', entity: 'criminal_record', entity_id: entry.record_id, before, after: null });
+        continue;
+      }
+
+      if (entry.action === 'restore') {
+        await repositories.records.restore(entry.record_id);
+      }
+      await repositories.records.update(entry.record_id, {
+        source_citation_id: entry.citation_id,
+        description: entry.description.after,
+        ...editor
+      });
+      await recordAudit(repositories, audit, {
+        action: entry.action === 'restore' ? 'restore' : 'update',
+        entity: 'criminal_record',
+        entity_id: entry.record_id,
+        before: entry.action === 'restore' ? null : before,
+        after: await repositories.records.findById(entry.record_id)
+      });
+    }
+
+    await applyObligationActions(repositories, plan.obligations, audit);
+  }
+
+  const countRecords = (action) => plan.records.filter(entry => entry.action === action).length;
+  const countObligations = (action) => plan.obligations.filter(entry => entry.action === action).length;
+  return {
+    citizen_id: Number(citizenId),
+    dry_run: dryRun,
+    citations: plan.citations,
+    records: plan.records,
+    obligations: plan.obligations,
+    summary: {
+      total_citations: plan.citations.length,
+      fines_changed: plan.citations.filter(citation => citation.changed).length,
+      penalties_changed: plan.citations.filter(citation => citation.penalty_changed).length,
+      records_created: countRecords('create'),
+      records_linked: countRecords('link'),
+      records_restored: countRecords('restore'),
+      records_updated: countRecords('update'),
+      records_retracted: countRecords('retract'),
+      obligations_created: countObligations('create'),
+      obligations_updated: countObligations('update'),
+      obligations_reopened: countObligations('reopen'),
+      obligations_cancelled: countObligations('cancel')
+    }
+  };
+}
+
+/**
+ * Recalcular las penalizaciones de un ciudadano repitiendo su historial de citaciones
+ * Por defecto es una simulación que devuelve el diff sin escribir nada
+ * @param {number} citizenId - ID del ciudadano
+ * @param {Object} options - dryRun: false para aplicar los cambios
+ * @param {Object} audit - Actor de la petición (getAuditContext)
+ * @returns {Promise<Object>} Diff del recálculo
+ */
+export async function recalculateCitizenPenaltiesDB(citizenId, { dryRun = true } = {}, audit = {}) {
+  if (dryRun) {
+    return replayCitationHistory(getRepositories(), citizenId, audit, { dryRun: true });
+  }
+  return withTransaction((repositories) => replayCitationHistory(repositories, citizenId, audit, { dryRun: false }));
 }
 
 /**
@@ -303,37 +653,7 @@ export async function deleteCitationDB(citationId) {
  * @returns {Promise<Object>} Estadísticas generales
  */
 export async function getCitationsStatsDB() {
-  const generalStatsQuery = `
-    SELECT 
-      COUNT(*) as total_citations,
-      COUNT(DISTINCT citizen_id) as total_citizens_with_citations,
-      SUM(fine_amount) as total_fines_amount,
-      AVG(fine_amount) as average_fine_amount,
-      MIN(fine_amount) as min_fine_amount,
-      MAX(fine_amount) as max_fine_amount
-    FROM citations
-  `;
-  
-  const [generalStats] = await connection.query(generalStatsQuery);
-  
-  // Estadísticas por mes
-  const monthlyStatsQuery = `
-    SELECT 
-      DATE_FORMAT(date, '%Y-%m') as month,
-      COUNT(*) as citations_count,
-      SUM(fine_amount) as month_fines_total
-    FROM citations
-    WHERE date >= DATE_SUB(NOW(), INTERVAL 12 MONTH)
-    GROUP BY DATE_FORMAT(date, '%Y-%m')
-    ORDER BY month DESC
-  `;
-  
-  const [monthlyStats] = await connection.query(monthlyStatsQuery);
-  
-  return {
-    general: generalStats[0],
-    by_month: monthlyStats
-  };
+  return getRepositories().citations.getStats();
 }
 
 /**
@@ -341,61 +661,13 @@ export async function getCitationsStatsDB() {
  * @param {Object} searchCriteria - Criterios de búsqueda
  * @param {string} searchCriteria.term - Término de búsqueda general
  * @param {string} searchCriteria.citizen_name - Nombre del ciudadano
+ * @param {boolean} searchCriteria.include_deleted - Incluir las eliminadas
  * @param {number} searchCriteria.limit - Límite de resultados
  * @param {number} searchCriteria.offset - Offset para paginación
  * @returns {Promise<Array>} Lista de citaciones que coinciden
  */
 export async function searchCitationsDB(searchCriteria) {
-  let query = `
-    SELECT 
-      ct.id, 
-      ct.citizen_id, 
-      ct.date, 
-      ct.description, 
-      ct.fine_amount,
-      c.full_name as citizen_name,
-      c.last_name as citizen_last_name,
-      c.qr_code as citizen_qr_code
-    FROM citations ct
-    INNER JOIN citizens c ON ct.citizen_id = c.id
-    WHERE 1=1
-  `;
-  
-  const params = [];
-  
-  // Búsqueda general
-  if (searchCriteria.term) {
-    query += ` AND (
-      ct.description LIKE ? OR 
-      c.full_name LIKE ? OR 
-      c.last_name LIKE ?
-    )`;
-    const termPattern = `%${searchCriteria.term}%`;
-    params.push(termPattern, termPattern, termPattern);
-  }
-  
-  // Filtro por nombre de ciudadano
-  if (searchCriteria.citizen_name) {
-    query += " AND (c.full_name LIKE ? OR c.last_name LIKE ?)";
-    const namePattern = `%${searchCriteria.citizen_name}%`;
-    params.push(namePattern, namePattern);
-  }
-  
-  query += " ORDER BY ct.date DESC";
-  
-  // Aplicar paginación
-  if (searchCriteria.limit) {
-    query += " LIMIT ?";
-    params.push(parseInt(searchCriteria.limit));
-    
-    if (searchCriteria.offset) {
-      query += " OFFSET ?";
-      params.push(parseInt(searchCriteria.offset));
-    }
-  }
-  
-  const [rows] = await connection.query(query, params);
-  return rows;
+  return getRepositories().citations.search(searchCriteria);
 }
 
 /**
@@ -404,57 +676,49 @@ export async function searchCitationsDB(searchCriteria) {
  * @returns {Promise<Array>} Lista de ciudadanos con más citaciones
  */
 export async function getTopOffendersDB(limit = 10) {
-  const query = `
-    SELECT 
-      c.id,
-      c.full_name,
-      c.last_name,
-      c.qr_code,
-      COUNT(ct.id) as total_citations,
-      SUM(ct.fine_amount) as total_fines,
-      MAX(ct.date) as last_citation_date
-    FROM citizens c
-    INNER JOIN citations ct ON c.id = ct.citizen_id
-    GROUP BY c.id, c.full_name, c.last_name, c.qr_code
-    ORDER BY total_citations DESC, total_fines DESC
-    LIMIT ?
-  `;
-  
-  const [rows] = await connection.query(query, [limit]);
-  return rows;
+  return getRepositories().citations.getTopOffenders(limit);
 }
 
 /**
- * Verificar si un ciudadano existe
+ * Verificar si un ciudadano existe (y no está eliminado, salvo con include_deleted)
  * @param {number} citizenId - ID del ciudadano a verificar
+ * @param {Object} options - include_deleted: aceptar ciudadanos eliminados
  * @returns {Promise<boolean>} True si existe, false si no
  */
-export async function checkCitizenExistsDB(citizenId) {
-  const [rows] = await connection.query(
-    "SELECT id FROM citizens WHERE id = ?",
-    [citizenId]
-  );
-  return rows.length > 0;
+export async function checkCitizenExistsDB(citizenId, options = {}) {
+  return getRepositories().citizens.exists(citizenId, options);
 }
 
 /**
  * Obtener resumen de penalizaciones para un ciudadano
+ * La próxima penalización se calcula con el régimen vigente hoy (y su periodo de cómputo)
  * @param {number} citizenId - ID del ciudadano
- * @returns {Promise<Object>} Resumen de penalizaciones
+ * @returns {Promise<Object>} Resumen de penalizaciones y régimen aplicado
  */
 export async function getCitizenPenaltySummaryDB(citizenId) {
-  const citationsCount = await countCitationsByCitizenDB(citizenId);
-  const nextPenalty = calculatePenalty(citationsCount);
+  const date = new Date();
+  const citizen = await getRepositories().citizens.findById(citizenId);
+  const ruleSet = await resolvePenaltyRuleSetDB(citizen ? citizen.residence_planet : null, date);
+
+  const citations = await getRepositories().citations.findByCitizenId(citizenId);
+  const nextPenalty = assessPenalty(citations, date, ruleSet);
   
   // Obtener multas totales
-  const [fineStats] = await connection.query(
-    "SELECT SUM(fine_amount) as total_fines FROM citations WHERE citizen_id = ?",
-    [citizenId]
-  );
+  const totalFines = await getRepositories().citations.sumFinesByCitizen(citizenId);
   
   return {
-    total_citations: citationsCount,
-    total_fines: fineStats[0].total_fines || 0,
-    next_penalty: nextPenalty
+    total_citations: citations.length,
+    counted_citations: nextPenalty.counted_citations.length,
+    total_fines: totalFines,
+    next_penalty: nextPenalty,
+    rule_set: {
+      id: ruleSet.id,
+      planet_id: ruleSet.planet_id,
+      version: ruleSet.version,
+      name: ruleSet.name,
+      lookback_years: ruleSet.lookback_years ?? null,
+      effective_from: ruleSet.effective_from,
+      effective_to: ruleSet.effective_to
+    }
   };
-}
\ No newline at end of file
+}
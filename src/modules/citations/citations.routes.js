@@ -6,19 +6,24 @@ import {
   createCitation,
   updateCitation,
   deleteCitation,
+  restoreCitation,
   getCitationsCount,
   getCitationsStats,
   searchCitations,
   getTopOffenders,
-  getCitizenPenaltySummary
+  getCitizenPenaltySummary,
+  recalculateCitizenPenalties
 } from "./citations.controller.js";
 
 // Importar middleware de autenticación y autorización
-import { authenticateToken, authorizeRole } from "../../middlewares/auth.middleware.js";
+import { authenticateToken, authorize, authorizeIncludeDeleted } from "../../middlewares/auth.middleware.js";
 
 // Importar middleware de validación
 import { handleValidationErrors, sanitizeInput } from "../../middlewares/validation.middleware.js";
 
+// Importar middleware de concurrencia optimista (ETag / If-Match)
+import { requireIfMatch } from "../../middlewares/concurrency.middleware.js";
+
 // Importar validaciones específicas del módulo citations
 import {
   createCitationValidation,
@@ -26,9 +31,12 @@ import {
   getCitationsByCitizenValidation,
   getCitationByIdValidation,
   deleteCitationValidation,
+  restoreCitationValidation,
   searchCitationsValidation,
+  searchCitationsByOfficerValidation,
   getAllCitationsValidation,
-  getCitizenPenaltySummaryValidation
+  getCitizenPenaltySummaryValidation,
+  recalculatePenaltiesValidation
 } from "./citations.validation.js";
 
 const router = express.Router({ mergeParams: true }); // mergeParams para acceder a :citizenId
@@ -38,7 +46,9 @@ const router = express.Router({ mergeParams: true }); // mergeParams para accede
  * - Ver citaciones: Todos los roles autenticados
  * - Crear citaciones: Admin, PoliceOfficer
  * - Actualizar citaciones: Solo Admin
- * - Eliminar citaciones: Solo Admin
+ * - Eliminar citaciones: Solo Admin (borrado lógico)
+ * - Ver eliminadas (include_deleted=true) y restaurar: Solo Admin
+ * - Recalcular penalizaciones: Solo Admin (quien puede actualizar citaciones)
  */
 
 /**
@@ -51,7 +61,8 @@ const router = express.Router({ mergeParams: true }); // mergeParams para accede
 router.get(
   "/",
   authenticateToken,
-  authorizeRole(['Admin', 'Commander', 'General', 'CourtClerk', 'PoliceOfficer']),
+  authorize('citations:read'),
+  authorizeIncludeDeleted('citations:restore'),
   getCitationsByCitizenValidation,
   handleValidationErrors,
   getCitationsByCitizen
@@ -62,7 +73,8 @@ router.get(
 router.get(
   "/count",
   authenticateToken,
-  authorizeRole(['Admin', 'Commander', 'General', 'CourtClerk', 'PoliceOfficer']),
+  authorize('citations:read'),
+  authorizeIncludeDeleted('citations:restore'),
   getCitationsByCitizenValidation,
   handleValidationErrors,
   getCitationsCount
@@ -73,7 +85,7 @@ router.get(
 router.get(
   "/penalty-summary",
   authenticateToken,
-  authorizeRole(['Admin', 'Commander', 'General', 'CourtClerk', 'PoliceOfficer']),
+  authorize('citations:read'),
   getCitizenPenaltySummaryValidation,
   handleValidationErrors,
   getCitizenPenaltySummary
@@ -84,7 +96,8 @@ router.get(
 router.get(
   "/:citationId",
   authenticateToken,
-  authorizeRole(['Admin', 'Commander', 'General', 'CourtClerk', 'PoliceOfficer']),
+  authorize('citations:read'),
+  authorizeIncludeDeleted('citations:restore'),
   getCitationByIdValidation,
   handleValidationErrors,
   getCitationById
@@ -95,19 +108,30 @@ router.get(
 router.post(
   "/",
   authenticateToken,
-  authorizeRole(['Admin', 'PoliceOfficer']),
+  authorize('citations:create'),
   sanitizeInput, // Limpiar datos de entrada
   createCitationValidation, // Validar datos de la citación
   handleValidationErrors, // Manejar errores de validación
   createCitation // Controlador de creación con lógica de penalización
 );
 
+// POST /api/citizens/:citizenId/citations/recalculate - Recalcular penalizaciones (dry_run por defecto)
+router.post(
+  "/recalculate",
+  authenticateToken,
+  authorize('citations:update'),
+  recalculatePenaltiesValidation,
+  handleValidationErrors,
+  recalculateCitizenPenalties
+);
+
 // PUT /api/citizens/:citizenId/citations/:citationId - Actualizar citación
 // (solo Admin puede actualizar citaciones)
 router.put(
   "/:citationId",
   authenticateToken,
-  authorizeRole(['Admin']),
+  authorize('citations:update'),
+  requireIfMatch, // Versión leída por el cliente (ETag)
   sanitizeInput,
   updateCitationValidation,
   handleValidationErrors,
@@ -119,12 +143,24 @@ router.put(
 router.delete(
   "/:citationId",
   authenticateToken,
-  authorizeRole(['Admin']),
+  authorize('citations:delete'),
+  requireIfMatch,
   deleteCitationValidation,
   handleValidationErrors,
   deleteCitation
 );
 
+// POST /api/citizens/:citizenId/citations/:citationId/restore - Restaurar citación eliminada
+// (solo Admin puede restaurar)
+router.post(
+  "/:citationId/restore",
+  authenticateToken,
+  authorize('citations:restore'),
+  restoreCitationValidation,
+  handleValidationErrors,
+  restoreCitation
+);
+
 /**
  * Rutas adicionales para búsqueda y estadísticas de citaciones
  * Estas rutas NO requieren citizenId ya que buscan en todos los registros
@@ -136,7 +172,10 @@ const citationsSearchRouter = express.Router();
 citationsSearchRouter.get(
   "/search",
   authenticateToken,
-  authorizeRole(['Admin', 'Commander', 'General', 'CourtClerk', 'PoliceOfficer']),
+  authorize('citations:read'),
+  authorizeIncludeDeleted('citations:restore'),
+  searchCitationsByOfficerValidation,
+  handleValidationErrors,
   searchCitations
 );
 
@@ -145,7 +184,8 @@ citationsSearchRouter.get(
 citationsSearchRouter.get(
   "/all",
   authenticateToken,
-  authorizeRole(['Admin', 'Commander', 'General']),
+  authorize('citations:reports'),
+  authorizeIncludeDeleted('citations:restore'),
   getAllCitations
 );
 
@@ -154,7 +194,7 @@ citationsSearchRouter.get(
 citationsSearchRouter.get(
   "/stats",
   authenticateToken,
-  authorizeRole(['Admin', 'Commander', 'General']),
+  authorize('citations:reports'),
   getCitationsStats
 );
 
@@ -163,7 +203,7 @@ citationsSearchRouter.get(
 citationsSearchRouter.get(
   "/top-offenders",
   authenticateToken,
-  authorizeRole(['Admin', 'Commander', 'General']),
+  authorize('citations:reports'),
   getTopOffenders
 );
 
@@ -1,4 +1,4 @@
-import { body, param } from 'express-validator';
+import { body, param, query } from 'express-validator';
 import { checkCitizenExistsDB } from './citations.model.js';
 
 /**
@@ -147,8 +147,9 @@ export const getCitationsByCitizenValidation = [
   param('citizenId')
     .isInt({ min: 1 })
     .withMessage('El ID del ciudadano debe ser un número entero positivo')
-    .custom(async (value) => {
-      const exists = await checkCitizenExistsDB(value);
+    .custom(async (value, { req }) => {
+      // Con include_deleted (autorizado antes en la ruta) se aceptan ciudadanos eliminados
+      const exists = await checkCitizenExistsDB(value, { include_deleted: req.query.include_deleted === 'true' });
       if (!exists) {
         throw new Error('El ciudadano especificado no existe');
       }
@@ -301,4 +302,42 @@ export const getCitizenPenaltySummaryValidation = [
       return true;
     })
     .toInt()
-];
\ No newline at end of file
+];
+
+/**
+ * Validación para recalcular las penalizaciones de un ciudadano
+ */
+export const recalculatePenaltiesValidation = [
+  ...getCitizenPenaltySummaryValidation,
+
+  body('dry_run')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('dry_run debe ser true o false')
+];
+
+/**
+ * Validación de los filtros por usuario en la búsqueda de citaciones (GET .../search)
+ */
+export const searchCitationsByOfficerValidation = [
+  query(['issued_by', 'updated_by'])
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('El ID del usuario debe ser un número entero positivo')
+];
+
+/**
+ * Validación para restaurar citación
+ */
+export const restoreCitationValidation = [
+  param('citationId')
+    .isInt({ min: 1 })
+    .withMessage('El ID de la citación debe ser un número entero positivo')
+    .toInt(),
+
+  param('citizenId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('El ID del ciudadano debe ser un número entero positivo')
+    .toInt()
+];
@@ -4,12 +4,15 @@ import {
   createCitizenDB,
   updateCitizenDB,
   deleteCitizenDB,
+  restoreCitizenDB,
   getStatusesDB,
   getPlanetsDB,
   searchCitizensDB,
   getCitizenStatsDB
 } from "./citizens.model.js";
 import { deleteUploadedFile } from "../../middlewares/upload.middleware.js";
+import { getAuditContext } from "../audit/auditContext.js";
+import { setETag, sendPreconditionFailed } from "../../middlewares/concurrency.middleware.js";
 
 /**
  * Controlador para la gestión de ciudadanos
@@ -38,6 +41,20 @@ function formatDateOnly(date) {
   return `${year}-${month}-${day}`;
 }
 
+/**
+ * Responder 412 con la versión actual del ciudadano
+ * @param {Response} res - Objeto de respuesta
+ * @param {number} id - ID del ciudadano
+ * @param {string} message - Mensaje del error de versión
+ */
+async function sendStaleCitizen(res, id, message) {
+  const citizen = await getCitizenByIdDB(id);
+  return sendPreconditionFailed(res, message, citizen && {
+    ...citizen,
+    birth_date: formatDateOnly(citizen.birth_date)
+  });
+}
+
 /**
  * Obtener todos los ciudadanos
  * @param {Request} req - Objeto de solicitud
@@ -45,7 +62,7 @@ function formatDateOnly(date) {
  */
 export async function getAll(req, res) {
   try {
-    const citizens = await getCitizensDB();
+    const citizens = await getCitizensDB({ include_deleted: req.query.include_deleted === 'true' });
     
     // Formatear las fechas de nacimiento para evitar problemas de zona horaria
     const formattedCitizens = citizens.map(citizen => ({
@@ -77,7 +94,7 @@ export async function getAll(req, res) {
 export async function getOne(req, res) {
   try {
     const { id } = req.params;
-    const citizen = await getCitizenByIdDB(id);
+    const citizen = await getCitizenByIdDB(id, { include_deleted: req.query.include_deleted === 'true' });
     
     if (!citizen) {
       return res.status(404).json({
@@ -86,6 +103,7 @@ export async function getOne(req, res) {
       });
     }
     
+    setETag(res, citizen);
     res.status(200).json({
       status: "success",
       message: "Ciudadano obtenido correctamente",
@@ -123,7 +141,7 @@ export async function create(req, res) {
     }
     
     // Los datos ya vienen validados por el middleware de validación
-    const result = await createCitizenDB(citizenData);
+    const result = await createCitizenDB(citizenData, getAuditContext(req));
     
     // Obtener el ciudadano recién creado para devolver los datos completos
     const newCitizen = await getCitizenByIdDB(result.insertId);
@@ -186,7 +204,7 @@ export async function update(req, res) {
     }
     
     // Los datos ya vienen validados por el middleware de validación
-    const result = await updateCitizenDB(id, updateData);
+    const result = await updateCitizenDB(id, updateData, getAuditContext(req), req.ifMatch);
     
     if (result.affectedRows === 0) {
       return res.status(404).json({
@@ -198,6 +216,7 @@ export async function update(req, res) {
     // Obtener los datos actualizados
     const updatedCitizen = await getCitizenByIdDB(id);
     
+    setETag(res, updatedCitizen);
     res.status(200).json({
       status: "success",
       message: "Ciudadano actualizado exitosamente",
@@ -213,10 +232,16 @@ export async function update(req, res) {
         residence_planet_name: updatedCitizen.residence_planet_name,
         avatar_url: updatedCitizen.avatar_url,
         qr_code: updatedCitizen.qr_code,
-        status: updatedCitizen.status_name
+        status: updatedCitizen.status_name,
+        version: updatedCitizen.version
       }
     });
   } catch (error) {
+    // Otra petición modificó el ciudadano desde que el cliente lo leyó
+    if (error.message.includes('modificado por otra petición')) {
+      return sendStaleCitizen(res, req.params.id, error.message);
+    }
+
     console.error('Error al actualizar ciudadano:', error);
     res.status(500).json({
       status: "error",
@@ -227,7 +252,8 @@ export async function update(req, res) {
 }
 
 /**
- * Eliminar un ciudadano
+ * Eliminar (lógicamente) un ciudadano junto con sus antecedentes y citaciones
+ * El avatar se conserva para poder restaurarlo; se borra al purgar
  * @param {Request} req - Objeto de solicitud
  * @param {Response} res - Objeto de respuesta
  */
@@ -244,8 +270,8 @@ export async function deleteOne(req, res) {
       });
     }
     
-    // Eliminar el ciudadano de la base de datos
-    const result = await deleteCitizenDB(id);
+    // Marcar como eliminado el ciudadano y sus antecedentes y citaciones
+    const result = await deleteCitizenDB(id, getAuditContext(req), req.ifMatch);
     
     if (result.affectedRows === 0) {
       return res.status(404).json({
@@ -254,26 +280,23 @@ export async function deleteOne(req, res) {
       });
     }
     
-    // Opcionalmente, eliminar la imagen de avatar si no es la imagen por defecto
-    if (existingCitizen.avatar_url && !existingCitizen.avatar_url.includes('default.png')) {
-      try {
-        const imagePath = `public${existingCitizen.avatar_url}`;
-        await deleteUploadedFile(imagePath);
-      } catch (deleteError) {
-        console.error('Error al eliminar imagen de avatar:', deleteError);
-        // No fallar la operación si no se puede eliminar la imagen
-      }
-    }
-    
     res.status(200).json({
       status: "success",
       message: "Ciudadano eliminado exitosamente",
       data: {
         id: parseInt(id),
-        deleted: true
+        deleted: true,
+        deleted_at: result.deleted_at,
+        records_deleted: result.records_deleted,
+        citations_deleted: result.citations_deleted
       }
     });
   } catch (error) {
+    // Otra petición modificó el ciudadano desde que el cliente lo leyó
+    if (error.message.includes('modificado por otra petición')) {
+      return sendStaleCitizen(res, req.params.id, error.message);
+    }
+
     console.error('Error al eliminar ciudadano:', error);
     res.status(500).json({
       status: "error",
@@ -283,6 +306,51 @@ export async function deleteOne(req, res) {
   }
 }
 
+/**
+ * Restaurar un ciudadano eliminado junto con los antecedentes y citaciones eliminados con él
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function restore(req, res) {
+  try {
+    const { id } = req.params;
+    const result = await restoreCitizenDB(id, getAuditContext(req));
+    const citizen = await getCitizenByIdDB(id);
+
+    res.status(200).json({
+      status: "success",
+      message: "Ciudadano restaurado exitosamente",
+      data: {
+        ...citizen,
+        birth_date: formatDateOnly(citizen.birth_date),
+        records_restored: result.records_restored,
+        citations_restored: result.citations_restored
+      }
+    });
+  } catch (error) {
+    if (error.message.includes('no encontrado')) {
+      return res.status(404).json({
+        status: "error",
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('no está eliminado')) {
+      return res.status(409).json({
+        status: "error",
+        message: error.message
+      });
+    }
+
+    console.error('Error al restaurar ciudadano:', error);
+    res.status(500).json({
+      status: "error",
+      message: "Error interno del servidor al restaurar el ciudadano",
+      error: error.message
+    });
+  }
+}
+
 /**
  * Obtener todos los planetas disponibles
  * @param {Request} req - Objeto de solicitud
@@ -352,6 +420,7 @@ export async function searchCitizens(req, res) {
     const searchResults = await searchCitizensDB({
       term,
       status_id: status_id ? parseInt(status_id) : null,
+      include_deleted: req.query.include_deleted === 'true',
       limit: parseInt(limit),
       offset: parseInt(offset)
     });
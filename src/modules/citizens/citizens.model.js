@@ -1,77 +1,40 @@
-import connection from "../../config/Database.js";
+import { getRepositories, withTransaction } from "../../repositories/index.js";
+import { assertVersion } from "../../repositories/versioning.js";
+import { recordAudit, softDeletion } from "../audit/audit.model.js";
 
 /**
  * Modelo de datos para la gestión de ciudadanos
  * Tabla citizens: id, full_name, last_name, nick_name, birth_date, 
- * origin_planet, residence_planet, avatar_url, qr_code, status_id
+ * origin_planet, residence_planet, avatar_url, qr_code, status_id, deleted_at, deleted_by
  * Tabla statuses: id, status_name, description
  * Tabla planets: id, planet_name
  * Relaciones: citizens.origin_planet -> planets.id, citizens.residence_planet -> planets.id
+ *
+ * El acceso a datos se delega en el repositorio de ciudadanos (MySQL o memoria)
+ * Las escrituras se registran en audit_log dentro de la misma transacción
+ *
+ * El borrado es lógico: el ciudadano y sus antecedentes y citaciones activos reciben
+ * la misma deleted_at, dejan de aparecer en las consultas y pueden restaurarse
+ * juntos hasta que se purgan (ver src/database/purge.js)
  */
 
 /**
  * Obtener todos los ciudadanos con información de estado
+ * @param {Object} options - include_deleted: incluir los eliminados
  * @returns {Promise<Array>} Lista de ciudadanos con estados
  */
-export async function getCitizensDB() {
-  const query = `
-    SELECT 
-      c.id, 
-      c.full_name, 
-      c.last_name,
-      c.nick_name, 
-      c.birth_date, 
-      c.origin_planet, 
-      c.residence_planet, 
-      c.avatar_url, 
-      c.qr_code, 
-      c.status_id,
-      s.status_name,
-      s.description as status_description,
-      po.planet_name as origin_planet_name,
-      pr.planet_name as residence_planet_name
-    FROM citizens c
-    INNER JOIN statuses s ON c.status_id = s.id
-    INNER JOIN planets po ON c.origin_planet = po.id
-    INNER JOIN planets pr ON c.residence_planet = pr.id
-    ORDER BY c.id
-  `;
-  
-  const [rows] = await connection.query(query);
-  return rows;
+export async function getCitizensDB(options = {}) {
+  return getRepositories().citizens.findAll(options);
 }
 
 /**
  * Obtener ciudadano por ID con información de estado
  * @param {number} id - ID del ciudadano
+ * @param {Object} options - include_deleted: incluir los eliminados
  * @returns {Promise<Object|null>} Ciudadano encontrado o null
  */
-export async function getCitizenByIdDB(id) {
-  const query = `
-    SELECT 
-      c.id, 
-      c.full_name, 
-      c.last_name,
-      c.nick_name, 
-      c.birth_date, 
-      c.origin_planet, 
-      c.residence_planet, 
-      c.avatar_url, 
-      c.qr_code, 
-      c.status_id,
-      s.status_name,
-      s.description as status_description,
-      po.planet_name as origin_planet_name,
-      pr.planet_name as residence_planet_name
-    FROM citizens c
-    INNER JOIN statuses s ON c.status_id = s.id
-    INNER JOIN planets po ON c.origin_planet = po.id
-    INNER JOIN planets pr ON c.residence_planet = pr.id
-    WHERE c.id = ?
-  `;
-  
-  const [rows] = await connection.query(query, [id]);
-  return rows[0] || null;
+export async function getCitizenByIdDB(id, options = {}) {
+  return getRepositories().citizens.findById(id, options);
 }
 
 /**
@@ -86,9 +49,10 @@ export async function getCitizenByIdDB(id) {
  * @param {string} citizenData.avatar_url - URL del avatar
  * @param {string} citizenData.qr_code - Código QR único
  * @param {number} citizenData.status_id - ID del estado
+ * @param {Object} audit - Actor de la petición (getAuditContext)
  * @returns {Promise<Object>} Resultado de la inserción
  */
-export async function createCitizenDB(citizenData) {
+export async function createCitizenDB(citizenData, audit = {}) {
   // Verificar si el nickname ya existe (si se proporciona)
   if (citizenData.nick_name) {
     const nicknameExists = await checkNicknameExistsDB(citizenData.nick_name);
@@ -132,17 +96,28 @@ export async function createCitizenDB(citizenData) {
     status_id: citizenData.status_id,
   };
 
-  const [result] = await connection.query("INSERT INTO citizens SET ?", [newCitizen]);
-  return result;
+  return withTransaction(async (repositories) => {
+    const result = await repositories.citizens.insert(newCitizen);
+    await recordAudit(repositories, audit, {
+      action: 'create',
+      entity: 'citizen',
+      entity_id: result.insertId,
+      before: null,
+      after: await repositories.citizens.findById(result.insertId)
+    });
+    return result;
+  });
 }
 
 /**
  * Actualizar datos de un ciudadano
  * @param {number} id - ID del ciudadano
  * @param {Object} citizenData - Datos a actualizar
+ * @param {Object} audit - Actor de la petición (getAuditContext)
+ * @param {number[]|null} [expectedVersions] - Versiones aceptadas (If-Match); null no las comprueba
  * @returns {Promise<Object>} Resultado de la actualización
  */
-export async function updateCitizenDB(id, citizenData) {
+export async function updateCitizenDB(id, citizenData, audit = {}, expectedVersions = null) {
   // Si se va a actualizar el nickname, verificar que no exista en otro ciudadano
   if (citizenData.nick_name) {
     const nicknameExists = await checkNicknameExistsForUpdateDB(citizenData.nick_name, id);
@@ -182,21 +157,130 @@ export async function updateCitizenDB(id, citizenData) {
     }
   }
 
-  const [result] = await connection.query(
-    "UPDATE citizens SET ? WHERE id = ?",
-    [citizenData, id]
-  );
-  return result;
+  return withTransaction(async (repositories) => {
+    await assertVersion(repositories.citizens, id, expectedVersions);
+    const before = await repositories.citizens.findById(id);
+    const result = await repositories.citizens.update(id, citizenData);
+    if (result.affectedRows > 0) {
+      await recordAudit(repositories, audit, {
+        action: 'update',
+        entity: 'citizen',
+        entity_id: id,
+        before,
+        after: await repositories.citizens.findById(id)
+      });
+    }
+    return result;
+  });
+}
+
+/**
+ * Eliminar (lógicamente) un ciudadano junto con sus antecedentes y citaciones activos
+ * @param {number} id - ID del ciudadano
+ * @param {Object} audit - Actor de la petición (getAuditContext)
+ * @param {number[]|null} [expectedVersions] - Versiones aceptadas (If-Match); null no las comprueba
+ * @returns {Promise<Object>} { affectedRows, deleted_at, records_deleted, citations_deleted }
+ */
+export async function deleteCitizenDB(id, audit = {}, expectedVersions = null) {
+  const deletion = softDeletion(audit);
+
+  return withTransaction(async (repositories) => {
+    await assertVersion(repositories.citizens, id, expectedVersions);
+    const before = await repositories.citizens.findById(id);
+    const records = await repositories.records.findByCitizenId(id);
+    const citations = await repositories.citations.findByCitizenId(id);
+
+    const result = await repositories.citizens.softDelete(id, deletion);
+    if (result.affectedRows === 0) {
+      return { affectedRows: 0 };
+    }
+
+    await repositories.records.softDeleteByCitizen(id, deletion);
+    await repositories.citations.softDeleteByCitizen(id, deletion);
+
+    await recordAudit(repositories, audit, { action: 'delete', entity: 'citizen', entity_id: id, before, after: null });
+    for (const record of records) {
+      await recordAudit(repositories, audit, {
+        action: 'delete',
+        entity: 'criminal_record',
+        entity_id: record.id,
+        before: record,
+        after: null
+      });
+    }
+    for (const citation of citations) {
+      await recordAudit(repositories, audit, {
+        action: 'delete',
+        entity: 'citation',
+        entity_id: citation.id,
+        before: citation,
+        after: null
+      });
+    }
+
+    return {
+      affectedRows: result.affectedRows,
+      deleted_at: deletion.deleted_at,
+      records_deleted: records.length,
+      citations_deleted: citations.length
+    };
+  });
 }
 
 /**
- * Eliminar un ciudadano (solo para administradores)
+ * Restaurar un ciudadano eliminado junto con los antecedentes y citaciones
+ * que se eliminaron con él (misma deleted_at)
  * @param {number} id - ID del ciudadano
- * @returns {Promise<Object>} Resultado de la eliminación
+ * @param {Object} audit - Actor de la petición (getAuditContext)
+ * @returns {Promise<Object>} { records_restored, citations_restored }
  */
-export async function deleteCitizenDB(id) {
-  const [result] = await connection.query("DELETE FROM citizens WHERE id = ?", [id]);
-  return result;
+export async function restoreCitizenDB(id, audit = {}) {
+  return withTransaction(async (repositories) => {
+    const citizen = await repositories.citizens.findById(id, { include_deleted: true });
+    if (!citizen) {
+      throw new Error("Ciudadano no encontrado");
+    }
+    if (!citizen.deleted_at) {
+      throw new Error("El ciudadano no está eliminado");
+    }
+
+    const deletedWithCitizen = (row) =>
+      row.deleted_at && new Date(row.deleted_at).getTime() === new Date(citizen.deleted_at).getTime();
+    const records = (await repositories.records.findByCitizenId(id, { include_deleted: true })).filter(deletedWithCitizen);
+    const citations = (await repositories.citations.findByCitizenId(id, { include_deleted: true })).filter(deletedWithCitizen);
+
+    await repositories.citizens.restore(id);
+    await repositories.records.restoreByCitizen(id, citizen.deleted_at);
+    await repositories.citations.restoreByCitizen(id, citizen.deleted_at);
+
+    await recordAudit(repositories, audit, {
+      action: 'restore',
+      entity: 'citizen',
+      entity_id: id,
+      before: null,
+      after: await repositories.citizens.findById(id)
+    });
+    for (const record of records) {
+      await recordAudit(repositories, audit, {
+        action: 'restore',
+        entity: 'criminal_record',
+        entity_id: record.id,
+        before: null,
+        after: await repositories.records.findById(record.id)
+      });
+    }
+    for (const citation of citations) {
+      await recordAudit(repositories, audit, {
+        action: 'restore',
+        entity: 'citation',
+        entity_id: citation.id,
+        before: null,
+        after: await repositories.citations.findById(citation.id)
+      });
+    }
+
+    return { records_restored: records.length, citations_restored: citations.length };
+  });
 }
 
 /**
@@ -204,8 +288,7 @@ export async function deleteCitizenDB(id) {
  * @returns {Promise<Array>} Lista de estados
  */
 export async function getStatusesDB() {
-  const [rows] = await connection.query("SELECT * FROM statuses ORDER BY id");
-  return rows;
+  return getRepositories().citizens.findAllStatuses();
 }
 
 /**
@@ -215,59 +298,11 @@ export async function getStatusesDB() {
  * @param {string} searchCriteria.nickname - Buscar por nickname
  * @param {string} searchCriteria.planet - Buscar por planeta
  * @param {number} searchCriteria.status_id - Filtrar por estado
+ * @param {boolean} searchCriteria.include_deleted - Incluir los eliminados
  * @returns {Promise<Array>} Lista de ciudadanos que coinciden
  */
 export async function searchCitizensDB(searchCriteria) {
-  let query = `
-    SELECT 
-      c.id, 
-      c.full_name, 
-      c.last_name,
-      c.nick_name, 
-      c.birth_date, 
-      c.origin_planet, 
-      c.residence_planet, 
-      c.avatar_url, 
-      c.qr_code, 
-      c.status_id,
-      s.status_name,
-      po.planet_name as origin_planet_name,
-      pr.planet_name as residence_planet_name
-    FROM citizens c
-    INNER JOIN statuses s ON c.status_id = s.id
-    INNER JOIN planets po ON c.origin_planet = po.id
-    INNER JOIN planets pr ON c.residence_planet = pr.id
-    WHERE 1=1
-  `;
-  
-  const params = [];
-  
-  if (searchCriteria.name) {
-    query += " AND (c.full_name LIKE ? OR c.last_name LIKE ?)";
-    const namePattern = `%${searchCriteria.name}%`;
-    params.push(namePattern, namePattern);
-  }
-  
-  if (searchCriteria.nickname) {
-    query += " AND c.nick_name LIKE ?";
-    params.push(`%${searchCriteria.nickname}%`);
-  }
-  
-  if (searchCriteria.planet) {
-    query += " AND (po.planet_name LIKE ? OR pr.planet_name LIKE ?)";
-    const planetPattern = `%${searchCriteria.planet}%`;
-    params.push(planetPattern, planetPattern);
-  }
-  
-  if (searchCriteria.status_id) {
-    query += " AND c.status_id = ?";
-    params.push(searchCriteria.status_id);
-  }
-  
-  query += " ORDER BY c.full_name";
-  
-  const [rows] = await connection.query(query, params);
-  return rows;
+  return getRepositories().citizens.search(searchCriteria);
 }
 
 /**
@@ -276,11 +311,7 @@ export async function searchCitizensDB(searchCriteria) {
  * @returns {Promise<boolean>} True si existe, false si no
  */
 export async function checkNicknameExistsDB(nickname) {
-  const [rows] = await connection.query(
-    "SELECT id FROM citizens WHERE nick_name = ?",
-    [nickname]
-  );
-  return rows.length > 0;
+  return getRepositories().citizens.nicknameExists(nickname);
 }
 
 /**
@@ -289,11 +320,7 @@ export async function checkNicknameExistsDB(nickname) {
  * @returns {Promise<boolean>} True si existe, false si no
  */
 export async function checkQrCodeExistsDB(qrCode) {
-  const [rows] = await connection.query(
-    "SELECT id FROM citizens WHERE qr_code = ?",
-    [qrCode]
-  );
-  return rows.length > 0;
+  return getRepositories().citizens.qrCodeExists(qrCode);
 }
 
 /**
@@ -302,11 +329,7 @@ export async function checkQrCodeExistsDB(qrCode) {
  * @returns {Promise<boolean>} True si existe, false si no
  */
 export async function checkStatusExistsDB(statusId) {
-  const [rows] = await connection.query(
-    "SELECT id FROM statuses WHERE id = ?",
-    [statusId]
-  );
-  return rows.length > 0;
+  return getRepositories().citizens.statusExists(statusId);
 }
 
 /**
@@ -316,11 +339,7 @@ export async function checkStatusExistsDB(statusId) {
  * @returns {Promise<boolean>} True si existe en otro ciudadano, false si no
  */
 export async function checkNicknameExistsForUpdateDB(nickname, excludeCitizenId) {
-  const [rows] = await connection.query(
-    "SELECT id FROM citizens WHERE nick_name = ? AND id != ?",
-    [nickname, excludeCitizenId]
-  );
-  return rows.length > 0;
+  return getRepositories().citizens.nicknameExists(nickname, excludeCitizenId);
 }
 
 /**
@@ -330,11 +349,7 @@ export async function checkNicknameExistsForUpdateDB(nickname, excludeCitizenId)
  * @returns {Promise<boolean>} True si existe en otro ciudadano, false si no
  */
 export async function checkQrCodeExistsForUpdateDB(qrCode, excludeCitizenId) {
-  const [rows] = await connection.query(
-    "SELECT id FROM citizens WHERE qr_code = ? AND id != ?",
-    [qrCode, excludeCitizenId]
-  );
-  return rows.length > 0;
+  return getRepositories().citizens.qrCodeExists(qrCode, excludeCitizenId);
 }
 
 /**
@@ -342,19 +357,7 @@ export async function checkQrCodeExistsForUpdateDB(qrCode, excludeCitizenId) {
  * @returns {Promise<Object>} Estadísticas generales
  */
 export async function getCitizenStatsDB() {
-  const query = `
-    SELECT 
-      COUNT(*) as total_citizens,
-      COUNT(CASE WHEN status_id = 1 THEN 1 END) as alive_citizens,
-      COUNT(CASE WHEN status_id = 0 THEN 1 END) as dead_citizens,
-      COUNT(CASE WHEN status_id = 2 THEN 1 END) as frozen_citizens,
-      COUNT(DISTINCT origin_planet) as total_origin_planets,
-      COUNT(DISTINCT residence_planet) as total_residence_planets
-    FROM citizens
-  `;
-  
-  const [rows] = await connection.query(query);
-  return rows[0];
+  return getRepositories().citizens.getStats();
 }
 
 /**
@@ -362,8 +365,7 @@ export async function getCitizenStatsDB() {
  * @returns {Promise<Array>} Lista de planetas
  */
 export async function getPlanetsDB() {
-  const [rows] = await connection.query("SELECT * FROM planets ORDER BY id");
-  return rows;
+  return getRepositories().citizens.findAllPlanets();
 }
 
 /**
@@ -372,9 +374,5 @@ export async function getPlanetsDB() {
  * @returns {Promise<boolean>} True si existe, false si no
  */
 export async function checkPlanetExistsDB(planetId) {
-  const [rows] = await connection.query(
-    "SELECT id FROM planets WHERE id = ?",
-    [planetId]
-  );
-  return rows.length > 0;
+  return getRepositories().citizens.planetExists(planetId);
 }
\ No newline at end of file
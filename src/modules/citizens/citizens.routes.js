@@ -5,6 +5,7 @@ import {
   create,
   update,
   deleteOne,
+  restore,
   getAllStatuses,
   getAllPlanets,
   searchCitizens,
@@ -12,11 +13,14 @@ import {
 } from "./citizens.controller.js";
 
 // Importar middleware de autenticación y autorización
-import { authenticateToken, authorizeRole } from "../../middlewares/auth.middleware.js";
+import { authenticateToken, authorize, authorizeIncludeDeleted } from "../../middlewares/auth.middleware.js";
 
 // Importar middleware de validación
 import { handleValidationErrors, sanitizeInput } from "../../middlewares/validation.middleware.js";
 
+// Importar middleware de concurrencia optimista (ETag / If-Match)
+import { requireIfMatch } from "../../middlewares/concurrency.middleware.js";
+
 // Importar middleware de subida de archivos
 import { uploadAvatarWithErrorHandling, optionalFileUpload } from "../../middlewares/upload.middleware.js";
 
@@ -25,7 +29,8 @@ import {
   createCitizenValidation,
   updateCitizenValidation,
   getCitizenByIdValidation,
-  deleteCitizenValidation
+  deleteCitizenValidation,
+  restoreCitizenValidation
 } from "./citizens.validation.js";
 
 const router = express.Router();
@@ -35,10 +40,12 @@ const router = express.Router();
  */
 
 // GET /api/citizens - Obtener todos los ciudadanos (todos los roles autenticados pueden ver)
+// ?include_deleted=true incluye los eliminados (solo Admin)
 router.get(
   "/",
   authenticateToken,
-  authorizeRole(['Admin', 'Commander', 'General', 'CourtClerk', 'PoliceOfficer']),
+  authorize('citizens:read'),
+  authorizeIncludeDeleted('citizens:restore'),
   getAll
 );
 
@@ -46,7 +53,8 @@ router.get(
 router.get(
   "/search",
   authenticateToken,
-  authorizeRole(['Admin', 'Commander', 'General', 'CourtClerk', 'PoliceOfficer']),
+  authorize('citizens:read'),
+  authorizeIncludeDeleted('citizens:restore'),
   searchCitizens
 );
 
@@ -54,7 +62,7 @@ router.get(
 router.get(
   "/stats",
   authenticateToken,
-  authorizeRole(['Admin', 'Commander', 'General']),
+  authorize('citizens:stats'),
   getStats
 );
 
@@ -62,7 +70,7 @@ router.get(
 router.get(
   "/planets",
   authenticateToken,
-  authorizeRole(['Admin', 'Commander', 'General', 'CourtClerk', 'PoliceOfficer']),
+  authorize('citizens:read'),
   getAllPlanets
 );
 
@@ -70,7 +78,7 @@ router.get(
 router.get(
   "/statuses",
   authenticateToken,
-  authorizeRole(['Admin', 'Commander', 'General', 'CourtClerk', 'PoliceOfficer']),
+  authorize('citizens:read'),
   getAllStatuses
 );
 
@@ -78,7 +86,8 @@ router.get(
 router.get(
   "/:id",
   authenticateToken,
-  authorizeRole(['Admin', 'Commander', 'General', 'CourtClerk', 'PoliceOfficer']),
+  authorize('citizens:read'),
+  authorizeIncludeDeleted('citizens:restore'),
   getCitizenByIdValidation,
   handleValidationErrors,
   getOne
@@ -89,7 +98,7 @@ router.get(
 router.post(
   "/",
   authenticateToken,
-  authorizeRole(['Admin', 'CourtClerk', 'PoliceOfficer']),
+  authorize('citizens:create'),
   uploadAvatarWithErrorHandling, // Manejo de subida de imagen
   optionalFileUpload, // Configurar URL del avatar
   sanitizeInput, // Limpiar datos de entrada
@@ -102,21 +111,33 @@ router.post(
 router.put(
   "/:id",
   authenticateToken,
-  authorizeRole(['Admin', 'CourtClerk']),
+  authorize('citizens:update'),
+  requireIfMatch, // Versión leída por el cliente (ETag)
   sanitizeInput,
   updateCitizenValidation,
   handleValidationErrors,
   update
 );
 
-// DELETE /api/citizens/:id - Eliminar ciudadano (solo Admin)
+// DELETE /api/citizens/:id - Eliminar (lógicamente) ciudadano (solo Admin)
 router.delete(
   "/:id",
   authenticateToken,
-  authorizeRole(['Admin']),
+  authorize('citizens:delete'),
+  requireIfMatch,
   deleteCitizenValidation,
   handleValidationErrors,
   deleteOne
 );
 
+// POST /api/citizens/:id/restore - Restaurar ciudadano eliminado (solo Admin)
+router.post(
+  "/:id/restore",
+  authenticateToken,
+  authorize('citizens:restore'),
+  restoreCitizenValidation,
+  handleValidationErrors,
+  restore
+);
+
 export default router;
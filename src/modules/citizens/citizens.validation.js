@@ -271,4 +271,13 @@ export const deleteCitizenValidation = [
   param('id')
     .isInt({ min: 1 }).withMessage('El ID del ciudadano debe ser un número entero positivo')
     .toInt()
-];
\ No newline at end of file
+];
+
+/**
+ * Validación para restaurar ciudadano
+ */
+export const restoreCitizenValidation = [
+  param('id')
+    .isInt({ min: 1 }).withMessage('El ID del ciudadano debe ser un número entero positivo')
+    .toInt()
+];
@@ -0,0 +1,148 @@
+import {
+  getObligationsByCitizenDB,
+  getObligationByIdDB,
+  logObligationProgressDB,
+  getOverdueObligationsDB
+} from "./obligations.model.js";
+import { getAuditContext } from "../audit/auditContext.js";
+
+/**
+ * Controlador de las obligaciones de las sanciones (curso y trabajo cívico)
+ * Consulta para todos los roles; registrar lo cumplido Admin y PoliceOfficer;
+ * informe de vencidas Admin y CourtClerk
+ */
+
+/**
+ * Obtener las obligaciones de un ciudadano
+ * Filtros por query: status, obligation_type
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function getObligationsByCitizen(req, res) {
+  try {
+    const { citizenId } = req.params;
+    const { obligations, summary } = await getObligationsByCitizenDB(citizenId, req.query);
+
+    res.status(200).json({
+      status: "success",
+      message: "Obligaciones obtenidas correctamente",
+      data: obligations,
+      total: obligations.length,
+      summary,
+      citizen_id: parseInt(citizenId)
+    });
+  } catch (error) {
+    console.error('Error al obtener obligaciones por ciudadano:', error);
+    res.status(500).json({
+      status: "error",
+      message: "Error interno del servidor al obtener obligaciones",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Obtener una obligación con el progreso registrado
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function getObligationById(req, res) {
+  try {
+    const { citizenId, obligationId } = req.params;
+    const obligation = await getObligationByIdDB(citizenId, obligationId);
+
+    if (!obligation) {
+      return res.status(404).json({
+        status: "error",
+        message: "Obligación no encontrada"
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Obligación obtenida correctamente",
+      data: obligation
+    });
+  } catch (error) {
+    console.error('Error al obtener obligación por ID:', error);
+    res.status(500).json({
+      status: "error",
+      message: "Error interno del servidor al obtener la obligación",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Registrar horas (curso) o días (trabajo cívico) cumplidos de una obligación
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function logObligationProgress(req, res) {
+  try {
+    const { citizenId, obligationId } = req.params;
+    const obligation = await logObligationProgressDB(citizenId, obligationId, req.body, getAuditContext(req));
+
+    res.status(201).json({
+      status: "success",
+      message: obligation.status === 'completed'
+        ? "Progreso registrado: la obligación está cumplida"
+        : "Progreso registrado correctamente",
+      data: obligation
+    });
+  } catch (error) {
+    if (error.message.includes('no encontrada')) {
+      return res.status(404).json({
+        status: "error",
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('supera lo pendiente')) {
+      return res.status(400).json({
+        status: "error",
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('cancelada') || error.message.includes('ya está cumplida')) {
+      return res.status(409).json({
+        status: "error",
+        message: error.message
+      });
+    }
+
+    console.error('Error al registrar progreso de la obligación:', error);
+    res.status(500).json({
+      status: "error",
+      message: "Error interno del servidor al registrar el progreso",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Informe global de obligaciones vencidas
+ * Filtros por query: obligation_type, citizen_id, limit, offset
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function getOverdueObligations(req, res) {
+  try {
+    const obligations = await getOverdueObligationsDB(req.query);
+
+    res.status(200).json({
+      status: "success",
+      message: "Obligaciones vencidas obtenidas correctamente",
+      data: obligations,
+      total: obligations.length
+    });
+  } catch (error) {
+    console.error('Error al obtener obligaciones vencidas:', error);
+    res.status(500).json({
+      status: "error",
+      message: "Error interno del servidor al obtener obligaciones vencidas",
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,266 @@
+import { getRepositories, withTransaction } from "../../repositories/index.js";
+import { recordAudit, actorUserId } from "../audit/audit.model.js";
+import { toRuleDate } from "../penaltyRules/penaltyRules.model.js";
+import { obligationsConfig } from "../../config/obligations.js";
+
+/**
+ * Modelo de datos de las obligaciones de las sanciones de las citaciones
+ * Tabla sentence_obligations: id, citation_id, obligation_type, required_amount,
+ * completed_amount, due_date, completed_at, cancelled_at, created_at, updated_at
+ * Tabla obligation_progress: id, obligation_id, amount, notes, logged_by, logged_at
+ * Relación: citations 1 <--> N sentence_obligations 1 <--> N obligation_progress
+ *
+ * Cada citación genera una obligación por componente de su penalización guardada:
+ * - civic_course: horas del curso de normas cívicas (civic_course_hours)
+ * - civic_work: días de trabajo cívico (civic_work_days)
+ * con un plazo en días desde la fecha de la citación (src/config/obligations.js).
+ * Al crear la citación y al recalcular el historial del ciudadano las obligaciones
+ * se crean, ajustan, cancelan o reabren según la penalización (planCitationObligations).
+ *
+ * Los agentes registran las horas o días cumplidos; al completar lo requerido se
+ * fija completed_at. Estado: cancelled, completed, overdue (plazo vencido) o pending.
+ * Las obligaciones de citaciones eliminadas no se muestran.
+ *
+ * Las escrituras se registran en audit_log dentro de la misma transacción
+ */
+
+// Tipos de obligación, con la columna de la penalización de la que salen y su unidad
+export const OBLIGATION_TYPES = Object.freeze({
+  civic_course: Object.freeze({ penalty_column: 'civic_course_hours', unit: 'hours' }),
+  civic_work: Object.freeze({ penalty_column: 'civic_work_days', unit: 'days' })
+});
+
+// Estados calculados de una obligación
+export const OBLIGATION_STATUSES = Object.freeze(['pending', 'overdue', 'completed', 'cancelled']);
+
+/**
+ * Plazo de una obligación: fecha de la citación + días configurados para su tipo
+ * @param {Date|string} citationDate - Fecha de la citación
+ * @param {string} type - Tipo de obligación
+ * @returns {string} Fecha límite 'YYYY-MM-DD'
+ */
+function dueDateFor(citationDate, type) {
+  const days = type === 'civic_course' ? obligationsConfig.civicCourseDueDays : obligationsConfig.civicWorkDueDays;
+  const due = new Date(citationDate);
+  due.setUTCDate(due.getUTCDate() + days);
+  return toRuleDate(due);
+}
+
+/**
+ * Añadir a una obligación su unidad, lo pendiente y su estado calculado
+ * @param {Object} obligation - Obligación del repositorio
+ * @param {string} [today] - Fecha de referencia 'YYYY-MM-DD' (hoy por defecto)
+ * @returns {Object} Obligación con unit, remaining_amount, status y days_overdue
+ */
+function describeObligation(obligation, today = toRuleDate()) {
+  let status = 'pending';
+  if (obligation.cancelled_at) status = 'cancelled';
+  else if (obligation.completed_at) status = 'completed';
+  else if (obligation.due_date < today) status = 'overdue';
+
+  const daysOverdue = status === 'overdue'
+    ? Math.round((new Date(`${today}T00:00:00Z`) - new Date(`${obligation.due_date}T00:00:00Z`)) / (24 * 60 * 60 * 1000))
+    : 0;
+
+  return {
+    ...obligation,
+    unit: OBLIGATION_TYPES[obligation.obligation_type].unit,
+    remaining_amount: Math.max(obligation.required_amount - obligation.completed_amount, 0),
+    status,
+    days_overdue: daysOverdue
+  };
+}
+
+/**
+ * Planificar las obligaciones de una citación según su penalización guardada
+ * Las citaciones sin penalización guardada (anteriores a la migración 0023) se omiten
+ * - create: la penalización incluye el componente y no hay obligación
+ * - update: cambia lo requerido o el plazo (se conserva lo cumplido)
+ * - reopen: la obligación estaba cancelada y la penalización vuelve a incluirla
+ * - cancel: la penalización ya no incluye el componente
+ * @param {Object} repositories - Repositorios (los de la transacción al aplicar)
+ * @param {Object} citation - Citación { id, date, citation_number, civic_course_hours, civic_work_days }
+ * @returns {Promise<Array>} Acciones { action, obligation_id, citation_id, obligation_type, changes }
+ */
+export async function planCitationObligations(repositories, citation) {
+  if (citation.citation_number === null || citation.citation_number === undefined) return [];
+
+  const existing = await repositories.obligations.findByCitationId(citation.id);
+  const actions = [];
+
+  for (const [type, { penalty_column }] of Object.entries(OBLIGATION_TYPES)) {
+    const required = Number(citation[penalty_column] || 0);
+    const current = existing.find(obligation => obligation.obligation_type === type);
+    const base = { obligation_id: current ? current.id : null, citation_id: citation.id, obligation_type: type };
+
+    if (required === 0) {
+      if (current && !current.cancelled_at) {
+        actions.push({ ...base, action: 'cancel', changes: { cancelled_at: new Date() } });
+      }
+      continue;
+    }
+
+    const dueDate = dueDateFor(citation.date, type);
+    if (!current) {
+      actions.push({ ...base, action: 'create', changes: { required_amount: required, due_date: dueDate } });
+      continue;
+    }
+
+    if (current.cancelled_at || current.required_amount !== required || current.due_date !== dueDate) {
+      const completed = current.completed_amount >= required;
+      actions.push({
+        ...base,
+        action: current.cancelled_at ? 'reopen' : 'update',
+        changes: {
+          required_amount: required,
+          due_date: dueDate,
+          cancelled_at: null,
+          completed_at: completed ? (current.completed_at || new Date()) : null
+        }
+      });
+    }
+  }
+
+  return actions;
+}
+
+/**
+ * Aplicar las acciones de planCitationObligations (cada una se audita)
+ * @param {Object} repositories - Repositorios de la transacción
+ * @param {Array} actions - Acciones planificadas
+ * @param {Object} audit - Actor de la petición (getAuditContext)
+ * @returns {Promise<Array>} Acciones con el ID de las obligaciones creadas
+ */
+export async function applyObligationActions(repositories, actions, audit = {}) {
+  for (const entry of actions) {
+    if (entry.action === 'create') {
+      const result = await repositories.obligations.insert({
+        citation_id: entry.citation_id,
+        obligation_type: entry.obligation_type,
+        ...entry.changes
+      });
+      entry.obligation_id = result.insertId;
+      await recordAudit(repositories, audit, {
+        action: 'create',
+        entity: 'obligation',
+        entity_id: result.insertId,
+        before: null,
+        after: await repositories.obligations.findById(result.insertId)
+      });
+      continue;
+    }
+
+    const before = await repositories.obligations.findById(entry.obligation_id);
+    await repositories.obligations.update(entry.obligation_id, entry.changes);
+    await recordAudit(repositories, audit, {
+      action: 'update',
+      entity: 'obligation',
+      entity_id: entry.obligation_id,
+      before,
+      after: await repositories.obligations.findById(entry.obligation_id)
+    });
+  }
+  return actions;
+}
+
+/**
+ * Obtener las obligaciones de un ciudadano con su estado
+ * @param {number} citizenId - ID del ciudadano
+ * @param {Object} filters - status: solo las de ese estado; obligation_type: solo las de ese tipo
+ * @returns {Promise<Object>} { obligations, summary } (summary: número de obligaciones por estado)
+ */
+export async function getObligationsByCitizenDB(citizenId, filters = {}) {
+  const all = (await getRepositories().obligations.findByCitizenId(citizenId)).map(obligation => describeObligation(obligation));
+
+  const summary = Object.fromEntries(OBLIGATION_STATUSES.map(status => [status, 0]));
+  for (const obligation of all) summary[obligation.status]++;
+
+  const obligations = all
+    .filter(obligation => !filters.status || obligation.status === filters.status)
+    .filter(obligation => !filters.obligation_type || obligation.obligation_type === filters.obligation_type);
+
+  return { obligations, summary };
+}
+
+/**
+ * Obtener una obligación de un ciudadano con el progreso registrado
+ * @param {number} citizenId - ID del ciudadano
+ * @param {number} obligationId - ID de la obligación
+ * @returns {Promise<Object|null>} Obligación con progress o null
+ */
+export async function getObligationByIdDB(citizenId, obligationId) {
+  const repositories = getRepositories();
+  const obligation = await repositories.obligations.findById(obligationId);
+  if (!obligation || Number(obligation.citizen_id) !== Number(citizenId)) {
+    return null;
+  }
+  return {
+    ...describeObligation(obligation),
+    progress: await repositories.obligations.findProgress(obligationId)
+  };
+}
+
+/**
+ * Registrar horas o días cumplidos de una obligación
+ * No se admite en obligaciones canceladas o completadas, ni por encima de lo pendiente.
+ * Se puede registrar con el plazo vencido (se cumple con retraso)
+ * @param {number} citizenId - ID del ciudadano
+ * @param {number} obligationId - ID de la obligación
+ * @param {Object} progressData - amount (horas o días según el tipo), notes
+ * @param {Object} audit - Actor de la petición (getAuditContext)
+ * @returns {Promise<Object>} Obligación actualizada con su progreso
+ */
+export async function logObligationProgressDB(citizenId, obligationId, progressData, audit = {}) {
+  await withTransaction(async (repositories) => {
+    await repositories.obligations.lock(obligationId);
+    const before = await repositories.obligations.findById(obligationId);
+    if (!before || Number(before.citizen_id) !== Number(citizenId)) {
+      throw new Error("Obligación no encontrada");
+    }
+    if (before.cancelled_at) {
+      throw new Error("La obligación está cancelada: la penalización de la citación ya no la incluye");
+    }
+    if (before.completed_at) {
+      throw new Error("La obligación ya está cumplida");
+    }
+
+    const remaining = before.required_amount - before.completed_amount;
+    if (progressData.amount > remaining) {
+      throw new Error(`La cantidad registrada supera lo pendiente (${remaining} ${OBLIGATION_TYPES[before.obligation_type].unit})`);
+    }
+
+    await repositories.obligations.insertProgress({
+      obligation_id: obligationId,
+      amount: progressData.amount,
+      notes: progressData.notes || null,
+      logged_by: actorUserId(audit),
+      logged_at: new Date()
+    });
+
+    const completedAmount = before.completed_amount + progressData.amount;
+    await repositories.obligations.update(obligationId, {
+      completed_amount: completedAmount,
+      completed_at: completedAmount >= before.required_amount ? new Date() : null
+    });
+    await recordAudit(repositories, audit, {
+      action: 'update',
+      entity: 'obligation',
+      entity_id: obligationId,
+      before,
+      after: await repositories.obligations.findById(obligationId)
+    });
+  });
+
+  return getObligationByIdDB(citizenId, obligationId);
+}
+
+/**
+ * Informe global de obligaciones vencidas (sin completar ni cancelar, plazo anterior a hoy)
+ * @param {Object} filters - obligation_type, citizen_id, limit, offset
+ * @returns {Promise<Array>} Obligaciones vencidas, la más antigua primero, con days_overdue
+ */
+export async function getOverdueObligationsDB(filters = {}) {
+  const today = toRuleDate();
+  const overdue = await getRepositories().obligations.findOverdue({ ...filters, date: today });
+  return overdue.map(obligation => describeObligation(obligation, today));
+}
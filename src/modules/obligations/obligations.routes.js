@@ -0,0 +1,87 @@
+import express from "express";
+import {
+  getObligationsByCitizen,
+  getObligationById,
+  logObligationProgress,
+  getOverdueObligations
+} from "./obligations.controller.js";
+
+// Importar middleware de autenticación y autorización
+import { authenticateToken, authorize } from "../../middlewares/auth.middleware.js";
+
+// Importar middleware de validación
+import { handleValidationErrors, sanitizeInput } from "../../middlewares/validation.middleware.js";
+
+// Importar validaciones específicas del módulo de obligaciones
+import {
+  getObligationsByCitizenValidation,
+  getObligationByIdValidation,
+  logObligationProgressValidation,
+  getOverdueObligationsValidation
+} from "./obligations.validation.js";
+
+const router = express.Router({ mergeParams: true }); // mergeParams para acceder a :citizenId
+
+/**
+ * Rutas para las obligaciones de las sanciones (curso y trabajo cívico):
+ * - Ver obligaciones: Todos los roles autenticados
+ * - Registrar horas o días cumplidos: Admin, PoliceOfficer
+ * - Informe global de vencidas: Admin, CourtClerk
+ * Las obligaciones se generan con las citaciones; no se crean ni eliminan a mano
+ */
+
+/**
+ * Rutas de las obligaciones de un ciudadano
+ * Base URL: /api/citizens/:citizenId/obligations
+ */
+
+// GET /api/citizens/:citizenId/obligations - Obligaciones del ciudadano (filtros: status, obligation_type)
+router.get(
+  "/",
+  authenticateToken,
+  authorize('obligations:read'),
+  getObligationsByCitizenValidation,
+  handleValidationErrors,
+  getObligationsByCitizen
+);
+
+// GET /api/citizens/:citizenId/obligations/:obligationId - Obligación con su progreso
+router.get(
+  "/:obligationId",
+  authenticateToken,
+  authorize('obligations:read'),
+  getObligationByIdValidation,
+  handleValidationErrors,
+  getObligationById
+);
+
+// POST /api/citizens/:citizenId/obligations/:obligationId/progress - Registrar lo cumplido
+router.post(
+  "/:obligationId/progress",
+  authenticateToken,
+  authorize('obligations:log'),
+  sanitizeInput,
+  logObligationProgressValidation,
+  handleValidationErrors,
+  logObligationProgress
+);
+
+/**
+ * Rutas globales de obligaciones (sin citizenId)
+ */
+
+// GET /api/obligations/overdue - Informe de obligaciones vencidas
+// (Admin, CourtClerk)
+const obligationsReportRouter = express.Router();
+obligationsReportRouter.get(
+  "/overdue",
+  authenticateToken,
+  authorize('obligations:reports'),
+  getOverdueObligationsValidation,
+  handleValidationErrors,
+  getOverdueObligations
+);
+
+// Exportar ambos routers
+export default router;
+export { obligationsReportRouter };
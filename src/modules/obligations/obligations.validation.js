@@ -0,0 +1,105 @@
+import { body, param, query } from 'express-validator';
+import { checkCitizenExistsDB } from '../citations/citations.model.js';
+import { OBLIGATION_TYPES, OBLIGATION_STATUSES } from './obligations.model.js';
+
+/**
+ * Validaciones para el módulo de obligaciones de las sanciones
+ * Basado en el esquema de las tablas sentence_obligations (obligation_type, required_amount,
+ * completed_amount, due_date) y obligation_progress (amount, notes)
+ */
+
+const citizenIdParam = param('citizenId')
+  .isInt({ min: 1 })
+  .withMessage('El ID del ciudadano debe ser un número entero positivo')
+  .custom(async (value) => {
+    const exists = await checkCitizenExistsDB(value);
+    if (!exists) {
+      throw new Error('El ciudadano especificado no existe');
+    }
+    return true;
+  })
+  .toInt();
+
+const obligationIdParam = param('obligationId')
+  .isInt({ min: 1 })
+  .withMessage('El ID de la obligación debe ser un número entero positivo')
+  .toInt();
+
+const obligationTypeQuery = query('obligation_type')
+  .optional()
+  .isIn(Object.keys(OBLIGATION_TYPES))
+  .withMessage(`El tipo de obligación debe ser uno de: ${Object.keys(OBLIGATION_TYPES).join(', ')}`);
+
+/**
+ * Validación para listar las obligaciones de un ciudadano
+ */
+export const getObligationsByCitizenValidation = [
+  citizenIdParam,
+
+  query('status')
+    .optional()
+    .isIn(OBLIGATION_STATUSES)
+    .withMessage(`El estado debe ser uno de: ${OBLIGATION_STATUSES.join(', ')}`),
+
+  obligationTypeQuery
+];
+
+/**
+ * Validación para consultar una obligación
+ */
+export const getObligationByIdValidation = [
+  param('citizenId')
+    .isInt({ min: 1 })
+    .withMessage('El ID del ciudadano debe ser un número entero positivo')
+    .toInt(),
+
+  obligationIdParam
+];
+
+/**
+ * Validación para registrar lo cumplido de una obligación
+ */
+export const logObligationProgressValidation = [
+  ...getObligationByIdValidation,
+
+  body('amount')
+    .exists()
+    .withMessage('La cantidad cumplida es obligatoria')
+    .bail()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('La cantidad cumplida debe ser un número entero de horas o días entre 1 y 1000')
+    .toInt(),
+
+  body('notes')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Las notas deben ser texto')
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Las notas no pueden superar los 255 caracteres')
+];
+
+/**
+ * Validación del informe de obligaciones vencidas
+ */
+export const getOverdueObligationsValidation = [
+  obligationTypeQuery,
+
+  query('citizen_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('El ID del ciudadano debe ser un número entero positivo')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('El límite debe ser un número entre 1 y 100')
+    .toInt(),
+
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('El offset debe ser un número mayor o igual a 0')
+    .toInt()
+];
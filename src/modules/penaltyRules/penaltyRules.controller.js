@@ -0,0 +1,180 @@
+import {
+  getPenaltyRuleSetsDB,
+  getPenaltyRuleSetByIdDB,
+  resolvePenaltyRuleSetDB,
+  createPenaltyRuleSetDB,
+  updatePenaltyRuleSetDB,
+  deletePenaltyRuleSetDB
+} from "./penaltyRules.model.js";
+import { getAuditContext } from "../audit/auditContext.js";
+
+/**
+ * Controlador de los regímenes de sanción de las citaciones
+ * Lectura para todos los roles; publicar, modificar y retirar versiones solo Admin
+ */
+
+/**
+ * Responder a los errores de negocio de los regímenes (o 500)
+ * @param {Response} res - Objeto de respuesta
+ * @param {Error} error - Error lanzado por el modelo
+ * @param {string} action - Acción para el mensaje de error interno
+ */
+function handlePenaltyRuleError(res, error, action) {
+  if (error.message.includes('no encontrado')) {
+    return res.status(404).json({
+      status: "error",
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('no existe') || error.message.includes('no puede ser anterior')) {
+    return res.status(400).json({
+      status: "error",
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('se solapa') || error.message.includes('ya entró en vigor')) {
+    return res.status(409).json({
+      status: "error",
+      message: error.message
+    });
+  }
+
+  console.error(`Error al ${action}:`, error);
+  res.status(500).json({
+    status: "error",
+    message: `Error interno del servidor al ${action}`,
+    error: error.message
+  });
+}
+
+/**
+ * Listar los regímenes de sanción
+ * Filtros por query: planet_id, date (vigentes en esa fecha)
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function getPenaltyRuleSets(req, res) {
+  try {
+    const ruleSets = await getPenaltyRuleSetsDB(req.query);
+
+    res.status(200).json({
+      status: "success",
+      message: "Regímenes de sanción obtenidos correctamente",
+      data: ruleSets,
+      total: ruleSets.length
+    });
+  } catch (error) {
+    handlePenaltyRuleError(res, error, "obtener los regímenes de sanción");
+  }
+}
+
+/**
+ * Obtener el régimen que se aplica a un planeta en una fecha (por defecto hoy)
+ * Si el planeta no tiene uno vigente se devuelve el general
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function getPenaltyRuleSetInForce(req, res) {
+  try {
+    const { planet_id: planetId, date } = req.query;
+    const ruleSet = await resolvePenaltyRuleSetDB(planetId || null, date || new Date());
+
+    res.status(200).json({
+      status: "success",
+      message: "Régimen de sanciones vigente obtenido correctamente",
+      data: ruleSet
+    });
+  } catch (error) {
+    handlePenaltyRuleError(res, error, "obtener el régimen de sanciones vigente");
+  }
+}
+
+/**
+ * Obtener un régimen de sanciones por ID
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function getPenaltyRuleSetById(req, res) {
+  try {
+    const ruleSet = await getPenaltyRuleSetByIdDB(req.params.id);
+    if (!ruleSet) {
+      return res.status(404).json({
+        status: "error",
+        message: "Régimen de sanciones no encontrado"
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Régimen de sanciones obtenido correctamente",
+      data: ruleSet
+    });
+  } catch (error) {
+    handlePenaltyRuleError(res, error, "obtener el régimen de sanciones");
+  }
+}
+
+/**
+ * Publicar una versión nueva del régimen de un planeta o del general (solo Admin)
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function createPenaltyRuleSet(req, res) {
+  try {
+    const result = await createPenaltyRuleSetDB(req.body, getAuditContext(req));
+    const ruleSet = await getPenaltyRuleSetByIdDB(result.insertId);
+
+    res.status(201).json({
+      status: "success",
+      message: `Versión ${result.version} del régimen de sanciones publicada correctamente`,
+      data: ruleSet,
+      superseded: result.superseded
+    });
+  } catch (error) {
+    handlePenaltyRuleError(res, error, "publicar el régimen de sanciones");
+  }
+}
+
+/**
+ * Modificar una versión del régimen (solo Admin)
+ * Las versiones en vigor solo admiten cambiar su fecha de fin
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function updatePenaltyRuleSet(req, res) {
+  try {
+    const ruleSet = await updatePenaltyRuleSetDB(req.params.id, req.body, getAuditContext(req));
+
+    res.status(200).json({
+      status: "success",
+      message: "Régimen de sanciones actualizado correctamente",
+      data: ruleSet
+    });
+  } catch (error) {
+    handlePenaltyRuleError(res, error, "actualizar el régimen de sanciones");
+  }
+}
+
+/**
+ * Retirar una versión del régimen que aún no ha entrado en vigor (solo Admin)
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function deletePenaltyRuleSet(req, res) {
+  try {
+    const result = await deletePenaltyRuleSetDB(req.params.id, getAuditContext(req));
+
+    res.status(200).json({
+      status: "success",
+      message: "Régimen de sanciones retirado correctamente",
+      data: {
+        id: req.params.id,
+        reopened: result.reopened
+      }
+    });
+  } catch (error) {
+    handlePenaltyRuleError(res, error, "retirar el régimen de sanciones");
+  }
+}
@@ -0,0 +1,336 @@
+import { getRepositories, withTransaction } from "../../repositories/index.js";
+import { recordAudit, actorUserId } from "../audit/audit.model.js";
+import { DEFAULT_PENALTY_RULES } from "../../config/penaltyRules.js";
+
+/**
+ * Modelo de datos de los regímenes de sanción de las citaciones
+ * Tabla penalty_rule_sets: id, planet_id (NULL: régimen general), version, name,
+ * tiers, escalation, lookback_years, effective_from, effective_to, created_by,
+ * created_at, updated_at
+ *
+ * Cada fila es una versión del régimen de un planeta (o del general) con su
+ * periodo de vigencia. Las versiones de un mismo ámbito no se solapan: publicar
+ * una versión nueva cierra la vigencia de la versión abierta anterior.
+ *
+ * Para no reescribir la historia, una versión que ya entró en vigor solo admite
+ * cambiar su fecha de fin (no anterior a hoy) y no puede eliminarse; las
+ * versiones futuras pueden corregirse o retirarse.
+ *
+ * Las escrituras se registran en audit_log dentro de la misma transacción
+ */
+
+// Campos de una versión que pueden modificarse
+const EDITABLE_FIELDS = ['name', 'tiers', 'escalation', 'lookback_years', 'effective_from', 'effective_to'];
+
+/**
+ * Fecha de vigencia ('YYYY-MM-DD', UTC como la fecha de los antecedentes automáticos)
+ * @param {Date|string} date - Fecha
+ * @returns {string} Fecha con formato 'YYYY-MM-DD'
+ */
+export function toRuleDate(date = new Date()) {
+  return new Date(date).toISOString().split('T')[0];
+}
+
+/**
+ * Día anterior a una fecha de vigencia
+ * @param {string} date - Fecha 'YYYY-MM-DD'
+ * @returns {string} Fecha 'YYYY-MM-DD' del día anterior
+ */
+function previousDay(date) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - 1);
+  return toRuleDate(day);
+}
+
+/**
+ * Dejar en las reglas solo los campos que usa calculatePenalty, con las tiers
+ * ordenadas por número de citación
+ * @param {Object} data - Campos recibidos (tiers y/o escalation)
+ * @returns {Object} Campos normalizados
+ */
+function normalizeRules(data) {
+  const rules = {};
+  if (data.tiers !== undefined) {
+    rules.tiers = data.tiers
+      .map(tier => ({
+        citation_number: tier.citation_number,
+        fine_amount: Number(tier.fine_amount),
+        civic_course_hours: tier.civic_course_hours,
+        civic_work_days: tier.civic_work_days,
+        jail_days: tier.jail_days,
+        creates_criminal_record: tier.creates_criminal_record,
+        ...(tier.description ? { description: tier.description } : {})
+      }))
+      .sort((a, b) => a.citation_number - b.citation_number);
+  }
+  if (data.escalation !== undefined) {
+    const { escalation } = data;
+    rules.escalation = {
+      fine_amount: Number(escalation.fine_amount),
+      civic_course_hours: escalation.civic_course_hours,
+      civic_work_days: escalation.civic_work_days,
+      base_jail_days: escalation.base_jail_days,
+      jail_days_per_citation: escalation.jail_days_per_citation,
+      creates_criminal_record: escalation.creates_criminal_record
+    };
+  }
+  return rules;
+}
+
+/**
+ * Obtener los regímenes de sanción
+ * @param {Object} filters - planet_id: de un planeta; date: vigentes en esa fecha
+ * @returns {Promise<Array>} Regímenes (el general primero, por planeta y versión)
+ */
+export async function getPenaltyRuleSetsDB(filters = {}) {
+  return getRepositories().penaltyRules.findAll({
+    ...filters,
+    date: filters.date ? toRuleDate(filters.date) : undefined
+  });
+}
+
+/**
+ * Obtener un régimen de sanciones por ID
+ * @param {number} ruleSetId - ID del régimen
+ * @returns {Promise<Object|null>} Régimen encontrado o null
+ */
+export async function getPenaltyRuleSetByIdDB(ruleSetId) {
+  return getRepositories().penaltyRules.findById(ruleSetId);
+}
+
+/**
+ * Obtener el régimen de sanciones vigente para un planeta en una fecha
+ * 1. La versión del planeta vigente en esa fecha
+ * 2. Si el planeta no tiene, la versión vigente del régimen general
+ * 3. Si tampoco hay, el régimen por defecto (id y version null)
+ * @param {number|null} planetId - Planeta de residencia del ciudadano
+ * @param {Date|string} date - Fecha de la citación
+ * @param {Object} [repositories] - Repositorios (los de una transacción, si la hay)
+ * @returns {Promise<Object>} Régimen { id, planet_id, version, name, tiers, escalation, ... }
+ */
+export async function resolvePenaltyRuleSetDB(planetId, date = new Date(), repositories = getRepositories()) {
+  const day = toRuleDate(date);
+
+  if (planetId) {
+    const planetRuleSet = await repositories.penaltyRules.findInForce(planetId, day);
+    if (planetRuleSet) return planetRuleSet;
+  }
+
+  const generalRuleSet = await repositories.penaltyRules.findInForce(null, day);
+  if (generalRuleSet) return generalRuleSet;
+
+  return { id: null, planet_id: null, version: null, ...DEFAULT_PENALTY_RULES, effective_from: null, effective_to: null };
+}
+
+/**
+ * Comprobar que una versión no se solapa con otras del mismo ámbito
+ * @param {Array} overlapping - Versiones que se solapan
+ */
+function assertNoOverlap(overlapping) {
+  if (overlapping.length > 0) {
+    const [other] = overlapping;
+    throw new Error(
+      `La vigencia se solapa con la versión ${other.version} del régimen (${other.effective_from} - ${other.effective_to || 'sin fin'})`
+    );
+  }
+}
+
+/**
+ * Comprobar el periodo de vigencia de una versión nueva o futura
+ * @param {string} from - Inicio de vigencia 'YYYY-MM-DD'
+ * @param {string|null} to - Fin de vigencia 'YYYY-MM-DD' o null
+ */
+function assertEffectivePeriod(from, to) {
+  if (from < toRuleDate()) {
+    throw new Error("La fecha de inicio de vigencia no puede ser anterior a hoy");
+  }
+  if (to && to < from) {
+    throw new Error("La fecha de fin de vigencia no puede ser anterior a la de inicio");
+  }
+}
+
+/**
+ * Convertir un error de clave foránea en el de planeta inexistente
+ */
+function planetError(error) {
+  return error.code === 'ER_NO_REFERENCED_ROW_2' ? new Error("El planeta especificado no existe") : error;
+}
+
+/**
+ * Publicar una versión nueva del régimen de sanciones (solo Admin)
+ * Si la versión abierta del mismo ámbito empezó antes, su vigencia se cierra el
+ * día anterior; cualquier otro solapamiento es un conflicto
+ * @param {Object} ruleSetData - planet_id (null: general), name, tiers, escalation, lookback_years,
+ * effective_from, effective_to
+ * @param {Object} audit - Actor de la petición (getAuditContext)
+ * @returns {Promise<Object>} { insertId, version, superseded } (superseded: versión cerrada o null)
+ */
+export async function createPenaltyRuleSetDB(ruleSetData, audit = {}) {
+  const planetId = ruleSetData.planet_id ?? null;
+  const from = ruleSetData.effective_from;
+  const to = ruleSetData.effective_to ?? null;
+  assertEffectivePeriod(from, to);
+
+  try {
+    return await withTransaction(async (repositories) => {
+      const version = await repositories.penaltyRules.nextVersion(planetId);
+
+      let superseded = null;
+      const overlapping = await repositories.penaltyRules.findOverlapping(planetId, from, to);
+      const open = overlapping.find(other => other.effective_to === null && other.effective_from < from);
+      if (open) {
+        await repositories.penaltyRules.update(open.id, { effective_to: previousDay(from) });
+        superseded = await repositories.penaltyRules.findById(open.id);
+        await recordAudit(repositories, audit, {
+          action: 'update',
+          entity: 'penalty_rule_set',
+          entity_id: open.id,
+          before: open,
+          after: superseded
+        });
+      }
+      assertNoOverlap(overlapping.filter(other => other !== open));
+
+      const result = await repositories.penaltyRules.insert({
+        planet_id: planetId,
+        version,
+        name: ruleSetData.name,
+        ...normalizeRules(ruleSetData),
+        lookback_years: ruleSetData.lookback_years ?? null,
+        effective_from: from,
+        effective_to: to,
+        created_by: actorUserId(audit)
+      });
+      await recordAudit(repositories, audit, {
+        action: 'create',
+        entity: 'penalty_rule_set',
+        entity_id: result.insertId,
+        before: null,
+        after: await repositories.penaltyRules.findById(result.insertId)
+      });
+
+      return { insertId: result.insertId, version, superseded };
+    });
+  } catch (error) {
+    throw planetError(error);
+  }
+}
+
+/**
+ * Modificar una versión del régimen de sanciones (solo Admin)
+ * - Ya en vigor: solo effective_to, no anterior a hoy
+ * - Futura: name, tiers, escalation, lookback_years y vigencia; si cambia effective_from, la
+ *   versión anterior que cerró se ajusta para seguir siendo contigua
+ * @param {number} ruleSetId - ID del régimen
+ * @param {Object} ruleSetData - Campos a modificar
+ * @param {Object} audit - Actor de la petición (getAuditContext)
+ * @returns {Promise<Object>} Régimen actualizado
+ */
+export async function updatePenaltyRuleSetDB(ruleSetId, ruleSetData, audit = {}) {
+  return withTransaction(async (repositories) => {
+    const current = await repositories.penaltyRules.findById(ruleSetId);
+    if (!current) {
+      throw new Error("Régimen de sanciones no encontrado");
+    }
+
+    const today = toRuleDate();
+    const changes = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (ruleSetData[field] !== undefined) changes[field] = ruleSetData[field];
+    }
+    Object.assign(changes, normalizeRules(changes));
+    const from = changes.effective_from ?? current.effective_from;
+    const to = changes.effective_to !== undefined ? changes.effective_to : current.effective_to;
+
+    if (current.effective_from <= today) {
+      if (Object.keys(changes).some(key => key !== 'effective_to')) {
+        throw new Error("El régimen ya entró en vigor: solo puede cambiarse su fecha de fin");
+      }
+      if (to && to < today) {
+        throw new Error("La fecha de fin de vigencia no puede ser anterior a hoy");
+      }
+    } else {
+      assertEffectivePeriod(from, to);
+    }
+
+    // La versión anterior contigua se mueve con la fecha de inicio
+    const predecessor = from !== current.effective_from
+      ? await repositories.penaltyRules.findPredecessor(current.planet_id, previousDay(current.effective_from), ruleSetId)
+      : null;
+    if (predecessor) {
+      if (from <= predecessor.effective_from) {
+        throw new Error(`La vigencia se solapa con la versión ${predecessor.version} del régimen`);
+      }
+      await repositories.penaltyRules.update(predecessor.id, { effective_to: previousDay(from) });
+      await recordAudit(repositories, audit, {
+        action: 'update',
+        entity: 'penalty_rule_set',
+        entity_id: predecessor.id,
+        before: predecessor,
+        after: await repositories.penaltyRules.findById(predecessor.id)
+      });
+    }
+
+    const overlapping = await repositories.penaltyRules.findOverlapping(current.planet_id, from, to, ruleSetId);
+    assertNoOverlap(overlapping.filter(other => !predecessor || other.id !== predecessor.id));
+
+    await repositories.penaltyRules.update(ruleSetId, changes);
+    const updated = await repositories.penaltyRules.findById(ruleSetId);
+    await recordAudit(repositories, audit, {
+      action: 'update',
+      entity: 'penalty_rule_set',
+      entity_id: ruleSetId,
+      before: current,
+      after: updated
+    });
+    return updated;
+  });
+}
+
+/**
+ * Retirar una versión futura del régimen de sanciones (solo Admin)
+ * La versión anterior que cerró recupera la vigencia de la retirada
+ * @param {number} ruleSetId - ID del régimen
+ * @param {Object} audit - Actor de la petición (getAuditContext)
+ * @returns {Promise<Object>} { affectedRows, reopened } (reopened: versión anterior reabierta o null)
+ */
+export async function deletePenaltyRuleSetDB(ruleSetId, audit = {}) {
+  return withTransaction(async (repositories) => {
+    const current = await repositories.penaltyRules.findById(ruleSetId);
+    if (!current) {
+      throw new Error("Régimen de sanciones no encontrado");
+    }
+    if (current.effective_from <= toRuleDate()) {
+      throw new Error("El régimen ya entró en vigor y no puede eliminarse; cierre su vigencia con effective_to");
+    }
+
+    const result = await repositories.penaltyRules.delete(ruleSetId);
+    await recordAudit(repositories, audit, {
+      action: 'delete',
+      entity: 'penalty_rule_set',
+      entity_id: ruleSetId,
+      before: current,
+      after: null
+    });
+
+    let reopened = null;
+    const predecessor = await repositories.penaltyRules.findPredecessor(
+      current.planet_id,
+      previousDay(current.effective_from),
+      ruleSetId
+    );
+    if (predecessor) {
+      await repositories.penaltyRules.update(predecessor.id, { effective_to: current.effective_to });
+      reopened = await repositories.penaltyRules.findById(predecessor.id);
+      await recordAudit(repositories, audit, {
+        action: 'update',
+        entity: 'penalty_rule_set',
+        entity_id: predecessor.id,
+        before: predecessor,
+        after: reopened
+      });
+    }
+
+    return { affectedRows: result.affectedRows, reopened };
+  });
+}
@@ -0,0 +1,90 @@
+import express from "express";
+import {
+  getPenaltyRuleSets,
+  getPenaltyRuleSetInForce,
+  getPenaltyRuleSetById,
+  createPenaltyRuleSet,
+  updatePenaltyRuleSet,
+  deletePenaltyRuleSet
+} from "./penaltyRules.controller.js";
+
+// Importar middleware de autenticación y autorización
+import { authenticateToken, authorize } from "../../middlewares/auth.middleware.js";
+
+// Importar middleware de validación
+import { handleValidationErrors, sanitizeInput } from "../../middlewares/validation.middleware.js";
+
+// Importar validaciones específicas del módulo de regímenes de sanción
+import {
+  getPenaltyRuleSetsValidation,
+  getPenaltyRuleSetInForceValidation,
+  penaltyRuleSetIdValidation,
+  createPenaltyRuleSetValidation,
+  updatePenaltyRuleSetValidation
+} from "./penaltyRules.validation.js";
+
+const router = express.Router();
+
+// GET /api/penalty-rules - Listar las versiones de los regímenes (filtros: planet_id, date)
+router.get(
+  "/",
+  authenticateToken,
+  authorize('penalty_rules:read'),
+  getPenaltyRuleSetsValidation,
+  handleValidationErrors,
+  getPenaltyRuleSets
+);
+
+// GET /api/penalty-rules/in-force - Régimen aplicable a un planeta en una fecha
+router.get(
+  "/in-force",
+  authenticateToken,
+  authorize('penalty_rules:read'),
+  getPenaltyRuleSetInForceValidation,
+  handleValidationErrors,
+  getPenaltyRuleSetInForce
+);
+
+// GET /api/penalty-rules/:id - Obtener una versión
+router.get(
+  "/:id",
+  authenticateToken,
+  authorize('penalty_rules:read'),
+  penaltyRuleSetIdValidation,
+  handleValidationErrors,
+  getPenaltyRuleSetById
+);
+
+// POST /api/penalty-rules - Publicar una versión nueva (solo Admin)
+router.post(
+  "/",
+  authenticateToken,
+  authorize('penalty_rules:create'),
+  sanitizeInput,
+  createPenaltyRuleSetValidation,
+  handleValidationErrors,
+  createPenaltyRuleSet
+);
+
+// PUT /api/penalty-rules/:id - Modificar una versión (solo Admin)
+router.put(
+  "/:id",
+  authenticateToken,
+  authorize('penalty_rules:update'),
+  sanitizeInput,
+  updatePenaltyRuleSetValidation,
+  handleValidationErrors,
+  updatePenaltyRuleSet
+);
+
+// DELETE /api/penalty-rules/:id - Retirar una versión futura (solo Admin)
+router.delete(
+  "/:id",
+  authenticateToken,
+  authorize('penalty_rules:delete'),
+  penaltyRuleSetIdValidation,
+  handleValidationErrors,
+  deletePenaltyRuleSet
+);
+
+export default router;
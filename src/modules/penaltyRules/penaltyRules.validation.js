@@ -0,0 +1,207 @@
+import { body, param, query } from 'express-validator';
+
+/**
+ * Validaciones para el módulo de regímenes de sanción
+ * Basado en el esquema de la tabla penalty_rule_sets: id, planet_id, version, name,
+ * tiers, escalation, lookback_years, effective_from, effective_to
+ */
+
+// Componentes numéricos de una sanción (enteros no negativos)
+const PENALTY_COUNTS = ['civic_course_hours', 'civic_work_days', 'jail_days'];
+const ESCALATION_COUNTS = ['civic_course_hours', 'civic_work_days', 'base_jail_days', 'jail_days_per_citation'];
+
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+const isAmount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * Comprobar una sanción (tier o escalation) y devolver el primer error encontrado
+ * @param {Object} penalty - Sanción recibida
+ * @param {string[]} counts - Campos enteros obligatorios
+ * @param {string} label - Nombre de la sanción en el mensaje
+ * @returns {string|null} Mensaje de error o null si es válida
+ */
+function penaltyError(penalty, counts, label) {
+  if (!penalty || typeof penalty !== 'object' || Array.isArray(penalty)) {
+    return `${label} debe ser un objeto`;
+  }
+  if (!isAmount(penalty.fine_amount)) {
+    return `${label}: fine_amount debe ser un número mayor o igual a 0`;
+  }
+  const invalid = counts.find(field => !isCount(penalty[field]));
+  if (invalid) {
+    return `${label}: ${invalid} debe ser un número entero mayor o igual a 0`;
+  }
+  if (typeof penalty.creates_criminal_record !== 'boolean') {
+    return `${label}: creates_criminal_record debe ser true o false`;
+  }
+  return null;
+}
+
+const ruleSetIdParam = param('id')
+  .isInt({ min: 1 })
+  .withMessage('El ID del régimen debe ser un número entero positivo')
+  .toInt();
+
+/**
+ * Nombre del régimen
+ * @param {ValidationChain} chain - Cadena de validación del campo
+ */
+const withName = (chain) => chain
+  .isString()
+  .withMessage('El nombre debe ser texto')
+  .trim()
+  .isLength({ min: 3, max: 150 })
+  .withMessage('El nombre debe tener entre 3 y 150 caracteres');
+
+/**
+ * Sanción de cada número de citación: al menos una tier, numeradas 1, 2, 3...
+ * @param {ValidationChain} chain - Cadena de validación del campo
+ */
+const withTiers = (chain) => chain
+  .isArray({ min: 1, max: 20 })
+  .withMessage('Las tiers deben ser una lista de entre 1 y 20 sanciones')
+  .bail()
+  .custom((tiers) => {
+    tiers.forEach((tier, index) => {
+      const error = penaltyError(tier, PENALTY_COUNTS, `La tier ${index + 1}`);
+      if (error) throw new Error(error);
+      if (tier.description !== undefined && (typeof tier.description !== 'string' || tier.description.length > 255)) {
+        throw new Error(`La tier ${index + 1}: la descripción debe ser texto de hasta 255 caracteres`);
+      }
+    });
+
+    const numbers = tiers.map(tier => tier.citation_number).sort((a, b) => a - b);
+    if (numbers.some((number, index) => number !== index + 1)) {
+      throw new Error('Los citation_number de las tiers deben ser consecutivos empezando en 1');
+    }
+    return true;
+  });
+
+/**
+ * Sanción de las citaciones posteriores a la última tier
+ * @param {ValidationChain} chain - Cadena de validación del campo
+ */
+const withEscalation = (chain) => chain
+  .custom((escalation) => {
+    const error = penaltyError(escalation, ESCALATION_COUNTS, 'La escalada');
+    if (error) throw new Error(error);
+    return true;
+  });
+
+/**
+ * Años que cuenta una citación previa (null: sin límite)
+ * @param {ValidationChain} chain - Cadena de validación del campo
+ */
+const withLookback = (chain) => chain
+  .optional({ values: 'null' })
+  .isInt({ min: 1, max: 100 })
+  .withMessage('El periodo de cómputo debe ser un número entero de años entre 1 y 100 (o null)')
+  .toInt();
+
+/**
+ * Fecha de vigencia 'YYYY-MM-DD'
+ * @param {ValidationChain} chain - Cadena de validación del campo
+ */
+const withRuleDate = (chain) => chain
+  .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+  .withMessage('La fecha de vigencia debe tener formato YYYY-MM-DD');
+
+/**
+ * Validación del listado de regímenes
+ */
+export const getPenaltyRuleSetsValidation = [
+  query('planet_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('El ID del planeta debe ser un número entero positivo')
+    .toInt(),
+
+  query('date')
+    .optional()
+    .isISO8601()
+    .withMessage('La fecha debe tener formato ISO 8601')
+];
+
+/**
+ * Validación para consultar el régimen vigente de un planeta en una fecha
+ */
+export const getPenaltyRuleSetInForceValidation = [
+  ...getPenaltyRuleSetsValidation
+];
+
+/**
+ * Validación para consultar o retirar un régimen
+ */
+export const penaltyRuleSetIdValidation = [
+  ruleSetIdParam
+];
+
+/**
+ * Validación para publicar una versión del régimen
+ */
+export const createPenaltyRuleSetValidation = [
+  body('planet_id')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('El ID del planeta debe ser un número entero positivo (o null para el régimen general)')
+    .toInt(),
+
+  withName(
+    body('name')
+      .notEmpty()
+      .withMessage('El nombre del régimen es obligatorio')
+  ),
+
+  withTiers(
+    body('tiers')
+      .exists()
+      .withMessage('Las tiers son obligatorias')
+  ),
+
+  withEscalation(
+    body('escalation')
+      .exists()
+      .withMessage('La escalada es obligatoria')
+  ),
+
+  withLookback(body('lookback_years')),
+
+  withRuleDate(
+    body('effective_from')
+      .notEmpty()
+      .withMessage('La fecha de inicio de vigencia es obligatoria')
+  ),
+
+  withRuleDate(body('effective_to').optional({ values: 'null' }))
+];
+
+/**
+ * Validación para modificar una versión del régimen
+ * (el planeta no cambia: se publica una versión en el otro ámbito)
+ */
+export const updatePenaltyRuleSetValidation = [
+  ruleSetIdParam,
+
+  withName(body('name').optional()),
+
+  withTiers(body('tiers').optional()),
+
+  withEscalation(body('escalation').optional()),
+
+  withLookback(body('lookback_years')),
+
+  withRuleDate(body('effective_from').optional()),
+
+  withRuleDate(body('effective_to').optional({ values: 'null' })),
+
+  body()
+    .custom((value = {}) => {
+      if (value.planet_id !== undefined) {
+        throw new Error('El planeta de un régimen no puede cambiarse');
+      }
+      if (!['name', 'tiers', 'escalation', 'lookback_years', 'effective_from', 'effective_to'].some(field => value[field] !== undefined)) {
+        throw new Error('Debes indicar el nombre, las tiers, la escalada, el periodo de cómputo o la vigencia');
+      }
+      return true;
+    })
+];
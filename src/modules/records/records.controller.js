@@ -5,11 +5,14 @@ import {
   createRecordDB,
   updateRecordDB,
   deleteRecordDB,
+  restoreRecordDB,
   countRecordsByCitizenDB,
   getRecordsStatsDB,
   searchRecordsDB,
   getMostDangerousLocationsDB
 } from "./records.model.js";
+import { getAuditContext } from "../audit/auditContext.js";
+import { setETag, sendPreconditionFailed } from "../../middlewares/concurrency.middleware.js";
 
 /**
  * Controlador para la gestión de antecedentes penales
@@ -24,7 +27,7 @@ import {
 export async function getRecordsByCitizen(req, res) {
   try {
     const { citizenId } = req.params;
-    const records = await getRecordsByCitizenIdDB(citizenId);
+    const records = await getRecordsByCitizenIdDB(citizenId, { include_deleted: req.query.include_deleted === 'true' });
     
     res.status(200).json({
       status: "success",
@@ -51,7 +54,7 @@ export async function getRecordsByCitizen(req, res) {
 export async function getRecordById(req, res) {
   try {
     const { recordId } = req.params;
-    const record = await getRecordByIdDB(recordId);
+    const record = await getRecordByIdDB(recordId, { include_deleted: req.query.include_deleted === 'true' });
     
     if (!record) {
       return res.status(404).json({
@@ -60,6 +63,7 @@ export async function getRecordById(req, res) {
       });
     }
     
+    setETag(res, record);
     res.status(200).json({
       status: "success",
       message: "Antecedente obtenido correctamente",
@@ -84,7 +88,7 @@ export async function getRecordById(req, res) {
 export async function getAllRecords(req, res) {
   try {
     const filters = req.query; // Los filtros vienen en query parameters
-    const records = await getAllRecordsDB(filters);
+    const records = await getAllRecordsDB({ ...filters, include_deleted: filters.include_deleted === 'true' });
     
     res.status(200).json({
       status: "success",
@@ -118,7 +122,7 @@ export async function createRecord(req, res) {
     recordData.citizen_id = parseInt(citizenId);
     
     // Los datos ya vienen validados por el middleware de validación
-    const result = await createRecordDB(recordData);
+    const result = await createRecordDB(recordData, getAuditContext(req));
     
     // Obtener el antecedente recién creado para devolver los datos completos
     const newRecord = await getRecordByIdDB(result.insertId);
@@ -134,7 +138,12 @@ export async function createRecord(req, res) {
         date: newRecord.date,
         time: newRecord.time,
         location: newRecord.location,
-        description: newRecord.description
+        description: newRecord.description,
+        issued_by: newRecord.issued_by,
+        issued_by_username: newRecord.issued_by_username,
+        updated_by: newRecord.updated_by,
+        updated_by_username: newRecord.updated_by_username,
+        updated_at: newRecord.updated_at
       }
     });
   } catch (error) {
@@ -177,7 +186,7 @@ export async function updateRecord(req, res) {
     }
     
     // Los datos ya vienen validados por el middleware de validación
-    const result = await updateRecordDB(recordId, updateData);
+    const result = await updateRecordDB(recordId, updateData, getAuditContext(req), req.ifMatch);
     
     if (result.affectedRows === 0) {
       return res.status(404).json({
@@ -189,6 +198,7 @@ export async function updateRecord(req, res) {
     // Obtener los datos actualizados
     const updatedRecord = await getRecordByIdDB(recordId);
     
+    setETag(res, updatedRecord);
     res.status(200).json({
       status: "success",
       message: "Antecedente penal actualizado exitosamente",
@@ -200,10 +210,21 @@ export async function updateRecord(req, res) {
         date: updatedRecord.date,
         time: updatedRecord.time,
         location: updatedRecord.location,
-        description: updatedRecord.description
+        description: updatedRecord.description,
+        issued_by: updatedRecord.issued_by,
+        issued_by_username: updatedRecord.issued_by_username,
+        updated_by: updatedRecord.updated_by,
+        updated_by_username: updatedRecord.updated_by_username,
+        updated_at: updatedRecord.updated_at,
+        version: updatedRecord.version
       }
     });
   } catch (error) {
+    // Otra petición modificó el antecedente desde que el cliente lo leyó
+    if (error.message.includes('modificado por otra petición')) {
+      return sendPreconditionFailed(res, error.message, await getRecordByIdDB(req.params.recordId));
+    }
+
     console.error('Error al actualizar antecedente penal:', error);
     
     // Manejar errores específicos de validación
@@ -241,8 +262,8 @@ export async function deleteRecord(req, res) {
       });
     }
     
-    // Eliminar el antecedente de la base de datos
-    const result = await deleteRecordDB(recordId);
+    // Marcar el antecedente como eliminado (se puede restaurar)
+    const result = await deleteRecordDB(recordId, getAuditContext(req), req.ifMatch);
     
     if (result.affectedRows === 0) {
       return res.status(404).json({
@@ -258,10 +279,16 @@ export async function deleteRecord(req, res) {
         id: parseInt(recordId),
         citizen_id: existingRecord.citizen_id,
         citizen_name: existingRecord.citizen_name,
-        deleted: true
+        deleted: true,
+        deleted_at: result.deleted_at
       }
     });
   } catch (error) {
+    // Otra petición modificó el antecedente desde que el cliente lo leyó
+    if (error.message.includes('modificado por otra petición')) {
+      return sendPreconditionFailed(res, error.message, await getRecordByIdDB(req.params.recordId));
+    }
+
     console.error('Error al eliminar antecedente penal:', error);
     res.status(500).json({
       status: "error",
@@ -271,6 +298,47 @@ export async function deleteRecord(req, res) {
   }
 }
 
+/**
+ * Restaurar un antecedente penal eliminado
+ * Solo Admin puede restaurar antecedentes
+ * @param {Request} req - Objeto de solicitud
+ * @param {Response} res - Objeto de respuesta
+ */
+export async function restoreRecord(req, res) {
+  try {
+    const { recordId } = req.params;
+    const record = await restoreRecordDB(recordId, getAuditContext(req));
+
+    res.status(200).json({
+      status: "success",
+      message: "Antecedente penal restaurado exitosamente",
+      data: record
+    });
+  } catch (error) {
+    if (error.message.includes('no encontrado')) {
+      return res.status(404).json({
+        status: "error",
+        message: error.message
+      });
+    }
+
+    // El antecedente no está eliminado o su ciudadano sí lo está
+    if (error.message.includes('está eliminado')) {
+      return res.status(409).json({
+        status: "error",
+        message: error.message
+      });
+    }
+
+    console.error('Error al restaurar antecedente penal:', error);
+    res.status(500).json({
+      status: "error",
+      message: "Error interno del servidor al restaurar el antecedente penal",
+      error: error.message
+    });
+  }
+}
+
 /**
  * Obtener el conteo de antecedentes de un ciudadano
  * @param {Request} req - Objeto de solicitud
@@ -333,14 +401,18 @@ export async function searchRecords(req, res) {
   try {
     const searchCriteria = req.query;
     
-    if (!searchCriteria.term && !searchCriteria.location && !searchCriteria.citizen_name) {
+    if (!searchCriteria.term && !searchCriteria.location && !searchCriteria.citizen_name &&
+        !searchCriteria.issued_by && !searchCriteria.updated_by) {
       return res.status(400).json({
         status: "error",
-        message: "Se requiere al menos un criterio de búsqueda (term, location, o citizen_name)"
+        message: "Se requiere al menos un criterio de búsqueda (term, location, citizen_name, issued_by o updated_by)"
       });
     }
     
-    const searchResults = await searchRecordsDB(searchCriteria);
+    const searchResults = await searchRecordsDB({
+      ...searchCriteria,
+      include_deleted: searchCriteria.include_deleted === 'true'
+    });
     
     res.status(200).json({
       status: "success",
@@ -1,69 +1,39 @@
-import connection from "../../config/Database.js";
+import { getRepositories, withTransaction } from "../../repositories/index.js";
+import { assertVersion } from "../../repositories/versioning.js";
+import { recordAudit, actorUserId, softDeletion } from "../audit/audit.model.js";
 
 /**
  * Modelo de datos para la gestión de antecedentes penales
- * Tabla criminal_records: id, citizen_id, date, time, location, description, crime_type
+ * Tabla criminal_records: id, citizen_id, date, time, location, description, crime_type,
+ * source_citation_id (citación que originó un antecedente automático),
+ * issued_by, updated_by, updated_at (usuario que lo registró y último que lo modificó),
+ * deleted_at, deleted_by (borrado lógico)
  * Relación: citizens 1 <--> N criminal_records
  * Relación: planets 1 <--> N criminal_records (location)
+ *
+ * El acceso a datos se delega en el repositorio de antecedentes (MySQL o memoria)
+ * Las escrituras se registran en audit_log dentro de la misma transacción
+ * Los antecedentes eliminados solo aparecen con include_deleted y pueden restaurarse
  */
 
 /**
  * Obtener todos los antecedentes penales de un ciudadano específico
  * @param {number} citizenId - ID del ciudadano
+ * @param {Object} options - include_deleted: incluir los eliminados
  * @returns {Promise<Array>} Lista de antecedentes del ciudadano
  */
-export async function getRecordsByCitizenIdDB(citizenId) {
-  const query = `
-    SELECT 
-      cr.id, 
-      cr.citizen_id, 
-      cr.date, 
-      cr.time, 
-      cr.location, 
-      cr.description, 
-      cr.crime_type,
-      c.full_name as citizen_name,
-      c.last_name as citizen_last_name,
-      c.qr_code as citizen_qr_code,
-      p.planet_name as location_name
-    FROM criminal_records cr
-    INNER JOIN citizens c ON cr.citizen_id = c.id
-    INNER JOIN planets p ON cr.location = p.id
-    WHERE cr.citizen_id = ?
-    ORDER BY cr.date DESC, cr.time DESC
-  `;
-  
-  const [rows] = await connection.query(query, [citizenId]);
-  return rows;
+export async function getRecordsByCitizenIdDB(citizenId, options = {}) {
+  return getRepositories().records.findByCitizenId(citizenId, options);
 }
 
 /**
  * Obtener un antecedente penal específico por ID
  * @param {number} recordId - ID del antecedente penal
+ * @param {Object} options - include_deleted: incluir los eliminados
  * @returns {Promise<Object|null>} Antecedente encontrado o null
  */
-export async function getRecordByIdDB(recordId) {
-  const query = `
-    SELECT 
-      cr.id, 
-      cr.citizen_id, 
-      cr.date, 
-      cr.time, 
-      cr.location, 
-      cr.description, 
-      cr.crime_type,
-      c.full_name as citizen_name,
-      c.last_name as citizen_last_name,
-      c.qr_code as citizen_qr_code,
-      p.planet_name as location_name
-    FROM criminal_records cr
-    INNER JOIN citizens c ON cr.citizen_id = c.id
-    INNER JOIN planets p ON cr.location = p.id
-    WHERE cr.id = ?
-  `;
-  
-  const [rows] = await connection.query(query, [recordId]);
-  return rows[0] || null;
+export async function getRecordByIdDB(recordId, options = {}) {
+  return getRepositories().records.findById(recordId, options);
 }
 
 /**
@@ -73,63 +43,13 @@ export async function getRecordByIdDB(recordId) {
  * @param {string} filters.location - Filtrar por ubicación
  * @param {Date} filters.date_from - Fecha desde
  * @param {Date} filters.date_to - Fecha hasta
+ * @param {boolean} filters.include_deleted - Incluir los eliminados
  * @param {number} filters.limit - Límite de resultados
  * @param {number} filters.offset - Offset para paginación
  * @returns {Promise<Array>} Lista de todos los antecedentes
  */
 export async function getAllRecordsDB(filters = {}) {
-  let query = `
-    SELECT 
-      cr.id, 
-      cr.citizen_id, 
-      cr.date, 
-      cr.time, 
-      cr.location, 
-      cr.description, 
-      cr.crime_type,
-      c.full_name as citizen_name,
-      c.last_name as citizen_last_name,
-      c.qr_code as citizen_qr_code,
-      p.planet_name as location_name
-    FROM criminal_records cr
-    INNER JOIN citizens c ON cr.citizen_id = c.id
-    INNER JOIN planets p ON cr.location = p.id
-    WHERE 1=1
-  `;
-  
-  const params = [];
-  
-  // Aplicar filtros
-  if (filters.location) {
-    query += " AND p.planet_name LIKE ?";
-    params.push(`%${filters.location}%`);
-  }
-  
-  if (filters.date_from) {
-    query += " AND cr.date >= ?";
-    params.push(filters.date_from);
-  }
-  
-  if (filters.date_to) {
-    query += " AND cr.date <= ?";
-    params.push(filters.date_to);
-  }
-  
-  query += " ORDER BY cr.date DESC, cr.time DESC";
-  
-  // Aplicar paginación
-  if (filters.limit) {
-    query += " LIMIT ?";
-    params.push(parseInt(filters.limit));
-    
-    if (filters.offset) {
-      query += " OFFSET ?";
-      params.push(parseInt(filters.offset));
-    }
-  }
-  
-  const [rows] = await connection.query(query, params);
-  return rows;
+  return getRepositories().records.findAll(filters);
 }
 
 /**
@@ -140,10 +60,10 @@ export async function getAllRecordsDB(filters = {}) {
  * @param {string} recordData.time - Hora del delito (HH:MM:SS)
  * @param {string} recordData.location - Ubicación del delito
  * @param {string} recordData.description - Descripción del delito
-
+ * @param {Object} audit - Actor de la petición (getAuditContext)
  * @returns {Promise<Object>} Resultado de la inserción
  */
-export async function createRecordDB(recordData) {
+export async function createRecordDB(recordData, audit = {}) {
   // Verificar que el ciudadano existe
   const citizenExists = await checkCitizenExistsDB(recordData.citizen_id);
   if (!citizenExists) {
@@ -162,20 +82,32 @@ export async function createRecordDB(recordData) {
     time: recordData.time,
     location: recordData.location,
     description: recordData.description,
-    crime_type: recordData.crime_type || 'Delito menor'
+    crime_type: recordData.crime_type || 'Delito menor',
+    issued_by: actorUserId(audit)
   };
 
-  const [result] = await connection.query("INSERT INTO criminal_records SET ?", [newRecord]);
-  return result;
+  return withTransaction(async (repositories) => {
+    const result = await repositories.records.insert(newRecord);
+    await recordAudit(repositories, audit, {
+      action: 'create',
+      entity: 'criminal_record',
+      entity_id: result.insertId,
+      before: null,
+      after: await repositories.records.findById(result.insertId)
+    });
+    return result;
+  });
 }
 
 /**
  * Actualizar un antecedente penal existente
  * @param {number} recordId - ID del antecedente penal
  * @param {Object} recordData - Datos a actualizar
+ * @param {Object} audit - Actor de la petición (getAuditContext)
+ * @param {number[]|null} [expectedVersions] - Versiones aceptadas (If-Match); null no las comprueba
  * @returns {Promise<Object>} Resultado de la actualización
  */
-export async function updateRecordDB(recordId, recordData) {
+export async function updateRecordDB(recordId, recordData, audit = {}, expectedVersions = null) {
   // Si se va a actualizar el citizen_id, verificar que el ciudadano existe
   if (recordData.citizen_id) {
     const citizenExists = await checkCitizenExistsDB(recordData.citizen_id);
@@ -192,21 +124,86 @@ export async function updateRecordDB(recordId, recordData) {
     }
   }
 
-  const [result] = await connection.query(
-    "UPDATE criminal_records SET ? WHERE id = ?",
-    [recordData, recordId]
-  );
-  return result;
+  // La atribución original no se edita; el último editor es quien hace la petición
+  const data = { ...recordData, updated_by: actorUserId(audit), updated_at: new Date() };
+  delete data.issued_by;
+  delete data.source_citation_id; // Solo lo gestiona el recálculo de penalizaciones
+
+  return withTransaction(async (repositories) => {
+    await assertVersion(repositories.records, recordId, expectedVersions);
+    const before = await repositories.records.findById(recordId);
+    const result = await repositories.records.update(recordId, data);
+    if (result.affectedRows > 0) {
+      await recordAudit(repositories, audit, {
+        action: 'update',
+        entity: 'criminal_record',
+        entity_id: recordId,
+        before,
+        after: await repositories.records.findById(recordId)
+      });
+    }
+    return result;
+  });
 }
 
 /**
- * Eliminar un antecedente penal (solo para administradores)
+ * Eliminar (lógicamente) un antecedente penal (solo para administradores)
  * @param {number} recordId - ID del antecedente penal
- * @returns {Promise<Object>} Resultado de la eliminación
+ * @param {Object} audit - Actor de la petición (getAuditContext)
+ * @param {number[]|null} [expectedVersions] - Versiones aceptadas (If-Match); null no las comprueba
+ * @returns {Promise<Object>} { affectedRows, deleted_at }
  */
-export async function deleteRecordDB(recordId) {
-  const [result] = await connection.query("DELETE FROM criminal_records WHERE id = ?", [recordId]);
-  return result;
+export async function deleteRecordDB(recordId, audit = {}, expectedVersions = null) {
+  const deletion = softDeletion(audit);
+
+  return withTransaction(async (repositories) => {
+    await assertVersion(repositories.records, recordId, expectedVersions);
+    const before = await repositories.records.findById(recordId);
+    const result = await repositories.records.softDelete(recordId, deletion);
+    if (result.affectedRows > 0) {
+      await recordAudit(repositories, audit, {
+        action: 'delete',
+        entity: 'criminal_record',
+        entity_id: recordId,
+        before,
+        after: null
+      });
+    }
+    return { affectedRows: result.affectedRows, deleted_at: deletion.deleted_at };
+  });
+}
+
+/**
+ * Restaurar un antecedente penal eliminado
+ * No se restaura si su ciudadano sigue eliminado (se restaura con él)
+ * @param {number} recordId - ID del antecedente penal
+ * @param {Object} audit - Actor de la petición (getAuditContext)
+ * @returns {Promise<Object>} Antecedente restaurado
+ */
+export async function restoreRecordDB(recordId, audit = {}) {
+  return withTransaction(async (repositories) => {
+    const record = await repositories.records.findById(recordId, { include_deleted: true });
+    if (!record) {
+      throw new Error("Antecedente penal no encontrado");
+    }
+    if (!record.deleted_at) {
+      throw new Error("El antecedente penal no está eliminado");
+    }
+    if (!(await repositories.citizens.exists(record.citizen_id))) {
+      throw new Error("El ciudadano del antecedente está eliminado; restáurelo primero");
+    }
+
+    await repositories.records.restore(recordId);
+    const restored = await repositories.records.findById(recordId);
+    await recordAudit(repositories, audit, {
+      action: 'restore',
+      entity: 'criminal_record',
+      entity_id: recordId,
+      before: null,
+      after: restored
+    });
+    return restored;
+  });
 }
 
 /**
@@ -215,11 +212,7 @@ export async function deleteRecordDB(recordId) {
  * @returns {Promise<number>} Número total de antecedentes
  */
 export async function countRecordsByCitizenDB(citizenId) {
-  const [rows] = await connection.query(
-    "SELECT COUNT(*) as total FROM criminal_records WHERE citizen_id = ?",
-    [citizenId]
-  );
-  return rows[0].total;
+  return getRepositories().records.countByCitizen(citizenId);
 }
 
 /**
@@ -227,36 +220,7 @@ export async function countRecordsByCitizenDB(citizenId) {
  * @returns {Promise<Object>} Estadísticas generales
  */
 export async function getRecordsStatsDB() {
-  const query = `
-    SELECT 
-      COUNT(*) as total_records,
-      COUNT(DISTINCT citizen_id) as total_citizens_with_records,
-      COUNT(DISTINCT location) as total_locations,
-      p.planet_name as location_name,
-      COUNT(*) as records_by_location
-    FROM criminal_records cr
-    INNER JOIN planets p ON cr.location = p.id
-    GROUP BY cr.location, p.planet_name
-    ORDER BY records_by_location DESC
-  `;
-  
-  const [rows] = await connection.query(query);
-  
-  // Obtener estadísticas generales
-  const generalStatsQuery = `
-    SELECT 
-      COUNT(*) as total_records,
-      COUNT(DISTINCT citizen_id) as total_citizens_with_records,
-      COUNT(DISTINCT location) as total_locations
-    FROM criminal_records
-  `;
-  
-  const [generalStats] = await connection.query(generalStatsQuery);
-  
-  return {
-    general: generalStats[0],
-    by_location: rows
-  };
+  return getRepositories().records.getStats();
 }
 
 /**
@@ -266,85 +230,23 @@ export async function getRecordsStatsDB() {
 
  * @param {string} searchCriteria.location - Ubicación
  * @param {string} searchCriteria.citizen_name - Nombre del ciudadano
+ * @param {boolean} searchCriteria.include_deleted - Incluir los eliminados
  * @param {number} searchCriteria.limit - Límite de resultados
  * @param {number} searchCriteria.offset - Offset para paginación
  * @returns {Promise<Array>} Lista de antecedentes que coinciden
  */
 export async function searchRecordsDB(searchCriteria) {
-  let query = `
-    SELECT 
-      cr.id, 
-      cr.citizen_id, 
-      cr.date, 
-      cr.time, 
-      cr.location, 
-      cr.description, 
-      cr.crime_type,
-      c.full_name as citizen_name,
-      c.last_name as citizen_last_name,
-      c.qr_code as citizen_qr_code,
-      p.planet_name as location_name
-    FROM criminal_records cr
-    INNER JOIN citizens c ON cr.citizen_id = c.id
-    INNER JOIN planets p ON cr.location = p.id
-    WHERE 1=1
-  `;
-  
-  const params = [];
-  
-  // Búsqueda general
-  if (searchCriteria.term) {
-    query += ` AND (
-      cr.description LIKE ? OR 
-      p.planet_name LIKE ? OR 
-      cr.crime_type LIKE ? OR 
-      c.full_name LIKE ? OR 
-      c.last_name LIKE ?
-    )`;
-    const termPattern = `%${searchCriteria.term}%`;
-    params.push(termPattern, termPattern, termPattern, termPattern, termPattern);
-  }
-  
-  // Filtros específicos
-  if (searchCriteria.location) {
-    query += " AND p.planet_name LIKE ?";
-    params.push(`%${searchCriteria.location}%`);
-  }
-  
-  if (searchCriteria.citizen_name) {
-    query += " AND (c.full_name LIKE ? OR c.last_name LIKE ?)";
-    const namePattern = `%${searchCriteria.citizen_name}%`;
-    params.push(namePattern, namePattern);
-  }
-  
-  query += " ORDER BY cr.date DESC, cr.time DESC";
-  
-  // Aplicar paginación
-  if (searchCriteria.limit) {
-    query += " LIMIT ?";
-    params.push(parseInt(searchCriteria.limit));
-    
-    if (searchCriteria.offset) {
-      query += " OFFSET ?";
-      params.push(parseInt(searchCriteria.offset));
-    }
-  }
-  
-  const [rows] = await connection.query(query, params);
-  return rows;
+  return getRepositories().records.search(searchCriteria);
 }
 
 /**
- * Verificar si un ciudadano existe
+ * Verificar si un ciudadano existe (y no está eliminado, salvo con include_deleted)
  * @param {number} citizenId - ID del ciudadano a verificar
+ * @param {Object} options - include_deleted: aceptar ciudadanos eliminados
  * @returns {Promise<boolean>} True si existe, false si no
  */
-export async function checkCitizenExistsDB(citizenId) {
-  const [rows] = await connection.query(
-    "SELECT id FROM citizens WHERE id = ?",
-    [citizenId]
-  );
-  return rows.length > 0;
+export async function checkCitizenExistsDB(citizenId, options = {}) {
+  return getRepositories().citizens.exists(citizenId, options);
 }
 
 /**
@@ -353,21 +255,7 @@ export async function checkCitizenExistsDB(citizenId) {
  * @returns {Promise<Array>} Lista de ubicaciones con más delitos
  */
 export async function getMostDangerousLocationsDB(limit = 10) {
-  const query = `
-    SELECT 
-      cr.location,
-      p.planet_name as location_name,
-      COUNT(*) as total_crimes,
-      COUNT(DISTINCT citizen_id) as unique_criminals
-    FROM criminal_records cr
-    INNER JOIN planets p ON cr.location = p.id
-    GROUP BY cr.location, p.planet_name
-    ORDER BY total_crimes DESC
-    LIMIT ?
-  `;
-  
-  const [rows] = await connection.query(query, [limit]);
-  return rows;
+  return getRepositories().records.getMostDangerousLocations(limit);
 }
 
 /**
@@ -376,9 +264,5 @@ export async function getMostDangerousLocationsDB(limit = 10) {
  * @returns {Promise<boolean>} True si existe, false si no
  */
 export async function checkPlanetExistsDB(planetId) {
-  const [rows] = await connection.query(
-    "SELECT id FROM planets WHERE id = ?",
-    [planetId]
-  );
-  return rows.length > 0;
+  return getRepositories().citizens.planetExists(planetId);
 }
\ No newline at end of file
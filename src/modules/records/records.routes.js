@@ -6,6 +6,7 @@ import {
   createRecord,
   updateRecord,
   deleteRecord,
+  restoreRecord,
   getRecordsCount,
   getRecordsStats,
   searchRecords,
@@ -13,11 +14,14 @@ import {
 } from "./records.controller.js";
 
 // Importar middleware de autenticación y autorización
-import { authenticateToken, authorizeRole } from "../../middlewares/auth.middleware.js";
+import { authenticateToken, authorize, authorizeIncludeDeleted } from "../../middlewares/auth.middleware.js";
 
 // Importar middleware de validación
 import { handleValidationErrors, sanitizeInput } from "../../middlewares/validation.middleware.js";
 
+// Importar middleware de concurrencia optimista (ETag / If-Match)
+import { requireIfMatch } from "../../middlewares/concurrency.middleware.js";
+
 // Importar validaciones específicas del módulo records
 import {
   createRecordValidation,
@@ -25,7 +29,9 @@ import {
   getRecordsByCitizenValidation,
   getRecordByIdValidation,
   deleteRecordValidation,
+  restoreRecordValidation,
   searchRecordsValidation,
+  searchRecordsByOfficerValidation,
   getAllRecordsValidation
 } from "./records.validation.js";
 
@@ -36,7 +42,8 @@ const router = express.Router({ mergeParams: true }); // mergeParams para accede
  * - Ver antecedentes: Todos los roles autenticados
  * - Crear antecedentes: Admin, CourtClerk
  * - Actualizar antecedentes: Solo Admin
- * - Eliminar antecedentes: Solo Admin
+ * - Eliminar antecedentes: Solo Admin (borrado lógico)
+ * - Ver eliminados (include_deleted=true) y restaurar: Solo Admin
  */
 
 /**
@@ -49,7 +56,8 @@ const router = express.Router({ mergeParams: true }); // mergeParams para accede
 router.get(
   "/",
   authenticateToken,
-  authorizeRole(['Admin', 'Commander', 'General', 'CourtClerk', 'PoliceOfficer']),
+  authorize('records:read'),
+  authorizeIncludeDeleted('records:restore'),
   getRecordsByCitizenValidation,
   handleValidationErrors,
   getRecordsByCitizen
@@ -60,7 +68,8 @@ router.get(
 router.get(
   "/count",
   authenticateToken,
-  authorizeRole(['Admin', 'Commander', 'General', 'CourtClerk', 'PoliceOfficer']),
+  authorize('records:read'),
+  authorizeIncludeDeleted('records:restore'),
   getRecordsByCitizenValidation,
   handleValidationErrors,
   getRecordsCount
@@ -71,7 +80,8 @@ router.get(
 router.get(
   "/:recordId",
   authenticateToken,
-  authorizeRole(['Admin', 'Commander', 'General', 'CourtClerk', 'PoliceOfficer']),
+  authorize('records:read'),
+  authorizeIncludeDeleted('records:restore'),
   getRecordByIdValidation,
   handleValidationErrors,
   getRecordById
@@ -82,7 +92,7 @@ router.get(
 router.post(
   "/",
   authenticateToken,
-  authorizeRole(['Admin', 'CourtClerk']),
+  authorize('records:create'),
   sanitizeInput, // Limpiar datos de entrada
   createRecordValidation, // Validar datos del antecedente
   handleValidationErrors, // Manejar errores de validación
@@ -94,7 +104,8 @@ router.post(
 router.put(
   "/:recordId",
   authenticateToken,
-  authorizeRole(['Admin']),
+  authorize('records:update'),
+  requireIfMatch, // Versión leída por el cliente (ETag)
   sanitizeInput,
   updateRecordValidation,
   handleValidationErrors,
@@ -106,12 +117,24 @@ router.put(
 router.delete(
   "/:recordId",
   authenticateToken,
-  authorizeRole(['Admin']),
+  authorize('records:delete'),
+  requireIfMatch,
   deleteRecordValidation,
   handleValidationErrors,
   deleteRecord
 );
 
+// POST /api/citizens/:citizenId/records/:recordId/restore - Restaurar antecedente eliminado
+// (solo Admin puede restaurar)
+router.post(
+  "/:recordId/restore",
+  authenticateToken,
+  authorize('records:restore'),
+  restoreRecordValidation,
+  handleValidationErrors,
+  restoreRecord
+);
+
 /**
  * Rutas adicionales para búsqueda y estadísticas
  * Estas rutas NO requieren citizenId ya que buscan en todos los registros
@@ -123,7 +146,10 @@ const recordsSearchRouter = express.Router();
 recordsSearchRouter.get(
   "/search",
   authenticateToken,
-  authorizeRole(['Admin', 'Commander', 'General', 'CourtClerk', 'PoliceOfficer']),
+  authorize('records:read'),
+  authorizeIncludeDeleted('records:restore'),
+  searchRecordsByOfficerValidation,
+  handleValidationErrors,
   searchRecords
 );
 
@@ -132,7 +158,8 @@ recordsSearchRouter.get(
 recordsSearchRouter.get(
   "/all",
   authenticateToken,
-  authorizeRole(['Admin', 'Commander', 'General']),
+  authorize('records:reports'),
+  authorizeIncludeDeleted('records:restore'),
   getAllRecords
 );
 
@@ -141,7 +168,7 @@ recordsSearchRouter.get(
 recordsSearchRouter.get(
   "/stats",
   authenticateToken,
-  authorizeRole(['Admin', 'Commander', 'General']),
+  authorize('records:reports'),
   getRecordsStats
 );
 
@@ -150,7 +177,7 @@ recordsSearchRouter.get(
 recordsSearchRouter.get(
   "/dangerous-locations",
   authenticateToken,
-  authorizeRole(['Admin', 'Commander', 'General']),
+  authorize('records:reports'),
   getMostDangerousLocations
 );
 
@@ -1,4 +1,4 @@
-import { body, param } from 'express-validator';
+import { body, param, query } from 'express-validator';
 import { checkCitizenExistsDB, checkPlanetExistsDB } from './records.model.js';
 import { validateResourceExists } from '../../middlewares/validation.middleware.js';
 
@@ -168,8 +168,9 @@ export const getRecordsByCitizenValidation = [
   param('citizenId')
     .isInt({ min: 1 })
     .withMessage('El ID del ciudadano debe ser un número entero positivo')
-    .custom(async (value) => {
-      const exists = await checkCitizenExistsDB(value);
+    .custom(async (value, { req }) => {
+      // Con include_deleted (autorizado antes en la ruta) se aceptan ciudadanos eliminados
+      const exists = await checkCitizenExistsDB(value, { include_deleted: req.query.include_deleted === 'true' });
       if (!exists) {
         throw new Error('El ciudadano especificado no existe');
       }
@@ -286,4 +287,30 @@ export const getAllRecordsValidation = [
     .isInt({ min: 0 })
     .withMessage('El offset debe ser un número mayor o igual a 0')
     .toInt()
-];
\ No newline at end of file
+];
+
+/**
+ * Validación de los filtros por usuario en la búsqueda de antecedentes (GET .../search)
+ */
+export const searchRecordsByOfficerValidation = [
+  query(['issued_by', 'updated_by'])
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('El ID del usuario debe ser un número entero positivo')
+];
+
+/**
+ * Validación para restaurar antecedente
+ */
+export const restoreRecordValidation = [
+  param('recordId')
+    .isInt({ min: 1 })
+    .withMessage('El ID del antecedente debe ser un número entero positivo')
+    .toInt(),
+
+  param('citizenId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('El ID del ciudadano debe ser un número entero positivo')
+    .toInt()
+];
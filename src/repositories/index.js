@@ -0,0 +1,191 @@
+import connection, { withTransaction as withMysqlTransaction, pingDatabase } from "../config/Database.js";
+import { createCitizensRepository as createMysqlCitizens } from "./mysql/citizens.repository.js";
+import { createRecordsRepository as createMysqlRecords } from "./mysql/records.repository.js";
+import { createCitationsRepository as createMysqlCitations } from "./mysql/citations.repository.js";
+import { createUsersRepository as createMysqlUsers } from "./mysql/users.repository.js";
+import { createTokensRepository as createMysqlTokens } from "./mysql/tokens.repository.js";
+import { createLoginAttemptsRepository as createMysqlLoginAttempts } from "./mysql/loginAttempts.repository.js";
+import { createInvitationsRepository as createMysqlInvitations } from "./mysql/invitations.repository.js";
+import { createTwoFactorRepository as createMysqlTwoFactor } from "./mysql/twoFactor.repository.js";
+import { createPasswordResetsRepository as createMysqlPasswordResets } from "./mysql/passwordResets.repository.js";
+import { createPasswordHistoryRepository as createMysqlPasswordHistory } from "./mysql/passwordHistory.repository.js";
+import { createServiceAccountsRepository as createMysqlServiceAccounts } from "./mysql/serviceAccounts.repository.js";
+import { createApiKeyRequestsRepository as createMysqlApiKeyRequests } from "./mysql/apiKeyRequests.repository.js";
+import { createSessionsRepository as createMysqlSessions } from "./mysql/sessions.repository.js";
+import { createRolesRepository as createMysqlRoles } from "./mysql/roles.repository.js";
+import { createImpersonationsRepository as createMysqlImpersonations } from "./mysql/impersonations.repository.js";
+import { createAuditRepository as createMysqlAudit } from "./mysql/audit.repository.js";
+import { createPenaltyRulesRepository as createMysqlPenaltyRules } from "./mysql/penaltyRules.repository.js";
+import { createObligationsRepository as createMysqlObligations } from "./mysql/obligations.repository.js";
+import { createCitizensRepository as createMemoryCitizens } from "./memory/citizens.repository.js";
+import { createRecordsRepository as createMemoryRecords } from "./memory/records.repository.js";
+import { createCitationsRepository as createMemoryCitations } from "./memory/citations.repository.js";
+import { createUsersRepository as createMemoryUsers } from "./memory/users.repository.js";
+import { createTokensRepository as createMemoryTokens } from "./memory/tokens.repository.js";
+import { createLoginAttemptsRepository as createMemoryLoginAttempts } from "./memory/loginAttempts.repository.js";
+import { createInvitationsRepository as createMemoryInvitations } from "./memory/invitations.repository.js";
+import { createTwoFactorRepository as createMemoryTwoFactor } from "./memory/twoFactor.repository.js";
+import { createPasswordResetsRepository as createMemoryPasswordResets } from "./memory/passwordResets.repository.js";
+import { createPasswordHistoryRepository as createMemoryPasswordHistory } from "./memory/passwordHistory.repository.js";
+import { createServiceAccountsRepository as createMemoryServiceAccounts } from "./memory/serviceAccounts.repository.js";
+import { createApiKeyRequestsRepository as createMemoryApiKeyRequests } from "./memory/apiKeyRequests.repository.js";
+import { createSessionsRepository as createMemorySessions } from "./memory/sessions.repository.js";
+import { createRolesRepository as createMemoryRoles } from "./memory/roles.repository.js";
+import { createImpersonationsRepository as createMemoryImpersonations } from "./memory/impersonations.repository.js";
+import { createAuditRepository as createMemoryAudit } from "./memory/audit.repository.js";
+import { createPenaltyRulesRepository as createMemoryPenaltyRules } from "./memory/penaltyRules.repository.js";
+import { createObligationsRepository as createMemoryObligations } from "./memory/obligations.repository.js";
+import { createMemoryStore, snapshotStore, restoreStore } from "./memory/store.js";
+
+/**
+ * Capa de repositorios independiente del almacenamiento
+ *
+ * Los modelos (*.model.js) contienen las reglas de negocio y delegan el acceso
+ * a datos en estos repositorios. El driver se elige con DB_DRIVER:
+ * - mysql (por defecto): consultas SQL contra el pool de Database.js
+ * - memory: almacén en memoria para arrancar y probar la API sin MySQL
+ */
+
+let mysqlRepositories = null;
+let memoryStore = null;
+let memoryRepositories = null;
+
+/**
+ * Obtener el driver de almacenamiento configurado
+ * @returns {string} 'mysql' o 'memory'
+ */
+export function getStorageDriver() {
+  return (process.env.DB_DRIVER || 'mysql').toLowerCase() === 'memory' ? 'memory' : 'mysql';
+}
+
+/**
+ * Crear los repositorios MySQL sobre un ejecutor de consultas
+ * @param {Object} db - Pool o conexión transaccional con query(sql, params)
+ * @returns {Object} { citizens, records, citations, users, tokens, loginAttempts, invitations, twoFactor, passwordResets, passwordHistory, serviceAccounts, apiKeyRequests, sessions, roles, impersonations, audit, penaltyRules, obligations }
+ */
+export function createMysqlRepositories(db) {
+  return {
+    citizens: createMysqlCitizens(db),
+    records: createMysqlRecords(db),
+    citations: createMysqlCitations(db),
+    users: createMysqlUsers(db),
+    tokens: createMysqlTokens(db),
+    loginAttempts: createMysqlLoginAttempts(db),
+    invitations: createMysqlInvitations(db),
+    twoFactor: createMysqlTwoFactor(db),
+    passwordResets: createMysqlPasswordResets(db),
+    passwordHistory: createMysqlPasswordHistory(db),
+    serviceAccounts: createMysqlServiceAccounts(db),
+    apiKeyRequests: createMysqlApiKeyRequests(db),
+    sessions: createMysqlSessions(db),
+    roles: createMysqlRoles(db),
+    impersonations: createMysqlImpersonations(db),
+    audit: createMysqlAudit(db),
+    penaltyRules: createMysqlPenaltyRules(db),
+    obligations: createMysqlObligations(db)
+  };
+}
+
+/**
+ * Crear los repositorios en memoria sobre un almacén
+ * @param {Object} store - Almacén creado con createMemoryStore
+ * @returns {Object} { citizens, records, citations, users, tokens, loginAttempts, invitations, twoFactor, passwordResets, passwordHistory, serviceAccounts, apiKeyRequests, sessions, roles, impersonations, audit, penaltyRules, obligations }
+ */
+export function createMemoryRepositories(store) {
+  return {
+    citizens: createMemoryCitizens(store),
+    records: createMemoryRecords(store),
+    citations: createMemoryCitations(store),
+    users: createMemoryUsers(store),
+    tokens: createMemoryTokens(store),
+    loginAttempts: createMemoryLoginAttempts(store),
+    invitations: createMemoryInvitations(store),
+    twoFactor: createMemoryTwoFactor(store),
+    passwordResets: createMemoryPasswordResets(store),
+    passwordHistory: createMemoryPasswordHistory(store),
+    serviceAccounts: createMemoryServiceAccounts(store),
+    apiKeyRequests: createMemoryApiKeyRequests(store),
+    sessions: createMemorySessions(store),
+    roles: createMemoryRoles(store),
+    impersonations: createMemoryImpersonations(store),
+    audit: createMemoryAudit(store),
+    penaltyRules: createMemoryPenaltyRules(store),
+    obligations: createMemoryObligations(store)
+  };
+}
+
+/**
+ * Obtener el almacén en memoria compartido (se crea bajo demanda)
+ * @returns {Object} Almacén en memoria
+ */
+export function getMemoryStore() {
+  if (!memoryStore) {
+    memoryStore = createMemoryStore();
+    memoryRepositories = createMemoryRepositories(memoryStore);
+  }
+  return memoryStore;
+}
+
+/**
+ * Vaciar el almacén en memoria dejando solo los catálogos iniciales (útil en pruebas)
+ */
+export function resetMemoryStore() {
+  memoryStore = createMemoryStore();
+  memoryRepositories = createMemoryRepositories(memoryStore);
+}
+
+/**
+ * Obtener los repositorios del driver configurado
+ * @returns {Object} { citizens, records, citations, users, tokens, loginAttempts, invitations, twoFactor, passwordResets, passwordHistory, serviceAccounts, apiKeyRequests, sessions, roles, impersonations, audit, penaltyRules, obligations }
+ */
+export function getRepositories() {
+  if (getStorageDriver() === 'memory') {
+    getMemoryStore();
+    return memoryRepositories;
+  }
+
+  if (!mysqlRepositories) {
+    mysqlRepositories = createMysqlRepositories(connection);
+  }
+  return mysqlRepositories;
+}
+
+// Cola de transacciones en memoria (ver withTransaction)
+let memoryTransactions = Promise.resolve();
+
+/**
+ * Ejecutar una función dentro de una transacción del driver configurado
+ * La función recibe repositorios ligados a la transacción.
+ * En memoria, un error restaura el estado previo del almacén y las transacciones
+ * se ejecutan de una en una (equivalente a los bloqueos FOR UPDATE de MySQL).
+ *
+ * @param {Function} fn - Función asíncrona que recibe los repositorios
+ * @returns {Promise<any>} Valor devuelto por fn
+ */
+export async function withTransaction(fn) {
+  if (getStorageDriver() === 'memory') {
+    const run = memoryTransactions.then(async () => {
+      const store = getMemoryStore();
+      const snapshot = snapshotStore(store);
+
+      try {
+        return await fn(memoryRepositories);
+      } catch (error) {
+        restoreStore(store, snapshot);
+        throw error;
+      }
+    });
+    memoryTransactions = run.catch(() => {});
+    return run;
+  }
+
+  return withMysqlTransaction((dbConnection) => fn(createMysqlRepositories(dbConnection)));
+}
+
+/**
+ * Verificar que el almacenamiento responde (usado por el health check)
+ * @returns {Promise<boolean>} True si está disponible
+ */
+export async function pingStorage() {
+  return getStorageDriver() === 'memory' ? true : pingDatabase();
+}
@@ -0,0 +1,38 @@
+import {
+  getTable,
+  findRow,
+  insertRow,
+  cloneRow,
+  sameId,
+  toTime,
+  paginate
+} from "./store.js";
+
+/**
+ * Repositorio en memoria del registro de peticiones hechas con API key
+ * Misma interfaz que el repositorio MySQL
+ *
+ * @param {Object} store - Almacén en memoria
+ * @returns {Object} Repositorio de peticiones con API key
+ */
+export function createApiKeyRequestsRepository(store) {
+  return {
+    async insert(entry) {
+      return insertRow(store, 'api_key_requests', { ip_address: null, requested_at: new Date(), ...entry });
+    },
+
+    async findAll(filters = {}) {
+      let rows = getTable(store, 'api_key_requests').map(row => {
+        const key = findRow(store, 'api_keys', row.api_key_id);
+        return { ...cloneRow(row), key_prefix: key ? key.key_prefix : null };
+      });
+
+      if (filters.service_account_id) rows = rows.filter(row => sameId(row.service_account_id, filters.service_account_id));
+      if (filters.api_key_id) rows = rows.filter(row => sameId(row.api_key_id, filters.api_key_id));
+      if (filters.date_from) rows = rows.filter(row => toTime(row.requested_at) >= toTime(filters.date_from));
+      if (filters.date_to) rows = rows.filter(row => toTime(row.requested_at) <= toTime(filters.date_to));
+
+      return paginate(rows.sort((a, b) => b.id - a.id), filters);
+    }
+  };
+}
@@ -0,0 +1,46 @@
+import {
+  getTable,
+  insertRow,
+  cloneRow,
+  sameId,
+  toTime,
+  paginate
+} from "./store.js";
+
+/**
+ * Repositorio en memoria del registro de auditoría (solo inserción y consulta)
+ * Misma interfaz que el repositorio MySQL
+ *
+ * @param {Object} store - Almacén en memoria
+ * @returns {Object} Repositorio de auditoría
+ */
+export function createAuditRepository(store) {
+  return {
+    async insert(entry) {
+      // Equivalente a los DEFAULT de las columnas
+      return insertRow(store, 'audit_log', {
+        actor_id: null,
+        actor_username: null,
+        actor_role: null,
+        ip_address: null,
+        created_at: new Date(),
+        ...entry,
+        changes: structuredClone(entry.changes)
+      });
+    },
+
+    async findAll(filters = {}) {
+      let rows = getTable(store, 'audit_log').map(row => ({ ...cloneRow(row), changes: structuredClone(row.changes) }));
+
+      if (filters.entity) rows = rows.filter(row => row.entity === filters.entity);
+      if (filters.entity_id) rows = rows.filter(row => sameId(row.entity_id, filters.entity_id));
+      if (filters.actor_type) rows = rows.filter(row => row.actor_type === filters.actor_type);
+      if (filters.actor_id) rows = rows.filter(row => sameId(row.actor_id, filters.actor_id));
+      if (filters.action) rows = rows.filter(row => row.action === filters.action);
+      if (filters.date_from) rows = rows.filter(row => toTime(row.created_at) >= toTime(filters.date_from));
+      if (filters.date_to) rows = rows.filter(row => toTime(row.created_at) <= toTime(filters.date_to));
+
+      return paginate(rows.sort((a, b) => b.id - a.id), filters);
+    }
+  };
+}
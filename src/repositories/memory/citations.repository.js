@@ -0,0 +1,279 @@
+import {
+  getTable,
+  findRow,
+  insertRow,
+  updateRows,
+  deleteRows,
+  sameId,
+  like,
+  toTime,
+  paginate
+} from "./store.js";
+
+/**
+ * Repositorio en memoria de citaciones (amonestaciones menores)
+ * Misma interfaz que el repositorio MySQL
+ *
+ * @param {Object} store - Almacén en memoria
+ * @returns {Object} Repositorio de citaciones
+ */
+export function createCitationsRepository(store) {
+  /**
+   * Equivalente al SELECT con INNER JOIN del ciudadano
+   * y LEFT JOIN de los usuarios que la registraron y modificaron
+   */
+  const withRelations = (citation) => {
+    const citizen = findRow(store, 'citizens', citation.citizen_id);
+    if (!citizen) return null;
+
+    const issuer = citation.issued_by ? findRow(store, 'users', citation.issued_by) : null;
+    const editor = citation.updated_by ? findRow(store, 'users', citation.updated_by) : null;
+    const deleter = citation.deleted_by ? findRow(store, 'users', citation.deleted_by) : null;
+
+    return {
+      id: citation.id,
+      citizen_id: citation.citizen_id,
+      date: citation.date,
+      description: citation.description,
+      fine_amount: citation.fine_amount,
+      citation_number: citation.citation_number ?? null,
+      civic_course_hours: citation.civic_course_hours ?? null,
+      civic_work_days: citation.civic_work_days ?? null,
+      jail_days: citation.jail_days ?? null,
+      penalty_description: citation.penalty_description ?? null,
+      rule_set_id: citation.rule_set_id ?? null,
+      rule_set_version: citation.rule_set_version ?? null,
+      issued_by: citation.issued_by ?? null,
+      issued_by_username: issuer ? issuer.username : null,
+      updated_by: citation.updated_by ?? null,
+      updated_by_username: editor ? editor.username : null,
+      updated_at: citation.updated_at ?? null,
+      deleted_at: citation.deleted_at ?? null,
+      deleted_by: citation.deleted_by ?? null,
+      deleted_by_username: deleter ? deleter.username : null,
+      version: citation.version,
+      citizen_name: citizen.full_name,
+      citizen_last_name: citizen.last_name,
+      citizen_qr_code: citizen.qr_code
+    };
+  };
+
+  // Filas activas (deleted_at IS NULL) salvo que se pidan también las eliminadas
+  const visibleRows = (options = {}) => getTable(store, 'citations')
+    .filter(row => options.include_deleted === true || !row.deleted_at);
+
+  const joinedRows = (options) => visibleRows(options).map(withRelations).filter(Boolean);
+  const deletedBefore = (date) => row => row.deleted_at && toTime(row.deleted_at) < toTime(date);
+  const byDateDesc = (a, b) => toTime(b.date) - toTime(a.date);
+  // Equivalente al ON DELETE SET NULL del antecedente automático de la citación
+  const unlinkRecords = (predicate) => {
+    const ids = getTable(store, 'citations').filter(predicate).map(row => row.id);
+    updateRows(store, 'criminal_records', row => ids.some(id => sameId(row.source_citation_id, id)), { source_citation_id: null });
+  };
+  // Equivalente a los ON DELETE CASCADE de las obligaciones de la citación y su progreso
+  const deleteObligations = (predicate) => {
+    const ids = getTable(store, 'citations').filter(predicate).map(row => row.id);
+    const obligationIds = getTable(store, 'sentence_obligations')
+      .filter(row => ids.some(id => sameId(row.citation_id, id)))
+      .map(row => row.id);
+    deleteRows(store, 'obligation_progress', row => obligationIds.some(id => sameId(row.obligation_id, id)));
+    deleteRows(store, 'sentence_obligations', row => obligationIds.some(id => sameId(row.id, id)));
+  };
+  const sumFines = (rows) => rows.reduce((sum, row) => sum + Number(row.fine_amount), 0);
+
+  return {
+    async findByCitizenId(citizenId, options = {}) {
+      return joinedRows(options).filter(citation => sameId(citation.citizen_id, citizenId)).sort(byDateDesc);
+    },
+
+    async findById(citationId, options = {}) {
+      return joinedRows(options).find(citation => sameId(citation.id, citationId)) || null;
+    },
+
+    async findAll(filters = {}) {
+      const rows = joinedRows(filters)
+        .filter(c => !filters.location || like(c.description, filters.location))
+        .filter(c => !filters.date_from || toTime(c.date) >= toTime(filters.date_from))
+        .filter(c => !filters.date_to || toTime(c.date) <= toTime(filters.date_to))
+        .filter(c => !filters.fine_amount_min || Number(c.fine_amount) >= Number(filters.fine_amount_min))
+        .filter(c => !filters.fine_amount_max || Number(c.fine_amount) <= Number(filters.fine_amount_max))
+        .sort(byDateDesc);
+      return paginate(rows, filters);
+    },
+
+    async search(criteria) {
+      const rows = joinedRows(criteria)
+        .filter(c => !criteria.term || [c.description, c.citizen_name, c.citizen_last_name].some(value => like(value, criteria.term)))
+        .filter(c => !criteria.citizen_name || like(c.citizen_name, criteria.citizen_name) || like(c.citizen_last_name, criteria.citizen_name))
+        .filter(c => !criteria.issued_by || sameId(c.issued_by, criteria.issued_by))
+        .filter(c => !criteria.updated_by || sameId(c.updated_by, criteria.updated_by))
+        .sort(byDateDesc);
+      return paginate(rows, criteria);
+    },
+
+    async countByCitizen(citizenId) {
+      return visibleRows().filter(row => sameId(row.citizen_id, citizenId)).length;
+    },
+
+    async sumFinesByCitizen(citizenId) {
+      return sumFines(visibleRows().filter(row => sameId(row.citizen_id, citizenId)));
+    },
+
+    async insert(citation) {
+      return insertRow(store, 'citations', citation);
+    },
+
+    async lockVersion(citationId) {
+      const row = findRow(store, 'citations', citationId);
+      return row ? row.version : null;
+    },
+
+    async update(citationId, data) {
+      return updateRows(store, 'citations', row => sameId(row.id, citationId), data);
+    },
+
+    async delete(citationId) {
+      unlinkRecords(row => sameId(row.id, citationId));
+      deleteObligations(row => sameId(row.id, citationId));
+      return deleteRows(store, 'citations', row => sameId(row.id, citationId));
+    },
+
+    async softDelete(citationId, deletion) {
+      return updateRows(store, 'citations', row => sameId(row.id, citationId) && !row.deleted_at, deletion);
+    },
+
+    async restore(citationId) {
+      return updateRows(
+        store,
+        'citations',
+        row => sameId(row.id, citationId) && row.deleted_at,
+        { deleted_at: null, deleted_by: null }
+      );
+    },
+
+    async softDeleteByCitizen(citizenId, deletion) {
+      return updateRows(store, 'citations', row => sameId(row.citizen_id, citizenId) && !row.deleted_at, deletion);
+    },
+
+    async restoreByCitizen(citizenId, deletedAt) {
+      return updateRows(
+        store,
+        'citations',
+        row => sameId(row.citizen_id, citizenId) && row.deleted_at && toTime(row.deleted_at) === toTime(deletedAt),
+        { deleted_at: null, deleted_by: null }
+      );
+    },
+
+    async findDeletedBefore(date) {
+      return getTable(store, 'citations')
+        .filter(deletedBefore(date))
+        .map(row => ({ id: row.id, citizen_id: row.citizen_id, deleted_at: row.deleted_at }))
+        .sort((a, b) => a.id - b.id);
+    },
+
+    async purgeDeletedBefore(date) {
+      unlinkRecords(deletedBefore(date));
+      deleteObligations(deletedBefore(date));
+      return deleteRows(store, 'citations', deletedBefore(date));
+    },
+
+    async getStats() {
+      const citations = visibleRows();
+      const fines = citations.map(row => Number(row.fine_amount));
+
+      const since = new Date();
+      since.setMonth(since.getMonth() - 12);
+
+      const months = new Map();
+      for (const citation of citations) {
+        if (toTime(citation.date) < since.getTime()) continue;
+
+        const month = new Date(citation.date).toISOString().slice(0, 7);
+        const group = months.get(month) || { month, citations_count: 0, month_fines_total: 0 };
+        group.citations_count++;
+        group.month_fines_total += Number(citation.fine_amount);
+        months.set(month, group);
+      }
+
+      // Las citaciones sin detalle (anteriores a la migración 0023) no cuentan en las penalizaciones
+      const detailed = citations.filter(row => row.citation_number !== null && row.citation_number !== undefined);
+      const total = (rows, column) => rows.reduce((sum, row) => sum + Number(row[column] ?? 0), 0);
+      const withSome = (column) => detailed.filter(row => row[column] > 0).length;
+
+      const ruleSets = new Map();
+      for (const citation of detailed) {
+        const key = `${citation.rule_set_id ?? ''}:${citation.rule_set_version ?? ''}`;
+        const ruleSet = citation.rule_set_id ? findRow(store, 'penalty_rule_sets', citation.rule_set_id) : null;
+        const group = ruleSets.get(key) || {
+          rule_set_id: citation.rule_set_id ?? null,
+          rule_set_version: citation.rule_set_version ?? null,
+          planet_id: ruleSet ? ruleSet.planet_id : null,
+          rule_set_name: ruleSet ? ruleSet.name : null,
+          rows: []
+        };
+        group.rows.push(citation);
+        ruleSets.set(key, group);
+      }
+
+      return {
+        penalties: {
+          citations_with_details: detailed.length,
+          citations_with_civic_course: withSome('civic_course_hours'),
+          citations_with_civic_work: withSome('civic_work_days'),
+          citations_with_jail: withSome('jail_days'),
+          total_civic_course_hours: total(detailed, 'civic_course_hours'),
+          total_civic_work_days: total(detailed, 'civic_work_days'),
+          total_jail_days: total(detailed, 'jail_days')
+        },
+        by_rule_set: [...ruleSets.values()]
+          .map(({ rows, ...group }) => ({
+            ...group,
+            citations_count: rows.length,
+            fines_total: sumFines(rows),
+            civic_course_hours_total: total(rows, 'civic_course_hours'),
+            civic_work_days_total: total(rows, 'civic_work_days'),
+            jail_days_total: total(rows, 'jail_days')
+          }))
+          .sort((a, b) => (b.citations_count - a.citations_count) || ((a.rule_set_id ?? 0) - (b.rule_set_id ?? 0))),
+        general: {
+          total_citations: citations.length,
+          total_citizens_with_citations: new Set(citations.map(row => Number(row.citizen_id))).size,
+          total_fines_amount: citations.length > 0 ? sumFines(citations) : null,
+          average_fine_amount: citations.length > 0 ? sumFines(citations) / citations.length : null,
+          min_fine_amount: citations.length > 0 ? Math.min(...fines) : null,
+          max_fine_amount: citations.length > 0 ? Math.max(...fines) : null
+        },
+        by_month: [...months.values()].sort((a, b) => b.month.localeCompare(a.month))
+      };
+    },
+
+    async getTopOffenders(limit = 10) {
+      const groups = new Map();
+
+      for (const citation of visibleRows()) {
+        const citizen = findRow(store, 'citizens', citation.citizen_id);
+        if (!citizen) continue;
+
+        const group = groups.get(citizen.id) || {
+          id: citizen.id,
+          full_name: citizen.full_name,
+          last_name: citizen.last_name,
+          qr_code: citizen.qr_code,
+          total_citations: 0,
+          total_fines: 0,
+          last_citation_date: null
+        };
+        group.total_citations++;
+        group.total_fines += Number(citation.fine_amount);
+        if (!group.last_citation_date || toTime(citation.date) > toTime(group.last_citation_date)) {
+          group.last_citation_date = citation.date;
+        }
+        groups.set(citizen.id, group);
+      }
+
+      return [...groups.values()]
+        .sort((a, b) => (b.total_citations - a.total_citations) || (b.total_fines - a.total_fines))
+        .slice(0, limit);
+    }
+  };
+}
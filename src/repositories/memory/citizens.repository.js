@@ -0,0 +1,162 @@
+import {
+  getTable,
+  findRow,
+  insertRow,
+  updateRows,
+  deleteRows,
+  cloneRow,
+  sameId,
+  like,
+  toTime
+} from "./store.js";
+
+/**
+ * Repositorio en memoria de ciudadanos y catálogos asociados (estados y planetas)
+ * Misma interfaz que el repositorio MySQL
+ *
+ * @param {Object} store - Almacén en memoria
+ * @returns {Object} Repositorio de ciudadanos
+ */
+export function createCitizensRepository(store) {
+  /**
+   * Equivalente al SELECT con INNER JOIN de estados y planetas
+   */
+  const withRelations = (citizen) => {
+    const status = findRow(store, 'statuses', citizen.status_id);
+    const origin = findRow(store, 'planets', citizen.origin_planet);
+    const residence = findRow(store, 'planets', citizen.residence_planet);
+    if (!status || !origin || !residence) return null;
+
+    const deleter = citizen.deleted_by ? findRow(store, 'users', citizen.deleted_by) : null;
+
+    return {
+      id: citizen.id,
+      full_name: citizen.full_name,
+      last_name: citizen.last_name,
+      nick_name: citizen.nick_name,
+      birth_date: citizen.birth_date,
+      origin_planet: citizen.origin_planet,
+      residence_planet: citizen.residence_planet,
+      avatar_url: citizen.avatar_url,
+      qr_code: citizen.qr_code,
+      status_id: citizen.status_id,
+      status_name: status.status_name,
+      status_description: status.description,
+      origin_planet_name: origin.planet_name,
+      residence_planet_name: residence.planet_name,
+      deleted_at: citizen.deleted_at ?? null,
+      deleted_by: citizen.deleted_by ?? null,
+      deleted_by_username: deleter ? deleter.username : null,
+      version: citizen.version
+    };
+  };
+
+  // Filas activas (deleted_at IS NULL) salvo que se pidan también las eliminadas
+  const visibleRows = (options = {}) => getTable(store, 'citizens')
+    .filter(row => options.include_deleted === true || !row.deleted_at);
+
+  const joinedRows = (options) => visibleRows(options).map(withRelations).filter(Boolean);
+  const deletedBefore = (date) => row => row.deleted_at && toTime(row.deleted_at) < toTime(date);
+
+  return {
+    async findAll(options = {}) {
+      return joinedRows(options).sort((a, b) => a.id - b.id);
+    },
+
+    async findById(id, options = {}) {
+      return joinedRows(options).find(citizen => sameId(citizen.id, id)) || null;
+    },
+
+    async search(criteria) {
+      return joinedRows(criteria)
+        .filter(c => !criteria.name || like(c.full_name, criteria.name) || like(c.last_name, criteria.name))
+        .filter(c => !criteria.nickname || like(c.nick_name, criteria.nickname))
+        .filter(c => !criteria.planet || like(c.origin_planet_name, criteria.planet) || like(c.residence_planet_name, criteria.planet))
+        .filter(c => !criteria.status_id || sameId(c.status_id, criteria.status_id))
+        .sort((a, b) => a.full_name.localeCompare(b.full_name));
+    },
+
+    async insert(citizen) {
+      return insertRow(store, 'citizens', citizen);
+    },
+
+    async lockVersion(id) {
+      const row = findRow(store, 'citizens', id);
+      return row ? row.version : null;
+    },
+
+    async update(id, data) {
+      return updateRows(store, 'citizens', row => sameId(row.id, id), data);
+    },
+
+    async delete(id) {
+      return deleteRows(store, 'citizens', row => sameId(row.id, id));
+    },
+
+    async softDelete(id, deletion) {
+      return updateRows(store, 'citizens', row => sameId(row.id, id) && !row.deleted_at, deletion);
+    },
+
+    async restore(id) {
+      return updateRows(store, 'citizens', row => sameId(row.id, id) && row.deleted_at, { deleted_at: null, deleted_by: null });
+    },
+
+    async findDeletedBefore(date) {
+      return getTable(store, 'citizens')
+        .filter(deletedBefore(date))
+        .map(row => ({ id: row.id, avatar_url: row.avatar_url, deleted_at: row.deleted_at }))
+        .sort((a, b) => a.id - b.id);
+    },
+
+    async purgeDeletedBefore(date) {
+      return deleteRows(store, 'citizens', deletedBefore(date));
+    },
+
+    async exists(id, options = {}) {
+      return visibleRows(options).some(row => sameId(row.id, id));
+    },
+
+    async nicknameExists(nickname, excludeId = null) {
+      return getTable(store, 'citizens').some(row =>
+        row.nick_name !== null && String(row.nick_name).toLowerCase() === String(nickname).toLowerCase() &&
+        !sameId(row.id, excludeId)
+      );
+    },
+
+    async qrCodeExists(qrCode, excludeId = null) {
+      return getTable(store, 'citizens').some(row =>
+        String(row.qr_code).toLowerCase() === String(qrCode).toLowerCase() && !sameId(row.id, excludeId)
+      );
+    },
+
+    async getStats() {
+      const citizens = visibleRows();
+      const countStatus = (statusId) => citizens.filter(row => Number(row.status_id) === statusId).length;
+
+      return {
+        total_citizens: citizens.length,
+        alive_citizens: countStatus(1),
+        dead_citizens: countStatus(0),
+        frozen_citizens: countStatus(2),
+        total_origin_planets: new Set(citizens.map(row => Number(row.origin_planet))).size,
+        total_residence_planets: new Set(citizens.map(row => Number(row.residence_planet))).size
+      };
+    },
+
+    async findAllStatuses() {
+      return getTable(store, 'statuses').map(cloneRow).sort((a, b) => a.id - b.id);
+    },
+
+    async statusExists(statusId) {
+      return findRow(store, 'statuses', statusId) !== null;
+    },
+
+    async findAllPlanets() {
+      return getTable(store, 'planets').map(cloneRow).sort((a, b) => a.id - b.id);
+    },
+
+    async planetExists(planetId) {
+      return findRow(store, 'planets', planetId) !== null;
+    }
+  };
+}
@@ -0,0 +1,78 @@
+import {
+  getTable,
+  findRow,
+  insertRow,
+  updateRows,
+  cloneRow,
+  sameId,
+  toTime,
+  paginate
+} from "./store.js";
+
+/**
+ * Repositorio en memoria de suplantaciones y de las peticiones hechas durante ellas
+ * Misma interfaz que el repositorio MySQL
+ *
+ * @param {Object} store - Almacén en memoria
+ * @returns {Object} Repositorio de suplantaciones
+ */
+export function createImpersonationsRepository(store) {
+  return {
+    async insert(impersonation) {
+      // Equivalente a los DEFAULT de las columnas
+      return insertRow(store, 'impersonations', {
+        reason: null,
+        ip_address: null,
+        started_at: new Date(),
+        ended_at: null,
+        ...impersonation
+      });
+    },
+
+    async findById(id) {
+      return cloneRow(findRow(store, 'impersonations', id));
+    },
+
+    async findBySessionId(sessionId) {
+      return cloneRow(getTable(store, 'impersonations').find(row => row.session_id === sessionId));
+    },
+
+    async end(id, endedAt) {
+      return updateRows(
+        store,
+        'impersonations',
+        row => sameId(row.id, id) && row.ended_at === null,
+        { ended_at: endedAt }
+      );
+    },
+
+    async findAll(filters = {}) {
+      const requests = getTable(store, 'impersonation_requests');
+
+      let rows = getTable(store, 'impersonations').map(row => ({
+        ...cloneRow(row),
+        request_count: requests.filter(request => sameId(request.impersonation_id, row.id)).length
+      }));
+
+      if (filters.admin_id) rows = rows.filter(row => sameId(row.admin_id, filters.admin_id));
+      if (filters.user_id) rows = rows.filter(row => sameId(row.user_id, filters.user_id));
+      if (filters.date_from) rows = rows.filter(row => toTime(row.started_at) >= toTime(filters.date_from));
+      if (filters.date_to) rows = rows.filter(row => toTime(row.started_at) <= toTime(filters.date_to));
+
+      return paginate(rows.sort((a, b) => b.id - a.id), filters);
+    },
+
+    async insertRequest(entry) {
+      return insertRow(store, 'impersonation_requests', { ip_address: null, requested_at: new Date(), ...entry });
+    },
+
+    async findRequests(impersonationId, filters = {}) {
+      const rows = getTable(store, 'impersonation_requests')
+        .filter(row => sameId(row.impersonation_id, impersonationId))
+        .map(cloneRow)
+        .sort((a, b) => b.id - a.id);
+
+      return paginate(rows, filters);
+    }
+  };
+}
@@ -0,0 +1,66 @@
+import {
+  getTable,
+  findRow,
+  insertRow,
+  updateRows,
+  sameId
+} from "./store.js";
+
+/**
+ * Repositorio en memoria de invitaciones de registro
+ * Misma interfaz que el repositorio MySQL
+ *
+ * @param {Object} store - Almacén en memoria
+ * @returns {Object} Repositorio de invitaciones
+ */
+export function createInvitationsRepository(store) {
+  /**
+   * Equivalente al SELECT con INNER JOIN del rol (sin el hash del código)
+   */
+  const withRole = (invitation) => {
+    const role = findRow(store, 'roles', invitation.role_id);
+    if (!role) return null;
+
+    const { code_hash, ...fields } = invitation;
+    return { ...fields, role_name: role.role_name };
+  };
+
+  return {
+    async insert(invitation) {
+      return insertRow(store, 'invitations', {
+        created_at: new Date(),
+        used_at: null,
+        used_by: null,
+        revoked_at: null,
+        ...invitation
+      });
+    },
+
+    async findById(id) {
+      const invitation = findRow(store, 'invitations', id);
+      return invitation ? withRole(invitation) : null;
+    },
+
+    async findByCodeHash(codeHash) {
+      const invitation = getTable(store, 'invitations').find(row => row.code_hash === codeHash);
+      return invitation ? withRole(invitation) : null;
+    },
+
+    async findAll() {
+      return getTable(store, 'invitations').map(withRole).filter(Boolean).sort((a, b) => b.id - a.id);
+    },
+
+    async claim(id, usedAt) {
+      return updateRows(
+        store,
+        'invitations',
+        row => sameId(row.id, id) && row.used_at === null && row.revoked_at === null,
+        { used_at: usedAt }
+      );
+    },
+
+    async update(id, data) {
+      return updateRows(store, 'invitations', row => sameId(row.id, id), data);
+    }
+  };
+}
@@ -0,0 +1,76 @@
+import {
+  getTable,
+  findRow,
+  insertRow,
+  cloneRow,
+  sameId,
+  like,
+  toTime,
+  paginate
+} from "./store.js";
+
+/**
+ * Repositorio en memoria del historial de intentos de login
+ * Misma interfaz que el repositorio MySQL
+ *
+ * @param {Object} store - Almacén en memoria
+ * @returns {Object} Repositorio de intentos de login
+ */
+export function createLoginAttemptsRepository(store) {
+  /**
+   * Equivalente a la condición SQL de la clave de cuenta
+   */
+  const matchesAccount = (row, key) => key.userId
+    ? sameId(row.user_id, key.userId)
+    : (row.user_id === null || row.user_id === undefined) && row.login === key.login;
+
+  const newestFirst = (a, b) => b.id - a.id;
+
+  return {
+    async insert(attempt) {
+      return insertRow(store, 'login_attempts', { attempted_at: new Date(), ...attempt });
+    },
+
+    async findLastReset(key) {
+      const reset = getTable(store, 'login_attempts')
+        .filter(row => matchesAccount(row, key) && ['success', 'unlocked'].includes(row.result))
+        .sort(newestFirst)[0];
+      return reset ? { id: reset.id, attempted_at: reset.attempted_at } : null;
+    },
+
+    async findFailures(key, afterId, since) {
+      return getTable(store, 'login_attempts')
+        .filter(row =>
+          matchesAccount(row, key) &&
+          row.result === 'failure' &&
+          row.id > afterId &&
+          toTime(row.attempted_at) >= toTime(since)
+        )
+        .sort(newestFirst)
+        .map(row => ({ id: row.id, attempted_at: row.attempted_at }));
+    },
+
+    async findIpFailures(ipAddress, since) {
+      return getTable(store, 'login_attempts')
+        .filter(row => row.ip_address === ipAddress && row.result === 'failure' && toTime(row.attempted_at) >= toTime(since))
+        .sort(newestFirst)
+        .map(row => ({ id: row.id, attempted_at: row.attempted_at }));
+    },
+
+    async findAll(filters = {}) {
+      let rows = getTable(store, 'login_attempts').map(row => {
+        const user = row.user_id ? findRow(store, 'users', row.user_id) : null;
+        return { ...cloneRow(row), username: user ? user.username : null };
+      });
+
+      if (filters.user_id) rows = rows.filter(row => sameId(row.user_id, filters.user_id));
+      if (filters.login) rows = rows.filter(row => like(row.login, filters.login));
+      if (filters.ip_address) rows = rows.filter(row => row.ip_address === filters.ip_address);
+      if (filters.result) rows = rows.filter(row => row.result === filters.result);
+      if (filters.date_from) rows = rows.filter(row => toTime(row.attempted_at) >= toTime(filters.date_from));
+      if (filters.date_to) rows = rows.filter(row => toTime(row.attempted_at) <= toTime(filters.date_to));
+
+      return paginate(rows.sort(newestFirst), filters);
+    }
+  };
+}
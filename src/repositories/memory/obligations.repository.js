@@ -0,0 +1,136 @@
+import {
+  getTable,
+  findRow,
+  insertRow,
+  updateRows,
+  sameId,
+  paginate
+} from "./store.js";
+
+/**
+ * Repositorio en memoria de obligaciones de las sanciones de las citaciones
+ * Misma interfaz que el repositorio MySQL
+ *
+ * @param {Object} store - Almacén en memoria
+ * @returns {Object} Repositorio de obligaciones
+ */
+export function createObligationsRepository(store) {
+  /**
+   * Columnas propias de la obligación
+   */
+  const columns = (obligation) => ({
+    id: obligation.id,
+    citation_id: obligation.citation_id,
+    obligation_type: obligation.obligation_type,
+    required_amount: obligation.required_amount,
+    completed_amount: obligation.completed_amount,
+    due_date: obligation.due_date,
+    completed_at: obligation.completed_at,
+    cancelled_at: obligation.cancelled_at,
+    created_at: obligation.created_at,
+    updated_at: obligation.updated_at
+  });
+
+  /**
+   * Equivalente al SELECT con INNER JOIN de la citación activa y su ciudadano
+   */
+  const withRelations = (obligation) => {
+    const citation = findRow(store, 'citations', obligation.citation_id);
+    if (!citation || citation.deleted_at) return null;
+    const citizen = findRow(store, 'citizens', citation.citizen_id);
+    if (!citizen) return null;
+
+    return {
+      ...columns(obligation),
+      citizen_id: citation.citizen_id,
+      citation_date: citation.date,
+      citation_description: citation.description,
+      citizen_name: citizen.full_name,
+      citizen_last_name: citizen.last_name,
+      citizen_qr_code: citizen.qr_code
+    };
+  };
+
+  const joinedRows = () => getTable(store, 'sentence_obligations').map(withRelations).filter(Boolean);
+  // ORDER BY due_date, id (las fechas 'YYYY-MM-DD' se comparan como texto)
+  const byDueDate = (a, b) => a.due_date.localeCompare(b.due_date) || (a.id - b.id);
+
+  return {
+    async findByCitizenId(citizenId) {
+      return joinedRows().filter(row => sameId(row.citizen_id, citizenId)).sort(byDueDate);
+    },
+
+    async findById(obligationId) {
+      return joinedRows().find(row => sameId(row.id, obligationId)) || null;
+    },
+
+    async findByCitationId(citationId) {
+      return getTable(store, 'sentence_obligations')
+        .filter(row => sameId(row.citation_id, citationId))
+        .sort((a, b) => a.id - b.id)
+        .map(columns);
+    },
+
+    async findOverdue(filters = {}) {
+      const rows = joinedRows()
+        .filter(row => !row.cancelled_at && !row.completed_at && row.due_date < filters.date)
+        .filter(row => !filters.obligation_type || row.obligation_type === filters.obligation_type)
+        .filter(row => !filters.citizen_id || sameId(row.citizen_id, filters.citizen_id))
+        .sort(byDueDate);
+      return paginate(rows, filters);
+    },
+
+    async insert(obligation) {
+      // Equivalente a los DEFAULT de las columnas
+      const now = new Date();
+      return insertRow(store, 'sentence_obligations', {
+        completed_amount: 0,
+        completed_at: null,
+        cancelled_at: null,
+        created_at: now,
+        updated_at: now,
+        ...obligation
+      });
+    },
+
+    async update(obligationId, data) {
+      return updateRows(
+        store,
+        'sentence_obligations',
+        row => sameId(row.id, obligationId),
+        { ...data, updated_at: new Date() }
+      );
+    },
+
+    async lock(obligationId) {
+      return Boolean(findRow(store, 'sentence_obligations', obligationId));
+    },
+
+    async findProgress(obligationId) {
+      return getTable(store, 'obligation_progress')
+        .filter(row => sameId(row.obligation_id, obligationId))
+        .sort((a, b) => a.id - b.id)
+        .map(row => {
+          const logger = row.logged_by ? findRow(store, 'users', row.logged_by) : null;
+          return {
+            id: row.id,
+            obligation_id: row.obligation_id,
+            amount: row.amount,
+            notes: row.notes,
+            logged_by: row.logged_by,
+            logged_by_username: logger ? logger.username : null,
+            logged_at: row.logged_at
+          };
+        });
+    },
+
+    async insertProgress(entry) {
+      return insertRow(store, 'obligation_progress', {
+        notes: null,
+        logged_by: null,
+        logged_at: new Date(),
+        ...entry
+      });
+    }
+  };
+}
@@ -0,0 +1,40 @@
+import {
+  getTable,
+  insertRow,
+  deleteRows,
+  sameId
+} from "./store.js";
+
+/**
+ * Repositorio en memoria del historial de contraseñas
+ * Misma interfaz que el repositorio MySQL
+ *
+ * @param {Object} store - Almacén en memoria
+ * @returns {Object} Repositorio del historial de contraseñas
+ */
+export function createPasswordHistoryRepository(store) {
+  const recentFirst = (userId) => getTable(store, 'password_history')
+    .filter(row => sameId(row.user_id, userId))
+    .sort((a, b) => b.id - a.id);
+
+  return {
+    async insert(userId, passwordHash) {
+      return insertRow(store, 'password_history', {
+        user_id: userId,
+        password_hash: passwordHash,
+        created_at: new Date()
+      });
+    },
+
+    async findRecent(userId, limit) {
+      return recentFirst(userId)
+        .slice(0, limit)
+        .map(({ id, password_hash, created_at }) => ({ id, password_hash, created_at }));
+    },
+
+    async prune(userId, keep) {
+      const kept = new Set(recentFirst(userId).slice(0, keep).map(row => row.id));
+      return deleteRows(store, 'password_history', row => sameId(row.user_id, userId) && !kept.has(row.id));
+    }
+  };
+}
@@ -0,0 +1,61 @@
+import {
+  getTable,
+  insertRow,
+  updateRows,
+  deleteRows,
+  cloneRow,
+  sameId,
+  toTime
+} from "./store.js";
+
+/**
+ * Repositorio en memoria de tokens de recuperación de contraseña
+ * Misma interfaz que el repositorio MySQL
+ *
+ * @param {Object} store - Almacén en memoria
+ * @returns {Object} Repositorio de recuperaciones de contraseña
+ */
+export function createPasswordResetsRepository(store) {
+  return {
+    async insert(reset) {
+      return insertRow(store, 'password_reset_tokens', {
+        requested_ip: null,
+        created_at: new Date(),
+        used_at: null,
+        ...reset
+      });
+    },
+
+    async findByHash(tokenHash) {
+      return cloneRow(getTable(store, 'password_reset_tokens').find(row => row.token_hash === tokenHash));
+    },
+
+    async countSince(userId, since) {
+      return getTable(store, 'password_reset_tokens')
+        .filter(row => sameId(row.user_id, userId) && toTime(row.created_at) >= toTime(since))
+        .length;
+    },
+
+    async claim(id, usedAt) {
+      return updateRows(
+        store,
+        'password_reset_tokens',
+        row => sameId(row.id, id) && row.used_at === null && toTime(row.expires_at) > toTime(usedAt),
+        { used_at: usedAt }
+      );
+    },
+
+    async invalidateForUser(userId, usedAt) {
+      return updateRows(
+        store,
+        'password_reset_tokens',
+        row => sameId(row.user_id, userId) && row.used_at === null,
+        { used_at: usedAt }
+      );
+    },
+
+    async deleteExpired(now) {
+      return deleteRows(store, 'password_reset_tokens', row => toTime(row.expires_at) <= toTime(now));
+    }
+  };
+}
@@ -0,0 +1,125 @@
+import {
+  getTable,
+  findRow,
+  insertRow,
+  updateRows,
+  deleteRows,
+  sameId
+} from "./store.js";
+
+/**
+ * Repositorio en memoria de regímenes de sanción de las citaciones
+ * Misma interfaz que el repositorio MySQL
+ *
+ * @param {Object} store - Almacén en memoria
+ * @returns {Object} Repositorio de regímenes de sanción
+ */
+export function createPenaltyRulesRepository(store) {
+  /**
+   * Equivalente al SELECT con LEFT JOIN del planeta y del usuario que lo creó
+   * (las reglas se clonan para no exponer el almacén)
+   */
+  const withRelations = (ruleSet) => {
+    const planet = ruleSet.planet_id ? findRow(store, 'planets', ruleSet.planet_id) : null;
+    const creator = ruleSet.created_by ? findRow(store, 'users', ruleSet.created_by) : null;
+
+    return {
+      id: ruleSet.id,
+      planet_id: ruleSet.planet_id,
+      planet_name: planet ? planet.planet_name : null,
+      version: ruleSet.version,
+      name: ruleSet.name,
+      tiers: structuredClone(ruleSet.tiers),
+      escalation: structuredClone(ruleSet.escalation),
+      lookback_years: ruleSet.lookback_years ?? null,
+      effective_from: ruleSet.effective_from,
+      effective_to: ruleSet.effective_to,
+      created_by: ruleSet.created_by,
+      created_by_username: creator ? creator.username : null,
+      created_at: ruleSet.created_at,
+      updated_at: ruleSet.updated_at
+    };
+  };
+
+  // planet_id NULL identifica el régimen general
+  const inScope = (planetId) => row => planetId === null || planetId === undefined
+    ? row.planet_id === null
+    : sameId(row.planet_id, planetId);
+
+  // Las fechas de vigencia son 'YYYY-MM-DD': se comparan como texto
+  const inForceAt = (date) => row => row.effective_from <= date && (row.effective_to === null || row.effective_to >= date);
+
+  return {
+    async findAll(filters = {}) {
+      return getTable(store, 'penalty_rule_sets')
+        .filter(row => !filters.planet_id || sameId(row.planet_id, filters.planet_id))
+        .filter(row => !filters.date || inForceAt(filters.date)(row))
+        // ORDER BY planet_id IS NOT NULL, planet_id, version
+        .sort((a, b) => (a.planet_id ?? 0) - (b.planet_id ?? 0) || a.version - b.version)
+        .map(withRelations);
+    },
+
+    async findById(id) {
+      const ruleSet = findRow(store, 'penalty_rule_sets', id);
+      return ruleSet ? withRelations(ruleSet) : null;
+    },
+
+    async findInForce(planetId, date) {
+      const ruleSet = getTable(store, 'penalty_rule_sets')
+        .filter(inScope(planetId))
+        .filter(inForceAt(date))
+        .sort((a, b) => b.effective_from.localeCompare(a.effective_from))[0];
+      return ruleSet ? withRelations(ruleSet) : null;
+    },
+
+    async findOverlapping(planetId, from, to, excludeId = null) {
+      return getTable(store, 'penalty_rule_sets')
+        .filter(inScope(planetId))
+        .filter(row => !sameId(row.id, excludeId))
+        .filter(row => (row.effective_to === null || row.effective_to >= from) && (!to || row.effective_from <= to))
+        .sort((a, b) => a.effective_from.localeCompare(b.effective_from))
+        .map(withRelations);
+    },
+
+    async findPredecessor(planetId, effectiveTo, excludeId) {
+      const ruleSet = getTable(store, 'penalty_rule_sets')
+        .find(row => inScope(planetId)(row) && row.effective_to === effectiveTo && !sameId(row.id, excludeId));
+      return ruleSet ? withRelations(ruleSet) : null;
+    },
+
+    async nextVersion(planetId) {
+      return getTable(store, 'penalty_rule_sets')
+        .filter(inScope(planetId))
+        .reduce((max, row) => Math.max(max, row.version), 0) + 1;
+    },
+
+    async insert(ruleSet) {
+      // Equivalente a los DEFAULT de las columnas
+      const now = new Date();
+      return insertRow(store, 'penalty_rule_sets', {
+        planet_id: null,
+        lookback_years: null,
+        effective_to: null,
+        created_by: null,
+        created_at: now,
+        updated_at: now,
+        ...ruleSet,
+        tiers: structuredClone(ruleSet.tiers),
+        escalation: structuredClone(ruleSet.escalation)
+      });
+    },
+
+    async update(id, data) {
+      const changes = { ...data, updated_at: new Date() };
+      if (data.tiers) changes.tiers = structuredClone(data.tiers);
+      if (data.escalation) changes.escalation = structuredClone(data.escalation);
+      return updateRows(store, 'penalty_rule_sets', row => sameId(row.id, id), changes);
+    },
+
+    async delete(id) {
+      // Equivalente al ON DELETE SET NULL de las citaciones evaluadas con el régimen
+      updateRows(store, 'citations', row => sameId(row.rule_set_id, id), { rule_set_id: null });
+      return deleteRows(store, 'penalty_rule_sets', row => sameId(row.id, id));
+    }
+  };
+}
@@ -0,0 +1,212 @@
+import {
+  getTable,
+  findRow,
+  insertRow,
+  updateRows,
+  deleteRows,
+  sameId,
+  like,
+  toTime,
+  paginate
+} from "./store.js";
+
+/**
+ * Repositorio en memoria de antecedentes penales
+ * Misma interfaz que el repositorio MySQL
+ *
+ * @param {Object} store - Almacén en memoria
+ * @returns {Object} Repositorio de antecedentes penales
+ */
+export function createRecordsRepository(store) {
+  /**
+   * Equivalente al SELECT con INNER JOIN de ciudadano y planeta
+   * y LEFT JOIN de los usuarios que lo registraron y modificaron
+   */
+  const withRelations = (record) => {
+    const citizen = findRow(store, 'citizens', record.citizen_id);
+    const planet = findRow(store, 'planets', record.location);
+    if (!citizen || !planet) return null;
+
+    const issuer = record.issued_by ? findRow(store, 'users', record.issued_by) : null;
+    const editor = record.updated_by ? findRow(store, 'users', record.updated_by) : null;
+    const deleter = record.deleted_by ? findRow(store, 'users', record.deleted_by) : null;
+
+    return {
+      id: record.id,
+      citizen_id: record.citizen_id,
+      date: record.date,
+      time: record.time,
+      location: record.location,
+      description: record.description,
+      crime_type: record.crime_type,
+      source_citation_id: record.source_citation_id ?? null,
+      issued_by: record.issued_by ?? null,
+      issued_by_username: issuer ? issuer.username : null,
+      updated_by: record.updated_by ?? null,
+      updated_by_username: editor ? editor.username : null,
+      updated_at: record.updated_at ?? null,
+      deleted_at: record.deleted_at ?? null,
+      deleted_by: record.deleted_by ?? null,
+      deleted_by_username: deleter ? deleter.username : null,
+      version: record.version,
+      citizen_name: citizen.full_name,
+      citizen_last_name: citizen.last_name,
+      citizen_qr_code: citizen.qr_code,
+      location_name: planet.planet_name
+    };
+  };
+
+  // Filas activas (deleted_at IS NULL) salvo que se pidan también las eliminadas
+  const visibleRows = (options = {}) => getTable(store, 'criminal_records')
+    .filter(row => options.include_deleted === true || !row.deleted_at);
+
+  const joinedRows = (options) => visibleRows(options).map(withRelations).filter(Boolean);
+  const deletedBefore = (date) => row => row.deleted_at && toTime(row.deleted_at) < toTime(date);
+
+  // ORDER BY cr.date DESC, cr.time DESC
+  const byDateDesc = (a, b) => (toTime(b.date) - toTime(a.date)) || String(b.time).localeCompare(String(a.time));
+
+  /**
+   * Agrupar antecedentes por planeta
+   */
+  const groupByLocation = () => {
+    const groups = new Map();
+
+    for (const record of visibleRows()) {
+      const planet = findRow(store, 'planets', record.location);
+      if (!planet) continue;
+
+      const group = groups.get(planet.id) || { location: planet.id, location_name: planet.planet_name, records: [] };
+      group.records.push(record);
+      groups.set(planet.id, group);
+    }
+
+    return [...groups.values()];
+  };
+
+  const distinctCitizens = (records) => new Set(records.map(record => Number(record.citizen_id))).size;
+
+  return {
+    async findByCitizenId(citizenId, options = {}) {
+      return joinedRows(options).filter(record => sameId(record.citizen_id, citizenId)).sort(byDateDesc);
+    },
+
+    async findById(recordId, options = {}) {
+      return joinedRows(options).find(record => sameId(record.id, recordId)) || null;
+    },
+
+    async findAll(filters = {}) {
+      const rows = joinedRows(filters)
+        .filter(r => !filters.location || like(r.location_name, filters.location))
+        .filter(r => !filters.date_from || toTime(r.date) >= toTime(filters.date_from))
+        .filter(r => !filters.date_to || toTime(r.date) <= toTime(filters.date_to))
+        .sort(byDateDesc);
+      return paginate(rows, filters);
+    },
+
+    async search(criteria) {
+      const rows = joinedRows(criteria)
+        .filter(r => !criteria.term || [r.description, r.location_name, r.crime_type, r.citizen_name, r.citizen_last_name]
+          .some(value => like(value, criteria.term)))
+        .filter(r => !criteria.location || like(r.location_name, criteria.location))
+        .filter(r => !criteria.citizen_name || like(r.citizen_name, criteria.citizen_name) || like(r.citizen_last_name, criteria.citizen_name))
+        .filter(r => !criteria.issued_by || sameId(r.issued_by, criteria.issued_by))
+        .filter(r => !criteria.updated_by || sameId(r.updated_by, criteria.updated_by))
+        .sort(byDateDesc);
+      return paginate(rows, criteria);
+    },
+
+    async insert(record) {
+      return insertRow(store, 'criminal_records', record);
+    },
+
+    async lockVersion(recordId) {
+      const row = findRow(store, 'criminal_records', recordId);
+      return row ? row.version : null;
+    },
+
+    async update(recordId, data) {
+      return updateRows(store, 'criminal_records', row => sameId(row.id, recordId), data);
+    },
+
+    async delete(recordId) {
+      return deleteRows(store, 'criminal_records', row => sameId(row.id, recordId));
+    },
+
+    async softDelete(recordId, deletion) {
+      return updateRows(store, 'criminal_records', row => sameId(row.id, recordId) && !row.deleted_at, deletion);
+    },
+
+    async restore(recordId) {
+      return updateRows(
+        store,
+        'criminal_records',
+        row => sameId(row.id, recordId) && row.deleted_at,
+        { deleted_at: null, deleted_by: null }
+      );
+    },
+
+    async softDeleteByCitizen(citizenId, deletion) {
+      return updateRows(store, 'criminal_records', row => sameId(row.citizen_id, citizenId) && !row.deleted_at, deletion);
+    },
+
+    async restoreByCitizen(citizenId, deletedAt) {
+      return updateRows(
+        store,
+        'criminal_records',
+        row => sameId(row.citizen_id, citizenId) && row.deleted_at && toTime(row.deleted_at) === toTime(deletedAt),
+        { deleted_at: null, deleted_by: null }
+      );
+    },
+
+    async findDeletedBefore(date) {
+      return getTable(store, 'criminal_records')
+        .filter(deletedBefore(date))
+        .map(row => ({ id: row.id, citizen_id: row.citizen_id, deleted_at: row.deleted_at }))
+        .sort((a, b) => a.id - b.id);
+    },
+
+    async purgeDeletedBefore(date) {
+      return deleteRows(store, 'criminal_records', deletedBefore(date));
+    },
+
+    async countByCitizen(citizenId) {
+      return visibleRows().filter(row => sameId(row.citizen_id, citizenId)).length;
+    },
+
+    async getStats() {
+      const records = visibleRows();
+
+      const byLocation = groupByLocation()
+        .map(group => ({
+          total_records: group.records.length,
+          total_citizens_with_records: distinctCitizens(group.records),
+          total_locations: 1,
+          location_name: group.location_name,
+          records_by_location: group.records.length
+        }))
+        .sort((a, b) => b.records_by_location - a.records_by_location);
+
+      return {
+        general: {
+          total_records: records.length,
+          total_citizens_with_records: distinctCitizens(records),
+          total_locations: new Set(records.map(record => Number(record.location))).size
+        },
+        by_location: byLocation
+      };
+    },
+
+    async getMostDangerousLocations(limit = 10) {
+      return groupByLocation()
+        .map(group => ({
+          location: group.location,
+          location_name: group.location_name,
+          total_crimes: group.records.length,
+          unique_criminals: distinctCitizens(group.records)
+        }))
+        .sort((a, b) => b.total_crimes - a.total_crimes)
+        .slice(0, limit);
+    }
+  };
+}
@@ -0,0 +1,78 @@
+import {
+  getTable,
+  findRow,
+  insertRow,
+  updateRows,
+  sameId
+} from "./store.js";
+
+/**
+ * Repositorio en memoria de roles
+ * Misma interfaz que el repositorio MySQL
+ *
+ * @param {Object} store - Almacén en memoria
+ * @returns {Object} Repositorio de roles
+ */
+export function createRolesRepository(store) {
+  // Copia con los permisos clonados y el número de usuarios (equivalente al subselect COUNT)
+  const withUserCount = (role) => ({
+    ...role,
+    permissions: [...role.permissions],
+    user_count: getTable(store, 'users').filter(user => sameId(user.role_id, role.id)).length
+  });
+
+  const findByName = (roleName) =>
+    getTable(store, 'roles').find(row => row.role_name.toLowerCase() === String(roleName).toLowerCase()) || null;
+
+  return {
+    async findAll(options = {}) {
+      return getTable(store, 'roles')
+        .filter(row => options.includeRetired || row.retired_at === null)
+        .map(withUserCount)
+        .sort((a, b) => a.id - b.id);
+    },
+
+    async findById(id) {
+      const role = findRow(store, 'roles', id);
+      return role ? withUserCount(role) : null;
+    },
+
+    async findByName(roleName) {
+      const role = findByName(roleName);
+      return role ? withUserCount(role) : null;
+    },
+
+    async findPermissions(roleName) {
+      const role = findByName(roleName);
+      return role && role.retired_at === null ? [...role.permissions] : [];
+    },
+
+    async insert(role) {
+      // Equivalente a los DEFAULT de las columnas
+      const now = new Date();
+      return insertRow(store, 'roles', {
+        description: null,
+        is_system: 0,
+        created_at: now,
+        updated_at: now,
+        retired_at: null,
+        ...role,
+        permissions: [...role.permissions]
+      });
+    },
+
+    async update(id, data) {
+      const changes = data.permissions ? { ...data, permissions: [...data.permissions] } : data;
+      return updateRows(store, 'roles', row => sameId(row.id, id), { ...changes, updated_at: new Date() });
+    },
+
+    async retire(id, retiredAt) {
+      return updateRows(
+        store,
+        'roles',
+        row => sameId(row.id, id) && row.retired_at === null,
+        { retired_at: retiredAt }
+      );
+    }
+  };
+}
@@ -0,0 +1,123 @@
+import {
+  getTable,
+  findRow,
+  insertRow,
+  updateRows,
+  deleteRows,
+  sameId,
+  toTime
+} from "./store.js";
+
+/**
+ * Repositorio en memoria de cuentas de servicio y sus API keys
+ * Misma interfaz que el repositorio MySQL
+ *
+ * @param {Object} store - Almacén en memoria
+ * @returns {Object} Repositorio de cuentas de servicio
+ */
+export function createServiceAccountsRepository(store) {
+  // Copia con los scopes clonados (en MySQL se leen de una columna JSON)
+  const cloneAccount = (account) => ({ ...account, scopes: [...account.scopes] });
+
+  // Equivalente a seleccionar las columnas de la key sin el hash
+  const withoutHash = ({ key_hash, ...key }) => key;
+
+  const isActiveKey = (key, now) => key.revoked_at === null && toTime(key.expires_at) > toTime(now);
+
+  return {
+    async findAll(now) {
+      const keys = getTable(store, 'api_keys');
+
+      return getTable(store, 'service_accounts')
+        .map(account => ({
+          ...cloneAccount(account),
+          active_keys: keys.filter(key => sameId(key.service_account_id, account.id) && isActiveKey(key, now)).length
+        }))
+        .sort((a, b) => a.id - b.id);
+    },
+
+    async findById(id) {
+      const account = findRow(store, 'service_accounts', id);
+      return account ? cloneAccount(account) : null;
+    },
+
+    async findByName(name) {
+      const account = getTable(store, 'service_accounts').find(row => row.name.toLowerCase() === String(name).toLowerCase());
+      return account ? cloneAccount(account) : null;
+    },
+
+    async insert(account) {
+      // Equivalente a los DEFAULT de las columnas
+      const now = new Date();
+      return insertRow(store, 'service_accounts', {
+        description: null,
+        status: 'active',
+        created_by: null,
+        created_at: now,
+        updated_at: now,
+        ...account,
+        scopes: [...account.scopes]
+      });
+    },
+
+    async update(id, data) {
+      const changes = data.scopes ? { ...data, scopes: [...data.scopes] } : data;
+      return updateRows(store, 'service_accounts', row => sameId(row.id, id), { ...changes, updated_at: new Date() });
+    },
+
+    async delete(id) {
+      // Equivalente a los ON DELETE CASCADE de api_keys y api_key_requests
+      deleteRows(store, 'api_key_requests', row => sameId(row.service_account_id, id));
+      deleteRows(store, 'api_keys', row => sameId(row.service_account_id, id));
+      return deleteRows(store, 'service_accounts', row => sameId(row.id, id));
+    },
+
+    async findKeys(serviceAccountId) {
+      return getTable(store, 'api_keys')
+        .filter(row => sameId(row.service_account_id, serviceAccountId))
+        .sort((a, b) => b.id - a.id)
+        .map(withoutHash);
+    },
+
+    async findKeyById(id) {
+      const key = findRow(store, 'api_keys', id);
+      return key ? withoutHash(key) : null;
+    },
+
+    async findKeyByHash(keyHash) {
+      const key = getTable(store, 'api_keys').find(row => row.key_hash === keyHash);
+      const account = key ? findRow(store, 'service_accounts', key.service_account_id) : null;
+      if (!account) return null;
+
+      return {
+        ...withoutHash(key),
+        service_account_name: account.name,
+        scopes: [...account.scopes],
+        service_account_status: account.status
+      };
+    },
+
+    async insertKey(key) {
+      return insertRow(store, 'api_keys', {
+        created_by: null,
+        created_at: new Date(),
+        revoked_at: null,
+        last_used_at: null,
+        last_used_ip: null,
+        ...key
+      });
+    },
+
+    async updateKey(id, data) {
+      return updateRows(store, 'api_keys', row => sameId(row.id, id), data);
+    },
+
+    async revokeKey(id, revokedAt) {
+      return updateRows(store, 'api_keys', row => sameId(row.id, id) && row.revoked_at === null, { revoked_at: revokedAt });
+    },
+
+    async touchKey(id, usedAt, ipAddress) {
+      return updateRows(store, 'api_keys', row => sameId(row.id, id), { last_used_at: usedAt, last_used_ip: ipAddress });
+    }
+  };
+}
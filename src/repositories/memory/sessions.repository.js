@@ -0,0 +1,68 @@
+import {
+  getTable,
+  findRow,
+  insertRow,
+  updateRows,
+  cloneRow,
+  sameId,
+  toTime
+} from "./store.js";
+
+/**
+ * Repositorio en memoria de sesiones de usuario
+ * Misma interfaz que el repositorio MySQL
+ *
+ * @param {Object} store - Almacén en memoria
+ * @returns {Object} Repositorio de sesiones
+ */
+export function createSessionsRepository(store) {
+  return {
+    async insert(session) {
+      // Equivalente a los DEFAULT de las columnas
+      const now = new Date();
+      return insertRow(store, 'user_sessions', {
+        ip_address: null,
+        user_agent: null,
+        created_at: now,
+        last_seen_at: now,
+        last_seen_ip: null,
+        revoked_at: null,
+        revoked_reason: null,
+        ...session
+      });
+    },
+
+    async findById(id) {
+      return cloneRow(findRow(store, 'user_sessions', id));
+    },
+
+    async findActiveByUser(userId, now) {
+      return getTable(store, 'user_sessions')
+        .filter(row => sameId(row.user_id, userId) && row.revoked_at === null && toTime(row.expires_at) > toTime(now))
+        .sort((a, b) => toTime(b.last_seen_at) - toTime(a.last_seen_at) || b.id - a.id)
+        .map(cloneRow);
+    },
+
+    async update(sessionId, data) {
+      return updateRows(store, 'user_sessions', row => row.session_id === sessionId, data);
+    },
+
+    async touch(sessionId, seenAt, ipAddress, staleBefore) {
+      return updateRows(
+        store,
+        'user_sessions',
+        row => row.session_id === sessionId && toTime(row.last_seen_at) <= toTime(staleBefore),
+        { last_seen_at: seenAt, last_seen_ip: ipAddress }
+      );
+    },
+
+    async revoke(sessionId, revokedAt, reason) {
+      return updateRows(
+        store,
+        'user_sessions',
+        row => row.session_id === sessionId && row.revoked_at === null,
+        { revoked_at: revokedAt, revoked_reason: reason }
+      );
+    }
+  };
+}
@@ -0,0 +1,344 @@
+import { getPermissionsForRole, SYSTEM_ROLES } from "../../config/permissions.js";
+import { DEFAULT_PENALTY_RULES, DEFAULT_PENALTY_RULES_EFFECTIVE_FROM } from "../../config/penaltyRules.js";
+
+/**
+ * Almacén en memoria que imita las tablas de MySQL
+ *
+ * Reproduce las restricciones que afectan al comportamiento de la API:
+ * - IDs autoincrementales por tabla
+ * - Claves únicas (ER_DUP_ENTRY)
+ * - Claves foráneas al insertar/actualizar (ER_NO_REFERENCED_ROW_2)
+ *   y al eliminar filas referenciadas (ER_ROW_IS_REFERENCED_2)
+ *
+ * Se usa con DB_DRIVER=memory para arrancar la aplicación completa sin MySQL.
+ */
+
+// Claves únicas por tabla (equivalentes a los UNIQUE KEY de las migraciones)
+const UNIQUE_KEYS = {
+  citizens: ['qr_code', 'nick_name'],
+  roles: ['role_name'],
+  users: ['username'],
+  refresh_tokens: ['token_hash'],
+  revoked_tokens: ['session_id'],
+  invitations: ['code_hash'],
+  user_two_factor: ['user_id'],
+  password_reset_tokens: ['token_hash'],
+  service_accounts: ['name'],
+  api_keys: ['key_prefix', 'key_hash'],
+  user_sessions: ['session_id'],
+  impersonations: ['session_id']
+};
+
+// Claves foráneas por tabla: columna -> tabla referenciada
+const FOREIGN_KEYS = {
+  citizens: { origin_planet: 'planets', residence_planet: 'planets', status_id: 'statuses', deleted_by: 'users' },
+  criminal_records: {
+    citizen_id: 'citizens',
+    location: 'planets',
+    source_citation_id: 'citations',
+    issued_by: 'users',
+    updated_by: 'users',
+    deleted_by: 'users'
+  },
+  citations: {
+    citizen_id: 'citizens',
+    rule_set_id: 'penalty_rule_sets',
+    issued_by: 'users',
+    updated_by: 'users',
+    deleted_by: 'users'
+  },
+  users: { role_id: 'roles' },
+  invitations: { role_id: 'roles' },
+  user_sessions: { user_id: 'users' },
+  api_keys: { service_account_id: 'service_accounts' },
+  api_key_requests: { service_account_id: 'service_accounts', api_key_id: 'api_keys' },
+  impersonation_requests: { impersonation_id: 'impersonations' },
+  penalty_rule_sets: { planet_id: 'planets', created_by: 'users' },
+  sentence_obligations: { citation_id: 'citations' },
+  obligation_progress: { obligation_id: 'sentence_obligations', logged_by: 'users' }
+};
+
+// Tablas con columna version: empieza en 1 y cada UPDATE la incrementa
+// (equivalente a los triggers de la migración 0019)
+const VERSIONED_TABLES = ['citizens', 'criminal_records', 'citations', 'users'];
+
+/**
+ * Rol predefinido con sus permisos iniciales (misma semilla que la migración 0014)
+ */
+function seedRole(id, roleName) {
+  const now = new Date();
+  return {
+    id,
+    role_name: roleName,
+    description: null,
+    permissions: getPermissionsForRole(roleName),
+    is_system: SYSTEM_ROLES.includes(roleName) ? 1 : 0,
+    created_at: now,
+    updated_at: now,
+    retired_at: null
+  };
+}
+
+/**
+ * Régimen general de sanciones inicial (misma semilla que la migración 0020)
+ */
+function seedPenaltyRuleSet(id) {
+  const now = new Date();
+  return {
+    id,
+    planet_id: null,
+    version: 1,
+    name: DEFAULT_PENALTY_RULES.name,
+    tiers: structuredClone(DEFAULT_PENALTY_RULES.tiers),
+    escalation: structuredClone(DEFAULT_PENALTY_RULES.escalation),
+    lookback_years: DEFAULT_PENALTY_RULES.lookback_years,
+    effective_from: DEFAULT_PENALTY_RULES_EFFECTIVE_FROM,
+    effective_to: null,
+    created_by: null,
+    created_at: now,
+    updated_at: now
+  };
+}
+
+/**
+ * Datos de catálogo iniciales (mismos que las migraciones 0001, 0014 y 0020)
+ */
+function initialTables() {
+  return {
+    planets: [
+      { id: 1, planet_name: 'Tierra' },
+      { id: 2, planet_name: 'Marte' }
+    ],
+    statuses: [
+      { id: 1, status_name: 'DEAD', description: null },
+      { id: 2, status_name: 'ALIVE', description: null },
+      { id: 3, status_name: 'FROZEN', description: null }
+    ],
+    roles: [
+      seedRole(4, 'Admin'),
+      seedRole(5, 'Commander'),
+      seedRole(6, 'General'),
+      seedRole(7, 'CourtClerk'),
+      seedRole(8, 'PoliceOfficer')
+    ],
+    citizens: [],
+    criminal_records: [],
+    citations: [],
+    users: [],
+    refresh_tokens: [],
+    revoked_tokens: [],
+    login_attempts: [],
+    invitations: [],
+    user_two_factor: [],
+    recovery_codes: [],
+    password_reset_tokens: [],
+    password_history: [],
+    service_accounts: [],
+    api_keys: [],
+    api_key_requests: [],
+    user_sessions: [],
+    impersonations: [],
+    impersonation_requests: [],
+    audit_log: [],
+    penalty_rule_sets: [seedPenaltyRuleSet(1)],
+    sentence_obligations: [],
+    obligation_progress: []
+  };
+}
+
+/**
+ * Crear un almacén en memoria con los catálogos iniciales
+ * @returns {Object} Almacén { tables, sequences }
+ */
+export function createMemoryStore() {
+  const tables = initialTables();
+  const sequences = {};
+
+  for (const [name, rows] of Object.entries(tables)) {
+    sequences[name] = rows.reduce((max, row) => Math.max(max, row.id), 0);
+  }
+
+  return { tables, sequences };
+}
+
+/**
+ * Crear un error con la misma forma que los de mysql2
+ */
+function sqlError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Comparar IDs que pueden llegar como número o como cadena
+ * @returns {boolean} True si representan el mismo ID
+ */
+export function sameId(a, b) {
+  return a !== null && a !== undefined && b !== null && b !== undefined && Number(a) === Number(b);
+}
+
+/**
+ * Copiar una fila para no exponer referencias internas del almacén
+ */
+export function cloneRow(row) {
+  return row ? { ...row } : null;
+}
+
+/**
+ * Obtener las filas de una tabla
+ */
+export function getTable(store, table) {
+  if (!store.tables[table]) {
+    store.tables[table] = [];
+    store.sequences[table] = 0;
+  }
+  return store.tables[table];
+}
+
+/**
+ * Buscar una fila por ID
+ */
+export function findRow(store, table, id) {
+  return getTable(store, table).find(row => sameId(row.id, id)) || null;
+}
+
+/**
+ * Verificar claves únicas y foráneas de una fila candidata
+ */
+function checkConstraints(store, table, candidate, excludeId = null) {
+  for (const column of UNIQUE_KEYS[table] || []) {
+    const value = candidate[column];
+    if (value === null || value === undefined) continue;
+
+    const duplicate = getTable(store, table).find(row =>
+      !sameId(row.id, excludeId) && String(row[column]).toLowerCase() === String(value).toLowerCase()
+    );
+    if (duplicate) {
+      throw sqlError('ER_DUP_ENTRY', `Duplicate entry '${value}' for key '${table}.${column}'`);
+    }
+  }
+
+  for (const [column, referenced] of Object.entries(FOREIGN_KEYS[table] || {})) {
+    const value = candidate[column];
+    if (value === null || value === undefined) continue;
+
+    if (!findRow(store, referenced, value)) {
+      throw sqlError(
+        'ER_NO_REFERENCED_ROW_2',
+        `Cannot add or update a child row: a foreign key constraint fails (${table}.${column} -> ${referenced}.id)`
+      );
+    }
+  }
+}
+
+/**
+ * Insertar una fila asignando un ID autoincremental
+ * @returns {Object} Resultado con la forma de mysql2: { insertId, affectedRows }
+ */
+export function insertRow(store, table, data) {
+  const rows = getTable(store, table);
+  checkConstraints(store, table, data);
+
+  const id = data.id !== undefined ? Number(data.id) : store.sequences[table] + 1;
+  store.sequences[table] = Math.max(store.sequences[table], id);
+  rows.push(VERSIONED_TABLES.includes(table) ? { version: 1, ...data, id } : { ...data, id });
+
+  return { insertId: id, affectedRows: 1 };
+}
+
+/**
+ * Actualizar las filas que cumplen un predicado
+ * @returns {Object} Resultado con la forma de mysql2: { affectedRows }
+ */
+export function updateRows(store, table, predicate, data) {
+  const rows = getTable(store, table).filter(predicate);
+
+  for (const row of rows) {
+    checkConstraints(store, table, { ...row, ...data }, row.id);
+  }
+
+  for (const row of rows) {
+    Object.assign(row, data);
+    if (VERSIONED_TABLES.includes(table)) {
+      row.version += 1;
+    }
+  }
+
+  return { affectedRows: rows.length, changedRows: rows.length };
+}
+
+/**
+ * Eliminar las filas que cumplen un predicado, respetando las claves foráneas
+ * @returns {Object} Resultado con la forma de mysql2: { affectedRows }
+ */
+export function deleteRows(store, table, predicate) {
+  const rows = getTable(store, table);
+  const toDelete = rows.filter(predicate);
+
+  for (const row of toDelete) {
+    for (const [childTable, columns] of Object.entries(FOREIGN_KEYS)) {
+      for (const [column, referenced] of Object.entries(columns)) {
+        if (referenced !== table) continue;
+
+        if (getTable(store, childTable).some(child => sameId(child[column], row.id))) {
+          throw sqlError(
+            'ER_ROW_IS_REFERENCED_2',
+            `Cannot delete or update a parent row: a foreign key constraint fails (${childTable}.${column} -> ${table}.id)`
+          );
+        }
+      }
+    }
+  }
+
+  store.tables[table] = rows.filter(row => !toDelete.includes(row));
+  return { affectedRows: toDelete.length };
+}
+
+/**
+ * Copia profunda del estado del almacén (para transacciones)
+ */
+export function snapshotStore(store) {
+  return structuredClone({ tables: store.tables, sequences: store.sequences });
+}
+
+/**
+ * Restaurar un estado previo del almacén (rollback)
+ */
+export function restoreStore(store, snapshot) {
+  store.tables = snapshot.tables;
+  store.sequences = snapshot.sequences;
+}
+
+/**
+ * Normalizar texto para comparaciones como las de utf8mb4_0900_ai_ci
+ * (sin distinguir mayúsculas ni acentos)
+ */
+function normalizeText(value) {
+  return String(value ?? '').normalize('NFD').replace(/[̀-ͯ]/g, '').toLowerCase();
+}
+
+/**
+ * Equivalente a "column LIKE '%term%'"
+ */
+export function like(value, term) {
+  if (value === null || value === undefined) return false;
+  return normalizeText(value).includes(normalizeText(term));
+}
+
+/**
+ * Convertir una fecha (Date, 'YYYY-MM-DD' o ISO) a milisegundos
+ */
+export function toTime(value) {
+  if (value instanceof Date) return value.getTime();
+  return new Date(value).getTime();
+}
+
+/**
+ * Aplicar LIMIT/OFFSET opcionales
+ */
+export function paginate(rows, options = {}) {
+  if (!options.limit) return rows;
+  const offset = options.offset ? parseInt(options.offset) : 0;
+  return rows.slice(offset, offset + parseInt(options.limit));
+}
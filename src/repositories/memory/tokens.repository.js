@@ -0,0 +1,71 @@
+import {
+  getTable,
+  insertRow,
+  updateRows,
+  deleteRows,
+  cloneRow,
+  sameId,
+  toTime
+} from "./store.js";
+
+/**
+ * Repositorio en memoria de refresh tokens y revocaciones de sesión
+ * Misma interfaz que el repositorio MySQL
+ *
+ * @param {Object} store - Almacén en memoria
+ * @returns {Object} Repositorio de tokens
+ */
+export function createTokensRepository(store) {
+  return {
+    async insertRefreshToken(token) {
+      return insertRow(store, 'refresh_tokens', {
+        created_at: new Date(),
+        revoked_at: null,
+        replaced_by: null,
+        ...token
+      });
+    },
+
+    async findRefreshTokenByHash(tokenHash) {
+      return cloneRow(getTable(store, 'refresh_tokens').find(row => row.token_hash === tokenHash));
+    },
+
+    async updateRefreshToken(id, data) {
+      return updateRows(store, 'refresh_tokens', row => sameId(row.id, id), data);
+    },
+
+    async revokeRefreshTokensBySession(sessionId, revokedAt) {
+      return updateRows(
+        store,
+        'refresh_tokens',
+        row => row.session_id === sessionId && row.revoked_at === null,
+        { revoked_at: revokedAt }
+      );
+    },
+
+    async findActiveSessionIds(userId, now) {
+      const sessionIds = getTable(store, 'refresh_tokens')
+        .filter(row => sameId(row.user_id, userId) && row.revoked_at === null && toTime(row.expires_at) > toTime(now))
+        .map(row => row.session_id);
+      return [...new Set(sessionIds)];
+    },
+
+    async insertRevocation(revocation) {
+      // Equivalente a INSERT IGNORE sobre la clave única session_id
+      if (getTable(store, 'revoked_tokens').some(row => row.session_id === revocation.session_id)) {
+        return { insertId: 0, affectedRows: 0 };
+      }
+      return insertRow(store, 'revoked_tokens', { revoked_at: new Date(), ...revocation });
+    },
+
+    async isSessionRevoked(sessionId) {
+      return getTable(store, 'revoked_tokens').some(row => row.session_id === sessionId);
+    },
+
+    async deleteExpired(now) {
+      const tokens = deleteRows(store, 'refresh_tokens', row => toTime(row.expires_at) <= toTime(now));
+      const revocations = deleteRows(store, 'revoked_tokens', row => toTime(row.expires_at) <= toTime(now));
+      return { affectedRows: tokens.affectedRows + revocations.affectedRows };
+    }
+  };
+}
@@ -0,0 +1,77 @@
+import {
+  getTable,
+  insertRow,
+  updateRows,
+  deleteRows,
+  cloneRow,
+  sameId
+} from "./store.js";
+
+/**
+ * Repositorio en memoria de autenticación en dos pasos
+ * Misma interfaz que el repositorio MySQL
+ *
+ * @param {Object} store - Almacén en memoria
+ * @returns {Object} Repositorio de 2FA
+ */
+export function createTwoFactorRepository(store) {
+  const forUser = (userId) => row => sameId(row.user_id, userId);
+
+  return {
+    async findByUserId(userId) {
+      return cloneRow(getTable(store, 'user_two_factor').find(forUser(userId)));
+    },
+
+    async save(userId, secret) {
+      const data = { secret, created_at: new Date(), enabled_at: null, last_used_step: null };
+
+      if (getTable(store, 'user_two_factor').some(forUser(userId))) {
+        return updateRows(store, 'user_two_factor', forUser(userId), data);
+      }
+      return insertRow(store, 'user_two_factor', { user_id: userId, ...data });
+    },
+
+    async update(userId, data) {
+      return updateRows(store, 'user_two_factor', forUser(userId), data);
+    },
+
+    async useStep(userId, step) {
+      return updateRows(
+        store,
+        'user_two_factor',
+        row => forUser(userId)(row) && (row.last_used_step === null || row.last_used_step < step),
+        { last_used_step: step }
+      );
+    },
+
+    async delete(userId) {
+      return deleteRows(store, 'user_two_factor', forUser(userId));
+    },
+
+    async replaceRecoveryCodes(userId, codeHashes) {
+      deleteRows(store, 'recovery_codes', forUser(userId));
+      for (const codeHash of codeHashes) {
+        insertRow(store, 'recovery_codes', { user_id: userId, code_hash: codeHash, created_at: new Date(), used_at: null });
+      }
+      return { affectedRows: codeHashes.length };
+    },
+
+    async useRecoveryCode(userId, codeHash, usedAt) {
+      const code = getTable(store, 'recovery_codes')
+        .find(row => forUser(userId)(row) && row.code_hash === codeHash && row.used_at === null);
+
+      if (!code) {
+        return { affectedRows: 0 };
+      }
+      return updateRows(store, 'recovery_codes', row => row.id === code.id, { used_at: usedAt });
+    },
+
+    async countUnusedRecoveryCodes(userId) {
+      return getTable(store, 'recovery_codes').filter(row => forUser(userId)(row) && row.used_at === null).length;
+    },
+
+    async deleteRecoveryCodes(userId) {
+      return deleteRows(store, 'recovery_codes', forUser(userId));
+    }
+  };
+}
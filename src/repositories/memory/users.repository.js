@@ -0,0 +1,110 @@
+import {
+  getTable,
+  findRow,
+  insertRow,
+  updateRows,
+  deleteRows,
+  sameId
+} from "./store.js";
+
+/**
+ * Repositorio en memoria de usuarios y roles
+ * Misma interfaz que el repositorio MySQL
+ *
+ * @param {Object} store - Almacén en memoria
+ * @returns {Object} Repositorio de usuarios
+ */
+export function createUsersRepository(store) {
+  /**
+   * Equivalente al SELECT con INNER JOIN del rol (sin el hash de la contraseña)
+   */
+  const withRole = (user) => {
+    const role = findRow(store, 'roles', user.role_id);
+    if (!role) return null;
+
+    return {
+      id: user.id,
+      username: user.username,
+      user_email: user.user_email,
+      status: user.status,
+      password_changed_at: user.password_changed_at,
+      role_id: user.role_id,
+      role_name: role.role_name,
+      version: user.version
+    };
+  };
+
+  const sameText = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+  return {
+    async findAll(filters = {}) {
+      return getTable(store, 'users')
+        .filter(row => !filters.status || row.status === filters.status)
+        .filter(row => !filters.role_id || sameId(row.role_id, filters.role_id))
+        .map(withRole)
+        .filter(Boolean)
+        .sort((a, b) => a.id - b.id);
+    },
+
+    async findById(id) {
+      const user = findRow(store, 'users', id);
+      return user ? withRole(user) : null;
+    },
+
+    async findByLogin(login) {
+      const user = getTable(store, 'users').find(row => sameText(row.username, login) || sameText(row.user_email, login));
+      const joined = user ? withRole(user) : null;
+      return joined ? { ...joined, password_hash: user.password_hash } : null;
+    },
+
+    async getPasswordHash(id) {
+      const user = findRow(store, 'users', id);
+      return user ? user.password_hash : null;
+    },
+
+    async insert(user) {
+      // Equivalente a los DEFAULT de las columnas status y password_changed_at
+      return insertRow(store, 'users', { status: 'active', password_changed_at: new Date(), ...user });
+    },
+
+    async lockVersion(id) {
+      const row = findRow(store, 'users', id);
+      return row ? row.version : null;
+    },
+
+    async update(id, data) {
+      return updateRows(store, 'users', row => sameId(row.id, id), data);
+    },
+
+    async delete(id) {
+      // Equivalente a los ON DELETE CASCADE de las tablas que referencian al usuario
+      for (const table of ['refresh_tokens', 'user_two_factor', 'recovery_codes', 'password_reset_tokens', 'password_history', 'user_sessions']) {
+        deleteRows(store, table, row => sameId(row.user_id, id));
+      }
+      // Equivalente a los ON DELETE SET NULL de la atribución y el borrado lógico
+      for (const table of ['criminal_records', 'citations']) {
+        for (const column of ['issued_by', 'updated_by', 'deleted_by']) {
+          updateRows(store, table, row => sameId(row[column], id), { [column]: null });
+        }
+      }
+      updateRows(store, 'citizens', row => sameId(row.deleted_by, id), { deleted_by: null });
+      updateRows(store, 'penalty_rule_sets', row => sameId(row.created_by, id), { created_by: null });
+      updateRows(store, 'obligation_progress', row => sameId(row.logged_by, id), { logged_by: null });
+      return deleteRows(store, 'users', row => sameId(row.id, id));
+    },
+
+    async usernameExists(username, excludeId = null) {
+      return getTable(store, 'users').some(row => sameText(row.username, username) && !sameId(row.id, excludeId));
+    },
+
+    async emailExists(email, excludeId = null) {
+      return getTable(store, 'users').some(row => sameText(row.user_email, email) && !sameId(row.id, excludeId));
+    },
+
+    async roleExists(roleId) {
+      // Los roles retirados no pueden asignarse
+      const role = findRow(store, 'roles', roleId);
+      return role !== null && role.retired_at === null;
+    }
+  };
+}
@@ -0,0 +1,69 @@
+/**
+ * Repositorio MySQL del registro de peticiones hechas con API key
+ * Tabla api_key_requests: id, service_account_id, api_key_id, method, path, status_code, ip_address, requested_at
+ *
+ * @param {Object} db - Ejecutor de consultas (pool o conexión transaccional) con query(sql, params)
+ * @returns {Object} Repositorio de peticiones con API key
+ */
+export function createApiKeyRequestsRepository(db) {
+  return {
+    async insert(entry) {
+      const [result] = await db.query("INSERT INTO api_key_requests SET ?", [entry]);
+      return result;
+    },
+
+    async findAll(filters = {}) {
+      let query = `
+        SELECT
+          r.id,
+          r.service_account_id,
+          r.api_key_id,
+          k.key_prefix,
+          r.method,
+          r.path,
+          r.status_code,
+          r.ip_address,
+          r.requested_at
+        FROM api_key_requests r
+        INNER JOIN api_keys k ON r.api_key_id = k.id
+        WHERE 1=1
+      `;
+      const params = [];
+
+      if (filters.service_account_id) {
+        query += " AND r.service_account_id = ?";
+        params.push(filters.service_account_id);
+      }
+
+      if (filters.api_key_id) {
+        query += " AND r.api_key_id = ?";
+        params.push(filters.api_key_id);
+      }
+
+      if (filters.date_from) {
+        query += " AND r.requested_at >= ?";
+        params.push(filters.date_from);
+      }
+
+      if (filters.date_to) {
+        query += " AND r.requested_at <= ?";
+        params.push(filters.date_to);
+      }
+
+      query += " ORDER BY r.id DESC";
+
+      if (filters.limit) {
+        query += " LIMIT ?";
+        params.push(parseInt(filters.limit));
+
+        if (filters.offset) {
+          query += " OFFSET ?";
+          params.push(parseInt(filters.offset));
+        }
+      }
+
+      const [rows] = await db.query(query, params);
+      return rows;
+    }
+  };
+}
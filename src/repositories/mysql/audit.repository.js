@@ -0,0 +1,72 @@
+/**
+ * Repositorio MySQL del registro de auditoría (solo inserción y consulta)
+ * Tabla audit_log: id, actor_type, actor_id, actor_username, actor_role, action,
+ *                  entity, entity_id, changes (JSON), ip_address, created_at
+ *
+ * @param {Object} db - Ejecutor de consultas (pool o conexión transaccional) con query(sql, params)
+ * @returns {Object} Repositorio de auditoría
+ */
+export function createAuditRepository(db) {
+  return {
+    async insert(entry) {
+      // El diff se guarda como JSON (mysql2 lo devuelve ya parseado)
+      const [result] = await db.query("INSERT INTO audit_log SET ?", [{ ...entry, changes: JSON.stringify(entry.changes) }]);
+      return result;
+    },
+
+    async findAll(filters = {}) {
+      let query = "SELECT * FROM audit_log WHERE 1=1";
+      const params = [];
+
+      if (filters.entity) {
+        query += " AND entity = ?";
+        params.push(filters.entity);
+      }
+
+      if (filters.entity_id) {
+        query += " AND entity_id = ?";
+        params.push(filters.entity_id);
+      }
+
+      if (filters.actor_type) {
+        query += " AND actor_type = ?";
+        params.push(filters.actor_type);
+      }
+
+      if (filters.actor_id) {
+        query += " AND actor_id = ?";
+        params.push(filters.actor_id);
+      }
+
+      if (filters.action) {
+        query += " AND action = ?";
+        params.push(filters.action);
+      }
+
+      if (filters.date_from) {
+        query += " AND created_at >= ?";
+        params.push(filters.date_from);
+      }
+
+      if (filters.date_to) {
+        query += " AND created_at <= ?";
+        params.push(filters.date_to);
+      }
+
+      query += " ORDER BY id DESC";
+
+      if (filters.limit) {
+        query += " LIMIT ?";
+        params.push(parseInt(filters.limit));
+
+        if (filters.offset) {
+          query += " OFFSET ?";
+          params.push(parseInt(filters.offset));
+        }
+      }
+
+      const [rows] = await db.query(query, params);
+      return rows;
+    }
+  };
+}
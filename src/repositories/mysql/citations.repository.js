@@ -0,0 +1,321 @@
+/**
+ * Repositorio MySQL de citaciones (amonestaciones menores)
+ * Tabla citations: id, citizen_id, date, description, fine_amount, citation_number, civic_course_hours,
+ * civic_work_days, jail_days, penalty_description, rule_set_id, rule_set_version, issued_by,
+ * updated_by, updated_at, deleted_at, deleted_by, version
+ *
+ * Las consultas excluyen las citaciones eliminadas (deleted_at) salvo con include_deleted;
+ * los conteos, sumas de multas, estadísticas y reportes siempre las excluyen
+ *
+ * @param {Object} db - Ejecutor de consultas (pool o conexión transaccional) con query(sql, params)
+ * @returns {Object} Repositorio de citaciones
+ */
+export function createCitationsRepository(db) {
+  const baseSelect = `
+    SELECT
+      ct.id,
+      ct.citizen_id,
+      ct.date,
+      ct.description,
+      ct.fine_amount,
+      ct.citation_number,
+      ct.civic_course_hours,
+      ct.civic_work_days,
+      ct.jail_days,
+      ct.penalty_description,
+      ct.rule_set_id,
+      ct.rule_set_version,
+      ct.issued_by,
+      issuer.username as issued_by_username,
+      ct.updated_by,
+      editor.username as updated_by_username,
+      ct.updated_at,
+      ct.deleted_at,
+      ct.deleted_by,
+      deleter.username as deleted_by_username,
+      ct.version,
+      c.full_name as citizen_name,
+      c.last_name as citizen_last_name,
+      c.qr_code as citizen_qr_code
+    FROM citations ct
+    INNER JOIN citizens c ON ct.citizen_id = c.id
+    LEFT JOIN users issuer ON ct.issued_by = issuer.id
+    LEFT JOIN users editor ON ct.updated_by = editor.id
+    LEFT JOIN users deleter ON ct.deleted_by = deleter.id
+  `;
+
+  /**
+   * Condición que excluye las eliminadas salvo que se pidan
+   */
+  const notDeleted = (options = {}) => options.include_deleted === true ? "" : " AND ct.deleted_at IS NULL";
+
+  /**
+   * Añadir LIMIT/OFFSET a una consulta si se solicitan
+   */
+  const paginate = (query, params, options) => {
+    if (options.limit) {
+      query += " LIMIT ?";
+      params.push(parseInt(options.limit));
+
+      if (options.offset) {
+        query += " OFFSET ?";
+        params.push(parseInt(options.offset));
+      }
+    }
+    return query;
+  };
+
+  return {
+    async findByCitizenId(citizenId, options = {}) {
+      const [rows] = await db.query(
+        `${baseSelect} WHERE ct.citizen_id = ?${notDeleted(options)} ORDER BY ct.date DESC`,
+        [citizenId]
+      );
+      return rows;
+    },
+
+    async findById(citationId, options = {}) {
+      const [rows] = await db.query(`${baseSelect} WHERE ct.id = ?${notDeleted(options)}`, [citationId]);
+      return rows[0] || null;
+    },
+
+    async findAll(filters = {}) {
+      let query = `${baseSelect} WHERE 1=1${notDeleted(filters)}`;
+      const params = [];
+
+      if (filters.location) {
+        query += " AND ct.description LIKE ?";
+        params.push(`%${filters.location}%`);
+      }
+
+      if (filters.date_from) {
+        query += " AND ct.date >= ?";
+        params.push(filters.date_from);
+      }
+
+      if (filters.date_to) {
+        query += " AND ct.date <= ?";
+        params.push(filters.date_to);
+      }
+
+      if (filters.fine_amount_min) {
+        query += " AND ct.fine_amount >= ?";
+        params.push(filters.fine_amount_min);
+      }
+
+      if (filters.fine_amount_max) {
+        query += " AND ct.fine_amount <= ?";
+        params.push(filters.fine_amount_max);
+      }
+
+      query += " ORDER BY ct.date DESC";
+      query = paginate(query, params, filters);
+
+      const [rows] = await db.query(query, params);
+      return rows;
+    },
+
+    async search(criteria) {
+      let query = `${baseSelect} WHERE 1=1${notDeleted(criteria)}`;
+      const params = [];
+
+      if (criteria.term) {
+        query += ` AND (
+          ct.description LIKE ? OR
+          c.full_name LIKE ? OR
+          c.last_name LIKE ?
+        )`;
+        const termPattern = `%${criteria.term}%`;
+        params.push(termPattern, termPattern, termPattern);
+      }
+
+      if (criteria.citizen_name) {
+        query += " AND (c.full_name LIKE ? OR c.last_name LIKE ?)";
+        const namePattern = `%${criteria.citizen_name}%`;
+        params.push(namePattern, namePattern);
+      }
+
+      if (criteria.issued_by) {
+        query += " AND ct.issued_by = ?";
+        params.push(criteria.issued_by);
+      }
+
+      if (criteria.updated_by) {
+        query += " AND ct.updated_by = ?";
+        params.push(criteria.updated_by);
+      }
+
+      query += " ORDER BY ct.date DESC";
+      query = paginate(query, params, criteria);
+
+      const [rows] = await db.query(query, params);
+      return rows;
+    },
+
+    async countByCitizen(citizenId) {
+      const [rows] = await db.query(
+        "SELECT COUNT(*) as total FROM citations WHERE citizen_id = ? AND deleted_at IS NULL",
+        [citizenId]
+      );
+      return rows[0].total;
+    },
+
+    async sumFinesByCitizen(citizenId) {
+      const [rows] = await db.query(
+        "SELECT SUM(fine_amount) as total_fines FROM citations WHERE citizen_id = ? AND deleted_at IS NULL",
+        [citizenId]
+      );
+      return rows[0].total_fines || 0;
+    },
+
+    async insert(citation) {
+      const [result] = await db.query("INSERT INTO citations SET ?", [citation]);
+      return result;
+    },
+
+    async lockVersion(citationId) {
+      // FOR UPDATE bloquea la fila hasta el final de la transacción
+      const [rows] = await db.query("SELECT version FROM citations WHERE id = ? FOR UPDATE", [citationId]);
+      return rows.length > 0 ? rows[0].version : null;
+    },
+
+    async update(citationId, data) {
+      const [result] = await db.query("UPDATE citations SET ? WHERE id = ?", [data, citationId]);
+      return result;
+    },
+
+    async delete(citationId) {
+      const [result] = await db.query("DELETE FROM citations WHERE id = ?", [citationId]);
+      return result;
+    },
+
+    async softDelete(citationId, deletion) {
+      const [result] = await db.query(
+        "UPDATE citations SET deleted_at = ?, deleted_by = ? WHERE id = ? AND deleted_at IS NULL",
+        [deletion.deleted_at, deletion.deleted_by, citationId]
+      );
+      return result;
+    },
+
+    async restore(citationId) {
+      const [result] = await db.query(
+        "UPDATE citations SET deleted_at = NULL, deleted_by = NULL WHERE id = ? AND deleted_at IS NOT NULL",
+        [citationId]
+      );
+      return result;
+    },
+
+    async softDeleteByCitizen(citizenId, deletion) {
+      const [result] = await db.query(
+        "UPDATE citations SET deleted_at = ?, deleted_by = ? WHERE citizen_id = ? AND deleted_at IS NULL",
+        [deletion.deleted_at, deletion.deleted_by, citizenId]
+      );
+      return result;
+    },
+
+    async restoreByCitizen(citizenId, deletedAt) {
+      const [result] = await db.query(
+        "UPDATE citations SET deleted_at = NULL, deleted_by = NULL WHERE citizen_id = ? AND deleted_at = ?",
+        [citizenId, deletedAt]
+      );
+      return result;
+    },
+
+    async findDeletedBefore(date) {
+      const [rows] = await db.query(
+        "SELECT id, citizen_id, deleted_at FROM citations WHERE deleted_at < ? ORDER BY id",
+        [date]
+      );
+      return rows;
+    },
+
+    async purgeDeletedBefore(date) {
+      const [result] = await db.query("DELETE FROM citations WHERE deleted_at < ?", [date]);
+      return result;
+    },
+
+    async getStats() {
+      const [generalStats] = await db.query(`
+        SELECT
+          COUNT(*) as total_citations,
+          COUNT(DISTINCT citizen_id) as total_citizens_with_citations,
+          SUM(fine_amount) as total_fines_amount,
+          AVG(fine_amount) as average_fine_amount,
+          MIN(fine_amount) as min_fine_amount,
+          MAX(fine_amount) as max_fine_amount
+        FROM citations
+        WHERE deleted_at IS NULL
+      `);
+
+      const [monthlyStats] = await db.query(`
+        SELECT
+          DATE_FORMAT(date, '%Y-%m') as month,
+          COUNT(*) as citations_count,
+          SUM(fine_amount) as month_fines_total
+        FROM citations
+        WHERE date >= DATE_SUB(NOW(), INTERVAL 12 MONTH) AND deleted_at IS NULL
+        GROUP BY DATE_FORMAT(date, '%Y-%m')
+        ORDER BY month DESC
+      `);
+
+      // Las citaciones sin detalle (anteriores a la migración 0023) no cuentan en las penalizaciones
+      const [penaltyStats] = await db.query(`
+        SELECT
+          COUNT(citation_number) as citations_with_details,
+          COALESCE(SUM(civic_course_hours > 0), 0) as citations_with_civic_course,
+          COALESCE(SUM(civic_work_days > 0), 0) as citations_with_civic_work,
+          COALESCE(SUM(jail_days > 0), 0) as citations_with_jail,
+          COALESCE(SUM(civic_course_hours), 0) as total_civic_course_hours,
+          COALESCE(SUM(civic_work_days), 0) as total_civic_work_days,
+          COALESCE(SUM(jail_days), 0) as total_jail_days
+        FROM citations
+        WHERE deleted_at IS NULL
+      `);
+
+      const [ruleSetStats] = await db.query(`
+        SELECT
+          ct.rule_set_id,
+          ct.rule_set_version,
+          prs.planet_id,
+          prs.name as rule_set_name,
+          COUNT(*) as citations_count,
+          SUM(ct.fine_amount) as fines_total,
+          SUM(ct.civic_course_hours) as civic_course_hours_total,
+          SUM(ct.civic_work_days) as civic_work_days_total,
+          SUM(ct.jail_days) as jail_days_total
+        FROM citations ct
+        LEFT JOIN penalty_rule_sets prs ON ct.rule_set_id = prs.id
+        WHERE ct.deleted_at IS NULL AND ct.citation_number IS NOT NULL
+        GROUP BY ct.rule_set_id, ct.rule_set_version, prs.planet_id, prs.name
+        ORDER BY citations_count DESC, ct.rule_set_id
+      `);
+
+      return {
+        general: generalStats[0],
+        penalties: penaltyStats[0],
+        by_rule_set: ruleSetStats,
+        by_month: monthlyStats
+      };
+    },
+
+    async getTopOffenders(limit = 10) {
+      const [rows] = await db.query(`
+        SELECT
+          c.id,
+          c.full_name,
+          c.last_name,
+          c.qr_code,
+          COUNT(ct.id) as total_citations,
+          SUM(ct.fine_amount) as total_fines,
+          MAX(ct.date) as last_citation_date
+        FROM citizens c
+        INNER JOIN citations ct ON c.id = ct.citizen_id
+        WHERE ct.deleted_at IS NULL
+        GROUP BY c.id, c.full_name, c.last_name, c.qr_code
+        ORDER BY total_citations DESC, total_fines DESC
+        LIMIT ?
+      `, [limit]);
+      return rows;
+    }
+  };
+}
@@ -0,0 +1,191 @@
+/**
+ * Repositorio MySQL de ciudadanos y catálogos asociados (estados y planetas)
+ * Tabla citizens: id, full_name, last_name, nick_name, birth_date,
+ * origin_planet, residence_planet, avatar_url, qr_code, status_id, deleted_at, deleted_by, version
+ *
+ * Las consultas excluyen los ciudadanos eliminados (deleted_at) salvo con include_deleted
+ *
+ * @param {Object} db - Ejecutor de consultas (pool o conexión transaccional) con query(sql, params)
+ * @returns {Object} Repositorio de ciudadanos
+ */
+export function createCitizensRepository(db) {
+  const baseSelect = `
+    SELECT
+      c.id,
+      c.full_name,
+      c.last_name,
+      c.nick_name,
+      c.birth_date,
+      c.origin_planet,
+      c.residence_planet,
+      c.avatar_url,
+      c.qr_code,
+      c.status_id,
+      s.status_name,
+      s.description as status_description,
+      po.planet_name as origin_planet_name,
+      pr.planet_name as residence_planet_name,
+      c.deleted_at,
+      c.deleted_by,
+      deleter.username as deleted_by_username,
+      c.version
+    FROM citizens c
+    INNER JOIN statuses s ON c.status_id = s.id
+    INNER JOIN planets po ON c.origin_planet = po.id
+    INNER JOIN planets pr ON c.residence_planet = pr.id
+    LEFT JOIN users deleter ON c.deleted_by = deleter.id
+  `;
+
+  /**
+   * Condición que excluye los eliminados salvo que se pidan
+   */
+  const notDeleted = (options = {}) => options.include_deleted === true ? "" : " AND c.deleted_at IS NULL";
+
+  return {
+    async findAll(options = {}) {
+      const [rows] = await db.query(`${baseSelect} WHERE 1=1${notDeleted(options)} ORDER BY c.id`);
+      return rows;
+    },
+
+    async findById(id, options = {}) {
+      const [rows] = await db.query(`${baseSelect} WHERE c.id = ?${notDeleted(options)}`, [id]);
+      return rows[0] || null;
+    },
+
+    async search(criteria) {
+      let query = `${baseSelect} WHERE 1=1${notDeleted(criteria)}`;
+      const params = [];
+
+      if (criteria.name) {
+        query += " AND (c.full_name LIKE ? OR c.last_name LIKE ?)";
+        const namePattern = `%${criteria.name}%`;
+        params.push(namePattern, namePattern);
+      }
+
+      if (criteria.nickname) {
+        query += " AND c.nick_name LIKE ?";
+        params.push(`%${criteria.nickname}%`);
+      }
+
+      if (criteria.planet) {
+        query += " AND (po.planet_name LIKE ? OR pr.planet_name LIKE ?)";
+        const planetPattern = `%${criteria.planet}%`;
+        params.push(planetPattern, planetPattern);
+      }
+
+      if (criteria.status_id) {
+        query += " AND c.status_id = ?";
+        params.push(criteria.status_id);
+      }
+
+      query += " ORDER BY c.full_name";
+
+      const [rows] = await db.query(query, params);
+      return rows;
+    },
+
+    async insert(citizen) {
+      const [result] = await db.query("INSERT INTO citizens SET ?", [citizen]);
+      return result;
+    },
+
+    async lockVersion(id) {
+      // FOR UPDATE bloquea la fila hasta el final de la transacción
+      const [rows] = await db.query("SELECT version FROM citizens WHERE id = ? FOR UPDATE", [id]);
+      return rows.length > 0 ? rows[0].version : null;
+    },
+
+    async update(id, data) {
+      const [result] = await db.query("UPDATE citizens SET ? WHERE id = ?", [data, id]);
+      return result;
+    },
+
+    async delete(id) {
+      const [result] = await db.query("DELETE FROM citizens WHERE id = ?", [id]);
+      return result;
+    },
+
+    async softDelete(id, deletion) {
+      const [result] = await db.query(
+        "UPDATE citizens SET deleted_at = ?, deleted_by = ? WHERE id = ? AND deleted_at IS NULL",
+        [deletion.deleted_at, deletion.deleted_by, id]
+      );
+      return result;
+    },
+
+    async restore(id) {
+      const [result] = await db.query(
+        "UPDATE citizens SET deleted_at = NULL, deleted_by = NULL WHERE id = ? AND deleted_at IS NOT NULL",
+        [id]
+      );
+      return result;
+    },
+
+    async findDeletedBefore(date) {
+      const [rows] = await db.query(
+        "SELECT id, avatar_url, deleted_at FROM citizens WHERE deleted_at < ? ORDER BY id",
+        [date]
+      );
+      return rows;
+    },
+
+    async purgeDeletedBefore(date) {
+      const [result] = await db.query("DELETE FROM citizens WHERE deleted_at < ?", [date]);
+      return result;
+    },
+
+    async exists(id, options = {}) {
+      const [rows] = await db.query(`SELECT id FROM citizens c WHERE c.id = ?${notDeleted(options)}`, [id]);
+      return rows.length > 0;
+    },
+
+    async nicknameExists(nickname, excludeId = null) {
+      const [rows] = excludeId === null
+        ? await db.query("SELECT id FROM citizens WHERE nick_name = ?", [nickname])
+        : await db.query("SELECT id FROM citizens WHERE nick_name = ? AND id != ?", [nickname, excludeId]);
+      return rows.length > 0;
+    },
+
+    async qrCodeExists(qrCode, excludeId = null) {
+      const [rows] = excludeId === null
+        ? await db.query("SELECT id FROM citizens WHERE qr_code = ?", [qrCode])
+        : await db.query("SELECT id FROM citizens WHERE qr_code = ? AND id != ?", [qrCode, excludeId]);
+      return rows.length > 0;
+    },
+
+    async getStats() {
+      const [rows] = await db.query(`
+        SELECT
+          COUNT(*) as total_citizens,
+          COUNT(CASE WHEN status_id = 1 THEN 1 END) as alive_citizens,
+          COUNT(CASE WHEN status_id = 0 THEN 1 END) as dead_citizens,
+          COUNT(CASE WHEN status_id = 2 THEN 1 END) as frozen_citizens,
+          COUNT(DISTINCT origin_planet) as total_origin_planets,
+          COUNT(DISTINCT residence_planet) as total_residence_planets
+        FROM citizens
+        WHERE deleted_at IS NULL
+      `);
+      return rows[0];
+    },
+
+    async findAllStatuses() {
+      const [rows] = await db.query("SELECT * FROM statuses ORDER BY id");
+      return rows;
+    },
+
+    async statusExists(statusId) {
+      const [rows] = await db.query("SELECT id FROM statuses WHERE id = ?", [statusId]);
+      return rows.length > 0;
+    },
+
+    async findAllPlanets() {
+      const [rows] = await db.query("SELECT * FROM planets ORDER BY id");
+      return rows;
+    },
+
+    async planetExists(planetId) {
+      const [rows] = await db.query("SELECT id FROM planets WHERE id = ?", [planetId]);
+      return rows.length > 0;
+    }
+  };
+}
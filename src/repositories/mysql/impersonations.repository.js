@@ -0,0 +1,105 @@
+/**
+ * Repositorio MySQL de suplantaciones y de las peticiones hechas durante ellas
+ * Tabla impersonations: id, session_id, admin_id, admin_username, admin_session_id, user_id,
+ *                       username, role_name, reason, ip_address, started_at, expires_at, ended_at
+ * Tabla impersonation_requests: id, impersonation_id, method, path, status_code, ip_address, requested_at
+ *
+ * @param {Object} db - Ejecutor de consultas (pool o conexión transaccional) con query(sql, params)
+ * @returns {Object} Repositorio de suplantaciones
+ */
+export function createImpersonationsRepository(db) {
+  return {
+    async insert(impersonation) {
+      const [result] = await db.query("INSERT INTO impersonations SET ?", [impersonation]);
+      return result;
+    },
+
+    async findById(id) {
+      const [rows] = await db.query("SELECT * FROM impersonations WHERE id = ?", [id]);
+      return rows[0] || null;
+    },
+
+    async findBySessionId(sessionId) {
+      const [rows] = await db.query("SELECT * FROM impersonations WHERE session_id = ?", [sessionId]);
+      return rows[0] || null;
+    },
+
+    async end(id, endedAt) {
+      // Condicional para no sobrescribir la fecha de una suplantación ya terminada
+      const [result] = await db.query(
+        "UPDATE impersonations SET ended_at = ? WHERE id = ? AND ended_at IS NULL",
+        [endedAt, id]
+      );
+      return result;
+    },
+
+    async findAll(filters = {}) {
+      let query = `
+        SELECT
+          i.*,
+          (SELECT COUNT(*) FROM impersonation_requests r WHERE r.impersonation_id = i.id) AS request_count
+        FROM impersonations i
+        WHERE 1=1
+      `;
+      const params = [];
+
+      if (filters.admin_id) {
+        query += " AND i.admin_id = ?";
+        params.push(filters.admin_id);
+      }
+
+      if (filters.user_id) {
+        query += " AND i.user_id = ?";
+        params.push(filters.user_id);
+      }
+
+      if (filters.date_from) {
+        query += " AND i.started_at >= ?";
+        params.push(filters.date_from);
+      }
+
+      if (filters.date_to) {
+        query += " AND i.started_at <= ?";
+        params.push(filters.date_to);
+      }
+
+      query += " ORDER BY i.id DESC";
+
+      if (filters.limit) {
+        query += " LIMIT ?";
+        params.push(parseInt(filters.limit));
+
+        if (filters.offset) {
+          query += " OFFSET ?";
+          params.push(parseInt(filters.offset));
+        }
+      }
+
+      const [rows] = await db.query(query, params);
+      return rows;
+    },
+
+    async insertRequest(entry) {
+      const [result] = await db.query("INSERT INTO impersonation_requests SET ?", [entry]);
+      return result;
+    },
+
+    async findRequests(impersonationId, filters = {}) {
+      let query = "SELECT * FROM impersonation_requests WHERE impersonation_id = ? ORDER BY id DESC";
+      const params = [impersonationId];
+
+      if (filters.limit) {
+        query += " LIMIT ?";
+        params.push(parseInt(filters.limit));
+
+        if (filters.offset) {
+          query += " OFFSET ?";
+          params.push(parseInt(filters.offset));
+        }
+      }
+
+      const [rows] = await db.query(query, params);
+      return rows;
+    }
+  };
+}
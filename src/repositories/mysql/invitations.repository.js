@@ -0,0 +1,60 @@
+/**
+ * Repositorio MySQL de invitaciones de registro
+ * Tabla invitations: id, code_hash, role_id, email, created_by, created_at, expires_at, used_at, used_by, revoked_at
+ *
+ * @param {Object} db - Ejecutor de consultas (pool o conexión transaccional) con query(sql, params)
+ * @returns {Object} Repositorio de invitaciones
+ */
+export function createInvitationsRepository(db) {
+  const baseSelect = `
+    SELECT
+      i.id,
+      i.role_id,
+      r.role_name,
+      i.email,
+      i.created_by,
+      i.created_at,
+      i.expires_at,
+      i.used_at,
+      i.used_by,
+      i.revoked_at
+    FROM invitations i
+    INNER JOIN roles r ON i.role_id = r.id
+  `;
+
+  return {
+    async insert(invitation) {
+      const [result] = await db.query("INSERT INTO invitations SET ?", [invitation]);
+      return result;
+    },
+
+    async findById(id) {
+      const [rows] = await db.query(`${baseSelect} WHERE i.id = ?`, [id]);
+      return rows[0] || null;
+    },
+
+    async findByCodeHash(codeHash) {
+      const [rows] = await db.query(`${baseSelect} WHERE i.code_hash = ?`, [codeHash]);
+      return rows[0] || null;
+    },
+
+    async findAll() {
+      const [rows] = await db.query(`${baseSelect} ORDER BY i.id DESC`);
+      return rows;
+    },
+
+    async claim(id, usedAt) {
+      // Condicional para que dos registros simultáneos no usen la misma invitación
+      const [result] = await db.query(
+        "UPDATE invitations SET used_at = ? WHERE id = ? AND used_at IS NULL AND revoked_at IS NULL",
+        [usedAt, id]
+      );
+      return result;
+    },
+
+    async update(id, data) {
+      const [result] = await db.query("UPDATE invitations SET ? WHERE id = ?", [data, id]);
+      return result;
+    }
+  };
+}
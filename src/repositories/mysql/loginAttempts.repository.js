@@ -0,0 +1,120 @@
+/**
+ * Repositorio MySQL del historial de intentos de login
+ * Tabla login_attempts: id, user_id, login, ip_address, result, attempted_at
+ *
+ * Las consultas por cuenta usan una clave { userId, login }: el user_id si la
+ * cuenta existe, o el login tecleado si no (para no distinguir ambos casos).
+ *
+ * @param {Object} db - Ejecutor de consultas (pool o conexión transaccional) con query(sql, params)
+ * @returns {Object} Repositorio de intentos de login
+ */
+export function createLoginAttemptsRepository(db) {
+  /**
+   * Condición SQL para la clave de cuenta
+   */
+  const accountCondition = (key) => key.userId
+    ? { sql: "user_id = ?", params: [key.userId] }
+    : { sql: "user_id IS NULL AND login = ?", params: [key.login] };
+
+  return {
+    async insert(attempt) {
+      const [result] = await db.query("INSERT INTO login_attempts SET ?", [attempt]);
+      return result;
+    },
+
+    async findLastReset(key) {
+      const condition = accountCondition(key);
+      const [rows] = await db.query(`
+        SELECT id, attempted_at
+        FROM login_attempts
+        WHERE ${condition.sql} AND result IN ('success', 'unlocked')
+        ORDER BY id DESC
+        LIMIT 1
+      `, condition.params);
+      return rows[0] || null;
+    },
+
+    async findFailures(key, afterId, since) {
+      const condition = accountCondition(key);
+      const [rows] = await db.query(`
+        SELECT id, attempted_at
+        FROM login_attempts
+        WHERE ${condition.sql} AND result = 'failure' AND id > ? AND attempted_at >= ?
+        ORDER BY id DESC
+      `, [...condition.params, afterId, since]);
+      return rows;
+    },
+
+    async findIpFailures(ipAddress, since) {
+      const [rows] = await db.query(`
+        SELECT id, attempted_at
+        FROM login_attempts
+        WHERE ip_address = ? AND result = 'failure' AND attempted_at >= ?
+        ORDER BY id DESC
+      `, [ipAddress, since]);
+      return rows;
+    },
+
+    async findAll(filters = {}) {
+      let query = `
+        SELECT
+          la.id,
+          la.user_id,
+          u.username,
+          la.login,
+          la.ip_address,
+          la.result,
+          la.attempted_at
+        FROM login_attempts la
+        LEFT JOIN users u ON la.user_id = u.id
+        WHERE 1=1
+      `;
+      const params = [];
+
+      if (filters.user_id) {
+        query += " AND la.user_id = ?";
+        params.push(filters.user_id);
+      }
+
+      if (filters.login) {
+        query += " AND la.login LIKE ?";
+        params.push(`%${filters.login}%`);
+      }
+
+      if (filters.ip_address) {
+        query += " AND la.ip_address = ?";
+        params.push(filters.ip_address);
+      }
+
+      if (filters.result) {
+        query += " AND la.result = ?";
+        params.push(filters.result);
+      }
+
+      if (filters.date_from) {
+        query += " AND la.attempted_at >= ?";
+        params.push(filters.date_from);
+      }
+
+      if (filters.date_to) {
+        query += " AND la.attempted_at <= ?";
+        params.push(filters.date_to);
+      }
+
+      query += " ORDER BY la.id DESC";
+
+      if (filters.limit) {
+        query += " LIMIT ?";
+        params.push(parseInt(filters.limit));
+
+        if (filters.offset) {
+          query += " OFFSET ?";
+          params.push(parseInt(filters.offset));
+        }
+      }
+
+      const [rows] = await db.query(query, params);
+      return rows;
+    }
+  };
+}
@@ -0,0 +1,136 @@
+/**
+ * Repositorio MySQL de obligaciones de las sanciones de las citaciones
+ * Tabla sentence_obligations: id, citation_id, obligation_type (civic_course | civic_work),
+ *                             required_amount, completed_amount, due_date, completed_at,
+ *                             cancelled_at, created_at, updated_at
+ * Tabla obligation_progress: id, obligation_id, amount, notes, logged_by, logged_at
+ *
+ * Las consultas por ciudadano, por ID y el informe de vencidas excluyen las
+ * obligaciones de citaciones eliminadas; las fechas límite se devuelven como 'YYYY-MM-DD'
+ *
+ * @param {Object} db - Ejecutor de consultas (pool o conexión transaccional) con query(sql, params)
+ * @returns {Object} Repositorio de obligaciones
+ */
+export function createObligationsRepository(db) {
+  const columns = `
+      so.id,
+      so.citation_id,
+      so.obligation_type,
+      so.required_amount,
+      so.completed_amount,
+      DATE_FORMAT(so.due_date, '%Y-%m-%d') as due_date,
+      so.completed_at,
+      so.cancelled_at,
+      so.created_at,
+      so.updated_at
+  `;
+
+  const baseSelect = `
+    SELECT
+      ${columns},
+      ct.citizen_id,
+      ct.date as citation_date,
+      ct.description as citation_description,
+      c.full_name as citizen_name,
+      c.last_name as citizen_last_name,
+      c.qr_code as citizen_qr_code
+    FROM sentence_obligations so
+    INNER JOIN citations ct ON so.citation_id = ct.id AND ct.deleted_at IS NULL
+    INNER JOIN citizens c ON ct.citizen_id = c.id
+  `;
+
+  return {
+    async findByCitizenId(citizenId) {
+      const [rows] = await db.query(
+        `${baseSelect} WHERE ct.citizen_id = ? ORDER BY so.due_date, so.id`,
+        [citizenId]
+      );
+      return rows;
+    },
+
+    async findById(obligationId) {
+      const [rows] = await db.query(`${baseSelect} WHERE so.id = ?`, [obligationId]);
+      return rows[0] || null;
+    },
+
+    async findByCitationId(citationId) {
+      // Incluye las canceladas: se reabren si la penalización vuelve a incluirlas
+      const [rows] = await db.query(
+        `SELECT ${columns} FROM sentence_obligations so WHERE so.citation_id = ? ORDER BY so.id`,
+        [citationId]
+      );
+      return rows;
+    },
+
+    async findOverdue(filters = {}) {
+      let query = `${baseSelect}
+        WHERE so.cancelled_at IS NULL AND so.completed_at IS NULL AND so.due_date < ?`;
+      const params = [filters.date];
+
+      if (filters.obligation_type) {
+        query += " AND so.obligation_type = ?";
+        params.push(filters.obligation_type);
+      }
+
+      if (filters.citizen_id) {
+        query += " AND ct.citizen_id = ?";
+        params.push(filters.citizen_id);
+      }
+
+      query += " ORDER BY so.due_date, so.id";
+
+      if (filters.limit) {
+        query += " LIMIT ?";
+        params.push(parseInt(filters.limit));
+
+        if (filters.offset) {
+          query += " OFFSET ?";
+          params.push(parseInt(filters.offset));
+        }
+      }
+
+      const [rows] = await db.query(query, params);
+      return rows;
+    },
+
+    async insert(obligation) {
+      const [result] = await db.query("INSERT INTO sentence_obligations SET ?", [obligation]);
+      return result;
+    },
+
+    async update(obligationId, data) {
+      const [result] = await db.query("UPDATE sentence_obligations SET ? WHERE id = ?", [data, obligationId]);
+      return result;
+    },
+
+    async lock(obligationId) {
+      // Bloquea la obligación para que dos registros simultáneos no superen lo requerido
+      const [rows] = await db.query("SELECT id FROM sentence_obligations WHERE id = ? FOR UPDATE", [obligationId]);
+      return rows.length > 0;
+    },
+
+    async findProgress(obligationId) {
+      const [rows] = await db.query(
+        `SELECT
+          op.id,
+          op.obligation_id,
+          op.amount,
+          op.notes,
+          op.logged_by,
+          u.username as logged_by_username,
+          op.logged_at
+        FROM obligation_progress op
+        LEFT JOIN users u ON op.logged_by = u.id
+        WHERE op.obligation_id = ?
+        ORDER BY op.id`,
+        [obligationId]
+      );
+      return rows;
+    },
+
+    async insertProgress(entry) {
+      const [result] = await db.query("INSERT INTO obligation_progress SET ?", [entry]);
+      return result;
+    }
+  };
+}
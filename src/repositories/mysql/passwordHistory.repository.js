@@ -0,0 +1,39 @@
+/**
+ * Repositorio MySQL del historial de contraseñas
+ * Tabla password_history: id, user_id, password_hash, created_at
+ *
+ * @param {Object} db - Ejecutor de consultas (pool o conexión transaccional) con query(sql, params)
+ * @returns {Object} Repositorio del historial de contraseñas
+ */
+export function createPasswordHistoryRepository(db) {
+  return {
+    async insert(userId, passwordHash) {
+      const [result] = await db.query(
+        "INSERT INTO password_history (user_id, password_hash) VALUES (?, ?)",
+        [userId, passwordHash]
+      );
+      return result;
+    },
+
+    async findRecent(userId, limit) {
+      const [rows] = await db.query(
+        "SELECT id, password_hash, created_at FROM password_history WHERE user_id = ? ORDER BY id DESC LIMIT ?",
+        [userId, limit]
+      );
+      return rows;
+    },
+
+    async prune(userId, keep) {
+      // Conservar solo las `keep` entradas más recientes del usuario
+      const [result] = await db.query(`
+        DELETE FROM password_history
+        WHERE user_id = ? AND id NOT IN (
+          SELECT id FROM (
+            SELECT id FROM password_history WHERE user_id = ? ORDER BY id DESC LIMIT ?
+          ) AS recent
+        )
+      `, [userId, userId, keep]);
+      return result;
+    }
+  };
+}
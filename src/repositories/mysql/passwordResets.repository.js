@@ -0,0 +1,50 @@
+/**
+ * Repositorio MySQL de tokens de recuperación de contraseña
+ * Tabla password_reset_tokens: id, user_id, token_hash, requested_ip, created_at, expires_at, used_at
+ *
+ * @param {Object} db - Ejecutor de consultas (pool o conexión transaccional) con query(sql, params)
+ * @returns {Object} Repositorio de recuperaciones de contraseña
+ */
+export function createPasswordResetsRepository(db) {
+  return {
+    async insert(reset) {
+      const [result] = await db.query("INSERT INTO password_reset_tokens SET ?", [reset]);
+      return result;
+    },
+
+    async findByHash(tokenHash) {
+      const [rows] = await db.query("SELECT * FROM password_reset_tokens WHERE token_hash = ?", [tokenHash]);
+      return rows[0] || null;
+    },
+
+    async countSince(userId, since) {
+      const [rows] = await db.query(
+        "SELECT COUNT(*) as total FROM password_reset_tokens WHERE user_id = ? AND created_at >= ?",
+        [userId, since]
+      );
+      return rows[0].total;
+    },
+
+    async claim(id, usedAt) {
+      // Condicional para que un token solo pueda usarse una vez
+      const [result] = await db.query(
+        "UPDATE password_reset_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL AND expires_at > ?",
+        [usedAt, id, usedAt]
+      );
+      return result;
+    },
+
+    async invalidateForUser(userId, usedAt) {
+      const [result] = await db.query(
+        "UPDATE password_reset_tokens SET used_at = ? WHERE user_id = ? AND used_at IS NULL",
+        [usedAt, userId]
+      );
+      return result;
+    },
+
+    async deleteExpired(now) {
+      const [result] = await db.query("DELETE FROM password_reset_tokens WHERE expires_at <= ?", [now]);
+      return result;
+    }
+  };
+}
@@ -0,0 +1,137 @@
+/**
+ * Repositorio MySQL de regímenes de sanción de las citaciones
+ * Tabla penalty_rule_sets: id, planet_id (NULL: régimen general), version, name,
+ *                          tiers (JSON), escalation (JSON), lookback_years,
+ *                          effective_from, effective_to,
+ *                          created_by, created_at, updated_at
+ *
+ * Las fechas de vigencia se devuelven como 'YYYY-MM-DD'
+ *
+ * @param {Object} db - Ejecutor de consultas (pool o conexión transaccional) con query(sql, params)
+ * @returns {Object} Repositorio de regímenes de sanción
+ */
+export function createPenaltyRulesRepository(db) {
+  // Las reglas se guardan como JSON (mysql2 las devuelve ya parseadas)
+  const serialize = (data) => {
+    const row = { ...data };
+    if (row.tiers) row.tiers = JSON.stringify(row.tiers);
+    if (row.escalation) row.escalation = JSON.stringify(row.escalation);
+    return row;
+  };
+
+  const baseSelect = `
+    SELECT
+      prs.id,
+      prs.planet_id,
+      p.planet_name,
+      prs.version,
+      prs.name,
+      prs.tiers,
+      prs.escalation,
+      prs.lookback_years,
+      DATE_FORMAT(prs.effective_from, '%Y-%m-%d') as effective_from,
+      DATE_FORMAT(prs.effective_to, '%Y-%m-%d') as effective_to,
+      prs.created_by,
+      u.username as created_by_username,
+      prs.created_at,
+      prs.updated_at
+    FROM penalty_rule_sets prs
+    LEFT JOIN planets p ON prs.planet_id = p.id
+    LEFT JOIN users u ON prs.created_by = u.id
+  `;
+
+  // planet_id NULL identifica el régimen general
+  const scopeCondition = (planetId) => planetId === null || planetId === undefined
+    ? { sql: "prs.planet_id IS NULL", params: [] }
+    : { sql: "prs.planet_id = ?", params: [planetId] };
+
+  return {
+    async findAll(filters = {}) {
+      let query = `${baseSelect} WHERE 1=1`;
+      const params = [];
+
+      if (filters.planet_id) {
+        query += " AND prs.planet_id = ?";
+        params.push(filters.planet_id);
+      }
+
+      if (filters.date) {
+        query += " AND prs.effective_from <= ? AND (prs.effective_to IS NULL OR prs.effective_to >= ?)";
+        params.push(filters.date, filters.date);
+      }
+
+      query += " ORDER BY prs.planet_id IS NOT NULL, prs.planet_id, prs.version";
+      const [rows] = await db.query(query, params);
+      return rows;
+    },
+
+    async findById(id) {
+      const [rows] = await db.query(`${baseSelect} WHERE prs.id = ?`, [id]);
+      return rows[0] || null;
+    },
+
+    async findInForce(planetId, date) {
+      const scope = scopeCondition(planetId);
+      const [rows] = await db.query(
+        `${baseSelect}
+         WHERE ${scope.sql}
+           AND prs.effective_from <= ? AND (prs.effective_to IS NULL OR prs.effective_to >= ?)
+         ORDER BY prs.effective_from DESC
+         LIMIT 1`,
+        [...scope.params, date, date]
+      );
+      return rows[0] || null;
+    },
+
+    async findOverlapping(planetId, from, to, excludeId = null) {
+      const scope = scopeCondition(planetId);
+      const [rows] = await db.query(
+        `${baseSelect}
+         WHERE ${scope.sql}
+           AND prs.id <> ?
+           AND (prs.effective_to IS NULL OR prs.effective_to >= ?)
+           AND (? IS NULL OR prs.effective_from <= ?)
+         ORDER BY prs.effective_from`,
+        [...scope.params, excludeId || 0, from, to, to]
+      );
+      return rows;
+    },
+
+    async findPredecessor(planetId, effectiveTo, excludeId) {
+      const scope = scopeCondition(planetId);
+      const [rows] = await db.query(
+        `${baseSelect} WHERE ${scope.sql} AND prs.effective_to = ? AND prs.id <> ?`,
+        [...scope.params, effectiveTo, excludeId]
+      );
+      return rows[0] || null;
+    },
+
+    async nextVersion(planetId) {
+      const scope = scopeCondition(planetId);
+      // Se bloquean las versiones del ámbito para que dos altas no obtengan el mismo número
+      const [rows] = await db.query(
+        `SELECT COALESCE(MAX(prs.version), 0) + 1 as next_version
+         FROM penalty_rule_sets prs
+         WHERE ${scope.sql}
+         FOR UPDATE`,
+        scope.params
+      );
+      return rows[0].next_version;
+    },
+
+    async insert(ruleSet) {
+      const [result] = await db.query("INSERT INTO penalty_rule_sets SET ?", [serialize(ruleSet)]);
+      return result;
+    },
+
+    async update(id, data) {
+      const [result] = await db.query("UPDATE penalty_rule_sets SET ? WHERE id = ?", [serialize(data), id]);
+      return result;
+    },
+
+    async delete(id) {
+      const [result] = await db.query("DELETE FROM penalty_rule_sets WHERE id = ?", [id]);
+      return result;
+    }
+  };
+}
@@ -0,0 +1,270 @@
+/**
+ * Repositorio MySQL de antecedentes penales
+ * Tabla criminal_records: id, citizen_id, date, time, location, description, crime_type,
+ *                         source_citation_id, issued_by, updated_by, updated_at, deleted_at, deleted_by, version
+ *
+ * Las consultas excluyen los antecedentes eliminados (deleted_at) salvo con include_deleted;
+ * los conteos, estadísticas y reportes siempre los excluyen
+ *
+ * @param {Object} db - Ejecutor de consultas (pool o conexión transaccional) con query(sql, params)
+ * @returns {Object} Repositorio de antecedentes penales
+ */
+export function createRecordsRepository(db) {
+  const baseSelect = `
+    SELECT
+      cr.id,
+      cr.citizen_id,
+      cr.date,
+      cr.time,
+      cr.location,
+      cr.description,
+      cr.crime_type,
+      cr.source_citation_id,
+      cr.issued_by,
+      issuer.username as issued_by_username,
+      cr.updated_by,
+      editor.username as updated_by_username,
+      cr.updated_at,
+      cr.deleted_at,
+      cr.deleted_by,
+      deleter.username as deleted_by_username,
+      cr.version,
+      c.full_name as citizen_name,
+      c.last_name as citizen_last_name,
+      c.qr_code as citizen_qr_code,
+      p.planet_name as location_name
+    FROM criminal_records cr
+    INNER JOIN citizens c ON cr.citizen_id = c.id
+    INNER JOIN planets p ON cr.location = p.id
+    LEFT JOIN users issuer ON cr.issued_by = issuer.id
+    LEFT JOIN users editor ON cr.updated_by = editor.id
+    LEFT JOIN users deleter ON cr.deleted_by = deleter.id
+  `;
+
+  /**
+   * Condición que excluye los eliminados salvo que se pidan
+   */
+  const notDeleted = (options = {}) => options.include_deleted === true ? "" : " AND cr.deleted_at IS NULL";
+
+  /**
+   * Añadir LIMIT/OFFSET a una consulta si se solicitan
+   */
+  const paginate = (query, params, options) => {
+    if (options.limit) {
+      query += " LIMIT ?";
+      params.push(parseInt(options.limit));
+
+      if (options.offset) {
+        query += " OFFSET ?";
+        params.push(parseInt(options.offset));
+      }
+    }
+    return query;
+  };
+
+  return {
+    async findByCitizenId(citizenId, options = {}) {
+      const [rows] = await db.query(
+        `${baseSelect} WHERE cr.citizen_id = ?${notDeleted(options)} ORDER BY cr.date DESC, cr.time DESC`,
+        [citizenId]
+      );
+      return rows;
+    },
+
+    async findById(recordId, options = {}) {
+      const [rows] = await db.query(`${baseSelect} WHERE cr.id = ?${notDeleted(options)}`, [recordId]);
+      return rows[0] || null;
+    },
+
+    async findAll(filters = {}) {
+      let query = `${baseSelect} WHERE 1=1${notDeleted(filters)}`;
+      const params = [];
+
+      if (filters.location) {
+        query += " AND p.planet_name LIKE ?";
+        params.push(`%${filters.location}%`);
+      }
+
+      if (filters.date_from) {
+        query += " AND cr.date >= ?";
+        params.push(filters.date_from);
+      }
+
+      if (filters.date_to) {
+        query += " AND cr.date <= ?";
+        params.push(filters.date_to);
+      }
+
+      query += " ORDER BY cr.date DESC, cr.time DESC";
+      query = paginate(query, params, filters);
+
+      const [rows] = await db.query(query, params);
+      return rows;
+    },
+
+    async search(criteria) {
+      let query = `${baseSelect} WHERE 1=1${notDeleted(criteria)}`;
+      const params = [];
+
+      if (criteria.term) {
+        query += ` AND (
+          cr.description LIKE ? OR
+          p.planet_name LIKE ? OR
+          cr.crime_type LIKE ? OR
+          c.full_name LIKE ? OR
+          c.last_name LIKE ?
+        )`;
+        const termPattern = `%${criteria.term}%`;
+        params.push(termPattern, termPattern, termPattern, termPattern, termPattern);
+      }
+
+      if (criteria.location) {
+        query += " AND p.planet_name LIKE ?";
+        params.push(`%${criteria.location}%`);
+      }
+
+      if (criteria.citizen_name) {
+        query += " AND (c.full_name LIKE ? OR c.last_name LIKE ?)";
+        const namePattern = `%${criteria.citizen_name}%`;
+        params.push(namePattern, namePattern);
+      }
+
+      if (criteria.issued_by) {
+        query += " AND cr.issued_by = ?";
+        params.push(criteria.issued_by);
+      }
+
+      if (criteria.updated_by) {
+        query += " AND cr.updated_by = ?";
+        params.push(criteria.updated_by);
+      }
+
+      query += " ORDER BY cr.date DESC, cr.time DESC";
+      query = paginate(query, params, criteria);
+
+      const [rows] = await db.query(query, params);
+      return rows;
+    },
+
+    async insert(record) {
+      const [result] = await db.query("INSERT INTO criminal_records SET ?", [record]);
+      return result;
+    },
+
+    async lockVersion(recordId) {
+      // FOR UPDATE bloquea la fila hasta el final de la transacción
+      const [rows] = await db.query("SELECT version FROM criminal_records WHERE id = ? FOR UPDATE", [recordId]);
+      return rows.length > 0 ? rows[0].version : null;
+    },
+
+    async update(recordId, data) {
+      const [result] = await db.query("UPDATE criminal_records SET ? WHERE id = ?", [data, recordId]);
+      return result;
+    },
+
+    async delete(recordId) {
+      const [result] = await db.query("DELETE FROM criminal_records WHERE id = ?", [recordId]);
+      return result;
+    },
+
+    async softDelete(recordId, deletion) {
+      const [result] = await db.query(
+        "UPDATE criminal_records SET deleted_at = ?, deleted_by = ? WHERE id = ? AND deleted_at IS NULL",
+        [deletion.deleted_at, deletion.deleted_by, recordId]
+      );
+      return result;
+    },
+
+    async restore(recordId) {
+      const [result] = await db.query(
+        "UPDATE criminal_records SET deleted_at = NULL, deleted_by = NULL WHERE id = ? AND deleted_at IS NOT NULL",
+        [recordId]
+      );
+      return result;
+    },
+
+    async softDeleteByCitizen(citizenId, deletion) {
+      const [result] = await db.query(
+        "UPDATE criminal_records SET deleted_at = ?, deleted_by = ? WHERE citizen_id = ? AND deleted_at IS NULL",
+        [deletion.deleted_at, deletion.deleted_by, citizenId]
+      );
+      return result;
+    },
+
+    async restoreByCitizen(citizenId, deletedAt) {
+      const [result] = await db.query(
+        "UPDATE criminal_records SET deleted_at = NULL, deleted_by = NULL WHERE citizen_id = ? AND deleted_at = ?",
+        [citizenId, deletedAt]
+      );
+      return result;
+    },
+
+    async findDeletedBefore(date) {
+      const [rows] = await db.query(
+        "SELECT id, citizen_id, deleted_at FROM criminal_records WHERE deleted_at < ? ORDER BY id",
+        [date]
+      );
+      return rows;
+    },
+
+    async purgeDeletedBefore(date) {
+      const [result] = await db.query("DELETE FROM criminal_records WHERE deleted_at < ?", [date]);
+      return result;
+    },
+
+    async countByCitizen(citizenId) {
+      const [rows] = await db.query(
+        "SELECT COUNT(*) as total FROM criminal_records WHERE citizen_id = ? AND deleted_at IS NULL",
+        [citizenId]
+      );
+      return rows[0].total;
+    },
+
+    async getStats() {
+      const [byLocation] = await db.query(`
+        SELECT
+          COUNT(*) as total_records,
+          COUNT(DISTINCT citizen_id) as total_citizens_with_records,
+          COUNT(DISTINCT location) as total_locations,
+          p.planet_name as location_name,
+          COUNT(*) as records_by_location
+        FROM criminal_records cr
+        INNER JOIN planets p ON cr.location = p.id
+        WHERE cr.deleted_at IS NULL
+        GROUP BY cr.location, p.planet_name
+        ORDER BY records_by_location DESC
+      `);
+
+      const [generalStats] = await db.query(`
+        SELECT
+          COUNT(*) as total_records,
+          COUNT(DISTINCT citizen_id) as total_citizens_with_records,
+          COUNT(DISTINCT location) as total_locations
+        FROM criminal_records
+        WHERE deleted_at IS NULL
+      `);
+
+      return {
+        general: generalStats[0],
+        by_location: byLocation
+      };
+    },
+
+    async getMostDangerousLocations(limit = 10) {
+      const [rows] = await db.query(`
+        SELECT
+          cr.location,
+          p.planet_name as location_name,
+          COUNT(*) as total_crimes,
+          COUNT(DISTINCT citizen_id) as unique_criminals
+        FROM criminal_records cr
+        INNER JOIN planets p ON cr.location = p.id
+        WHERE cr.deleted_at IS NULL
+        GROUP BY cr.location, p.planet_name
+        ORDER BY total_crimes DESC
+        LIMIT ?
+      `, [limit]);
+      return rows;
+    }
+  };
+}
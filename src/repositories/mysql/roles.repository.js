@@ -0,0 +1,64 @@
+/**
+ * Repositorio MySQL de roles
+ * Tabla roles: id, role_name, description, permissions (JSON), is_system,
+ *              created_at, updated_at, retired_at
+ *
+ * @param {Object} db - Ejecutor de consultas (pool o conexión transaccional) con query(sql, params)
+ * @returns {Object} Repositorio de roles
+ */
+export function createRolesRepository(db) {
+  // Los permisos se guardan como JSON (mysql2 los devuelve ya parseados)
+  const serialize = (data) => data.permissions ? { ...data, permissions: JSON.stringify(data.permissions) } : data;
+
+  const baseSelect = `
+    SELECT
+      r.*,
+      (SELECT COUNT(*) FROM users u WHERE u.role_id = r.id) AS user_count
+    FROM roles r
+  `;
+
+  return {
+    async findAll(options = {}) {
+      const where = options.includeRetired ? "" : " WHERE r.retired_at IS NULL";
+      const [rows] = await db.query(`${baseSelect}${where} ORDER BY r.id`);
+      return rows;
+    },
+
+    async findById(id) {
+      const [rows] = await db.query(`${baseSelect} WHERE r.id = ?`, [id]);
+      return rows[0] || null;
+    },
+
+    async findByName(roleName) {
+      const [rows] = await db.query(`${baseSelect} WHERE r.role_name = ?`, [roleName]);
+      return rows[0] || null;
+    },
+
+    async findPermissions(roleName) {
+      const [rows] = await db.query(
+        "SELECT permissions FROM roles WHERE role_name = ? AND retired_at IS NULL",
+        [roleName]
+      );
+      return rows[0] ? rows[0].permissions : [];
+    },
+
+    async insert(role) {
+      const [result] = await db.query("INSERT INTO roles SET ?", [serialize(role)]);
+      return result;
+    },
+
+    async update(id, data) {
+      const [result] = await db.query("UPDATE roles SET ? WHERE id = ?", [serialize(data), id]);
+      return result;
+    },
+
+    async retire(id, retiredAt) {
+      // Condicional para no sobrescribir la fecha de un rol ya retirado
+      const [result] = await db.query(
+        "UPDATE roles SET retired_at = ? WHERE id = ? AND retired_at IS NULL",
+        [retiredAt, id]
+      );
+      return result;
+    }
+  };
+}
@@ -0,0 +1,121 @@
+/**
+ * Repositorio MySQL de cuentas de servicio y sus API keys
+ * Tabla service_accounts: id, name, description, scopes (JSON), status, created_by, created_at, updated_at
+ * Tabla api_keys: id, service_account_id, key_prefix, key_hash, created_by, created_at,
+ *                 expires_at, revoked_at, last_used_at, last_used_ip
+ *
+ * @param {Object} db - Ejecutor de consultas (pool o conexión transaccional) con query(sql, params)
+ * @returns {Object} Repositorio de cuentas de servicio
+ */
+export function createServiceAccountsRepository(db) {
+  // Los scopes se guardan como JSON (mysql2 los devuelve ya parseados)
+  const serialize = (data) => data.scopes ? { ...data, scopes: JSON.stringify(data.scopes) } : data;
+
+  // Columnas de las keys sin el hash
+  const keyColumns = `
+    k.id,
+    k.service_account_id,
+    k.key_prefix,
+    k.created_by,
+    k.created_at,
+    k.expires_at,
+    k.revoked_at,
+    k.last_used_at,
+    k.last_used_ip
+  `;
+
+  return {
+    async findAll(now) {
+      const [rows] = await db.query(`
+        SELECT
+          sa.*,
+          (
+            SELECT COUNT(*) FROM api_keys k
+            WHERE k.service_account_id = sa.id AND k.revoked_at IS NULL AND k.expires_at > ?
+          ) AS active_keys
+        FROM service_accounts sa
+        ORDER BY sa.id
+      `, [now]);
+      return rows;
+    },
+
+    async findById(id) {
+      const [rows] = await db.query("SELECT * FROM service_accounts WHERE id = ?", [id]);
+      return rows[0] || null;
+    },
+
+    async findByName(name) {
+      const [rows] = await db.query("SELECT * FROM service_accounts WHERE name = ?", [name]);
+      return rows[0] || null;
+    },
+
+    async insert(account) {
+      const [result] = await db.query("INSERT INTO service_accounts SET ?", [serialize(account)]);
+      return result;
+    },
+
+    async update(id, data) {
+      const [result] = await db.query("UPDATE service_accounts SET ? WHERE id = ?", [serialize(data), id]);
+      return result;
+    },
+
+    async delete(id) {
+      const [result] = await db.query("DELETE FROM service_accounts WHERE id = ?", [id]);
+      return result;
+    },
+
+    async findKeys(serviceAccountId) {
+      const [rows] = await db.query(
+        `SELECT ${keyColumns} FROM api_keys k WHERE k.service_account_id = ? ORDER BY k.id DESC`,
+        [serviceAccountId]
+      );
+      return rows;
+    },
+
+    async findKeyById(id) {
+      const [rows] = await db.query(`SELECT ${keyColumns} FROM api_keys k WHERE k.id = ?`, [id]);
+      return rows[0] || null;
+    },
+
+    async findKeyByHash(keyHash) {
+      const [rows] = await db.query(`
+        SELECT
+          ${keyColumns},
+          sa.name AS service_account_name,
+          sa.scopes,
+          sa.status AS service_account_status
+        FROM api_keys k
+        INNER JOIN service_accounts sa ON k.service_account_id = sa.id
+        WHERE k.key_hash = ?
+      `, [keyHash]);
+      return rows[0] || null;
+    },
+
+    async insertKey(key) {
+      const [result] = await db.query("INSERT INTO api_keys SET ?", [key]);
+      return result;
+    },
+
+    async updateKey(id, data) {
+      const [result] = await db.query("UPDATE api_keys SET ? WHERE id = ?", [data, id]);
+      return result;
+    },
+
+    async revokeKey(id, revokedAt) {
+      // Condicional para no sobrescribir la fecha de una key ya revocada
+      const [result] = await db.query(
+        "UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL",
+        [revokedAt, id]
+      );
+      return result;
+    },
+
+    async touchKey(id, usedAt, ipAddress) {
+      const [result] = await db.query(
+        "UPDATE api_keys SET last_used_at = ?, last_used_ip = ? WHERE id = ?",
+        [usedAt, ipAddress, id]
+      );
+      return result;
+    }
+  };
+}
@@ -0,0 +1,53 @@
+/**
+ * Repositorio MySQL de sesiones de usuario
+ * Tabla user_sessions: id, session_id, user_id, ip_address, user_agent, created_at,
+ *                      last_seen_at, last_seen_ip, expires_at, revoked_at, revoked_reason
+ *
+ * @param {Object} db - Ejecutor de consultas (pool o conexión transaccional) con query(sql, params)
+ * @returns {Object} Repositorio de sesiones
+ */
+export function createSessionsRepository(db) {
+  return {
+    async insert(session) {
+      const [result] = await db.query("INSERT INTO user_sessions SET ?", [session]);
+      return result;
+    },
+
+    async findById(id) {
+      const [rows] = await db.query("SELECT * FROM user_sessions WHERE id = ?", [id]);
+      return rows[0] || null;
+    },
+
+    async findActiveByUser(userId, now) {
+      const [rows] = await db.query(`
+        SELECT *
+        FROM user_sessions
+        WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+        ORDER BY last_seen_at DESC, id DESC
+      `, [userId, now]);
+      return rows;
+    },
+
+    async update(sessionId, data) {
+      const [result] = await db.query("UPDATE user_sessions SET ? WHERE session_id = ?", [data, sessionId]);
+      return result;
+    },
+
+    async touch(sessionId, seenAt, ipAddress, staleBefore) {
+      // Condicional: como mucho una escritura por intervalo y sesión
+      const [result] = await db.query(
+        "UPDATE user_sessions SET last_seen_at = ?, last_seen_ip = ? WHERE session_id = ? AND last_seen_at <= ?",
+        [seenAt, ipAddress, sessionId, staleBefore]
+      );
+      return result;
+    },
+
+    async revoke(sessionId, revokedAt, reason) {
+      const [result] = await db.query(
+        "UPDATE user_sessions SET revoked_at = ?, revoked_reason = ? WHERE session_id = ? AND revoked_at IS NULL",
+        [revokedAt, reason, sessionId]
+      );
+      return result;
+    }
+  };
+}
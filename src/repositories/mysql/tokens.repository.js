@@ -0,0 +1,59 @@
+/**
+ * Repositorio MySQL de refresh tokens y revocaciones de sesión
+ * Tabla refresh_tokens: id, user_id, session_id, token_hash, expires_at, created_at, revoked_at, replaced_by
+ * Tabla revoked_tokens: id, session_id, user_id, reason, expires_at, revoked_at
+ *
+ * @param {Object} db - Ejecutor de consultas (pool o conexión transaccional) con query(sql, params)
+ * @returns {Object} Repositorio de tokens
+ */
+export function createTokensRepository(db) {
+  return {
+    async insertRefreshToken(token) {
+      const [result] = await db.query("INSERT INTO refresh_tokens SET ?", [token]);
+      return result;
+    },
+
+    async findRefreshTokenByHash(tokenHash) {
+      const [rows] = await db.query("SELECT * FROM refresh_tokens WHERE token_hash = ?", [tokenHash]);
+      return rows[0] || null;
+    },
+
+    async updateRefreshToken(id, data) {
+      const [result] = await db.query("UPDATE refresh_tokens SET ? WHERE id = ?", [data, id]);
+      return result;
+    },
+
+    async revokeRefreshTokensBySession(sessionId, revokedAt) {
+      const [result] = await db.query(
+        "UPDATE refresh_tokens SET revoked_at = ? WHERE session_id = ? AND revoked_at IS NULL",
+        [revokedAt, sessionId]
+      );
+      return result;
+    },
+
+    async findActiveSessionIds(userId, now) {
+      const [rows] = await db.query(`
+        SELECT DISTINCT session_id
+        FROM refresh_tokens
+        WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+      `, [userId, now]);
+      return rows.map(row => row.session_id);
+    },
+
+    async insertRevocation(revocation) {
+      const [result] = await db.query("INSERT IGNORE INTO revoked_tokens SET ?", [revocation]);
+      return result;
+    },
+
+    async isSessionRevoked(sessionId) {
+      const [rows] = await db.query("SELECT id FROM revoked_tokens WHERE session_id = ?", [sessionId]);
+      return rows.length > 0;
+    },
+
+    async deleteExpired(now) {
+      const [tokens] = await db.query("DELETE FROM refresh_tokens WHERE expires_at <= ?", [now]);
+      const [revocations] = await db.query("DELETE FROM revoked_tokens WHERE expires_at <= ?", [now]);
+      return { affectedRows: tokens.affectedRows + revocations.affectedRows };
+    }
+  };
+}
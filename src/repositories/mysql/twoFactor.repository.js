@@ -0,0 +1,75 @@
+/**
+ * Repositorio MySQL de autenticación en dos pasos
+ * Tabla user_two_factor: id, user_id, secret, created_at, enabled_at, last_used_step
+ * Tabla recovery_codes: id, user_id, code_hash, created_at, used_at
+ *
+ * @param {Object} db - Ejecutor de consultas (pool o conexión transaccional) con query(sql, params)
+ * @returns {Object} Repositorio de 2FA
+ */
+export function createTwoFactorRepository(db) {
+  return {
+    async findByUserId(userId) {
+      const [rows] = await db.query("SELECT * FROM user_two_factor WHERE user_id = ?", [userId]);
+      return rows[0] || null;
+    },
+
+    async save(userId, secret) {
+      // Una inscripción nueva sustituye a cualquier otra sin confirmar
+      const [result] = await db.query(`
+        INSERT INTO user_two_factor (user_id, secret, enabled_at, last_used_step)
+        VALUES (?, ?, NULL, NULL)
+        ON DUPLICATE KEY UPDATE secret = VALUES(secret), created_at = CURRENT_TIMESTAMP, enabled_at = NULL, last_used_step = NULL
+      `, [userId, secret]);
+      return result;
+    },
+
+    async update(userId, data) {
+      const [result] = await db.query("UPDATE user_two_factor SET ? WHERE user_id = ?", [data, userId]);
+      return result;
+    },
+
+    async useStep(userId, step) {
+      // Condicional: un paso TOTP solo se acepta una vez
+      const [result] = await db.query(
+        "UPDATE user_two_factor SET last_used_step = ? WHERE user_id = ? AND (last_used_step IS NULL OR last_used_step < ?)",
+        [step, userId, step]
+      );
+      return result;
+    },
+
+    async delete(userId) {
+      const [result] = await db.query("DELETE FROM user_two_factor WHERE user_id = ?", [userId]);
+      return result;
+    },
+
+    async replaceRecoveryCodes(userId, codeHashes) {
+      await db.query("DELETE FROM recovery_codes WHERE user_id = ?", [userId]);
+      const [result] = await db.query(
+        "INSERT INTO recovery_codes (user_id, code_hash) VALUES ?",
+        [codeHashes.map(codeHash => [userId, codeHash])]
+      );
+      return result;
+    },
+
+    async useRecoveryCode(userId, codeHash, usedAt) {
+      const [result] = await db.query(
+        "UPDATE recovery_codes SET used_at = ? WHERE user_id = ? AND code_hash = ? AND used_at IS NULL LIMIT 1",
+        [usedAt, userId, codeHash]
+      );
+      return result;
+    },
+
+    async countUnusedRecoveryCodes(userId) {
+      const [rows] = await db.query(
+        "SELECT COUNT(*) as total FROM recovery_codes WHERE user_id = ? AND used_at IS NULL",
+        [userId]
+      );
+      return rows[0].total;
+    },
+
+    async deleteRecoveryCodes(userId) {
+      const [result] = await db.query("DELETE FROM recovery_codes WHERE user_id = ?", [userId]);
+      return result;
+    }
+  };
+}
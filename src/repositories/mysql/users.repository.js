@@ -0,0 +1,112 @@
+/**
+ * Repositorio MySQL de usuarios y roles
+ * Tabla users: id, username, password_hash, password_changed_at, role_id, user_email, status, version
+ * Tabla roles: id, role_name, retired_at (gestión de roles en roles.repository.js)
+ *
+ * @param {Object} db - Ejecutor de consultas (pool o conexión transaccional) con query(sql, params)
+ * @returns {Object} Repositorio de usuarios
+ */
+export function createUsersRepository(db) {
+  const baseSelect = `
+    SELECT
+      u.id,
+      u.username,
+      u.user_email,
+      u.status,
+      u.password_changed_at,
+      u.role_id,
+      r.role_name,
+      u.version
+    FROM users u
+    INNER JOIN roles r ON u.role_id = r.id
+  `;
+
+  return {
+    async findAll(filters = {}) {
+      let query = `${baseSelect} WHERE 1=1`;
+      const params = [];
+
+      if (filters.status) {
+        query += " AND u.status = ?";
+        params.push(filters.status);
+      }
+
+      if (filters.role_id) {
+        query += " AND u.role_id = ?";
+        params.push(filters.role_id);
+      }
+
+      const [rows] = await db.query(`${query} ORDER BY u.id`, params);
+      return rows;
+    },
+
+    async findById(id) {
+      const [rows] = await db.query(`${baseSelect} WHERE u.id = ?`, [id]);
+      return rows[0] || null;
+    },
+
+    async findByLogin(login) {
+      const [rows] = await db.query(`
+        SELECT
+          u.id,
+          u.username,
+          u.user_email,
+          u.password_hash,
+          u.password_changed_at,
+          u.status,
+          u.role_id,
+          r.role_name
+        FROM users u
+        INNER JOIN roles r ON u.role_id = r.id
+        WHERE u.username = ? OR u.user_email = ?
+      `, [login, login]);
+      return rows[0] || null;
+    },
+
+    async getPasswordHash(id) {
+      const [rows] = await db.query("SELECT password_hash FROM users WHERE id = ?", [id]);
+      return rows.length > 0 ? rows[0].password_hash : null;
+    },
+
+    async insert(user) {
+      const [result] = await db.query("INSERT INTO users SET ?", [user]);
+      return result;
+    },
+
+    async lockVersion(id) {
+      // FOR UPDATE bloquea la fila hasta el final de la transacción
+      const [rows] = await db.query("SELECT version FROM users WHERE id = ? FOR UPDATE", [id]);
+      return rows.length > 0 ? rows[0].version : null;
+    },
+
+    async update(id, data) {
+      const [result] = await db.query("UPDATE users SET ? WHERE id = ?", [data, id]);
+      return result;
+    },
+
+    async delete(id) {
+      const [result] = await db.query("DELETE FROM users WHERE id = ?", [id]);
+      return result;
+    },
+
+    async usernameExists(username, excludeId = null) {
+      const [rows] = excludeId === null
+        ? await db.query("SELECT id FROM users WHERE username = ?", [username])
+        : await db.query("SELECT id FROM users WHERE username = ? AND id != ?", [username, excludeId]);
+      return rows.length > 0;
+    },
+
+    async emailExists(email, excludeId = null) {
+      const [rows] = excludeId === null
+        ? await db.query("SELECT id FROM users WHERE user_email = ?", [email])
+        : await db.query("SELECT id FROM users WHERE user_email = ? AND id != ?", [email, excludeId]);
+      return rows.length > 0;
+    },
+
+    async roleExists(roleId) {
+      // Los roles retirados no pueden asignarse
+      const [rows] = await db.query("SELECT id FROM roles WHERE id = ? AND retired_at IS NULL", [roleId]);
+      return rows.length > 0;
+    }
+  };
+}
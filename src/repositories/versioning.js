@@ -0,0 +1,25 @@
+/**
+ * Control de concurrencia optimista
+ *
+ * Ciudadanos, antecedentes, citaciones y usuarios tienen una columna version
+ * que se incrementa en cada escritura (triggers de la migración 0019). Las
+ * escrituras con If-Match comprueban la versión dentro de su transacción.
+ */
+
+// Los controladores responden 412 con la representación actual
+export const STALE_VERSION_MESSAGE = "La versión no coincide: el recurso fue modificado por otra petición";
+
+/**
+ * Bloquear la fila y comprobar que su versión es una de las esperadas
+ * Si la fila no existe no se lanza error: la escritura no afectará filas (404)
+ * @param {Object} repository - Repositorio de la transacción con lockVersion(id)
+ * @param {number} id - ID de la fila
+ * @param {number[]|null} expectedVersions - Versiones de If-Match (null acepta cualquiera)
+ */
+export async function assertVersion(repository, id, expectedVersions) {
+  const version = await repository.lockVersion(id);
+
+  if (expectedVersions && version !== null && !expectedVersions.includes(Number(version))) {
+    throw new Error(STALE_VERSION_MESSAGE);
+  }
+}
@@ -0,0 +1,87 @@
+import "dotenv/config"; // Cargar variables de entorno antes de abrir conexiones
+import { closePool } from "../config/Database.js";
+import {
+  migrateUp,
+  migrateDown,
+  getMigrationStatus,
+  createMigration
+} from "../database/migrator.js";
+
+/**
+ * CLI de migraciones del esquema
+ *
+ * Uso:
+ *   npm run migrate -- up [--to=0005]     Aplicar migraciones pendientes
+ *   npm run migrate -- down [--steps=1]   Revertir las últimas migraciones
+ *   npm run migrate -- status             Ver estado de las migraciones
+ *   npm run migrate -- create <nombre>    Crear archivos de una nueva migración
+ */
+
+/**
+ * Leer opciones con formato --clave=valor
+ * @param {string[]} args - Argumentos de la línea de comandos
+ * @returns {Object} Opciones leídas
+ */
+function parseOptions(args) {
+  const options = {};
+  for (const arg of args) {
+    const match = arg.match(/^--([a-z-]+)=(.*)$/);
+    if (match) options[match[1]] = match[2];
+  }
+  return options;
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const options = parseOptions(args);
+
+  switch (command) {
+    case "up": {
+      const applied = await migrateUp({ to: options.to });
+      console.log(applied.length > 0 ? `✅ ${applied.length} migración(es) aplicada(s)` : "✅ El esquema está al día");
+      break;
+    }
+
+    case "down": {
+      const steps = options.steps ? parseInt(options.steps) : 1;
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error("--steps debe ser un número entero positivo");
+      }
+      const reverted = await migrateDown({ steps });
+      console.log(reverted.length > 0 ? `✅ ${reverted.length} migración(es) revertida(s)` : "ℹ️  No hay migraciones que revertir");
+      break;
+    }
+
+    case "status": {
+      const status = await getMigrationStatus();
+      for (const migration of status) {
+        const mark = migration.applied ? "✔" : "·";
+        const appliedAt = migration.applied_at ? ` (${new Date(migration.applied_at).toISOString()})` : "";
+        console.log(`${mark} ${migration.version}_${migration.name}${appliedAt}`);
+      }
+      const pending = status.filter(migration => !migration.applied).length;
+      console.log(`\n${status.length - pending} aplicada(s), ${pending} pendiente(s)`);
+      break;
+    }
+
+    case "create": {
+      const { upFile, downFile } = createMigration(args.find(arg => !arg.startsWith("--")));
+      console.log(`📝 Creado ${upFile}`);
+      console.log(`📝 Creado ${downFile}`);
+      break;
+    }
+
+    default:
+      console.log("Uso: npm run migrate -- <up|down|status|create> [--to=VERSION] [--steps=N] [nombre]");
+      process.exitCode = 1;
+  }
+}
+
+try {
+  await main();
+} catch (error) {
+  console.error('❌ Error en la migración:', error.message);
+  process.exitCode = 1;
+} finally {
+  await closePool();
+}
@@ -0,0 +1,53 @@
+import "dotenv/config"; // Cargar variables de entorno antes de abrir conexiones
+import { closePool } from "../config/Database.js";
+import { purgeSoftDeleted, getRetentionDays } from "../database/purge.js";
+
+/**
+ * CLI para borrar definitivamente los registros eliminados lógicamente
+ *
+ * Uso:
+ *   npm run purge -- [--days=90] [--dry-run]
+ *
+ * --days     Días que se conservan los eliminados (por defecto SOFT_DELETE_RETENTION_DAYS o 90)
+ * --dry-run  Muestra cuántos registros se purgarían sin borrarlos
+ */
+
+/**
+ * Leer opciones con formato --clave=valor o --bandera
+ * @param {string[]} args - Argumentos de la línea de comandos
+ * @returns {Object} Opciones leídas
+ */
+function parseOptions(args) {
+  const options = {};
+  for (const arg of args) {
+    const match = arg.match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (match) options[match[1]] = match[2] === undefined ? true : match[2];
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseOptions(process.argv.slice(2));
+
+  const retentionDays = options.days !== undefined ? Number(options.days) : getRetentionDays();
+  if (!Number.isInteger(retentionDays) || retentionDays < 0) {
+    throw new Error("--days debe ser un número entero mayor o igual a 0");
+  }
+
+  const summary = await purgeSoftDeleted({ retentionDays, dryRun: Boolean(options['dry-run']) });
+
+  const verb = summary.dry_run ? 'Se purgarían' : 'Purgados';
+  console.log(`🗑️ Eliminados antes de ${summary.cutoff.toISOString()} (retención de ${retentionDays} días)`);
+  console.log(`👥 ${verb} ciudadanos: ${summary.citizens}`);
+  console.log(`📋 ${verb} antecedentes penales: ${summary.criminal_records}`);
+  console.log(`⚖️ ${verb} citaciones: ${summary.citations}`);
+}
+
+try {
+  await main();
+} catch (error) {
+  console.error('❌ Error al purgar registros eliminados:', error.message);
+  process.exitCode = 1;
+} finally {
+  await closePool();
+}
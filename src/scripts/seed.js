@@ -0,0 +1,74 @@
+import "dotenv/config"; // Cargar variables de entorno antes de abrir conexiones
+import { closePool } from "../config/Database.js";
+import { runSeed } from "../database/seeder.js";
+
+/**
+ * CLI para poblar la base de datos con datos de prueba reproducibles
+ *
+ * Uso:
+ *   npm run seed -- [--seed=42] [--citizens=60] [--date=2025-08-27] [--reset]
+ *
+ * --seed      Semilla del generador aleatorio (misma semilla => mismos datos)
+ * --citizens  Número de ciudadanos a generar
+ * --date      Fecha de referencia para las fechas generadas (por defecto hoy)
+ * --reset     Borra ciudadanos, antecedentes, citaciones y usuarios demo antes de insertar
+ *
+ * La contraseña de los usuarios demo se toma de SEED_USER_PASSWORD (por defecto Interpolice123)
+ */
+
+/**
+ * Leer opciones con formato --clave=valor o --bandera
+ * @param {string[]} args - Argumentos de la línea de comandos
+ * @returns {Object} Opciones leídas
+ */
+function parseOptions(args) {
+  const options = {};
+  for (const arg of args) {
+    const match = arg.match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (match) options[match[1]] = match[2] === undefined ? true : match[2];
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseOptions(process.argv.slice(2));
+
+  const seed = options.seed !== undefined ? parseInt(options.seed) : 42;
+  const citizens = options.citizens !== undefined ? parseInt(options.citizens) : 60;
+  const date = options.date || new Date().toISOString().split('T')[0];
+
+  if (!Number.isInteger(seed)) {
+    throw new Error("--seed debe ser un número entero");
+  }
+  if (!Number.isInteger(citizens) || citizens < 1 || citizens > 10000) {
+    throw new Error("--citizens debe ser un número entre 1 y 10000");
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    throw new Error("--date debe estar en formato YYYY-MM-DD");
+  }
+
+  const summary = await runSeed({
+    seed,
+    citizens,
+    referenceDate: new Date(`${date}T12:00:00Z`),
+    reset: Boolean(options.reset),
+    password: process.env.SEED_USER_PASSWORD || "Interpolice123"
+  });
+
+  console.log(`🌱 Datos generados con semilla ${seed} y fecha de referencia ${date}`);
+  console.log(`🪐 Planetas: ${summary.planets}`);
+  console.log(`👥 Ciudadanos: ${summary.citizens}`);
+  console.log(`📋 Antecedentes penales: ${summary.criminal_records} (${summary.automatic_criminal_records} por acumulación de citaciones)`);
+  console.log(`⚖️ Citaciones: ${summary.citations}`);
+  console.log(`📅 Obligaciones de curso y trabajo cívico: ${summary.sentence_obligations}`);
+  console.log(`🔐 Usuarios demo: ${summary.users.join(', ')}`);
+}
+
+try {
+  await main();
+} catch (error) {
+  console.error('❌ Error al generar datos de prueba:', error.message);
+  process.exitCode = 1;
+} finally {
+  await closePool();
+}
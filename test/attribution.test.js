@@ -0,0 +1,110 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  startServer,
+  stopServer,
+  request,
+  userFor,
+  createCitizen,
+  createCitation,
+  createUser
+} from "./helpers.js";
+import { getRepositories } from "../src/repositories/index.js";
+
+const recordPayload = {
+  date: "2025-02-14",
+  time: "21:15",
+  location: 2,
+  description: "Robo de suministros en el puerto espacial",
+  crime_type: "Robo"
+};
+
+describe("Atribución de antecedentes y citaciones", () => {
+  before(startServer);
+  after(stopServer);
+
+  it("guarda quién registra y quién modifica un antecedente", async () => {
+    const citizenId = await createCitizen();
+    const created = await request("POST", `/api/citizens/${citizenId}/records`, {
+      role: "CourtClerk",
+      body: recordPayload
+    });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    assert.equal(created.body.data.issued_by, userFor("CourtClerk").id);
+    assert.equal(created.body.data.issued_by_username, userFor("CourtClerk").username);
+    assert.equal(created.body.data.updated_by, null);
+
+    const recordId = created.body.data.id;
+    const updated = await request("PUT", `/api/citizens/${citizenId}/records/${recordId}`, {
+      role: "Admin",
+      ifMatch: "*",
+      body: { description: "Robo de suministros médicos en el puerto", issued_by: userFor("Admin").id }
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.data.issued_by, userFor("CourtClerk").id);
+    assert.equal(updated.body.data.updated_by, userFor("Admin").id);
+    assert.equal(updated.body.data.updated_by_username, userFor("Admin").username);
+    assert.ok(updated.body.data.updated_at);
+  });
+
+  it("atribuye la citación y el antecedente automático al agente que la emite", async () => {
+    const citizenId = await createCitizen();
+    await createCitation(citizenId);
+    await createCitation(citizenId);
+
+    const response = await request("POST", `/api/citizens/${citizenId}/citations`, {
+      role: "PoliceOfficer",
+      body: { description: "Tercera infracción por ruido" }
+    });
+    assert.equal(response.status, 202);
+    assert.equal(response.body.data.citation.issued_by, userFor("PoliceOfficer").id);
+
+    const records = await request("GET", `/api/citizens/${citizenId}/records`, { role: "Admin" });
+    const automatic = records.body.data.find(record => record.crime_type === "Acumulación de citaciones menores");
+    assert.equal(automatic.issued_by, userFor("PoliceOfficer").id);
+    assert.equal(automatic.issued_by_username, userFor("PoliceOfficer").username);
+  });
+
+  it("busca por agente que registra o modifica", async () => {
+    const officerId = await createUser("PoliceOfficer");
+    const citizenId = await createCitizen();
+    const citationId = await createCitation(citizenId);
+    await getRepositories().citations.update(citationId, { issued_by: officerId });
+
+    const issued = await request("GET", `/api/citations/search?issued_by=${officerId}`, { role: "General" });
+    assert.equal(issued.status, 200);
+    assert.deepEqual(issued.body.data.map(citation => citation.id), [citationId]);
+
+    await request("PUT", `/api/citizens/${citizenId}/citations/${citationId}`, {
+      role: "Admin",
+      ifMatch: "*",
+      body: { fine_amount: 800 }
+    });
+    const edited = await request("GET", `/api/citations/search?updated_by=${userFor("Admin").id}`, {
+      role: "General"
+    });
+    assert.ok(edited.body.data.some(citation => citation.id === citationId));
+
+    assert.equal((await request("GET", "/api/records/search?issued_by=abc", { role: "General" })).status, 400);
+  });
+
+  it("muestra la actividad de un usuario y conserva los registros al eliminarlo", async () => {
+    const officerId = await createUser("PoliceOfficer");
+    const citizenId = await createCitizen();
+    const citationId = await createCitation(citizenId);
+    await getRepositories().citations.update(citationId, { issued_by: officerId });
+
+    const activity = await request("GET", `/api/auth/users/${officerId}/activity`, { role: "Admin" });
+    assert.equal(activity.status, 200);
+    assert.equal(activity.body.data.user.id, officerId);
+    assert.equal(activity.body.data.total_records, 0);
+    assert.deepEqual(activity.body.data.citations.map(citation => citation.id), [citationId]);
+
+    assert.equal((await request("GET", "/api/auth/users/999999/activity", { role: "Admin" })).status, 404);
+
+    assert.equal((await request("DELETE", `/api/auth/users/${officerId}`, { role: "Admin", ifMatch: "*" })).status, 200);
+    const citation = await request("GET", `/api/citizens/${citizenId}/citations/${citationId}`, { role: "Admin" });
+    assert.equal(citation.status, 200);
+    assert.equal(citation.body.data.issued_by, null);
+  });
+});
@@ -0,0 +1,177 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TEST_PASSWORD,
+  startServer,
+  stopServer,
+  request,
+  userFor,
+  createCitizen,
+  createCitation,
+  createUser,
+  citizenPayload,
+  uniqueSuffix
+} from "./helpers.js";
+import { getRepositories, withTransaction } from "../src/repositories/index.js";
+import { recordAudit } from "../src/modules/audit/audit.model.js";
+
+/**
+ * Obtener las entradas de auditoría de una entidad (la más reciente primero)
+ */
+async function auditOf(entity, entityId) {
+  const response = await request("GET", `/api/audit?entity=${entity}&entity_id=${entityId}`, { role: "Admin" });
+  assert.equal(response.status, 200);
+  return response.body.data;
+}
+
+describe("Registro de auditoría", () => {
+  before(startServer);
+  after(stopServer);
+
+  it("registra quién crea, modifica y elimina un ciudadano con el diff", async () => {
+    const created = await request("POST", "/api/citizens", { role: "PoliceOfficer", body: citizenPayload() });
+    assert.equal(created.status, 201);
+    const id = created.body.data.id;
+
+    await request("PUT", `/api/citizens/${id}`, { role: "Admin", ifMatch: "*", body: { full_name: "Ana María" } });
+    await request("DELETE", `/api/citizens/${id}`, { role: "Admin", ifMatch: "*" });
+
+    const [deleted, updated, inserted] = await auditOf("citizen", id);
+
+    assert.equal(inserted.action, "create");
+    assert.equal(inserted.actor_type, "user");
+    assert.equal(inserted.actor_id, userFor("PoliceOfficer").id);
+    assert.equal(inserted.actor_username, userFor("PoliceOfficer").username);
+    assert.equal(inserted.actor_role, "PoliceOfficer");
+    assert.ok(inserted.ip_address);
+    assert.ok(inserted.created_at);
+    assert.equal(inserted.changes.before, null);
+    assert.equal(inserted.changes.after.full_name, "Ana");
+
+    assert.equal(updated.action, "update");
+    assert.equal(updated.actor_role, "Admin");
+    assert.deepEqual(updated.changes, { before: { full_name: "Ana" }, after: { full_name: "Ana María" } });
+
+    assert.equal(deleted.action, "delete");
+    assert.equal(deleted.changes.before.full_name, "Ana María");
+    assert.equal(deleted.changes.after, null);
+  });
+
+  it("audita los antecedentes creados automáticamente por una citación", async () => {
+    const citizenId = await createCitizen();
+    await createCitation(citizenId);
+    await createCitation(citizenId);
+
+    const response = await request("POST", `/api/citizens/${citizenId}/citations`, {
+      role: "PoliceOfficer",
+      body: { description: "Tercera infracción por ruido" }
+    });
+    assert.equal(response.status, 202);
+
+    const [citation] = await auditOf("citation", response.body.data.citation.id);
+    assert.equal(citation.action, "create");
+    assert.equal(citation.actor_role, "PoliceOfficer");
+
+    const records = await request("GET", `/api/audit?entity=criminal_record&actor_id=${userFor("PoliceOfficer").id}`, {
+      role: "Admin"
+    });
+    const record = records.body.data.find(entry => entry.changes.after.citizen_id === citizenId);
+    assert.ok(record);
+    assert.equal(record.changes.after.crime_type, "Acumulación de citaciones menores");
+  });
+
+  it("registra las escrituras sobre usuarios sin exponer contraseñas", async () => {
+    const suffix = uniqueSuffix();
+    const created = await request("POST", "/api/auth/users", {
+      role: "Admin",
+      body: {
+        username: `audited_${suffix}`,
+        user_email: `audited_${suffix}@interpolice.test`,
+        password: TEST_PASSWORD,
+        role_id: 8
+      }
+    });
+    assert.equal(created.status, 201);
+    const id = created.body.data.id;
+
+    await request("PUT", `/api/auth/users/${id}`, {
+      role: "Admin",
+      ifMatch: "*",
+      body: { role_id: 7 }
+    });
+
+    const [updated, inserted] = await auditOf("user", id);
+    assert.equal(inserted.action, "create");
+    assert.equal(inserted.changes.after.username, `audited_${suffix}`);
+    assert.equal(updated.changes.before.role_id, 8);
+    assert.equal(updated.changes.after.role_id, 7);
+
+    const serialized = JSON.stringify([updated, inserted]);
+    assert.ok(!serialized.includes("password_hash"));
+  });
+
+  it("identifica a las cuentas de servicio como actor", async () => {
+    const account = await request("POST", "/api/auth/service-accounts", {
+      role: "Admin",
+      body: { name: `audit-${uniqueSuffix()}`, scopes: ["citizens:create"] }
+    });
+    const created = await request("POST", "/api/citizens", {
+      apiKey: account.body.data.api_key.key,
+      body: citizenPayload()
+    });
+    assert.equal(created.status, 201);
+
+    const [entry] = await auditOf("citizen", created.body.data.id);
+    assert.equal(entry.actor_type, "service_account");
+    assert.equal(entry.actor_id, account.body.data.id);
+    assert.equal(entry.actor_username, account.body.data.name);
+    assert.equal(entry.actor_role, null);
+  });
+
+  it("la entrada se revierte junto con la escritura", async () => {
+    const citizenId = await createCitizen();
+
+    await assert.rejects(withTransaction(async (repositories) => {
+      await repositories.citizens.update(citizenId, { full_name: "Revertido" });
+      await recordAudit(repositories, {}, {
+        action: "update",
+        entity: "citizen",
+        entity_id: citizenId,
+        before: { full_name: "Ana" },
+        after: { full_name: "Revertido" }
+      });
+      throw new Error("fallo después de escribir");
+    }));
+
+    assert.deepEqual(await auditOf("citizen", citizenId), []);
+    assert.equal(getRepositories().audit.update, undefined);
+    assert.equal(getRepositories().audit.delete, undefined);
+  });
+
+  it("filtra por entidad, actor, acción y fechas", async () => {
+    const actorId = await createUser("Admin");
+    const citizenId = await createCitizen();
+    await request("PUT", `/api/citizens/${citizenId}`, { role: "CourtClerk", ifMatch: "*", body: { last_name: "Rojas" } });
+
+    const byActor = await request("GET", `/api/audit?actor_id=${userFor("CourtClerk").id}&action=update`, {
+      role: "Admin"
+    });
+    assert.ok(byActor.body.data.length >= 1);
+    assert.ok(byActor.body.data.every(entry => entry.actor_id === userFor("CourtClerk").id && entry.action === "update"));
+
+    assert.deepEqual((await request("GET", `/api/audit?actor_id=${actorId}`, { role: "Admin" })).body.data, []);
+
+    const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const later = await request("GET", `/api/audit?entity=citizen&date_from=${encodeURIComponent(future)}`, {
+      role: "Admin"
+    });
+    assert.deepEqual(later.body.data, []);
+
+    const paged = await request("GET", "/api/audit?limit=1", { role: "Admin" });
+    assert.equal(paged.body.data.length, 1);
+
+    assert.equal((await request("GET", "/api/audit?entity=planet", { role: "Admin" })).status, 400);
+    assert.equal((await request("GET", "/api/audit", { role: "Commander" })).status, 403);
+  });
+});
+
@@ -0,0 +1,178 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  ROLE_IDS,
+  TEST_PASSWORD,
+  startServer,
+  stopServer,
+  request,
+  loginNewUser,
+  userFor
+} from "./helpers.js";
+import { generateToken } from "../src/middlewares/auth.middleware.js";
+
+/**
+ * Iniciar sesión por la API con la contraseña de pruebas
+ */
+async function login(username) {
+  const response = await request("POST", "/api/auth/login", {
+    body: { username, password: TEST_PASSWORD }
+  });
+  assert.equal(response.status, 200, JSON.stringify(response.body));
+  return response.body.data;
+}
+
+describe("Sesiones, refresh tokens y revocación", () => {
+  before(startServer);
+  after(stopServer);
+
+  it("el login devuelve access token de vida corta y refresh token", async () => {
+    const session = await login(userFor("CourtClerk").username);
+
+    assert.ok(session.token);
+    assert.ok(session.refresh_token);
+    assert.equal(session.token_expires_in, 15 * 60);
+    assert.ok(new Date(session.refresh_expires_at).getTime() > Date.now());
+
+    const profile = await request("GET", "/api/auth/profile", { token: session.token });
+    assert.equal(profile.status, 200);
+  });
+
+  it("rechaza tokens sin sesión asociada", async () => {
+    const user = userFor("Admin");
+    const token = generateToken({ id: user.id, username: user.username, role: "Admin" });
+
+    const response = await request("GET", "/api/auth/profile", { token });
+    assert.equal(response.status, 401);
+  });
+
+  it("rota el refresh token y deja inservible el anterior", async () => {
+    const session = await loginNewUser();
+
+    const refreshed = await request("POST", "/api/auth/refresh", {
+      body: { refresh_token: session.refresh_token }
+    });
+    assert.equal(refreshed.status, 200);
+    assert.notEqual(refreshed.body.data.refresh_token, session.refresh_token);
+
+    const profile = await request("GET", "/api/auth/profile", { token: refreshed.body.data.token });
+    assert.equal(profile.status, 200);
+
+    const next = await request("POST", "/api/auth/refresh", {
+      body: { refresh_token: refreshed.body.data.refresh_token }
+    });
+    assert.equal(next.status, 200);
+  });
+
+  it("revoca la sesión completa si se reutiliza un refresh token rotado", async () => {
+    const session = await loginNewUser();
+
+    const refreshed = await request("POST", "/api/auth/refresh", {
+      body: { refresh_token: session.refresh_token }
+    });
+    assert.equal(refreshed.status, 200);
+
+    const reused = await request("POST", "/api/auth/refresh", {
+      body: { refresh_token: session.refresh_token }
+    });
+    assert.equal(reused.status, 401);
+
+    const latest = await request("POST", "/api/auth/refresh", {
+      body: { refresh_token: refreshed.body.data.refresh_token }
+    });
+    assert.equal(latest.status, 401);
+
+    const profile = await request("GET", "/api/auth/profile", { token: refreshed.body.data.token });
+    assert.equal(profile.status, 401);
+  });
+
+  it("rechaza refresh tokens desconocidos o ausentes", async () => {
+    const unknown = await request("POST", "/api/auth/refresh", { body: { refresh_token: "no-existe" } });
+    assert.equal(unknown.status, 401);
+
+    const missing = await request("POST", "/api/auth/refresh", { body: {} });
+    assert.equal(missing.status, 400);
+  });
+
+  it("el logout revoca el access token y el refresh token de la sesión", async () => {
+    const session = await loginNewUser();
+    const other = await login(session.user.username);
+
+    const logout = await request("POST", "/api/auth/logout", { token: session.token });
+    assert.equal(logout.status, 200);
+    assert.equal(logout.body.data.revoked_sessions, 1);
+
+    const profile = await request("GET", "/api/auth/profile", { token: session.token });
+    assert.equal(profile.status, 401);
+
+    const refreshed = await request("POST", "/api/auth/refresh", {
+      body: { refresh_token: session.refresh_token }
+    });
+    assert.equal(refreshed.status, 401);
+
+    // Las demás sesiones del usuario siguen activas
+    const otherProfile = await request("GET", "/api/auth/profile", { token: other.token });
+    assert.equal(otherProfile.status, 200);
+  });
+
+  it("el logout con all revoca todas las sesiones del usuario", async () => {
+    const session = await loginNewUser();
+    const other = await login(session.user.username);
+
+    const logout = await request("POST", "/api/auth/logout", { token: session.token, body: { all: true } });
+    assert.equal(logout.status, 200);
+    assert.equal(logout.body.data.revoked_sessions, 2);
+
+    const otherProfile = await request("GET", "/api/auth/profile", { token: other.token });
+    assert.equal(otherProfile.status, 401);
+  });
+
+  it("eliminar un usuario revoca todas sus sesiones", async () => {
+    const session = await loginNewUser();
+
+    const deleted = await request("DELETE", `/api/auth/users/${session.id}`, { role: "Admin", ifMatch: "*" });
+    assert.equal(deleted.status, 200);
+
+    const profile = await request("GET", "/api/citizens", { token: session.token });
+    assert.equal(profile.status, 401);
+
+    const refreshed = await request("POST", "/api/auth/refresh", {
+      body: { refresh_token: session.refresh_token }
+    });
+    assert.equal(refreshed.status, 401);
+  });
+
+  it("un cambio de rol revoca las sesiones abiertas", async () => {
+    const session = await loginNewUser("PoliceOfficer");
+
+    const updated = await request("PUT", `/api/auth/users/${session.id}`, {
+      role: "Admin",
+      ifMatch: "*",
+      body: { role_id: ROLE_IDS.CourtClerk }
+    });
+    assert.equal(updated.status, 200);
+
+    const profile = await request("GET", "/api/auth/profile", { token: session.token });
+    assert.equal(profile.status, 401);
+
+    // Un nuevo login obtiene el rol actualizado
+    const fresh = await login(session.user.username);
+    assert.equal(fresh.user.role, "CourtClerk");
+    const records = await request("POST", `/api/citizens/1/records`, { token: fresh.token, body: {} });
+    assert.notEqual(records.status, 403);
+  });
+
+  it("otros cambios del usuario no revocan sus sesiones", async () => {
+    const session = await loginNewUser();
+
+    const updated = await request("PUT", `/api/auth/users/${session.id}`, {
+      role: "Admin",
+      ifMatch: "*",
+      body: { user_email: `renamed_${session.id}@interpolice.test`, role_id: ROLE_IDS.PoliceOfficer }
+    });
+    assert.equal(updated.status, 200);
+
+    const profile = await request("GET", "/api/auth/profile", { token: session.token });
+    assert.equal(profile.status, 200);
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, stopServer, request, createCitizen, createCitation } from "./helpers.js";
+import { calculatePenalty, createCitationDB } from "../src/modules/citations/citations.model.js";
+
+describe("calculatePenalty", () => {
+  it("aplica multa y curso en la primera citación", () => {
+    const penalty = calculatePenalty(0);
+
+    assert.equal(penalty.citation_number, 1);
+    assert.equal(penalty.fine_amount, 400);
+    assert.equal(penalty.civic_course_hours, 48);
+    assert.equal(penalty.civic_work_days, 0);
+    assert.equal(penalty.jail_days, 0);
+    assert.equal(penalty.creates_criminal_record, false);
+  });
+
+  it("añade 2 días de trabajo cívico en la segunda citación", () => {
+    const penalty = calculatePenalty(1);
+
+    assert.equal(penalty.fine_amount, 400);
+    assert.equal(penalty.civic_course_hours, 48);
+    assert.equal(penalty.civic_work_days, 2);
+    assert.equal(penalty.creates_criminal_record, false);
+  });
+
+  it("impone 8 días de cárcel y antecedente en la tercera citación", () => {
+    const penalty = calculatePenalty(2);
+
+    assert.equal(penalty.fine_amount, 400);
+    assert.equal(penalty.civic_course_hours, 0);
+    assert.equal(penalty.jail_days, 8);
+    assert.equal(penalty.creates_criminal_record, true);
+  });
+
+  it("escala la cárcel a 15 + (n - 3) * 5 días a partir de la cuarta", () => {
+    assert.equal(calculatePenalty(3).jail_days, 20);
+    assert.equal(calculatePenalty(4).jail_days, 25);
+    assert.equal(calculatePenalty(3).fine_amount, 0);
+  });
+});
+
+describe("Escalamiento de penalizaciones por la API", () => {
+  before(startServer);
+  after(stopServer);
+
+  it("aplica la penalización según el número de citaciones y crea antecedentes desde la tercera", async () => {
+    const citizenId = await createCitizen();
+    const expected = [
+      { status: 201, number: 1, fine: 400, jail: 0, record: false },
+      { status: 201, number: 2, fine: 400, jail: 0, record: false },
+      { status: 202, number: 3, fine: 400, jail: 8, record: true },
+      { status: 202, number: 4, fine: 0, jail: 20, record: true }
+    ];
+
+    for (const step of expected) {
+      const response = await request("POST", `/api/citizens/${citizenId}/citations`, {
+        role: "PoliceOfficer",
+        body: { description: "Ruido excesivo en la vía pública" }
+      });
+
+      assert.equal(response.status, step.status);
+      assert.equal(response.body.data.penalty_details.citation_number, step.number);
+      assert.equal(Number(response.body.data.citation.fine_amount), step.fine);
+      assert.equal(response.body.data.penalty_details.jail_days, step.jail);
+      assert.equal(response.body.data.automatic_actions.criminal_record_created, step.record);
+    }
+
+    const records = await request("GET", `/api/citizens/${citizenId}/records`, { role: "CourtClerk" });
+    assert.equal(records.body.total, 2);
+    assert.ok(records.body.data.every(record => record.crime_type === "Acumulación de citaciones menores"));
+  });
+
+  it("informa la próxima penalización en el resumen", async () => {
+    const citizenId = await createCitizen();
+
+    for (let i = 0; i < 2; i++) {
+      await request("POST", `/api/citizens/${citizenId}/citations`, {
+        role: "Admin",
+        body: { description: "Tirar basura en la vía pública" }
+      });
+    }
+
+    const response = await request("GET", `/api/citizens/${citizenId}/citations/penalty-summary`, { role: "General" });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.current_status.total_citations, 2);
+    assert.equal(Number(response.body.data.current_status.total_fines), 800);
+    assert.equal(response.body.data.next_citation_penalty.citation_number, 3);
+    assert.equal(response.body.data.next_citation_penalty.creates_criminal_record, true);
+    assert.ok(response.body.data.warnings.approaching_criminal_record);
+  });
+
+  it("guarda la penalización completa con la citación", async () => {
+    const citizenId = await createCitizen();
+    let created;
+    for (let i = 0; i < 2; i++) {
+      created = await request("POST", `/api/citizens/${citizenId}/citations`, {
+        role: "PoliceOfficer",
+        body: { description: "Ruido excesivo en la vía pública" }
+      });
+    }
+
+    const citationId = created.body.data.citation.id;
+    const response = await request("GET", `/api/citizens/${citizenId}/citations/${citationId}`, { role: "CourtClerk" });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.citation_number, 2);
+    assert.equal(response.body.data.civic_course_hours, 48);
+    assert.equal(response.body.data.civic_work_days, 2);
+    assert.equal(response.body.data.jail_days, 0);
+    assert.equal(response.body.data.penalty_description, created.body.data.penalty_details.penalty_description);
+    assert.equal(response.body.data.rule_set_id, created.body.data.penalty_details.rule_set_id);
+    assert.equal(response.body.data.rule_set_version, 1);
+  });
+
+  it("numera por separado las citaciones simultáneas del mismo ciudadano", async () => {
+    const citizenId = await createCitizen();
+    const results = await Promise.all([1, 2, 3].map(() =>
+      createCitationDB({ citizen_id: citizenId, description: "Ruido excesivo en la vía pública" })
+    ));
+
+    assert.deepEqual(results.map(result => result.penalty.citation_number).sort(), [1, 2, 3]);
+    assert.equal(results.filter(result => result.criminal_record_created).length, 1);
+  });
+
+  it("agrega las penalizaciones guardadas en las estadísticas", async () => {
+    const before = (await request("GET", "/api/citations/stats", { role: "Commander" })).body.data;
+
+    const citizenId = await createCitizen();
+    for (let i = 0; i < 3; i++) {
+      await request("POST", `/api/citizens/${citizenId}/citations`, {
+        role: "PoliceOfficer",
+        body: { description: "Tirar basura en la vía pública" }
+      });
+    }
+    // Citación sin detalle (anterior a la migración 0023)
+    await createCitation(citizenId);
+
+    const after = (await request("GET", "/api/citations/stats", { role: "Commander" })).body.data;
+    const delta = (field) => Number(after.penalties[field]) - Number(before.penalties[field]);
+
+    assert.equal(Number(after.general.total_citations) - Number(before.general.total_citations), 4);
+    assert.equal(delta("citations_with_details"), 3);
+    assert.equal(delta("total_civic_course_hours"), 96);
+    assert.equal(delta("total_civic_work_days"), 2);
+    assert.equal(delta("total_jail_days"), 8);
+    assert.equal(delta("citations_with_jail"), 1);
+
+    const general = after.by_rule_set.find(group => group.rule_set_id === 1);
+    assert.equal(general.rule_set_version, 1);
+    assert.equal(general.rule_set_name, "Régimen general de sanciones");
+    assert.ok(general.citations_count >= 3);
+  });
+});
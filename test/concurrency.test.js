@@ -0,0 +1,104 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  startServer,
+  stopServer,
+  request,
+  createCitizen,
+  createRecord,
+  createCitation,
+  createUser
+} from "./helpers.js";
+
+describe("Control de concurrencia optimista (ETag / If-Match)", () => {
+  before(startServer);
+  after(stopServer);
+
+  it("devuelve la versión como ETag y la incrementa en cada escritura", async () => {
+    const id = await createCitizen();
+
+    const read = await request("GET", `/api/citizens/${id}`, { role: "CourtClerk" });
+    assert.equal(read.headers.get("etag"), '"1"');
+    assert.equal(read.body.data.version, 1);
+
+    const updated = await request("PUT", `/api/citizens/${id}`, {
+      role: "CourtClerk",
+      ifMatch: read.headers.get("etag"),
+      body: { full_name: "Ana María" }
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.headers.get("etag"), '"2"');
+    assert.equal(updated.body.data.version, 2);
+
+    // La versión no aparece en el diff de auditoría
+    const [entry] = (await request("GET", `/api/audit?entity=citizen&entity_id=${id}`, { role: "Admin" })).body.data;
+    assert.deepEqual(entry.changes, { before: { full_name: "Ana" }, after: { full_name: "Ana María" } });
+  });
+
+  it("responde 412 con la representación actual si otro usuario escribió antes", async () => {
+    const id = await createCitizen();
+    const etag = (await request("GET", `/api/citizens/${id}`, { role: "CourtClerk" })).headers.get("etag");
+
+    const first = await request("PUT", `/api/citizens/${id}`, {
+      role: "CourtClerk",
+      ifMatch: etag,
+      body: { last_name: "Rojas" }
+    });
+    assert.equal(first.status, 200);
+
+    const second = await request("PUT", `/api/citizens/${id}`, {
+      role: "Admin",
+      ifMatch: etag,
+      body: { last_name: "Pérez" }
+    });
+    assert.equal(second.status, 412);
+    assert.equal(second.headers.get("etag"), '"2"');
+    assert.equal(second.body.data.last_name, "Rojas");
+    assert.equal(second.body.data.version, 2);
+
+    const current = await request("GET", `/api/citizens/${id}`, { role: "Admin" });
+    assert.equal(current.body.data.last_name, "Rojas");
+
+    assert.equal((await request("DELETE", `/api/citizens/${id}`, { role: "Admin", ifMatch: etag })).status, 412);
+    assert.equal((await request("DELETE", `/api/citizens/${id}`, { role: "Admin", ifMatch: '"1", "2"' })).status, 200);
+  });
+
+  it("exige If-Match válido en PUT y DELETE", async () => {
+    const id = await createCitizen();
+    const path = `/api/citizens/${id}`;
+
+    assert.equal((await request("PUT", path, { role: "Admin", body: { last_name: "Rojas" } })).status, 428);
+    assert.equal((await request("DELETE", path, { role: "Admin" })).status, 428);
+    const weak = await request("PUT", path, { role: "Admin", ifMatch: 'W/"1"', body: { last_name: "Rojas" } });
+    assert.equal(weak.status, 400);
+
+    // "*" acepta cualquier versión actual
+    const forced = await request("PUT", path, { role: "Admin", ifMatch: "*", body: { last_name: "Rojas" } });
+    assert.equal(forced.status, 200);
+  });
+
+  it("protege antecedentes, citaciones y usuarios", async () => {
+    const citizenId = await createCitizen();
+    const recordPath = `/api/citizens/${citizenId}/records/${await createRecord(citizenId)}`;
+    const citationPath = `/api/citizens/${citizenId}/citations/${await createCitation(citizenId)}`;
+    const userPath = `/api/auth/users/${await createUser()}`;
+
+    for (const [path, body] of [
+      [recordPath, { description: "Contrabando de piezas de nave" }],
+      [citationPath, { fine_amount: 600 }],
+      [userPath, { user_email: `version_${Date.now()}@interpolice.test` }]
+    ]) {
+      const read = await request("GET", path, { role: "Admin" });
+      assert.equal(read.headers.get("etag"), '"1"', path);
+
+      assert.equal((await request("PUT", path, { role: "Admin", ifMatch: '"1"', body })).status, 200, path);
+
+      const stale = await request("DELETE", path, { role: "Admin", ifMatch: '"1"' });
+      assert.equal(stale.status, 412, path);
+      assert.equal(stale.body.data.version, 2, path);
+      assert.equal(stale.headers.get("etag"), '"2"', path);
+
+      assert.equal((await request("DELETE", path, { role: "Admin", ifMatch: '"2"' })).status, 200, path);
+    }
+  });
+});
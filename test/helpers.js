@@ -0,0 +1,253 @@
+import assert from "node:assert/strict";
+import bcrypt from "bcryptjs";
+
+/**
+ * Utilidades compartidas por las pruebas HTTP
+ *
+ * Arranca la aplicación completa en proceso con el almacenamiento en memoria
+ * (DB_DRIVER=memory), por lo que las pruebas no necesitan MySQL ni red.
+ */
+
+process.env.DB_DRIVER = "memory";
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "interpolice-test-secret";
+
+const { default: app } = await import("../src/app.js");
+const { getRepositories, resetMemoryStore } = await import("../src/repositories/index.js");
+const { generateToken } = await import("../src/middlewares/auth.middleware.js");
+const { createSessionDB, getUserByIdDB } = await import("../src/modules/auth/auth.model.js");
+
+export const ROLES = ["Admin", "Commander", "General", "CourtClerk", "PoliceOfficer"];
+
+// IDs de rol sembrados por la migración 0001 y el almacén en memoria
+export const ROLE_IDS = {
+  Admin: 4,
+  Commander: 5,
+  General: 6,
+  CourtClerk: 7,
+  PoliceOfficer: 8
+};
+
+export const TEST_PASSWORD = "Interpolice123";
+
+let server = null;
+let baseUrl = null;
+let sequence = 0;
+const users = {};
+
+/**
+ * Iniciar el servidor HTTP en un puerto libre con datos limpios y un usuario por rol
+ */
+export async function startServer() {
+  resetMemoryStore();
+
+  // Coste bajo de bcrypt para que las pruebas sean rápidas
+  const passwordHash = bcrypt.hashSync(TEST_PASSWORD, 4);
+
+  for (const role of ROLES) {
+    const username = `${role.toLowerCase()}_test`;
+    const result = await getRepositories().users.insert({
+      username,
+      user_email: `${role.toLowerCase()}@interpolice.test`,
+      password_hash: passwordHash,
+      role_id: ROLE_IDS[role]
+    });
+    const session = await createSessionDB(result.insertId);
+    users[role] = { id: result.insertId, username, role, sessionId: session.session_id };
+  }
+
+  await new Promise((resolve) => {
+    server = app.listen(0, "127.0.0.1", resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+}
+
+/**
+ * Detener el servidor HTTP
+ */
+export async function stopServer() {
+  await new Promise((resolve) => server.close(resolve));
+}
+
+/**
+ * Obtener el usuario de prueba de un rol
+ * @param {string} role - Nombre del rol
+ * @returns {Object} { id, username, role, sessionId }
+ */
+export function userFor(role) {
+  return users[role];
+}
+
+/**
+ * Generar un token JWT válido para el usuario de prueba de un rol
+ * @param {string} role - Nombre del rol
+ * @returns {string} Token JWT
+ */
+export function tokenFor(role) {
+  const user = users[role];
+  return generateToken({
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    email: `${role.toLowerCase()}@interpolice.test`,
+    sid: user.sessionId
+  });
+}
+
+/**
+ * Realizar una petición HTTP contra la API
+ * @param {string} method - Método HTTP
+ * @param {string} path - Ruta (por ejemplo /api/citizens)
+ * @param {Object} options - { role, token, apiKey, body, ifMatch }
+ * @returns {Promise<Object>} { status, body, headers }
+ */
+export async function request(method, path, options = {}) {
+  const headers = { "Content-Type": "application/json" };
+  const token = options.token || (options.role ? tokenFor(options.role) : null);
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  if (options.apiKey) {
+    headers["X-API-Key"] = options.apiKey;
+  }
+  if (options.ifMatch) {
+    headers["If-Match"] = options.ifMatch;
+  }
+
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers,
+    body: options.body ? JSON.stringify(options.body) : undefined
+  });
+
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null, headers: response.headers };
+}
+
+/**
+ * Generar un sufijo único para datos que deben ser únicos (nick_name, qr_code...)
+ * @returns {string} Sufijo único
+ */
+export function uniqueSuffix() {
+  sequence++;
+  return `${Date.now().toString(36)}${sequence}`;
+}
+
+/**
+ * Datos válidos para crear un ciudadano por la API
+ * @returns {Object} Cuerpo de la petición
+ */
+export function citizenPayload() {
+  const suffix = uniqueSuffix();
+  return {
+    full_name: "Ana",
+    last_name: "Vega",
+    nick_name: `ana_${suffix}`,
+    birth_date: "1990-05-17",
+    origin_planet: 1,
+    residence_planet: 2,
+    qr_code: `QR-TEST-${suffix}`,
+    status_id: 2
+  };
+}
+
+/**
+ * Crear un ciudadano directamente en el almacén
+ * @returns {Promise<number>} ID del ciudadano
+ */
+export async function createCitizen() {
+  const result = await getRepositories().citizens.insert({
+    ...citizenPayload(),
+    avatar_url: "/uploads/avatars/default.png"
+  });
+  return result.insertId;
+}
+
+/**
+ * Crear un antecedente penal directamente en el almacén
+ * @param {number} citizenId - ID del ciudadano
+ * @returns {Promise<number>} ID del antecedente
+ */
+export async function createRecord(citizenId) {
+  const result = await getRepositories().records.insert({
+    citizen_id: citizenId,
+    date: "2025-01-10",
+    time: "10:30:00",
+    location: 2,
+    description: "Contrabando de mercancía no declarada",
+    crime_type: "Contrabando"
+  });
+  return result.insertId;
+}
+
+/**
+ * Crear una citación directamente en el almacén
+ * @param {number} citizenId - ID del ciudadano
+ * @returns {Promise<number>} ID de la citación
+ */
+export async function createCitation(citizenId) {
+  const result = await getRepositories().citations.insert({
+    citizen_id: citizenId,
+    date: new Date(),
+    description: "Ruido excesivo en la vía pública",
+    fine_amount: 400
+  });
+  return result.insertId;
+}
+
+/**
+ * Datos válidos para publicar una versión del régimen de sanciones por la API
+ * (multas de $100 y $200, cárcel desde la tercera)
+ * @param {Object} overrides - Campos a sustituir (planet_id, effective_from...)
+ * @returns {Object} Cuerpo de la petición
+ */
+export function penaltyRuleSetPayload(overrides = {}) {
+  return {
+    planet_id: 2,
+    name: "Régimen de Marte",
+    tiers: [
+      { citation_number: 1, fine_amount: 100, civic_course_hours: 8, civic_work_days: 0, jail_days: 0, creates_criminal_record: false },
+      { citation_number: 2, fine_amount: 200, civic_course_hours: 16, civic_work_days: 1, jail_days: 0, creates_criminal_record: false }
+    ],
+    escalation: {
+      fine_amount: 300,
+      civic_course_hours: 0,
+      civic_work_days: 0,
+      base_jail_days: 2,
+      jail_days_per_citation: 2,
+      creates_criminal_record: true
+    },
+    effective_from: new Date().toISOString().split("T")[0],
+    ...overrides
+  };
+}
+
+/**
+ * Crear un usuario adicional directamente en el almacén
+ * @param {string} role - Rol del usuario
+ * @returns {Promise<number>} ID del usuario
+ */
+export async function createUser(role = "PoliceOfficer") {
+  const suffix = uniqueSuffix();
+  const result = await getRepositories().users.insert({
+    username: `user_${suffix}`,
+    user_email: `user_${suffix}@interpolice.test`,
+    password_hash: bcrypt.hashSync(TEST_PASSWORD, 4),
+    role_id: ROLE_IDS[role]
+  });
+  return result.insertId;
+}
+
+/**
+ * Crear un usuario e iniciar sesión con él por la API
+ * @param {string} role - Rol del usuario
+ * @returns {Promise<Object>} Datos del usuario y respuesta del login (token, refresh_token...)
+ */
+export async function loginNewUser(role = "PoliceOfficer") {
+  const user = await getUserByIdDB(await createUser(role));
+  const response = await request("POST", "/api/auth/login", {
+    body: { username: user.username, password: TEST_PASSWORD }
+  });
+  assert.equal(response.status, 200, JSON.stringify(response.body));
+  return { ...user, ...response.body.data };
+}
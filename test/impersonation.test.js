@@ -0,0 +1,157 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TEST_PASSWORD,
+  startServer,
+  stopServer,
+  request,
+  createUser,
+  citizenPayload
+} from "./helpers.js";
+import { authConfig } from "../src/config/auth.js";
+import { getPermissionsForRole } from "../src/config/permissions.js";
+import { getRepositories } from "../src/repositories/index.js";
+import { getUserByIdDB } from "../src/modules/auth/auth.model.js";
+
+const defaults = { ...authConfig, loginDelayBaseSeconds: 0 };
+
+/**
+ * Suplantar a un usuario con el token indicado (o el del Admin de pruebas)
+ */
+async function impersonate(userId, options = { role: "Admin" }) {
+  const response = await request("POST", `/api/auth/impersonate/${userId}`, {
+    ...options,
+    body: { reason: "Incidencia 42" }
+  });
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  return response.body.data;
+}
+
+/**
+ * Esperar a que aparezcan las peticiones registradas (se guardan al terminar la respuesta)
+ */
+async function waitForRequests(impersonationId, count) {
+  for (let i = 0; i < 25; i++) {
+    const response = await request("GET", `/api/auth/impersonations/${impersonationId}`, { role: "Admin" });
+    if (response.body.data.requests.length >= count) {
+      return response.body.data.requests;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  assert.fail("no se registraron las peticiones de la suplantación");
+}
+
+describe("Suplantación de usuarios", () => {
+  before(startServer);
+  after(stopServer);
+
+  beforeEach(() => {
+    Object.assign(authConfig, defaults);
+  });
+
+  it("el token actúa con el rol del usuario suplantado e identifica al Admin", async () => {
+    const userId = await createUser("PoliceOfficer");
+    const { token, impersonation } = await impersonate(userId);
+    assert.equal(impersonation.user.id, userId);
+    assert.equal(impersonation.user.role, "PoliceOfficer");
+    assert.equal(impersonation.reason, "Incidencia 42");
+
+    const permissions = await request("GET", "/api/auth/permissions", { token });
+    assert.equal(permissions.status, 200);
+    assert.deepEqual(permissions.body.data.permissions, getPermissionsForRole("PoliceOfficer"));
+
+    // Un PoliceOfficer no gestiona usuarios aunque quien suplanta sea Admin
+    assert.equal((await request("GET", "/api/auth/users", { token })).status, 403);
+    assert.equal((await request("GET", "/api/citizens", { token })).status, 200);
+  });
+
+  it("bloquea las acciones que modifican datos", async () => {
+    const userId = await createUser("PoliceOfficer");
+    const { token } = await impersonate(userId);
+
+    const created = await request("POST", "/api/citizens", { token, body: citizenPayload() });
+    assert.equal(created.status, 403);
+    assert.equal(created.body.impersonating, true);
+
+    const password = await request("PUT", `/api/auth/users/${userId}/password`, {
+      token,
+      body: { current_password: TEST_PASSWORD, new_password: "Interpolice456" }
+    });
+    assert.equal(password.status, 403);
+
+    // La sesión del usuario suplantado sigue intacta
+    const login = await request("POST", "/api/auth/login", {
+      body: { username: (await getUserByIdDB(userId)).username, password: TEST_PASSWORD }
+    });
+    assert.equal(login.status, 200);
+  });
+
+  it("registra cada petición hecha durante la suplantación", async () => {
+    const userId = await createUser("PoliceOfficer");
+    const { token, impersonation } = await impersonate(userId);
+
+    await request("GET", "/api/citizens", { token });
+    await request("DELETE", "/api/citizens/1", { token });
+
+    const requests = await waitForRequests(impersonation.id, 2);
+    assert.equal(requests[0].method, "DELETE");
+    assert.equal(requests[0].status_code, 403);
+    assert.equal(requests[1].path, "/api/citizens");
+    assert.equal(requests[1].status_code, 200);
+
+    const list = await request("GET", `/api/auth/impersonations?user_id=${userId}`, { role: "Admin" });
+    assert.equal(list.status, 200);
+    assert.equal(list.body.data.length, 1);
+    assert.equal(list.body.data[0].admin_username, "admin_test");
+    assert.equal(list.body.data[0].username, (await getUserByIdDB(userId)).username);
+    assert.equal(list.body.data[0].request_count, 2);
+  });
+
+  it("terminar la suplantación invalida su token", async () => {
+    const userId = await createUser("PoliceOfficer");
+    const { token, impersonation } = await impersonate(userId);
+
+    // El endpoint solo acepta tokens de suplantación
+    assert.equal((await request("POST", "/api/auth/impersonate/stop", { role: "Admin" })).status, 403);
+
+    const stopped = await request("POST", "/api/auth/impersonate/stop", { token });
+    assert.equal(stopped.status, 200);
+
+    assert.equal((await request("GET", "/api/citizens", { token })).status, 401);
+
+    const detail = await request("GET", `/api/auth/impersonations/${impersonation.id}`, { role: "Admin" });
+    assert.ok(detail.body.data.ended_at);
+
+    // La sesión del Admin sigue abierta
+    assert.equal((await request("GET", "/api/auth/profile", { role: "Admin" })).status, 200);
+  });
+
+  it("termina al cerrar la sesión del Admin que suplanta", async () => {
+    const userId = await createUser("PoliceOfficer");
+    authConfig.twoFactorRequiredRoles = [];
+    const adminId = await createUser("Admin");
+    const login = await request("POST", "/api/auth/login", {
+      body: { username: (await getUserByIdDB(adminId)).username, password: TEST_PASSWORD }
+    });
+    const { token } = await impersonate(userId, { token: login.body.data.token });
+    assert.equal((await request("GET", "/api/citizens", { token })).status, 200);
+
+    await request("POST", "/api/auth/logout", { token: login.body.data.token });
+    assert.equal((await request("GET", "/api/citizens", { token })).status, 401);
+  });
+
+  it("no suplanta al propio Admin, a otros Admin ni a cuentas inactivas", async () => {
+    const admin = (await request("GET", "/api/auth/profile", { role: "Admin" })).body.data;
+    assert.equal((await request("POST", `/api/auth/impersonate/${admin.id}`, { role: "Admin" })).status, 400);
+
+    const otherAdmin = await createUser("Admin");
+    assert.equal((await request("POST", `/api/auth/impersonate/${otherAdmin}`, { role: "Admin" })).status, 403);
+
+    const pending = await createUser("PoliceOfficer");
+    await getRepositories().users.update(pending, { status: "pending" });
+    assert.equal((await request("POST", `/api/auth/impersonate/${pending}`, { role: "Admin" })).status, 409);
+
+    assert.equal((await request("POST", "/api/auth/impersonate/999999", { role: "Admin" })).status, 404);
+    assert.equal((await request("POST", "/api/auth/impersonate/abc", { role: "Admin" })).status, 400);
+  });
+});
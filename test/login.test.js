@@ -0,0 +1,164 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TEST_PASSWORD,
+  startServer,
+  stopServer,
+  request,
+  createUser
+} from "./helpers.js";
+import { authConfig } from "../src/config/auth.js";
+import { getUserByIdDB, loginDelaySeconds } from "../src/modules/auth/auth.model.js";
+
+// Todos los intentos salen de 127.0.0.1: el límite por IP se prueba aparte
+const defaults = { ...authConfig, loginIpMaxAttempts: 1000 };
+
+/**
+ * Intentar iniciar sesión por la API
+ */
+function attemptLogin(username, password = TEST_PASSWORD) {
+  return request("POST", "/api/auth/login", { body: { username, password } });
+}
+
+/**
+ * Crear un usuario y devolver su username
+ */
+async function newUsername() {
+  const user = await getUserByIdDB(await createUser());
+  return user.username;
+}
+
+describe("Protección del login contra fuerza bruta", () => {
+  before(startServer);
+  after(stopServer);
+
+  beforeEach(() => {
+    Object.assign(authConfig, defaults);
+  });
+
+  it("usa el mismo error para usuario inexistente y contraseña incorrecta", async () => {
+    const username = await newUsername();
+
+    const wrongPassword = await attemptLogin(username, "Incorrecta123");
+    const unknownUser = await attemptLogin("no_existe_nadie", "Incorrecta123");
+
+    assert.equal(wrongPassword.status, 401);
+    assert.equal(unknownUser.status, 401);
+    assert.deepEqual(wrongPassword.body, unknownUser.body);
+    assert.equal(wrongPassword.body.message, "Credenciales inválidas");
+  });
+
+  it("calcula una espera progresiva con tope", () => {
+    authConfig.loginDelayBaseSeconds = 1;
+    authConfig.loginDelayMaxSeconds = 5;
+
+    assert.deepEqual([0, 1, 2, 3, 4, 5].map(loginDelaySeconds), [0, 1, 2, 4, 5, 5]);
+  });
+
+  it("exige esperar tras un fallo antes del siguiente intento", async () => {
+    authConfig.loginDelayBaseSeconds = 30;
+    const username = await newUsername();
+
+    await attemptLogin(username, "Incorrecta123");
+    const response = await attemptLogin(username);
+
+    assert.equal(response.status, 429);
+    assert.ok(response.body.retry_after_seconds > 0 && response.body.retry_after_seconds <= 30);
+    assert.equal(response.body.message, "Demasiados intentos fallidos. Intenta de nuevo más tarde");
+  });
+
+  it("bloquea la cuenta al alcanzar el máximo de fallos, incluso con la contraseña correcta", async () => {
+    authConfig.loginDelayBaseSeconds = 0;
+    const username = await newUsername();
+
+    for (let i = 0; i < authConfig.loginMaxAttempts; i++) {
+      const response = await attemptLogin(username, "Incorrecta123");
+      assert.equal(response.status, 401);
+    }
+
+    const locked = await attemptLogin(username);
+    assert.equal(locked.status, 429);
+    assert.ok(locked.body.retry_after_seconds > (authConfig.loginLockoutMinutes - 1) * 60);
+  });
+
+  it("aplica el bloqueo también a cuentas inexistentes (no revela si existen)", async () => {
+    authConfig.loginDelayBaseSeconds = 0;
+
+    for (let i = 0; i < authConfig.loginMaxAttempts; i++) {
+      await attemptLogin("fantasma_total", "Incorrecta123");
+    }
+
+    const response = await attemptLogin("fantasma_total", "Incorrecta123");
+    assert.equal(response.status, 429);
+  });
+
+  it("un login correcto reinicia el conteo de fallos", async () => {
+    authConfig.loginDelayBaseSeconds = 0;
+    const username = await newUsername();
+
+    for (let i = 0; i < authConfig.loginMaxAttempts - 1; i++) {
+      await attemptLogin(username, "Incorrecta123");
+    }
+    assert.equal((await attemptLogin(username)).status, 200);
+
+    await attemptLogin(username, "Incorrecta123");
+    assert.equal((await attemptLogin(username)).status, 200);
+  });
+
+  it("un Admin puede desbloquear la cuenta", async () => {
+    authConfig.loginDelayBaseSeconds = 0;
+    const userId = await createUser();
+    const { username } = await getUserByIdDB(userId);
+
+    for (let i = 0; i < authConfig.loginMaxAttempts; i++) {
+      await attemptLogin(username, "Incorrecta123");
+    }
+    assert.equal((await attemptLogin(username)).status, 429);
+
+    const denied = await request("POST", `/api/auth/users/${userId}/unlock`, { role: "Commander" });
+    assert.equal(denied.status, 403);
+
+    const unlocked = await request("POST", `/api/auth/users/${userId}/unlock`, { role: "Admin" });
+    assert.equal(unlocked.status, 200);
+    assert.equal(unlocked.body.data.was_locked, true);
+    assert.equal(unlocked.body.data.failed_attempts, authConfig.loginMaxAttempts);
+
+    assert.equal((await attemptLogin(username)).status, 200);
+  });
+
+  it("registra el historial de intentos consultable por Admin", async () => {
+    authConfig.loginDelayBaseSeconds = 0;
+    const userId = await createUser();
+    const { username } = await getUserByIdDB(userId);
+
+    await attemptLogin(username, "Incorrecta123");
+    await attemptLogin(username);
+
+    const history = await request("GET", `/api/auth/login-attempts?user_id=${userId}`, { role: "Admin" });
+    assert.equal(history.status, 200);
+    assert.deepEqual(history.body.data.map(attempt => attempt.result), ["success", "failure"]);
+    assert.equal(history.body.data[0].username, username);
+    assert.ok(history.body.data[0].ip_address);
+
+    const failures = await request("GET", "/api/auth/login-attempts?result=failure&login=fantasma", { role: "Admin" });
+    assert.ok(failures.body.data.length >= authConfig.loginMaxAttempts);
+    assert.ok(failures.body.data.every(attempt => attempt.user_id === null));
+
+    const invalid = await request("GET", "/api/auth/login-attempts?result=otro", { role: "Admin" });
+    assert.equal(invalid.status, 400);
+
+    const denied = await request("GET", "/api/auth/login-attempts", { role: "General" });
+    assert.equal(denied.status, 403);
+  });
+
+  it("limita los fallos por IP para todas las cuentas", async () => {
+    authConfig.loginDelayBaseSeconds = 0;
+    authConfig.loginIpMaxAttempts = 3;
+    const username = await newUsername();
+
+    // Los tests anteriores ya registraron más de 3 fallos desde 127.0.0.1
+    const response = await attemptLogin(username);
+    assert.equal(response.status, 429);
+    assert.ok(response.body.retry_after_seconds > 0);
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+
+/**
+ * Pruebas contra MySQL (npm run test:mysql)
+ *
+ * Las pruebas de test/*.test.js usan el almacenamiento en memoria, que no ejecuta
+ * las migraciones ni el SQL de los repositorios. Estas aplican las migraciones a la
+ * base de datos configurada (DB_HOST, DB_NAME...), comprueban que se pueden revertir
+ * y recorren los flujos de citaciones y obligaciones con los repositorios MySQL.
+ * Los datos que crean quedan en la base de datos: en CI es un servicio de MySQL desechable.
+ */
+
+process.env.DB_DRIVER = "mysql";
+
+const { loadMigrations, migrateUp, migrateDown, getMigrationStatus } = await import("../../src/database/migrator.js");
+const { closePool } = await import("../../src/config/Database.js");
+const { getRepositories } = await import("../../src/repositories/index.js");
+const { ROLES, getPermissionsForRole } = await import("../../src/config/permissions.js");
+const {
+  createCitationDB,
+  deleteCitationDB,
+  recalculateCitizenPenaltiesDB,
+  getCitationsStatsDB,
+  getCitizenPenaltySummaryDB
+} = await import("../../src/modules/citations/citations.model.js");
+const {
+  getObligationsByCitizenDB,
+  logObligationProgressDB,
+  getOverdueObligationsDB
+} = await import("../../src/modules/obligations/obligations.model.js");
+
+let sequence = 0;
+
+/**
+ * Crear un ciudadano con los catálogos sembrados por la migración 0001
+ * @returns {Promise<number>} ID del ciudadano
+ */
+async function createCitizen() {
+  const suffix = `${Date.now()}_${++sequence}`;
+  const result = await getRepositories().citizens.insert({
+    full_name: "Ana",
+    last_name: "Pruebas",
+    nick_name: `mysql_${suffix}`,
+    birth_date: "1990-01-01",
+    origin_planet: 1,
+    residence_planet: 1,
+    avatar_url: "",
+    qr_code: `MYSQL-${suffix}`,
+    status_id: 2
+  });
+  return result.insertId;
+}
+
+/**
+ * Registrar una citación como lo haría la API
+ */
+function cite(citizenId) {
+  return createCitationDB({ citizen_id: citizenId, description: "Ruido excesivo en la vía pública" });
+}
+
+describe("Esquema y repositorios MySQL", () => {
+  after(closePool);
+
+  it("aplica todas las migraciones, las revierte y las vuelve a aplicar", async () => {
+    const migrations = loadMigrations();
+
+    await migrateUp();
+    assert.ok((await getMigrationStatus()).every(migration => migration.applied));
+
+    const reverted = await migrateDown({ steps: migrations.length });
+    assert.equal(reverted.length, migrations.length);
+    assert.ok((await getMigrationStatus()).every(migration => !migration.applied));
+
+    const applied = await migrateUp();
+    assert.equal(applied.length, migrations.length);
+  });
+
+  it("las migraciones conceden a cada rol los permisos de la política", async () => {
+    for (const role of ROLES) {
+      const permissions = await getRepositories().roles.findPermissions(role);
+      assert.deepEqual([...permissions].sort(), [...getPermissionsForRole(role)].sort(), role);
+    }
+  });
+
+  it("numera las citaciones simultáneas y genera antecedentes y obligaciones", async () => {
+    const citizenId = await createCitizen();
+    const results = await Promise.all([1, 2, 3].map(() => cite(citizenId)));
+
+    assert.deepEqual(results.map(result => result.penalty.citation_number).sort(), [1, 2, 3]);
+    assert.equal(results.filter(result => result.criminal_record_created).length, 1);
+
+    const { obligations, summary } = await getObligationsByCitizenDB(citizenId);
+    assert.equal(obligations.length, 3);
+    assert.equal(summary.pending, 3);
+    assert.match(obligations[0].due_date, /^\d{4}-\d{2}-\d{2}$/);
+
+    // Lo guardado coincide con lo que calcula el recálculo (tipos de MySQL incluidos)
+    const diff = await recalculateCitizenPenaltiesDB(citizenId);
+    assert.equal(diff.summary.penalties_changed, 0);
+    assert.equal(diff.summary.records_created + diff.summary.records_linked + diff.summary.records_updated, 0);
+    assert.equal(diff.summary.obligations_created + diff.summary.obligations_updated, 0);
+
+    const summaryByCitizen = await getCitizenPenaltySummaryDB(citizenId);
+    assert.ok(summaryByCitizen);
+    const stats = await getCitationsStatsDB();
+    assert.ok(stats.by_rule_set.length > 0);
+  });
+
+  it("registra progreso y cancela obligaciones al eliminar citaciones", async () => {
+    const citizenId = await createCitizen();
+    const first = await cite(citizenId);
+    const second = await cite(citizenId);
+
+    const [course] = first.obligations;
+    await logObligationProgressDB(citizenId, course.id, { amount: 48 }, {});
+    const completed = (await getObligationsByCitizenDB(citizenId, { status: "completed" })).obligations;
+    assert.deepEqual(completed.map(obligation => obligation.id), [course.id]);
+
+    // Sin la primera, la segunda pasa a ser la primera: se cancela su trabajo cívico
+    const deleted = await deleteCitationDB(first.insertId, {});
+    assert.equal(deleted.recalculation.summary.obligations_cancelled, 1);
+    const cancelled = (await getObligationsByCitizenDB(citizenId, { status: "cancelled" })).obligations;
+    assert.equal(cancelled[0].citation_id, second.insertId);
+
+    assert.ok(Array.isArray(await getOverdueObligationsDB({ citizen_id: citizenId })));
+  });
+
+  it("borra en cascada las obligaciones y desenlaza el antecedente al purgar la citación", async () => {
+    const citizenId = await createCitizen();
+    const results = [];
+    for (let i = 0; i < 3; i++) {
+      results.push(await cite(citizenId));
+    }
+    const repositories = getRepositories();
+
+    await repositories.citations.delete(results[0].insertId);
+    assert.deepEqual(await repositories.obligations.findByCitationId(results[0].insertId), []);
+
+    await repositories.citations.delete(results[2].insertId);
+    const records = await repositories.records.findByCitizenId(citizenId, { include_deleted: true });
+    assert.equal(records.length, 1);
+    assert.equal(records[0].source_citation_id, null);
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, stopServer, request, createCitizen } from "./helpers.js";
+import { getRepositories } from "../src/repositories/index.js";
+import { toRuleDate } from "../src/modules/penaltyRules/penaltyRules.model.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Registrar una citación por la API y devolver la respuesta
+ */
+async function cite(citizenId) {
+  const response = await request("POST", `/api/citizens/${citizenId}/citations`, {
+    role: "PoliceOfficer",
+    body: { description: "Ruido excesivo en la vía pública" }
+  });
+  return response.body.data;
+}
+
+/**
+ * Obligaciones de un ciudadano por la API
+ */
+async function obligationsOf(citizenId, query = "") {
+  return (await request("GET", `/api/citizens/${citizenId}/obligations${query}`, { role: "General" })).body;
+}
+
+describe("Obligaciones de las sanciones", () => {
+  before(startServer);
+  after(stopServer);
+
+  it("cada citación genera las obligaciones de su penalización con plazo", async () => {
+    const citizenId = await createCitizen();
+    const first = await cite(citizenId);
+    assert.deepEqual(first.obligations.map(obligation => obligation.obligation_type), ["civic_course"]);
+
+    const second = await cite(citizenId);
+    assert.deepEqual(second.obligations.map(obligation => obligation.obligation_type), ["civic_course", "civic_work"]);
+
+    const listed = await obligationsOf(citizenId);
+    assert.equal(listed.total, 3);
+    assert.deepEqual(listed.summary, { pending: 3, overdue: 0, completed: 0, cancelled: 0 });
+
+    const work = listed.data.find(obligation => obligation.obligation_type === "civic_work");
+    assert.equal(work.required_amount, 2);
+    assert.equal(work.unit, "days");
+    assert.equal(work.due_date, toRuleDate(new Date(new Date(second.citation.date).getTime() + 60 * DAY_MS)));
+    assert.equal(work.citation_id, second.citation.id);
+
+    const third = await cite(citizenId);
+    assert.deepEqual(third.obligations, []);
+  });
+
+  it("registra las horas cumplidas hasta completar la obligación", async () => {
+    const citizenId = await createCitizen();
+    const [course] = (await cite(citizenId)).obligations;
+    const path = `/api/citizens/${citizenId}/obligations/${course.id}/progress`;
+
+    const partial = await request("POST", path, { role: "PoliceOfficer", body: { amount: 20, notes: "Primera sesión" } });
+    assert.equal(partial.status, 201);
+    assert.equal(partial.body.data.status, "pending");
+    assert.equal(partial.body.data.remaining_amount, 28);
+
+    const excess = await request("POST", path, { role: "PoliceOfficer", body: { amount: 29 } });
+    assert.equal(excess.status, 400);
+
+    const completed = await request("POST", path, { role: "Admin", body: { amount: 28 } });
+    assert.equal(completed.status, 201);
+    assert.equal(completed.body.data.status, "completed");
+    assert.ok(completed.body.data.completed_at);
+    assert.equal(completed.body.data.progress.length, 2);
+    assert.equal(completed.body.data.progress[0].notes, "Primera sesión");
+    assert.ok(completed.body.data.progress[0].logged_by_username);
+
+    const again = await request("POST", path, { role: "PoliceOfficer", body: { amount: 1 } });
+    assert.equal(again.status, 409);
+
+    const audit = await request("GET", `/api/audit?entity=obligation&entity_id=${course.id}`, { role: "Admin" });
+    assert.deepEqual(audit.body.data.map(entry => entry.changes.after.completed_amount), [48, 20, 0]);
+  });
+
+  it("valida el progreso y la pertenencia de la obligación", async () => {
+    const citizenId = await createCitizen();
+    const otherCitizenId = await createCitizen();
+    const [course] = (await cite(citizenId)).obligations;
+
+    const zero = await request("POST", `/api/citizens/${citizenId}/obligations/${course.id}/progress`, {
+      role: "PoliceOfficer",
+      body: { amount: 0 }
+    });
+    assert.equal(zero.status, 400);
+
+    const foreign = await request("POST", `/api/citizens/${otherCitizenId}/obligations/${course.id}/progress`, {
+      role: "PoliceOfficer",
+      body: { amount: 1 }
+    });
+    assert.equal(foreign.status, 404);
+    assert.equal((await request("GET", `/api/citizens/${otherCitizenId}/obligations/${course.id}`, { role: "General" })).status, 404);
+  });
+
+  it("cancela y reabre las obligaciones cuando cambia la penalización", async () => {
+    const citizenId = await createCitizen();
+    const first = await cite(citizenId);
+    await cite(citizenId);
+
+    // Sin la primera, la segunda citación pasa a ser la primera: sin trabajo cívico
+    const deleted = await request("DELETE", `/api/citizens/${citizenId}/citations/${first.citation.id}`, { role: "Admin", ifMatch: "*" });
+    assert.equal(deleted.body.recalculation.obligations_cancelled, 1);
+
+    let listed = await obligationsOf(citizenId);
+    assert.deepEqual(listed.summary, { pending: 1, overdue: 0, completed: 0, cancelled: 1 });
+    assert.equal((await obligationsOf(citizenId, "?status=cancelled")).data[0].obligation_type, "civic_work");
+
+    const restored = await request("POST", `/api/citizens/${citizenId}/citations/${first.citation.id}/restore`, { role: "Admin" });
+    assert.equal(restored.body.recalculation.obligations_reopened, 1);
+
+    listed = await obligationsOf(citizenId);
+    assert.deepEqual(listed.summary, { pending: 3, overdue: 0, completed: 0, cancelled: 0 });
+  });
+
+  it("informa las obligaciones vencidas a los CourtClerk", async () => {
+    const citizenId = await createCitizen();
+    const { citation } = await cite(citizenId);
+
+    // La citación pasa a ser de hace 40 días: el curso (30 días de plazo) vence
+    await getRepositories().citations.update(citation.id, { date: new Date(Date.now() - 40 * DAY_MS) });
+    const applied = await request("POST", `/api/citizens/${citizenId}/citations/recalculate`, {
+      role: "Admin",
+      body: { dry_run: false }
+    });
+    assert.equal(applied.body.data.summary.obligations_updated, 1);
+
+    const listed = await obligationsOf(citizenId, "?status=overdue");
+    assert.equal(listed.total, 1);
+    assert.equal(listed.data[0].days_overdue, 10);
+
+    const report = await request("GET", `/api/obligations/overdue?citizen_id=${citizenId}`, { role: "CourtClerk" });
+    assert.equal(report.status, 200);
+    assert.equal(report.body.total, 1);
+    assert.equal(report.body.data[0].citizen_id, citizenId);
+    assert.equal(report.body.data[0].obligation_type, "civic_course");
+    assert.equal(report.body.data[0].remaining_amount, 48);
+
+    // Se puede cumplir con retraso; deja de estar vencida
+    await request("POST", `/api/citizens/${citizenId}/obligations/${report.body.data[0].id}/progress`, {
+      role: "PoliceOfficer",
+      body: { amount: 48 }
+    });
+    const after = await request("GET", `/api/obligations/overdue?citizen_id=${citizenId}`, { role: "Admin" });
+    assert.equal(after.body.total, 0);
+
+    const invalid = await request("GET", "/api/obligations/overdue?obligation_type=jail", { role: "CourtClerk" });
+    assert.equal(invalid.status, 400);
+  });
+});
@@ -0,0 +1,200 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import {
+  ROLE_IDS,
+  TEST_PASSWORD,
+  startServer,
+  stopServer,
+  request,
+  createUser,
+  loginNewUser,
+  uniqueSuffix
+} from "./helpers.js";
+import { authConfig } from "../src/config/auth.js";
+import { getRepositories } from "../src/repositories/index.js";
+import { getUserByIdDB } from "../src/modules/auth/auth.model.js";
+import { getPasswordPolicyErrors, isPasswordExpired } from "../src/modules/auth/passwordPolicy.js";
+
+// Historial corto: cada cambio de contraseña cuesta varios bcrypt de coste 12
+const defaults = { ...authConfig, passwordHistoryCount: 2, loginDelayBaseSeconds: 0 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Cambiar la contraseña propia por la API
+ */
+function changePassword(session, currentPassword, newPassword) {
+  return request("PUT", `/api/auth/users/${session.id}/password`, {
+    token: session.token,
+    body: { current_password: currentPassword, new_password: newPassword, confirm_password: newPassword }
+  });
+}
+
+describe("Política y historial de contraseñas", () => {
+  before(startServer);
+  after(stopServer);
+
+  beforeEach(() => {
+    Object.assign(authConfig, defaults);
+  });
+
+  it("aplica longitud, clases de caracteres, lista de contraseñas comunes y nombre de usuario", () => {
+    assert.deepEqual(getPasswordPolicyErrors("Interpolice123"), []);
+    assert.equal(getPasswordPolicyErrors("Ab1").length, 1);
+    assert.match(getPasswordPolicyErrors("solominusculas1")[0], /mayúscula/);
+    assert.match(getPasswordPolicyErrors("Password123")[0], /común/);
+    assert.match(getPasswordPolicyErrors("Marte_Agente9", { username: "agente" })[0], /nombre de usuario/);
+  });
+
+  it("la política es configurable", () => {
+    authConfig.passwordMinLength = 16;
+    authConfig.passwordRequiredClasses = ["lowercase", "symbol"];
+
+    const errors = getPasswordPolicyErrors("Interpolice123");
+    assert.equal(errors.length, 2);
+    assert.match(errors[1], /símbolo/);
+    assert.deepEqual(getPasswordPolicyErrors("contraseña-muy-larga"), []);
+  });
+
+  it("rechaza contraseñas comunes al crear usuarios", async () => {
+    const suffix = uniqueSuffix();
+    const response = await request("POST", "/api/auth/users", {
+      role: "Admin",
+      body: {
+        username: `policy_${suffix}`,
+        user_email: `policy_${suffix}@interpolice.test`,
+        password: "Welcome123",
+        role_id: ROLE_IDS.PoliceOfficer
+      }
+    });
+
+    assert.equal(response.status, 400);
+    assert.ok(response.body.errors.some(error => error.field === "password"));
+  });
+
+  it("rechaza una contraseña que contiene el nombre de usuario", async () => {
+    const session = await loginNewUser();
+    const response = await changePassword(session, TEST_PASSWORD, `X${session.username}9`);
+
+    assert.equal(response.status, 400);
+    assert.match(response.body.message, /nombre de usuario/);
+  });
+
+  it("la actualización del perfil no cambia la contraseña", async () => {
+    const session = await loginNewUser();
+    const response = await request("PUT", `/api/auth/users/${session.id}`, {
+      role: "Admin",
+      ifMatch: "*",
+      body: { password: "Tomada2024x" }
+    });
+
+    assert.equal(response.status, 400);
+    assert.ok(response.body.errors.some(error => error.field === "password"));
+    const login = await request("POST", "/api/auth/login", {
+      body: { username: session.username, password: TEST_PASSWORD }
+    });
+    assert.equal(login.status, 200);
+  });
+
+  it("la actualización del perfil no escribe el hash ni la fecha de la contraseña", async () => {
+    const session = await loginNewUser();
+    const response = await request("PUT", `/api/auth/users/${session.id}`, {
+      token: session.token,
+      ifMatch: "*",
+      body: {
+        username: `renamed_${uniqueSuffix()}`,
+        password_hash: "$2a$04$abcdefghijklmnopqrstuuN8W8x0y7Y8Zk7mGkqz0uY5yq2a0Cq6e",
+        password_changed_at: "2099-01-01 00:00:00"
+      }
+    });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(
+      response.body.errors.map(error => error.field).sort(),
+      ["password_changed_at", "password_hash"]
+    );
+    const stored = await getRepositories().users.findById(session.id);
+    assert.equal(stored.username, session.username);
+    assert.ok(new Date(stored.password_changed_at) < new Date("2099-01-01"));
+    const login = await request("POST", "/api/auth/login", {
+      body: { username: session.username, password: TEST_PASSWORD }
+    });
+    assert.equal(login.status, 200);
+  });
+
+  it("impide reutilizar las últimas contraseñas", async () => {
+    const session = await loginNewUser();
+
+    assert.equal((await changePassword(session, TEST_PASSWORD, "Segunda2024x")).status, 200);
+
+    // La actual y la anterior están en el historial (PASSWORD_HISTORY_COUNT = 2)
+    const current = await changePassword(session, "Segunda2024x", "Segunda2024x");
+    assert.equal(current.status, 400);
+    const previous = await changePassword(session, "Segunda2024x", TEST_PASSWORD);
+    assert.equal(previous.status, 400);
+
+    assert.equal((await changePassword(session, "Segunda2024x", "Tercera2024x")).status, 200);
+
+    // La primera contraseña ya salió del historial
+    assert.equal((await changePassword(session, "Tercera2024x", TEST_PASSWORD)).status, 200);
+  });
+
+  it("el restablecimiento por correo también respeta el historial", async () => {
+    const session = await loginNewUser();
+    const token = "token-de-prueba-historial";
+
+    await getRepositories().passwordResets.insert({
+      user_id: session.id,
+      token_hash: crypto.createHash("sha256").update(token).digest("hex"),
+      expires_at: new Date(Date.now() + 60 * 1000)
+    });
+
+    const reset = await request("POST", "/api/auth/password/reset", {
+      body: { token, new_password: TEST_PASSWORD, confirm_password: TEST_PASSWORD }
+    });
+    assert.equal(reset.status, 400);
+    assert.match(reset.body.message, /recientes/);
+  });
+
+  it("la contraseña caduca solo para los roles configurados", () => {
+    authConfig.passwordMaxAgeDays = 30;
+    authConfig.passwordExpiryRoles = ["Admin"];
+    const old = new Date(Date.now() - 31 * DAY_MS);
+
+    assert.equal(isPasswordExpired({ role_name: "Admin", password_changed_at: old }), true);
+    assert.equal(isPasswordExpired({ role_name: "PoliceOfficer", password_changed_at: old }), false);
+    assert.equal(isPasswordExpired({ role_name: "Admin", password_changed_at: new Date() }), false);
+
+    authConfig.passwordMaxAgeDays = 0;
+    assert.equal(isPasswordExpired({ role_name: "Admin", password_changed_at: old }), false);
+  });
+
+  it("una contraseña caducada obliga a cambiarla en el siguiente login", async () => {
+    authConfig.passwordMaxAgeDays = 30;
+    authConfig.passwordExpiryRoles = ["PoliceOfficer"];
+
+    const id = await createUser("PoliceOfficer");
+    await getRepositories().users.update(id, { password_changed_at: new Date(Date.now() - 31 * DAY_MS) });
+    const user = await getUserByIdDB(id);
+
+    const login = await request("POST", "/api/auth/login", {
+      body: { username: user.username, password: TEST_PASSWORD }
+    });
+    assert.equal(login.status, 200);
+    assert.equal(login.body.data.password_change_required, true);
+
+    const session = { id, ...login.body.data };
+    const blocked = await request("GET", "/api/citizens", { token: session.token });
+    assert.equal(blocked.status, 403);
+    assert.equal(blocked.body.password_change_required, true);
+
+    const changed = await changePassword(session, TEST_PASSWORD, "Renovada2024x");
+    assert.equal(changed.status, 200);
+    assert.ok(changed.body.data.token);
+    assert.equal(changed.body.data.password_change_required, undefined);
+
+    const allowed = await request("GET", "/api/citizens", { token: changed.body.data.token });
+    assert.equal(allowed.status, 200);
+  });
+});
@@ -0,0 +1,178 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import {
+  TEST_PASSWORD,
+  startServer,
+  stopServer,
+  request,
+  loginNewUser
+} from "./helpers.js";
+import { authConfig } from "../src/config/auth.js";
+import { mailConfig } from "../src/config/mail.js";
+
+const NEW_PASSWORD = "Recuperada456";
+// Sin espera progresiva: una prueba reintenta el login tras usar la contraseña antigua
+const defaults = { ...authConfig, loginDelayBaseSeconds: 0 };
+
+/**
+ * Listar los correos escritos por el transporte de archivos
+ */
+async function listMails() {
+  return fs.readdir(mailConfig.fileDir).catch(() => []);
+}
+
+/**
+ * Esperar un correo nuevo para una dirección (el envío no bloquea la respuesta)
+ * @param {string} to - Destinatario
+ * @param {string[]} previous - Correos que ya existían antes de la petición
+ * @returns {Promise<string|null>} Contenido del .eml o null si no llega
+ */
+async function waitForMail(to, previous) {
+  for (let i = 0; i < 25; i++) {
+    for (const file of await listMails()) {
+      if (previous.includes(file)) continue;
+      const content = await fs.readFile(path.join(mailConfig.fileDir, file), "utf8");
+      if (content.includes(`To: ${to}\r\n`)) {
+        return content;
+      }
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  return null;
+}
+
+/**
+ * Solicitar la recuperación y extraer el token del correo
+ */
+async function requestResetToken(email) {
+  const previous = await listMails();
+  const forgot = await request("POST", "/api/auth/password/forgot", { body: { email } });
+  assert.equal(forgot.status, 202);
+
+  const mail = await waitForMail(email, previous);
+  assert.ok(mail, "no se envió el correo de recuperación");
+  return mail.match(/^([A-Za-z0-9_-]{43})$/m)[1];
+}
+
+describe("Recuperación de contraseña", () => {
+  before(async () => {
+    mailConfig.transport = "file";
+    mailConfig.fileDir = await fs.mkdtemp(path.join(os.tmpdir(), "interpolice-mail-"));
+    await startServer();
+  });
+
+  after(async () => {
+    await stopServer();
+    await fs.rm(mailConfig.fileDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    Object.assign(authConfig, defaults);
+  });
+
+  it("envía un token por correo y permite elegir una nueva contraseña", async () => {
+    const session = await loginNewUser();
+    const token = await requestResetToken(session.user_email);
+
+    const reset = await request("POST", "/api/auth/password/reset", {
+      body: { token, new_password: NEW_PASSWORD, confirm_password: NEW_PASSWORD }
+    });
+    assert.equal(reset.status, 200);
+    assert.equal(reset.body.data.revoked_sessions, 1);
+
+    // Las sesiones abiertas se cierran
+    const profile = await request("GET", "/api/auth/profile", { token: session.token });
+    assert.equal(profile.status, 401);
+
+    const oldPassword = await request("POST", "/api/auth/login", {
+      body: { username: session.username, password: TEST_PASSWORD }
+    });
+    assert.equal(oldPassword.status, 401);
+
+    const newPassword = await request("POST", "/api/auth/login", {
+      body: { username: session.username, password: NEW_PASSWORD }
+    });
+    assert.equal(newPassword.status, 200);
+  });
+
+  it("el token es de un solo uso", async () => {
+    const session = await loginNewUser();
+    const token = await requestResetToken(session.user_email);
+    const body = { token, new_password: NEW_PASSWORD, confirm_password: NEW_PASSWORD };
+
+    assert.equal((await request("POST", "/api/auth/password/reset", { body })).status, 200);
+
+    const reused = await request("POST", "/api/auth/password/reset", { body });
+    assert.equal(reused.status, 400);
+  });
+
+  it("usar un token invalida los demás tokens pendientes de la cuenta", async () => {
+    const session = await loginNewUser();
+    const first = await requestResetToken(session.user_email);
+    const second = await requestResetToken(session.user_email);
+    assert.notEqual(first, second);
+
+    const used = await request("POST", "/api/auth/password/reset", {
+      body: { token: second, new_password: NEW_PASSWORD, confirm_password: NEW_PASSWORD }
+    });
+    assert.equal(used.status, 200);
+
+    const stale = await request("POST", "/api/auth/password/reset", {
+      body: { token: first, new_password: NEW_PASSWORD, confirm_password: NEW_PASSWORD }
+    });
+    assert.equal(stale.status, 400);
+  });
+
+  it("rechaza tokens caducados", async () => {
+    authConfig.passwordResetExpiresMinutes = 0;
+    const session = await loginNewUser();
+    const token = await requestResetToken(session.user_email);
+
+    const reset = await request("POST", "/api/auth/password/reset", {
+      body: { token, new_password: NEW_PASSWORD, confirm_password: NEW_PASSWORD }
+    });
+    assert.equal(reset.status, 400);
+  });
+
+  it("responde igual para emails desconocidos sin enviar correo", async () => {
+    const email = "nadie@interpolice.test";
+    const previous = await listMails();
+    const forgot = await request("POST", "/api/auth/password/forgot", { body: { email } });
+    assert.equal(forgot.status, 202);
+    assert.equal(await waitForMail(email, previous), null);
+  });
+
+  it("limita las solicitudes por cuenta y hora", async () => {
+    authConfig.passwordResetMaxPerHour = 1;
+    const session = await loginNewUser();
+    await requestResetToken(session.user_email);
+
+    const previous = await listMails();
+    const limited = await request("POST", "/api/auth/password/forgot", { body: { email: session.user_email } });
+    assert.equal(limited.status, 202);
+    assert.equal(await waitForMail(session.user_email, previous), null);
+  });
+
+  it("valida el cuerpo de las peticiones", async () => {
+    const forgot = await request("POST", "/api/auth/password/forgot", { body: { email: "no-es-email" } });
+    assert.equal(forgot.status, 400);
+
+    const mismatch = await request("POST", "/api/auth/password/reset", {
+      body: { token: "x", new_password: NEW_PASSWORD, confirm_password: "Otra123456" }
+    });
+    assert.equal(mismatch.status, 400);
+
+    const weak = await request("POST", "/api/auth/password/reset", {
+      body: { token: "x", new_password: "debil", confirm_password: "debil" }
+    });
+    assert.equal(weak.status, 400);
+
+    const unknown = await request("POST", "/api/auth/password/reset", {
+      body: { token: "no-existe", new_password: NEW_PASSWORD, confirm_password: NEW_PASSWORD }
+    });
+    assert.equal(unknown.status, 400);
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  startServer,
+  stopServer,
+  request,
+  createCitizen,
+  penaltyRuleSetPayload
+} from "./helpers.js";
+import { getRepositories } from "../src/repositories/index.js";
+import { assessPenalty, splitPriorCitations } from "../src/modules/citations/citations.model.js";
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+const yearsAgo = (years) => new Date(Date.now() - years * YEAR_MS);
+
+/**
+ * Registrar directamente una citación antigua (la API no admite fechas pasadas de un año)
+ */
+async function insertOldCitation(citizenId, date) {
+  const result = await getRepositories().citations.insert({
+    citizen_id: citizenId,
+    date,
+    description: "Tirar basura en la vía pública",
+    fine_amount: 400
+  });
+  return result.insertId;
+}
+
+describe("Periodo de cómputo de las citaciones previas", () => {
+  const ruleSet = { id: 4, version: 1, ...penaltyRuleSetPayload({ lookback_years: 5 }) };
+  const prior = [
+    { id: 3, date: yearsAgo(1) },
+    { id: 1, date: yearsAgo(20) },
+    { id: 2, date: yearsAgo(4) }
+  ];
+
+  it("separa las citaciones caducadas de las que cuentan", () => {
+    const split = splitPriorCitations(prior, new Date(), ruleSet);
+
+    assert.deepEqual(split.expired.map(citation => citation.id), [1]);
+    assert.deepEqual(split.counted.map(citation => citation.id), [2, 3]);
+    assert.ok(split.lookback_from < yearsAgo(4));
+  });
+
+  it("solo escala con las citaciones que cuentan", () => {
+    const penalty = assessPenalty(prior, new Date(), ruleSet);
+    assert.equal(penalty.citation_number, 3);
+    assert.equal(penalty.lookback_years, 5);
+
+    // Sin periodo de cómputo cuentan todas
+    const unlimited = assessPenalty(prior, new Date());
+    assert.equal(unlimited.citation_number, 4);
+    assert.equal(unlimited.expired_citations.length, 0);
+    assert.equal(unlimited.lookback_from, null);
+  });
+});
+
+describe("Periodo de cómputo por la API", () => {
+  before(startServer);
+  after(stopServer);
+
+  it("el régimen general sembrado no tiene periodo de cómputo", async () => {
+    const citizenId = await createCitizen();
+    await insertOldCitation(citizenId, yearsAgo(20));
+
+    const summary = await request("GET", `/api/citizens/${citizenId}/citations/penalty-summary`, { role: "CourtClerk" });
+    assert.equal(summary.body.data.penalty_rule_set.lookback_years, null);
+    assert.equal(summary.body.data.next_citation_penalty.citation_number, 2);
+  });
+
+  it("no cuenta las citaciones más antiguas que el periodo del régimen", async () => {
+    const published = await request("POST", "/api/penalty-rules", {
+      role: "Admin",
+      body: penaltyRuleSetPayload({ lookback_years: 5 })
+    });
+    assert.equal(published.status, 201);
+    assert.equal(published.body.data.lookback_years, 5);
+
+    const citizenId = await createCitizen();
+    const expired = await insertOldCitation(citizenId, yearsAgo(20));
+    const counted = await insertOldCitation(citizenId, yearsAgo(2));
+
+    const summary = await request("GET", `/api/citizens/${citizenId}/citations/penalty-summary`, { role: "CourtClerk" });
+    assert.equal(summary.body.data.current_status.total_citations, 2);
+    assert.equal(summary.body.data.current_status.counted_citations, 1);
+    assert.equal(summary.body.data.next_citation_penalty.citation_number, 2);
+    assert.match(summary.body.data.warnings.expired_notice, /^1 citación/);
+
+    const created = await request("POST", `/api/citizens/${citizenId}/citations`, {
+      role: "PoliceOfficer",
+      body: { description: "Ruido excesivo en la vía pública" }
+    });
+    assert.equal(created.status, 201);
+    const details = created.body.data.penalty_details;
+    assert.equal(details.citation_number, 2);
+    assert.equal(details.fine_amount, 200);
+    assert.equal(details.lookback_years, 5);
+    assert.deepEqual(details.counted_citations.map(citation => citation.id), [counted]);
+    assert.deepEqual(details.expired_citations.map(citation => citation.id), [expired]);
+  });
+
+  it("el recálculo aplica el periodo del régimen vigente en cada citación", async () => {
+    const citizenId = await createCitizen();
+    await insertOldCitation(citizenId, yearsAgo(20));
+    const recent = await insertOldCitation(citizenId, yearsAgo(0.5));
+
+    const preview = await request("POST", `/api/citizens/${citizenId}/citations/recalculate`, { role: "Admin" });
+    const entry = preview.body.data.citations.find(citation => citation.citation_id === recent);
+
+    // Hace medio año regía aún el régimen general, sin periodo de cómputo
+    assert.equal(entry.citation_number, 2);
+    assert.equal(entry.expired_citations.length, 0);
+  });
+
+  it("valida el periodo de cómputo", async () => {
+    const invalid = await request("POST", "/api/penalty-rules", {
+      role: "Admin",
+      body: penaltyRuleSetPayload({ planet_id: 1, lookback_years: 0 })
+    });
+    assert.equal(invalid.status, 400);
+  });
+});
@@ -0,0 +1,213 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  startServer,
+  stopServer,
+  request,
+  createCitizen,
+  penaltyRuleSetPayload
+} from "./helpers.js";
+import { getRepositories } from "../src/repositories/index.js";
+import { calculatePenalty } from "../src/modules/citations/citations.model.js";
+import { resolvePenaltyRuleSetDB, toRuleDate } from "../src/modules/penaltyRules/penaltyRules.model.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const today = () => toRuleDate(new Date());
+const tomorrow = () => toRuleDate(new Date(Date.now() + DAY_MS));
+
+/**
+ * Publicar una citación por la API
+ */
+async function cite(citizenId) {
+  return request("POST", `/api/citizens/${citizenId}/citations`, {
+    role: "PoliceOfficer",
+    body: { description: "Ruido excesivo en la vía pública" }
+  });
+}
+
+describe("calculatePenalty con un régimen configurable", () => {
+  const ruleSet = { id: 7, version: 3, ...penaltyRuleSetPayload() };
+
+  it("aplica la tier de cada número de citación", () => {
+    const penalty = calculatePenalty(1, ruleSet);
+
+    assert.equal(penalty.citation_number, 2);
+    assert.equal(penalty.fine_amount, 200);
+    assert.equal(penalty.civic_course_hours, 16);
+    assert.equal(penalty.civic_work_days, 1);
+    assert.equal(penalty.creates_criminal_record, false);
+    assert.equal(penalty.penalty_description, "$200 + curso de 16 horas + 1 días de trabajo cívico");
+    assert.equal(penalty.rule_set_id, 7);
+    assert.equal(penalty.rule_set_version, 3);
+  });
+
+  it("escala la cárcel a partir de la última tier", () => {
+    assert.equal(calculatePenalty(2, ruleSet).jail_days, 4);
+    assert.equal(calculatePenalty(4, ruleSet).jail_days, 8);
+    assert.equal(calculatePenalty(2, ruleSet).fine_amount, 300);
+    assert.equal(calculatePenalty(2, ruleSet).creates_criminal_record, true);
+  });
+
+  it("usa el régimen general inicial si no se indica otro", () => {
+    const penalty = calculatePenalty(3);
+
+    assert.equal(penalty.penalty_description, "Múltiples amonestaciones (4): 20 días de cárcel + registro en antecedentes penales");
+    assert.equal(penalty.rule_set_id, null);
+  });
+});
+
+describe("Regímenes de sanción por la API", () => {
+  before(startServer);
+  after(stopServer);
+
+  it("parte del régimen general sembrado, aplicable a todos los planetas", async () => {
+    const list = await request("GET", "/api/penalty-rules", { role: "PoliceOfficer" });
+    assert.equal(list.status, 200);
+    assert.equal(list.body.total, 1);
+    assert.equal(list.body.data[0].planet_id, null);
+    assert.equal(list.body.data[0].version, 1);
+    assert.equal(list.body.data[0].tiers.length, 3);
+
+    const inForce = await request("GET", "/api/penalty-rules/in-force?planet_id=2", { role: "CourtClerk" });
+    assert.equal(inForce.body.data.id, list.body.data[0].id);
+  });
+
+  it("evalúa las citaciones con el régimen del planeta de residencia vigente", async () => {
+    const published = await request("POST", "/api/penalty-rules", { role: "Admin", body: penaltyRuleSetPayload() });
+    assert.equal(published.status, 201);
+    assert.equal(published.body.data.version, 1);
+    assert.equal(published.body.data.planet_name, "Marte");
+    assert.equal(published.body.superseded, null);
+
+    const martian = await createCitizen();
+    const expected = [
+      { status: 201, fine: 100, jail: 0 },
+      { status: 201, fine: 200, jail: 0 },
+      { status: 202, fine: 300, jail: 4 }
+    ];
+    for (const step of expected) {
+      const response = await cite(martian);
+      assert.equal(response.status, step.status);
+      assert.equal(Number(response.body.data.citation.fine_amount), step.fine);
+      assert.equal(response.body.data.penalty_details.jail_days, step.jail);
+      assert.equal(response.body.data.penalty_details.rule_set_id, published.body.data.id);
+      assert.equal(response.body.data.penalty_details.rule_set_version, 1);
+    }
+
+    // Un ciudadano de la Tierra sigue con el régimen general
+    const earthling = await createCitizen();
+    await getRepositories().citizens.update(earthling, { residence_planet: 1 });
+    assert.equal(Number((await cite(earthling)).body.data.citation.fine_amount), 400);
+
+    const summary = await request("GET", `/api/citizens/${martian}/citations/penalty-summary`, { role: "General" });
+    assert.equal(summary.body.data.penalty_rule_set.id, published.body.data.id);
+    assert.equal(summary.body.data.next_citation_penalty.jail_days, 6);
+    assert.equal(Number(summary.body.data.current_status.total_fines), 600);
+  });
+
+  it("cierra la versión abierta al publicar otra y la reabre si se retira", async () => {
+    const general = (await request("GET", "/api/penalty-rules/in-force", { role: "Admin" })).body.data;
+
+    const next = await request("POST", "/api/penalty-rules", {
+      role: "Admin",
+      body: penaltyRuleSetPayload({ planet_id: null, name: "Régimen general 2", effective_from: tomorrow() })
+    });
+    assert.equal(next.status, 201);
+    assert.equal(next.body.data.version, 2);
+    assert.equal(next.body.superseded.id, general.id);
+    assert.equal(next.body.superseded.effective_to, today());
+
+    // Hoy sigue vigente la versión 1; mañana la 2
+    assert.equal((await resolvePenaltyRuleSetDB(1, new Date())).version, 1);
+    assert.equal((await resolvePenaltyRuleSetDB(1, new Date(Date.now() + DAY_MS))).version, 2);
+
+    const overlapping = await request("POST", "/api/penalty-rules", {
+      role: "Admin",
+      body: penaltyRuleSetPayload({ planet_id: null, effective_from: tomorrow(), effective_to: tomorrow() })
+    });
+    assert.equal(overlapping.status, 409);
+
+    // La versión futura puede corregirse
+    const corrected = await request("PUT", `/api/penalty-rules/${next.body.data.id}`, {
+      role: "Admin",
+      body: { name: "Régimen general corregido" }
+    });
+    assert.equal(corrected.status, 200);
+    assert.equal(corrected.body.data.name, "Régimen general corregido");
+
+    const removed = await request("DELETE", `/api/penalty-rules/${next.body.data.id}`, { role: "Admin" });
+    assert.equal(removed.status, 200);
+    assert.equal(removed.body.data.reopened.id, general.id);
+    assert.equal(removed.body.data.reopened.effective_to, null);
+
+    const audit = await request("GET", `/api/audit?entity=penalty_rule_set&entity_id=${general.id}`, { role: "Admin" });
+    assert.deepEqual(audit.body.data.map(entry => entry.changes.after.effective_to), [null, today()]);
+  });
+
+  it("no permite reescribir una versión que ya entró en vigor", async () => {
+    const general = (await request("GET", "/api/penalty-rules/in-force", { role: "Admin" })).body.data;
+    const path = `/api/penalty-rules/${general.id}`;
+
+    const renamed = await request("PUT", path, { role: "Admin", body: { name: "Régimen reescrito" } });
+    assert.equal(renamed.status, 409);
+    assert.equal((await request("DELETE", path, { role: "Admin" })).status, 409);
+
+    const closedInPast = await request("PUT", path, { role: "Admin", body: { effective_to: "2001-01-01" } });
+    assert.equal(closedInPast.status, 400);
+
+    const backdated = await request("POST", "/api/penalty-rules", {
+      role: "Admin",
+      body: penaltyRuleSetPayload({ planet_id: 1, effective_from: "2001-01-01" })
+    });
+    assert.equal(backdated.status, 400);
+
+    const closed = await request("PUT", path, { role: "Admin", body: { effective_to: today() } });
+    assert.equal(closed.status, 200);
+    assert.equal(closed.body.data.effective_to, today());
+    await request("PUT", path, { role: "Admin", body: { effective_to: null } });
+  });
+
+  it("valida las tiers, la escalada y el planeta", async () => {
+    const gap = await request("POST", "/api/penalty-rules", {
+      role: "Admin",
+      body: penaltyRuleSetPayload({
+        tiers: [{ citation_number: 2, fine_amount: 100, civic_course_hours: 0, civic_work_days: 0, jail_days: 0, creates_criminal_record: false }]
+      })
+    });
+    assert.equal(gap.status, 400);
+
+    const negative = await request("POST", "/api/penalty-rules", {
+      role: "Admin",
+      body: penaltyRuleSetPayload({ escalation: { ...penaltyRuleSetPayload().escalation, base_jail_days: -1 } })
+    });
+    assert.equal(negative.status, 400);
+
+    const unknownPlanet = await request("POST", "/api/penalty-rules", {
+      role: "Admin",
+      body: penaltyRuleSetPayload({ planet_id: 99 })
+    });
+    assert.equal(unknownPlanet.status, 400);
+    assert.match(unknownPlanet.body.message, /planeta/);
+
+    assert.equal((await request("GET", "/api/penalty-rules/9999", { role: "Admin" })).status, 404);
+  });
+
+  it("resuelve el régimen vigente en la fecha de la citación", async () => {
+    // Versión histórica de la Tierra durante 2020
+    await getRepositories().penaltyRules.insert({
+      ...penaltyRuleSetPayload({ planet_id: 1, effective_from: "2020-01-01", effective_to: "2020-12-31" }),
+      version: 1
+    });
+
+    const historic = await resolvePenaltyRuleSetDB(1, new Date("2020-06-15T12:00:00Z"));
+    assert.equal(historic.planet_id, 1);
+    assert.equal(calculatePenalty(0, historic).fine_amount, 100);
+
+    const later = await resolvePenaltyRuleSetDB(1, new Date("2021-06-15T12:00:00Z"));
+    assert.equal(later.planet_id, null);
+    assert.equal(calculatePenalty(0, later).fine_amount, 400);
+
+    const listed = await request("GET", "/api/penalty-rules?planet_id=1&date=2020-06-15", { role: "Commander" });
+    assert.equal(listed.body.total, 1);
+  });
+});
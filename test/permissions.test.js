@@ -0,0 +1,607 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  ROLES,
+  startServer,
+  stopServer,
+  request,
+  userFor,
+  citizenPayload,
+  createCitizen,
+  createRecord,
+  createCitation,
+  createUser,
+  uniqueSuffix,
+  penaltyRuleSetPayload
+} from "./helpers.js";
+import { getPermissionsForRole, getRolesForPermission, listPermissions } from "../src/config/permissions.js";
+import { authorize } from "../src/middlewares/auth.middleware.js";
+import { getRepositories } from "../src/repositories/index.js";
+
+/**
+ * Matriz de permisos por rol para todas las rutas protegidas
+ *
+ * Para cada ruta se comprueba:
+ * - 401 sin token y con token inválido
+ * - 403 para los roles no autorizados
+ * - 2xx para los roles autorizados (con datos válidos preparados para cada petición)
+ */
+
+const ALL = ROLES;
+const REPORTS = ["Admin", "Commander", "General"];
+
+const routes = [
+  // Auth
+  { method: "GET", path: "/api/auth/profile", allowed: ALL },
+  { method: "GET", path: "/api/auth/permissions", allowed: ALL },
+  { method: "GET", path: "/api/auth/roles", allowed: ["Admin", "Commander"] },
+  { method: "GET", path: "/api/auth/roles/permissions", allowed: ["Admin", "Commander"] },
+  { method: "GET", path: "/api/auth/roles/5", name: "/api/auth/roles/:id", allowed: ["Admin", "Commander"] },
+  {
+    method: "POST",
+    path: "/api/auth/roles",
+    allowed: ["Admin"],
+    prepare: () => ({ body: { role_name: `Matrix_${uniqueSuffix()}`, permissions: ["citizens:read"] } })
+  },
+  {
+    method: "PUT",
+    name: "/api/auth/roles/:id",
+    allowed: ["Admin"],
+    prepare: async () => ({ path: `/api/auth/roles/${await createCustomRole()}`, body: { description: "Matriz" } })
+  },
+  {
+    method: "DELETE",
+    name: "/api/auth/roles/:id",
+    allowed: ["Admin"],
+    prepare: async () => ({ path: `/api/auth/roles/${await createCustomRole()}` })
+  },
+  { method: "GET", path: "/api/auth/users", allowed: ["Admin"] },
+  {
+    method: "GET",
+    name: "/api/auth/users/:id",
+    allowed: ALL,
+    prepare: (role) => ({ path: `/api/auth/users/${userFor(role).id}` })
+  },
+  {
+    method: "PUT",
+    name: "/api/auth/users/:id",
+    allowed: ALL,
+    prepare: (role) => ({
+      path: `/api/auth/users/${userFor(role).id}`,
+      body: { user_email: `${role.toLowerCase()}@interpolice.test` },
+      ifMatch: "*"
+    })
+  },
+  {
+    method: "GET",
+    name: "/api/auth/users/:id (otro usuario)",
+    allowed: ["Admin"],
+    prepare: async () => ({ path: `/api/auth/users/${await createUser()}` })
+  },
+  {
+    method: "PUT",
+    name: "/api/auth/users/:id (otro usuario)",
+    allowed: ["Admin"],
+    prepare: async () => ({
+      path: `/api/auth/users/${await createUser()}`,
+      body: { user_email: `other_${uniqueSuffix()}@interpolice.test` },
+      ifMatch: "*"
+    })
+  },
+  {
+    method: "DELETE",
+    name: "/api/auth/users/:id",
+    allowed: ["Admin"],
+    prepare: async () => ({ path: `/api/auth/users/${await createUser()}`, ifMatch: "*" })
+  },
+  {
+    method: "POST",
+    name: "/api/auth/users/:id/unlock",
+    allowed: ["Admin"],
+    prepare: async () => ({ path: `/api/auth/users/${await createUser()}/unlock` })
+  },
+  {
+    method: "DELETE",
+    name: "/api/auth/users/:id/2fa",
+    allowed: ["Admin"],
+    prepare: async () => ({ path: `/api/auth/users/${await createUser()}/2fa` })
+  },
+  {
+    method: "GET",
+    name: "/api/auth/users/:id/sessions",
+    allowed: ["Admin"],
+    prepare: async () => ({ path: `/api/auth/users/${await createUser()}/sessions` })
+  },
+  {
+    method: "GET",
+    name: "/api/auth/users/:id/activity",
+    allowed: ["Admin"],
+    prepare: async () => ({ path: `/api/auth/users/${await createUser()}/activity` })
+  },
+  {
+    method: "DELETE",
+    name: "/api/auth/users/:id/sessions",
+    allowed: ["Admin"],
+    prepare: async () => ({ path: `/api/auth/users/${await createUser()}/sessions` })
+  },
+  { method: "GET", path: "/api/auth/impersonations", allowed: ["Admin"] },
+  {
+    method: "POST",
+    name: "/api/auth/impersonate/:userId",
+    allowed: ["Admin"],
+    prepare: async () => ({ path: `/api/auth/impersonate/${await createUser()}` })
+  },
+  { method: "GET", path: "/api/auth/login-attempts", allowed: ["Admin"] },
+  { method: "GET", path: "/api/auth/users/pending", allowed: ["Admin"] },
+  {
+    method: "POST",
+    name: "/api/auth/users/:id/approve",
+    allowed: ["Admin"],
+    prepare: async () => ({ path: `/api/auth/users/${await createPendingUser()}/approve` })
+  },
+  {
+    method: "POST",
+    name: "/api/auth/users/:id/reject",
+    allowed: ["Admin"],
+    prepare: async () => ({ path: `/api/auth/users/${await createPendingUser()}/reject` })
+  },
+  { method: "GET", path: "/api/auth/invitations", allowed: ["Admin"] },
+  { method: "POST", path: "/api/auth/invitations", allowed: ["Admin"], prepare: () => ({ body: { role_id: 8 } }) },
+  {
+    method: "DELETE",
+    name: "/api/auth/invitations/:id",
+    allowed: ["Admin"],
+    prepare: async () => ({ path: `/api/auth/invitations/${await createInvitation()}` })
+  },
+  { method: "GET", path: "/api/auth/service-accounts", allowed: ["Admin"] },
+  { method: "GET", path: "/api/auth/service-accounts/scopes", allowed: ["Admin"] },
+  {
+    method: "POST",
+    path: "/api/auth/service-accounts",
+    allowed: ["Admin"],
+    prepare: () => ({ body: { name: `matrix-${uniqueSuffix()}`, scopes: ["citizens:read"] } })
+  },
+  {
+    method: "POST",
+    path: "/api/auth/users",
+    allowed: ["Admin"],
+    prepare: () => {
+      const suffix = uniqueSuffix();
+      return {
+        body: {
+          username: `created_${suffix}`,
+          user_email: `created_${suffix}@interpolice.test`,
+          password: "Created123",
+          role_id: 8
+        }
+      };
+    }
+  },
+
+  // Citizens
+  { method: "GET", path: "/api/citizens", allowed: ALL },
+  { method: "GET", path: "/api/citizens/search?status_id=2", allowed: ALL },
+  { method: "GET", path: "/api/citizens/stats", allowed: REPORTS },
+  { method: "GET", path: "/api/citizens/planets", allowed: ALL },
+  { method: "GET", path: "/api/citizens/statuses", allowed: ALL },
+  {
+    method: "GET",
+    name: "/api/citizens/:id",
+    allowed: ALL,
+    prepare: async () => ({ path: `/api/citizens/${await createCitizen()}` })
+  },
+  {
+    method: "POST",
+    path: "/api/citizens",
+    allowed: ["Admin", "CourtClerk", "PoliceOfficer"],
+    prepare: () => ({ body: citizenPayload() })
+  },
+  {
+    method: "PUT",
+    name: "/api/citizens/:id",
+    allowed: ["Admin", "CourtClerk"],
+    prepare: async () => ({
+      path: `/api/citizens/${await createCitizen()}`,
+      body: { full_name: "Ana Maria" },
+      ifMatch: "*"
+    })
+  },
+  {
+    method: "DELETE",
+    name: "/api/citizens/:id",
+    allowed: ["Admin"],
+    prepare: async () => ({ path: `/api/citizens/${await createCitizen()}`, ifMatch: "*" })
+  },
+  { method: "GET", path: "/api/citizens?include_deleted=true", allowed: ["Admin"] },
+  {
+    method: "POST",
+    name: "/api/citizens/:id/restore",
+    allowed: ["Admin"],
+    prepare: async () => ({ path: `/api/citizens/${await createDeleted("citizens", await createCitizen())}/restore` })
+  },
+
+  // Criminal records
+  {
+    method: "GET",
+    name: "/api/citizens/:citizenId/records",
+    allowed: ALL,
+    prepare: async () => ({ path: `/api/citizens/${await createCitizen()}/records` })
+  },
+  {
+    method: "GET",
+    name: "/api/citizens/:citizenId/records/count",
+    allowed: ALL,
+    prepare: async () => ({ path: `/api/citizens/${await createCitizen()}/records/count` })
+  },
+  {
+    method: "GET",
+    name: "/api/citizens/:citizenId/records/:recordId",
+    allowed: ALL,
+    prepare: async () => {
+      const citizenId = await createCitizen();
+      return { path: `/api/citizens/${citizenId}/records/${await createRecord(citizenId)}` };
+    }
+  },
+  {
+    method: "POST",
+    name: "/api/citizens/:citizenId/records",
+    allowed: ["Admin", "CourtClerk"],
+    prepare: async () => ({
+      path: `/api/citizens/${await createCitizen()}/records`,
+      body: {
+        date: "2025-02-01",
+        time: "21:15",
+        location: 2,
+        description: "Robo de suministros en el puerto orbital",
+        crime_type: "Robo"
+      }
+    })
+  },
+  {
+    method: "PUT",
+    name: "/api/citizens/:citizenId/records/:recordId",
+    allowed: ["Admin"],
+    prepare: async () => {
+      const citizenId = await createCitizen();
+      return {
+        path: `/api/citizens/${citizenId}/records/${await createRecord(citizenId)}`,
+        body: { description: "Descripción corregida del antecedente" },
+        ifMatch: "*"
+      };
+    }
+  },
+  {
+    method: "DELETE",
+    name: "/api/citizens/:citizenId/records/:recordId",
+    allowed: ["Admin"],
+    prepare: async () => {
+      const citizenId = await createCitizen();
+      return { path: `/api/citizens/${citizenId}/records/${await createRecord(citizenId)}`, ifMatch: "*" };
+    }
+  },
+  {
+    method: "POST",
+    name: "/api/citizens/:citizenId/records/:recordId/restore",
+    allowed: ["Admin"],
+    prepare: async () => {
+      const citizenId = await createCitizen();
+      return { path: `/api/citizens/${citizenId}/records/${await createDeleted("records", await createRecord(citizenId))}/restore` };
+    }
+  },
+  { method: "GET", path: "/api/records/search?term=robo", allowed: ALL },
+  { method: "GET", path: "/api/records/all", allowed: REPORTS },
+  { method: "GET", path: "/api/records/stats", allowed: REPORTS },
+  { method: "GET", path: "/api/records/dangerous-locations", allowed: REPORTS },
+
+  // Citations
+  {
+    method: "GET",
+    name: "/api/citizens/:citizenId/citations",
+    allowed: ALL,
+    prepare: async () => ({ path: `/api/citizens/${await createCitizen()}/citations` })
+  },
+  {
+    method: "GET",
+    name: "/api/citizens/:citizenId/citations/count",
+    allowed: ALL,
+    prepare: async () => ({ path: `/api/citizens/${await createCitizen()}/citations/count` })
+  },
+  {
+    method: "GET",
+    name: "/api/citizens/:citizenId/citations/penalty-summary",
+    allowed: ALL,
+    prepare: async () => ({ path: `/api/citizens/${await createCitizen()}/citations/penalty-summary` })
+  },
+  {
+    method: "GET",
+    name: "/api/citizens/:citizenId/citations/:citationId",
+    allowed: ALL,
+    prepare: async () => {
+      const citizenId = await createCitizen();
+      return { path: `/api/citizens/${citizenId}/citations/${await createCitation(citizenId)}` };
+    }
+  },
+  {
+    method: "POST",
+    name: "/api/citizens/:citizenId/citations",
+    allowed: ["Admin", "PoliceOfficer"],
+    prepare: async () => ({
+      path: `/api/citizens/${await createCitizen()}/citations`,
+      body: { description: "Tirar basura en la vía pública" }
+    })
+  },
+  {
+    method: "POST",
+    name: "/api/citizens/:citizenId/citations/recalculate",
+    allowed: ["Admin"],
+    prepare: async () => ({
+      path: `/api/citizens/${await createCitizen()}/citations/recalculate`,
+      body: { dry_run: true }
+    })
+  },
+  {
+    method: "PUT",
+    name: "/api/citizens/:citizenId/citations/:citationId",
+    allowed: ["Admin"],
+    prepare: async () => {
+      const citizenId = await createCitizen();
+      return {
+        path: `/api/citizens/${citizenId}/citations/${await createCitation(citizenId)}`,
+        body: { description: "Ruido excesivo con música a alto volumen" },
+        ifMatch: "*"
+      };
+    }
+  },
+  {
+    method: "DELETE",
+    name: "/api/citizens/:citizenId/citations/:citationId",
+    allowed: ["Admin"],
+    prepare: async () => {
+      const citizenId = await createCitizen();
+      return { path: `/api/citizens/${citizenId}/citations/${await createCitation(citizenId)}`, ifMatch: "*" };
+    }
+  },
+  {
+    method: "POST",
+    name: "/api/citizens/:citizenId/citations/:citationId/restore",
+    allowed: ["Admin"],
+    prepare: async () => {
+      const citizenId = await createCitizen();
+      return { path: `/api/citizens/${citizenId}/citations/${await createDeleted("citations", await createCitation(citizenId))}/restore` };
+    }
+  },
+  { method: "GET", path: "/api/citations/search?term=ruido", allowed: ALL },
+  { method: "GET", path: "/api/citations/all", allowed: REPORTS },
+  { method: "GET", path: "/api/citations/stats", allowed: REPORTS },
+  { method: "GET", path: "/api/citations/top-offenders", allowed: REPORTS },
+
+  // Obligations
+  {
+    method: "GET",
+    name: "/api/citizens/:citizenId/obligations",
+    allowed: ALL,
+    prepare: async () => ({ path: `/api/citizens/${await createCitizen()}/obligations` })
+  },
+  {
+    method: "GET",
+    name: "/api/citizens/:citizenId/obligations/:obligationId",
+    allowed: ALL,
+    prepare: async () => {
+      const { citizenId, obligationId } = await createObligation();
+      return { path: `/api/citizens/${citizenId}/obligations/${obligationId}` };
+    }
+  },
+  {
+    method: "POST",
+    name: "/api/citizens/:citizenId/obligations/:obligationId/progress",
+    allowed: ["Admin", "PoliceOfficer"],
+    prepare: async () => {
+      const { citizenId, obligationId } = await createObligation();
+      return { path: `/api/citizens/${citizenId}/obligations/${obligationId}/progress`, body: { amount: 4 } };
+    }
+  },
+  { method: "GET", path: "/api/obligations/overdue", allowed: ["Admin", "CourtClerk"] },
+
+  // Audit
+  { method: "GET", path: "/api/audit", allowed: ["Admin"] },
+
+  // Penalty rules
+  { method: "GET", path: "/api/penalty-rules", allowed: ALL },
+  { method: "GET", path: "/api/penalty-rules/in-force?planet_id=2", allowed: ALL },
+  { method: "GET", path: "/api/penalty-rules/1", name: "/api/penalty-rules/:id", allowed: ALL },
+  {
+    method: "POST",
+    path: "/api/penalty-rules",
+    allowed: ["Admin"],
+    prepare: () => ({ body: futureRuleSetPayload() })
+  },
+  {
+    method: "PUT",
+    name: "/api/penalty-rules/:id",
+    allowed: ["Admin"],
+    prepare: async () => ({ path: `/api/penalty-rules/${await createFutureRuleSet()}`, body: { name: "Régimen corregido" } })
+  },
+  {
+    method: "DELETE",
+    name: "/api/penalty-rules/:id",
+    allowed: ["Admin"],
+    prepare: async () => ({ path: `/api/penalty-rules/${await createFutureRuleSet()}` })
+  }
+];
+
+// Cada versión futura ocupa su propio año para no solaparse con las demás
+let ruleSetYear = 2100;
+
+/**
+ * Versión futura del régimen de Tierra con vigencia de un año
+ */
+function futureRuleSetPayload() {
+  const year = ruleSetYear++;
+  return penaltyRuleSetPayload({ planet_id: 1, effective_from: `${year}-01-01`, effective_to: `${year}-12-31` });
+}
+
+/**
+ * Crear una versión futura del régimen directamente en el almacén
+ * @returns {Promise<number>} ID del régimen
+ */
+async function createFutureRuleSet() {
+  const payload = futureRuleSetPayload();
+  const result = await getRepositories().penaltyRules.insert({ ...payload, version: ruleSetYear });
+  return result.insertId;
+}
+
+/**
+ * Crear una citación por la API (con las obligaciones de su penalización)
+ * @returns {Promise<Object>} { citizenId, obligationId } del curso de normas cívicas
+ */
+async function createObligation() {
+  const citizenId = await createCitizen();
+  const response = await request("POST", `/api/citizens/${citizenId}/citations`, {
+    role: "Admin",
+    body: { description: "Tirar basura en la vía pública" }
+  });
+  return { citizenId, obligationId: response.body.data.obligations[0].id };
+}
+
+/**
+ * Eliminar lógicamente un registro recién creado
+ * @returns {Promise<number>} ID del registro
+ */
+async function createDeleted(repository, id) {
+  await getRepositories()[repository].softDelete(id, { deleted_at: new Date(), deleted_by: null });
+  return id;
+}
+
+/**
+ * Crear un usuario pendiente de aprobación
+ */
+async function createPendingUser() {
+  const id = await createUser();
+  await getRepositories().users.update(id, { status: "pending" });
+  return id;
+}
+
+/**
+ * Crear una invitación directamente en el almacén
+ */
+async function createInvitation() {
+  const result = await getRepositories().invitations.insert({
+    code_hash: `hash-${uniqueSuffix()}`,
+    role_id: 8,
+    expires_at: new Date(Date.now() + 60 * 60 * 1000)
+  });
+  return result.insertId;
+}
+
+/**
+ * Crear un rol personalizado sin usuarios directamente en el almacén
+ */
+async function createCustomRole() {
+  const result = await getRepositories().roles.insert({
+    role_name: `Matrix_${uniqueSuffix()}`,
+    permissions: []
+  });
+  return result.insertId;
+}
+
+/**
+ * Resolver ruta y cuerpo de una entrada de la matriz para un rol
+ */
+async function resolve(route, role) {
+  const prepared = route.prepare ? await route.prepare(role) : {};
+  return { path: prepared.path || route.path, body: prepared.body, ifMatch: prepared.ifMatch };
+}
+
+describe("Matriz de permisos por rol", () => {
+  before(startServer);
+  after(stopServer);
+
+  for (const route of routes) {
+    const label = `${route.method} ${route.name || route.path}`;
+
+    describe(label, () => {
+      it("responde 401 sin token", async () => {
+        const { path, body, ifMatch } = await resolve(route, "Admin");
+        const response = await request(route.method, path, { body, ifMatch });
+
+        assert.equal(response.status, 401);
+        assert.equal(response.body.status, "error");
+      });
+
+      it("responde 401 con un token inválido", async () => {
+        const { path, body, ifMatch } = await resolve(route, "Admin");
+        const response = await request(route.method, path, { body, ifMatch, token: "token.invalido.xyz" });
+
+        assert.equal(response.status, 401);
+      });
+
+      for (const role of ROLES) {
+        const allowed = route.allowed.includes(role);
+
+        it(`${allowed ? "permite" : "deniega"} el acceso a ${role}`, async () => {
+          const { path, body, ifMatch } = await resolve(route, role);
+          const response = await request(route.method, path, { role, body, ifMatch });
+
+          if (allowed) {
+            assert.ok(
+              response.status >= 200 && response.status < 300,
+              `Se esperaba 2xx y se obtuvo ${response.status}: ${JSON.stringify(response.body)}`
+            );
+            assert.equal(response.body.status, "success");
+          } else {
+            assert.equal(response.status, 403, JSON.stringify(response.body));
+            assert.equal(response.body.status, "error");
+          }
+        });
+      }
+    });
+  }
+});
+
+describe("Política central de permisos", () => {
+  before(startServer);
+  after(stopServer);
+
+  it("solo asigna roles existentes a cada permiso", () => {
+    for (const permission of listPermissions()) {
+      const roles = getRolesForPermission(permission);
+      assert.ok(roles.length > 0, permission);
+      assert.ok(roles.every(role => ROLES.includes(role)), permission);
+    }
+  });
+
+  it("rechaza permisos inexistentes al definir la ruta", () => {
+    assert.throws(() => authorize("records:fly"), /Permiso no definido/);
+  });
+
+  it("devuelve 403 indicando el permiso requerido", async () => {
+    const response = await request("GET", "/api/citations/stats", { role: "PoliceOfficer" });
+
+    assert.equal(response.status, 403);
+    assert.match(response.body.message, /citations:reports/);
+  });
+
+  for (const role of ROLES) {
+    it(`GET /api/auth/permissions devuelve los permisos efectivos de ${role}`, async () => {
+      const response = await request("GET", "/api/auth/permissions", { role });
+      const expected = getPermissionsForRole(role);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.data.role, role);
+      assert.deepEqual(response.body.data.permissions, expected);
+
+      const grouped = Object.entries(response.body.data.resources)
+        .flatMap(([resource, actions]) => actions.map(action => `${resource}:${action}`));
+      assert.deepEqual(grouped.sort(), [...expected].sort());
+    });
+  }
+
+  it("coincide con la matriz de rutas para los permisos de escritura", async () => {
+    const admin = await request("GET", "/api/auth/permissions", { role: "Admin" });
+    const officer = await request("GET", "/api/auth/permissions", { role: "PoliceOfficer" });
+
+    assert.ok(admin.body.data.permissions.includes("records:update"));
+    assert.ok(officer.body.data.permissions.includes("citations:create"));
+    assert.ok(!officer.body.data.permissions.includes("records:create"));
+  });
+});
@@ -0,0 +1,169 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, stopServer, request, createCitizen } from "./helpers.js";
+import { getRepositories } from "../src/repositories/index.js";
+import { ACCUMULATION_CRIME_TYPE } from "../src/modules/citations/citations.model.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Registrar n citaciones por la API y devolver sus IDs en orden
+ */
+async function citeTimes(citizenId, times) {
+  const ids = [];
+  for (let i = 0; i < times; i++) {
+    const response = await request("POST", `/api/citizens/${citizenId}/citations`, {
+      role: "PoliceOfficer",
+      body: { description: `Ruido excesivo en la vía pública número ${i + 1}` }
+    });
+    ids.push(response.body.data.citation.id);
+  }
+  return ids;
+}
+
+/**
+ * Antecedentes automáticos activos del ciudadano
+ */
+async function automaticRecords(citizenId) {
+  return (await getRepositories().records.findByCitizenId(citizenId))
+    .filter(record => record.crime_type === ACCUMULATION_CRIME_TYPE);
+}
+
+/**
+ * Multa guardada de una citación
+ */
+async function fineOf(citationId) {
+  return Number((await getRepositories().citations.findById(citationId)).fine_amount);
+}
+
+describe("Recálculo de penalizaciones", () => {
+  before(startServer);
+  after(stopServer);
+
+  it("enlaza el antecedente automático con la citación que lo origina", async () => {
+    const citizenId = await createCitizen();
+    const [, , third] = await citeTimes(citizenId, 3);
+
+    const [record] = await automaticRecords(citizenId);
+    assert.equal(record.source_citation_id, third);
+  });
+
+  it("recalcula multas y antecedentes al eliminar y restaurar una citación", async () => {
+    const citizenId = await createCitizen();
+    const [, second, third, fourth] = await citeTimes(citizenId, 4);
+    assert.equal(await fineOf(fourth), 0);
+
+    const deleted = await request("DELETE", `/api/citizens/${citizenId}/citations/${second}`, { role: "Admin", ifMatch: "*" });
+    assert.equal(deleted.status, 200);
+    assert.equal(deleted.body.recalculation.fines_changed, 1);
+    assert.equal(deleted.body.recalculation.penalties_changed, 2);
+    assert.equal(deleted.body.recalculation.records_retracted, 1);
+    assert.equal(deleted.body.recalculation.records_updated, 1);
+
+    // La tercera pasa a ser la segunda (sin antecedente) y la cuarta la tercera ($400)
+    assert.equal(await fineOf(fourth), 400);
+    assert.equal((await getRepositories().citations.findById(fourth)).jail_days, 8);
+    const records = await automaticRecords(citizenId);
+    assert.deepEqual(records.map(record => record.source_citation_id), [fourth]);
+    assert.match(records[0].description, /acumulación de 3 citaciones/);
+
+    const restored = await request("POST", `/api/citizens/${citizenId}/citations/${second}/restore`, { role: "Admin" });
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.recalculation.records_restored, 1);
+    assert.equal(await fineOf(fourth), 0);
+    assert.deepEqual(
+      (await automaticRecords(citizenId)).map(record => record.source_citation_id).sort((a, b) => a - b),
+      [third, fourth]
+    );
+
+    const audit = await request("GET", `/api/audit?entity=citation&entity_id=${fourth}`, { role: "Admin" });
+    assert.deepEqual(audit.body.data.slice(0, 2).map(entry => entry.changes.after.fine_amount), [0, 400]);
+  });
+
+  it("reordena el historial al cambiar la fecha de una citación", async () => {
+    const citizenId = await createCitizen();
+    const [first, second, third] = await citeTimes(citizenId, 3);
+
+    const moved = await request("PUT", `/api/citizens/${citizenId}/citations/${third}`, {
+      role: "Admin",
+      ifMatch: "*",
+      body: { date: new Date(Date.now() - 10 * DAY_MS).toISOString() }
+    });
+    assert.equal(moved.status, 200);
+    assert.equal(moved.body.recalculation[0].records_created, 1);
+    assert.equal(moved.body.recalculation[0].records_retracted, 1);
+
+    const records = await automaticRecords(citizenId);
+    assert.deepEqual(records.map(record => record.source_citation_id), [second]);
+    assert.equal(await fineOf(first), 400);
+  });
+
+  it("muestra el diff en simulación y lo aplica con dry_run=false", async () => {
+    // Historial anterior al motor: multas fijas y un antecedente sin enlazar
+    const citizenId = await createCitizen();
+    const repositories = getRepositories();
+    const ids = [];
+    for (let i = 4; i >= 1; i--) {
+      const result = await repositories.citations.insert({
+        citizen_id: citizenId,
+        date: new Date(Date.now() - i * DAY_MS),
+        description: "Tirar basura en la vía pública",
+        fine_amount: 400
+      });
+      ids.push(result.insertId);
+    }
+    const legacy = await repositories.records.insert({
+      citizen_id: citizenId,
+      date: "2025-01-10",
+      time: "10:30:00",
+      location: 1,
+      description: "Registro automático por acumulación de 3 citaciones menores. Última infracción: Tirar basura en la vía pública",
+      crime_type: ACCUMULATION_CRIME_TYPE
+    });
+
+    const path = `/api/citizens/${citizenId}/citations/recalculate`;
+    const preview = await request("POST", path, { role: "Admin" });
+    assert.equal(preview.status, 200);
+    assert.equal(preview.body.data.dry_run, true);
+    assert.deepEqual(preview.body.data.summary, {
+      total_citations: 4,
+      fines_changed: 1,
+      penalties_changed: 4,
+      records_created: 1,
+      records_linked: 1,
+      records_restored: 0,
+      records_updated: 0,
+      records_retracted: 0,
+      obligations_created: 3,
+      obligations_updated: 0,
+      obligations_reopened: 0,
+      obligations_cancelled: 0
+    });
+    assert.deepEqual(preview.body.data.citations[3].fine_amount, { before: 400, after: 0 });
+    assert.equal(preview.body.data.records.find(entry => entry.action === "link").record_id, legacy.insertId);
+
+    // La simulación no escribe nada
+    assert.equal(await fineOf(ids[3]), 400);
+    assert.equal((await automaticRecords(citizenId)).length, 1);
+
+    const applied = await request("POST", path, { role: "Admin", body: { dry_run: false } });
+    assert.equal(applied.body.data.dry_run, false);
+    assert.equal(await fineOf(ids[3]), 0);
+    assert.deepEqual(
+      (await automaticRecords(citizenId)).map(record => record.source_citation_id).sort((a, b) => a - b),
+      [ids[2], ids[3]]
+    );
+
+    const again = await request("POST", path, { role: "Admin" });
+    assert.equal(again.body.data.summary.fines_changed, 0);
+    assert.deepEqual(again.body.data.records, []);
+  });
+
+  it("valida la petición de recálculo", async () => {
+    const citizenId = await createCitizen();
+    const path = `/api/citizens/${citizenId}/citations/recalculate`;
+
+    assert.equal((await request("POST", path, { role: "Admin", body: { dry_run: "no" } })).status, 400);
+    assert.equal((await request("POST", "/api/citizens/999999/citations/recalculate", { role: "Admin" })).status, 400);
+  });
+});
@@ -0,0 +1,185 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  ROLE_IDS,
+  startServer,
+  stopServer,
+  request,
+  userFor,
+  loginNewUser,
+  uniqueSuffix
+} from "./helpers.js";
+import { getRepositories } from "../src/repositories/index.js";
+
+const PASSWORD = "Registro123";
+
+/**
+ * Datos válidos para el registro público
+ */
+function registration(extra = {}) {
+  const suffix = uniqueSuffix();
+  return {
+    username: `nuevo_${suffix}`,
+    user_email: `nuevo_${suffix}@interpolice.test`,
+    password: PASSWORD,
+    ...extra
+  };
+}
+
+/**
+ * Crear una invitación como Admin
+ */
+async function invite(body) {
+  const response = await request("POST", "/api/auth/invitations", { role: "Admin", body });
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  return response.body.data;
+}
+
+function login(username) {
+  return request("POST", "/api/auth/login", { body: { username, password: PASSWORD } });
+}
+
+describe("Registro con invitaciones y aprobación", () => {
+  before(startServer);
+  after(stopServer);
+
+  it("el registro sin invitación queda pendiente y no puede iniciar sesión", async () => {
+    const body = registration({ role_id: ROLE_IDS.Admin });
+    const response = await request("POST", "/api/auth/register", { body });
+
+    assert.equal(response.status, 202);
+    assert.equal(response.body.data.user.status, "pending");
+    assert.equal(response.body.data.token, undefined);
+
+    const attempt = await login(body.username);
+    assert.equal(attempt.status, 403);
+  });
+
+  it("un Admin lista, aprueba (con otro rol) y rechaza registros pendientes", async () => {
+    const first = registration({ role_id: ROLE_IDS.Admin });
+    const second = registration({ role_id: ROLE_IDS.General });
+    const firstId = (await request("POST", "/api/auth/register", { body: first })).body.data.user.id;
+    const secondId = (await request("POST", "/api/auth/register", { body: second })).body.data.user.id;
+
+    const pending = await request("GET", "/api/auth/users/pending", { role: "Admin" });
+    assert.equal(pending.status, 200);
+    assert.ok(pending.body.data.some(user => user.id === firstId));
+    assert.ok(pending.body.data.every(user => user.status === "pending"));
+
+    const approved = await request("POST", `/api/auth/users/${firstId}/approve`, {
+      role: "Admin",
+      body: { role_id: ROLE_IDS.PoliceOfficer }
+    });
+    assert.equal(approved.status, 200);
+    assert.equal(approved.body.data.status, "active");
+    assert.equal(approved.body.data.role_name, "PoliceOfficer");
+
+    const loggedIn = await login(first.username);
+    assert.equal(loggedIn.status, 200);
+    assert.equal(loggedIn.body.data.user.role, "PoliceOfficer");
+
+    const rejected = await request("POST", `/api/auth/users/${secondId}/reject`, { role: "Admin" });
+    assert.equal(rejected.status, 200);
+    assert.equal(rejected.body.data.status, "rejected");
+    assert.equal((await login(second.username)).status, 403);
+
+    const again = await request("POST", `/api/auth/users/${secondId}/approve`, { role: "Admin" });
+    assert.equal(again.status, 409);
+  });
+
+  it("el registro con invitación activa la cuenta con el rol de la invitación", async () => {
+    const invitation = await invite({ role_id: ROLE_IDS.CourtClerk });
+    assert.ok(invitation.code);
+    assert.equal(invitation.status, "active");
+    assert.equal(invitation.code_hash, undefined);
+
+    const response = await request("POST", "/api/auth/register", {
+      body: registration({ invitation_code: invitation.code, role_id: ROLE_IDS.Admin })
+    });
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.data.user.role, "CourtClerk");
+    assert.ok(response.body.data.token);
+
+    const list = await request("GET", "/api/auth/invitations?status=used", { role: "Admin" });
+    const used = list.body.data.find(item => item.id === invitation.id);
+    assert.equal(used.used_by, response.body.data.user.id);
+    assert.equal(used.code, undefined);
+  });
+
+  it("una invitación solo puede usarse una vez", async () => {
+    const invitation = await invite({ role_id: ROLE_IDS.General });
+
+    const first = await request("POST", "/api/auth/register", { body: registration({ invitation_code: invitation.code }) });
+    const second = await request("POST", "/api/auth/register", { body: registration({ invitation_code: invitation.code }) });
+
+    assert.equal(first.status, 201);
+    assert.equal(second.status, 400);
+  });
+
+  it("rechaza invitaciones desconocidas, revocadas o de otro email", async () => {
+    const unknown = await request("POST", "/api/auth/register", { body: registration({ invitation_code: "no-existe" }) });
+    assert.equal(unknown.status, 400);
+
+    const revokedInvitation = await invite({ role_id: ROLE_IDS.General });
+    const revoked = await request("DELETE", `/api/auth/invitations/${revokedInvitation.id}`, { role: "Admin" });
+    assert.equal(revoked.status, 200);
+    assert.equal(revoked.body.data.status, "revoked");
+    const withRevoked = await request("POST", "/api/auth/register", {
+      body: registration({ invitation_code: revokedInvitation.code })
+    });
+    assert.equal(withRevoked.status, 400);
+
+    const bound = await invite({ role_id: ROLE_IDS.General, email: "destino@interpolice.test" });
+    const otherEmail = await request("POST", "/api/auth/register", { body: registration({ invitation_code: bound.code }) });
+    assert.equal(otherEmail.status, 400);
+
+    const rightEmail = await request("POST", "/api/auth/register", {
+      body: registration({ invitation_code: bound.code, user_email: "destino@interpolice.test" })
+    });
+    assert.equal(rightEmail.status, 201);
+  });
+
+  it("exige role_id solo cuando no hay invitación", async () => {
+    const response = await request("POST", "/api/auth/register", { body: registration() });
+
+    assert.equal(response.status, 400);
+    assert.ok(response.body.errors.some(error => error.field === "role_id"));
+  });
+
+  it("la creación por Admin deja el usuario activo sin abrirle sesión", async () => {
+    const body = registration({ role_id: ROLE_IDS.General });
+    const response = await request("POST", "/api/auth/users", { role: "Admin", body });
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.data.status, "active");
+    assert.equal(response.body.data.token, undefined);
+    assert.equal((await login(body.username)).status, 200);
+  });
+
+  it("un usuario sin users:manage no puede cambiarse el rol", async () => {
+    const officer = userFor("PoliceOfficer");
+    const response = await request("PUT", `/api/auth/users/${officer.id}`, {
+      role: "PoliceOfficer",
+      body: { role_id: ROLE_IDS.Admin },
+      ifMatch: "*"
+    });
+
+    assert.equal(response.status, 403);
+    const profile = await request("GET", `/api/auth/users/${officer.id}`, { role: "PoliceOfficer" });
+    assert.equal(profile.body.data.role_name, "PoliceOfficer");
+  });
+
+  it("el estado de la cuenta no se cambia con la actualización del perfil", async () => {
+    const session = await loginNewUser();
+    const response = await request("PUT", `/api/auth/users/${session.id}`, {
+      token: session.token,
+      ifMatch: "*",
+      body: { user_email: `estado_${uniqueSuffix()}@interpolice.test`, status: "rejected" }
+    });
+
+    assert.equal(response.status, 400);
+    assert.ok(response.body.errors.some(error => error.field === "status"));
+    assert.equal((await getRepositories().users.findById(session.id)).status, "active");
+  });
+});
@@ -0,0 +1,202 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  ROLE_IDS,
+  TEST_PASSWORD,
+  startServer,
+  stopServer,
+  request,
+  citizenPayload,
+  uniqueSuffix
+} from "./helpers.js";
+import { authConfig } from "../src/config/auth.js";
+import { listPermissions } from "../src/config/permissions.js";
+
+const defaults = { ...authConfig, loginDelayBaseSeconds: 0 };
+
+/**
+ * Crear un rol por la API
+ */
+async function createRole(permissions, name = `Detective_${uniqueSuffix()}`) {
+  const response = await request("POST", "/api/auth/roles", {
+    role: "Admin",
+    body: { role_name: name, description: "Investigación de casos", permissions }
+  });
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  return response.body.data;
+}
+
+/**
+ * Crear un usuario con un rol por la API e iniciar sesión con él
+ */
+async function loginWithRole(roleId) {
+  const suffix = uniqueSuffix();
+  const created = await request("POST", "/api/auth/users", {
+    role: "Admin",
+    body: {
+      username: `agent_${suffix}`,
+      user_email: `agent_${suffix}@interpolice.test`,
+      password: TEST_PASSWORD,
+      role_id: roleId
+    }
+  });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+
+  const login = await request("POST", "/api/auth/login", {
+    body: { username: `agent_${suffix}`, password: TEST_PASSWORD }
+  });
+  assert.equal(login.status, 200);
+  return login.body.data;
+}
+
+describe("Gestión de roles", () => {
+  before(startServer);
+  after(stopServer);
+
+  beforeEach(() => {
+    Object.assign(authConfig, defaults);
+  });
+
+  it("lista los roles con sus permisos y el catálogo de permisos", async () => {
+    const roles = await request("GET", "/api/auth/roles", { role: "Commander" });
+    assert.equal(roles.status, 200);
+
+    const admin = roles.body.data.find(role => role.role_name === "Admin");
+    assert.equal(admin.is_system, true);
+    assert.ok(admin.permissions.includes("roles:update"));
+
+    const officer = roles.body.data.find(role => role.id === ROLE_IDS.PoliceOfficer);
+    assert.equal(officer.is_system, false);
+    assert.ok(officer.permissions.includes("citations:create"));
+    assert.ok(!officer.permissions.includes("citizens:delete"));
+
+    const catalog = await request("GET", "/api/auth/roles/permissions", { role: "Admin" });
+    assert.deepEqual(catalog.body.data, listPermissions());
+  });
+
+  it("un rol nuevo concede sus permisos sin cambios de código", async () => {
+    const role = await createRole(["citizens:read", "records:read", "citizens:read"]);
+    assert.deepEqual(role.permissions, ["citizens:read", "records:read"]);
+    assert.equal(role.user_count, 0);
+
+    const session = await loginWithRole(role.id);
+    assert.equal(session.user.role, role.role_name);
+
+    assert.equal((await request("GET", "/api/citizens", { token: session.token })).status, 200);
+
+    const denied = await request("POST", "/api/citizens", { token: session.token, body: citizenPayload() });
+    assert.equal(denied.status, 403);
+    assert.match(denied.body.message, /citizens:create/);
+
+    const permissions = await request("GET", "/api/auth/permissions", { token: session.token });
+    assert.deepEqual(permissions.body.data.permissions, ["citizens:read", "records:read"]);
+  });
+
+  it("los cambios de permisos se aplican en la siguiente petición", async () => {
+    const role = await createRole(["citizens:read"]);
+    const session = await loginWithRole(role.id);
+
+    const updated = await request("PUT", `/api/auth/roles/${role.id}`, {
+      role: "Admin",
+      body: { permissions: ["citizens:read", "citizens:create"] }
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.data.user_count, 1);
+
+    const created = await request("POST", "/api/citizens", { token: session.token, body: citizenPayload() });
+    assert.equal(created.status, 201);
+
+    await request("PUT", `/api/auth/roles/${role.id}`, { role: "Admin", body: { permissions: [] } });
+    assert.equal((await request("GET", "/api/citizens", { token: session.token })).status, 403);
+  });
+
+  it("valida el nombre y los permisos", async () => {
+    const duplicate = await request("POST", "/api/auth/roles", {
+      role: "Admin",
+      body: { role_name: "admin", permissions: [] }
+    });
+    assert.equal(duplicate.status, 409);
+
+    const unknown = await request("POST", "/api/auth/roles", {
+      role: "Admin",
+      body: { role_name: `Warden_${uniqueSuffix()}`, permissions: ["citizens:read", "prisons:read"] }
+    });
+    assert.equal(unknown.status, 400);
+
+    const badName = await request("POST", "/api/auth/roles", {
+      role: "Admin",
+      body: { role_name: "Jefe de turno", permissions: [] }
+    });
+    assert.equal(badName.status, 400);
+
+    const role = await createRole([]);
+    const empty = await request("PUT", `/api/auth/roles/${role.id}`, { role: "Admin", body: {} });
+    assert.equal(empty.status, 400);
+
+    const missing = await request("PUT", "/api/auth/roles/999999", { role: "Admin", body: { description: "x" } });
+    assert.equal(missing.status, 404);
+  });
+
+  it("el rol de sistema Admin no se renombra, retira ni cambia de permisos", async () => {
+    const path = `/api/auth/roles/${ROLE_IDS.Admin}`;
+
+    assert.equal((await request("PUT", path, { role: "Admin", body: { role_name: "Root" } })).status, 409);
+    assert.equal((await request("PUT", path, { role: "Admin", body: { permissions: [] } })).status, 409);
+    assert.equal((await request("DELETE", path, { role: "Admin" })).status, 409);
+
+    const described = await request("PUT", path, { role: "Admin", body: { description: "Administración total" } });
+    assert.equal(described.status, 200);
+    assert.equal(described.body.data.description, "Administración total");
+  });
+
+  it("renombrar un rol cierra las sesiones de sus usuarios", async () => {
+    const role = await createRole(["citizens:read"]);
+    const session = await loginWithRole(role.id);
+    const newName = `Inspector_${uniqueSuffix()}`;
+
+    const renamed = await request("PUT", `/api/auth/roles/${role.id}`, {
+      role: "Admin",
+      body: { role_name: newName }
+    });
+    assert.equal(renamed.status, 200);
+    assert.equal(renamed.body.data.role_name, newName);
+
+    assert.equal((await request("GET", "/api/citizens", { token: session.token })).status, 401);
+
+    const login = await request("POST", "/api/auth/login", {
+      body: { username: session.user.username, password: TEST_PASSWORD }
+    });
+    assert.equal(login.body.data.user.role, newName);
+    assert.equal((await request("GET", "/api/citizens", { token: login.body.data.token })).status, 200);
+  });
+
+  it("solo retira roles sin usuarios y los retirados no pueden asignarse", async () => {
+    const inUse = await createRole(["citizens:read"]);
+    await loginWithRole(inUse.id);
+    assert.equal((await request("DELETE", `/api/auth/roles/${inUse.id}`, { role: "Admin" })).status, 409);
+
+    const role = await createRole(["citizens:read"]);
+    const retired = await request("DELETE", `/api/auth/roles/${role.id}`, { role: "Admin" });
+    assert.equal(retired.status, 200);
+    assert.ok(retired.body.data.retired_at);
+
+    assert.equal((await request("DELETE", `/api/auth/roles/${role.id}`, { role: "Admin" })).status, 404);
+
+    const active = await request("GET", "/api/auth/roles", { role: "Admin" });
+    assert.ok(!active.body.data.some(item => item.id === role.id));
+    const all = await request("GET", "/api/auth/roles?include_retired=true", { role: "Admin" });
+    assert.ok(all.body.data.some(item => item.id === role.id));
+
+    const suffix = uniqueSuffix();
+    const assigned = await request("POST", "/api/auth/users", {
+      role: "Admin",
+      body: {
+        username: `agent_${suffix}`,
+        user_email: `agent_${suffix}@interpolice.test`,
+        password: TEST_PASSWORD,
+        role_id: role.id
+      }
+    });
+    assert.equal(assigned.status, 400);
+  });
+});
@@ -0,0 +1,235 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  startServer,
+  stopServer,
+  request,
+  createCitizen,
+  citizenPayload,
+  uniqueSuffix
+} from "./helpers.js";
+import { getRepositories } from "../src/repositories/index.js";
+
+/**
+ * Crear una cuenta de servicio y devolver su primera API key
+ */
+async function createServiceAccount(scopes = ["citizens:read"], extra = {}) {
+  const response = await request("POST", "/api/auth/service-accounts", {
+    role: "Admin",
+    body: { name: `scanner-${uniqueSuffix()}`, scopes, ...extra }
+  });
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  return response.body.data;
+}
+
+/**
+ * Esperar a que aparezcan las peticiones registradas (se guardan al terminar la respuesta)
+ */
+async function waitForRequests(accountId, count) {
+  for (let i = 0; i < 25; i++) {
+    const response = await request("GET", `/api/auth/service-accounts/${accountId}/requests`, { role: "Admin" });
+    if (response.body.data.length >= count) {
+      return response.body.data;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  assert.fail("no se registraron las peticiones con API key");
+}
+
+describe("Cuentas de servicio y API keys", () => {
+  before(startServer);
+  after(stopServer);
+
+  it("crea la cuenta con una API key que solo se muestra una vez", async () => {
+    const account = await createServiceAccount(["citizens:read", "citations:create"]);
+
+    assert.deepEqual(account.scopes, ["citizens:read", "citations:create"]);
+    assert.ok(account.api_key.key.startsWith(`${account.api_key.key_prefix}_`));
+    assert.equal(account.api_key.status, "active");
+    assert.equal(account.api_key.key_hash, undefined);
+
+    const detail = await request("GET", `/api/auth/service-accounts/${account.id}`, { role: "Admin" });
+    assert.equal(detail.status, 200);
+    assert.equal(detail.body.data.api_keys.length, 1);
+    assert.equal(detail.body.data.api_keys[0].key_prefix, account.api_key.key_prefix);
+    assert.equal(detail.body.data.api_keys[0].key, undefined);
+    assert.equal(detail.body.data.api_keys[0].key_hash, undefined);
+
+    const list = await request("GET", "/api/auth/service-accounts", { role: "Admin" });
+    assert.equal(list.body.data.find(item => item.id === account.id).active_keys, 1);
+  });
+
+  it("valida el nombre, los scopes y la validez de la key", async () => {
+    const account = await createServiceAccount();
+
+    const duplicate = await request("POST", "/api/auth/service-accounts", {
+      role: "Admin",
+      body: { name: account.name, scopes: ["citizens:read"] }
+    });
+    assert.equal(duplicate.status, 409);
+
+    const userScope = await request("POST", "/api/auth/service-accounts", {
+      role: "Admin",
+      body: { name: `scanner-${uniqueSuffix()}`, scopes: ["users:read"] }
+    });
+    assert.equal(userScope.status, 400);
+
+    const tooLong = await request("POST", "/api/auth/service-accounts", {
+      role: "Admin",
+      body: { name: `scanner-${uniqueSuffix()}`, scopes: ["citizens:read"], expires_in_days: 10000 }
+    });
+    assert.equal(tooLong.status, 400);
+
+    const scopes = await request("GET", "/api/auth/service-accounts/scopes", { role: "Admin" });
+    assert.ok(scopes.body.data.includes("citations:create"));
+    assert.ok(!scopes.body.data.some(scope => scope.startsWith("users:")));
+  });
+
+  it("authenticateToken acepta la API key limitada a sus scopes", async () => {
+    const { api_key } = await createServiceAccount(["citizens:read"]);
+
+    const allowed = await request("GET", "/api/citizens", { apiKey: api_key.key });
+    assert.equal(allowed.status, 200);
+
+    const denied = await request("POST", "/api/citizens", { apiKey: api_key.key, body: citizenPayload() });
+    assert.equal(denied.status, 403);
+    assert.match(denied.body.message, /Scope requerido: citizens:create/);
+
+    const permissions = await request("GET", "/api/auth/permissions", { apiKey: api_key.key });
+    assert.equal(permissions.status, 200);
+    assert.deepEqual(permissions.body.data.permissions, ["citizens:read"]);
+
+    const invalid = await request("GET", "/api/citizens", { apiKey: `${api_key.key}x` });
+    assert.equal(invalid.status, 401);
+  });
+
+  it("las API keys no acceden a las rutas de cuentas de usuario", async () => {
+    const { api_key } = await createServiceAccount(["citizens:read"]);
+
+    const profile = await request("GET", "/api/auth/profile", { apiKey: api_key.key });
+    assert.equal(profile.status, 403);
+
+    const users = await request("GET", "/api/auth/users", { apiKey: api_key.key });
+    assert.equal(users.status, 403);
+
+    const accounts = await request("GET", "/api/auth/service-accounts", { apiKey: api_key.key });
+    assert.equal(accounts.status, 403);
+  });
+
+  it("los cambios de scopes y de estado se aplican en la siguiente petición", async () => {
+    const account = await createServiceAccount(["citizens:read"]);
+    const citizenId = await createCitizen();
+    const path = `/api/citizens/${citizenId}/citations`;
+
+    assert.equal((await request("GET", path, { apiKey: account.api_key.key })).status, 403);
+
+    const updated = await request("PUT", `/api/auth/service-accounts/${account.id}`, {
+      role: "Admin",
+      body: { scopes: ["citizens:read", "citations:read"] }
+    });
+    assert.equal(updated.status, 200);
+    assert.equal((await request("GET", path, { apiKey: account.api_key.key })).status, 200);
+
+    await request("PUT", `/api/auth/service-accounts/${account.id}`, { role: "Admin", body: { status: "disabled" } });
+    assert.equal((await request("GET", path, { apiKey: account.api_key.key })).status, 401);
+
+    await request("PUT", `/api/auth/service-accounts/${account.id}`, { role: "Admin", body: { status: "active" } });
+    assert.equal((await request("GET", path, { apiKey: account.api_key.key })).status, 200);
+
+    const empty = await request("PUT", `/api/auth/service-accounts/${account.id}`, { role: "Admin", body: {} });
+    assert.equal(empty.status, 400);
+  });
+
+  it("rota la API key revocando la anterior", async () => {
+    const account = await createServiceAccount();
+    const oldKey = account.api_key;
+
+    const rotated = await request("POST", `/api/auth/service-accounts/${account.id}/keys/${oldKey.id}/rotate`, {
+      role: "Admin"
+    });
+    assert.equal(rotated.status, 201);
+    assert.equal(rotated.body.data.previous_key.status, "revoked");
+
+    assert.equal((await request("GET", "/api/citizens", { apiKey: oldKey.key })).status, 401);
+    assert.equal((await request("GET", "/api/citizens", { apiKey: rotated.body.data.api_key.key })).status, 200);
+
+    const again = await request("POST", `/api/auth/service-accounts/${account.id}/keys/${oldKey.id}/rotate`, {
+      role: "Admin"
+    });
+    assert.equal(again.status, 409);
+  });
+
+  it("con periodo de gracia la key anterior sigue valiendo hasta que caduca", async () => {
+    const account = await createServiceAccount();
+    const oldKey = account.api_key;
+
+    const rotated = await request("POST", `/api/auth/service-accounts/${account.id}/keys/${oldKey.id}/rotate`, {
+      role: "Admin",
+      body: { grace_minutes: 60 }
+    });
+    assert.equal(rotated.status, 201);
+    assert.equal(rotated.body.data.previous_key.status, "active");
+    assert.ok(new Date(rotated.body.data.previous_key.expires_at).getTime() <= Date.now() + 60 * 60 * 1000);
+
+    assert.equal((await request("GET", "/api/citizens", { apiKey: oldKey.key })).status, 200);
+    assert.equal((await request("GET", "/api/citizens", { apiKey: rotated.body.data.api_key.key })).status, 200);
+
+    // Fin del periodo de gracia
+    await getRepositories().serviceAccounts.updateKey(oldKey.id, { expires_at: new Date(Date.now() - 1000) });
+    assert.equal((await request("GET", "/api/citizens", { apiKey: oldKey.key })).status, 401);
+  });
+
+  it("revoca API keys y emite keys adicionales", async () => {
+    const account = await createServiceAccount();
+
+    const extra = await request("POST", `/api/auth/service-accounts/${account.id}/keys`, {
+      role: "Admin",
+      body: { expires_in_days: 7 }
+    });
+    assert.equal(extra.status, 201);
+
+    const revoked = await request("DELETE", `/api/auth/service-accounts/${account.id}/keys/${account.api_key.id}`, {
+      role: "Admin"
+    });
+    assert.equal(revoked.status, 200);
+    assert.equal(revoked.body.data.status, "revoked");
+
+    assert.equal((await request("GET", "/api/citizens", { apiKey: account.api_key.key })).status, 401);
+    assert.equal((await request("GET", "/api/citizens", { apiKey: extra.body.data.key })).status, 200);
+
+    // La key pertenece a otra cuenta
+    const other = await createServiceAccount();
+    const mismatch = await request("DELETE", `/api/auth/service-accounts/${other.id}/keys/${extra.body.data.id}`, {
+      role: "Admin"
+    });
+    assert.equal(mismatch.status, 404);
+  });
+
+  it("registra aparte las peticiones hechas con API key", async () => {
+    const account = await createServiceAccount();
+
+    await request("GET", "/api/citizens", { apiKey: account.api_key.key });
+    await request("POST", "/api/citizens", { apiKey: account.api_key.key, body: citizenPayload() });
+
+    const requests = await waitForRequests(account.id, 2);
+    assert.equal(requests.length, 2);
+    assert.equal(requests[0].method, "POST");
+    assert.equal(requests[0].status_code, 403);
+    assert.equal(requests[1].path, "/api/citizens");
+    assert.equal(requests[1].status_code, 200);
+    assert.equal(requests[1].key_prefix, account.api_key.key_prefix);
+
+    const detail = await request("GET", `/api/auth/service-accounts/${account.id}`, { role: "Admin" });
+    assert.ok(detail.body.data.api_keys[0].last_used_at);
+  });
+
+  it("eliminar la cuenta invalida sus API keys", async () => {
+    const account = await createServiceAccount();
+
+    const deleted = await request("DELETE", `/api/auth/service-accounts/${account.id}`, { role: "Admin" });
+    assert.equal(deleted.status, 200);
+
+    assert.equal((await request("GET", "/api/citizens", { apiKey: account.api_key.key })).status, 401);
+    assert.equal((await request("GET", `/api/auth/service-accounts/${account.id}`, { role: "Admin" })).status, 404);
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TEST_PASSWORD,
+  startServer,
+  stopServer,
+  request,
+  createUser
+} from "./helpers.js";
+import { authConfig } from "../src/config/auth.js";
+import { getRepositories } from "../src/repositories/index.js";
+import { getUserByIdDB } from "../src/modules/auth/auth.model.js";
+
+const defaults = { ...authConfig, loginDelayBaseSeconds: 0 };
+
+/**
+ * Iniciar sesión con un usuario (cada login abre una sesión nueva)
+ */
+async function login(user) {
+  const response = await request("POST", "/api/auth/login", {
+    body: { username: user.username, password: TEST_PASSWORD }
+  });
+  assert.equal(response.status, 200);
+  return response.body.data;
+}
+
+describe("Sesiones activas y cierre remoto", () => {
+  before(startServer);
+  after(stopServer);
+
+  beforeEach(() => {
+    Object.assign(authConfig, defaults);
+  });
+
+  it("lista las sesiones propias con IP, user-agent y la sesión actual", async () => {
+    const user = await getUserByIdDB(await createUser("PoliceOfficer"));
+    await login(user);
+    const second = await login(user);
+
+    const response = await request("GET", "/api/auth/sessions", { token: second.token });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.length, 2);
+
+    const [current, other] = response.body.data;
+    assert.equal(current.current, true);
+    assert.equal(other.current, false);
+    assert.ok(current.ip_address);
+    assert.ok(current.user_agent);
+    assert.ok(current.created_at);
+    assert.ok(current.last_seen_at);
+    assert.equal(current.session_id, undefined);
+  });
+
+  it("actualiza el último uso con cada petición y al renovar el token", async () => {
+    const user = await getUserByIdDB(await createUser("PoliceOfficer"));
+    const session = await login(user);
+    const [{ id }] = (await request("GET", "/api/auth/sessions", { token: session.token })).body.data;
+
+    const old = new Date(Date.now() - 10 * 60 * 1000);
+    await getRepositories().sessions.update(
+      (await getRepositories().sessions.findById(id)).session_id,
+      { last_seen_at: old }
+    );
+
+    // Una petición autenticada registra el uso
+    await request("GET", "/api/auth/profile", { token: session.token });
+    const touched = await getRepositories().sessions.findById(id);
+    assert.ok(new Date(touched.last_seen_at).getTime() > old.getTime());
+
+    const refreshed = await request("POST", "/api/auth/refresh", { body: { refresh_token: session.refresh_token } });
+    assert.equal(refreshed.status, 200);
+
+    const sessions = (await request("GET", "/api/auth/sessions", { token: refreshed.body.data.token })).body.data;
+    assert.equal(sessions.length, 1);
+    assert.equal(sessions[0].id, id);
+    assert.equal(sessions[0].current, true);
+  });
+
+  it("cierra una sesión propia y deja las demás abiertas", async () => {
+    const user = await getUserByIdDB(await createUser("PoliceOfficer"));
+    const lost = await login(user);
+    const current = await login(user);
+
+    const sessions = (await request("GET", "/api/auth/sessions", { token: current.token })).body.data;
+    const target = sessions.find(session => !session.current);
+
+    const response = await request("DELETE", `/api/auth/sessions/${target.id}`, { token: current.token });
+    assert.equal(response.status, 200);
+
+    assert.equal((await request("GET", "/api/auth/profile", { token: lost.token })).status, 401);
+    const refresh = await request("POST", "/api/auth/refresh", { body: { refresh_token: lost.refresh_token } });
+    assert.equal(refresh.status, 401);
+    assert.equal((await request("GET", "/api/auth/profile", { token: current.token })).status, 200);
+
+    const again = await request("DELETE", `/api/auth/sessions/${target.id}`, { token: current.token });
+    assert.equal(again.status, 404);
+  });
+
+  it("no permite cerrar sesiones de otro usuario desde la cuenta propia", async () => {
+    const owner = await login(await getUserByIdDB(await createUser("PoliceOfficer")));
+    const intruder = await login(await getUserByIdDB(await createUser("PoliceOfficer")));
+
+    const [ownerSession] = (await request("GET", "/api/auth/sessions", { token: owner.token })).body.data;
+    const response = await request("DELETE", `/api/auth/sessions/${ownerSession.id}`, { token: intruder.token });
+    assert.equal(response.status, 404);
+
+    assert.equal((await request("GET", "/api/auth/profile", { token: owner.token })).status, 200);
+  });
+
+  it("el Admin lista y cierra remotamente las sesiones de un usuario", async () => {
+    const id = await createUser("PoliceOfficer");
+    const user = await getUserByIdDB(id);
+    const first = await login(user);
+    const second = await login(user);
+
+    const list = await request("GET", `/api/auth/users/${id}/sessions`, { role: "Admin" });
+    assert.equal(list.status, 200);
+    assert.equal(list.body.data.length, 2);
+
+    const single = await request("DELETE", `/api/auth/users/${id}/sessions/${list.body.data[0].id}`, { role: "Admin" });
+    assert.equal(single.status, 200);
+    assert.equal((await request("GET", "/api/auth/profile", { token: second.token })).status, 401);
+    assert.equal((await request("GET", "/api/auth/profile", { token: first.token })).status, 200);
+
+    // La sesión pertenece a otro usuario
+    const otherId = await createUser("PoliceOfficer");
+    const mismatch = await request("DELETE", `/api/auth/users/${otherId}/sessions/${list.body.data[1].id}`, {
+      role: "Admin"
+    });
+    assert.equal(mismatch.status, 404);
+
+    const all = await request("DELETE", `/api/auth/users/${id}/sessions`, { role: "Admin" });
+    assert.equal(all.status, 200);
+    assert.equal(all.body.data.revoked_sessions, 1);
+    assert.equal((await request("GET", "/api/auth/profile", { token: first.token })).status, 401);
+
+    const empty = await request("GET", `/api/auth/users/${id}/sessions`, { role: "Admin" });
+    assert.deepEqual(empty.body.data, []);
+  });
+
+  it("responde 404 para usuarios inexistentes", async () => {
+    const response = await request("GET", "/api/auth/users/999999/sessions", { role: "Admin" });
+    assert.equal(response.status, 404);
+  });
+});
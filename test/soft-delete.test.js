@@ -0,0 +1,154 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+  startServer,
+  stopServer,
+  request,
+  userFor,
+  createCitizen,
+  createRecord,
+  createCitation
+} from "./helpers.js";
+import { getRepositories } from "../src/repositories/index.js";
+import { purgeSoftDeleted } from "../src/database/purge.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe("Borrado lógico y restauración", () => {
+  before(startServer);
+  after(stopServer);
+
+  it("oculta la citación eliminada salvo para el Admin con include_deleted", async () => {
+    const citizenId = await createCitizen();
+    const citationId = await createCitation(citizenId);
+    const path = `/api/citizens/${citizenId}/citations/${citationId}`;
+
+    const deleted = await request("DELETE", path, { role: "Admin", ifMatch: "*" });
+    assert.equal(deleted.status, 200);
+    assert.ok(deleted.body.data.deleted_at);
+    assert.equal(deleted.body.warning, undefined);
+
+    assert.equal((await request("GET", path, { role: "Admin" })).status, 404);
+    const list = await request("GET", `/api/citizens/${citizenId}/citations`, { role: "General" });
+    assert.deepEqual(list.body.data, []);
+
+    const visible = await request("GET", `${path}?include_deleted=true`, { role: "Admin" });
+    assert.equal(visible.status, 200);
+    assert.equal(visible.body.data.deleted_by, userFor("Admin").id);
+    assert.equal(visible.body.data.deleted_by_username, userFor("Admin").username);
+
+    assert.equal((await request("GET", `${path}?include_deleted=true`, { role: "Commander" })).status, 403);
+    assert.equal((await request("DELETE", path, { role: "Admin", ifMatch: "*" })).status, 404);
+  });
+
+  it("no cuenta las citaciones eliminadas para la escalada de sanciones", async () => {
+    const citizenId = await createCitizen();
+    await createCitation(citizenId);
+    const citationId = await createCitation(citizenId);
+    await request("DELETE", `/api/citizens/${citizenId}/citations/${citationId}`, { role: "Admin", ifMatch: "*" });
+
+    const summary = await request("GET", `/api/citizens/${citizenId}/citations/penalty-summary`, { role: "General" });
+    assert.equal(summary.body.data.current_status.total_citations, 1);
+    assert.equal(summary.body.data.current_status.total_fines, 400);
+
+    const created = await request("POST", `/api/citizens/${citizenId}/citations`, {
+      role: "PoliceOfficer",
+      body: { description: "Segunda infracción por ruido" }
+    });
+    assert.equal(created.status, 201);
+  });
+
+  it("elimina y restaura un ciudadano junto con sus antecedentes y citaciones", async () => {
+    const citizenId = await createCitizen();
+    const recordId = await createRecord(citizenId);
+    const citationId = await createCitation(citizenId);
+
+    // La citación eliminada antes no vuelve al restaurar al ciudadano
+    const earlierId = await createCitation(citizenId);
+    await getRepositories().citations.softDelete(earlierId, { deleted_at: new Date(Date.now() - DAY_MS), deleted_by: null });
+
+    const deleted = await request("DELETE", `/api/citizens/${citizenId}`, { role: "Admin", ifMatch: "*" });
+    assert.equal(deleted.status, 200);
+    assert.equal(deleted.body.data.records_deleted, 1);
+    assert.equal(deleted.body.data.citations_deleted, 1);
+
+    assert.equal((await request("GET", `/api/citizens/${citizenId}`, { role: "Admin" })).status, 404);
+    assert.equal((await request("GET", `/api/citizens/${citizenId}/records`, { role: "Admin" })).status, 400);
+    const all = await request("GET", "/api/citizens?include_deleted=true", { role: "Admin" });
+    assert.ok(all.body.data.some(citizen => citizen.id === citizenId && citizen.deleted_at));
+
+    // Los hijos no se restauran mientras el ciudadano siga eliminado
+    const blocked = await request("POST", `/api/citizens/${citizenId}/records/${recordId}/restore`, { role: "Admin" });
+    assert.equal(blocked.status, 409);
+
+    const restored = await request("POST", `/api/citizens/${citizenId}/restore`, { role: "Admin" });
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.data.deleted_at, null);
+    assert.equal(restored.body.data.records_restored, 1);
+    assert.equal(restored.body.data.citations_restored, 1);
+
+    const citations = await request("GET", `/api/citizens/${citizenId}/citations`, { role: "Admin" });
+    assert.deepEqual(citations.body.data.map(citation => citation.id), [citationId]);
+    assert.equal((await request("GET", `/api/citizens/${citizenId}/records/${recordId}`, { role: "Admin" })).status, 200);
+
+    assert.equal((await request("POST", `/api/citizens/${citizenId}/restore`, { role: "Admin" })).status, 409);
+    assert.equal((await request("POST", "/api/citizens/999999/restore", { role: "Admin" })).status, 404);
+
+    const [entry] = (await request("GET", `/api/audit?entity=citizen&entity_id=${citizenId}`, { role: "Admin" })).body.data;
+    assert.equal(entry.action, "restore");
+  });
+
+  it("restaura un antecedente y una citación eliminados", async () => {
+    const citizenId = await createCitizen();
+    const recordId = await createRecord(citizenId);
+    const citationId = await createCitation(citizenId);
+
+    await request("DELETE", `/api/citizens/${citizenId}/records/${recordId}`, { role: "Admin", ifMatch: "*" });
+    await request("DELETE", `/api/citizens/${citizenId}/citations/${citationId}`, { role: "Admin", ifMatch: "*" });
+
+    const record = await request("POST", `/api/citizens/${citizenId}/records/${recordId}/restore`, { role: "Admin" });
+    assert.equal(record.status, 200);
+    assert.equal(record.body.data.deleted_at, null);
+
+    const citation = await request("POST", `/api/citizens/${citizenId}/citations/${citationId}/restore`, {
+      role: "Admin"
+    });
+    assert.equal(citation.status, 200);
+    assert.equal((await request("GET", `/api/citizens/${citizenId}/citations/count`, { role: "General" })).body.data.total_citations, 1);
+
+    assert.equal(
+      (await request("POST", `/api/citizens/${citizenId}/citations/${citationId}/restore`, { role: "Admin" })).status,
+      409
+    );
+  });
+
+  it("purga definitivamente lo eliminado antes del periodo de retención", async () => {
+    // Un ciudadano eliminado hace 100 días y una citación eliminada ahora
+    const longAgo = { deleted_at: new Date(Date.now() - 100 * DAY_MS), deleted_by: null };
+    const repositories = getRepositories();
+    const oldCitizenId = await createCitizen();
+    await createRecord(oldCitizenId);
+    await createCitation(oldCitizenId);
+    await repositories.records.softDeleteByCitizen(oldCitizenId, longAgo);
+    await repositories.citations.softDeleteByCitizen(oldCitizenId, longAgo);
+    await repositories.citizens.softDelete(oldCitizenId, longAgo);
+
+    const recentCitizenId = await createCitizen();
+    const recentCitationId = await createCitation(recentCitizenId);
+    await request("DELETE", `/api/citizens/${recentCitizenId}/citations/${recentCitationId}`, { role: "Admin", ifMatch: "*" });
+
+    const preview = await purgeSoftDeleted({ retentionDays: 90, dryRun: true });
+    assert.equal(preview.citizens, 1);
+    assert.equal(preview.criminal_records, 1);
+    assert.equal(preview.citations, 1);
+    assert.ok(await repositories.citizens.findById(oldCitizenId, { include_deleted: true }));
+
+    const summary = await purgeSoftDeleted({ retentionDays: 90 });
+    assert.equal(summary.citizens, 1);
+    assert.equal(await repositories.citizens.findById(oldCitizenId, { include_deleted: true }), null);
+    assert.deepEqual(await repositories.citations.findByCitizenId(oldCitizenId, { include_deleted: true }), []);
+    assert.ok(await repositories.citations.findById(recentCitationId, { include_deleted: true }));
+
+    assert.equal((await purgeSoftDeleted({ retentionDays: 90 })).citizens, 0);
+  });
+});
@@ -0,0 +1,251 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TEST_PASSWORD,
+  startServer,
+  stopServer,
+  request,
+  loginNewUser
+} from "./helpers.js";
+import { authConfig } from "../src/config/auth.js";
+import { generateTotp, verifyTotp } from "../src/modules/auth/totp.js";
+
+// Sin espera progresiva: varias pruebas encadenan un código erróneo y uno correcto
+const defaults = { ...authConfig, loginDelayBaseSeconds: 0 };
+
+/**
+ * Código TOTP del siguiente periodo (aceptado por la ventana de ±1 periodo)
+ * Sirve para usar un segundo código sin esperar 30 segundos
+ */
+function nextCode(secret) {
+  return generateTotp(secret, Date.now() + 30 * 1000);
+}
+
+/**
+ * Inscribir y activar la 2FA de una sesión
+ */
+async function enableTwoFactor(session) {
+  const enroll = await request("POST", "/api/auth/2fa/enroll", { token: session.token });
+  assert.equal(enroll.status, 200, JSON.stringify(enroll.body));
+
+  const { secret } = enroll.body.data;
+  const verify = await request("POST", "/api/auth/2fa/verify", {
+    token: session.token,
+    body: { code: generateTotp(secret) }
+  });
+  assert.equal(verify.status, 200, JSON.stringify(verify.body));
+
+  return { secret, ...verify.body.data };
+}
+
+describe("Autenticación en dos pasos (TOTP)", () => {
+  before(startServer);
+  after(stopServer);
+
+  beforeEach(() => {
+    Object.assign(authConfig, defaults);
+  });
+
+  it("calcula los códigos de los vectores de prueba del RFC 6238", () => {
+    // Secreto ASCII "12345678901234567890" en Base32
+    const secret = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+    assert.equal(generateTotp(secret, 59 * 1000), "287082");
+    assert.equal(generateTotp(secret, 1111111109 * 1000), "081804");
+    assert.equal(generateTotp(secret, 1234567890 * 1000), "005924");
+    assert.equal(verifyTotp(secret, "287082", { timestamp: 59 * 1000 + 30 * 1000 }), 1);
+    assert.equal(verifyTotp(secret, "287082", { timestamp: 59 * 1000 + 90 * 1000 }), null);
+  });
+
+  it("inscribe la 2FA con una URI otpauth y la activa con un código válido", async () => {
+    const session = await loginNewUser("CourtClerk");
+
+    const enroll = await request("POST", "/api/auth/2fa/enroll", { token: session.token });
+    assert.equal(enroll.status, 200);
+    assert.match(enroll.body.data.otpauth_uri, /^otpauth:\/\/totp\/Interpolice:/);
+    assert.ok(enroll.body.data.otpauth_uri.includes(`secret=${enroll.body.data.secret}`));
+
+    const code = generateTotp(enroll.body.data.secret);
+    const wrong = await request("POST", "/api/auth/2fa/verify", {
+      token: session.token,
+      body: { code: code === "000000" ? "111111" : "000000" }
+    });
+    assert.equal(wrong.status, 400);
+
+    const verify = await request("POST", "/api/auth/2fa/verify", { token: session.token, body: { code } });
+    assert.equal(verify.status, 200);
+    assert.equal(verify.body.data.recovery_codes.length, 10);
+
+    const status = await request("GET", "/api/auth/2fa", { token: session.token });
+    assert.equal(status.body.data.enabled, true);
+    assert.equal(status.body.data.required, false);
+    assert.equal(status.body.data.recovery_codes_remaining, 10);
+
+    const again = await request("POST", "/api/auth/2fa/enroll", { token: session.token });
+    assert.equal(again.status, 409);
+  });
+
+  it("el login con 2FA pide un segundo paso y no acepta códigos reutilizados", async () => {
+    const session = await loginNewUser("CourtClerk");
+    const { secret } = await enableTwoFactor(session);
+
+    const login = await request("POST", "/api/auth/login", {
+      body: { username: session.username, password: TEST_PASSWORD }
+    });
+    assert.equal(login.status, 200);
+    assert.equal(login.body.data.two_factor_required, true);
+    assert.equal(login.body.data.token, undefined);
+
+    // El desafío no sirve como access token
+    const profile = await request("GET", "/api/auth/profile", { token: login.body.data.challenge_token });
+    assert.equal(profile.status, 401);
+
+    const code = nextCode(secret);
+    const verified = await request("POST", "/api/auth/login/2fa", {
+      body: { challenge_token: login.body.data.challenge_token, code }
+    });
+    assert.equal(verified.status, 200);
+    assert.ok(verified.body.data.token);
+    assert.ok(verified.body.data.refresh_token);
+
+    const replayed = await request("POST", "/api/auth/login/2fa", {
+      body: { challenge_token: login.body.data.challenge_token, code }
+    });
+    assert.equal(replayed.status, 401);
+  });
+
+  it("acepta cada código de recuperación una sola vez", async () => {
+    const session = await loginNewUser("CourtClerk");
+    const { recovery_codes } = await enableTwoFactor(session);
+
+    const login = await request("POST", "/api/auth/login", {
+      body: { username: session.username, password: TEST_PASSWORD }
+    });
+    const body = { challenge_token: login.body.data.challenge_token, recovery_code: recovery_codes[0] };
+
+    const first = await request("POST", "/api/auth/login/2fa", { body });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.data.recovery_codes_remaining, 9);
+
+    const second = await request("POST", "/api/auth/login/2fa", { body });
+    assert.equal(second.status, 401);
+  });
+
+  it("rechaza desafíos inválidos y exige código o código de recuperación", async () => {
+    const invalid = await request("POST", "/api/auth/login/2fa", {
+      body: { challenge_token: "no-es-un-jwt", code: "123456" }
+    });
+    assert.equal(invalid.status, 401);
+
+    const missing = await request("POST", "/api/auth/login/2fa", { body: { challenge_token: "x" } });
+    assert.equal(missing.status, 400);
+  });
+
+  it("los códigos erróneos cuentan para el bloqueo de la cuenta", async () => {
+    authConfig.loginMaxAttempts = 2;
+    const session = await loginNewUser("CourtClerk");
+    await enableTwoFactor(session);
+
+    const login = await request("POST", "/api/auth/login", {
+      body: { username: session.username, password: TEST_PASSWORD }
+    });
+    const body = { challenge_token: login.body.data.challenge_token, recovery_code: "aaaaa-bbbbb" };
+
+    assert.equal((await request("POST", "/api/auth/login/2fa", { body })).status, 401);
+    assert.equal((await request("POST", "/api/auth/login/2fa", { body })).status, 401);
+
+    const locked = await request("POST", "/api/auth/login/2fa", { body });
+    assert.equal(locked.status, 429);
+    assert.ok(locked.body.retry_after_seconds > 0);
+  });
+
+  it("los roles con 2FA obligatoria solo acceden a la inscripción hasta activarla", async () => {
+    const session = await loginNewUser("Commander");
+    assert.equal(session.two_factor_enrollment_required, true);
+
+    const blocked = await request("GET", "/api/citizens", { token: session.token });
+    assert.equal(blocked.status, 403);
+    assert.equal(blocked.body.two_factor_enrollment_required, true);
+
+    // El refresh mantiene la restricción
+    const refreshed = await request("POST", "/api/auth/refresh", {
+      body: { refresh_token: session.refresh_token }
+    });
+    assert.equal(refreshed.status, 200);
+    assert.equal((await request("GET", "/api/citizens", { token: refreshed.body.data.token })).status, 403);
+
+    const status = await request("GET", "/api/auth/2fa", { token: refreshed.body.data.token });
+    assert.equal(status.status, 200);
+    assert.equal(status.body.data.required, true);
+
+    const enabled = await enableTwoFactor({ token: refreshed.body.data.token });
+    assert.ok(enabled.token);
+
+    const allowed = await request("GET", "/api/citizens", { token: enabled.token });
+    assert.equal(allowed.status, 200);
+
+    // No puede desactivarla
+    const disable = await request("DELETE", "/api/auth/2fa", {
+      token: enabled.token,
+      body: { code: nextCode(enabled.secret) }
+    });
+    assert.equal(disable.status, 403);
+  });
+
+  it("los roles sin 2FA obligatoria pueden desactivarla con un código", async () => {
+    const session = await loginNewUser("PoliceOfficer");
+    const { secret } = await enableTwoFactor(session);
+
+    const disable = await request("DELETE", "/api/auth/2fa", {
+      token: session.token,
+      body: { code: nextCode(secret) }
+    });
+    assert.equal(disable.status, 200);
+
+    const login = await request("POST", "/api/auth/login", {
+      body: { username: session.username, password: TEST_PASSWORD }
+    });
+    assert.ok(login.body.data.token);
+  });
+
+  it("regenera los códigos de recuperación e invalida los anteriores", async () => {
+    const session = await loginNewUser("CourtClerk");
+    const { secret, recovery_codes } = await enableTwoFactor(session);
+
+    const regenerated = await request("POST", "/api/auth/2fa/recovery-codes", {
+      token: session.token,
+      body: { code: nextCode(secret) }
+    });
+    assert.equal(regenerated.status, 200);
+    assert.equal(regenerated.body.data.recovery_codes.length, 10);
+
+    const login = await request("POST", "/api/auth/login", {
+      body: { username: session.username, password: TEST_PASSWORD }
+    });
+    const old = await request("POST", "/api/auth/login/2fa", {
+      body: { challenge_token: login.body.data.challenge_token, recovery_code: recovery_codes[0] }
+    });
+    assert.equal(old.status, 401);
+  });
+
+  it("un Admin puede restablecer la 2FA de un usuario y cierra sus sesiones", async () => {
+    const session = await loginNewUser("CourtClerk");
+    await enableTwoFactor(session);
+
+    const reset = await request("DELETE", `/api/auth/users/${session.id}/2fa`, { role: "Admin" });
+    assert.equal(reset.status, 200);
+    assert.equal(reset.body.data.was_enabled, true);
+    assert.equal(reset.body.data.revoked_sessions, 1);
+
+    const profile = await request("GET", "/api/auth/profile", { token: session.token });
+    assert.equal(profile.status, 401);
+
+    const login = await request("POST", "/api/auth/login", {
+      body: { username: session.username, password: TEST_PASSWORD }
+    });
+    assert.ok(login.body.data.token);
+
+    const missing = await request("DELETE", "/api/auth/users/999999/2fa", { role: "Admin" });
+    assert.equal(missing.status, 404);
+  });
+});
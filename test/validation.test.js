@@ -0,0 +1,79 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, stopServer, request, createCitizen } from "./helpers.js";
+
+/**
+ * Comprobar la forma estándar de los errores de handleValidationErrors
+ */
+function assertValidationError(response, fields) {
+  assert.equal(response.status, 400);
+  assert.equal(response.body.status, "error");
+  assert.equal(response.body.message, "Error de validación");
+  assert.ok(Array.isArray(response.body.errors));
+  assert.equal(response.body.total_errors, response.body.errors.length);
+
+  for (const error of response.body.errors) {
+    assert.equal(typeof error.field, "string");
+    assert.equal(typeof error.message, "string");
+  }
+
+  const reported = response.body.errors.map(error => error.field);
+  for (const field of fields) {
+    assert.ok(reported.includes(field), `Se esperaba un error en "${field}", se obtuvo: ${reported.join(", ")}`);
+  }
+}
+
+describe("Errores de validación", () => {
+  before(startServer);
+  after(stopServer);
+
+  it("rechaza un ciudadano sin campos obligatorios", async () => {
+    const response = await request("POST", "/api/citizens", { role: "Admin", body: {} });
+
+    assertValidationError(response, ["full_name", "last_name", "nick_name", "birth_date", "origin_planet", "residence_planet", "qr_code", "status_id"]);
+    assert.ok(response.body.errors.every(error => error.location === "body"));
+  });
+
+  it("rechaza un ID de ciudadano no numérico", async () => {
+    const response = await request("GET", "/api/citizens/abc", { role: "Admin" });
+
+    assertValidationError(response, ["id"]);
+    assert.equal(response.body.errors[0].location, "params");
+  });
+
+  it("rechaza citaciones para ciudadanos inexistentes", async () => {
+    const response = await request("POST", "/api/citizens/999999/citations", {
+      role: "PoliceOfficer",
+      body: { description: "Ruido excesivo en la vía pública" }
+    });
+
+    assertValidationError(response, ["citizenId"]);
+  });
+
+  it("rechaza antecedentes con fecha futura y planeta inexistente", async () => {
+    const citizenId = await createCitizen();
+    const response = await request("POST", `/api/citizens/${citizenId}/records`, {
+      role: "CourtClerk",
+      body: { date: "2999-01-01", time: "25:00", location: 999, description: "corta" }
+    });
+
+    assertValidationError(response, ["date", "time", "location", "description"]);
+  });
+
+  it("rechaza un registro con contraseña débil", async () => {
+    const response = await request("POST", "/api/auth/register", {
+      body: { username: "x", user_email: "no-es-email", password: "abc", role_id: 8 }
+    });
+
+    assertValidationError(response, ["username", "user_email", "password"]);
+  });
+
+  it("rechaza un cambio de contraseña cuya confirmación no coincide", async () => {
+    const response = await request("PUT", "/api/auth/users/1/password", {
+      role: "Admin",
+      body: { current_password: "Interpolice123", new_password: "Nueva1234", confirm_password: "Otra1234" }
+    });
+
+    assertValidationError(response, ["confirm_password"]);
+  });
+});